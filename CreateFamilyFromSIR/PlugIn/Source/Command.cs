@@ -0,0 +1,95 @@
+﻿// (C) Copyright 2011 by Autodesk, Inc. 
+//
+// Permission to use, copy, modify, and distribute this software
+// in object code form for any purpose and without fee is hereby
+// granted, provided that the above copyright notice appears in
+// all copies and that both that copyright notice and the limited
+// warranty and restricted rights notice below appear in all
+// supporting documentation.
+//
+// AUTODESK PROVIDES THIS PROGRAM "AS IS" AND WITH ALL FAULTS. 
+// AUTODESK SPECIFICALLY DISCLAIMS ANY IMPLIED WARRANTY OF
+// MERCHANTABILITY OR FITNESS FOR A PARTICULAR USE.  AUTODESK,
+// INC. DOES NOT WARRANT THAT THE OPERATION OF THE PROGRAM WILL
+// BE UNINTERRUPTED OR ERROR FREE.
+//
+// Use, duplication, or disclosure by the U.S. Government is
+// subject to restrictions set forth in FAR 52.227-19 (Commercial
+// Computer Software - Restricted Rights) and DFAR 252.227-7013(c)
+// (1)(ii)(Rights in Technical Data and Computer Software), as
+// applicable.
+//
+
+using System;
+using Autodesk.Revit.DB;
+using Autodesk.Revit.ApplicationServices;
+using DesignAutomationFramework;
+
+
+namespace Autodesk.APS.RevitIO.CreateFamilyFromSIR
+{
+    public class CreateFamilyData
+    {
+        public Application Application { get; set; }
+        public Document Document { get; set; }
+    }
+
+    [Autodesk.Revit.Attributes.Regeneration(Autodesk.Revit.Attributes.RegenerationOption.Manual)]
+    [Autodesk.Revit.Attributes.Transaction(Autodesk.Revit.Attributes.TransactionMode.Manual)]
+    public class CreateFamilyFromSIRApp : IExternalDBApplication
+    {
+        public ExternalDBApplicationResult OnStartup(ControlledApplication application)
+        {
+            DesignAutomationBridge.DesignAutomationReadyEvent += HandleDesignAutomationReadyEvent;
+            return ExternalDBApplicationResult.Succeeded;
+        }
+
+        public void HandleDesignAutomationReadyEvent( object sender, DesignAutomationReadyEventArgs e)
+        {
+            e.Succeeded = CreateFamily(e.DesignAutomationData);
+        }
+
+
+        protected bool CreateFamily( DesignAutomationData data )
+        {
+            if (data == null)
+                return false;
+
+            Application app = data.RevitApp;
+            if (app == null)
+                return false;
+
+            Document doc = data.RevitDoc;
+            if (doc == null)
+                return false;
+
+            if (!doc.IsFamilyDocument)
+            {
+                Console.WriteLine("It's not family document");
+                return false;
+            }
+
+            SIRDAParams payload = SIRDAParams.Parse("sir.json");
+            if (payload == null || payload.Build == null)
+            {
+                Console.WriteLine("sir.json is missing or has no build steps");
+                return false;
+            }
+
+            CreateFamilyData createFamilyData = new CreateFamilyData();
+            createFamilyData.Application = app;
+            createFamilyData.Document = doc;
+
+            SIRFamilyBuilder builder = new SIRFamilyBuilder(createFamilyData, payload);
+            return builder.Run();
+        }
+
+
+        public ExternalDBApplicationResult OnShutdown(ControlledApplication application)
+        {
+
+            return ExternalDBApplicationResult.Succeeded;
+        }
+    };
+
+}
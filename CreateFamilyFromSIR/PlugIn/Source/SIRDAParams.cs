@@ -0,0 +1,176 @@
+using System;
+using System.Collections.Generic;
+using System.IO;
+using Newtonsoft.Json;
+
+namespace Autodesk.APS.RevitIO.CreateFamilyFromSIR
+{
+    /// <summary>
+    /// sir.json, as built by the famAI SIRPayload service. The plug-in reads
+    /// the build steps; the SIR itself is carried for reference. Lengths are
+    /// in feet and angles in degrees.
+    /// </summary>
+    internal class SIRDAParams
+    {
+        public String PayloadVersion { get; set; }
+        public String SirVersion { get; set; }
+        public FamilyInfo Family { get; set; } = new FamilyInfo();
+        public OutputInfo Output { get; set; } = new OutputInfo();
+        public BuildSteps Build { get; set; }
+        public List<String> Warnings { get; set; } = new List<String>();
+
+        public class FamilyInfo
+        {
+            public String Name { get; set; } = "Generated Family";
+            public String Category { get; set; } = "Generic";
+            public Int32 LodLevel { get; set; } = 200;
+            public Boolean IsHosted { get; set; }
+            public String Template { get; set; }
+        }
+
+        public class OutputInfo
+        {
+            public String LocalName { get; set; } = "Family.rfa";
+        }
+
+        static public SIRDAParams Parse(string jsonPath)
+        {
+            try
+            {
+                if (!File.Exists(jsonPath))
+                {
+                    Console.WriteLine(jsonPath + " not found");
+                    return null;
+                }
+
+                string jsonContents = File.ReadAllText(jsonPath);
+                return JsonConvert.DeserializeObject<SIRDAParams>(jsonContents);
+            }
+            catch (Exception ex)
+            {
+                Console.WriteLine("Exception when parsing json file: " + ex);
+                return null;
+            }
+        }
+    }
+
+    /// <summary>
+    /// The SIR resolved into the steps that build the family
+    /// </summary>
+    internal class BuildSteps
+    {
+        public String Category { get; set; }
+        public Int32 LodLevel { get; set; }
+        public List<SIRReferencePlane> ReferencePlanes { get; set; } = new List<SIRReferencePlane>();
+        public List<SIRParameter> Parameters { get; set; } = new List<SIRParameter>();
+        public List<String> Materials { get; set; } = new List<String>();
+        public SIRGeometry Geometry { get; set; } = new SIRGeometry();
+        public List<SIRConstraint> Constraints { get; set; } = new List<SIRConstraint>();
+        public List<SIRFamilyType> FamilyTypes { get; set; } = new List<SIRFamilyType>();
+        public List<SIRVisibility> Visibility { get; set; } = new List<SIRVisibility>();
+    }
+
+    internal class SIRPoint
+    {
+        public Double X { get; set; }
+        public Double Y { get; set; }
+        public Double Z { get; set; }
+    }
+
+    internal class SIRReferencePlane
+    {
+        public String Name { get; set; }
+        public SIRPoint Origin { get; set; }
+        public SIRPoint Normal { get; set; }
+        public Boolean Locked { get; set; }
+    }
+
+    internal class SIRParameter
+    {
+        public String Name { get; set; }
+        public String Type { get; set; }    // Length, Number, Integer, Text, YesNo or Material
+        public String Group { get; set; }   // GroupTypeId member, e.g. Geometry
+        public Boolean IsInstance { get; set; }
+        public String Formula { get; set; }
+    }
+
+    internal class SIRGeometry
+    {
+        public List<SIRExtrusion> Extrusions { get; set; } = new List<SIRExtrusion>();
+        public List<SIRBlend> Blends { get; set; } = new List<SIRBlend>();
+        public List<SIRSweep> Sweeps { get; set; } = new List<SIRSweep>();
+        public List<SIRRevolve> Revolves { get; set; } = new List<SIRRevolve>();
+    }
+
+    internal class SIRForm
+    {
+        public String Name { get; set; }
+        public Boolean IsSolid { get; set; } = true;
+        public String Material { get; set; }
+        public String MaterialParameter { get; set; }
+    }
+
+    internal class SIRExtrusion : SIRForm
+    {
+        public List<SIRPoint> Profile { get; set; } = new List<SIRPoint>();
+        public SIRPoint StartPoint { get; set; }
+        public SIRPoint EndPoint { get; set; }
+    }
+
+    internal class SIRBlend : SIRForm
+    {
+        public List<SIRPoint> BaseProfile { get; set; } = new List<SIRPoint>();
+        public List<SIRPoint> TopProfile { get; set; } = new List<SIRPoint>();
+        public Double BaseOffset { get; set; }
+        public Double TopOffset { get; set; }
+    }
+
+    internal class SIRSweep : SIRForm
+    {
+        public List<SIRPoint> Profile { get; set; } = new List<SIRPoint>();
+        public List<SIRPoint> Path { get; set; } = new List<SIRPoint>();
+    }
+
+    internal class SIRRevolve : SIRForm
+    {
+        public class RevolveAxis
+        {
+            public SIRPoint Start { get; set; } = new SIRPoint();
+            public SIRPoint End { get; set; } = new SIRPoint { Y = 1 };
+        }
+
+        public List<SIRPoint> Profile { get; set; } = new List<SIRPoint>();
+        public RevolveAxis Axis { get; set; } = new RevolveAxis();
+        public Double StartAngle { get; set; } = 0;
+        public Double EndAngle { get; set; } = 360;
+    }
+
+    internal class SIRConstraint
+    {
+        public String Kind { get; set; }    // alignment, dimension, equality, or null when unsupported
+        public String Description { get; set; }
+        public String Element1 { get; set; }
+        public String Element2 { get; set; }
+        public String Parameter { get; set; }
+        public Boolean Locked { get; set; }
+    }
+
+    internal class SIRFamilyType
+    {
+        public String Name { get; set; }
+        public List<SIRTypeValue> Values { get; set; } = new List<SIRTypeValue>();
+    }
+
+    internal class SIRTypeValue
+    {
+        public String Name { get; set; }
+        public String Type { get; set; }
+        public Object Value { get; set; }   // internal units: feet, a boolean, an integer or a name
+    }
+
+    internal class SIRVisibility
+    {
+        public String Name { get; set; }
+        public Boolean[] Levels { get; set; } = { true, true, true };   // coarse, medium, fine
+    }
+}
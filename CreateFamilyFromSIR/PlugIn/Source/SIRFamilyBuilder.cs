@@ -0,0 +1,674 @@
+using System;
+using System.Collections.Generic;
+using System.Globalization;
+using System.IO;
+using System.Linq;
+using Autodesk.Revit.ApplicationServices;
+using Autodesk.Revit.DB;
+
+namespace Autodesk.APS.RevitIO.CreateFamilyFromSIR
+{
+    /// <summary>
+    /// Builds a family of any category from the build steps in sir.json. It
+    /// runs the steps of the code the famAI csharp target generates, in the
+    /// same order and with the same helpers, reading them from the payload
+    /// instead of compiling them in.
+    /// </summary>
+    internal class SIRFamilyBuilder
+    {
+        static readonly Dictionary<string, ForgeTypeId> ParameterSpecs = new Dictionary<string, ForgeTypeId>
+        {
+            { "Length", SpecTypeId.Length },
+            { "Number", SpecTypeId.Number },
+            { "Integer", SpecTypeId.Int.Integer },
+            { "Text", SpecTypeId.String.Text },
+            { "YesNo", SpecTypeId.Boolean.YesNo },
+            { "Material", SpecTypeId.Reference.Material }
+        };
+
+        static readonly Dictionary<string, ForgeTypeId> ParameterGroups = new Dictionary<string, ForgeTypeId>
+        {
+            { "Geometry", GroupTypeId.Geometry },
+            { "Materials", GroupTypeId.Materials },
+            { "Constraints", GroupTypeId.Constraints },
+            { "Construction", GroupTypeId.Construction },
+            { "Data", GroupTypeId.Data },
+            { "Graphics", GroupTypeId.Graphics },
+            { "IdentityData", GroupTypeId.IdentityData },
+            { "Text", GroupTypeId.Text },
+            { "General", GroupTypeId.General },
+            { "Visibility", GroupTypeId.Visibility }
+        };
+
+        readonly SIRDAParams m_payload;
+        readonly BuildSteps m_build;
+        readonly string m_outputPath;
+
+        Application m_application;
+        Document m_document;
+        FamilyManager m_familyManager;
+        Dictionary<string, ReferencePlane> m_referencePlanes = new Dictionary<string, ReferencePlane>();
+        Dictionary<string, FamilyParameter> m_parameters = new Dictionary<string, FamilyParameter>();
+        Dictionary<string, ElementId> m_materials = new Dictionary<string, ElementId>();
+        Dictionary<string, GenericForm> m_geometry = new Dictionary<string, GenericForm>();
+        Dictionary<string, FamilyType> m_types = new Dictionary<string, FamilyType>();
+        List<string> m_appliedConstraints = new List<string>();
+        List<string> m_failedConstraints = new List<string>();
+        List<string> m_failedVisibility = new List<string>();
+
+        public SIRFamilyBuilder(CreateFamilyData data, SIRDAParams payload)
+        {
+            m_application = data.Application;
+            m_document = data.Document;
+            m_familyManager = m_document.FamilyManager;
+            m_payload = payload;
+            m_build = payload.Build;
+            m_outputPath = String.IsNullOrWhiteSpace(payload.Output.LocalName) ? "Family.rfa" : payload.Output.LocalName;
+        }
+
+        public bool Run()
+        {
+            string familyName = m_payload.Family.Name;
+            foreach (string warning in m_payload.Warnings)
+                Console.WriteLine("Skipped by famAI: " + warning);
+
+            using (Transaction transaction = new Transaction(m_document, "Create " + familyName))
+            {
+                transaction.Start();
+                try
+                {
+                    SetCategory();
+                    CreateReferencePlanes();
+                    CreateParameters();
+                    CreateMaterials();
+                    CreateGeometry();
+                    CreateConstraints();
+                    CreateFamilyTypes();
+                    SetVisibility();
+                    transaction.Commit();
+                }
+                catch (Exception e)
+                {
+                    Console.WriteLine("Error creating family: " + e.Message);
+                    transaction.RollBack();
+                    return false;
+                }
+            }
+
+            Validate();
+            Console.WriteLine("Successfully created family: " + familyName);
+            Console.WriteLine("Category: " + m_build.Category);
+            Console.WriteLine("LOD Level: " + m_build.LodLevel);
+            return SaveFamily();
+        }
+
+        void SetCategory()
+        {
+            Category category = m_document.Settings.Categories
+                .Cast<Category>()
+                .FirstOrDefault(c => c.Name == m_build.Category);
+            if (category == null)
+                throw new InvalidOperationException("Category " + m_build.Category + " not found");
+            if (m_document.OwnerFamily.FamilyCategory.Name != m_build.Category)
+                m_document.OwnerFamily.FamilyCategory = category;
+        }
+
+        void CreateReferencePlanes()
+        {
+            foreach (SIRReferencePlane plane in m_build.ReferencePlanes)
+            {
+                ReferencePlane refPlane = CreateReferencePlane(plane.Name, ToXYZ(plane.Origin), ToXYZ(plane.Normal));
+                if (plane.Locked)
+                    refPlane.Pinned = true;
+                m_referencePlanes[plane.Name] = refPlane;
+            }
+        }
+
+        void CreateParameters()
+        {
+            foreach (SIRParameter parameter in m_build.Parameters)
+            {
+                ForgeTypeId spec;
+                if (!ParameterSpecs.TryGetValue(parameter.Type ?? "", out spec))
+                    throw new InvalidOperationException("Unknown parameter type " + parameter.Type + " of " + parameter.Name);
+                ForgeTypeId group;
+                if (!ParameterGroups.TryGetValue(parameter.Group ?? "", out group))
+                    group = GroupTypeId.Data;
+                m_parameters[parameter.Name] = GetOrAddParameter(parameter.Name, group, spec, parameter.IsInstance);
+            }
+
+            // Formulas, once every parameter they can refer to exists
+            foreach (SIRParameter parameter in m_build.Parameters.Where(p => !String.IsNullOrEmpty(p.Formula)))
+                m_familyManager.SetFormula(m_parameters[parameter.Name], parameter.Formula);
+        }
+
+        void CreateMaterials()
+        {
+            foreach (string name in m_build.Materials.Distinct())
+                m_materials[name] = FindMaterial(name);
+        }
+
+        void CreateGeometry()
+        {
+            foreach (SIRExtrusion extrusion in m_build.Geometry.Extrusions)
+            {
+                double start = Math.Min(extrusion.StartPoint.Z, extrusion.EndPoint.Z);
+                double end = Math.Max(extrusion.StartPoint.Z, extrusion.EndPoint.Z);
+                CurveArrArray profile = ProfileLoops(ProfileLoop(Flat(extrusion.Profile)));
+                Extrusion form = m_document.FamilyCreate.NewExtrusion(extrusion.IsSolid, profile, NewSketchPlane(XYZ.BasisZ, XYZ.Zero), end - start);
+                form.StartOffset = start;
+                form.EndOffset = end;
+                FinishForm(form, extrusion);
+            }
+
+            foreach (SIRBlend blend in m_build.Geometry.Blends)
+            {
+                CurveArray baseProfile = ProfileLoop(Flat(blend.BaseProfile));
+                CurveArray topProfile = ProfileLoop(Flat(blend.TopProfile));
+                Blend form = m_document.FamilyCreate.NewBlend(blend.IsSolid, topProfile, baseProfile, NewSketchPlane(XYZ.BasisZ, XYZ.Zero));
+                form.BottomOffset = blend.BaseOffset;
+                form.TopOffset = blend.TopOffset;
+                FinishForm(form, blend);
+            }
+
+            foreach (SIRSweep sweep in m_build.Geometry.Sweeps)
+            {
+                Sweep form = NewSweep(sweep.IsSolid,
+                    sweep.Profile.Select(p => new UV(p.X, p.Y)).ToArray(),
+                    sweep.Path.Select(ToXYZ).ToArray());
+                FinishForm(form, sweep);
+            }
+
+            foreach (SIRRevolve revolve in m_build.Geometry.Revolves)
+            {
+                // Revolve profiles are drawn in the XZ plane: x across, y up
+                CurveArrArray profile = ProfileLoops(ProfileLoop(revolve.Profile.Select(ToXZ).ToArray()));
+                Line axis = Line.CreateBound(ToXZ(revolve.Axis.Start), ToXZ(revolve.Axis.End));
+                Revolution form = m_document.FamilyCreate.NewRevolution(revolve.IsSolid, profile, NewSketchPlane(XYZ.BasisY, XYZ.Zero), axis,
+                    revolve.StartAngle * Math.PI / 180, revolve.EndAngle * Math.PI / 180);
+                FinishForm(form, revolve);
+            }
+        }
+
+        void FinishForm(GenericForm form, SIRForm definition)
+        {
+            if (definition.IsSolid && definition.Material != null)
+                SetMaterial(form, definition.Material, definition.MaterialParameter);
+            m_geometry[definition.Name] = form;
+        }
+
+        void CreateConstraints()
+        {
+            foreach (SIRConstraint constraint in m_build.Constraints)
+            {
+                switch (constraint.Kind)
+                {
+                    case "alignment":
+                        ApplyConstraint(constraint.Description, () => AddAlignment(ResolvePair(constraint.Element1, constraint.Element2), constraint.Locked));
+                        break;
+                    case "dimension":
+                        ApplyConstraint(constraint.Description, () => AddDimension(ResolvePair(constraint.Element1, constraint.Element2), constraint.Parameter, constraint.Locked, false));
+                        break;
+                    case "equality":
+                        ApplyConstraint(constraint.Description, () =>
+                        {
+                            ConstraintReference[] pair = ResolvePair(constraint.Element1, constraint.Element2);
+                            AddDimension(new[] { pair[0], CenterReference(pair[0].Normal), pair[1] }, null, false, true);
+                        });
+                        break;
+                    default:
+                        m_failedConstraints.Add(constraint.Description);
+                        break;
+                }
+            }
+        }
+
+        void CreateFamilyTypes()
+        {
+            foreach (SIRFamilyType type in m_build.FamilyTypes)
+            {
+                FamilyType familyType = GetOrAddType(type.Name);
+                m_familyManager.CurrentType = familyType;
+                foreach (SIRTypeValue value in type.Values)
+                    SetValue(m_parameters[value.Name], value);
+                m_types[type.Name] = familyType;
+            }
+        }
+
+        void SetValue(FamilyParameter parameter, SIRTypeValue value)
+        {
+            switch (value.Type)
+            {
+                case "YesNo":
+                    m_familyManager.Set(parameter, Convert.ToBoolean(value.Value, CultureInfo.InvariantCulture) ? 1 : 0);
+                    break;
+                case "Integer":
+                    m_familyManager.Set(parameter, Convert.ToInt32(value.Value, CultureInfo.InvariantCulture));
+                    break;
+                case "Text":
+                    m_familyManager.Set(parameter, Convert.ToString(value.Value, CultureInfo.InvariantCulture));
+                    break;
+                case "Material":
+                    m_familyManager.Set(parameter, MaterialId(Convert.ToString(value.Value, CultureInfo.InvariantCulture)));
+                    break;
+                default:
+                    m_familyManager.Set(parameter, Convert.ToDouble(value.Value, CultureInfo.InvariantCulture));
+                    break;
+            }
+        }
+
+        void SetVisibility()
+        {
+            foreach (SIRVisibility visibility in m_build.Visibility)
+                SetElementVisibility(visibility.Name, visibility.Levels[0], visibility.Levels[1], visibility.Levels[2]);
+        }
+
+        bool Validate()
+        {
+            SIRGeometry geometry = m_build.Geometry;
+            Dictionary<string, bool> results = new Dictionary<string, bool>
+            {
+                { "reference_planes_created", m_referencePlanes.Count == m_build.ReferencePlanes.Count },
+                { "parameters_created", m_parameters.Count == m_build.Parameters.Count },
+                { "geometry_created", m_geometry.Count == geometry.Extrusions.Count + geometry.Blends.Count + geometry.Sweeps.Count + geometry.Revolves.Count },
+                { "constraints_applied", m_failedConstraints.Count == 0 },
+                { "family_types_created", m_types.Count == m_build.FamilyTypes.Count },
+                { "visibility_applied", m_failedVisibility.Count == 0 }
+            };
+
+            Console.WriteLine("Family Creation Validation Results:");
+            foreach (KeyValuePair<string, bool> result in results)
+                Console.WriteLine("  " + result.Key + ": " + result.Value);
+            return results.Values.All(value => value);
+        }
+
+        static XYZ ToXYZ(SIRPoint point)
+        {
+            return new XYZ(point.X, point.Y, point.Z);
+        }
+
+        static XYZ ToXZ(SIRPoint point)
+        {
+            return new XYZ(point.X, 0, point.Y);
+        }
+
+        static XYZ[] Flat(List<SIRPoint> points)
+        {
+            return points.Select(p => new XYZ(p.X, p.Y, 0)).ToArray();
+        }
+
+        #region Helpers
+        /// <summary>
+        /// A reference plane or face to constrain, with its position
+        /// </summary>
+        class ConstraintReference
+        {
+            public Reference Reference;
+            public XYZ Origin;
+            public XYZ Normal;
+
+            public ConstraintReference(Reference reference, XYZ origin, XYZ normal)
+            {
+                Reference = reference;
+                Origin = origin;
+                Normal = normal;
+            }
+        }
+
+        static readonly Dictionary<string, XYZ> FaceDirections = new Dictionary<string, XYZ>(StringComparer.OrdinalIgnoreCase)
+        {
+            { "Left", new XYZ(-1, 0, 0) },
+            { "Right", new XYZ(1, 0, 0) },
+            { "Front", new XYZ(0, -1, 0) },
+            { "Back", new XYZ(0, 1, 0) },
+            { "Bottom", new XYZ(0, 0, -1) },
+            { "Top", new XYZ(0, 0, 1) }
+        };
+
+        ElementId FindMaterial(string name)
+        {
+            Material material = new FilteredElementCollector(m_document)
+                .OfClass(typeof(Material))
+                .Cast<Material>()
+                .FirstOrDefault(m => m.Name == name);
+            return material != null ? material.Id : Material.Create(m_document, name);
+        }
+
+        ElementId MaterialId(string name)
+        {
+            ElementId id;
+            return m_materials.TryGetValue(name, out id) ? id : FindMaterial(name);
+        }
+
+        View FindView(ViewType viewType, string name)
+        {
+            return new FilteredElementCollector(m_document)
+                .OfClass(typeof(View))
+                .Cast<View>()
+                .FirstOrDefault(vw => !vw.IsTemplate && vw.ViewType == viewType && (name == null || vw.Name == name));
+        }
+
+        View ViewForNormal(XYZ normal)
+        {
+            // Vertical planes are seen edge-on in plan, horizontal ones in elevation
+            if (Math.Abs(normal.Z) < 0.5)
+                return FindView(ViewType.FloorPlan, "Ref. Level") ?? FindView(ViewType.FloorPlan, null);
+            return FindView(ViewType.Elevation, "Front") ?? FindView(ViewType.Elevation, null);
+        }
+
+        ReferencePlane FindReferencePlane(string name)
+        {
+            ReferencePlane plane;
+            if (m_referencePlanes.TryGetValue(name, out plane))
+                return plane;
+            return new FilteredElementCollector(m_document)
+                .OfClass(typeof(ReferencePlane))
+                .Cast<ReferencePlane>()
+                .FirstOrDefault(p => p.Name == name);
+        }
+
+        ReferencePlane CreateReferencePlane(string name, XYZ origin, XYZ normal)
+        {
+            const double extent = 2.0;
+            XYZ direction;
+            XYZ cutVec;
+            normal = normal.Normalize();
+            if (Math.Abs(normal.Z) < 0.5)
+            {
+                direction = XYZ.BasisZ.CrossProduct(normal).Normalize();
+                cutVec = XYZ.BasisZ;
+            }
+            else
+            {
+                direction = XYZ.BasisX;
+                cutVec = normal.CrossProduct(direction).Normalize();
+            }
+            ReferencePlane refPlane = m_document.FamilyCreate.NewReferencePlane(origin + direction * extent, origin - direction * extent, cutVec, ViewForNormal(normal));
+            refPlane.Name = name;
+            return refPlane;
+        }
+
+        FamilyParameter GetOrAddParameter(string name, ForgeTypeId group, ForgeTypeId spec, bool isInstance)
+        {
+            FamilyParameter existing = m_familyManager.get_Parameter(name);
+            return existing ?? m_familyManager.AddParameter(name, group, spec, isInstance);
+        }
+
+        FamilyParameter FamilyParameterByName(string name)
+        {
+            FamilyParameter parameter;
+            return m_parameters.TryGetValue(name, out parameter) ? parameter : m_familyManager.get_Parameter(name);
+        }
+
+        FamilyType GetOrAddType(string name)
+        {
+            foreach (FamilyType familyType in m_familyManager.Types)
+            {
+                if (familyType.Name == name)
+                    return familyType;
+            }
+            return m_familyManager.NewType(name);
+        }
+
+        static CurveArray ProfileLoop(XYZ[] points, bool closed = true)
+        {
+            CurveArray loop = new CurveArray();
+            int count = closed ? points.Length : points.Length - 1;
+            for (int i = 0; i < count; i++)
+                loop.Append(Line.CreateBound(points[i], points[(i + 1) % points.Length]));
+            return loop;
+        }
+
+        static CurveArrArray ProfileLoops(params CurveArray[] loops)
+        {
+            CurveArrArray array = new CurveArrArray();
+            foreach (CurveArray loop in loops)
+                array.Append(loop);
+            return array;
+        }
+
+        SketchPlane NewSketchPlane(XYZ normal, XYZ origin)
+        {
+            return SketchPlane.Create(m_document, Plane.CreateByNormalAndOrigin(normal, origin));
+        }
+
+        void SetMaterial(GenericForm form, string materialName, string parameterName)
+        {
+            Parameter elementParameter = form.get_Parameter(BuiltInParameter.MATERIAL_ID_PARAM);
+            FamilyParameter familyParameter;
+            if (parameterName != null && m_parameters.TryGetValue(parameterName, out familyParameter))
+                m_familyManager.AssociateElementParameterToFamilyParameter(elementParameter, familyParameter);
+            else if (materialName != null)
+                elementParameter.Set(MaterialId(materialName));
+        }
+
+        Sweep NewSweep(bool isSolid, UV[] profilePoints, XYZ[] pathPoints)
+        {
+            // The profile is drawn in the plane normal to the first path segment
+            XYZ tangent = (pathPoints[1] - pathPoints[0]).Normalize();
+            XYZ side = XYZ.BasisZ.CrossProduct(tangent);
+            if (side.GetLength() < 1e-9)
+                side = XYZ.BasisX;
+            side = side.Normalize();
+            XYZ up = tangent.CrossProduct(side);
+            XYZ pathNormal = up;
+            for (int i = 2; i < pathPoints.Length; i++)
+            {
+                XYZ normal = (pathPoints[1] - pathPoints[0]).CrossProduct(pathPoints[i] - pathPoints[0]);
+                if (normal.GetLength() > 1e-9)
+                {
+                    pathNormal = normal.Normalize();
+                    break;
+                }
+            }
+            XYZ origin = pathPoints[0];
+            XYZ[] profile = profilePoints.Select(p => origin + side * p.U + up * p.V).ToArray();
+            SweepProfile sweepProfile = m_application.Create.NewCurveLoopsProfile(ProfileLoops(ProfileLoop(profile)));
+            return m_document.FamilyCreate.NewSweep(isSolid, ProfileLoop(pathPoints, false), NewSketchPlane(pathNormal, origin), sweepProfile, 0, ProfilePlaneLocation.Start);
+        }
+
+        IEnumerable<PlanarFace> PlanarFaces(Element element)
+        {
+            Options options = new Options();
+            options.ComputeReferences = true;
+            foreach (GeometryObject geometry in element.get_Geometry(options))
+            {
+                Solid solid = geometry as Solid;
+                if (solid == null)
+                    continue;
+                foreach (Face face in solid.Faces)
+                {
+                    PlanarFace planarFace = face as PlanarFace;
+                    if (planarFace != null)
+                        yield return planarFace;
+                }
+            }
+        }
+
+        /// <summary>
+        /// The face pointing in direction, or the face parallel to near that is closest to it
+        /// </summary>
+        PlanarFace FindFace(Element element, XYZ direction, ConstraintReference near)
+        {
+            PlanarFace best = null;
+            double bestScore = double.MaxValue;
+            foreach (PlanarFace face in PlanarFaces(element))
+            {
+                double score;
+                if (direction != null)
+                {
+                    score = -face.FaceNormal.DotProduct(direction);
+                }
+                else
+                {
+                    if (Math.Abs(Math.Abs(face.FaceNormal.DotProduct(near.Normal)) - 1) > 1e-6)
+                        continue;
+                    score = Math.Abs((face.Origin - near.Origin).DotProduct(near.Normal));
+                }
+                if (score < bestScore)
+                {
+                    best = face;
+                    bestScore = score;
+                }
+            }
+            return best;
+        }
+
+        ConstraintReference ResolveReference(string name, ConstraintReference other)
+        {
+            ReferencePlane plane = FindReferencePlane(name);
+            if (plane != null)
+                return new ConstraintReference(plane.GetReference(), plane.GetPlane().Origin, plane.GetPlane().Normal);
+
+            string owner = name;
+            string faceName = null;
+            int separator = Math.Max(name.LastIndexOf('.'), name.LastIndexOf(':'));
+            if (separator > 0 && m_geometry.ContainsKey(name.Substring(0, separator)))
+            {
+                owner = name.Substring(0, separator);
+                faceName = name.Substring(separator + 1);
+            }
+
+            GenericForm form;
+            if (!m_geometry.TryGetValue(owner, out form))
+                throw new InvalidOperationException("Unknown reference " + name);
+
+            PlanarFace face;
+            if (faceName != null)
+            {
+                XYZ direction;
+                if (!FaceDirections.TryGetValue(faceName, out direction))
+                    throw new InvalidOperationException("Unknown face " + name);
+                face = FindFace(form, direction, null);
+            }
+            else if (other != null)
+            {
+                face = FindFace(form, null, other);
+            }
+            else
+            {
+                throw new InvalidOperationException("Name a face of " + name + " to constrain it");
+            }
+            if (face == null)
+                throw new InvalidOperationException("No face of " + owner + " matches " + name);
+            return new ConstraintReference(face.Reference, face.Origin, face.FaceNormal);
+        }
+
+        ConstraintReference[] ResolvePair(string name1, string name2)
+        {
+            // A whole element is located through the face nearest the other reference
+            if (m_geometry.ContainsKey(name1))
+            {
+                ConstraintReference second = ResolveReference(name2, null);
+                return new[] { ResolveReference(name1, second), second };
+            }
+            ConstraintReference first = ResolveReference(name1, null);
+            return new[] { first, ResolveReference(name2, first) };
+        }
+
+        ConstraintReference CenterReference(XYZ normal)
+        {
+            foreach (string name in new[] { "Center (Left/Right)", "Center (Front/Back)", "Ref. Level" })
+            {
+                ReferencePlane plane = FindReferencePlane(name);
+                if (plane != null && Math.Abs(Math.Abs(plane.GetPlane().Normal.DotProduct(normal)) - 1) < 1e-6)
+                    return new ConstraintReference(plane.GetReference(), plane.GetPlane().Origin, plane.GetPlane().Normal);
+            }
+            throw new InvalidOperationException("No center reference plane parallel to the constrained references");
+        }
+
+        Dimension AddDimension(ConstraintReference[] references, string label, bool lockDimension, bool equal)
+        {
+            ReferenceArray refArray = new ReferenceArray();
+            foreach (ConstraintReference reference in references)
+                refArray.Append(reference.Reference);
+            XYZ start = references[0].Origin;
+            XYZ normal = references[0].Normal;
+            double distance = (references[references.Length - 1].Origin - start).DotProduct(normal);
+            if (Math.Abs(distance) < 1e-9)
+                distance = 1.0;
+            Line line = Line.CreateBound(start, start + normal * distance);
+            Dimension dim = m_document.FamilyCreate.NewDimension(ViewForNormal(normal), line, refArray);
+            if (equal)
+                dim.AreSegmentsEqual = true;
+            if (label != null)
+                dim.FamilyLabel = FamilyParameterByName(label);
+            else if (lockDimension)
+                dim.IsLocked = true;
+            return dim;
+        }
+
+        Dimension AddAlignment(ConstraintReference[] references, bool lockAlignment)
+        {
+            Dimension alignment = m_document.FamilyCreate.NewAlignment(ViewForNormal(references[0].Normal), references[0].Reference, references[1].Reference);
+            alignment.IsLocked = lockAlignment;
+            return alignment;
+        }
+
+        void ApplyConstraint(string description, Action create)
+        {
+            SubTransaction subTransaction = new SubTransaction(m_document);
+            subTransaction.Start();
+            try
+            {
+                create();
+                subTransaction.Commit();
+                m_appliedConstraints.Add(description);
+            }
+            catch (Exception e)
+            {
+                subTransaction.RollBack();
+                m_failedConstraints.Add(description);
+                Console.WriteLine("Constraint failed: " + description + ": " + e.Message);
+            }
+        }
+
+        void SetElementVisibility(string name, bool coarse, bool medium, bool fine)
+        {
+            try
+            {
+                FamilyElementVisibility visibility = new FamilyElementVisibility(FamilyElementVisibilityType.Model);
+                visibility.IsShownInCoarse = coarse;
+                visibility.IsShownInMedium = medium;
+                visibility.IsShownInFine = fine;
+                m_geometry[name].SetVisibility(visibility);
+            }
+            catch (Exception e)
+            {
+                m_failedVisibility.Add(name);
+                Console.WriteLine("Visibility failed: " + name + ": " + e.Message);
+            }
+        }
+
+        bool SaveFamily()
+        {
+            try
+            {
+                if (File.Exists(m_outputPath))
+                    File.Delete(m_outputPath);
+
+                SaveAsOptions saveOpts = new SaveAsOptions();
+                // Use a 3D view as the preview when the family has none
+                if (m_document.GetDocumentPreviewSettings().PreviewViewId.Equals(ElementId.InvalidElementId))
+                {
+                    View view = new FilteredElementCollector(m_document)
+                        .OfClass(typeof(View))
+                        .Cast<View>()
+                        .FirstOrDefault(vw => vw.ViewType == ViewType.ThreeD && !vw.IsTemplate);
+                    if (view != null)
+                        saveOpts.PreviewViewId = view.Id;
+                }
+
+                m_document.SaveAs(m_outputPath, saveOpts);
+                return true;
+            }
+            catch (Exception e)
+            {
+                Console.WriteLine("Write to " + m_outputPath + " failed: " + e.Message);
+                return false;
+            }
+        }
+        #endregion
+    }
+}
+
@@ -80,11 +80,19 @@ namespace Autodesk.APS.RevitIO.CreateWindow
                 return false;
             }else
             {
+                // The template's category picks what is built: DoorParams for a
+                // Door template, WindowParams for a Window template.
+                if (null != doc.OwnerFamily && null != doc.OwnerFamily.FamilyCategory
+                    && doc.OwnerFamily.FamilyCategory.Name == doc.Settings.Categories.get_Item(BuiltInCategory.OST_Doors).Name)
+                {
+                    DoorWizard doorWizard = new DoorWizard(createWindowData);
+                    return doorWizard.RunWizard();
+                }
                 if (null != doc.OwnerFamily && null != doc.OwnerFamily.FamilyCategory
                     && doc.OwnerFamily.FamilyCategory.Name != doc.Settings.Categories.get_Item(BuiltInCategory.OST_Windows).Name)
-                // FamilyCategory.Name is not "Windows".
+                // FamilyCategory.Name is neither "Doors" nor "Windows".
                 {
-                    Console.WriteLine("It's not windows family template");
+                    Console.WriteLine("It's not windows or doors family template");
                     return false;
                 }
                 WindowWizard wizard = new WindowWizard(createWindowData);
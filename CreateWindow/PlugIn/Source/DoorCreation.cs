@@ -0,0 +1,577 @@
+//
+// (C) Copyright 2003-2017 by Autodesk, Inc.
+//
+// Permission to use, copy, modify, and distribute this software in
+// object code form for any purpose and without fee is hereby granted,
+// provided that the above copyright notice appears in all copies and
+// that both that copyright notice and the limited warranty and
+// restricted rights notice below appear in all supporting
+// documentation.
+//
+// AUTODESK PROVIDES THIS PROGRAM "AS IS" AND WITH ALL FAULTS.
+// AUTODESK SPECIFICALLY DISCLAIMS ANY IMPLIED WARRANTY OF
+// MERCHANTABILITY OR FITNESS FOR A PARTICULAR USE. AUTODESK, INC.
+// DOES NOT WARRANT THAT THE OPERATION OF THE PROGRAM WILL BE
+// UNINTERRUPTED OR ERROR FREE.
+//
+// Use, duplication, or disclosure by the U.S. Government is subject to
+// restrictions set forth in FAR 52.227-19 (Commercial Computer
+// Software - Restricted Rights) and DFAR 252.227-7013(c)(1)(ii)
+// (Rights in Technical Data and Computer Software), as applicable.
+//
+
+using System;
+using System.IO;
+using System.Collections.Generic;
+using System.Linq;
+using Autodesk.Revit.DB;
+using Autodesk.Revit.ApplicationServices;
+
+namespace Autodesk.APS.RevitIO.CreateWindow
+{
+    /// <summary>
+    /// The class is used to create a door family (single, double, sliding or
+    /// pocket) in a Door family template. The geometry is modelled at the
+    /// first type's sizes; every type sets the door parameters, and the
+    /// template's opening follows each type's Width and Height.
+    /// </summary>
+    class DoorCreation
+    {
+        #region Class Memeber Variables
+        /// <summary>
+        /// Sliding and pocket leaves overlap the opening by this much
+        /// </summary>
+        const double LeafOverlap = 0.0833;
+
+        /// <summary>
+        /// Face width and thickness of the casing of a Cased frame
+        /// </summary>
+        const double CasingWidth = 0.2917;
+        const double CasingThickness = 0.0625;
+
+        /// <summary>
+        /// Size of the stop of a Rebated frame
+        /// </summary>
+        const double StopWidth = 0.0417;
+
+        /// <summary>
+        /// store the Application
+        /// </summary>
+        private Application m_application;
+
+        /// <summary>
+        /// store the document
+        /// </summary>
+        private Document m_document;
+
+        /// <summary>
+        /// store the FamilyManager
+        /// </summary>
+        private FamilyManager m_familyManager;
+
+        /// <summary>
+        /// store the door parameters, in feet
+        /// </summary>
+        private DoorsDAParams m_para;
+
+        /// <summary>
+        /// store the CreateExtrusion instance
+        /// </summary>
+        CreateExtrusion m_extrusionCreator;
+
+        /// <summary>
+        /// store the center referenceplane, the sketch plane of all door geometry
+        /// </summary>
+        ReferencePlane m_centerPlane;
+
+        /// <summary>
+        /// store the frame category
+        /// </summary>
+        Category m_frameCat;
+
+        /// <summary>
+        /// store the panel category
+        /// </summary>
+        Category m_panelCat;
+
+        /// <summary>
+        /// store the thickness parameter of wall
+        /// </summary>
+        double m_wallThickness;
+
+        /// <summary>
+        /// Store the height value of wall
+        /// </summary>
+        double m_wallHeight = 10;
+
+        /// <summary>
+        /// Store the width value of wall
+        /// </summary>
+        double m_wallWidth = 10;
+
+        /// <summary>
+        /// store the frame material ID
+        /// </summary>
+        int m_frameMatID;
+
+        /// <summary>
+        /// store the panel material ID
+        /// </summary>
+        int m_panelMatID;
+        #endregion
+
+        /// <summary>
+        /// store the validator for the template's wall
+        /// </summary>
+        public ValidateDoorParameter Validator { get; private set; }
+
+        /// <summary>
+        /// store the path the family is saved to
+        /// </summary>
+        public string PathName { get; private set; }
+
+        /// <summary>
+        /// constructor of DoorCreation
+        /// </summary>
+        /// <param name="para">the door parameters, in feet</param>
+        /// <param name="commandData">ExternalCommandData</param>
+        public DoorCreation(DoorsDAParams para, CreateWindowData commandData)
+        {
+            m_para = para;
+            m_application = commandData.Application;
+            m_document = commandData.Document;
+            m_familyManager = m_document.FamilyManager;
+
+            using (Transaction tran = new Transaction(m_document, "InitializeDoorWizard"))
+            {
+                tran.Start();
+
+                CollectTemplateInfo();
+                Validator = new ValidateDoorParameter(m_wallHeight, m_wallWidth);
+                PathName = "DoorFamily.rfa";
+                m_extrusionCreator = new CreateExtrusion(m_application, m_document);
+
+                tran.Commit();
+            }
+        }
+
+        #region Class Implementation
+        /// <summary>
+        /// The implementation of Creation(), defining the way to do the whole creation.
+        /// </summary>
+        public bool Creation()
+        {
+            using (Autodesk.Revit.DB.Transaction trans = new Transaction(m_document, "FinishDoorWizard"))
+            {
+                try
+                {
+                    trans.Start();
+                    DoorTypeDAParams type = m_para.Types[0];
+                    this.CreateMaterial();
+                    this.CreateFrame(type);
+                    this.CreateLeaves(type);
+                    this.CreateThreshold(type);
+                    this.CreateSwing(type);
+                    this.CombineAndBuild();
+                    trans.Commit();
+                }
+                catch (Exception ee)
+                {
+                    System.Diagnostics.Debug.WriteLine(ee.Message);
+                    System.Diagnostics.Debug.WriteLine(ee.StackTrace);
+                    return false;
+                }
+                finally
+                {
+                    if (trans.HasStarted())
+                        trans.RollBack();
+                }
+            }
+
+            try
+            {
+                if (File.Exists(PathName))
+                    File.Delete(PathName);
+
+
+                SaveAsOptions saveOpts = new SaveAsOptions();
+                // Check for permanent preview view
+                if (m_document.GetDocumentPreviewSettings().PreviewViewId.Equals(ElementId.InvalidElementId))
+                {
+                    // use 3D view as preview
+                    View view = new FilteredElementCollector(m_document)
+                        .OfClass(typeof(View))
+                        .Cast<View>()
+                        .Where(vw =>
+                           vw.ViewType == ViewType.ThreeD && !vw.IsTemplate
+                        )
+                        .FirstOrDefault();
+
+                    if (view != null)
+                    {
+                        saveOpts.PreviewViewId = view.Id;
+                    }
+                }
+
+                m_document.SaveAs(PathName, saveOpts);
+            }
+            catch (Exception e)
+            {
+                System.Diagnostics.Debug.WriteLine("Write to " + PathName + " Failed");
+                System.Diagnostics.Debug.WriteLine(e.Message);
+            }
+            return true;
+        }
+
+        /// <summary>
+        /// The method is used to find the frame and panel materials by name
+        /// </summary>
+        private void CreateMaterial()
+        {
+            SubTransaction subTransaction = new SubTransaction(m_document);
+            subTransaction.Start();
+
+            FilteredElementCollector elementCollector = new FilteredElementCollector(m_document);
+            elementCollector.WherePasses(new ElementClassFilter(typeof(Material)));
+            IList<Element> materials = elementCollector.ToElements();
+
+            foreach (Element materialElement in materials)
+            {
+                Material material = materialElement as Material;
+                if (0 == material.Name.CompareTo(m_para.FrameMaterial))
+                {
+                    m_frameMatID = material.Id.IntegerValue;
+                }
+
+                if (0 == material.Name.CompareTo(m_para.PanelMaterial))
+                {
+                    m_panelMatID = material.Id.IntegerValue;
+                }
+            }
+            subTransaction.Commit();
+        }
+
+        /// <summary>
+        /// The method is used to create the jambs and head, and the stops of a
+        /// Rebated frame or the casing of a Cased one. A None frame has neither.
+        /// </summary>
+        /// <param name="type">the type the geometry is modelled at</param>
+        private void CreateFrame(DoorTypeDAParams type)
+        {
+            if (m_para.FrameProfile == "None")
+                return;
+
+            SubTransaction subTransaction = new SubTransaction(m_document);
+            subTransaction.Start();
+
+            double half = type.DoorWidth / 2;
+            double frameWidth = type.FrameWidth;
+            double frameDepth = type.FrameDepth;
+            double height = type.DoorHeight;
+
+            //create the jambs and the head
+            NewBox(-half, -half + frameWidth, 0, height, frameDepth / 2, -frameDepth / 2, m_frameCat, m_frameMatID);
+            NewBox(half - frameWidth, half, 0, height, frameDepth / 2, -frameDepth / 2, m_frameCat, m_frameMatID);
+            NewBox(-half, half, height - frameWidth, height, frameDepth / 2, -frameDepth / 2, m_frameCat, m_frameMatID);
+
+            //create the stops the swinging leaves close against
+            if (m_para.FrameProfile == "Rebated" && IsSwinging())
+            {
+                double stopStart = type.DoorThickness / 2;
+                double stopEnd = frameDepth / 2;
+                double inner = half - frameWidth;
+                NewBox(-inner, -inner + StopWidth, type.ThresholdHeight, height - frameWidth, stopStart, stopEnd, m_frameCat, m_frameMatID);
+                NewBox(inner - StopWidth, inner, type.ThresholdHeight, height - frameWidth, stopStart, stopEnd, m_frameCat, m_frameMatID);
+                NewBox(-inner, inner, height - frameWidth - StopWidth, height - frameWidth, stopStart, stopEnd, m_frameCat, m_frameMatID);
+            }
+
+            //create the casing on both faces of the wall
+            if (m_para.FrameProfile == "Cased")
+            {
+                foreach (double face in new double[] { m_wallThickness / 2, -m_wallThickness / 2 })
+                {
+                    double outside = face + Math.Sign(face) * CasingThickness;
+                    NewBox(-half - CasingWidth, -half + frameWidth, 0, height + CasingWidth, face, outside, m_frameCat, m_frameMatID);
+                    NewBox(half - frameWidth, half + CasingWidth, 0, height + CasingWidth, face, outside, m_frameCat, m_frameMatID);
+                    NewBox(-half - CasingWidth, half + CasingWidth, height, height + CasingWidth, face, outside, m_frameCat, m_frameMatID);
+                }
+            }
+
+            subTransaction.Commit();
+        }
+
+        /// <summary>
+        /// The method is used to create the leaves and their hardware. Swinging
+        /// leaves fill the frame; sliding leaves hang on a track on the exterior
+        /// face; pocket leaves run into the wall on the side away from the
+        /// swing direction.
+        /// </summary>
+        /// <param name="type">the type the geometry is modelled at</param>
+        private void CreateLeaves(DoorTypeDAParams type)
+        {
+            SubTransaction subTransaction = new SubTransaction(m_document);
+            subTransaction.Start();
+
+            double frameWidth = FrameWidth(type);
+            double clear = type.DoorWidth - 2 * frameWidth;
+            double bottom = type.ThresholdHeight;
+            double top = type.DoorHeight - frameWidth;
+            double thickness = type.DoorThickness;
+            int leafCount = Math.Max(m_para.LeafCount, 1);
+            double leafWidth = clear / leafCount;
+            // leaves move towards, or are hinged on, the +x side unless Left
+            double side = m_para.SwingDirection == "Left" ? -1 : 1;
+
+            double start = thickness / 2;
+            double end = -thickness / 2;
+            if (m_para.DoorStyle == "SlidingDoor")
+            {
+                start = Math.Max(type.FrameDepth, thickness) / 2;
+                end = start + thickness;
+
+                //create the track above the opening
+                double reach = leafCount == 1 ? clear : clear / 2;
+                NewBox(-clear / 2 - LeafOverlap - (side < 0 || leafCount == 2 ? reach : 0),
+                    clear / 2 + LeafOverlap + (side > 0 || leafCount == 2 ? reach : 0),
+                    top, top + 0.1667, start, end + LeafOverlap, m_frameCat, m_frameMatID);
+            }
+
+            for (int i = 0; i < leafCount; i++)
+            {
+                double left = -clear / 2 + i * leafWidth;
+                double right = left + leafWidth;
+                if (m_para.DoorStyle == "SlidingDoor" || m_para.DoorStyle == "PocketDoor")
+                {
+                    //overlap the frame, or the pocket, on the side the leaf opens to
+                    if (leafCount == 2)
+                    {
+                        if (i == 0) left -= LeafOverlap; else right += LeafOverlap;
+                    }
+                    else if (side > 0)
+                    {
+                        right += LeafOverlap;
+                    }
+                    else
+                    {
+                        left -= LeafOverlap;
+                    }
+                }
+                NewBox(left, right, bottom, top, start, end, m_panelCat, m_panelMatID);
+
+                //create the lever or pull at the latch edge
+                bool latchOnLeft = leafCount == 2 ? i == 1 : side > 0;
+                double latch = latchOnLeft ? left + 0.25 : right - 0.25;
+                NewBox(latch - 0.1875, latch + 0.1875, type.HardwareHeight - 0.0313, type.HardwareHeight + 0.0313,
+                    start + 0.1875 * Math.Sign(start - end), end - 0.1875 * Math.Sign(start - end), m_frameCat, m_frameMatID);
+            }
+
+            subTransaction.Commit();
+        }
+
+        /// <summary>
+        /// The method is used to create the threshold across the opening
+        /// </summary>
+        /// <param name="type">the type the geometry is modelled at</param>
+        private void CreateThreshold(DoorTypeDAParams type)
+        {
+            if (type.ThresholdHeight <= 0)
+                return;
+
+            SubTransaction subTransaction = new SubTransaction(m_document);
+            subTransaction.Start();
+
+            double half = type.DoorWidth / 2 - FrameWidth(type);
+            double depth = Math.Max(type.FrameDepth, type.DoorThickness);
+            NewBox(-half, half, 0, type.ThresholdHeight, depth / 2, -depth / 2, m_frameCat, m_frameMatID);
+
+            subTransaction.Commit();
+        }
+
+        /// <summary>
+        /// The method is used to draw the plan swing of swinging leaves: each
+        /// leaf open at 90 degrees towards the interior, and its arc
+        /// </summary>
+        /// <param name="type">the type the geometry is modelled at</param>
+        private void CreateSwing(DoorTypeDAParams type)
+        {
+            if (!IsSwinging())
+                return;
+
+            SubTransaction subTransaction = new SubTransaction(m_document);
+            subTransaction.Start();
+            try
+            {
+                SketchPlane planSketch = SketchPlane.Create(m_document, Plane.CreateByNormalAndOrigin(XYZ.BasisZ, XYZ.Zero));
+                double clear = type.DoorWidth - 2 * FrameWidth(type);
+                int leafCount = Math.Max(m_para.LeafCount, 1);
+                double leafWidth = clear / leafCount;
+                XYZ interior = new XYZ(0, -1, 0);
+
+                for (int i = 0; i < leafCount; i++)
+                {
+                    // hinge at the jamb; a single Left leaf is hinged on the -x jamb
+                    bool hingeOnLeft = leafCount == 2 ? i == 0 : m_para.SwingDirection == "Left";
+                    XYZ hinge = new XYZ(hingeOnLeft ? -clear / 2 : clear / 2, -type.DoorThickness / 2, 0);
+                    XYZ closed = new XYZ(hingeOnLeft ? 1 : -1, 0, 0);
+
+                    m_document.FamilyCreate.NewSymbolicCurve(Line.CreateBound(hinge, hinge + interior * leafWidth), planSketch);
+                    m_document.FamilyCreate.NewSymbolicCurve(Arc.Create(hinge, leafWidth, 0, Math.PI / 2, closed, interior), planSketch);
+                }
+                subTransaction.Commit();
+            }
+            catch (Exception e)
+            {
+                // the swing is annotation only; the family is still usable without it
+                System.Diagnostics.Debug.WriteLine("Door swing failed: " + e.Message);
+                subTransaction.RollBack();
+            }
+        }
+
+        /// <summary>
+        /// The method is used to add the door parameters and define the door types
+        /// </summary>
+        private void CombineAndBuild()
+        {
+            SubTransaction subTransaction = new SubTransaction(m_document);
+            subTransaction.Start();
+
+            FamilyParameter style = GetOrAddParameter("Door Style", SpecTypeId.String.Text);
+            FamilyParameter leafCount = GetOrAddParameter("Leaf Count", SpecTypeId.Int.Integer);
+            FamilyParameter swing = GetOrAddParameter("Swing Direction", SpecTypeId.String.Text);
+            FamilyParameter profile = GetOrAddParameter("Frame Profile", SpecTypeId.String.Text);
+            FamilyParameter thickness = GetOrAddParameter("Thickness", SpecTypeId.Length);
+            FamilyParameter frameWidth = GetOrAddParameter("Frame Width", SpecTypeId.Length);
+            FamilyParameter frameDepth = GetOrAddParameter("Frame Depth", SpecTypeId.Length);
+            FamilyParameter threshold = GetOrAddParameter("Threshold Height", SpecTypeId.Length);
+            FamilyParameter hardware = GetOrAddParameter("Hardware Height", SpecTypeId.Length);
+
+            foreach (DoorTypeDAParams type in m_para.Types)
+            {
+                try
+                {
+                    FamilyType familyType = m_familyManager.Types.Cast<FamilyType>().FirstOrDefault(t => t.Name == type.TypeName)
+                        ?? m_familyManager.NewType(type.TypeName);
+                    m_familyManager.CurrentType = familyType;
+                    m_familyManager.Set(m_familyManager.get_Parameter(BuiltInParameter.DOOR_WIDTH), type.DoorWidth);
+                    m_familyManager.Set(m_familyManager.get_Parameter(BuiltInParameter.DOOR_HEIGHT), type.DoorHeight);
+                    m_familyManager.Set(style, m_para.DoorStyle);
+                    m_familyManager.Set(leafCount, m_para.LeafCount);
+                    m_familyManager.Set(swing, m_para.SwingDirection);
+                    m_familyManager.Set(profile, m_para.FrameProfile);
+                    m_familyManager.Set(thickness, type.DoorThickness);
+                    m_familyManager.Set(frameWidth, FrameWidth(type));
+                    m_familyManager.Set(frameDepth, type.FrameDepth);
+                    m_familyManager.Set(threshold, type.ThresholdHeight);
+                    m_familyManager.Set(hardware, type.HardwareHeight);
+                }
+                catch (Exception e)
+                {
+                    System.Diagnostics.Debug.WriteLine(e.Message);
+                }
+            }
+
+            subTransaction.Commit();
+        }
+
+        /// <summary>
+        /// The method is used to collect template information: the wall, the
+        /// door subcategories and the center reference plane
+        /// </summary>
+        private void CollectTemplateInfo()
+        {
+            List<Wall> walls = Utility.GetElements<Wall>(m_application, m_document);
+            if (walls.Count > 0)
+            {
+                m_wallThickness = walls[0].Width;
+                Parameter wallheightPara = walls[0].get_Parameter(BuiltInParameter.WALL_USER_HEIGHT_PARAM);
+                if (wallheightPara != null)
+                {
+                    m_wallHeight = wallheightPara.AsDouble();
+                }
+
+                LocationCurve location = walls[0].Location as LocationCurve;
+                if (location != null)
+                {
+                    m_wallWidth = location.Curve.Length;
+                }
+            }
+
+            //get categories
+            Categories categories = m_document.Settings.Categories;
+            m_frameCat = categories.get_Item(BuiltInCategory.OST_DoorsFrameMullionProjection);
+            m_panelCat = categories.get_Item(BuiltInCategory.OST_DoorsPanelProjection);
+
+            //get referenceplanes
+            m_centerPlane = Utility.GetElements<ReferencePlane>(m_application, m_document)
+                .FirstOrDefault(p => p.Name.Equals("Center (Front/Back)"));
+        }
+
+        /// <summary>
+        /// The method is used to create a box extrusion on the center plane:
+        /// x from left to right, z from bottom to top, and start to end
+        /// offsets from the center plane
+        /// </summary>
+        /// <returns>the new extrusion, or null if it could not be created</returns>
+        private Extrusion NewBox(double left, double right, double bottom, double top, double start, double end, Category subcategory, int materialId)
+        {
+            CurveArrArray curveArrArray = new CurveArrArray();
+            curveArrArray.Append(m_extrusionCreator.CreateRectangle(right, left, top, bottom, 0));
+            Extrusion box = m_extrusionCreator.NewExtrusion(curveArrArray, m_centerPlane, start, end);
+            if (box == null)
+                return null;
+
+            box.SetVisibility(CreateVisibility());
+            if (subcategory != null)
+            {
+                box.Subcategory = subcategory;
+            }
+            if (materialId > 0)
+            {
+                box.get_Parameter(BuiltInParameter.MATERIAL_ID_PARAM).Set(new ElementId(materialId));
+            }
+            return box;
+        }
+
+        /// <summary>
+        /// The method is used to get or add a family type parameter
+        /// </summary>
+        private FamilyParameter GetOrAddParameter(string name, ForgeTypeId spec)
+        {
+            return m_familyManager.get_Parameter(name)
+                ?? m_familyManager.AddParameter(name, new ForgeTypeId(), spec, false);
+        }
+
+        /// <summary>
+        /// Frame width of a type; a None frame has none
+        /// </summary>
+        private double FrameWidth(DoorTypeDAParams type)
+        {
+            return m_para.FrameProfile == "None" ? 0 : type.FrameWidth;
+        }
+
+        /// <summary>
+        /// Whether the leaves are hinged rather than sliding
+        /// </summary>
+        private bool IsSwinging()
+        {
+            return m_para.DoorStyle == "SingleDoor" || m_para.DoorStyle == "DoubleDoor";
+        }
+
+        /// <summary>
+        /// The method is used to create a FamilyElementVisibility instance
+        /// </summary>
+        /// <returns>FamilyElementVisibility instance</returns>
+        private FamilyElementVisibility CreateVisibility()
+        {
+            FamilyElementVisibility familyElemVisibility = new FamilyElementVisibility(FamilyElementVisibilityType.Model);
+            familyElemVisibility.IsShownInCoarse = true;
+            familyElemVisibility.IsShownInFine = true;
+            familyElemVisibility.IsShownInMedium = true;
+            familyElemVisibility.IsShownInFrontBack = true;
+            familyElemVisibility.IsShownInLeftRight = true;
+            familyElemVisibility.IsShownInPlanRCPCut = false;
+            return familyElemVisibility;
+        }
+        #endregion
+    }
+}
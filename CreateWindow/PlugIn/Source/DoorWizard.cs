@@ -0,0 +1,129 @@
+//
+// (C) Copyright 2003-2017 by Autodesk, Inc.
+//
+// Permission to use, copy, modify, and distribute this software in
+// object code form for any purpose and without fee is hereby granted,
+// provided that the above copyright notice appears in all copies and
+// that both that copyright notice and the limited warranty and
+// restricted rights notice below appear in all supporting
+// documentation.
+//
+// AUTODESK PROVIDES THIS PROGRAM "AS IS" AND WITH ALL FAULTS.
+// AUTODESK SPECIFICALLY DISCLAIMS ANY IMPLIED WARRANTY OF
+// MERCHANTABILITY OR FITNESS FOR A PARTICULAR USE. AUTODESK, INC.
+// DOES NOT WARRANT THAT THE OPERATION OF THE PROGRAM WILL BE
+// UNINTERRUPTED OR ERROR FREE.
+//
+// Use, duplication, or disclosure by the U.S. Government is subject to
+// restrictions set forth in FAR 52.227-19 (Commercial Computer
+// Software - Restricted Rights) and DFAR 252.227-7013(c)(1)(ii)
+// (Rights in Technical Data and Computer Software), as applicable.
+//
+
+using System;
+using System.Collections.Generic;
+
+namespace Autodesk.APS.RevitIO.CreateWindow
+{
+    /// <summary>
+    /// The class is used to create door families from DoorParams.json
+    /// </summary>
+    public class DoorWizard
+    {
+        /// <summary>
+        /// store the DoorCreation
+        /// </summary>
+        private DoorCreation m_doorCreator;
+
+        /// <summary>
+        /// store the ExternalCommandData
+        /// </summary>
+        private CreateWindowData m_commandData;
+
+        /// <summary>
+        /// constructor of DoorWizard
+        /// </summary>
+        /// <param name="commandData">the ExternalCommandData parameter</param>
+        public DoorWizard(CreateWindowData commandData)
+        {
+            m_commandData = commandData;
+        }
+
+        /// <summary>
+        /// the method is used to validate the door parameters and do the creation
+        /// </summary>
+        /// <returns>the process result</returns>
+        public bool RunWizard()
+        {
+            // For Door Family Creation workItem
+            DoorsDAParams doorFamilyParams = DoorsDAParams.Parse("DoorParams.json");
+            if (doorFamilyParams == null)
+                return false;
+
+            // Values are expected in Revit internal units (ft). If payload
+            // declares a different unit, convert to internal.
+            foreach (DoorTypeDAParams type in doorFamilyParams.Types)
+            {
+                type.DoorWidth = WindowWizard.ConvertToInternal(type.DoorWidth, doorFamilyParams.unitsContext);
+                type.DoorHeight = WindowWizard.ConvertToInternal(type.DoorHeight, doorFamilyParams.unitsContext);
+                type.DoorThickness = WindowWizard.ConvertToInternal(type.DoorThickness, doorFamilyParams.unitsContext);
+                type.FrameWidth = WindowWizard.ConvertToInternal(type.FrameWidth, doorFamilyParams.unitsContext);
+                type.FrameDepth = WindowWizard.ConvertToInternal(type.FrameDepth, doorFamilyParams.unitsContext);
+                type.ThresholdHeight = WindowWizard.ConvertToInternal(type.ThresholdHeight, doorFamilyParams.unitsContext);
+                type.HardwareHeight = WindowWizard.ConvertToInternal(type.HardwareHeight, doorFamilyParams.unitsContext);
+            }
+
+            m_doorCreator = new DoorCreation(doorFamilyParams, m_commandData);
+
+            List<string> errors = Validate(doorFamilyParams, m_doorCreator.Validator);
+            if (errors.Count > 0)
+            {
+                foreach (string error in errors)
+                    Console.WriteLine("Invalid door parameters: " + error);
+                return false;
+            }
+
+            return m_doorCreator.Creation();
+        }
+
+        /// <summary>
+        /// Check the door settings and every type
+        /// </summary>
+        /// <param name="doorFamilyParams">the door parameters, in feet</param>
+        /// <param name="validator">the validator for the template's wall</param>
+        /// <returns>the validation messages, empty when valid</returns>
+        private static List<string> Validate(DoorsDAParams doorFamilyParams, ValidateDoorParameter validator)
+        {
+            List<string> errors = new List<string>();
+            Action<string> check = message =>
+            {
+                if (!String.IsNullOrEmpty(message))
+                    errors.Add(message);
+            };
+
+            check(validator.IsStyleValid(doorFamilyParams.DoorStyle, doorFamilyParams.LeafCount));
+            check(validator.IsSwingValid(doorFamilyParams.SwingDirection, doorFamilyParams.LeafCount));
+            check(validator.IsFrameProfileValid(doorFamilyParams.FrameProfile));
+            if (doorFamilyParams.Types == null || doorFamilyParams.Types.Length == 0)
+            {
+                errors.Add("At least one door type is needed");
+                return errors;
+            }
+
+            foreach (DoorTypeDAParams type in doorFamilyParams.Types)
+            {
+                double frameWidth = doorFamilyParams.FrameProfile == "None" ? 0 : type.FrameWidth;
+                int count = errors.Count;
+                check(validator.IsWidthInRange(type.DoorWidth));
+                check(validator.IsHeightInRange(type.DoorHeight));
+                check(validator.IsThicknessInRange(type.DoorThickness));
+                check(validator.IsLeafWidthInRange(type.DoorWidth, frameWidth, doorFamilyParams.LeafCount));
+                check(validator.IsThresholdInRange(type.ThresholdHeight, frameWidth, type.DoorHeight));
+                check(validator.IsHardwareHeightInRange(type.HardwareHeight, type.ThresholdHeight, frameWidth, type.DoorHeight));
+                for (int i = count; i < errors.Count; i++)
+                    errors[i] = type.TypeName + ": " + errors[i];
+            }
+            return errors;
+        }
+    }
+}
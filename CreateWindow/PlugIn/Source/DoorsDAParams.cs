@@ -0,0 +1,53 @@
+﻿using System;
+using System.IO;
+using Newtonsoft.Json;
+
+namespace Autodesk.APS.RevitIO.CreateWindow
+{
+
+    internal class DoorTypeDAParams
+    {
+        public String TypeName { get; set; } = "New Type";
+        public Double DoorWidth { get; set; } = 3;
+        public Double DoorHeight { get; set; } = 7;
+        public Double DoorThickness { get; set; } = 0.17;
+        public Double FrameWidth { get; set; } = 0.125;
+        public Double FrameDepth { get; set; } = 0.375;
+        public Double ThresholdHeight { get; set; } = 0.0417;
+        public Double HardwareHeight { get; set; } = 3.5;
+
+    }
+
+    internal class DoorsDAParams
+    {
+        public DoorTypeDAParams[] Types { get; set; } = { new DoorTypeDAParams() };
+
+        public WindowsDAParams.UnitsContext unitsContext { get; set; } = new WindowsDAParams.UnitsContext();
+
+        public String DoorStyle { get; set; } = "SingleDoor";
+        public Int32 LeafCount { get; set; } = 1;
+        public String SwingDirection { get; set; } = "Right";
+        public String FrameProfile { get; set; } = "Rectangular";
+        public String FrameMaterial { get; set; } = "Default";
+        public String PanelMaterial { get; set; } = "Default";
+
+        static public DoorsDAParams Parse(string jsonPath)
+        {
+            try
+            {
+                if (!File.Exists(jsonPath))
+                    return new DoorsDAParams();
+
+                string jsonContents = File.ReadAllText(jsonPath);
+                return JsonConvert.DeserializeObject<DoorsDAParams>(jsonContents);
+            }
+            catch (Exception ex)
+            {
+                Console.WriteLine("Exception when parsing json file: " + ex);
+                return null;
+            }
+        }
+    }
+
+
+}
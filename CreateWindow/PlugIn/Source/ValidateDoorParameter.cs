@@ -0,0 +1,199 @@
+//
+// (C) Copyright 2003-2017 by Autodesk, Inc.
+//
+// Permission to use, copy, modify, and distribute this software in
+// object code form for any purpose and without fee is hereby granted,
+// provided that the above copyright notice appears in all copies and
+// that both that copyright notice and the limited warranty and
+// restricted rights notice below appear in all supporting
+// documentation.
+//
+// AUTODESK PROVIDES THIS PROGRAM "AS IS" AND WITH ALL FAULTS.
+// AUTODESK SPECIFICALLY DISCLAIMS ANY IMPLIED WARRANTY OF
+// MERCHANTABILITY OR FITNESS FOR A PARTICULAR USE. AUTODESK, INC.
+// DOES NOT WARRANT THAT THE OPERATION OF THE PROGRAM WILL BE
+// UNINTERRUPTED OR ERROR FREE.
+//
+// Use, duplication, or disclosure by the U.S. Government is subject to
+// restrictions set forth in FAR 52.227-19 (Commercial Computer
+// Software - Restricted Rights) and DFAR 252.227-7013(c)(1)(ii)
+// (Rights in Technical Data and Computer Software), as applicable.
+//
+
+using System;
+
+namespace Autodesk.APS.RevitIO.CreateWindow
+{
+    /// <summary>
+    /// class is used to validate door parameters, all in feet. The server
+    /// validates the DoorParams payload with the same rules before sending it.
+    /// </summary>
+    public class ValidateDoorParameter
+    {
+        #region Class Memeber Variables
+        /// <summary>
+        /// store the wall's height
+        /// </summary>
+        private double m_wallHeight = 10;
+
+        /// <summary>
+        /// store the wall's width
+        /// </summary>
+        private double m_wallWidth = 10;
+        #endregion
+
+        /// <summary>
+        /// constructor of ValidateDoorParameter
+        /// </summary>
+        /// <param name="wallHeight">wall height parameter</param>
+        /// <param name="wallWidth">wall width parameter</param>
+        public ValidateDoorParameter(double wallHeight, double wallWidth)
+        {
+            if (wallHeight >= 0)
+            {
+                m_wallHeight = wallHeight;
+            }
+            if (wallWidth >= 0)
+            {
+                m_wallWidth = wallWidth;
+            }
+        }
+
+        #region Class Implementation
+        /// <summary>
+        /// This method is used to check the style and its leaf count
+        /// </summary>
+        /// <param name="style">the door style</param>
+        /// <param name="leafCount">the number of leaves</param>
+        /// <returns>the validation result message</returns>
+        public string IsStyleValid(string style, int leafCount)
+        {
+            switch (style)
+            {
+                case "SingleDoor":
+                    return leafCount == 1 ? string.Empty : "A SingleDoor should have 1 leaf";
+                case "DoubleDoor":
+                    return leafCount == 2 ? string.Empty : "A DoubleDoor should have 2 leaves";
+                case "SlidingDoor":
+                case "PocketDoor":
+                    return leafCount == 1 || leafCount == 2 ? string.Empty : "A " + style + " should have 1 or 2 leaves";
+                default:
+                    return "The door style should be SingleDoor, DoubleDoor, SlidingDoor or PocketDoor";
+            }
+        }
+
+        /// <summary>
+        /// This method is used to check the swing direction against the leaf count
+        /// </summary>
+        /// <param name="swing">the swing direction</param>
+        /// <param name="leafCount">the number of leaves</param>
+        /// <returns>the validation result message</returns>
+        public string IsSwingValid(string swing, int leafCount)
+        {
+            if (leafCount == 2)
+                return swing == "Both" ? string.Empty : "The swing direction should be Both for 2 leaves";
+            if (swing == "Left" || swing == "Right")
+                return string.Empty;
+            return "The swing direction should be Left or Right for 1 leaf";
+        }
+
+        /// <summary>
+        /// This method is used to check the frame profile
+        /// </summary>
+        /// <param name="profile">the frame profile</param>
+        /// <returns>the validation result message</returns>
+        public string IsFrameProfileValid(string profile)
+        {
+            if (profile == "Rectangular" || profile == "Rebated" || profile == "Cased" || profile == "None")
+                return string.Empty;
+            return "The frame profile should be Rectangular, Rebated, Cased or None";
+        }
+
+        /// <summary>
+        /// This method is used to check whether the width value is out of range
+        /// </summary>
+        /// <param name="value">the width</param>
+        /// <returns>the validation result message</returns>
+        public string IsWidthInRange(double value)
+        {
+            if (value >= 1.5 && value < m_wallWidth)
+                return string.Empty;
+            else
+                return "The width should be between 1.5 and " + m_wallWidth;
+        }
+
+        /// <summary>
+        /// This method is used to check whether the height value is out of range
+        /// </summary>
+        /// <param name="value">the height</param>
+        /// <returns>the validation result message</returns>
+        public string IsHeightInRange(double value)
+        {
+            if (value >= 6 && value < m_wallHeight)
+                return string.Empty;
+            else
+                return "The height should be between 6 and " + m_wallHeight;
+        }
+
+        /// <summary>
+        /// This method is used to check whether the leaf thickness is out of range
+        /// </summary>
+        /// <param name="value">the leaf thickness</param>
+        /// <returns>the validation result message</returns>
+        public string IsThicknessInRange(double value)
+        {
+            if (value >= 0.08 && value <= 0.5)
+                return string.Empty;
+            else
+                return "The thickness should be between 0.08 and 0.5";
+        }
+
+        /// <summary>
+        /// This method is used to check whether each leaf can be hung
+        /// </summary>
+        /// <param name="width">the door width</param>
+        /// <param name="frameWidth">the frame width, 0 when frameless</param>
+        /// <param name="leafCount">the number of leaves</param>
+        /// <returns>the validation result message</returns>
+        public string IsLeafWidthInRange(double width, double frameWidth, int leafCount)
+        {
+            double leafWidth = (width - 2 * frameWidth) / Math.Max(leafCount, 1);
+            if (leafWidth >= 1 && leafWidth <= 4)
+                return string.Empty;
+            else
+                return "The leaves should be between 1 and 4 wide, not " + leafWidth;
+        }
+
+        /// <summary>
+        /// This method is used to check whether the threshold leaves an opening
+        /// </summary>
+        /// <param name="threshold">the threshold height</param>
+        /// <param name="frameWidth">the frame width, 0 when frameless</param>
+        /// <param name="height">the door height</param>
+        /// <returns>the validation result message</returns>
+        public string IsThresholdInRange(double threshold, double frameWidth, double height)
+        {
+            if (threshold >= 0 && threshold + frameWidth < height)
+                return string.Empty;
+            else
+                return "The threshold should be >= 0 and leave an opening under the head frame";
+        }
+
+        /// <summary>
+        /// This method is used to check whether the hardware is on the leaf
+        /// </summary>
+        /// <param name="hardwareHeight">the hardware height</param>
+        /// <param name="threshold">the threshold height</param>
+        /// <param name="frameWidth">the frame width, 0 when frameless</param>
+        /// <param name="height">the door height</param>
+        /// <returns>the validation result message</returns>
+        public string IsHardwareHeightInRange(double hardwareHeight, double threshold, double frameWidth, double height)
+        {
+            if (hardwareHeight > threshold && hardwareHeight < height - frameWidth)
+                return string.Empty;
+            else
+                return "The hardware height should be within the leaf";
+        }
+        #endregion
+    }
+}
@@ -146,7 +146,7 @@ namespace Autodesk.APS.RevitIO.CreateWindow
             return Creation();
         }
 
-        private static double ConvertToInternal(double value, WindowsDAParams.UnitsContext units)
+        internal static double ConvertToInternal(double value, WindowsDAParams.UnitsContext units)
         {
             // Revit internal is feet; if payload states feet (default), pass through
             if (units == null || string.IsNullOrEmpty(units.lengthUnit)) return value;
@@ -16,8 +16,145 @@
 // UNINTERRUPTED OR ERROR FREE.
 /////////////////////////////////////////////////////////////////////
 
+const path = require('path');
+
 module.exports = {
     demoMode: process.env.DEMO_MODE === 'true',
+    // LLM providers, selected per session from Session.settings.aiModel
+    llm: {
+        defaultModel: process.env.LLM_DEFAULT_MODEL || 'gemini-2.5-flash',
+        timeoutMs: parseInt(process.env.LLM_TIMEOUT_MS || '60000', 10),
+        temperature: 0.1,
+        maxOutputTokens: 8192,
+        // Corrective re-prompts after an invalid SIR before giving up
+        maxRepairAttempts: parseInt(process.env.LLM_MAX_REPAIR_ATTEMPTS || '2', 10),
+        gemini: {
+            apiKey: process.env.GEMINI_API_KEY
+        },
+        openai: {
+            baseUrl: process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+            apiKey: process.env.OPENAI_API_KEY
+        },
+        ollama: {
+            baseUrl: process.env.OLLAMA_BASE_URL || 'http://localhost:11434'
+        },
+        llamacpp: {
+            baseUrl: process.env.LLAMACPP_BASE_URL || 'http://localhost:8080/v1',
+            apiKey: process.env.LLAMACPP_API_KEY
+        },
+        fixture: {
+            path: process.env.LLM_FIXTURE_PATH
+        }
+    },
+    // Server-side polling of outstanding Design Automation workitems, used
+    // when no APS_WEBHOOK_URL is configured for Design Automation callbacks
+    workitemPoller: {
+        enabled: process.env.WORKITEM_POLLER_ENABLED
+            ? process.env.WORKITEM_POLLER_ENABLED === 'true'
+            : !process.env.APS_WEBHOOK_URL,
+        intervalMs: parseInt(process.env.WORKITEM_POLL_INTERVAL_MS || '15000', 10),
+        maxBackoffMs: parseInt(process.env.WORKITEM_POLL_MAX_BACKOFF_MS || '300000', 10),
+        // Workitems still outstanding after this are cancelled and marked failed
+        stuckTimeoutMs: parseInt(process.env.WORKITEM_STUCK_TIMEOUT_MS || '3600000', 10),
+        batchSize: 50
+    },
+    // BIM Execution Plan rule packs: <organization>.yaml, .yml or .json
+    // in rulesDir, scored during compliance validation
+    bep: {
+        rulesDir: process.env.BEP_RULES_DIR || path.join(__dirname, 'config', 'bep'),
+        // Pack used for users without an organisation, or whose organisation has none
+        defaultOrganization: process.env.BEP_DEFAULT_ORGANIZATION
+    },
+    // Per-plan usage quotas, counted in monthly windows that start on the
+    // day of the month the subscription started. null is unlimited.
+    quotas: {
+        enabled: process.env.QUOTAS_ENABLED !== 'false',
+        plans: {
+            free: {
+                llmCalls: 50,
+                variations: 20,
+                workitems: 10, // subscription.monthlyLimit overrides this for free accounts
+                requestsPerMinute: 5
+            },
+            pro: {
+                llmCalls: 1000,
+                variations: 500,
+                workitems: 200,
+                requestsPerMinute: 30
+            },
+            enterprise: {
+                llmCalls: null,
+                variations: null,
+                workitems: null,
+                requestsPerMinute: 120
+            }
+        }
+    },
+    // Local account email verification and password reset
+    auth: {
+        // Base URL of the app, used for the links in emails
+        appUrl: process.env.APP_URL || `http://localhost:${process.env.PORT || 3000}`,
+        // New local accounts can't sign in until their email is verified
+        requireEmailVerification: process.env.REQUIRE_EMAIL_VERIFICATION !== 'false',
+        emailVerificationTtlMs: parseInt(process.env.EMAIL_VERIFICATION_TTL_MS || '86400000', 10), // 24 hours
+        passwordResetTtlMs: parseInt(process.env.PASSWORD_RESET_TTL_MS || '3600000', 10),          // 1 hour
+        // Minimum time between two verification or reset emails to one account
+        resendCooldownMs: 60 * 1000
+    },
+    // Sign-in with external OpenID Connect providers, linked to famAI users.
+    // With OAUTH_MOCK_ISSUER=true every provider uses the local mock issuer
+    // under /mock-oidc instead, for development and tests
+    oauth: {
+        mockIssuer: process.env.OAUTH_MOCK_ISSUER === 'true',
+        providers: {
+            autodesk: {
+                label: 'Autodesk',
+                issuer: process.env.AUTODESK_OIDC_ISSUER || 'https://developer.api.autodesk.com',
+                clientId: process.env.APS_CLIENT_ID,
+                clientSecret: process.env.APS_CLIENT_SECRET,
+                callbackUrl: process.env.AUTODESK_LOGIN_CALLBACK_URL,
+                // The tokens are kept in apsIntegration, so they carry the app's APS scopes
+                scopes: ['openid', 'user-profile:read', 'code:all', 'bucket:create', 'bucket:read', 'data:read', 'data:create', 'data:write']
+            },
+            google: {
+                label: 'Google',
+                issuer: 'https://accounts.google.com',
+                clientId: process.env.GOOGLE_CLIENT_ID,
+                clientSecret: process.env.GOOGLE_CLIENT_SECRET,
+                callbackUrl: process.env.GOOGLE_CALLBACK_URL,
+                scopes: ['openid', 'email', 'profile']
+            },
+            microsoft: {
+                label: 'Microsoft',
+                issuer: `https://login.microsoftonline.com/${process.env.MICROSOFT_TENANT || 'common'}/v2.0`,
+                clientId: process.env.MICROSOFT_CLIENT_ID,
+                clientSecret: process.env.MICROSOFT_CLIENT_SECRET,
+                callbackUrl: process.env.MICROSOFT_CALLBACK_URL,
+                scopes: ['openid', 'email', 'profile', 'offline_access']
+            }
+        }
+    },
+    // APS tokens kept on the user record, encrypted, for requests and
+    // background jobs without a browser session
+    apsTokens: {
+        // Any long random string; APS_CLIENT_SECRET is used when unset
+        encryptionKey: process.env.TOKEN_ENCRYPTION_KEY,
+        // Access tokens are refreshed this long before they expire
+        refreshMarginMs: parseInt(process.env.APS_TOKEN_REFRESH_MARGIN_MS || '300000', 10)
+    },
+    // Outgoing mail: 'smtp', 'file' (one .eml per message in fileDir) or 'console'
+    mail: {
+        transport: process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'console'),
+        from: process.env.MAIL_FROM || 'famAI <no-reply@famai.local>',
+        smtp: {
+            host: process.env.SMTP_HOST,
+            port: parseInt(process.env.SMTP_PORT || '587', 10),
+            secure: process.env.SMTP_SECURE === 'true',
+            user: process.env.SMTP_USER,
+            pass: process.env.SMTP_PASS
+        },
+        fileDir: process.env.MAIL_FILE_DIR || path.join(__dirname, 'mail-outbox')
+    },
     // Set environment variables or hard-code here
     credentials: {
         client_id: process.env.APS_CLIENT_ID,
@@ -42,6 +179,14 @@ module.exports = {
         nickname:     process.env.DESIGN_AUTOMATION_NICKNAME?process.env.DESIGN_AUTOMATION_NICKNAME:process.env.APS_CLIENT_ID,
         activity_name: process.env.DESIGN_AUTOMATION_ACTIVITY_NAME?process.env.DESIGN_AUTOMATION_ACTIVITY_NAME:"CreateWindowAppActivity",
         appbundle_activity_alias: process.env.DESIGN_AUTOMATION_ACTIVITY_ALIAS?process.env.DESIGN_AUTOMATION_ACTIVITY_ALIAS:'dev',
+        // activity that builds any non-window family from a SIR payload
+        sir_activity_name: process.env.DESIGN_AUTOMATION_SIR_ACTIVITY_NAME?process.env.DESIGN_AUTOMATION_SIR_ACTIVITY_NAME:"CreateFamilyFromSIRActivity",
+        // family templates for SIR payloads, by template key; unset keys fall back to generic
+        family_templates: {
+            door:      process.env.DESIGN_AUTOMATION_DOOR_TEMPLATE,
+            furniture: process.env.DESIGN_AUTOMATION_FURNITURE_TEMPLATE,
+            generic:   process.env.DESIGN_AUTOMATION_GENERIC_TEMPLATE?process.env.DESIGN_AUTOMATION_GENERIC_TEMPLATE:(process.env.DESIGN_AUTOMATION_FAMILY_TEMPLATE?process.env.DESIGN_AUTOMATION_FAMILY_TEMPLATE:"https://developer.api.autodesk.com/oss/v2/signedresources/2f4fe740-e6eb-4966-a657-06ef5ae13dfa?region=US")
+        },
 
         URL:{
             GET_ENGINES_URL:    "https://developer.api.autodesk.com/da/us-east/v3/engines",
@@ -7,6 +7,9 @@
 /////////////////////////////////////////////////////////////////////
 
 const mongoose = require('mongoose');
+const SIRSchema = require('../services/SIRSchema');
+
+const sirSchema = new SIRSchema();
 
 const familySchema = new mongoose.Schema({
     // Basic family information
@@ -110,13 +113,23 @@ const familySchema = new mongoose.Schema({
                 pass: Boolean,
                 score: Number,
                 issues: [String],
-                warnings: [String]
+                warnings: [String],
+                // BIM Execution Plan rule pack the family was scored against ({ id, name, version })
+                bep: mongoose.Schema.Types.Mixed,
+                // Rule pack violations ({ ruleId, severity, weight, path, message })
+                violations: [mongoose.Schema.Types.Mixed]
             },
             flexingValidation: {
                 pass: Boolean,
                 score: Number,
                 issues: [String],
-                warnings: [String]
+                warnings: [String],
+                // Per-scenario results with the evidence for each failure
+                scenarios: [mongoose.Schema.Types.Mixed],
+                // Which parameter drives each reference plane
+                bindings: [mongoose.Schema.Types.Mixed],
+                // Located constraint graph issues ({ code, severity, path, elements, message })
+                constraints: [mongoose.Schema.Types.Mixed]
             },
             metadataValidation: {
                 pass: Boolean,
@@ -125,7 +138,10 @@ const familySchema = new mongoose.Schema({
                 warnings: [String]
             }
         },
-        recommendations: [String]
+        // QAGateway's { type, priority, issues, warnings, suggestions }, or plain text
+        recommendations: [mongoose.Schema.Types.Mixed],
+        // Machine-applicable fixes ({ id, validator, description, patch: JSON Patch })
+        fixes: [mongoose.Schema.Types.Mixed]
     },
     
     // APS Design Automation information
@@ -144,8 +160,17 @@ const familySchema = new mongoose.Schema({
             max: 100,
             default: 0
         },
+        // OSS location of the generated RFA
+        bucketKey: String,
+        outputObjectKey: String,
+        // Secret the Design Automation callback must present
+        callbackToken: {
+            type: String,
+            select: false
+        },
         submittedAt: Date,
         completedAt: Date,
+        lastCheckedAt: Date,
         estimatedCompletionTime: Number, // in seconds
         errorMessage: String,
         debugInfo: mongoose.Schema.Types.Mixed
@@ -211,12 +236,19 @@ const familySchema = new mongoose.Schema({
         default: 1
     },
     
+    // The version this one was refined or rolled back from
     parentFamily: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'Family'
     },
     
-    // Refinement history
+    // First version of the lineage; unset on the first version itself
+    rootFamily: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Family'
+    },
+    
+    // Refinement history, inherited by each new version
     refinements: [{
         prompt: String,
         changes: mongoose.Schema.Types.Mixed,
@@ -289,6 +321,8 @@ familySchema.index({ tags: 1 });
 familySchema.index({ 'privacy.isPublic': 1 });
 familySchema.index({ 'stats.rating.average': -1 });
 familySchema.index({ 'stats.downloadCount': -1 });
+// Two versions of a lineage can't share a number
+familySchema.index({ rootFamily: 1, version: 1 }, { unique: true, partialFilterExpression: { rootFamily: { $exists: true } } });
 
 // Text index for search
 familySchema.index({
@@ -363,6 +397,23 @@ familySchema.pre('save', function(next) {
     next();
 });
 
+// Upgrade SIRs stored by older platform versions as documents are loaded;
+// the upgraded SIR is persisted the next time the document is saved
+familySchema.post('init', function(doc) {
+    if (!doc.sir || !sirSchema.needsMigration(doc.sir)) {
+        return;
+    }
+    
+    try {
+        const { sir, fromVersion } = sirSchema.migrate(doc.sir);
+        doc.sir = sir;
+        doc.markModified('sir');
+        doc.$locals.sirMigratedFrom = fromVersion;
+    } catch (error) {
+        console.warn(`Failed to migrate SIR for family ${doc._id}:`, error.message);
+    }
+});
+
 // Instance methods
 familySchema.methods.updateStatus = function(status, progress = null) {
     this.status = status;
@@ -390,14 +441,67 @@ familySchema.methods.incrementViewCount = function() {
     return this.save();
 };
 
-familySchema.methods.addRefinement = function(prompt, changes) {
-    this.refinements.push({
-        prompt: prompt,
-        changes: changes,
-        timestamp: new Date()
-    });
-    this.version += 1;
-    return this.save();
+/**
+ * Id shared by every version of this family: the first version's
+ */
+familySchema.methods.getLineageId = function() {
+    return this.rootFamily || this._id;
+};
+
+/**
+ * Save a new version of this family with another SIR. This document is
+ * left unchanged; the new version links back to it through parentFamily
+ * and is numbered after the lineage's latest version
+ * @param {Object} sir - SIR of the new version
+ * @param {Object} options - { prompt, changes, generatedCode, qaValidation }
+ * @returns {Promise<Family>} The new version
+ */
+familySchema.methods.createVersion = async function(sir, options = {}) {
+    const Family = this.constructor;
+    const lineageId = this.getLineageId();
+    const current = this.toObject({ virtuals: false });
+    
+    for (let attempt = 1; ; attempt++) {
+        const latest = await Family.findOne({ $or: [{ _id: lineageId }, { rootFamily: lineageId }] })
+            .sort({ version: -1 })
+            .select('version');
+        
+        const version = new Family({
+            name: this.name,
+            description: this.description,
+            category: this.category,
+            createdBy: this.createdBy,
+            sessionId: this.sessionId,
+            originalPrompt: this.originalPrompt,
+            sir: sir,
+            generatedCode: options.generatedCode,
+            qaValidation: options.qaValidation,
+            tags: current.tags,
+            privacy: current.privacy,
+            status: 'draft',
+            version: Math.max(latest ? latest.version : 0, this.version) + 1,
+            parentFamily: this._id,
+            rootFamily: lineageId,
+            refinements: current.refinements.map(refinement => ({
+                prompt: refinement.prompt,
+                changes: refinement.changes,
+                timestamp: refinement.timestamp
+            })).concat({
+                prompt: options.prompt,
+                changes: options.changes,
+                timestamp: new Date()
+            })
+        });
+        
+        try {
+            return await version.save();
+        } catch (error) {
+            // Another version took the number: renumber and try again
+            if (error.code !== 11000 || attempt >= 3) {
+                throw error;
+            }
+        }
+    }
 };
 
 // Static methods
@@ -418,6 +522,16 @@ familySchema.statics.findByUser = function(userId, options = {}) {
         .populate('createdBy', 'profile.firstName profile.lastName email');
 };
 
+/**
+ * Every version of a family's lineage, oldest first
+ * @param {Object} family - Any version of the family
+ */
+familySchema.statics.findVersions = function(family) {
+    const lineageId = family.rootFamily || family._id;
+    return this.find({ $or: [{ _id: lineageId }, { rootFamily: lineageId }] })
+        .sort({ version: 1 });
+};
+
 familySchema.statics.findPublic = function(options = {}) {
     const query = { 'privacy.isPublic': true, status: 'ready' };
     
@@ -0,0 +1,57 @@
+/////////////////////////////////////////////////////////////////////
+// Job Model for MongoDB
+// Copyright (c) 2024 famAI Platform
+//
+// This module defines the Job schema that persists in-flight
+// generation sessions and Design Automation workitems, so they
+// survive restarts and can be served by any server instance
+/////////////////////////////////////////////////////////////////////
+
+const mongoose = require('mongoose');
+
+const jobSchema = new mongoose.Schema({
+    // Owner of the store (e.g. 'famai', 'bim-llm')
+    namespace: {
+        type: String,
+        required: true
+    },
+
+    // Type of state stored
+    kind: {
+        type: String,
+        required: true,
+        enum: ['session', 'workitem']
+    },
+
+    // Session ID or workitem ID
+    key: {
+        type: String,
+        required: true
+    },
+
+    // Copied from data for querying
+    status: String,
+    sessionId: String,
+
+    // The stored session or workitem state
+    data: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    },
+
+    // Expired jobs are removed by MongoDB's TTL monitor
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+}, {
+    timestamps: true,
+    minimize: false
+});
+
+// Indexes for performance
+jobSchema.index({ namespace: 1, kind: 1, key: 1 }, { unique: true });
+jobSchema.index({ namespace: 1, kind: 1, status: 1 });
+jobSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('Job', jobSchema);
@@ -184,6 +184,36 @@ sessionSchema.methods.addConversation = function(type, content, familyId = null)
     return this.save();
 };
 
+// Record each LLM attempt (including self-repair retries) of a generation
+sessionSchema.methods.addGenerationAttempts = function(prompt, attempts = []) {
+    attempts.forEach(attempt => {
+        this.conversations.push({
+            timestamp: attempt.timestamp ? new Date(attempt.timestamp) : new Date(),
+            type: attempt.status === 'valid' ? 'ai_response' : 'error',
+            content: {
+                prompt: prompt,
+                response: {
+                    attempt: attempt.attempt,
+                    status: attempt.status,
+                    errors: attempt.errors,
+                    responseExcerpt: attempt.responseExcerpt
+                },
+                metadata: {
+                    isRepair: attempt.isRepair,
+                    variation: attempt.variation,
+                    provider: attempt.provider,
+                    model: attempt.model,
+                    usage: attempt.usage
+                }
+            }
+        });
+    });
+
+    this.stats.totalInteractions += attempts.length;
+    this.stats.lastActivity = new Date();
+    return this.save();
+};
+
 sessionSchema.methods.updateCurrentFamily = function(familyId) {
     this.currentFamily = familyId;
     if (familyId) {
@@ -243,6 +273,21 @@ sessionSchema.statics.findActiveByUser = function(userId) {
     }).populate('currentFamily');
 };
 
+sessionSchema.statics.recordTokenUsage = function(sessionId, usage) {
+    const tokens = usage && usage.totalTokens;
+    if (!sessionId || !tokens) {
+        return Promise.resolve(null);
+    }
+
+    return this.updateOne(
+        { sessionId: sessionId },
+        {
+            $inc: { 'stats.totalTokens': tokens },
+            $set: { 'stats.lastActivity': new Date() }
+        }
+    );
+};
+
 sessionSchema.statics.cleanupExpired = function() {
     return this.deleteMany({
         expiresAt: { $lt: new Date() }
@@ -5,8 +5,18 @@
 // This module defines the User schema and model
 /////////////////////////////////////////////////////////////////////
 
+const crypto = require('crypto');
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const TokenCipher = require('../services/TokenCipher');
+
+const tokenCipher = new TokenCipher();
+
+// Emailed tokens are stored as SHA-256 hashes, so a leaked database
+// doesn't give away working verification or reset links
+function hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
 
 const userSchema = new mongoose.Schema({
     // Basic user information
@@ -63,7 +73,18 @@ const userSchema = new mongoose.Schema({
             default: 'other'
         }
     },
-    
+
+    // Organisation ID, selecting the BIM Execution Plan rule pack
+    // (config/bep/<organization>.yaml) used for compliance validation
+    organization: {
+        type: String,
+        trim: true,
+        lowercase: true,
+        maxlength: 100,
+        match: [/^[a-z0-9][a-z0-9_-]*$/, 'Organization may only contain letters, numbers, hyphens and underscores'],
+        default: null
+    },
+
     // Authentication providers
     authProvider: {
         type: String,
@@ -78,10 +99,13 @@ const userSchema = new mongoose.Schema({
         autodesk: String
     },
     
-    // APS (Autodesk Platform Services) integration
+    // APS (Autodesk Platform Services) integration. The tokens are
+    // encrypted; read them with getAPSTokens
     apsIntegration: {
         clientId: String,
         accessToken: String,
+        // viewables:read token for the browser viewer
+        publicToken: String,
         refreshToken: String,
         tokenExpiry: Date,
         isConfigured: {
@@ -196,6 +220,22 @@ const userSchema = new mongoose.Schema({
         currentUsage: {
             type: Number,
             default: 0
+        },
+        // Start of the monthly window the usage counters belong to
+        periodStart: Date,
+        usage: {
+            llmCalls: {
+                type: Number,
+                default: 0
+            },
+            variations: {
+                type: Number,
+                default: 0
+            },
+            workitems: {
+                type: Number,
+                default: 0
+            }
         }
     }
 }, {
@@ -206,6 +246,13 @@ const userSchema = new mongoose.Schema({
             delete ret.password;
             delete ret.emailVerificationToken;
             delete ret.passwordResetToken;
+            delete ret.emailVerificationExpiry;
+            delete ret.passwordResetExpiry;
+            if (ret.apsIntegration) {
+                delete ret.apsIntegration.accessToken;
+                delete ret.apsIntegration.publicToken;
+                delete ret.apsIntegration.refreshToken;
+            }
             delete ret.__v;
             return ret;
         }
@@ -219,6 +266,8 @@ userSchema.index({ 'providerIds.google': 1 });
 userSchema.index({ 'providerIds.microsoft': 1 });
 userSchema.index({ 'providerIds.autodesk': 1 });
 userSchema.index({ status: 1 });
+userSchema.index({ emailVerificationToken: 1 }, { sparse: true });
+userSchema.index({ passwordResetToken: 1 }, { sparse: true });
 userSchema.index({ createdAt: -1 });
 userSchema.index({ lastLogin: -1 });
 
@@ -266,20 +315,338 @@ userSchema.methods.updateLastLogin = function() {
 
 // Instance method to increment family count
 userSchema.methods.incrementFamilyCount = function() {
+    this.rollOverUsage();
     this.stats.familiesCreated += 1;
     this.subscription.currentUsage += 1;
     this.stats.lastActivity = new Date();
     return this.save();
 };
 
+// Instance method to get the monthly usage window containing a date. Windows
+// start on the day of the month the subscription started (the last day in
+// shorter months), or the day the account was created
+userSchema.methods.getUsagePeriod = function(now = new Date()) {
+    const anchor = new Date(this.subscription.startDate || this.createdAt || now);
+    const periodStart = (year, month) => {
+        const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+        return new Date(Date.UTC(year, month, Math.min(anchor.getUTCDate(), lastDay),
+            anchor.getUTCHours(), anchor.getUTCMinutes(), anchor.getUTCSeconds()));
+    };
+
+    const year = now.getUTCFullYear();
+    let month = now.getUTCMonth();
+    if (periodStart(year, month) > now) {
+        month -= 1;
+    }
+    return {
+        start: periodStart(year, month),
+        end: periodStart(year, month + 1)
+    };
+};
+
+// Instance method to reset the usage counters when a new monthly window has
+// started; returns whether they were reset (the caller saves)
+userSchema.methods.rollOverUsage = function(now = new Date()) {
+    const period = this.getUsagePeriod(now);
+    if (this.subscription.periodStart && this.subscription.periodStart >= period.start) {
+        return false;
+    }
+    this.subscription.periodStart = period.start;
+    this.subscription.currentUsage = 0;
+    this.subscription.usage = { llmCalls: 0, variations: 0, workitems: 0 };
+    return true;
+};
+
+// Instance method to reserve usage ({ llmCalls, variations, workitems })
+// with one conditional $inc, so parallel requests cannot go over a limit
+// (limits of null are unlimited). Returns whether it was reserved; either
+// way the document's counters are refreshed from the database
+userSchema.methods.reserveUsage = async function(amounts = {}, limits = {}, now = new Date()) {
+    const User = this.constructor;
+    const period = this.getUsagePeriod(now);
+    const kinds = Object.keys(amounts).filter(kind => amounts[kind] > 0);
+    const limited = kinds.filter(kind => limits[kind] !== null && limits[kind] !== undefined);
+
+    // Start the new monthly window once, however many requests race to it
+    await User.updateOne(
+        { _id: this._id, $or: [{ 'subscription.periodStart': { $lt: period.start } }, { 'subscription.periodStart': null }] },
+        { $set: {
+            'subscription.periodStart': period.start,
+            'subscription.currentUsage': 0,
+            'subscription.usage': { llmCalls: 0, variations: 0, workitems: 0 }
+        } }
+    );
+
+    let updated = null;
+    if (!limited.some(kind => amounts[kind] > limits[kind])) {
+        const filter = { _id: this._id, 'subscription.periodStart': { $gte: period.start } };
+        const increments = {};
+        kinds.forEach(kind => {
+            increments[`subscription.usage.${kind}`] = amounts[kind];
+        });
+        if (limited.length > 0) {
+            filter.$and = limited.map(kind => {
+                const path = `subscription.usage.${kind}`;
+                return { $or: [{ [path]: { $lte: limits[kind] - amounts[kind] } }, { [path]: null }] };
+            });
+        }
+        updated = await User.findOneAndUpdate(filter, { $inc: increments, $set: { 'stats.lastActivity': now } }, { new: true });
+    }
+
+    this.syncUsage(updated || await User.findById(this._id));
+    return updated !== null;
+};
+
+// Instance method to give back reserved usage, unless its monthly window
+// has ended since
+userSchema.methods.releaseUsage = function(amounts = {}, periodStart = this.subscription.periodStart) {
+    const decrements = {};
+    Object.keys(amounts).filter(kind => amounts[kind] > 0).forEach(kind => {
+        decrements[`subscription.usage.${kind}`] = -amounts[kind];
+    });
+    return this.constructor.updateOne({ _id: this._id, 'subscription.periodStart': periodStart }, { $inc: decrements });
+};
+
+// Instance method to copy the usage counters of a fresh copy of the user,
+// without marking them modified: a later save must not overwrite the
+// atomic updates of other requests
+userSchema.methods.syncUsage = function(current) {
+    if (!current) {
+        return;
+    }
+    ['periodStart', 'currentUsage', 'usage.llmCalls', 'usage.variations', 'usage.workitems'].forEach(name => {
+        const path = `subscription.${name}`;
+        this.set(path, current.get(path));
+        this.unmarkModified(path);
+    });
+    this.unmarkModified('subscription.usage');
+};
+
 // Instance method to check if user can create more families
 userSchema.methods.canCreateFamily = function() {
+    this.rollOverUsage();
     if (this.subscription.plan === 'free') {
         return this.subscription.currentUsage < this.subscription.monthlyLimit;
     }
     return true; // Pro and Enterprise plans have no limits
 };
 
+// Instance method to issue an email verification token; returns the raw
+// token for the emailed link and stores only its hash (the caller saves)
+userSchema.methods.createEmailVerificationToken = function(ttlMs) {
+    const token = crypto.randomBytes(32).toString('hex');
+    this.emailVerificationToken = hashToken(token);
+    this.emailVerificationExpiry = new Date(Date.now() + ttlMs);
+    return token;
+};
+
+// Instance method to issue a single-use password reset token; returns the
+// raw token for the emailed link and stores only its hash (the caller saves)
+userSchema.methods.createPasswordResetToken = function(ttlMs) {
+    const token = crypto.randomBytes(32).toString('hex');
+    this.passwordResetToken = hashToken(token);
+    this.passwordResetExpiry = new Date(Date.now() + ttlMs);
+    return token;
+};
+
+// Instance method to mark the email verified and use up the token
+userSchema.methods.markEmailVerified = function() {
+    this.emailVerified = true;
+    this.emailVerificationToken = undefined;
+    this.emailVerificationExpiry = undefined;
+    if (this.status === 'pending') {
+        this.status = 'active';
+    }
+    return this.save();
+};
+
+// Instance method to set a new password from a reset link. The link proves
+// the user reads the account's email, so it also verifies the address
+userSchema.methods.resetPassword = function(newPassword) {
+    this.password = newPassword;
+    this.passwordResetToken = undefined;
+    this.passwordResetExpiry = undefined;
+    if (!this.emailVerified) {
+        this.emailVerified = true;
+        this.emailVerificationToken = undefined;
+        this.emailVerificationExpiry = undefined;
+        if (this.status === 'pending') {
+            this.status = 'active';
+        }
+    }
+    return this.save();
+};
+
+// Instance method to list how the user can sign in: 'password' and the
+// linked providers
+userSchema.methods.getSignInMethods = function() {
+    const methods = this.password ? ['password'] : [];
+    User.PROVIDERS.forEach(provider => {
+        if (this.providerIds && this.providerIds[provider]) {
+            methods.push(provider);
+        }
+    });
+    return methods;
+};
+
+// Instance method to link an external provider's identity ({ subject, email,
+// emailVerified, firstName, lastName, displayName, avatar }); fills in an
+// empty profile, and a provider-verified address verifies the email (the
+// caller saves)
+userSchema.methods.linkProvider = function(provider, identity) {
+    this.providerIds[provider] = identity.subject;
+
+    this.profile.firstName = this.profile.firstName || identity.firstName;
+    this.profile.lastName = this.profile.lastName || identity.lastName;
+    this.profile.displayName = this.profile.displayName || identity.displayName;
+    this.profile.avatar = this.profile.avatar || identity.avatar;
+
+    if (identity.emailVerified && identity.email === this.email && !this.emailVerified) {
+        this.emailVerified = true;
+        this.emailVerificationToken = undefined;
+        this.emailVerificationExpiry = undefined;
+        if (this.status === 'pending') {
+            this.status = 'active';
+        }
+    }
+};
+
+// Instance method to unlink an external provider; returns false when it's
+// the account's only way to sign in (the caller saves)
+userSchema.methods.unlinkProvider = function(provider) {
+    const remaining = this.getSignInMethods().filter(method => method !== provider);
+    if (remaining.length === 0) {
+        return false;
+    }
+
+    this.providerIds[provider] = undefined;
+    if (provider === 'autodesk') {
+        this.clearAPSTokens();
+    }
+    if (this.authProvider === provider) {
+        this.authProvider = remaining[0] === 'password' ? 'local' : remaining[0];
+    }
+    return true;
+};
+
+// Instance method to keep the user's APS tokens, encrypted ({ access_token,
+// public_token, refresh_token, expires_in }) (the caller saves)
+userSchema.methods.setAPSTokens = function(tokens, clientId) {
+    this.apsIntegration.clientId = clientId || this.apsIntegration.clientId;
+    this.apsIntegration.accessToken = tokenCipher.encrypt(tokens.access_token);
+    this.apsIntegration.publicToken = tokenCipher.encrypt(tokens.public_token);
+    if (tokens.refresh_token) {
+        this.apsIntegration.refreshToken = tokenCipher.encrypt(tokens.refresh_token);
+    }
+    this.apsIntegration.tokenExpiry = new Date(Date.now() + (tokens.expires_in || 3600) * 1000);
+    this.apsIntegration.isConfigured = true;
+    this.apsIntegration.lastSync = new Date();
+};
+
+// Instance method to read the user's APS tokens, decrypted; null when
+// there are none
+userSchema.methods.getAPSTokens = function() {
+    const aps = this.apsIntegration || {};
+    if (!aps.accessToken && !aps.refreshToken) {
+        return null;
+    }
+    return {
+        clientId: aps.clientId,
+        accessToken: tokenCipher.decrypt(aps.accessToken),
+        publicToken: tokenCipher.decrypt(aps.publicToken),
+        refreshToken: tokenCipher.decrypt(aps.refreshToken),
+        expiresAt: aps.tokenExpiry
+    };
+};
+
+// Instance method to remove every way to sign in: the password, the
+// linked providers and their APS tokens, and pending verification and
+// reset links. The account then belongs to the given provider (the
+// caller links it and saves)
+userSchema.methods.clearSignInMethods = function(provider) {
+    this.password = undefined;
+    this.authProvider = provider;
+    User.PROVIDERS.forEach(name => {
+        this.providerIds[name] = undefined;
+    });
+    this.clearAPSTokens();
+    this.emailVerificationToken = undefined;
+    this.emailVerificationExpiry = undefined;
+    this.passwordResetToken = undefined;
+    this.passwordResetExpiry = undefined;
+};
+
+// Instance method to forget the APS tokens (the caller saves)
+userSchema.methods.clearAPSTokens = function() {
+    this.apsIntegration.accessToken = undefined;
+    this.apsIntegration.publicToken = undefined;
+    this.apsIntegration.refreshToken = undefined;
+    this.apsIntegration.tokenExpiry = undefined;
+    this.apsIntegration.isConfigured = false;
+};
+
+// Static method to find the user signing in with an external provider, or
+// create one. An account with the same email is linked only when the
+// provider has verified the address; otherwise the error's code is
+// 'account_exists' and the user must sign in and link the provider. If
+// that account's email was never verified, whoever registered it never
+// proved they own the address, so its sign-in methods are removed first
+userSchema.statics.findOrCreateFromProvider = async function(provider, identity) {
+    const linked = await this.findByProviderId(provider, identity.subject);
+    if (linked) {
+        return { user: linked, created: false };
+    }
+
+    if (!identity.email) {
+        throw new Error(`${provider} did not share an email address`);
+    }
+
+    const existing = await this.findByEmail(identity.email);
+    if (existing) {
+        if (!identity.emailVerified) {
+            const error = new Error(`An account already uses ${identity.email}. Sign in to it and link ${provider} from your profile`);
+            error.code = 'account_exists';
+            throw error;
+        }
+        if (!existing.emailVerified) {
+            existing.clearSignInMethods(provider);
+        }
+        existing.linkProvider(provider, identity);
+        return { user: existing, created: false };
+    }
+
+    const user = new this({
+        email: identity.email,
+        authProvider: provider,
+        emailVerified: identity.emailVerified,
+        status: 'active',
+        profile: {
+            firstName: identity.firstName,
+            lastName: identity.lastName,
+            displayName: identity.displayName || `${identity.firstName} ${identity.lastName}`.trim(),
+            avatar: identity.avatar
+        }
+    });
+    user.providerIds[provider] = identity.subject;
+    return { user: user, created: true };
+};
+
+// Static method to find the user with an unexpired email verification token
+userSchema.statics.findByEmailVerificationToken = function(token) {
+    return this.findOne({
+        emailVerificationToken: hashToken(token),
+        emailVerificationExpiry: { $gt: new Date() }
+    });
+};
+
+// Static method to find the user with an unexpired password reset token
+userSchema.statics.findByPasswordResetToken = function(token) {
+    return this.findOne({
+        passwordResetToken: hashToken(token),
+        passwordResetExpiry: { $gt: new Date() }
+    });
+};
+
 // Static method to find by email
 userSchema.statics.findByEmail = function(email) {
     return this.findOne({ email: email.toLowerCase() });
@@ -307,4 +674,9 @@ userSchema.statics.getUserStats = function() {
     ]);
 };
 
-module.exports = mongoose.model('User', userSchema);
+const User = mongoose.model('User', userSchema);
+
+// External sign-in providers, as in authProvider and providerIds
+User.PROVIDERS = ['autodesk', 'google', 'microsoft'];
+
+module.exports = User;
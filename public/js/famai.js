@@ -16,6 +16,9 @@ class BIMLLMInterface {
         this.initializeInterface();
         this.setupSocketConnection();
         this.loadUserProfile();
+        this.loadUsage();
+        this.loadSignInMethods();
+        this.showAuthRedirectResult();
         this.initializeAPSConfiguration();
     }
 
@@ -102,6 +105,11 @@ class BIMLLMInterface {
         this.socket.on('connect', () => {
             console.log('Connected to server');
             this.updateStatus('ready', "Ready to roll, fam? Let's build something.");
+            this.joinSessionRoom(this.currentSessionId);
+        });
+
+        this.socket.on('connect_error', (error) => {
+            console.warn('Socket connection rejected:', error.message);
         });
 
         this.socket.on('disconnect', () => {
@@ -122,6 +130,56 @@ class BIMLLMInterface {
         });
     }
 
+    /**
+     * Follow a generation session's events (the server scopes the room to this user)
+     */
+    joinSessionRoom(sessionId) {
+        if (this.socket && sessionId) {
+            this.socket.emit('join-session', sessionId);
+        }
+    }
+
+    leaveSessionRoom(sessionId) {
+        if (this.socket && sessionId) {
+            this.socket.emit('leave-session', sessionId);
+        }
+    }
+
+    /**
+     * Workitem status pushed by the server
+     */
+    handleWorkitemNotification(data) {
+        console.log('Workitem notification:', data);
+        if (!data || data.WorkitemId !== this.trackedWorkitemId) return;
+
+        if (typeof data.Progress === 'number') {
+            this.updateProgress(data.Progress);
+        }
+    }
+
+    /**
+     * Generation progress pushed by the server
+     */
+    handleGenerationProgress(data) {
+        if (!data || data.sessionId !== this.currentSessionId) return;
+
+        if (data.message) {
+            this.updateStatus('processing', data.message);
+        }
+        if (typeof data.progress === 'number') {
+            this.updateProgress(data.progress);
+        }
+    }
+
+    /**
+     * QA validation results pushed by the server
+     */
+    handleQAValidation(data) {
+        if (!data || data.sessionId !== this.currentSessionId || !data.qaValidation) return;
+
+        this.updateQAResults(data.qaValidation);
+    }
+
     /**
      * Load user profile
      */
@@ -148,6 +206,146 @@ class BIMLLMInterface {
         }
     }
 
+    /**
+     * Load the plan's usage this month into the user menu
+     */
+    async loadUsage() {
+        const usageSummary = document.getElementById('usageSummary');
+        if (!usageSummary) return;
+
+        try {
+            const response = await fetch('/api/famai/v1/usage');
+            const usage = await response.json();
+            if (!usage.success) return;
+
+            const rows = [
+                ['workitems', 'Families'],
+                ['llmCalls', 'AI calls'],
+                ['variations', 'Variations']
+            ].map(([kind, label]) => {
+                const limit = usage.limits[kind] === null ? '∞' : usage.limits[kind];
+                return `<div class="usage-row"><span>${label}</span><span>${usage.usage[kind]} / ${limit}</span></div>`;
+            });
+
+            usageSummary.innerHTML = `
+                <div class="usage-plan">${this.escapeHtml(usage.plan)} plan</div>
+                ${rows.join('')}
+                <div class="usage-reset">Resets ${new Date(usage.period.resetsAt).toLocaleDateString()}</div>
+            `;
+        } catch (error) {
+            console.error('Failed to load usage:', error);
+        }
+    }
+
+    /**
+     * Load the sign-in providers into the user menu, to link or unlink them
+     */
+    async loadSignInMethods() {
+        const container = document.getElementById('signInMethods');
+        if (!container) return;
+
+        try {
+            const [response, apsResponse] = await Promise.all([
+                fetch('/api/auth/providers'),
+                fetch('/api/auth/aps-tokens')
+            ]);
+            const data = await response.json();
+            const aps = await apsResponse.json();
+            if (!data.success) return;
+
+            const rows = data.providers.filter(provider => provider.configured || provider.linked).map(provider => {
+                const action = provider.linked ?
+                    `<button class="provider-action" onclick="bimLLMInterface.unlinkProvider('${provider.name}')">Unlink</button>` :
+                    `<button class="provider-action" onclick="bimLLMInterface.linkProvider('${provider.name}')">Link</button>`;
+                return `<div class="provider-row">
+                    <span><i class="fas ${provider.linked ? 'fa-check-circle linked' : 'fa-circle'}"></i> ${this.escapeHtml(provider.label)}</span>
+                    ${action}
+                </div>`;
+            });
+
+            container.innerHTML = `
+                <div class="sign-in-methods-title">Sign-in methods</div>
+                ${data.hasPassword ? '<div class="provider-row"><span><i class="fas fa-check-circle linked"></i> Password</span></div>' : ''}
+                ${rows.join('')}
+                ${aps.success && aps.connected ? `<div class="provider-row">
+                    <span title="Stored for background jobs, refreshed automatically"><i class="fas fa-key linked"></i> Autodesk access</span>
+                    <button class="provider-action" onclick="bimLLMInterface.revokeAPSAccess()">Revoke</button>
+                </div>` : ''}
+            `;
+        } catch (error) {
+            console.error('Failed to load sign-in methods:', error);
+        }
+    }
+
+    /**
+     * Revoke the APS tokens stored for the user
+     */
+    async revokeAPSAccess() {
+        try {
+            const response = await fetch('/api/auth/aps-tokens', { method: 'DELETE' });
+            const data = await response.json();
+            if (data.success) {
+                this.addMessageToChat('assistant', `<p>${this.escapeHtml(data.message)}. Sign in with Autodesk again to reconnect.</p>`);
+                this.loadSignInMethods();
+            } else {
+                this.addMessageToChat('assistant', `<p>${this.escapeHtml(data.error)}</p>`);
+            }
+        } catch (error) {
+            console.error('Failed to revoke Autodesk access:', error);
+            this.addMessageToChat('assistant', `<p>Failed to revoke Autodesk access: ${this.escapeHtml(error.message)}</p>`);
+        }
+    }
+
+    /**
+     * Link a provider: the server sends the browser to it and back
+     */
+    linkProvider(provider) {
+        window.location.href = `/api/auth/oauth/${encodeURIComponent(provider)}?mode=link`;
+    }
+
+    /**
+     * Unlink a provider from the account
+     */
+    async unlinkProvider(provider) {
+        try {
+            const response = await fetch(`/api/auth/providers/${encodeURIComponent(provider)}`, { method: 'DELETE' });
+            const data = await response.json();
+            if (data.success) {
+                this.addMessageToChat('assistant', `<p>${this.escapeHtml(data.message)}.</p>`);
+                this.loadSignInMethods();
+            } else {
+                this.addMessageToChat('assistant',
+                    `<p>${this.escapeHtml(data.error)}.${data.details ? ` ${this.escapeHtml(data.details)}.` : ''}</p>`);
+            }
+        } catch (error) {
+            console.error('Failed to unlink provider:', error);
+            this.addMessageToChat('assistant', `<p>Failed to unlink provider: ${this.escapeHtml(error.message)}</p>`);
+        }
+    }
+
+    /**
+     * Report the result of linking a provider, from the redirect back here
+     */
+    showAuthRedirectResult() {
+        const params = new URLSearchParams(window.location.search);
+        if (params.get('linked')) {
+            this.addMessageToChat('assistant', `<p>✅ Your ${this.escapeHtml(params.get('linked'))} account is linked. You can now sign in with it.</p>`);
+        } else if (params.get('authError')) {
+            this.addMessageToChat('assistant', `<p>❌ ${this.escapeHtml(params.get('authError'))}</p>`);
+        } else {
+            return;
+        }
+        window.history.replaceState({}, '', '/famai');
+    }
+
+    /**
+     * When a request hit a plan limit, say when the limit resets
+     */
+    describeQuotaReset(result) {
+        if (!result.resetsAt) return '';
+        return ` Resets ${new Date(result.resetsAt).toLocaleString()}.`;
+    }
+
     /**
      * Load recent sessions
      */
@@ -214,6 +412,7 @@ class BIMLLMInterface {
         // Generate session ID if needed
         if (!this.currentSessionId) {
             this.currentSessionId = this.generateSessionId();
+            this.joinSessionRoom(this.currentSessionId);
         }
 
         // Update status
@@ -580,6 +779,9 @@ class BIMLLMInterface {
         document.getElementById('previewLOD').textContent = `LOD ${familyData.sir.familyMetadata.lodLevel}`;
         document.getElementById('previewParamCount').textContent = familyData.sir.parameters.familyParameters.length;
 
+        // Update the family type table
+        this.renderFamilyTypes(familyData.sir);
+
         // Update QA results
         this.updateQAResults(familyData.qaValidation);
 
@@ -599,6 +801,51 @@ class BIMLLMInterface {
         previewPanel.style.display = 'flex';
     }
 
+    /**
+     * Show one row per family type, with a column for each parameter a type sets
+     */
+    renderFamilyTypes(sir) {
+        const typeTable = document.getElementById('familyTypeTable');
+        if (!typeTable) return;
+
+        const familyTypes = sir.parameters.familyTypes || [];
+        const familyParameters = sir.parameters.familyParameters || [];
+        const columns = [];
+        familyTypes.forEach(familyType => {
+            Object.keys(familyType.parameters || {}).forEach(name => {
+                if (!columns.includes(name)) columns.push(name);
+            });
+        });
+
+        const formatValue = (name, value) => {
+            if (value === undefined || value === null) return '-';
+            const param = familyParameters.find(p => p.name === name);
+            if (param && param.type === 'Length' && typeof value === 'number') {
+                return `${Math.round(value * 304.8)} mm`;
+            }
+            return this.escapeHtml(String(value));
+        };
+
+        typeTable.innerHTML = `
+            <table class="type-table">
+                <thead>
+                    <tr>
+                        <th>Type</th>
+                        ${columns.map(name => `<th>${this.escapeHtml(name)}</th>`).join('')}
+                    </tr>
+                </thead>
+                <tbody>
+                    ${familyTypes.map(familyType => `
+                        <tr>
+                            <td>${this.escapeHtml(familyType.name)}</td>
+                            ${columns.map(name => `<td>${formatValue(name, (familyType.parameters || {})[name])}</td>`).join('')}
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
     /**
      * Update QA results display
      */
@@ -630,6 +877,98 @@ class BIMLLMInterface {
             
             qaResults.appendChild(qaItem);
         });
+
+        this.renderQAFixes(qaResults, qaValidation.fixes || []);
+    }
+
+    /**
+     * List the fixes QA proposed, with buttons to apply them
+     */
+    renderQAFixes(qaResults, fixes) {
+        if (fixes.length === 0) return;
+
+        const fixList = document.createElement('div');
+        fixList.className = 'qa-fixes';
+        fixList.innerHTML = `<div class="qa-fixes-title">Suggested fixes</div>`;
+
+        fixes.forEach(fix => {
+            const label = document.createElement('label');
+            label.className = 'qa-fix';
+
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = true;
+            checkbox.dataset.fixId = fix.id;
+
+            const description = document.createElement('span');
+            description.textContent = fix.description;
+
+            label.appendChild(checkbox);
+            label.appendChild(description);
+            fixList.appendChild(label);
+        });
+
+        const buttons = document.createElement('div');
+        buttons.className = 'qa-fix-buttons';
+        buttons.innerHTML = `
+            <button class="btn btn-sm btn-primary" onclick="applySelectedFixes()" id="applyFixesBtn">
+                <i class="fas fa-magic"></i> Apply Selected
+            </button>
+            <button class="btn btn-sm btn-outline" onclick="applyAllFixes()">
+                Apply All
+            </button>
+        `;
+        fixList.appendChild(buttons);
+
+        qaResults.appendChild(fixList);
+    }
+
+    /**
+     * Apply the checked fixes, or all of them
+     */
+    async applyFixes(all = false) {
+        if (!this.currentFamilyData) return;
+
+        const checkboxes = Array.from(document.querySelectorAll('#qaResults .qa-fix input[type="checkbox"]'));
+        const fixIds = checkboxes.filter(checkbox => all || checkbox.checked).map(checkbox => checkbox.dataset.fixId);
+        if (fixIds.length === 0) return;
+
+        this.updateStatus('processing', `Applying ${fixIds.length} fix(es)...`);
+
+        try {
+            const response = await fetch('/api/famai/v1/qa/autofix', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({
+                    sessionId: this.currentSessionId,
+                    fixIds: fixIds
+                })
+            });
+
+            const result = await response.json();
+
+            if (result.success) {
+                this.currentFamilyData = { ...this.currentFamilyData, ...result };
+                this.showPreviewPanel(this.currentFamilyData);
+                this.updateStatus('ready', 'Fixes applied');
+
+                const failed = result.failed.length > 0 ? ` ${result.failed.length} fix(es) no longer applied and were skipped.` : '';
+                const versionNote = result.family ? ` Saved as version ${result.family.version}.` : '';
+                this.addMessageToChat('assistant',
+                    `I've applied ${result.applied.length} fix(es) (${result.diff.length} change(s) to the design). ` +
+                    `Improvement score: ${result.improvementScore >= 0 ? '+' : ''}${Math.round(result.improvementScore)} points.${failed}${versionNote}`
+                );
+            } else {
+                throw new Error(result.details || result.error || 'Failed to apply fixes');
+            }
+
+        } catch (error) {
+            console.error('Autofix error:', error);
+            this.addMessageToChat('assistant', `Failed to apply fixes: ${error.message}`);
+            this.updateStatus('error', 'Applying fixes failed');
+        }
     }
 
     /**
@@ -678,6 +1017,7 @@ class BIMLLMInterface {
             if (result.success) {
                 this.updateStatus('processing', 'Crafting your family in the cloud...');
                 this.trackWorkitem(result.workitemId);
+                this.loadUsage();
                 
                 this.addMessageToChat('assistant', 
                     `Your family is being crafted in the cloud! ` +
@@ -685,7 +1025,7 @@ class BIMLLMInterface {
                     `I'll let you know when it's ready!`
                 );
             } else {
-                throw new Error(result.error || 'Failed to execute family creation');
+                throw new Error(this.describeExecuteError(result, 'Failed to execute family creation'));
             }
 
         } catch (error) {
@@ -731,14 +1071,27 @@ class BIMLLMInterface {
             if (result.success && result.dryRun) {
                 console.log('DRY RUN - APS Parameters:', result.apsParams);
                 console.log('DRY RUN - Workitem Payload:', result.workitem);
-                if (result.meta) {
+                if (result.meta && result.meta.route) {
+                    console.log('DRY RUN - Route:', result.meta.route);
+                    console.log('DRY RUN - SIR payload bytes:', result.meta.payloadBytes, result.meta.inline ? '(inline)' : '(uploaded)');
+                } else if (result.meta) {
                     console.log('DRY RUN - Dimensions (ft):', result.meta.dimensions?.feet);
                     console.log('DRY RUN - Dimensions (mm):', result.meta.dimensions?.millimeters);
-                    console.log('DRY RUN - windowParams JSON:', result.meta.windowParamsJson);
+                    if (result.meta.types && result.meta.types.length > 1) {
+                        console.table(result.meta.types.map(type => Object.assign({ type: type.name }, type.millimeters)));
+                    }
+                    if (result.meta.doorParamsJson) {
+                        console.log('DRY RUN - doorParams JSON:', result.meta.doorParamsJson);
+                    } else {
+                        console.log('DRY RUN - windowParams JSON:', result.meta.windowParamsJson);
+                    }
                 }
                 this.addMessageToChat('assistant', '✅ Test payload generated. Open console to view full APS parameters and payload.');
+                if (result.meta && result.meta.warnings && result.meta.warnings.length > 0) {
+                    this.addMessageToChat('assistant', '⚠️ ' + result.meta.warnings.map(warning => warning.message).join('<br>⚠️ '));
+                }
             } else {
-                throw new Error(result.error || 'Failed to perform dry-run');
+                throw new Error(this.describeExecuteError(result, 'Failed to perform dry-run'));
             }
         } catch (error) {
             console.error('Dry-run error:', error);
@@ -746,10 +1099,26 @@ class BIMLLMInterface {
         }
     }
 
+    /**
+     * Error message for a failed execute response, listing any parameter
+     * validation errors
+     */
+    describeExecuteError(result, fallback) {
+        const message = result.error || fallback;
+        if (result.resetsAt) {
+            return `${message}: ${result.details}.${this.describeQuotaReset(result)}`;
+        }
+        if (!Array.isArray(result.validationErrors) || result.validationErrors.length === 0) {
+            return message;
+        }
+        return `${message}: ` + result.validationErrors.map(error => error.message || error).join('; ');
+    }
+
     /**
      * Track workitem progress
      */
     async trackWorkitem(workitemId) {
+        this.trackedWorkitemId = workitemId;
         const checkStatus = async () => {
             try {
                 const response = await fetch(`/api/famai/status/${workitemId}`);
@@ -831,13 +1200,18 @@ class BIMLLMInterface {
                 this.currentFamilyData = result;
                 this.showPreviewPanel(result);
                 this.updateStatus('ready', 'Family design refined');
+                this.loadUsage();
                 
+                const versionNote = result.family
+                    ? ` Saved as version ${result.family.version}` +
+                      (result.family.changes && result.family.changes.description ? ` (${this.escapeHtml(result.family.changes.description)}).` : '.')
+                    : '';
                 this.addMessageToChat('assistant', 
                     `I've refined the family design based on your feedback. ` +
-                    `Improvement score: +${result.improvementScore} points.`
+                    `Improvement score: +${result.improvementScore} points.` + versionNote
                 );
             } else {
-                throw new Error(result.error || 'Failed to refine family');
+                throw new Error((result.details || result.error || 'Failed to refine family') + this.describeQuotaReset(result));
             }
 
         } catch (error) {
@@ -883,6 +1257,7 @@ class BIMLLMInterface {
 
             if (result.success) {
                 this.updateStatus('ready', 'Variations generated');
+                this.loadUsage();
                 this.displayVariations(result.variations);
                 
                 this.addMessageToChat('assistant', 
@@ -890,7 +1265,7 @@ class BIMLLMInterface {
                     `Each variation has different dimensional or material properties.`
                 );
             } else {
-                throw new Error(result.error || 'Failed to generate variations');
+                throw new Error((result.details || result.error || 'Failed to generate variations') + this.describeQuotaReset(result));
             }
 
         } catch (error) {
@@ -1172,11 +1547,14 @@ class BIMLLMInterface {
 
     loadSession(sessionId) {
         // Load existing session
+        this.leaveSessionRoom(this.currentSessionId);
         this.currentSessionId = sessionId;
+        this.joinSessionRoom(sessionId);
         // Implementation would load session data from API
     }
 
     startNewFamily() {
+        this.leaveSessionRoom(this.currentSessionId);
         this.currentSessionId = null;
         this.currentFamilyData = null;
         this.conversationHistory = [];
@@ -1983,6 +2361,22 @@ function generateVariations() {
     }
 }
 
+function applySelectedFixes() {
+    if (window.bimLLMInterface) {
+        window.bimLLMInterface.applyFixes();
+    } else {
+        console.error('BIM-LLM Interface not initialized yet');
+    }
+}
+
+function applyAllFixes() {
+    if (window.bimLLMInterface) {
+        window.bimLLMInterface.applyFixes(true);
+    } else {
+        console.error('BIM-LLM Interface not initialized yet');
+    }
+}
+
 function submitRefinement() {
     if (window.bimLLMInterface) {
         window.bimLLMInterface.submitRefinement();
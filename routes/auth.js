@@ -10,8 +10,13 @@ const bcrypt = require('bcryptjs');
 const User = require('../models/User');
 const Session = require('../models/Session');
 const { OAuth } = require('./common/oauth');
+const MailService = require('../services/MailService');
+const OIDCService = require('../services/OIDCService');
+const { auth: authConfig } = require('../config');
 
 const router = express.Router();
+const mailService = new MailService();
+const oidcService = new OIDCService();
 
 /////////////////////////////////////////////////////////////////////
 // Helper Functions
@@ -46,6 +51,77 @@ async function createUserSession(userId, sessionName = 'New Session') {
     }
 }
 
+/**
+ * Sign a user in: record the login, reuse or create their active famAI
+ * session and set the session cookie
+ * @returns {Promise<Object>} The famAI session
+ */
+async function signIn(req, user) {
+    await user.updateLastLogin();
+    
+    let session = await Session.findActiveByUser(user._id);
+    if (!session) {
+        session = await createUserSession(user._id, 'Active Session');
+    } else {
+        await session.extendExpiry();
+    }
+    
+    req.session.userId = user._id.toString();
+    req.session.sessionId = session.sessionId;
+    req.session.isAuthenticated = true;
+    return session;
+}
+
+/**
+ * Redirect a provider sign-in back to the app with an error to show
+ */
+function redirectWithAuthError(res, page, message) {
+    res.redirect(`${page}?authError=${encodeURIComponent(message)}`);
+}
+
+/**
+ * Whether a token that expires at the given time was issued within the
+ * resend cooldown, so another email is not sent yet
+ */
+function isInCooldown(expiry, ttlMs) {
+    if (!expiry) return false;
+    const issuedAt = new Date(expiry).getTime() - ttlMs;
+    return Date.now() - issuedAt < authConfig.resendCooldownMs;
+}
+
+/**
+ * Issue a new email verification token and email its link. Mail failures
+ * are logged, not thrown: the user can ask for the link again
+ * @returns {Promise<boolean>} Whether the email was sent
+ */
+async function sendVerificationEmail(user) {
+    try {
+        const token = user.createEmailVerificationToken(authConfig.emailVerificationTtlMs);
+        await user.save();
+        await mailService.sendEmailVerification(user, `${authConfig.appUrl}/api/auth/verify-email?token=${token}`);
+        return true;
+    } catch (error) {
+        console.error('Error sending verification email:', error);
+        return false;
+    }
+}
+
+/**
+ * Issue a new password reset token and email its link
+ * @returns {Promise<boolean>} Whether the email was sent
+ */
+async function sendPasswordResetEmail(user) {
+    try {
+        const token = user.createPasswordResetToken(authConfig.passwordResetTtlMs);
+        await user.save();
+        await mailService.sendPasswordReset(user, `${authConfig.appUrl}/?resetToken=${token}`);
+        return true;
+    } catch (error) {
+        console.error('Error sending password reset email:', error);
+        return false;
+    }
+}
+
 /////////////////////////////////////////////////////////////////////
 // Authentication Routes
 /////////////////////////////////////////////////////////////////////
@@ -75,10 +151,12 @@ router.post('/register', async (req, res) => {
             });
         }
         
-        // Create new user
+        // Create new user; when verification is required it stays pending
+        // until the emailed link is opened
         const user = new User({
             email: email,
             password: password,
+            status: authConfig.requireEmailVerification ? 'pending' : 'active',
             profile: {
                 firstName: firstName || '',
                 lastName: lastName || '',
@@ -90,6 +168,9 @@ router.post('/register', async (req, res) => {
         
         await user.save();
         
+        // Email the verification link
+        const verificationSent = await sendVerificationEmail(user);
+        
         // Create initial session
         const session = await createUserSession(user._id, 'Welcome Session');
         
@@ -98,10 +179,15 @@ router.post('/register', async (req, res) => {
         
         res.status(201).json({
             success: true,
-            message: 'User registered successfully',
+            message: authConfig.requireEmailVerification ?
+                'User registered successfully. Check your email to verify your account before signing in' :
+                'User registered successfully',
+            emailVerificationRequired: authConfig.requireEmailVerification,
+            verificationSent: verificationSent,
             user: {
                 id: user._id,
                 email: user.email,
+                emailVerified: user.emailVerified,
                 profile: user.profile,
                 sessionId: session.sessionId
             }
@@ -151,29 +237,26 @@ router.post('/login', async (req, res) => {
             });
         }
         
-        // Check if user is active
-        if (user.status !== 'active') {
+        // Accounts registered with verification on can't sign in until it's done
+        const pendingVerification = user.status === 'pending' && !user.emailVerified;
+        if (pendingVerification && authConfig.requireEmailVerification) {
             return res.status(403).json({
                 success: false,
-                error: 'Account is not active'
+                error: 'Email address not verified',
+                code: 'email_not_verified',
+                details: 'Open the link we emailed you, or ask for a new one'
             });
         }
         
-        // Update last login
-        await user.updateLastLogin();
-        
-        // Create or get active session
-        let session = await Session.findActiveByUser(user._id);
-        if (!session) {
-            session = await createUserSession(user._id, 'Active Session');
-        } else {
-            await session.extendExpiry();
+        // Check if user is active
+        if (user.status !== 'active' && !pendingVerification) {
+            return res.status(403).json({
+                success: false,
+                error: 'Account is not active'
+            });
         }
         
-        // Set session in cookie
-        req.session.userId = user._id.toString();
-        req.session.sessionId = session.sessionId;
-        req.session.isAuthenticated = true;
+        const session = await signIn(req, user);
         
         res.json({
             success: true,
@@ -181,6 +264,7 @@ router.post('/login', async (req, res) => {
             user: {
                 id: user._id,
                 email: user.email,
+                emailVerified: user.emailVerified,
                 profile: user.profile,
                 preferences: user.preferences,
                 stats: user.stats,
@@ -251,6 +335,8 @@ router.get('/profile', async (req, res) => {
             user: {
                 id: user._id,
                 email: user.email,
+                emailVerified: user.emailVerified,
+                signInMethods: user.getSignInMethods(),
                 profile: user.profile,
                 preferences: user.preferences,
                 stats: user.stats,
@@ -435,6 +521,477 @@ router.put('/password', async (req, res) => {
     }
 });
 
+/**
+ * Verify an email address from the emailed link, then go to the sign-in page
+ * GET /api/auth/verify-email?token=...
+ */
+router.get('/verify-email', async (req, res) => {
+    try {
+        const user = req.query.token ? await User.findByEmailVerificationToken(req.query.token) : null;
+        if (!user) {
+            return res.redirect('/?emailVerified=false');
+        }
+        
+        await user.markEmailVerified();
+        res.redirect('/?emailVerified=true');
+        
+    } catch (error) {
+        console.error('Email verification error:', error);
+        res.redirect('/?emailVerified=false');
+    }
+});
+
+/**
+ * Verify an email address
+ * POST /api/auth/verify-email
+ */
+router.post('/verify-email', async (req, res) => {
+    try {
+        const { token } = req.body;
+        
+        if (!token) {
+            return res.status(400).json({
+                success: false,
+                error: 'Verification token is required'
+            });
+        }
+        
+        const user = await User.findByEmailVerificationToken(token);
+        if (!user) {
+            return res.status(400).json({
+                success: false,
+                error: 'Verification link is invalid or has expired'
+            });
+        }
+        
+        await user.markEmailVerified();
+        
+        res.json({
+            success: true,
+            message: 'Email address verified'
+        });
+        
+    } catch (error) {
+        console.error('Email verification error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to verify email address',
+            details: error.message
+        });
+    }
+});
+
+/**
+ * Email a new verification link. The answer is the same whether or not
+ * the account exists, so it can't be used to find accounts
+ * POST /api/auth/resend-verification
+ */
+router.post('/resend-verification', async (req, res) => {
+    try {
+        const { email } = req.body;
+        
+        if (!email) {
+            return res.status(400).json({
+                success: false,
+                error: 'Email is required'
+            });
+        }
+        
+        const user = await User.findByEmail(email);
+        if (user && user.authProvider === 'local' && !user.emailVerified &&
+            !isInCooldown(user.emailVerificationExpiry, authConfig.emailVerificationTtlMs)) {
+            await sendVerificationEmail(user);
+        }
+        
+        res.json({
+            success: true,
+            message: 'If the account needs verification, a new link has been sent'
+        });
+        
+    } catch (error) {
+        console.error('Resend verification error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to resend verification email',
+            details: error.message
+        });
+    }
+});
+
+/**
+ * Email a single-use password reset link. The answer is the same whether
+ * or not the account exists
+ * POST /api/auth/forgot-password
+ */
+router.post('/forgot-password', async (req, res) => {
+    try {
+        const { email } = req.body;
+        
+        if (!email) {
+            return res.status(400).json({
+                success: false,
+                error: 'Email is required'
+            });
+        }
+        
+        const user = await User.findByEmail(email);
+        // Accounts created with a provider can set a password this way too
+        if (user && user.status !== 'suspended' &&
+            !isInCooldown(user.passwordResetExpiry, authConfig.passwordResetTtlMs)) {
+            await sendPasswordResetEmail(user);
+        }
+        
+        res.json({
+            success: true,
+            message: 'If an account uses this email, a password reset link has been sent'
+        });
+        
+    } catch (error) {
+        console.error('Forgot password error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to send password reset email',
+            details: error.message
+        });
+    }
+});
+
+/**
+ * Set a new password with a reset token; the token works once
+ * POST /api/auth/reset-password
+ */
+router.post('/reset-password', async (req, res) => {
+    try {
+        const { token, password } = req.body;
+        
+        if (!token || !password) {
+            return res.status(400).json({
+                success: false,
+                error: 'Reset token and new password are required'
+            });
+        }
+        
+        if (password.length < 6) {
+            return res.status(400).json({
+                success: false,
+                error: 'Password must be at least 6 characters'
+            });
+        }
+        
+        const user = await User.findByPasswordResetToken(token);
+        if (!user) {
+            return res.status(400).json({
+                success: false,
+                error: 'Reset link is invalid or has expired'
+            });
+        }
+        
+        await user.resetPassword(password);
+        
+        res.json({
+            success: true,
+            message: 'Password reset successfully. You can now sign in'
+        });
+        
+    } catch (error) {
+        console.error('Password reset error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to reset password',
+            details: error.message
+        });
+    }
+});
+
+/**
+ * List the external sign-in providers, and which the signed-in user linked
+ * GET /api/auth/providers
+ */
+router.get('/providers', async (req, res) => {
+    try {
+        const userId = req.session?.userId;
+        const user = userId ? await User.findById(userId) : null;
+        const methods = user ? user.getSignInMethods() : [];
+        
+        res.json({
+            success: true,
+            providers: oidcService.listProviders().map(provider => Object.assign(provider, {
+                linked: methods.includes(provider.name)
+            })),
+            hasPassword: methods.includes('password')
+        });
+        
+    } catch (error) {
+        console.error('Get providers error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to get sign-in providers',
+            details: error.message
+        });
+    }
+});
+
+/**
+ * Start signing in with an external provider, or linking it to the
+ * signed-in user with ?mode=link
+ * GET /api/auth/oauth/:provider
+ */
+router.get('/oauth/:provider', async (req, res) => {
+    const { provider } = req.params;
+    const mode = req.query.mode === 'link' ? 'link' : 'login';
+    const returnPage = mode === 'link' ? '/famai' : '/';
+    
+    try {
+        if (!oidcService.getProvider(provider)) {
+            return res.status(404).json({
+                success: false,
+                error: `Unknown sign-in provider: ${provider}`
+            });
+        }
+        
+        if (mode === 'link' && !req.session?.userId) {
+            return redirectWithAuthError(res, '/', 'Sign in before linking another account');
+        }
+        
+        const request = await oidcService.createAuthorizationRequest(provider, {
+            loginHint: req.query.login_hint
+        });
+        
+        // Kept in the session cookie until the provider redirects back
+        req.session.oauth = {
+            provider: provider,
+            mode: mode,
+            state: request.state,
+            nonce: request.nonce,
+            codeVerifier: request.codeVerifier
+        };
+        
+        res.redirect(request.url);
+        
+    } catch (error) {
+        console.error('OAuth start error:', error);
+        redirectWithAuthError(res, returnPage, error.message);
+    }
+});
+
+/**
+ * Finish an external sign-in or link: the provider redirects here
+ * GET /api/auth/oauth/:provider/callback
+ */
+router.get('/oauth/:provider/callback', async (req, res) => {
+    const { provider } = req.params;
+    const pending = req.session?.oauth;
+    const returnPage = pending && pending.mode === 'link' ? '/famai' : '/';
+    
+    try {
+        if (req.session) {
+            req.session.oauth = null;
+        }
+        
+        if (!pending || pending.provider !== provider || !req.query.state || req.query.state !== pending.state) {
+            return redirectWithAuthError(res, returnPage, 'Sign-in request expired or was not started here. Please try again');
+        }
+        
+        if (req.query.error) {
+            return redirectWithAuthError(res, returnPage, req.query.error_description || req.query.error);
+        }
+        
+        const tokens = await oidcService.exchangeCode(provider, req.query.code, pending.codeVerifier);
+        const identity = await oidcService.getIdentity(provider, tokens, pending.nonce);
+        const clientId = oidcService.getProvider(provider).clientId;
+        
+        if (pending.mode === 'link') {
+            const user = req.session.userId ? await User.findById(req.session.userId) : null;
+            if (!user) {
+                return redirectWithAuthError(res, '/', 'Sign in before linking another account');
+            }
+            
+            const owner = await User.findByProviderId(provider, identity.subject);
+            if (owner && !owner._id.equals(user._id)) {
+                return redirectWithAuthError(res, returnPage, `This ${provider} account is already linked to another famAI account`);
+            }
+            
+            user.linkProvider(provider, identity);
+            if (provider === 'autodesk') {
+                user.setAPSTokens(tokens, clientId);
+            }
+            await user.save();
+            
+            return res.redirect(`/famai?linked=${encodeURIComponent(provider)}`);
+        }
+        
+        const { user } = await User.findOrCreateFromProvider(provider, identity);
+        if (user.status === 'suspended' || user.status === 'inactive') {
+            return redirectWithAuthError(res, returnPage, 'Account is not active');
+        }
+        
+        if (provider === 'autodesk') {
+            user.setAPSTokens(tokens, clientId);
+        }
+        
+        // Saves the new or linked user
+        await signIn(req, user);
+        
+        res.redirect('/famai');
+        
+    } catch (error) {
+        console.error('OAuth callback error:', error);
+        redirectWithAuthError(res, returnPage, error.code === 'account_exists' ? error.message : `Sign in with ${provider} failed: ${error.message}`);
+    }
+});
+
+/**
+ * Unlink an external provider from the signed-in user
+ * DELETE /api/auth/providers/:provider
+ */
+router.delete('/providers/:provider', async (req, res) => {
+    try {
+        const userId = req.session?.userId;
+        if (!userId) {
+            return res.status(401).json({
+                success: false,
+                error: 'Not authenticated'
+            });
+        }
+        
+        const { provider } = req.params;
+        if (!User.PROVIDERS.includes(provider)) {
+            return res.status(404).json({
+                success: false,
+                error: `Unknown sign-in provider: ${provider}`
+            });
+        }
+        
+        const user = await User.findById(userId);
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                error: 'User not found'
+            });
+        }
+        
+        if (!user.getSignInMethods().includes(provider)) {
+            return res.status(400).json({
+                success: false,
+                error: `${provider} is not linked to this account`
+            });
+        }
+        
+        if (provider === 'autodesk' && user.getSignInMethods().length > 1) {
+            await OAuth.revokeUserTokens(user);
+        }
+        
+        if (!user.unlinkProvider(provider)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Cannot unlink the only way to sign in',
+                details: 'Set a password with "Forgot password?" on the sign-in page, or link another provider first'
+            });
+        }
+        
+        await user.save();
+        
+        res.json({
+            success: true,
+            message: `${provider} unlinked`,
+            signInMethods: user.getSignInMethods()
+        });
+        
+    } catch (error) {
+        console.error('Unlink provider error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to unlink provider',
+            details: error.message
+        });
+    }
+});
+
+/**
+ * Whether the signed-in user has stored APS tokens
+ * GET /api/auth/aps-tokens
+ */
+router.get('/aps-tokens', async (req, res) => {
+    try {
+        const userId = req.session?.userId;
+        if (!userId) {
+            return res.status(401).json({
+                success: false,
+                error: 'Not authenticated'
+            });
+        }
+        
+        const user = await User.findById(userId);
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                error: 'User not found'
+            });
+        }
+        
+        const aps = user.apsIntegration || {};
+        res.json({
+            success: true,
+            connected: !!(aps.accessToken || aps.refreshToken),
+            tokenExpiry: aps.tokenExpiry || null,
+            lastSync: aps.lastSync || null
+        });
+        
+    } catch (error) {
+        console.error('Get APS tokens error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to get APS access',
+            details: error.message
+        });
+    }
+});
+
+/**
+ * Revoke the signed-in user's APS tokens at Autodesk and delete them
+ * DELETE /api/auth/aps-tokens
+ */
+router.delete('/aps-tokens', async (req, res) => {
+    try {
+        const userId = req.session?.userId;
+        if (!userId) {
+            return res.status(401).json({
+                success: false,
+                error: 'Not authenticated'
+            });
+        }
+        
+        const user = await User.findById(userId);
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                error: 'User not found'
+            });
+        }
+        
+        await OAuth.revokeUserTokens(user);
+        await user.save();
+        
+        // Tokens from the APS sign-in kept in the session cookie go too
+        ['internal_token', 'public_token', 'refresh_token', 'expires_at'].forEach(key => {
+            delete req.session[key];
+        });
+        
+        res.json({
+            success: true,
+            message: 'Autodesk access revoked'
+        });
+        
+    } catch (error) {
+        console.error('Revoke APS tokens error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to revoke Autodesk access',
+            details: error.message
+        });
+    }
+});
+
 /**
  * Get user statistics
  * GET /api/auth/stats
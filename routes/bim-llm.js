@@ -10,6 +10,16 @@ const express = require('express');
 const BIMLLMService = require('../services/BIMLLMService');
 const SIRToCodeInterpreter = require('../services/SIRToCodeInterpreter');
 const QAGateway = require('../services/QAGateway');
+const JobStore = require('../services/JobStore');
+const SIRSchema = require('../services/SIRSchema');
+const FamilyVersions = require('../services/FamilyVersions');
+const DimensionParser = require('../services/DimensionParser');
+const GenerationProgress = require('../services/GenerationProgress');
+const BEPRulePack = require('../services/BEPRulePack');
+const SIRPayload = require('../services/SIRPayload');
+const DoorParams = require('../services/DoorParams');
+const FormulaEngine = require('../services/FormulaEngine');
+const QuotaService = require('../services/QuotaService');
 const { OAuth } = require('./common/oauth');
 const { designAutomation } = require('../config');
 const config = require('../config');
@@ -23,10 +33,17 @@ let router = express.Router();
 const bimLLMService = new BIMLLMService();
 const sirInterpreter = new SIRToCodeInterpreter();
 const qaGateway = new QAGateway();
-
-// Store active sessions and workitems
-const activeSessions = new Map();
-const workitemQueue = new Map();
+const sirSchema = new SIRSchema();
+const familyVersions = new FamilyVersions({ sirSchema: sirSchema });
+const dimensionParser = new DimensionParser();
+const sirPayloadBuilder = new SIRPayload();
+const doorParamsBuilder = new DoorParams({ dimensionParser: dimensionParser });
+const formulaEngine = new FormulaEngine();
+const quotaService = QuotaService.shared();
+
+// Active sessions and workitems, persisted so restarts and other instances can serve them
+const activeSessions = new JobStore('bim-llm', 'session');
+const workitemQueue = new JobStore('bim-llm', 'workitem');
 
 /////////////////////////////////////////////////////////////////////
 // Middleware for obtaining tokens and user authentication
@@ -124,8 +141,10 @@ router.post('/create', async (req, res) => {
         
         console.log('Create endpoint called with prompt:', prompt);
         
+        const { units } = await resolveSessionSettings(sessionId, req.user);
+        
         // Generate SIR using demo mode for now (until Gemini API is fixed)
-        const sirResult = bimLLMService.generateDemoSIR(prompt, sessionId || 'create-session');
+        const sirResult = bimLLMService.generateDemoSIR(prompt, sessionId || 'create-session', { units });
         
         console.log('SIR generated:', sirResult.success);
         
@@ -177,7 +196,8 @@ router.post('/create', async (req, res) => {
             qaResult: qaResult,
             readyForExecution: qaResult.overallPass,
             createdAt: new Date().toISOString(),
-            originalPrompt: prompt  // Store the original prompt for window type detection
+            originalPrompt: prompt,  // Store the original prompt for window type detection
+            units: units
         };
         
         // Don't create workitem here - let /execute endpoint handle it
@@ -185,7 +205,7 @@ router.post('/create', async (req, res) => {
         console.log('SIR, code, and QA completed - ready for execution');
         
         // Store session data without workitem
-        activeSessions.set(sessionId || 'create-session', {
+        await activeSessions.set(sessionId || 'create-session', {
             ...sessionData,
             status: 'ready'
         });
@@ -193,20 +213,8 @@ router.post('/create', async (req, res) => {
         // Create family record in MongoDB
         let savedFamily = null;
         try {
-            // Ensure SIR data is properly structured
-            const sirData = { ...sirResult.sir };
-            
-            // Fix familyParameters if it's a string instead of an array
-            if (sirData.parameters && sirData.parameters.familyParameters) {
-                if (typeof sirData.parameters.familyParameters === 'string') {
-                    try {
-                        sirData.parameters.familyParameters = JSON.parse(sirData.parameters.familyParameters);
-                    } catch (e) {
-                        console.warn('Failed to parse familyParameters string, using empty array');
-                        sirData.parameters.familyParameters = [];
-                    }
-                }
-            }
+            // Ensure SIR data is current and conforms to the SIR schema
+            const sirData = sirSchema.normalize(sirResult.sir);
             
             const family = new Family({
                 name: sirData.familyMetadata.familyName || 'Generated Family',
@@ -272,7 +280,8 @@ router.post('/demo', async (req, res) => {
         console.log('Demo endpoint called with prompt:', prompt);
         
         // Generate demo SIR
-        const sirResult = bimLLMService.generateDemoSIR(prompt, sessionId || 'demo-session');
+        const { units } = await resolveSessionSettings(sessionId, req.user);
+        const sirResult = bimLLMService.generateDemoSIR(prompt, sessionId || 'demo-session', { units });
         
         // Simple demo response
         const response = {
@@ -374,7 +383,7 @@ router.get('/status/:workitemId', async (req, res) => {
         // Check if this is a simulated APS workitem ID
         if (workitemId.startsWith('aps_')) {
             // Get workitem data from queue
-            const workitemData = workitemQueue.get(workitemId);
+            const workitemData = await workitemQueue.fetch(workitemId);
             if (!workitemData) {
                 return res.status(404).json({
                     error: 'Workitem not found'
@@ -413,6 +422,7 @@ router.get('/status/:workitemId', async (req, res) => {
             workitemData.progress = progress;
             workitemData.message = message;
             workitemData.lastChecked = new Date();
+            await workitemQueue.set(workitemId, workitemData);
             
             return res.json({
                 success: true,
@@ -427,7 +437,7 @@ router.get('/status/:workitemId', async (req, res) => {
         }
         
         // Check if this is a real APS workitem (not prefixed with aps_)
-        const workitemData = workitemQueue.get(workitemId);
+        const workitemData = await workitemQueue.fetch(workitemId);
         if (workitemData && workitemData.isRealAPS) {
             // Get status from real APS API
             try {
@@ -447,7 +457,7 @@ router.get('/status/:workitemId', async (req, res) => {
                     workitemData.status = apsStatus.body.status || 'unknown';
                     workitemData.lastChecked = new Date();
                     workitemData.apsStatusData = apsStatus.body;
-                    workitemQueue.set(workitemId, workitemData);
+                    await workitemQueue.set(workitemId, workitemData);
                 }
                 
                 // Calculate elapsed time for gradual progress
@@ -580,7 +590,7 @@ router.get('/download/:workitemId', async (req, res) => {
             console.log('Generating RFA file for simulated APS workitem');
             
             // Get workitem data from queue
-            const workitemData = workitemQueue.get(workitemId);
+            const workitemData = await workitemQueue.fetch(workitemId);
             if (!workitemData) {
                 return res.status(404).json({
                     error: 'Workitem not found'
@@ -608,7 +618,7 @@ router.get('/download/:workitemId', async (req, res) => {
         }
         
         // Check if this is a real APS workitem
-        const workitemData = workitemQueue.get(workitemId);
+        const workitemData = await workitemQueue.fetch(workitemId);
         if (workitemData && workitemData.isRealAPS) {
             console.log('Downloading RFA file from real APS workitem');
             
@@ -645,6 +655,7 @@ router.get('/download/:workitemId', async (req, res) => {
                     
                     // Store URN for viewer access
                     workitemData.viewerUrn = urn;
+                    await workitemQueue.set(workitemId, workitemData);
                 } catch (translationError) {
                     console.warn('Could not start translation for viewer:', translationError.message);
                 }
@@ -835,6 +846,27 @@ function getEstimatedTime(status) {
     }
 }
 
+/**
+ * Get the user's plan, limits and usage in the current monthly window,
+ * with the time each limit resets
+ * GET /api/bim-llm/v1/usage
+ */
+router.get('/v1/usage', async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            ...quotaService.getUsage(req.user)
+        });
+    } catch (error) {
+        console.error('Error loading usage:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to load usage',
+            details: error.message
+        });
+    }
+});
+
 /**
  * Get recent sessions
  * GET /api/bim-llm/v1/sessions
@@ -851,6 +883,42 @@ router.get('/v1/sessions', async (req, res) => {
     }
 });
 
+/**
+ * Get the BIM Execution Plan rule pack compliance validation applies
+ * to the user's families
+ * GET /api/bim-llm/v1/bep
+ */
+router.get('/v1/bep', async (req, res) => {
+    try {
+        const rulePack = BEPRulePack.load(req.user.organization);
+
+        res.json({
+            success: true,
+            organization: req.user.organization,
+            rulePack: rulePack ? rulePack.describe() : null
+        });
+    } catch (error) {
+        console.error('Error loading BEP rule pack:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to load BIM Execution Plan rule pack',
+            details: error.message
+        });
+    }
+});
+
+/**
+ * Get the door styles the door pipeline builds, with their leaf counts
+ * and swing directions
+ * GET /api/bim-llm/v1/door-styles
+ */
+router.get('/v1/door-styles', (req, res) => {
+    res.json({
+        success: true,
+        styles: doorParamsBuilder.getStyles()
+    });
+});
+
 /////////////////////////////////////////////////////////////////////
 // Core BIM-LLM Endpoints
 /////////////////////////////////////////////////////////////////////
@@ -858,8 +926,11 @@ router.get('/v1/sessions', async (req, res) => {
 /**
  * Generate BIM family from natural language description
  * POST /api/bim-llm/v1/generate
+ * Progress is emitted to the session's socket room; add ?stream=true (or
+ * Accept: text/event-stream) to receive it as Server-Sent Events instead
  */
-router.post('/v1/generate', async (req, res) => {
+router.post('/v1/generate', quotaService.enforce({ llmCalls: 1 }), async (req, res) => {
+    let progress = null;
     try {
         const { 
             prompt, 
@@ -874,6 +945,22 @@ router.post('/v1/generate', async (req, res) => {
             });
         }
 
+        if (options.target && !SIRToCodeInterpreter.TARGETS.includes(options.target)) {
+            return res.status(400).json({
+                error: 'Invalid code target',
+                details: `options.target must be one of ${SIRToCodeInterpreter.TARGETS.join(', ')}`
+            });
+        }
+
+        // Report each pipeline stage to the session room, and as SSE if requested
+        progress = new GenerationProgress({
+            userId: req.session.userId,
+            sessionId: sessionId,
+            res: res,
+            stream: GenerationProgress.wantsStream(req)
+        }).start();
+        progress.stage('received', 'Prompt received');
+
         // Get conversation context
         const conversationContext = bimLLMService.getConversationContext(sessionId);
         
@@ -882,29 +969,42 @@ router.post('/v1/generate', async (req, res) => {
         console.log('Session ID:', sessionId);
         console.log('Gemini API Key available:', !!process.env.GEMINI_API_KEY);
         
+        const settings = await resolveSessionSettings(sessionId, req.user);
+        const units = settings.units;
         const sirResult = await bimLLMService.generateSIR(
             prompt, 
             sessionId, 
-            { ...conversationContext, ...context }
+            { ...conversationContext, ...context },
+            { ...settings, onProgress: progress.llmListener() }
         );
+        await recordTokenUsage(sessionId, sirResult.usage);
+        await recordGenerationAttempts(sessionId, prompt, sirResult.attempts);
 
         console.log('SIR Generation result:', sirResult);
 
         if (!sirResult.success) {
             console.error('SIR Generation failed:', sirResult.error);
-            return res.status(500).json({
+            return progress.respond(BIMLLMService.errorStatus(sirResult.errorCode, 502), {
                 error: 'Failed to generate SIR',
+                errorCode: sirResult.errorCode,
                 details: sirResult.error,
+                validationErrors: sirResult.validationErrors,
+                attempts: sirResult.attempts,
                 debug: {
                     prompt: prompt,
                     sessionId: sessionId,
-                    hasApiKey: !!process.env.GEMINI_API_KEY
+                    aiModel: settings.aiModel
                 }
             });
         }
 
+        if (sirResult.isDemo) {
+            progress.stage('sir_parsed', `SIR generated for ${sirResult.sir.familyMetadata.familyName} (demo mode)`);
+        }
+
         // Translate SIR to executable code
         console.log('Translating SIR to code...');
+        progress.stage('code_generation', 'Generating Revit code...');
         let codeResult;
         
         if (sirResult.isDemo) {
@@ -921,7 +1021,7 @@ router.post('/v1/generate', async (req, res) => {
         } else {
             codeResult = await sirInterpreter.translateSIRToCode(
                 sirResult.sir, 
-                { sessionId, options }
+                { sessionId, options, target: options.target }
             );
         }
 
@@ -929,14 +1029,18 @@ router.post('/v1/generate', async (req, res) => {
 
         if (!codeResult.success) {
             console.error('Code translation failed:', codeResult.error);
-            return res.status(500).json({
+            return progress.respond(500, {
                 error: 'Failed to translate SIR to code',
                 details: codeResult.error
             });
         }
+        progress.stage('code_generated', 'Code generated', {
+            linesOfCode: codeResult.metadata && codeResult.metadata.linesOfCode
+        });
 
         // Pre-validation QA check
         console.log('Running QA validation...');
+        progress.stage('qa_validation', 'Running QA validation...');
         let qaResult;
         
         if (sirResult.isDemo) {
@@ -958,22 +1062,31 @@ router.post('/v1/generate', async (req, res) => {
             qaResult = await qaGateway.validateFamily(
                 sirResult.sir, 
                 codeResult.code, 
-                null
+                null,
+                {
+                    organization: req.user && req.user.organization,
+                    onValidation: progress.validationListener()
+                }
             );
         }
+        progress.qaResult(qaResult);
 
         console.log('QA validation result:', qaResult);
 
         // Store session data
-        activeSessions.set(sessionId, {
+        await activeSessions.set(sessionId, {
             sir: sirResult.sir,
             code: codeResult.code,
+            codeTarget: options.target || 'python',
             qaResult: qaResult,
+            originalPrompt: prompt,
+            units: units,
+            aiModel: settings.aiModel,
             createdAt: new Date(),
             status: 'ready_for_execution'
         });
 
-        res.json({
+        progress.respond(200, {
             success: true,
             sessionId: sessionId,
             sir: sirResult.sir,
@@ -987,10 +1100,14 @@ router.post('/v1/generate', async (req, res) => {
 
     } catch (error) {
         console.error('BIM-LLM Generation Error:', error);
-        res.status(500).json({
+        const body = {
             error: 'Internal server error',
             details: error.message
-        });
+        };
+        if (progress) {
+            return progress.respond(500, body);
+        }
+        res.status(500).json(body);
     }
 });
 
@@ -998,7 +1115,7 @@ router.post('/v1/generate', async (req, res) => {
  * Refine existing family design based on feedback
  * POST /api/bim-llm/v1/refine
  */
-router.post('/v1/refine', async (req, res) => {
+router.post('/v1/refine', quotaService.enforce({ llmCalls: 1 }), async (req, res) => {
     try {
         const { 
             sessionId, 
@@ -1013,7 +1130,7 @@ router.post('/v1/refine', async (req, res) => {
         }
 
         // Get existing session data
-        const sessionData = activeSessions.get(sessionId);
+        const sessionData = await activeSessions.fetch(sessionId);
         if (!sessionData) {
             return res.status(404).json({
                 error: 'Session not found'
@@ -1021,23 +1138,30 @@ router.post('/v1/refine', async (req, res) => {
         }
 
         // Generate refined SIR
+        const { aiModel } = await resolveSessionSettings(sessionId, req.user);
         const refinementResult = await bimLLMService.refineSIR(
             sessionId, 
             feedback, 
-            sessionData.sir
+            sessionData.sir,
+            { aiModel }
         );
+        await recordTokenUsage(sessionId, refinementResult.usage);
+        await recordGenerationAttempts(sessionId, `Refinement: ${feedback}`, refinementResult.attempts);
 
         if (!refinementResult.success) {
-            return res.status(500).json({
+            return res.status(BIMLLMService.errorStatus(refinementResult.errorCode, 500)).json({
                 error: 'Failed to refine SIR',
-                details: refinementResult.error
+                errorCode: refinementResult.errorCode,
+                details: refinementResult.error,
+                validationErrors: refinementResult.validationErrors,
+                attempts: refinementResult.attempts
             });
         }
 
         // Translate refined SIR to code
         const codeResult = await sirInterpreter.translateSIRToCode(
             refinementResult.sir, 
-            { sessionId, refinementType }
+            { sessionId, refinementType, target: sessionData.codeTarget }
         );
 
         if (!codeResult.success) {
@@ -1051,15 +1175,32 @@ router.post('/v1/refine', async (req, res) => {
         const qaResult = await qaGateway.validateFamily(
             refinementResult.sir, 
             codeResult.code, 
-            null
+            null,
+            { organization: req.user && req.user.organization }
         );
 
+        // Each refinement is saved as a new version of the session's family
+        let familyVersion = null;
+        try {
+            familyVersion = await familyVersions.saveRefinement(req.user, sessionId, sessionData, {
+                sir: refinementResult.sir,
+                code: codeResult.code,
+                codeMetadata: codeResult.metadata,
+                codeTarget: sessionData.codeTarget,
+                qaResult: qaResult,
+                prompt: feedback
+            });
+        } catch (dbError) {
+            console.warn('Failed to save refined family version:', dbError.message);
+        }
+
         // Update session data
-        activeSessions.set(sessionId, {
+        await activeSessions.set(sessionId, {
             ...sessionData,
             sir: refinementResult.sir,
             code: codeResult.code,
             qaResult: qaResult,
+            familyId: familyVersion ? familyVersion.id : sessionData.familyId,
             lastRefined: new Date(),
             refinementCount: (sessionData.refinementCount || 0) + 1
         });
@@ -1071,7 +1212,8 @@ router.post('/v1/refine', async (req, res) => {
             codeMetadata: codeResult.metadata,
             qaValidation: qaResult,
             refinementType: refinementType,
-            improvementScore: this.calculateImprovementScore(sessionData.qaResult, qaResult)
+            improvementScore: calculateImprovementScore(sessionData.qaResult, qaResult),
+            family: familyVersion
         });
 
     } catch (error) {
@@ -1083,11 +1225,134 @@ router.post('/v1/refine', async (req, res) => {
     }
 });
 
+/**
+ * Apply fixes proposed by QA to the session's SIR, then regenerate the
+ * code and re-run validation
+ * POST /api/bim-llm/v1/qa/autofix
+ * Body: { sessionId, fixIds } - fixIds from qaValidation.fixes; all fixes if omitted
+ */
+router.post('/v1/qa/autofix', async (req, res) => {
+    try {
+        const { sessionId, fixIds } = req.body;
+
+        if (!sessionId) {
+            return res.status(400).json({
+                error: 'Missing required field: sessionId'
+            });
+        }
+        if (fixIds !== undefined && (!Array.isArray(fixIds) || fixIds.some(id => typeof id !== 'string'))) {
+            return res.status(400).json({
+                error: 'fixIds must be a list of fix IDs'
+            });
+        }
+
+        const sessionData = await activeSessions.fetch(sessionId);
+        if (!sessionData || !sessionData.sir) {
+            return res.status(404).json({
+                error: 'Session not found'
+            });
+        }
+
+        // Only fixes QA proposed for the current SIR can be applied
+        const proposed = (sessionData.qaResult && sessionData.qaResult.fixes) || [];
+        const unknown = (fixIds || []).filter(id => !proposed.some(fix => fix.id === id));
+        if (unknown.length > 0) {
+            return res.status(404).json({
+                error: 'Unknown fixes',
+                details: `No fix ${unknown.join(', ')} was proposed for the current design`
+            });
+        }
+        const selected = fixIds ? proposed.filter(fix => fixIds.includes(fix.id)) : proposed;
+        if (selected.length === 0) {
+            return res.status(400).json({
+                error: 'No fixes to apply'
+            });
+        }
+
+        const fixResult = qaGateway.applyFixes(sessionData.sir, selected);
+        if (fixResult.applied.length === 0) {
+            return res.status(409).json({
+                error: 'None of the fixes could be applied',
+                details: fixResult.failed.map(f => `${f.id}: ${f.error}`).join('; '),
+                failed: fixResult.failed
+            });
+        }
+
+        // Fixes must leave a SIR the schema accepts
+        const schemaValidation = sirSchema.validate(fixResult.sir);
+        if (!schemaValidation.valid) {
+            return res.status(422).json({
+                error: 'Fixes produce an invalid SIR',
+                details: schemaValidation.errors.slice(0, 10).map(e => `${e.path}: ${e.message}`).join('; '),
+                validationErrors: schemaValidation.errors
+            });
+        }
+
+        const codeResult = await sirInterpreter.translateSIRToCode(fixResult.sir, { sessionId, target: sessionData.codeTarget });
+        if (!codeResult.success) {
+            return res.status(500).json({
+                error: 'Failed to translate fixed SIR to code',
+                details: codeResult.error
+            });
+        }
+
+        const qaResult = await qaGateway.validateFamily(fixResult.sir, codeResult.code, null, {
+            organization: req.user && req.user.organization
+        });
+
+        // Fixes are saved as a new version of the session's family, like refinements
+        let familyVersion = null;
+        try {
+            familyVersion = await familyVersions.saveRefinement(req.user, sessionId, sessionData, {
+                sir: fixResult.sir,
+                code: codeResult.code,
+                codeMetadata: codeResult.metadata,
+                codeTarget: sessionData.codeTarget,
+                qaResult: qaResult,
+                prompt: `Apply QA fixes: ${fixResult.applied.join(', ')}`
+            });
+        } catch (dbError) {
+            console.warn('Failed to save fixed family version:', dbError.message);
+        }
+
+        await activeSessions.set(sessionId, {
+            ...sessionData,
+            sir: fixResult.sir,
+            code: codeResult.code,
+            qaResult: qaResult,
+            familyId: familyVersion ? familyVersion.id : sessionData.familyId,
+            lastRefined: new Date(),
+            refinementCount: (sessionData.refinementCount || 0) + 1
+        });
+
+        res.json({
+            success: true,
+            sessionId: sessionId,
+            sir: fixResult.sir,
+            codeMetadata: codeResult.metadata,
+            qaValidation: qaResult,
+            readyForExecution: qaResult.overallPass,
+            applied: fixResult.applied,
+            failed: fixResult.failed,
+            diff: fixResult.diff,
+            improvementScore: calculateImprovementScore(sessionData.qaResult, qaResult),
+            family: familyVersion
+        });
+
+    } catch (error) {
+        console.error('QA Autofix Error:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            details: error.message
+        });
+    }
+});
+
 /**
  * Generate variations of existing family
  * POST /api/bim-llm/v1/variations
  */
-router.post('/v1/variations', async (req, res) => {
+router.post('/v1/variations', quotaService.enforce(variationAmounts), async (req, res) => {
     try {
         const { 
             sessionId, 
@@ -1102,7 +1367,7 @@ router.post('/v1/variations', async (req, res) => {
         }
 
         // Get existing session data
-        const sessionData = activeSessions.get(sessionId);
+        const sessionData = await activeSessions.fetch(sessionId);
         if (!sessionData) {
             return res.status(404).json({
                 error: 'Session not found'
@@ -1110,15 +1375,22 @@ router.post('/v1/variations', async (req, res) => {
         }
 
         // Generate variations
+        const { aiModel } = await resolveSessionSettings(sessionId, req.user);
         const variationsResult = await bimLLMService.generateVariations(
             sessionData.sir, 
-            variationCount
+            variationCount,
+            { aiModel }
         );
+        await recordTokenUsage(sessionId, variationsResult.usage);
+        await recordGenerationAttempts(sessionId, `Variations (${variationCount})`, variationsResult.attempts);
 
         if (!variationsResult.success) {
-            return res.status(500).json({
+            return res.status(BIMLLMService.errorStatus(variationsResult.errorCode, 500)).json({
                 error: 'Failed to generate variations',
-                details: variationsResult.error
+                errorCode: variationsResult.errorCode,
+                details: variationsResult.error,
+                validationErrors: variationsResult.validationErrors,
+                attempts: variationsResult.attempts
             });
         }
 
@@ -1131,7 +1403,9 @@ router.post('/v1/variations', async (req, res) => {
             const codeResult = await sirInterpreter.translateSIRToCode(variation);
             
             // Validate
-            const qaResult = await qaGateway.validateFamily(variation, codeResult.code, null);
+            const qaResult = await qaGateway.validateFamily(variation, codeResult.code, null, {
+                organization: req.user && req.user.organization
+            });
             
             processedVariations.push({
                 index: i,
@@ -1163,7 +1437,16 @@ router.post('/v1/variations', async (req, res) => {
  * Execute family creation using APS Design Automation
  * POST /api/bim-llm/v1/execute
  */
-router.post('/v1/execute', async (req, res) => {
+router.post('/v1/execute', quotaService.enforce({ workitems: 1 }, { when: 'success', skip: isDryRun }), (req, res) => executeSession(req, res));
+
+/**
+ * Send a session's family to Design Automation, or with options.dryRun
+ * return the workitem that would be sent. Rollbacks pass the session data
+ * to execute instead of the stored one, and fields to add to the response
+ * @param {Object} prepared - { sessionData, response }
+ */
+async function executeSession(req, res, prepared = {}) {
+    const responseFields = prepared.response || {};
     try {
         const { 
             sessionId, 
@@ -1178,7 +1461,7 @@ router.post('/v1/execute', async (req, res) => {
         }
 
         // Get session data
-        const sessionData = activeSessions.get(sessionId);
+        const sessionData = prepared.sessionData || await activeSessions.fetch(sessionId);
         if (!sessionData) {
             return res.status(404).json({
                 error: 'Session not found'
@@ -1194,16 +1477,40 @@ router.post('/v1/execute', async (req, res) => {
             });
         }
 
+        // Only schema-conformant SIRs are sent to Design Automation
+        const { sir: executableSIR } = sirSchema.migrate(sessionData.sir);
+        const sirValidation = sirSchema.validate(executableSIR);
+        if (!sirValidation.valid) {
+            return res.status(422).json({
+                error: 'SIR does not conform to schema',
+                sirVersion: sirSchema.version,
+                validationErrors: sirValidation.errors
+            });
+        }
+
         console.log('Converting SIR to APS parameters...');
         
         // Convert SIR data to APS-compatible parameters
-        const apsParams = convertSIRToAPSParams(sessionData.sir, sessionData.originalPrompt);
+        const apsParams = convertSIRToAPSParams(executableSIR, sessionData.originalPrompt, { units: sessionData.units });
         
         console.log('APS Parameters:', apsParams);
 
+        // Door parameters are checked before anything is sent to Design Automation
+        const isDoorPayload = apsParams.FamilyType === SIRPayload.FAMILY_TYPES.DOOR;
+        const doorValidation = isDoorPayload ? doorParamsBuilder.validate(apsParams.DoorParams) : null;
+        if (doorValidation && !doorValidation.valid) {
+            return res.status(422).json({
+                error: 'Door parameters are invalid',
+                validationErrors: doorValidation.errors,
+                warnings: doorValidation.warnings
+            });
+        }
+
         // If dry-run requested, return the payload that would be sent without executing
         if (options && options.dryRun === true) {
-            const activityId = `${designAutomation.nickname}.${designAutomation.activity_name}+${designAutomation.appbundle_activity_alias}`;
+            const isSIRPayload = apsParams.FamilyType === SIRPayload.FAMILY_TYPES.SIR;
+            const activityName = isSIRPayload ? designAutomation.sir_activity_name : designAutomation.activity_name;
+            const activityId = `${designAutomation.nickname}.${activityName}+${designAutomation.appbundle_activity_alias}`;
 
             // Build a payload mirroring a real request as closely as possible
             const bucketKey = `temp-rfa-${Date.now()}-preview`;
@@ -1217,23 +1524,47 @@ router.post('/v1/execute', async (req, res) => {
                 Authorization: '<3-legged-access-token at runtime>'
             };
 
-            const windowParamsJson = JSON.stringify(apsParams.WindowParams, null, 2);
+            let inputArguments;
+            let templateUrl;
+            if (isSIRPayload) {
+                inputArguments = {
+                    sirPayload: {
+                        url: sirPayloadBuilder.toDataUrl(apsParams.SIRPayload) || '<signed-url-for-uploaded-payload-at-runtime>',
+                        localName: SIRPayload.PAYLOAD_LOCAL_NAME
+                    }
+                };
+                templateUrl = sirPayloadBuilder.templateUrl(designAutomation.family_templates, apsParams.Template);
+            } else if (isDoorPayload) {
+                inputArguments = {
+                    doorParams: {
+                        url: 'data:application/json,' + encodeURIComponent(JSON.stringify(apsParams.DoorParams)),
+                        localName: 'DoorParams.json'
+                    }
+                };
+                templateUrl = designAutomation.family_templates.door || '<no-door-template-configured>';
+            } else {
+                inputArguments = {
+                    windowParams: {
+                        url: 'data:application/json,' + encodeURIComponent(JSON.stringify(apsParams.WindowParams)),
+                        localName: 'WindowParams.json'
+                    }
+                };
+                templateUrl = designAutomation.revit_family_template;
+            }
 
             const dryRunPayload = {
                 activityId: activityId,
                 arguments: {
                     templateFile: {
-                        url: designAutomation.revit_family_template,
+                        url: templateUrl,
                         Headers: templateHeaders
                     },
-                    windowParams: {
-                        url: 'data:application/json,' + encodeURIComponent(JSON.stringify(apsParams.WindowParams)),
-                        localName: 'WindowParams.json'
-                    },
+                    ...inputArguments,
                     resultFamily: {
                         verb: 'put',
                         url: '<signed-url-will-be-generated-at-runtime>',
-                        headers: resultHeaders
+                        headers: resultHeaders,
+                        ...(isDoorPayload ? { localName: 'DoorFamily.rfa' } : {})
                     },
                     onComplete: {
                         verb: 'post',
@@ -1247,22 +1578,56 @@ router.post('/v1/execute', async (req, res) => {
                 targetFolder: targetFolder
             };
 
-            const mmPerFt = 304.8;
-            const dryRunMeta = {
-                dimensions: {
-                    feet: {
-                        width: apsParams.WindowParams.Types[0].WindowWidth,
-                        height: apsParams.WindowParams.Types[0].WindowHeight,
-                        sill: apsParams.WindowParams.Types[0].WindowSillHeight,
-                        inset: apsParams.WindowParams.Types[0].WindowInset
-                    },
-                    millimeters: {
-                        width: Math.round(apsParams.WindowParams.Types[0].WindowWidth * mmPerFt),
-                        height: Math.round(apsParams.WindowParams.Types[0].WindowHeight * mmPerFt),
-                        sill: Math.round(apsParams.WindowParams.Types[0].WindowSillHeight * mmPerFt),
-                        inset: Math.round(apsParams.WindowParams.Types[0].WindowInset * mmPerFt)
+            if (isSIRPayload) {
+                const payloadJson = JSON.stringify(apsParams.SIRPayload);
+                console.log('DRY RUN - APS Workitem payload (not sent):');
+                console.log(JSON.stringify(dryRunPayload, null, 2));
+
+                return res.json({
+                    success: true,
+                    dryRun: true,
+                    sessionId: sessionId,
+                    ...responseFields,
+                    apsParams: apsParams,
+                    workitem: dryRunPayload,
+                    meta: {
+                        route: sirPayloadBuilder.route(executableSIR),
+                        payloadVersion: SIRPayload.PAYLOAD_VERSION,
+                        payloadBytes: Buffer.byteLength(payloadJson),
+                        inline: sirPayloadBuilder.toDataUrl(apsParams.SIRPayload) !== null
                     }
-                },
+                });
+            }
+
+            if (isDoorPayload) {
+                const doorTypes = describeTypeDimensions(apsParams.DoorParams.Types, DOOR_TYPE_DIMENSIONS);
+                const doorParamsJson = JSON.stringify(apsParams.DoorParams, null, 2);
+                console.log('DRY RUN - APS Workitem payload (not sent):');
+                console.log(JSON.stringify(dryRunPayload, null, 2));
+                console.log('DRY RUN - Expanded doorParams JSON:');
+                console.log(doorParamsJson);
+
+                return res.json({
+                    success: true,
+                    dryRun: true,
+                    sessionId: sessionId,
+                    ...responseFields,
+                    apsParams: apsParams,
+                    workitem: dryRunPayload,
+                    meta: {
+                        dimensions: { feet: doorTypes[0].feet, millimeters: doorTypes[0].millimeters },
+                        types: doorTypes,
+                        warnings: doorValidation.warnings,
+                        doorParamsJson: doorParamsJson
+                    }
+                });
+            }
+
+            const windowParamsJson = JSON.stringify(apsParams.WindowParams, null, 2);
+            const windowTypes = describeTypeDimensions(apsParams.WindowParams.Types, WINDOW_TYPE_DIMENSIONS);
+            const dryRunMeta = {
+                dimensions: { feet: windowTypes[0].feet, millimeters: windowTypes[0].millimeters },
+                types: windowTypes,
                 windowParamsJson: windowParamsJson
             };
 
@@ -1275,6 +1640,7 @@ router.post('/v1/execute', async (req, res) => {
                 success: true,
                 dryRun: true,
                 sessionId: sessionId,
+                ...responseFields,
                 apsParams: apsParams,
                 workitem: dryRunPayload,
                 meta: dryRunMeta
@@ -1282,7 +1648,7 @@ router.post('/v1/execute', async (req, res) => {
         }
 
         // Use the real APS family creation endpoint
-        const apsResponse = await createFamilyWithAPS(apsParams, targetFolder, req.oauth_token, req.user._id, sessionId);
+        const apsResponse = await createFamilyWithAPS(apsParams, targetFolder, req.oauth_token);
         
         if (!apsResponse.success) {
             throw new Error(apsResponse.error || 'Failed to create APS workitem');
@@ -1291,8 +1657,19 @@ router.post('/v1/execute', async (req, res) => {
         const workitemId = apsResponse.workItemId;
         console.log('Real APS workitem created:', workitemId);
 
+        // The family records the workitem, so the callback and the WorkitemPoller finish it
+        if (req.user && apsResponse.workitem) {
+            try {
+                const family = await familyVersions.recordWorkitem(req.user, sessionId, sessionData, apsResponse.workitem);
+                sessionData.familyId = family._id;
+                console.log('Stored APS identifiers in Family document:', family._id);
+            } catch (persistErr) {
+                console.warn('Failed to persist APS identifiers to Family:', persistErr.message);
+            }
+        }
+
         // Get the workitem data that was stored by createFamilyWithAPS
-        let workitemData = workitemQueue.get(workitemId);
+        let workitemData = await workitemQueue.fetch(workitemId);
         
         // If not found (shouldn't happen), create new data
         if (!workitemData) {
@@ -1317,16 +1694,17 @@ router.post('/v1/execute', async (req, res) => {
         workitemData.targetFolder = targetFolder;
         
         // Store updated workitem data (preserving bucketKey and outputObjectKey)
-        workitemQueue.set(workitemId, workitemData);
+        await workitemQueue.set(workitemId, workitemData);
 
         // Update session status
         sessionData.status = 'executing';
         sessionData.workitemId = workitemId;
-        activeSessions.set(sessionId, sessionData);
+        await activeSessions.set(sessionId, sessionData);
 
         res.json({
             success: true,
             sessionId: sessionId,
+            ...responseFields,
             workitemId: workitemId,
             status: 'submitted',
             estimatedCompletionTime: 180, // 3 minutes for real APS processing
@@ -1340,6 +1718,109 @@ router.post('/v1/execute', async (req, res) => {
             details: error.message
         });
     }
+}
+
+/**
+ * Roll a family back to an earlier version: that version's SIR is saved as
+ * the newest version, loaded into the family's session and executed again.
+ * With options.dryRun nothing is saved and the workitem is only previewed
+ * POST /api/bim-llm/v1/families/:id/rollback
+ * Body: { targetFolder, options } - :id is the version to roll back to
+ */
+router.post('/v1/families/:id/rollback', quotaService.enforce({ workitems: 1 }, { when: 'success', skip: isDryRun }), async (req, res) => {
+    try {
+        const { targetFolder, options = {} } = req.body;
+
+        if (!targetFolder) {
+            return res.status(400).json({
+                error: 'Missing required field: targetFolder'
+            });
+        }
+
+        const target = await Family.findOne({ _id: req.params.id, createdBy: req.user._id });
+        if (!target) {
+            return res.status(404).json({
+                error: 'Family not found'
+            });
+        }
+
+        let sir;
+        try {
+            sir = sirSchema.normalize(target.sir);
+        } catch (validationError) {
+            return res.status(422).json({
+                error: 'SIR does not conform to schema',
+                sirVersion: sirSchema.version,
+                validationErrors: validationError.errors || [{ path: 'sir', message: validationError.message }]
+            });
+        }
+
+        const versions = await Family.findVersions(target);
+        const latest = versions[versions.length - 1];
+        const sessionId = target.sessionId;
+        const storedSession = await activeSessions.fetch(sessionId);
+        const { units } = await resolveSessionSettings(sessionId, req.user);
+        const codeTarget = (storedSession && storedSession.codeTarget) || 'python';
+
+        // The older SIR is translated and validated again, against the current rules
+        const codeResult = await sirInterpreter.translateSIRToCode(sir, { sessionId, target: codeTarget });
+        if (!codeResult.success) {
+            return res.status(500).json({
+                error: 'Failed to translate SIR to code',
+                details: codeResult.error
+            });
+        }
+
+        const qaResult = await qaGateway.validateFamily(
+            sir,
+            codeResult.code,
+            null,
+            { organization: req.user && req.user.organization }
+        );
+        if (!qaResult.overallPass) {
+            return res.status(400).json({
+                error: 'Family failed QA validation',
+                qaIssues: qaResult.validations,
+                recommendations: qaResult.recommendations
+            });
+        }
+
+        const sessionData = {
+            ...(storedSession || { originalPrompt: target.originalPrompt, units: units, createdAt: new Date() }),
+            sir: sir,
+            code: codeResult.code,
+            codeTarget: codeTarget,
+            qaResult: qaResult,
+            status: 'ready_for_execution'
+        };
+        const rollback = {
+            from: { id: latest._id, version: latest.version },
+            to: { id: target._id, version: target.version },
+            family: null
+        };
+
+        if (!isDryRun(req)) {
+            rollback.family = await familyVersions.saveRollback(latest, target, {
+                sir: sir,
+                code: codeResult.code,
+                codeMetadata: codeResult.metadata,
+                codeTarget: codeTarget,
+                qaResult: qaResult
+            });
+            sessionData.familyId = rollback.family.id;
+            await activeSessions.set(sessionId, sessionData);
+        }
+
+        req.body = { sessionId: sessionId, targetFolder: targetFolder, options: options };
+        return executeSession(req, res, { sessionData: sessionData, response: { rollback: rollback } });
+
+    } catch (error) {
+        console.error('BIM-LLM Rollback Error:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            details: error.message
+        });
+    }
 });
 
 /**
@@ -1351,7 +1832,7 @@ router.get('/v1/status/:workitemId', async (req, res) => {
         const workitemId = req.params.workitemId;
         
         // Get workitem data
-        const workitemData = workitemQueue.get(workitemId);
+        const workitemData = await workitemQueue.fetch(workitemId);
         if (!workitemData) {
             return res.status(404).json({
                 error: 'Workitem not found'
@@ -1392,6 +1873,7 @@ router.get('/v1/status/:workitemId', async (req, res) => {
             workitemData.progress = progress;
             workitemData.message = message;
             workitemData.lastChecked = new Date();
+            await workitemQueue.set(workitemId, workitemData);
             
             return res.json({
                 success: true,
@@ -1452,13 +1934,13 @@ router.get('/v1/status/:workitemId', async (req, res) => {
         workitemData.lastChecked = new Date();
         
         console.log('Updating workitem data:', JSON.stringify(workitemData, null, 2));
-        workitemQueue.set(workitemId, workitemData);
+        await workitemQueue.set(workitemId, workitemData);
 
         // Update session status
-        const sessionData = activeSessions.get(workitemData.sessionId);
+        const sessionData = await activeSessions.fetch(workitemData.sessionId);
         if (sessionData) {
             sessionData.status = statusResult.status;
-            activeSessions.set(workitemData.sessionId, sessionData);
+            await activeSessions.set(workitemData.sessionId, sessionData);
         }
 
         res.json({
@@ -1493,7 +1975,7 @@ router.get('/v1/download/:workitemId', async (req, res) => {
         const workitemId = req.params.workitemId;
         
         // Get workitem data from memory queue first
-        let workitemData = workitemQueue.get(workitemId);
+        let workitemData = await workitemQueue.fetch(workitemId);
         
         // If not found in memory, try to get from database
         if (!workitemData) {
@@ -1699,7 +2181,7 @@ router.get('/v1/models/:workitemId', async (req, res) => {
         const workitemId = req.params.workitemId;
         
         // Get workitem data
-        const workitemData = workitemQueue.get(workitemId);
+        const workitemData = await workitemQueue.fetch(workitemId);
         if (!workitemData) {
             return res.status(404).json({
                 error: 'Model not found'
@@ -1785,7 +2267,7 @@ router.get('/v1/session/:sessionId', async (req, res) => {
     try {
         const sessionId = req.params.sessionId;
         
-        const sessionData = activeSessions.get(sessionId);
+        const sessionData = await activeSessions.fetch(sessionId);
         if (!sessionData) {
             return res.status(404).json({
                 error: 'Session not found'
@@ -1816,6 +2298,54 @@ router.get('/v1/session/:sessionId', async (req, res) => {
     }
 });
 
+/**
+ * Download the session's family code for a target: the Dynamo Python
+ * script (default) or the C# source of a Design Automation app bundle
+ * GET /api/bim-llm/v1/session/:sessionId/code?target=csharp
+ */
+router.get('/v1/session/:sessionId/code', async (req, res) => {
+    try {
+        const sessionId = req.params.sessionId;
+        const target = req.query.target || 'python';
+
+        if (!SIRToCodeInterpreter.TARGETS.includes(target)) {
+            return res.status(400).json({
+                error: 'Invalid code target',
+                details: `target must be one of ${SIRToCodeInterpreter.TARGETS.join(', ')}`
+            });
+        }
+
+        const sessionData = await activeSessions.fetch(sessionId);
+        if (!sessionData || !sessionData.sir) {
+            return res.status(404).json({
+                error: 'Session not found'
+            });
+        }
+
+        const codeResult = await sirInterpreter.translateSIRToCode(sessionData.sir, { sessionId, target });
+        if (!codeResult.success) {
+            return res.status(500).json({
+                error: 'Failed to translate SIR to code',
+                details: codeResult.error
+            });
+        }
+
+        const fileName = target === 'csharp'
+            ? `${sirInterpreter.csharpGenerator.getClassName(sessionData.sir)}.cs`
+            : `${sessionData.sir.familyMetadata.familyName.replace(/[^A-Za-z0-9_-]+/g, '_')}.py`;
+        res.set('Content-Type', 'text/plain; charset=utf-8');
+        res.set('Content-Disposition', `attachment; filename="${fileName}"`);
+        res.send(codeResult.code);
+
+    } catch (error) {
+        console.error('BIM-LLM Code Download Error:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            details: error.message
+        });
+    }
+});
+
 /**
  * Cancel workitem execution
  * DELETE /api/bim-llm/v1/cancel/:workitemId
@@ -1835,17 +2365,17 @@ router.delete('/v1/cancel/:workitemId', async (req, res) => {
         }
 
         // Update workitem data
-        const workitemData = workitemQueue.get(workitemId);
+        const workitemData = await workitemQueue.fetch(workitemId);
         if (workitemData) {
             workitemData.status = 'cancelled';
             workitemData.cancelledAt = new Date();
-            workitemQueue.set(workitemId, workitemData);
+            await workitemQueue.set(workitemId, workitemData);
 
             // Update session status
-            const sessionData = activeSessions.get(workitemData.sessionId);
+            const sessionData = await activeSessions.fetch(workitemData.sessionId);
             if (sessionData) {
                 sessionData.status = 'cancelled';
-                activeSessions.set(workitemData.sessionId, sessionData);
+                await activeSessions.set(workitemData.sessionId, sessionData);
             }
         }
 
@@ -1869,10 +2399,103 @@ router.delete('/v1/cancel/:workitemId', async (req, res) => {
 // Helper Methods
 /////////////////////////////////////////////////////////////////////
 
+/**
+ * Quota amounts of a variations request: each variation is one LLM call
+ */
+function variationAmounts(req) {
+    const count = req.body.variationCount === undefined ? 5 : (Number(req.body.variationCount) || 0);
+    return { variations: count, llmCalls: count };
+}
+
+/**
+ * Dry runs build the workitem without submitting it, so they use no quota
+ */
+function isDryRun(req) {
+    return req.body.options?.dryRun === true;
+}
+
+/**
+ * Resolve the session settings that shape generation: length units for
+ * unitless prompt values and the AI model. Session settings take
+ * precedence over the user's preferences
+ */
+async function resolveSessionSettings(sessionId, user) {
+    const settings = {
+        units: (user && user.preferences && user.preferences.units) || 'metric',
+        aiModel: config.llm.defaultModel
+    };
+    try {
+        const session = sessionId ? await Session.findOne({ sessionId: sessionId }).select('settings') : null;
+        if (session && session.settings) {
+            settings.units = session.settings.units || settings.units;
+            settings.aiModel = session.settings.aiModel || settings.aiModel;
+        }
+    } catch (error) {
+        console.warn('Failed to load session settings:', error.message);
+    }
+    return settings;
+}
+
+/**
+ * Record every LLM attempt of a generation (including self-repair retries)
+ * in the session conversation
+ */
+async function recordGenerationAttempts(sessionId, prompt, attempts) {
+    if (!sessionId || !attempts || attempts.length === 0) {
+        return;
+    }
+    try {
+        const session = await Session.findOne({ sessionId: sessionId });
+        if (session) {
+            await session.addGenerationAttempts(prompt, attempts);
+        }
+    } catch (error) {
+        console.warn('Failed to record generation attempts:', error.message);
+    }
+}
+
+/**
+ * Add LLM token usage to the session's stats.totalTokens
+ */
+async function recordTokenUsage(sessionId, usage) {
+    try {
+        await Session.recordTokenUsage(sessionId, usage);
+    } catch (error) {
+        console.warn('Failed to record token usage:', error.message);
+    }
+}
+
 /**
  * Convert SIR data to APS-compatible parameters
+ * @param {Object} sir - Schema-conformant SIR
+ * @param {string} originalPrompt - Prompt the SIR was generated from
+ * @param {Object} options - { units } session units for unitless prompt values
+ * @returns {Object} WindowParams for windows (FamilyType 1), DoorParams for
+ *   doors (FamilyType 2), otherwise the SIR payload and template key for the
+ *   SIR activity (FamilyType 3)
  */
-function convertSIRToAPSParams(sir, originalPrompt = '') {
+function convertSIRToAPSParams(sir, originalPrompt = '', options = {}) {
+    // Windows and doors use the window activity; every other category is
+    // sent to the SIR activity as the full SIR
+    const route = sirPayloadBuilder.route(sir);
+    if (route.activity === 'door') {
+        return {
+            FileName: `${sir.familyMetadata.familyName || 'Generated Door'}.rfa`,
+            FamilyType: SIRPayload.FAMILY_TYPES.DOOR,
+            Template: route.template,
+            DoorParams: doorParamsBuilder.fromSIR(sir, originalPrompt, { units: options.units })
+        };
+    }
+    if (route.activity === 'sir') {
+        console.log(`Routing ${route.category} family to the SIR activity (${route.template} template)`);
+        return {
+            FileName: `${sir.familyMetadata.familyName || 'Generated Family'}.rfa`,
+            FamilyType: SIRPayload.FAMILY_TYPES.SIR,
+            Template: route.template,
+            SIRPayload: sirPayloadBuilder.build(sir, { units: options.units, originalPrompt: originalPrompt })
+        };
+    }
+
     try {
         // Extract family metadata
         const familyName = sir.familyMetadata.familyName || 'Generated Family';
@@ -1880,7 +2503,7 @@ function convertSIRToAPSParams(sir, originalPrompt = '') {
         
         // Determine window type from original prompt (not family name, which may be generic)
         let windowType = "DoubleHungWindow"; // Default
-        const promptLower = originalPrompt.toLowerCase();
+        const promptLower = (originalPrompt || '').toLowerCase();
         
         if (promptLower.includes('sliding')) {
             windowType = "SlidingDoubleWindow";
@@ -1937,108 +2560,6 @@ function convertSIRToAPSParams(sir, originalPrompt = '') {
             console.log('No frame material found in SIR, using Default');
         }
 
-        // ---------- Unit parsing helpers (normalize to feet) ----------
-        const prompt = (originalPrompt || '').toLowerCase();
-        const mmToFt = (mm) => mm / 304.8;
-        const cmToFt = (cm) => (cm * 10) / 304.8;
-        const mToFt  = (m)  => (m * 1000) / 304.8;
-        const inToFt = (inch) => inch / 12.0;
-        const ftToFt = (ft) => ft;
-
-        // 5' 6", 5 ft 6 in, 5ft6in, 5'6"
-        function parseFeetInches(text) {
-            const patterns = [
-                /(\d+(?:\.\d+)?)\s*(?:ft|')\s*(\d+(?:\.\d+)?)\s*(?:in|inch|inches|")/,
-                /(\d+(?:\.\d+)?)\s*'\s*(\d+(?:\.\d+)?)\s*"/,
-                /(\d+(?:\.\d+)?)\s*feet\s*(\d+(?:\.\d+)?)\s*inches/,
-                /(\d+(?:\.\d+)?)\s*ft\s*(\d+(?:\.\d+)?)\s*in/
-            ];
-            for (const re of patterns) {
-                const m = text.match(re);
-                if (m) return parseFloat(m[1]) + parseFloat(m[2]) / 12.0;
-            }
-            return null;
-        }
-
-        function parseScalarWithUnits(text) {
-            const tests = [
-                { re: /(\d+(?:\.\d+)?)\s*mm\b/, conv: mmToFt },
-                { re: /(\d+(?:\.\d+)?)\s*millimet(er|re)s?\b/, conv: mmToFt },
-                { re: /(\d+(?:\.\d+)?)\s*cm\b/, conv: cmToFt },
-                { re: /(\d+(?:\.\d+)?)\s*centimet(er|re)s?\b/, conv: cmToFt },
-                { re: /(\d+(?:\.\d+)?)\s*m\b/, conv: mToFt },
-                { re: /(\d+(?:\.\d+)?)\s*met(er|re)s?\b/, conv: mToFt },
-                { re: /(\d+(?:\.\d+)?)\s*(?:in|inch|inches|\")\b/, conv: inToFt },
-                { re: /(\d+(?:\.\d+)?)\s*(?:ft|foot|feet|')\b/, conv: ftToFt }
-            ];
-            for (const t of tests) {
-                const m = text.match(t.re);
-                if (m) return t.conv(parseFloat(m[1]));
-            }
-            return null;
-        }
-
-        // Parse value near labels (before or after, up to 25 chars)
-        function parseLabeled(text, labels, opts = {}) {
-            const maxGap = opts.maxGap || 25;
-            const labelRegex = labels.join('|');
-            // Do not allow the regex to skip across commas/newlines to avoid
-            // capturing the wrong dimension (e.g., width value for height).
-            const gapPattern = `[^,\n]{0,${maxGap}}`;
-
-            // Try feet-inches composite first (applies mostly to width/height)
-            const fi = parseFeetInches(text);
-            if (fi != null) return fi;
-
-            // Helper to build and apply a pattern capturing numeric value and unit
-            const tryPattern = (unitRe, conv, before = true) => {
-                const re = before
-                    ? new RegExp(`(\\d+(?:\\.\\d+)?)\\s*${unitRe}\\b${gapPattern}(?:${labelRegex})`)
-                    : new RegExp(`(?:${labelRegex})${gapPattern}(\\d+(?:\\.\\d+)?)\\s*${unitRe}\\b`);
-                const m = text.match(re);
-                if (m) return conv(parseFloat(m[1]));
-                return null;
-            };
-
-            // Numeric without explicit unit near label (e.g., "0.75 from floor")
-            const tryUnitless = (assumeConv, before = true) => {
-                const re = before
-                    ? new RegExp(`(\\d+(?:\\.\\d+)?)\\b${gapPattern}(?:${labelRegex})`)
-                    : new RegExp(`(?:${labelRegex})${gapPattern}(\\d+(?:\\.\\d+)?)\\b`);
-                const m = text.match(re);
-                if (m) return assumeConv(parseFloat(m[1]));
-                return null;
-            };
-
-            // Decide default for unitless based on presence of metric tokens in prompt
-            const hasMetric = /(\d|\.)\s*(mm|millimet|cm|centimet|m\b|met(er|re))/i.test(text);
-            const assumeUnitless = hasMetric ? mToFt : ftToFt;
-
-            // Try both orders for each unit type
-            const unitSpecs = [
-                { unit: '(?:mm|millimet(?:er|re)s?)', conv: mmToFt },
-                { unit: '(?:cm|centimet(?:er|re)s?)', conv: cmToFt },
-                { unit: '(?:m|met(?:er|re)s?)', conv: mToFt },
-                { unit: '(?:in|inch|inches|\")', conv: inToFt },
-                { unit: '(?:ft|foot|feet|\')', conv: ftToFt }
-            ];
-
-            for (const spec of unitSpecs) {
-                const v1 = tryPattern(spec.unit, spec.conv, true);
-                if (v1 != null) return v1;
-                const v2 = tryPattern(spec.unit, spec.conv, false);
-                if (v2 != null) return v2;
-            }
-
-            // Finally, allow unitless near the label
-            const u1 = tryUnitless(assumeUnitless, true);
-            if (u1 != null) return u1;
-            const u2 = tryUnitless(assumeUnitless, false);
-            if (u2 != null) return u2;
-
-            return null;
-        }
-
         // Extract additional parameters from SIR as fallback
         const parameters = sir.parameters?.familyParameters || [];
         const widthSirParam  = parameters.find(p => p.name.toLowerCase().includes('width'))?.defaultValue;
@@ -2046,44 +2567,14 @@ function convertSIRToAPSParams(sir, originalPrompt = '') {
         const sillSirParam   = parameters.find(p => p.name.toLowerCase().includes('sill'))?.defaultValue;
         const insetSirParam  = parameters.find(p => p.name.toLowerCase().includes('inset') || p.name.toLowerCase().includes('depth'))?.defaultValue;
 
-        // Parse from prompt (mm, cm, m, in, ft, ft-in)
-        const widthFt  = parseLabeled(prompt, ['width', 'wide'])  ?? (typeof widthSirParam  === 'number' ? widthSirParam  : 2.0);
-        const heightFt = parseLabeled(prompt, ['height', 'high']) ?? (typeof heightSirParam === 'number' ? heightSirParam : 4.0);
-
-        // Dedicated handling for sill height like "750 mm from floor" or unitless "0.75 from floor"
-        function parseSill(text){
-            const labels = '(?:sill(?:\\s*height)?|from\\s+floor|above\\s+floor|to\\s+floor|aff)';
-            const hasMetric = /(mm|millimet|cm|centimet|\bm\b|met(er|re))/i.test(text);
-            const gapPattern = '[^,\n]{0,25}';
-
-            // explicit unit before label
-            const unitSpecs = [
-                { unit: '(?:mm|millimet(?:er|re)s?)', conv: mmToFt },
-                { unit: '(?:cm|centimet(?:er|re)s?)', conv: cmToFt },
-                { unit: '(?:m|met(?:er|re)s?)',       conv: mToFt  },
-                { unit: '(?:in|inch|inches|")',      conv: inToFt },
-                { unit: '(?:ft|foot|feet|\')',       conv: ftToFt }
-            ];
-            for(const spec of unitSpecs){
-                let re = new RegExp(`(\\d+(?:\\.\\d+)?)\\s*${spec.unit}\\b${gapPattern}(?:${labels})`);
-                let m = text.match(re);
-                if(m) return spec.conv(parseFloat(m[1]));
-                re = new RegExp(`(?:${labels})${gapPattern}(\\d+(?:\\.\\d+)?)\\s*${spec.unit}\\b`);
-                m = text.match(re);
-                if(m) return spec.conv(parseFloat(m[1]));
-            }
-            // unitless near label
-            let reU = new RegExp(`(\\d+(?:\\.\\d+)?)\\b${gapPattern}(?:${labels})`);
-            let mu = text.match(reU);
-            if(mu) return (hasMetric ? mToFt : ftToFt)(parseFloat(mu[1]));
-            reU = new RegExp(`(?:${labels})${gapPattern}(\\d+(?:\\.\\d+)?)\\b`);
-            mu = text.match(reU);
-            if(mu) return (hasMetric ? mToFt : ftToFt)(parseFloat(mu[1]));
-            return null;
-        }
+        // Parse from prompt with the shared dimension parser (values in feet)
+        const dimensions = dimensionParser.extractDimensions(originalPrompt, { units: options.units });
+        const insetDimension = dimensions.inset || dimensions.depth;
 
-        const sillFt   = parseSill(prompt) ?? parseLabeled(prompt, ['sill', 'from\s+floor', 'above\s+floor', 'floor\s+to', 'aff']) ?? (typeof sillSirParam === 'number' ? sillSirParam : 3.0);
-        const insetFt  = parseLabeled(prompt, ['inset', 'depth', 'frame\s+depth']) ?? (typeof insetSirParam === 'number' ? insetSirParam : 0.05);
+        const widthFt  = dimensions.width ? dimensions.width.valueFt : (typeof widthSirParam  === 'number' ? widthSirParam  : 2.0);
+        const heightFt = dimensions.height ? dimensions.height.valueFt : (typeof heightSirParam === 'number' ? heightSirParam : 4.0);
+        const sillFt   = dimensions.sillHeight ? dimensions.sillHeight.valueFt : (typeof sillSirParam === 'number' ? sillSirParam : 3.0);
+        const insetFt  = insetDimension ? insetDimension.valueFt : (typeof insetSirParam === 'number' ? insetSirParam : 0.05);
 
         console.log(`Unit parsing → width: ${widthFt} ft, height: ${heightFt} ft, sill: ${sillFt} ft, inset: ${insetFt} ft`);
 
@@ -2096,15 +2587,12 @@ function convertSIRToAPSParams(sir, originalPrompt = '') {
                 WindowStyle: windowType,
                 GlassPaneMaterial: glassPaneMaterial,
                 SashMaterial: sashMaterial,
-                Types: [{
-                    name: 'Type 1',
+                Types: windowTypesFromSIR(sir, originalPrompt, {
                     WindowWidth: widthFt,
                     WindowHeight: heightFt,
                     WindowSillHeight: sillFt,
-                    WindowInset: insetFt,
-                    glassPaneMaterial: glassPaneMaterial,
-                    sashMaterial: sashMaterial
-                }]
+                    WindowInset: insetFt
+                }, options)
             }
         };
         
@@ -2122,23 +2610,98 @@ function convertSIRToAPSParams(sir, originalPrompt = '') {
                 GlassPaneMaterial: 'Default',
                 SashMaterial: 'Default',
                 Types: [{
-                    name: 'Type 1',
+                    TypeName: 'Type 1',
                     WindowWidth: 2.0,
                     WindowHeight: 4.0,
                     WindowSillHeight: 3.0,
-                    WindowInset: 0.05,
-                    glassPaneMaterial: 'Default',
-                    sashMaterial: 'Default'
+                    WindowInset: 0.05
                 }]
             }
         };
     }
 }
 
+// Dry-run dimension names for each payload field of a window or door type
+const WINDOW_TYPE_DIMENSIONS = { width: 'WindowWidth', height: 'WindowHeight', sill: 'WindowSillHeight', inset: 'WindowInset' };
+const DOOR_TYPE_DIMENSIONS = { width: 'DoorWidth', height: 'DoorHeight', threshold: 'ThresholdHeight', hardware: 'HardwareHeight' };
+
+/**
+ * Describe the dimensions of each WindowParams or DoorParams type, in feet
+ * and millimeters, for the dry-run type table
+ * @param {Array<Object>} types - Payload Types
+ * @param {Object} fields - Dimension name to payload field
+ * @returns {Array<Object>} { name, feet, millimeters } per type
+ */
+function describeTypeDimensions(types, fields) {
+    const mmPerFt = 304.8;
+    return types.map(type => {
+        const feet = {};
+        const millimeters = {};
+        Object.keys(fields).forEach(name => {
+            feet[name] = type[fields[name]];
+            millimeters[name] = Math.round(type[fields[name]] * mmPerFt);
+        });
+        return { name: type.TypeName, feet: feet, millimeters: millimeters };
+    });
+}
+
+/**
+ * Build the WindowParams Types, one per SIR family type. A type's values
+ * come from its evaluated SIR parameters, then from the matching size in the
+ * prompt's size list ("600x900, 900x1200 mm"), then from the single-type values.
+ * @param {Object} sir - Window SIR
+ * @param {string} originalPrompt - Prompt the SIR was generated from
+ * @param {Object} single - { WindowWidth, WindowHeight, WindowSillHeight, WindowInset } in feet
+ * @param {Object} options - { units } session units for unitless prompt values
+ * @returns {Array<Object>} Types with the field names the plug-in expects
+ */
+function windowTypesFromSIR(sir, originalPrompt, single, options = {}) {
+    const familyTypes = sir.parameters?.familyTypes || [];
+    if (familyTypes.length < 2) {
+        return [Object.assign({ TypeName: familyTypes[0]?.name || 'Type 1' }, single)];
+    }
+
+    const familyParameters = sir.parameters.familyParameters || [];
+    const parameterName = (test) => familyParameters.find(p => test(p.name.toLowerCase()))?.name;
+    const names = {
+        WindowWidth: parameterName(name => name.includes('width')),
+        WindowHeight: parameterName(name => name.includes('height') && !name.includes('sill')),
+        WindowSillHeight: parameterName(name => name.includes('sill')),
+        WindowInset: parameterName(name => name.includes('inset') || name.includes('depth'))
+    };
+    const sizes = dimensionParser.extractSizeList(originalPrompt, { units: options.units });
+
+    return familyTypes.map((familyType, index) => {
+        const values = formulaEngine.evaluateSIR(sir, {}, familyType.name).values;
+        const size = sizes[index] || {};
+        const fromPrompt = { WindowWidth: size.width, WindowHeight: size.height };
+        const type = { TypeName: familyType.name };
+        Object.keys(names).forEach(key => {
+            const value = names[key] ? values[names[key]] : undefined;
+            type[key] = typeof value === 'number' && isFinite(value) ? value :
+                (fromPrompt[key] !== undefined ? fromPrompt[key] : single[key]);
+        });
+        return type;
+    });
+}
+
 /**
- * Create family using simulated APS Design Automation for local downloads
+ * The Door family template URL. Doors are never built from the window or
+ * generic template: the plug-in picks what to build from the template's
+ * category.
  */
-async function createFamilyWithAPS(params, targetFolder, oauthToken, userId, sessionId) {
+function doorTemplateUrl() {
+    if (!designAutomation.family_templates.door) {
+        throw new Error('No Door family template configured. Set DESIGN_AUTOMATION_DOOR_TEMPLATE to a signed URL of a Door family template.');
+    }
+    return designAutomation.family_templates.door;
+}
+
+/**
+ * Create family using simulated APS Design Automation for local downloads.
+ * A real workitem is returned as `workitem` for the caller to record
+ */
+async function createFamilyWithAPS(params, targetFolder, oauthToken) {
     try {
         console.log('Creating family with APS:', params);
         
@@ -2148,7 +2711,7 @@ async function createFamilyWithAPS(params, targetFolder, oauthToken, userId, ses
             
             try {
                 // Import the APS implementation functions
-                const { createWindowFamilyLocal } = require('./common/da4revitImp');
+                const { createWindowFamilyLocal, createDoorFamilyLocal, createSIRFamilyLocal } = require('./common/da4revitImp');
                 const { designAutomation } = require('../config');
                 
                 // Get 2-legged OAuth token for Design Automation
@@ -2158,19 +2721,36 @@ async function createFamilyWithAPS(params, targetFolder, oauthToken, userId, ses
                 const oauth_token_2legged = await oauth_client.authenticate();
                 
                 // Create the family using real APS Design Automation with local storage
-                const familyCreatedRes = await createWindowFamilyLocal(
-                    designAutomation.revit_family_template,
-                    params.WindowParams,
-                    oauth_client,
-                    oauth_token_2legged
-                );
+                let familyCreatedRes;
+                if (params.FamilyType === SIRPayload.FAMILY_TYPES.SIR) {
+                    familyCreatedRes = await createSIRFamilyLocal(
+                        sirPayloadBuilder.templateUrl(designAutomation.family_templates, params.Template),
+                        params.SIRPayload,
+                        oauth_client,
+                        oauth_token_2legged
+                    );
+                } else if (params.FamilyType === SIRPayload.FAMILY_TYPES.DOOR) {
+                    familyCreatedRes = await createDoorFamilyLocal(
+                        doorTemplateUrl(),
+                        params.DoorParams,
+                        oauth_client,
+                        oauth_token_2legged
+                    );
+                } else {
+                    familyCreatedRes = await createWindowFamilyLocal(
+                        designAutomation.revit_family_template,
+                        params.WindowParams,
+                        oauth_client,
+                        oauth_token_2legged
+                    );
+                }
                 
                 if (!familyCreatedRes || familyCreatedRes.statusCode !== 200) {
                     throw new Error('Failed to create Revit family file');
                 }
                 
                 console.log('Real APS workitem created:', familyCreatedRes.body.id);
-                console.log('Workitem response body:', JSON.stringify(familyCreatedRes.body, null, 2));
+                console.log('Workitem status:', familyCreatedRes.body.status);
                 
                 // Store workitem data for local tracking
                 const workitemData = {
@@ -2187,43 +2767,14 @@ async function createFamilyWithAPS(params, targetFolder, oauthToken, userId, ses
                     outputObjectKey: familyCreatedRes.body.outputObjectKey
                 };
                 
-                console.log('Storing workitem data:', JSON.stringify(workitemData, null, 2));
-                workitemQueue.set(familyCreatedRes.body.id, workitemData);
+                console.log('Storing workitem data for:', workitemData.id);
+                await workitemQueue.set(familyCreatedRes.body.id, workitemData);
 
-                // Persist APS identifiers to Family document so it appears in Available Models immediately
-                try {
-                    // Find the most recent family for this user and session
-                    const family = await Family.findOne({ 
-                        createdBy: userId, 
-                        sessionId: sessionId 
-                    }).sort({ createdAt: -1 });
-                    
-                    if (family) {
-                        await Family.findByIdAndUpdate(family._id, {
-                            $set: {
-                                status: 'inprogress',
-                                'apsExecution.workitemId': familyCreatedRes.body.id,
-                                'apsExecution.bucketKey': familyCreatedRes.body.bucketKey,
-                                'apsExecution.outputObjectKey': familyCreatedRes.body.outputObjectKey,
-                                'apsExecution.status': familyCreatedRes.body.status || 'pending',
-                                'apsExecution.submittedAt': new Date()
-                            }
-                        });
-                        console.log('Stored REAL APS identifiers in Family document:', family._id);
-                        console.log('  - Workitem ID:', familyCreatedRes.body.id);
-                        console.log('  - Bucket Key:', familyCreatedRes.body.bucketKey);
-                        console.log('  - Output Object Key:', familyCreatedRes.body.outputObjectKey);
-                    } else {
-                        console.warn('No family found to update with APS identifiers');
-                    }
-                } catch (persistErr) {
-                    console.warn('Failed to persist APS identifiers to Family:', persistErr.message);
-                }
-                
                 return {
                     success: true,
                     workItemId: familyCreatedRes.body.id,
-                    workItemStatus: familyCreatedRes.body.status
+                    workItemStatus: familyCreatedRes.body.status,
+                    workitem: familyCreatedRes.body
                 };
                 
             } catch (error) {
@@ -2239,7 +2790,7 @@ async function createFamilyWithAPS(params, targetFolder, oauthToken, userId, ses
                 if (config.demoMode) {
                     console.log('Falling back to simulated APS workflow (demoMode=true)');
                     const workitemId = `aps_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-                    workitemQueue.set(workitemId, {
+                    await workitemQueue.set(workitemId, {
                         id: workitemId,
                         status: 'submitted',
                         createdAt: new Date(),
@@ -2265,7 +2816,7 @@ async function createFamilyWithAPS(params, targetFolder, oauthToken, userId, ses
         
         // Real APS workflow (for BIM 360 integration)
         // Import the APS implementation functions
-        const { createWindowFamily, getNewCreatedStorageInfo, createFirstVersion } = require('./common/da4revitImp');
+        const { createWindowFamily, createDoorFamily, createSIRFamily, getNewCreatedStorageInfo, createFirstVersion } = require('./common/da4revitImp');
         const { designAutomation } = require('../config');
         
         // Parse target folder URL to extract project and folder IDs
@@ -2340,6 +2891,34 @@ async function createFamilyWithAPS(params, targetFolder, oauthToken, userId, ses
                 oauthToken,
                 oauth_token_2legged
             );
+        } else if (params.FamilyType === SIRPayload.FAMILY_TYPES.DOOR) {
+            if (!params.DoorParams || !params.DoorParams.Types || params.DoorParams.Types.length === 0) {
+                throw new Error('Invalid door parameters');
+            }
+
+            familyCreatedRes = await createDoorFamily(
+                doorTemplateUrl(),
+                params.DoorParams,
+                storageInfo.StorageId,
+                destinateProjectId,
+                createFirstVersionBody,
+                oauthToken,
+                oauth_token_2legged
+            );
+        } else if (params.FamilyType === SIRPayload.FAMILY_TYPES.SIR) {
+            if (!params.SIRPayload || !params.SIRPayload.sir) {
+                throw new Error('Invalid SIR payload');
+            }
+
+            familyCreatedRes = await createSIRFamily(
+                sirPayloadBuilder.templateUrl(designAutomation.family_templates, params.Template),
+                params.SIRPayload,
+                storageInfo.StorageId,
+                destinateProjectId,
+                createFirstVersionBody,
+                oauthToken,
+                oauth_token_2legged
+            );
         } else {
             throw new Error('Unsupported family type');
         }
@@ -2528,8 +3107,8 @@ function getEstimatedTimeFromAPSStatus(status) {
 function calculateImprovementScore(previousQA, currentQA) {
     if (!previousQA || !currentQA) return 0;
     
-    const previousScore = this.calculateOverallScore(previousQA.validations);
-    const currentScore = this.calculateOverallScore(currentQA.validations);
+    const previousScore = calculateOverallScore(previousQA.validations);
+    const currentScore = calculateOverallScore(currentQA.validations);
     
     return currentScore - previousScore;
 }
@@ -2778,7 +3357,7 @@ router.get('/viewer/:workitemId', async (req, res) => {
         const { workitemId } = req.params;
         
         // Check if this is a real APS workitem
-        const workitemData = workitemQueue.get(workitemId);
+        const workitemData = await workitemQueue.fetch(workitemId);
         if (!workitemData || !workitemData.isRealAPS || !workitemData.viewerUrn) {
             return res.status(404).json({
                 error: 'Viewer not available for this workitem',
@@ -16,9 +16,11 @@
 // UNINTERRUPTED OR ERROR FREE.
 /////////////////////////////////////////////////////////////////////
 
+const crypto = require("crypto");
 const request = require("request");
 
 const { designAutomation }= require('../../config');
+const SIRPayload = require('../../services/SIRPayload');
 
 const {
     ObjectsApi,
@@ -33,6 +35,10 @@ const {
 
 
 const AUTODESK_HUB_BUCKET_KEY = 'wip.dm.prod';
+
+// Must match the file names in the plug-in (DoorWizard.cs)
+const DOOR_PARAMS_LOCAL_NAME = 'DoorParams.json';
+const DOOR_RESULT_LOCAL_NAME = 'DoorFamily.rfa';
 var workitemList = [];
 
 /**
@@ -51,51 +57,134 @@ async function createSignedUrl(bucketKey, objectKey, verb = 'put') {
     return await apsService.createSignedUrl(bucketKey, objectKey, verb);
 }
 
+/**
+ * Fully qualified id of a Design Automation activity
+ */
+function qualifiedActivityId(activityName) {
+    return designAutomation.nickname + '.' + activityName + '+' + designAutomation.appbundle_activity_alias;
+}
+
+/**
+ * Workitem argument carrying a SIR payload. Payloads too large to send
+ * inline are uploaded to the bucket and passed as a signed URL.
+ */
+async function createSIRPayloadArgument(sirPayload, bucketKey) {
+    const payloadBuilder = new SIRPayload();
+    const dataUrl = payloadBuilder.toDataUrl(sirPayload);
+    if (dataUrl) {
+        return {
+            url: dataUrl,
+            localName: SIRPayload.PAYLOAD_LOCAL_NAME
+        };
+    }
+
+    const payloadUrl = await createSignedUrl(bucketKey, `input/sir_${Date.now()}.json`, 'put');
+    const response = await fetch(payloadUrl, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(sirPayload)
+    });
+    if (!response.ok) {
+        throw new Error(`SIR payload upload failed: ${response.status} ${response.statusText}`);
+    }
+    return {
+        url: payloadUrl,
+        localName: SIRPayload.PAYLOAD_LOCAL_NAME
+    };
+}
+
 /**
  * Create window family using APS OSS for local storage (no BIM 360)
  */
 async function createWindowFamilyLocal(inputUrl, windowParams, oauth_client, access_token_2Legged) {
+    // Log the windowParams being sent for debugging
+    console.log('Window parameters being sent to Revit plugin:', JSON.stringify(windowParams, null, 2));
+
+    return submitLocalWorkitem(designAutomation.activity_name, inputUrl, { name: 'Generated_Window' }, access_token_2Legged, async () => ({
+        windowParams: {
+            url: "data:application/json," + JSON.stringify(windowParams),
+            localName: "WindowParams.json"  // CRITICAL: Must match filename in C# code (WindowWizard.cs line 65)
+        }
+    }));
+}
+
+/**
+ * Create door family using APS OSS for local storage (no BIM 360).
+ * The window activity builds doors when given a door template.
+ */
+async function createDoorFamilyLocal(inputUrl, doorParams, oauth_client, access_token_2Legged) {
+    console.log('Door parameters being sent to Revit plugin:', JSON.stringify(doorParams, null, 2));
+
+    return submitLocalWorkitem(designAutomation.activity_name, inputUrl, { name: 'Generated_Door', localName: DOOR_RESULT_LOCAL_NAME }, access_token_2Legged, async () => ({
+        doorParams: {
+            url: "data:application/json," + JSON.stringify(doorParams),
+            localName: DOOR_PARAMS_LOCAL_NAME
+        }
+    }));
+}
+
+/**
+ * Create any family from a SIR payload using APS OSS for local storage (no BIM 360)
+ */
+async function createSIRFamilyLocal(inputUrl, sirPayload, oauth_client, access_token_2Legged) {
+    console.log('SIR payload being sent to Revit plugin:', sirPayload.family);
+
+    return submitLocalWorkitem(designAutomation.sir_activity_name, inputUrl, { name: 'Generated_Family' }, access_token_2Legged, async (bucketKey) => ({
+        sirPayload: await createSIRPayloadArgument(sirPayload, bucketKey)
+    }));
+}
+
+/**
+ * Submit a workitem whose result is stored in a temporary OSS bucket.
+ * `output` is { name, localName }: the object name prefix and the file
+ * the plug-in saves, when it differs from the activity's.
+ * `createInputArguments(bucketKey)` returns the activity's input arguments.
+ */
+async function submitLocalWorkitem(activityName, inputUrl, output, access_token_2Legged, createInputArguments) {
     try {
         // Create temporary storage bucket
         const bucketKey = await createTemporaryStorage();
         
         // Create signed URL for output file
-        const outputObjectKey = `output/Generated_Window_${Date.now()}.rfa`;
+        const outputObjectKey = `output/${output.name}_${Date.now()}.rfa`;
         const outputUrl = await createSignedUrl(bucketKey, outputObjectKey, 'put');
         
         console.log('Created output URL:', outputUrl);
         
-        // Log the windowParams being sent for debugging
-        console.log('Window parameters being sent to Revit plugin:', JSON.stringify(windowParams, null, 2));
+        // The callback presents this token so it can be matched to the family
+        const callbackToken = crypto.randomBytes(24).toString('hex');
         
         const workitemBody = {
-            activityId: designAutomation.nickname + '.' + designAutomation.activity_name+'+'+designAutomation.appbundle_activity_alias,
-            arguments: {
+            activityId: qualifiedActivityId(activityName),
+            arguments: Object.assign({
                 templateFile: {
                     url: inputUrl,
                     Headers: {
                         Authorization: 'Bearer ' + access_token_2Legged.access_token
                     },
-                },
-                windowParams: {
-                    url: "data:application/json," + JSON.stringify(windowParams),
-                    localName: "WindowParams.json"  // CRITICAL: Must match filename in C# code (WindowWizard.cs line 65)
-                },
-                resultFamily: {
+                }
+            }, await createInputArguments(bucketKey), {
+                resultFamily: Object.assign({
                     verb: 'put',
                     url: outputUrl
-                },
+                }, output.localName ? { localName: output.localName } : {}),
                 adskDebug: {
                     uploadJobFolder: true  // Enable debug logs to see Revit plugin output
-                },
-                onComplete: {
-                    verb: "post",
-                    url: designAutomation.webhook_url
                 }
-            }
+            })
         };
         
-        console.log('Submitting workitem with local storage:', workitemBody);
+        // Without a webhook the server-side poller tracks the workitem instead
+        if (designAutomation.webhook_url) {
+            const callbackUrl = new URL(designAutomation.webhook_url);
+            callbackUrl.searchParams.set('callbackToken', callbackToken);
+            workitemBody.arguments.onComplete = {
+                verb: "post",
+                url: callbackUrl.toString()
+            };
+        }
+        
+        console.log('Submitting workitem with local storage:', workitemBody.activityId);
         
         // Use fetch instead of request library
         const response = await fetch(designAutomation.endpoint + 'workitems', {
@@ -122,7 +211,8 @@ async function createWindowFamilyLocal(inputUrl, windowParams, oauth_client, acc
             // Store bucket info for later download
             resp.bucketKey = bucketKey;
             resp.outputObjectKey = outputObjectKey;
-            console.log('Modified response with bucket info:', JSON.stringify(resp, null, 2));
+            resp.callbackToken = designAutomation.webhook_url ? callbackToken : undefined;
+            console.log('Stored bucket info for workitem:', resp.id, bucketKey, outputObjectKey);
             return {
                 statusCode: response.status,
                 body: resp
@@ -132,7 +222,7 @@ async function createWindowFamilyLocal(inputUrl, windowParams, oauth_client, acc
         }
         
     } catch (error) {
-        console.error('Error creating window family:', error);
+        console.error('Error creating family:', error);
         throw error;
     }
 }
@@ -313,27 +403,62 @@ async function getNewCreatedStorageInfo(projectId, folderId, fileName, oauth_cli
 
 
 function createWindowFamily(inputUrl, windowParams, outputUrl, projectId, createVersionData, access_token_3Legged, access_token_2Legged) {
+    return submitWorkitem(designAutomation.activity_name, inputUrl, {
+        windowParams: {
+            url: "data:application/json," + JSON.stringify(windowParams),
+            localName: "WindowParams.json"  // CRITICAL: Must match filename in C# code (WindowWizard.cs line 65)
+        }
+    }, outputUrl, projectId, createVersionData, access_token_3Legged, access_token_2Legged);
+}
+
+/**
+ * Create door family, saving it to BIM 360 / ACC storage
+ */
+function createDoorFamily(inputUrl, doorParams, outputUrl, projectId, createVersionData, access_token_3Legged, access_token_2Legged) {
+    return submitWorkitem(designAutomation.activity_name, inputUrl, {
+        doorParams: {
+            url: "data:application/json," + JSON.stringify(doorParams),
+            localName: DOOR_PARAMS_LOCAL_NAME
+        }
+    }, outputUrl, projectId, createVersionData, access_token_3Legged, access_token_2Legged, DOOR_RESULT_LOCAL_NAME);
+}
+
+/**
+ * Create any family from a SIR payload, saving it to BIM 360 / ACC storage
+ */
+async function createSIRFamily(inputUrl, sirPayload, outputUrl, projectId, createVersionData, access_token_3Legged, access_token_2Legged) {
+    // Payloads too large to send inline are staged in a temporary bucket
+    const bucketKey = new SIRPayload().toDataUrl(sirPayload) ? null : await createTemporaryStorage();
+    const payloadArgument = await createSIRPayloadArgument(sirPayload, bucketKey);
+
+    return submitWorkitem(designAutomation.sir_activity_name, inputUrl, {
+        sirPayload: payloadArgument
+    }, outputUrl, projectId, createVersionData, access_token_3Legged, access_token_2Legged);
+}
+
+/**
+ * Submit a workitem whose result is saved to BIM 360 / ACC storage.
+ * `resultLocalName` is the file the plug-in saves, when it differs from the activity's.
+ */
+function submitWorkitem(activityName, inputUrl, inputArguments, outputUrl, projectId, createVersionData, access_token_3Legged, access_token_2Legged, resultLocalName) {
     return new Promise(function (resolve, reject) {
         const workitemBody = {
-            activityId: designAutomation.nickname + '.' + designAutomation.activity_name+'+'+designAutomation.appbundle_activity_alias,
-            arguments: {
+            activityId: qualifiedActivityId(activityName),
+            arguments: Object.assign({
                 templateFile: {
                     url: inputUrl,
                     Headers: {
                         Authorization: 'Bearer ' + access_token_2Legged.access_token
                     },
-                },
-                windowParams: {
-                    url: "data:application/json," + JSON.stringify(windowParams),
-                    localName: "WindowParams.json"  // CRITICAL: Must match filename in C# code (WindowWizard.cs line 65)
-                },
-                resultFamily: {
+                }
+            }, inputArguments, {
+                resultFamily: Object.assign({
                     verb: 'put',
                     url: outputUrl,
                     headers:{
                         Authorization: 'Bearer ' + access_token_3Legged.access_token,
                     },
-                },
+                }, resultLocalName ? { localName: resultLocalName } : {}),
                 onComplete: {
                     verb: "post",
                     url: designAutomation.webhook_url
@@ -341,7 +466,7 @@ function createWindowFamily(inputUrl, windowParams, outputUrl, projectId, create
                 adskDebug: {
                     uploadJobFolder: true  // Enable debug logs to see Revit plugin output
                 }
-            }
+            })
         };
         var options = {
             method: 'POST',
@@ -395,6 +520,10 @@ module.exports = {
     createBodyOfPostItem,
     createWindowFamily,
     createWindowFamilyLocal,
+    createDoorFamily,
+    createDoorFamilyLocal,
+    createSIRFamily,
+    createSIRFamilyLocal,
     createTemporaryStorage,
     createSignedUrl,
     cancelWrokitem,
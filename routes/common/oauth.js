@@ -19,10 +19,29 @@
 const { AuthClientThreeLeggedV2, AuthClientTwoLeggedV2 } = require('forge-apis');
 
 const config = require('../../config');
+const User = require('../../models/User');
+const OIDCService = require('../../services/OIDCService');
+
+const oidcService = new OIDCService();
+
+// userId -> refresh in progress. Autodesk refresh tokens work once, so
+// concurrent requests for a user share one refresh
+const userRefreshes = new Map();
 
 class OAuth {
-    constructor(session) {
+    // A famAI user's APS tokens are stored on the user record, encrypted.
+    // Pass the user, or leave it to the session's userId, to use them when
+    // the session holds no tokens of its own
+    constructor(session, user = null) {
         this._session = session;
+        this._user = user;
+    }
+
+    // For background jobs (pollers, webhooks) without a browser session;
+    // null when the user has no stored APS tokens
+    static async forUser(userOrId) {
+        const user = userOrId instanceof User ? userOrId : await User.findById(userOrId);
+        return user && user.getAPSTokens() ? new OAuth({}, user) : null;
     }
 
     getClient(scopes = config.scopes.internal) {
@@ -36,10 +55,19 @@ class OAuth {
     }
 
     isAuthorized() {
-        return !!this._session.public_token;
+        return !!this._session.public_token || !!this._session.userId || !!this._user;
     }
 
     async getPublicToken() {
+        if (await this._usesStoredTokens()) {
+            return this._getStoredToken('publicToken');
+        }
+
+        // A signed-in famAI user without APS tokens
+        if (!this._session.public_token) {
+            return null;
+        }
+
         if (this._isExpired() && !await this._refreshTokens()) {
             return null;
         }
@@ -51,6 +79,10 @@ class OAuth {
     }
 
     async getInternalToken() {
+        if (await this._usesStoredTokens()) {
+            return this._getStoredToken('accessToken');
+        }
+
         if (this._isExpired() && !await this._refreshTokens()) {
             return null;
         }
@@ -63,7 +95,7 @@ class OAuth {
 
     // On callback, pass the CODE to this function, it will
     // get the internal and public tokens and store them 
-    // on the session
+    // on the session, or on the signed-in famAI user
     async setCode(code) {
         try {
             const internalTokenClient = this.getClient(config.scopes.internal);
@@ -71,6 +103,18 @@ class OAuth {
             const internalCredentials = await internalTokenClient.getToken(code);
             const publicCredentials = await publicTokenClient.refreshToken(internalCredentials);
 
+            const user = await this._getUser();
+            if (user) {
+                user.setAPSTokens({
+                    access_token: internalCredentials.access_token,
+                    public_token: publicCredentials.access_token,
+                    refresh_token: publicCredentials.refresh_token,
+                    expires_in: publicCredentials.expires_in
+                }, config.credentials.client_id);
+                await user.save();
+                return true;
+            }
+
             const now = new Date();
             this._session.internal_token = internalCredentials.access_token;
             this._session.public_token = publicCredentials.access_token;
@@ -90,8 +134,9 @@ class OAuth {
         return Math.round((expiresAt.getTime() - now.getTime()) / 1000);
     };
 
+    // Tokens are refreshed a little before they expire
     _isExpired() {
-        return (new Date() > new Date(this._session.expires_at));
+        return (new Date(Date.now() + config.apsTokens.refreshMarginMs) > new Date(this._session.expires_at));
     }
 
     async _refreshTokens() {
@@ -113,6 +158,99 @@ class OAuth {
             return false;
         }
     }
+
+    // Refresh a user's stored tokens like the session's: the internal token,
+    // then the public token from it. Returns the new tokens, or null
+    static refreshUserTokens(user) {
+        const key = String(user._id);
+        if (!userRefreshes.has(key)) {
+            userRefreshes.set(key, OAuth._refreshUserTokens(user).finally(() => userRefreshes.delete(key)));
+        }
+        return userRefreshes.get(key);
+    }
+
+    // Revoke a user's stored tokens at Autodesk and forget them (the caller saves)
+    static async revokeUserTokens(user) {
+        const tokens = user.getAPSTokens();
+        if (tokens) {
+            try {
+                await oidcService.revokeToken('autodesk', tokens.refreshToken, 'refresh_token');
+                await oidcService.revokeToken('autodesk', tokens.accessToken, 'access_token');
+            }
+            catch (err) {
+                console.log("failed to revoke the APS tokens of user " + user._id + " due to " + err);
+            }
+        }
+        user.clearAPSTokens();
+    }
+
+    static async _refreshUserTokens(user) {
+        try {
+            const stored = user.getAPSTokens();
+            if (!stored || !stored.refreshToken) {
+                return null;
+            }
+
+            const internalCredentials = await oidcService.refreshTokens('autodesk', stored.refreshToken, config.scopes.internal);
+            const publicCredentials = await oidcService.refreshTokens('autodesk', internalCredentials.refresh_token, config.scopes.public);
+            user.setAPSTokens({
+                access_token: internalCredentials.access_token,
+                public_token: publicCredentials.access_token,
+                refresh_token: publicCredentials.refresh_token,
+                expires_in: publicCredentials.expires_in
+            });
+            await user.save();
+            return user.getAPSTokens();
+        }
+        catch (err) {
+            console.log("failed to refresh the stored tokens of user " + user._id + " due to " + err);
+            return null;
+        }
+    }
+
+    async _getUser() {
+        if (!this._user && this._session.userId) {
+            try {
+                this._user = await User.findById(this._session.userId);
+            }
+            catch (err) {
+                console.log("failed to load user " + this._session.userId + " due to " + err);
+            }
+        }
+        return this._user;
+    }
+
+    // Tokens in the session (the sample's own sign-in) come first
+    async _usesStoredTokens() {
+        if (this._session.internal_token) {
+            return false;
+        }
+        const user = await this._getUser();
+        try {
+            return !!(user && user.getAPSTokens());
+        }
+        catch (err) {
+            // e.g. TOKEN_ENCRYPTION_KEY changed since they were stored
+            console.log("failed to read the stored tokens of user " + user._id + " due to " + err);
+            return false;
+        }
+    }
+
+    async _getStoredToken(kind) {
+        let tokens = this._user.getAPSTokens();
+        const expiresSoon = !tokens.expiresAt || new Date(Date.now() + config.apsTokens.refreshMarginMs) > new Date(tokens.expiresAt);
+        if (expiresSoon || !tokens[kind]) {
+            tokens = await OAuth.refreshUserTokens(this._user);
+            if (!tokens) {
+                return null;
+            }
+        }
+
+        return {
+            access_token: tokens[kind],
+            expires_in: Math.round((new Date(tokens.expiresAt).getTime() - Date.now()) / 1000)
+        };
+    }
 }
 
 module.exports = { OAuth };
@@ -33,11 +33,18 @@ const {
     workitemList
 } = require('./common/da4revitImp');
 
+const crypto = require('crypto');
 const { OAuth } = require('./common/oauth');
 const { designAutomation }= require('../config');
+const Family = require('../models/Family');
+const WorkitemPoller = require('../services/WorkitemPoller');
+const notifier = require('../services/socketNotifier');
 
 const SOCKET_TOPIC_WORKITEM = 'Workitem-Notification';
 
+// Applies Design Automation results to famAI families
+const workitemPoller = new WorkitemPoller();
+
 let router = express.Router();
 
 
@@ -142,6 +149,15 @@ router.post('/da4revit/v1/families', async(req, res)=>{
             return;
         }
         console.log('Submitted workitem:  '+ familyCreatedRes.body.id);
+
+        // Remember who submitted it so the callback can notify them
+        const submitted = workitemList.find( (item) => {
+            return item.workitemId === familyCreatedRes.body.id;
+        } )
+        if( submitted !== undefined ){
+            submitted.userId = req.session.userId;
+            submitted.apsSessionId = notifier.ensureApsSessionId(req.session);
+        }
         const familyCreatedInfo = {
             "fileName": params.FileName,
             "workItemId": familyCreatedRes.body.id,
@@ -154,7 +170,7 @@ router.post('/da4revit/v1/families', async(req, res)=>{
         let workitemStatus = {
             'Status': "Failed"
         };
-        global.MyApp.SocketIo.emit(SOCKET_TOPIC_WORKITEM, workitemStatus);
+        notifier.toSubmitter(req.session, SOCKET_TOPIC_WORKITEM, workitemStatus);
         res.status(500).end(err);
     }
 });
@@ -185,7 +201,7 @@ router.delete('/da4revit/v1/families/:family_workitem_id', async(req, res) =>{
             'WorkitemId': workitemId,
             'Status': "Cancelled"
         };
-        global.MyApp.SocketIo.emit(SOCKET_TOPIC_WORKITEM, workitemStatus);
+        notifier.toSubmitter(req.session, SOCKET_TOPIC_WORKITEM, workitemStatus);
         res.status(204).end();
     } catch (err) {
         res.status(500).end("error");
@@ -207,6 +223,20 @@ router.get('/da4revit/v1/families/:family_workitem_id', async(req, res) => {
 
 
 router.post('/callback/designautomation', async (req, res) => {
+    // famAI workitems are tracked on their Family document
+    let family = null;
+    try {
+        if (req.body && req.body.id) {
+            family = await Family.findOne({ 'apsExecution.workitemId': req.body.id })
+                .select('+apsExecution.callbackToken');
+        }
+    } catch (err) {
+        console.error('Failed to look up the family for workitem ' + req.body.id + ':', err.message);
+    }
+    if (family) {
+        return handleFamilyCallback(family, req, res);
+    }
+
     // Best practice is to tell immediately that you got the call
     // so return the HTTP call and proceed with the business logic
     res.status(202).end();
@@ -215,28 +245,33 @@ router.post('/callback/designautomation', async (req, res) => {
         'WorkitemId': req.body.id,
         'Status': "Success"
     };
-    if (req.body.status === 'success') {
-        const workitem = workitemList.find( (item) => {
-            return item.workitemId === req.body.id;
-        } )
+    const workitem = workitemList.find( (item) => {
+        return item.workitemId === req.body.id;
+    } )
 
-        if( workitem === undefined ){
-            console.log('The workitem: ' + req.body.id+ ' to callback is not in the item list')
-            return;
-        }
-        let index = workitemList.indexOf(workitem);
+    if( workitem === undefined ){
+        console.log('The workitem: ' + req.body.id+ ' to callback is not in the item list')
+        return;
+    }
+    let index = workitemList.indexOf(workitem);
+
+    if (req.body.status === 'success') {
         workitemStatus.Status = 'Success';
-        global.MyApp.SocketIo.emit(SOCKET_TOPIC_WORKITEM, workitemStatus);
+        notifier.toSubmitter(workitem, SOCKET_TOPIC_WORKITEM, workitemStatus);
         console.log("Post handle the workitem:  " + workitem.workitemId);        
         const type = workitem.createVersionData.data.type;
         try {
+            // The token captured at submission may have expired during a long
+            // workitem; the submitter's stored tokens are refreshed as needed
+            const userOAuth = workitem.userId ? await OAuth.forUser(workitem.userId) : null;
+            const access_token_3Legged = (userOAuth && await userOAuth.getInternalToken()) || workitem.access_token_3Legged;
             let version = null;
             if(type === "versions"){
                 const versions = new VersionsApi();
-                version = await versions.postVersion(workitem.projectId, workitem.createVersionData, req.oauth_client, workitem.access_token_3Legged);
+                version = await versions.postVersion(workitem.projectId, workitem.createVersionData, req.oauth_client, access_token_3Legged);
             }else{
                 const items = new ItemsApi();
-                version = await items.postItem(workitem.projectId, workitem.createVersionData, req.oauth_client, workitem.access_token_3Legged);
+                version = await items.postItem(workitem.projectId, workitem.createVersionData, req.oauth_client, access_token_3Legged);
             }
             if( version === null || version.statusCode !== 201 ){ 
                 console.log('Falied to create a new version of the file');
@@ -245,12 +280,12 @@ router.post('/callback/designautomation', async (req, res) => {
                 console.log('Successfully created a new version of the file');
                 workitemStatus.Status = 'Completed';
             }
-            global.MyApp.SocketIo.emit(SOCKET_TOPIC_WORKITEM, workitemStatus);
+            notifier.toSubmitter(workitem, SOCKET_TOPIC_WORKITEM, workitemStatus);
 
         } catch (err) {
             console.log(err);
             workitemStatus.Status = 'Failed';
-            global.MyApp.SocketIo.emit(SOCKET_TOPIC_WORKITEM, workitemStatus);
+            notifier.toSubmitter(workitem, SOCKET_TOPIC_WORKITEM, workitemStatus);
         }
         finally{
             // Remove the workitem after it's done
@@ -259,12 +294,67 @@ router.post('/callback/designautomation', async (req, res) => {
     }else{
         // Report if not successful.
         workitemStatus.Status = 'Failed';
-        global.MyApp.SocketIo.emit(SOCKET_TOPIC_WORKITEM, workitemStatus);
+        notifier.toSubmitter(workitem, SOCKET_TOPIC_WORKITEM, workitemStatus);
         console.log(req.body);
+        workitemList.splice(index, 1);
     }
     return;
 })
 
 
 
+/**
+ * Handle the Design Automation callback of a famAI workitem: verify the
+ * callback token, then record the report and outputs on the family and
+ * notify its owner
+ */
+async function handleFamilyCallback(family, req, res) {
+    const workitemId = req.body.id;
+    if (!isValidCallbackToken(family.apsExecution.callbackToken, req.query.callbackToken)) {
+        console.warn('Rejected callback with an invalid token for workitem: ' + workitemId);
+        res.status(401).end();
+        return;
+    }
+
+    res.status(202).end();
+
+    // Duplicate callbacks are ignored once the family is finished
+    if (!WorkitemPoller.OPEN_STATUSES.includes(family.apsExecution.status)) {
+        console.log('The workitem: ' + workitemId + ' was already handled');
+        return;
+    }
+
+    try {
+        // Prefer the status read back from Design Automation over the posted body
+        let workitem = req.body;
+        try {
+            const oauth = new OAuth({});
+            const oauth_client = oauth.get2LeggedClient();
+            const oauth_token = await oauth_client.authenticate();
+            const workitemRes = await getWorkitemStatus(workitemId, oauth_token.access_token);
+            workitem = { ...req.body, ...workitemRes.body };
+        } catch (err) {
+            console.warn('Could not confirm the status of workitem ' + workitemId + ', using the callback body:', err.message);
+        }
+
+        family.apsExecution.debugInfo = {
+            ...(family.apsExecution.debugInfo || {}),
+            callbackReceivedAt: new Date()
+        };
+        await workitemPoller.applyStatus(family, workitem);
+        console.log('Handled callback for workitem ' + workitemId + ': ' + workitem.status);
+    } catch (err) {
+        console.error('Failed to handle callback for workitem ' + workitemId + ':', err);
+    }
+}
+
+function isValidCallbackToken(expected, actual) {
+    if (!expected || typeof actual !== 'string') {
+        return false;
+    }
+    const expectedBuffer = Buffer.from(expected);
+    const actualBuffer = Buffer.from(actual);
+    return expectedBuffer.length === actualBuffer.length && crypto.timingSafeEqual(expectedBuffer, actualBuffer);
+}
+
 module.exports = router;
@@ -19,6 +19,7 @@
 const express = require('express');
 const fs = require('fs');
 const { designAutomation }= require('../config');
+const SIRPayload = require('../services/SIRPayload');
 
 const { OAuth } = require('./common/oauth');
 
@@ -218,25 +219,7 @@ router.post('/designautomation/activities', async( req, res, next) => {
             Appbundles : [ qualifiedAppBundleId ],
             CommandLine : [ "$(engine.path)\\\\revitcoreconsole.exe /i \"$(args[templateFile].path)\" /al \"$(appbundles[" + appBundleName + "].path)\"" ],
             Engine : engineName,
-            Parameters :
-            {
-                templateFile: {
-                    verb: "get",
-                    description: "input file",
-                    required: true
-                },
-                windowParams: {
-                    verb: "get",
-                    description: "input Json parameters",
-                    localName: "params.json"
-                },
-                resultFamily: {
-                    verb: "put",
-                    description: "new created Winodw Family",
-                    required: true,
-                    localName: "WindowFamily.rfa"
-                  }
-            }
+            Parameters : activityName === designAutomation.sir_activity_name ? sirActivityParameters() : windowActivityParameters()
         }
         try{
             newActivity = await apiClientCallAsync( 'POST',  designAutomation.URL.ACTIVITIES_URL, req.oauth_token.access_token, activitySpec );
@@ -267,6 +250,64 @@ router.post('/designautomation/activities', async( req, res, next) => {
 })
 
 
+///////////////////////////////////////////////////////////////////////
+/// Parameters of the window activity, which reads WindowParams, or
+/// DoorParams when given a Door family template
+///////////////////////////////////////////////////////////////////////
+function windowActivityParameters() {
+    return {
+        templateFile: {
+            verb: "get",
+            description: "input file",
+            required: true
+        },
+        windowParams: {
+            verb: "get",
+            description: "input Json parameters",
+            localName: "params.json"
+        },
+        doorParams: {
+            verb: "get",
+            description: "input Json door parameters, used with a Door family template",
+            localName: "DoorParams.json"
+        },
+        resultFamily: {
+            verb: "put",
+            description: "new created Winodw Family",
+            required: true,
+            localName: "WindowFamily.rfa"
+          }
+    }
+}
+
+
+///////////////////////////////////////////////////////////////////////
+/// Parameters of the SIR activity, which builds a family of any
+/// category from a SIR payload (the full SIR plus its units)
+///////////////////////////////////////////////////////////////////////
+function sirActivityParameters() {
+    return {
+        templateFile: {
+            verb: "get",
+            description: "family template for the SIR category",
+            required: true
+        },
+        sirPayload: {
+            verb: "get",
+            description: "input SIR payload Json, version " + SIRPayload.PAYLOAD_VERSION,
+            required: true,
+            localName: SIRPayload.PAYLOAD_LOCAL_NAME
+        },
+        resultFamily: {
+            verb: "put",
+            description: "new created Family",
+            required: true,
+            localName: SIRPayload.RESULT_LOCAL_NAME
+        }
+    }
+}
+
+
 ///////////////////////////////////////////////////////////////////////
 /// Delete appbundle from Desigan Automation server
 ///////////////////////////////////////////////////////////////////////
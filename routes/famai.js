@@ -9,9 +9,22 @@
 const express = require('express');
 const BIMLLMService = require('../services/BIMLLMService');
 const SIRToCodeInterpreter = require('../services/SIRToCodeInterpreter');
+const SIRSchema = require('../services/SIRSchema');
 const QAGateway = require('../services/QAGateway');
+const JobStore = require('../services/JobStore');
+const DimensionParser = require('../services/DimensionParser');
+const GenerationProgress = require('../services/GenerationProgress');
+const SIRPayload = require('../services/SIRPayload');
+const DoorParams = require('../services/DoorParams');
+const FormulaEngine = require('../services/FormulaEngine');
+const QuotaService = require('../services/QuotaService');
+const FamilyVersions = require('../services/FamilyVersions');
+const Family = require('../models/Family');
+const Session = require('../models/Session');
+const User = require('../models/User');
 const { OAuth } = require('./common/oauth');
 const { designAutomation } = require('../config');
+const config = require('../config');
 
 let router = express.Router();
 
@@ -19,10 +32,17 @@ let router = express.Router();
 const bimLLMService = new BIMLLMService();
 const sirInterpreter = new SIRToCodeInterpreter();
 const qaGateway = new QAGateway();
-
-// Store active sessions and workitems
-const activeSessions = new Map();
-const workitemQueue = new Map();
+const sirSchema = new SIRSchema();
+const familyVersions = new FamilyVersions({ sirSchema: sirSchema });
+const dimensionParser = new DimensionParser();
+const sirPayloadBuilder = new SIRPayload();
+const doorParamsBuilder = new DoorParams({ dimensionParser: dimensionParser });
+const formulaEngine = new FormulaEngine();
+const quotaService = QuotaService.shared();
+
+// Active sessions and workitems, persisted so restarts and other instances can serve them
+const activeSessions = new JobStore('famai', 'session');
+const workitemQueue = new JobStore('famai', 'workitem');
 
 /////////////////////////////////////////////////////////////////////
 // Middleware for obtaining tokens
@@ -96,8 +116,10 @@ router.post('/create', async (req, res) => {
         
         console.log('Create endpoint called with prompt:', prompt);
         
+        const { units } = await resolveSessionSettings(sessionId);
+        
         // Generate SIR using demo mode for now (until Gemini API is fixed)
-        const sirResult = bimLLMService.generateDemoSIR(prompt, sessionId || 'create-session');
+        const sirResult = bimLLMService.generateDemoSIR(prompt, sessionId || 'create-session', { units });
         
         console.log('SIR generated:', sirResult.success);
         
@@ -148,7 +170,9 @@ router.post('/create', async (req, res) => {
             code: codeResult.code,
             qaResult: qaResult,
             readyForExecution: qaResult.overallPass,
-            createdAt: new Date().toISOString()
+            createdAt: new Date().toISOString(),
+            originalPrompt: prompt,
+            units: units
         };
         
         // Don't create workitem here - let /execute endpoint handle it
@@ -156,7 +180,7 @@ router.post('/create', async (req, res) => {
         console.log('SIR, code, and QA completed - ready for execution');
         
         // Store session data without workitem
-        activeSessions.set(sessionId || 'create-session', {
+        await activeSessions.set(sessionId || 'create-session', {
             ...sessionData,
             status: 'ready'
         });
@@ -192,7 +216,8 @@ router.post('/demo', async (req, res) => {
         console.log('Demo endpoint called with prompt:', prompt);
         
         // Generate demo SIR
-        const sirResult = bimLLMService.generateDemoSIR(prompt, sessionId || 'demo-session');
+        const { units } = await resolveSessionSettings(sessionId);
+        const sirResult = bimLLMService.generateDemoSIR(prompt, sessionId || 'demo-session', { units });
         
         // Simple demo response
         const response = {
@@ -345,7 +370,7 @@ router.get('/status/:workitemId', async (req, res) => {
         // Check if this is a simulated APS workitem ID
         if (workitemId.startsWith('aps_')) {
             // Get workitem data from queue
-            const workitemData = workitemQueue.get(workitemId);
+            const workitemData = await workitemQueue.fetch(workitemId);
             if (!workitemData) {
                 return res.status(404).json({
                     error: 'Workitem not found'
@@ -384,6 +409,7 @@ router.get('/status/:workitemId', async (req, res) => {
             workitemData.progress = progress;
             workitemData.message = message;
             workitemData.lastChecked = new Date();
+            await workitemQueue.set(workitemId, workitemData);
             
             return res.json({
                 success: true,
@@ -398,7 +424,7 @@ router.get('/status/:workitemId', async (req, res) => {
         }
         
         // Check if this is a real APS workitem (not prefixed with aps_)
-        const workitemData = workitemQueue.get(workitemId);
+        const workitemData = await workitemQueue.fetch(workitemId);
         if (workitemData && workitemData.isRealAPS) {
             // Get status from real APS API
             try {
@@ -418,7 +444,7 @@ router.get('/status/:workitemId', async (req, res) => {
                     workitemData.status = apsStatus.body.status || 'unknown';
                     workitemData.lastChecked = new Date();
                     workitemData.apsStatusData = apsStatus.body;
-                    workitemQueue.set(workitemId, workitemData);
+                    await workitemQueue.set(workitemId, workitemData);
                 }
                 
                 const status = apsStatus.body ? apsStatus.body.status : 'unknown';
@@ -540,7 +566,7 @@ router.get('/download/:workitemId', async (req, res) => {
             console.log('Generating RFA file for simulated APS workitem');
             
             // Get workitem data from queue
-            const workitemData = workitemQueue.get(workitemId);
+            const workitemData = await workitemQueue.fetch(workitemId);
             if (!workitemData) {
                 return res.status(404).json({
                     error: 'Workitem not found'
@@ -568,7 +594,7 @@ router.get('/download/:workitemId', async (req, res) => {
         }
         
         // Check if this is a real APS workitem
-        const workitemData = workitemQueue.get(workitemId);
+        const workitemData = await workitemQueue.fetch(workitemId);
         if (workitemData && workitemData.isRealAPS) {
             console.log('Downloading RFA file from real APS workitem');
             
@@ -605,6 +631,7 @@ router.get('/download/:workitemId', async (req, res) => {
                     
                     // Store URN for viewer access
                     workitemData.viewerUrn = urn;
+                    await workitemQueue.set(workitemId, workitemData);
                 } catch (translationError) {
                     console.warn('Could not start translation for viewer:', translationError.message);
                 }
@@ -725,6 +752,35 @@ function getEstimatedTime(status) {
     }
 }
 
+/**
+ * Get the user's plan, limits and usage in the current monthly window,
+ * with the time each limit resets
+ * GET /api/bim-llm/v1/usage
+ */
+router.get('/v1/usage', async (req, res) => {
+    try {
+        const user = req.session?.userId ? await User.findById(req.session.userId) : null;
+        if (!user) {
+            return res.status(401).json({
+                success: false,
+                error: 'User authentication required'
+            });
+        }
+
+        res.json({
+            success: true,
+            ...quotaService.getUsage(user)
+        });
+    } catch (error) {
+        console.error('Error loading usage:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to load usage',
+            details: error.message
+        });
+    }
+});
+
 /**
  * Get recent sessions
  * GET /api/bim-llm/v1/sessions
@@ -748,8 +804,11 @@ router.get('/v1/sessions', async (req, res) => {
 /**
  * Generate BIM family from natural language description
  * POST /api/bim-llm/v1/generate
+ * Progress is emitted to the session's socket room; add ?stream=true (or
+ * Accept: text/event-stream) to receive it as Server-Sent Events instead
  */
-router.post('/v1/generate', async (req, res) => {
+router.post('/v1/generate', quotaService.enforce({ llmCalls: 1 }), async (req, res) => {
+    let progress = null;
     try {
         const { 
             prompt, 
@@ -764,6 +823,22 @@ router.post('/v1/generate', async (req, res) => {
             });
         }
 
+        if (options.target && !SIRToCodeInterpreter.TARGETS.includes(options.target)) {
+            return res.status(400).json({
+                error: 'Invalid code target',
+                details: `options.target must be one of ${SIRToCodeInterpreter.TARGETS.join(', ')}`
+            });
+        }
+
+        // Report each pipeline stage to the session room, and as SSE if requested
+        progress = new GenerationProgress({
+            userId: req.session.userId,
+            sessionId: sessionId,
+            res: res,
+            stream: GenerationProgress.wantsStream(req)
+        }).start();
+        progress.stage('received', 'Prompt received');
+
         // Get conversation context
         const conversationContext = bimLLMService.getConversationContext(sessionId);
         
@@ -772,29 +847,42 @@ router.post('/v1/generate', async (req, res) => {
         console.log('Session ID:', sessionId);
         console.log('Gemini API Key available:', !!process.env.GEMINI_API_KEY);
         
+        const settings = await resolveSessionSettings(sessionId);
+        const units = settings.units;
         const sirResult = await bimLLMService.generateSIR(
             prompt, 
             sessionId, 
-            { ...conversationContext, ...context }
+            { ...conversationContext, ...context },
+            { ...settings, onProgress: progress.llmListener() }
         );
+        await recordTokenUsage(sessionId, sirResult.usage);
+        await recordGenerationAttempts(sessionId, prompt, sirResult.attempts);
 
         console.log('SIR Generation result:', sirResult);
 
         if (!sirResult.success) {
             console.error('SIR Generation failed:', sirResult.error);
-            return res.status(500).json({
+            return progress.respond(BIMLLMService.errorStatus(sirResult.errorCode, 502), {
                 error: 'Failed to generate SIR',
+                errorCode: sirResult.errorCode,
                 details: sirResult.error,
+                validationErrors: sirResult.validationErrors,
+                attempts: sirResult.attempts,
                 debug: {
                     prompt: prompt,
                     sessionId: sessionId,
-                    hasApiKey: !!process.env.GEMINI_API_KEY
+                    aiModel: settings.aiModel
                 }
             });
         }
 
+        if (sirResult.isDemo) {
+            progress.stage('sir_parsed', `SIR generated for ${sirResult.sir.familyMetadata.familyName} (demo mode)`);
+        }
+
         // Translate SIR to executable code
         console.log('Translating SIR to code...');
+        progress.stage('code_generation', 'Generating Revit code...');
         let codeResult;
         
         if (sirResult.isDemo) {
@@ -811,7 +899,7 @@ router.post('/v1/generate', async (req, res) => {
         } else {
             codeResult = await sirInterpreter.translateSIRToCode(
                 sirResult.sir, 
-                { sessionId, options }
+                { sessionId, options, target: options.target }
             );
         }
 
@@ -819,14 +907,18 @@ router.post('/v1/generate', async (req, res) => {
 
         if (!codeResult.success) {
             console.error('Code translation failed:', codeResult.error);
-            return res.status(500).json({
+            return progress.respond(500, {
                 error: 'Failed to translate SIR to code',
                 details: codeResult.error
             });
         }
+        progress.stage('code_generated', 'Code generated', {
+            linesOfCode: codeResult.metadata && codeResult.metadata.linesOfCode
+        });
 
         // Pre-validation QA check
         console.log('Running QA validation...');
+        progress.stage('qa_validation', 'Running QA validation...');
         let qaResult;
         
         if (sirResult.isDemo) {
@@ -848,22 +940,31 @@ router.post('/v1/generate', async (req, res) => {
             qaResult = await qaGateway.validateFamily(
                 sirResult.sir, 
                 codeResult.code, 
-                null
+                null,
+                {
+                    organization: await resolveOrganization(req),
+                    onValidation: progress.validationListener()
+                }
             );
         }
+        progress.qaResult(qaResult);
 
         console.log('QA validation result:', qaResult);
 
         // Store session data
-        activeSessions.set(sessionId, {
+        await activeSessions.set(sessionId, {
             sir: sirResult.sir,
             code: codeResult.code,
+            codeTarget: options.target || 'python',
             qaResult: qaResult,
+            originalPrompt: prompt,
+            units: units,
+            aiModel: settings.aiModel,
             createdAt: new Date(),
             status: 'ready_for_execution'
         });
 
-        res.json({
+        progress.respond(200, {
             success: true,
             sessionId: sessionId,
             sir: sirResult.sir,
@@ -877,10 +978,14 @@ router.post('/v1/generate', async (req, res) => {
 
     } catch (error) {
         console.error('BIM-LLM Generation Error:', error);
-        res.status(500).json({
+        const body = {
             error: 'Internal server error',
             details: error.message
-        });
+        };
+        if (progress) {
+            return progress.respond(500, body);
+        }
+        res.status(500).json(body);
     }
 });
 
@@ -888,7 +993,7 @@ router.post('/v1/generate', async (req, res) => {
  * Refine existing family design based on feedback
  * POST /api/bim-llm/v1/refine
  */
-router.post('/v1/refine', async (req, res) => {
+router.post('/v1/refine', quotaService.enforce({ llmCalls: 1 }), async (req, res) => {
     try {
         const { 
             sessionId, 
@@ -903,7 +1008,7 @@ router.post('/v1/refine', async (req, res) => {
         }
 
         // Get existing session data
-        const sessionData = activeSessions.get(sessionId);
+        const sessionData = await activeSessions.fetch(sessionId);
         if (!sessionData) {
             return res.status(404).json({
                 error: 'Session not found'
@@ -911,23 +1016,30 @@ router.post('/v1/refine', async (req, res) => {
         }
 
         // Generate refined SIR
+        const { aiModel } = await resolveSessionSettings(sessionId);
         const refinementResult = await bimLLMService.refineSIR(
             sessionId, 
             feedback, 
-            sessionData.sir
+            sessionData.sir,
+            { aiModel }
         );
+        await recordTokenUsage(sessionId, refinementResult.usage);
+        await recordGenerationAttempts(sessionId, `Refinement: ${feedback}`, refinementResult.attempts);
 
         if (!refinementResult.success) {
-            return res.status(500).json({
+            return res.status(BIMLLMService.errorStatus(refinementResult.errorCode, 500)).json({
                 error: 'Failed to refine SIR',
-                details: refinementResult.error
+                errorCode: refinementResult.errorCode,
+                details: refinementResult.error,
+                validationErrors: refinementResult.validationErrors,
+                attempts: refinementResult.attempts
             });
         }
 
         // Translate refined SIR to code
         const codeResult = await sirInterpreter.translateSIRToCode(
             refinementResult.sir, 
-            { sessionId, refinementType }
+            { sessionId, refinementType, target: sessionData.codeTarget }
         );
 
         if (!codeResult.success) {
@@ -941,15 +1053,35 @@ router.post('/v1/refine', async (req, res) => {
         const qaResult = await qaGateway.validateFamily(
             refinementResult.sir, 
             codeResult.code, 
-            null
+            null,
+            { organization: await resolveOrganization(req) }
         );
 
+        // Each refinement of a signed-in user's design is saved as a new version of the session's family
+        let familyVersion = null;
+        const user = await resolveUser(req);
+        if (user) {
+            try {
+                familyVersion = await familyVersions.saveRefinement(user, sessionId, sessionData, {
+                    sir: refinementResult.sir,
+                    code: codeResult.code,
+                    codeMetadata: codeResult.metadata,
+                    codeTarget: sessionData.codeTarget,
+                    qaResult: qaResult,
+                    prompt: feedback
+                });
+            } catch (dbError) {
+                console.warn('Failed to save refined family version:', dbError.message);
+            }
+        }
+
         // Update session data
-        activeSessions.set(sessionId, {
+        await activeSessions.set(sessionId, {
             ...sessionData,
             sir: refinementResult.sir,
             code: codeResult.code,
             qaResult: qaResult,
+            familyId: familyVersion ? familyVersion.id : sessionData.familyId,
             lastRefined: new Date(),
             refinementCount: (sessionData.refinementCount || 0) + 1
         });
@@ -961,7 +1093,8 @@ router.post('/v1/refine', async (req, res) => {
             codeMetadata: codeResult.metadata,
             qaValidation: qaResult,
             refinementType: refinementType,
-            improvementScore: this.calculateImprovementScore(sessionData.qaResult, qaResult)
+            improvementScore: calculateImprovementScore(sessionData.qaResult, qaResult),
+            family: familyVersion
         });
 
     } catch (error) {
@@ -973,11 +1106,137 @@ router.post('/v1/refine', async (req, res) => {
     }
 });
 
+/**
+ * Apply fixes proposed by QA to the session's SIR, then regenerate the
+ * code and re-run validation
+ * POST /api/famai/v1/qa/autofix
+ * Body: { sessionId, fixIds } - fixIds from qaValidation.fixes; all fixes if omitted
+ */
+router.post('/v1/qa/autofix', async (req, res) => {
+    try {
+        const { sessionId, fixIds } = req.body;
+
+        if (!sessionId) {
+            return res.status(400).json({
+                error: 'Missing required field: sessionId'
+            });
+        }
+        if (fixIds !== undefined && (!Array.isArray(fixIds) || fixIds.some(id => typeof id !== 'string'))) {
+            return res.status(400).json({
+                error: 'fixIds must be a list of fix IDs'
+            });
+        }
+
+        const sessionData = await activeSessions.fetch(sessionId);
+        if (!sessionData || !sessionData.sir) {
+            return res.status(404).json({
+                error: 'Session not found'
+            });
+        }
+
+        // Only fixes QA proposed for the current SIR can be applied
+        const proposed = (sessionData.qaResult && sessionData.qaResult.fixes) || [];
+        const unknown = (fixIds || []).filter(id => !proposed.some(fix => fix.id === id));
+        if (unknown.length > 0) {
+            return res.status(404).json({
+                error: 'Unknown fixes',
+                details: `No fix ${unknown.join(', ')} was proposed for the current design`
+            });
+        }
+        const selected = fixIds ? proposed.filter(fix => fixIds.includes(fix.id)) : proposed;
+        if (selected.length === 0) {
+            return res.status(400).json({
+                error: 'No fixes to apply'
+            });
+        }
+
+        const fixResult = qaGateway.applyFixes(sessionData.sir, selected);
+        if (fixResult.applied.length === 0) {
+            return res.status(409).json({
+                error: 'None of the fixes could be applied',
+                details: fixResult.failed.map(f => `${f.id}: ${f.error}`).join('; '),
+                failed: fixResult.failed
+            });
+        }
+
+        // Fixes must leave a SIR the schema accepts
+        const schemaValidation = sirSchema.validate(fixResult.sir);
+        if (!schemaValidation.valid) {
+            return res.status(422).json({
+                error: 'Fixes produce an invalid SIR',
+                details: schemaValidation.errors.slice(0, 10).map(e => `${e.path}: ${e.message}`).join('; '),
+                validationErrors: schemaValidation.errors
+            });
+        }
+
+        const codeResult = await sirInterpreter.translateSIRToCode(fixResult.sir, { sessionId, target: sessionData.codeTarget });
+        if (!codeResult.success) {
+            return res.status(500).json({
+                error: 'Failed to translate fixed SIR to code',
+                details: codeResult.error
+            });
+        }
+
+        const user = await resolveUser(req);
+        const qaResult = await qaGateway.validateFamily(fixResult.sir, codeResult.code, null, {
+            organization: user ? user.organization : undefined
+        });
+
+        // Fixes to a signed-in user's design are saved as a new version, like refinements
+        let familyVersion = null;
+        if (user) {
+            try {
+                familyVersion = await familyVersions.saveRefinement(user, sessionId, sessionData, {
+                    sir: fixResult.sir,
+                    code: codeResult.code,
+                    codeMetadata: codeResult.metadata,
+                    codeTarget: sessionData.codeTarget,
+                    qaResult: qaResult,
+                    prompt: `Apply QA fixes: ${fixResult.applied.join(', ')}`
+                });
+            } catch (dbError) {
+                console.warn('Failed to save fixed family version:', dbError.message);
+            }
+        }
+
+        await activeSessions.set(sessionId, {
+            ...sessionData,
+            sir: fixResult.sir,
+            code: codeResult.code,
+            qaResult: qaResult,
+            familyId: familyVersion ? familyVersion.id : sessionData.familyId,
+            lastRefined: new Date(),
+            refinementCount: (sessionData.refinementCount || 0) + 1
+        });
+
+        res.json({
+            success: true,
+            sessionId: sessionId,
+            sir: fixResult.sir,
+            codeMetadata: codeResult.metadata,
+            qaValidation: qaResult,
+            readyForExecution: qaResult.overallPass,
+            applied: fixResult.applied,
+            failed: fixResult.failed,
+            diff: fixResult.diff,
+            improvementScore: calculateImprovementScore(sessionData.qaResult, qaResult),
+            family: familyVersion
+        });
+
+    } catch (error) {
+        console.error('QA Autofix Error:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            details: error.message
+        });
+    }
+});
+
 /**
  * Generate variations of existing family
  * POST /api/bim-llm/v1/variations
  */
-router.post('/v1/variations', async (req, res) => {
+router.post('/v1/variations', quotaService.enforce(variationAmounts), async (req, res) => {
     try {
         const { 
             sessionId, 
@@ -992,7 +1251,7 @@ router.post('/v1/variations', async (req, res) => {
         }
 
         // Get existing session data
-        const sessionData = activeSessions.get(sessionId);
+        const sessionData = await activeSessions.fetch(sessionId);
         if (!sessionData) {
             return res.status(404).json({
                 error: 'Session not found'
@@ -1000,20 +1259,28 @@ router.post('/v1/variations', async (req, res) => {
         }
 
         // Generate variations
+        const { aiModel } = await resolveSessionSettings(sessionId);
         const variationsResult = await bimLLMService.generateVariations(
             sessionData.sir, 
-            variationCount
+            variationCount,
+            { aiModel }
         );
+        await recordTokenUsage(sessionId, variationsResult.usage);
+        await recordGenerationAttempts(sessionId, `Variations (${variationCount})`, variationsResult.attempts);
 
         if (!variationsResult.success) {
-            return res.status(500).json({
+            return res.status(BIMLLMService.errorStatus(variationsResult.errorCode, 500)).json({
                 error: 'Failed to generate variations',
-                details: variationsResult.error
+                errorCode: variationsResult.errorCode,
+                details: variationsResult.error,
+                validationErrors: variationsResult.validationErrors,
+                attempts: variationsResult.attempts
             });
         }
 
         // Process each variation
         const processedVariations = [];
+        const organization = await resolveOrganization(req);
         for (let i = 0; i < variationsResult.variations.length; i++) {
             const variation = variationsResult.variations[i];
             
@@ -1021,7 +1288,9 @@ router.post('/v1/variations', async (req, res) => {
             const codeResult = await sirInterpreter.translateSIRToCode(variation);
             
             // Validate
-            const qaResult = await qaGateway.validateFamily(variation, codeResult.code, null);
+            const qaResult = await qaGateway.validateFamily(variation, codeResult.code, null, {
+                organization: organization
+            });
             
             processedVariations.push({
                 index: i,
@@ -1053,7 +1322,16 @@ router.post('/v1/variations', async (req, res) => {
  * Execute family creation using APS Design Automation
  * POST /api/bim-llm/v1/execute
  */
-router.post('/v1/execute', async (req, res) => {
+router.post('/v1/execute', quotaService.enforce({ workitems: 1 }, { when: 'success', skip: isDryRun }), (req, res) => executeSession(req, res));
+
+/**
+ * Send a session's family to Design Automation, or with options.dryRun
+ * return the workitem that would be sent. Rollbacks pass the session data
+ * to execute instead of the stored one, and fields to add to the response
+ * @param {Object} prepared - { sessionData, response }
+ */
+async function executeSession(req, res, prepared = {}) {
+    const responseFields = prepared.response || {};
     try {
         const { 
             sessionId, 
@@ -1068,7 +1346,7 @@ router.post('/v1/execute', async (req, res) => {
         }
 
         // Get session data
-        const sessionData = activeSessions.get(sessionId);
+        const sessionData = prepared.sessionData || await activeSessions.fetch(sessionId);
         if (!sessionData) {
             return res.status(404).json({
                 error: 'Session not found'
@@ -1084,13 +1362,36 @@ router.post('/v1/execute', async (req, res) => {
             });
         }
 
+        // Only schema-conformant SIRs are sent to Design Automation
+        const { sir: executableSIR } = sirSchema.migrate(sessionData.sir);
+        const sirValidation = sirSchema.validate(executableSIR);
+        if (!sirValidation.valid) {
+            return res.status(422).json({
+                error: 'SIR does not conform to schema',
+                sirVersion: sirSchema.version,
+                validationErrors: sirValidation.errors
+            });
+        }
+
         console.log('Converting SIR to APS parameters...');
         
         // Convert SIR data to APS-compatible parameters
-        const apsParams = convertSIRToAPSParams(sessionData.sir);
+        const apsParams = convertSIRToAPSParams(executableSIR, sessionData.originalPrompt, { units: sessionData.units });
         
         console.log('APS Parameters:', apsParams);
 
+        // Door parameters are checked before anything is sent to Design Automation
+        const doorValidation = apsParams.FamilyType === SIRPayload.FAMILY_TYPES.DOOR
+            ? doorParamsBuilder.validate(apsParams.DoorParams)
+            : null;
+        if (doorValidation && !doorValidation.valid) {
+            return res.status(422).json({
+                error: 'Door parameters are invalid',
+                validationErrors: doorValidation.errors,
+                warnings: doorValidation.warnings
+            });
+        }
+
         // Check if this is a dry run
         if (options.dryRun) {
             console.log('DRY RUN MODE - Generating test payload without creating workitem');
@@ -1114,9 +1415,62 @@ router.post('/v1/execute', async (req, res) => {
                 }
             };
 
+            if (apsParams.FamilyType === SIRPayload.FAMILY_TYPES.SIR) {
+                delete mockWorkitem.arguments.windowParams;
+                mockWorkitem.arguments.sirPayload = {
+                    url: sirPayloadBuilder.toDataUrl(apsParams.SIRPayload) || 'https://example.com/sir.json',
+                    localName: SIRPayload.PAYLOAD_LOCAL_NAME
+                };
+
+                return res.json({
+                    success: true,
+                    dryRun: true,
+                    ...responseFields,
+                    apsParams: apsParams,
+                    workitem: mockWorkitem,
+                    meta: {
+                        route: sirPayloadBuilder.route(executableSIR),
+                        payloadVersion: SIRPayload.PAYLOAD_VERSION
+                    }
+                });
+            }
+
+            if (doorValidation) {
+                delete mockWorkitem.arguments.windowParams;
+                mockWorkitem.arguments.doorParams = {
+                    url: `data:application/json,${JSON.stringify(apsParams.DoorParams)}`,
+                    localName: 'DoorParams.json'
+                };
+                mockWorkitem.arguments.resultFamily.localName = 'DoorFamily.rfa';
+
+                return res.json({
+                    success: true,
+                    dryRun: true,
+                    ...responseFields,
+                    apsParams: apsParams,
+                    workitem: mockWorkitem,
+                    meta: {
+                        dimensions: {
+                            feet: {
+                                width: apsParams.DoorParams.Types[0]?.DoorWidth,
+                                height: apsParams.DoorParams.Types[0]?.DoorHeight
+                            },
+                            millimeters: {
+                                width: (apsParams.DoorParams.Types[0]?.DoorWidth || 0) * 304.8,
+                                height: (apsParams.DoorParams.Types[0]?.DoorHeight || 0) * 304.8
+                            }
+                        },
+                        types: describeTypeDimensions(apsParams.DoorParams.Types, DOOR_TYPE_DIMENSIONS),
+                        warnings: doorValidation.warnings,
+                        doorParamsJson: JSON.stringify(apsParams.DoorParams, null, 2)
+                    }
+                });
+            }
+
             return res.json({
                 success: true,
                 dryRun: true,
+                ...responseFields,
                 apsParams: apsParams,
                 workitem: mockWorkitem,
                 meta: {
@@ -1130,6 +1484,7 @@ router.post('/v1/execute', async (req, res) => {
                             height: (apsParams.WindowParams.Types[0]?.WindowHeight || 0) * 304.8
                         }
                     },
+                    types: describeTypeDimensions(apsParams.WindowParams.Types, WINDOW_TYPE_DIMENSIONS),
                     windowParamsJson: JSON.stringify(apsParams.WindowParams, null, 2)
                 }
             });
@@ -1145,8 +1500,20 @@ router.post('/v1/execute', async (req, res) => {
         const workitemId = apsResponse.workItemId;
         console.log('Real APS workitem created:', workitemId);
 
+        // The family records the workitem, so the callback and the WorkitemPoller finish it
+        const user = await resolveUser(req);
+        if (user && apsResponse.workitem) {
+            try {
+                const family = await familyVersions.recordWorkitem(user, sessionId, sessionData, apsResponse.workitem);
+                sessionData.familyId = family._id;
+                console.log('Stored APS identifiers in Family document:', family._id);
+            } catch (persistErr) {
+                console.warn('Failed to persist APS identifiers to Family:', persistErr.message);
+            }
+        }
+
         // Get the workitem data that was stored by createFamilyWithAPS
-        let workitemData = workitemQueue.get(workitemId);
+        let workitemData = await workitemQueue.fetch(workitemId);
         
         // If not found (shouldn't happen), create new data
         if (!workitemData) {
@@ -1171,16 +1538,17 @@ router.post('/v1/execute', async (req, res) => {
         workitemData.targetFolder = targetFolder;
         
         // Store updated workitem data (preserving bucketKey and outputObjectKey)
-        workitemQueue.set(workitemId, workitemData);
+        await workitemQueue.set(workitemId, workitemData);
 
         // Update session status
         sessionData.status = 'executing';
         sessionData.workitemId = workitemId;
-        activeSessions.set(sessionId, sessionData);
+        await activeSessions.set(sessionId, sessionData);
 
         res.json({
             success: true,
             sessionId: sessionId,
+            ...responseFields,
             workitemId: workitemId,
             status: 'submitted',
             estimatedCompletionTime: 180, // 3 minutes for real APS processing
@@ -1194,6 +1562,116 @@ router.post('/v1/execute', async (req, res) => {
             details: error.message
         });
     }
+}
+
+/**
+ * Roll a family back to an earlier version: that version's SIR is saved as
+ * the newest version, loaded into the family's session and executed again.
+ * With options.dryRun nothing is saved and the workitem is only previewed
+ * POST /api/famai/v1/families/:id/rollback
+ * Body: { targetFolder, options } - :id is the version to roll back to
+ */
+router.post('/v1/families/:id/rollback', quotaService.enforce({ workitems: 1 }, { when: 'success', skip: isDryRun }), async (req, res) => {
+    try {
+        const { targetFolder, options = {} } = req.body;
+
+        if (!targetFolder) {
+            return res.status(400).json({
+                error: 'Missing required field: targetFolder'
+            });
+        }
+
+        const user = await resolveUser(req);
+        if (!user) {
+            return res.status(401).json({
+                error: 'User authentication required'
+            });
+        }
+
+        const target = await Family.findOne({ _id: req.params.id, createdBy: user._id });
+        if (!target) {
+            return res.status(404).json({
+                error: 'Family not found'
+            });
+        }
+
+        let sir;
+        try {
+            sir = sirSchema.normalize(target.sir);
+        } catch (validationError) {
+            return res.status(422).json({
+                error: 'SIR does not conform to schema',
+                sirVersion: sirSchema.version,
+                validationErrors: validationError.errors || [{ path: 'sir', message: validationError.message }]
+            });
+        }
+
+        const versions = await Family.findVersions(target);
+        const latest = versions[versions.length - 1];
+        const sessionId = target.sessionId;
+        const storedSession = await activeSessions.fetch(sessionId);
+        const { units } = await resolveSessionSettings(sessionId);
+        const codeTarget = (storedSession && storedSession.codeTarget) || 'python';
+
+        // The older SIR is translated and validated again, against the current rules
+        const codeResult = await sirInterpreter.translateSIRToCode(sir, { sessionId, target: codeTarget });
+        if (!codeResult.success) {
+            return res.status(500).json({
+                error: 'Failed to translate SIR to code',
+                details: codeResult.error
+            });
+        }
+
+        const qaResult = await qaGateway.validateFamily(
+            sir,
+            codeResult.code,
+            null,
+            { organization: user.organization }
+        );
+        if (!qaResult.overallPass) {
+            return res.status(400).json({
+                error: 'Family failed QA validation',
+                qaIssues: qaResult.validations,
+                recommendations: qaResult.recommendations
+            });
+        }
+
+        const sessionData = {
+            ...(storedSession || { originalPrompt: target.originalPrompt, units: units, createdAt: new Date() }),
+            sir: sir,
+            code: codeResult.code,
+            codeTarget: codeTarget,
+            qaResult: qaResult,
+            status: 'ready_for_execution'
+        };
+        const rollback = {
+            from: { id: latest._id, version: latest.version },
+            to: { id: target._id, version: target.version },
+            family: null
+        };
+
+        if (!isDryRun(req)) {
+            rollback.family = await familyVersions.saveRollback(latest, target, {
+                sir: sir,
+                code: codeResult.code,
+                codeMetadata: codeResult.metadata,
+                codeTarget: codeTarget,
+                qaResult: qaResult
+            });
+            sessionData.familyId = rollback.family.id;
+            await activeSessions.set(sessionId, sessionData);
+        }
+
+        req.body = { sessionId: sessionId, targetFolder: targetFolder, options: options };
+        return executeSession(req, res, { sessionData: sessionData, response: { rollback: rollback } });
+
+    } catch (error) {
+        console.error('BIM-LLM Rollback Error:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            details: error.message
+        });
+    }
 });
 
 /**
@@ -1205,7 +1683,7 @@ router.get('/v1/status/:workitemId', async (req, res) => {
         const workitemId = req.params.workitemId;
         
         // Get workitem data
-        const workitemData = workitemQueue.get(workitemId);
+        const workitemData = await workitemQueue.fetch(workitemId);
         if (!workitemData) {
             return res.status(404).json({
                 error: 'Workitem not found'
@@ -1246,6 +1724,7 @@ router.get('/v1/status/:workitemId', async (req, res) => {
             workitemData.progress = progress;
             workitemData.message = message;
             workitemData.lastChecked = new Date();
+            await workitemQueue.set(workitemId, workitemData);
             
             return res.json({
                 success: true,
@@ -1301,13 +1780,13 @@ router.get('/v1/status/:workitemId', async (req, res) => {
         workitemData.lastChecked = new Date();
         
         console.log('Updating workitem data:', JSON.stringify(workitemData, null, 2));
-        workitemQueue.set(workitemId, workitemData);
+        await workitemQueue.set(workitemId, workitemData);
 
         // Update session status
-        const sessionData = activeSessions.get(workitemData.sessionId);
+        const sessionData = await activeSessions.fetch(workitemData.sessionId);
         if (sessionData) {
             sessionData.status = statusResult.status;
-            activeSessions.set(workitemData.sessionId, sessionData);
+            await activeSessions.set(workitemData.sessionId, sessionData);
         }
 
         res.json({
@@ -1342,7 +1821,7 @@ router.get('/v1/download/:workitemId', async (req, res) => {
         const workitemId = req.params.workitemId;
         
         // Get workitem data
-        const workitemData = workitemQueue.get(workitemId);
+        const workitemData = await workitemQueue.fetch(workitemId);
         if (!workitemData) {
             return res.status(404).json({
                 error: 'Workitem not found'
@@ -1457,8 +1936,8 @@ router.get('/v1/models', async (req, res) => {
         // Get all workitems that have completed successfully
         const completedWorkitems = [];
         
-        for (const [workitemId, workitemData] of workitemQueue.entries()) {
-            if (workitemData.status === 'success' && workitemData.bucketKey && workitemData.outputObjectKey) {
+        for (const [workitemId, workitemData] of await workitemQueue.entries({ status: 'success' })) {
+            if (workitemData.bucketKey && workitemData.outputObjectKey) {
                 completedWorkitems.push({
                     workitemId: workitemId,
                     fileName: workitemData.outputObjectKey.split('/').pop() || 'Generated Window.rfa',
@@ -1505,7 +1984,7 @@ router.get('/v1/models/:workitemId', async (req, res) => {
         const workitemId = req.params.workitemId;
         
         // Get workitem data
-        const workitemData = workitemQueue.get(workitemId);
+        const workitemData = await workitemQueue.fetch(workitemId);
         if (!workitemData) {
             return res.status(404).json({
                 error: 'Model not found'
@@ -1591,7 +2070,7 @@ router.get('/v1/session/:sessionId', async (req, res) => {
     try {
         const sessionId = req.params.sessionId;
         
-        const sessionData = activeSessions.get(sessionId);
+        const sessionData = await activeSessions.fetch(sessionId);
         if (!sessionData) {
             return res.status(404).json({
                 error: 'Session not found'
@@ -1622,6 +2101,54 @@ router.get('/v1/session/:sessionId', async (req, res) => {
     }
 });
 
+/**
+ * Download the session's family code for a target: the Dynamo Python
+ * script (default) or the C# source of a Design Automation app bundle
+ * GET /api/famai/v1/session/:sessionId/code?target=csharp
+ */
+router.get('/v1/session/:sessionId/code', async (req, res) => {
+    try {
+        const sessionId = req.params.sessionId;
+        const target = req.query.target || 'python';
+
+        if (!SIRToCodeInterpreter.TARGETS.includes(target)) {
+            return res.status(400).json({
+                error: 'Invalid code target',
+                details: `target must be one of ${SIRToCodeInterpreter.TARGETS.join(', ')}`
+            });
+        }
+
+        const sessionData = await activeSessions.fetch(sessionId);
+        if (!sessionData || !sessionData.sir) {
+            return res.status(404).json({
+                error: 'Session not found'
+            });
+        }
+
+        const codeResult = await sirInterpreter.translateSIRToCode(sessionData.sir, { sessionId, target });
+        if (!codeResult.success) {
+            return res.status(500).json({
+                error: 'Failed to translate SIR to code',
+                details: codeResult.error
+            });
+        }
+
+        const fileName = target === 'csharp'
+            ? `${sirInterpreter.csharpGenerator.getClassName(sessionData.sir)}.cs`
+            : `${sessionData.sir.familyMetadata.familyName.replace(/[^A-Za-z0-9_-]+/g, '_')}.py`;
+        res.set('Content-Type', 'text/plain; charset=utf-8');
+        res.set('Content-Disposition', `attachment; filename="${fileName}"`);
+        res.send(codeResult.code);
+
+    } catch (error) {
+        console.error('BIM-LLM Code Download Error:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            details: error.message
+        });
+    }
+});
+
 /**
  * Cancel workitem execution
  * DELETE /api/bim-llm/v1/cancel/:workitemId
@@ -1641,17 +2168,17 @@ router.delete('/v1/cancel/:workitemId', async (req, res) => {
         }
 
         // Update workitem data
-        const workitemData = workitemQueue.get(workitemId);
+        const workitemData = await workitemQueue.fetch(workitemId);
         if (workitemData) {
             workitemData.status = 'cancelled';
             workitemData.cancelledAt = new Date();
-            workitemQueue.set(workitemId, workitemData);
+            await workitemQueue.set(workitemId, workitemData);
 
             // Update session status
-            const sessionData = activeSessions.get(workitemData.sessionId);
+            const sessionData = await activeSessions.fetch(workitemData.sessionId);
             if (sessionData) {
                 sessionData.status = 'cancelled';
-                activeSessions.set(workitemData.sessionId, sessionData);
+                await activeSessions.set(workitemData.sessionId, sessionData);
             }
         }
 
@@ -1675,10 +2202,123 @@ router.delete('/v1/cancel/:workitemId', async (req, res) => {
 // Helper Methods
 /////////////////////////////////////////////////////////////////////
 
+/**
+ * Quota amounts of a variations request: each variation is one LLM call
+ */
+function variationAmounts(req) {
+    const count = req.body.variationCount === undefined ? 5 : (Number(req.body.variationCount) || 0);
+    return { variations: count, llmCalls: count };
+}
+
+/**
+ * Dry runs build the workitem without submitting it, so they use no quota
+ */
+function isDryRun(req) {
+    return Boolean(req.body.options?.dryRun);
+}
+
+/**
+ * Resolve the session settings that shape generation: length units for
+ * unitless prompt values and the AI model
+ */
+async function resolveSessionSettings(sessionId) {
+    const settings = { units: 'metric', aiModel: config.llm.defaultModel };
+    try {
+        const session = sessionId ? await Session.findOne({ sessionId: sessionId }).select('settings') : null;
+        if (session && session.settings) {
+            settings.units = session.settings.units || settings.units;
+            settings.aiModel = session.settings.aiModel || settings.aiModel;
+        }
+    } catch (error) {
+        console.warn('Failed to load session settings:', error.message);
+    }
+    return settings;
+}
+
+/**
+ * The signed-in famAI user, if any. Routes without quota middleware have
+ * no req.user, and APS-only sessions have no famAI user at all
+ */
+async function resolveUser(req) {
+    if (req.user) {
+        return req.user;
+    }
+    try {
+        return req.session?.userId ? await User.findById(req.session.userId) : null;
+    } catch (error) {
+        console.warn('Failed to load user:', error.message);
+        return null;
+    }
+}
+
+/**
+ * Resolve the organisation whose BEP rule pack QA scores against
+ */
+async function resolveOrganization(req) {
+    const user = await resolveUser(req);
+    return user ? user.organization : undefined;
+}
+
+/**
+ * Record every LLM attempt of a generation (including self-repair retries)
+ * in the session conversation
+ */
+async function recordGenerationAttempts(sessionId, prompt, attempts) {
+    if (!sessionId || !attempts || attempts.length === 0) {
+        return;
+    }
+    try {
+        const session = await Session.findOne({ sessionId: sessionId });
+        if (session) {
+            await session.addGenerationAttempts(prompt, attempts);
+        }
+    } catch (error) {
+        console.warn('Failed to record generation attempts:', error.message);
+    }
+}
+
+/**
+ * Add LLM token usage to the session's stats.totalTokens
+ */
+async function recordTokenUsage(sessionId, usage) {
+    try {
+        await Session.recordTokenUsage(sessionId, usage);
+    } catch (error) {
+        console.warn('Failed to record token usage:', error.message);
+    }
+}
+
 /**
  * Convert SIR data to APS-compatible parameters
+ * @param {Object} sir - Generated SIR
+ * @param {string} originalPrompt - Prompt the SIR was generated from
+ * @param {Object} options - { units } session units for unitless prompt values
+ * @returns {Object} WindowParams for windows (FamilyType 1), DoorParams for
+ *   doors (FamilyType 2), otherwise the SIR payload and template key for the
+ *   SIR activity (FamilyType 3)
  */
-function convertSIRToAPSParams(sir) {
+function convertSIRToAPSParams(sir, originalPrompt = '', options = {}) {
+    // Windows and doors use the window activity; every other category is
+    // sent to the SIR activity as the full SIR
+    const route = sirPayloadBuilder.route(sir);
+    if (route.activity === 'door') {
+        return {
+            FileName: `${sir.familyMetadata.familyName || 'Generated Door'}.rfa`,
+            FamilyType: SIRPayload.FAMILY_TYPES.DOOR,
+            Template: route.template,
+            DoorParams: doorParamsBuilder.fromSIR(sir, originalPrompt, { units: options.units })
+        };
+    }
+    if (route.activity === 'sir') {
+        console.log(`Routing ${route.category} family to the SIR activity (${route.template} template)`);
+        return {
+            FileName: `${sir.familyMetadata.familyName || 'Generated Family'}.rfa`,
+            FamilyType: SIRPayload.FAMILY_TYPES.SIR,
+            Template: route.template,
+            SIRPayload: sirPayloadBuilder.build(sir, { units: options.units, originalPrompt: originalPrompt })
+        };
+    }
+
     try {
         // Extract family metadata
         const familyName = sir.familyMetadata.familyName || 'Generated Family';
@@ -1747,10 +2387,19 @@ function convertSIRToAPSParams(sir) {
             console.log('No frame material found in SIR, using Default');
         }
         
-        // Extract parameters
+        // Extract parameters, preferring dimensions stated in the prompt (values in feet)
         const familyParameters = sir.parameters.familyParameters || [];
-        const widthParam = familyParameters.find(p => p.name.toLowerCase().includes('width'))?.defaultValue || 200;
-        const heightParam = familyParameters.find(p => p.name.toLowerCase().includes('height'))?.defaultValue || 1100;
+        const dimensions = dimensionParser.extractDimensions(originalPrompt, { units: options.units });
+        const insetDimension = dimensions.inset || dimensions.depth;
+        const sillParam = familyParameters.find(p => p.name.toLowerCase().includes('sill'))?.defaultValue;
+        const insetParam = familyParameters.find(p => p.name.toLowerCase().includes('inset'))?.defaultValue;
+        
+        const widthParam = dimensions.width ? dimensions.width.valueFt :
+            (familyParameters.find(p => p.name.toLowerCase().includes('width'))?.defaultValue || 200);
+        const heightParam = dimensions.height ? dimensions.height.valueFt :
+            (familyParameters.find(p => p.name.toLowerCase().includes('height'))?.defaultValue || 1100);
+        const sillHeight = dimensions.sillHeight ? dimensions.sillHeight.valueFt : (typeof sillParam === 'number' ? sillParam : 3);
+        const inset = insetDimension ? insetDimension.valueFt : (typeof insetParam === 'number' ? insetParam : 0.05);
         
         // Map window type number to string name expected by Revit plugin
         let windowStyleName = "DoubleHungWindow"; // Default
@@ -1771,13 +2420,12 @@ function convertSIRToAPSParams(sir) {
                 GlassPaneMaterial: glassPaneMaterial,
                 SashMaterial: sashMaterial,
                 WindowFamilyName: `${familyName}.rfa`,  // Add WindowFamilyName field
-                Types: [{
-                    TypeName: 'Type 1',           // C# expects TypeName, not name
+                Types: windowTypesFromSIR(sir, originalPrompt, {
                     WindowWidth: widthParam,      // C# expects WindowWidth, not width
                     WindowHeight: heightParam,    // C# expects WindowHeight, not height
-                    WindowInset: 0.05,            // Required by C# plugin
-                    WindowSillHeight: 3           // Required by C# plugin
-                }]
+                    WindowInset: inset,           // Required by C# plugin
+                    WindowSillHeight: sillHeight  // Required by C# plugin
+                }, options)
             }
         };
         
@@ -1807,8 +2455,85 @@ function convertSIRToAPSParams(sir) {
     }
 }
 
+// Dry-run dimension names for each payload field of a window or door type
+const WINDOW_TYPE_DIMENSIONS = { width: 'WindowWidth', height: 'WindowHeight', sill: 'WindowSillHeight', inset: 'WindowInset' };
+const DOOR_TYPE_DIMENSIONS = { width: 'DoorWidth', height: 'DoorHeight', threshold: 'ThresholdHeight', hardware: 'HardwareHeight' };
+
+/**
+ * Describe the dimensions of each WindowParams or DoorParams type, in feet
+ * and millimeters, for the dry-run type table
+ * @param {Array<Object>} types - Payload Types
+ * @param {Object} fields - Dimension name to payload field
+ * @returns {Array<Object>} { name, feet, millimeters } per type
+ */
+function describeTypeDimensions(types, fields) {
+    const mmPerFt = 304.8;
+    return types.map(type => {
+        const feet = {};
+        const millimeters = {};
+        Object.keys(fields).forEach(name => {
+            feet[name] = type[fields[name]];
+            millimeters[name] = Math.round(type[fields[name]] * mmPerFt);
+        });
+        return { name: type.TypeName, feet: feet, millimeters: millimeters };
+    });
+}
+
+/**
+ * Build the WindowParams Types, one per SIR family type. A type's values
+ * come from its evaluated SIR parameters, then from the matching size in the
+ * prompt's size list ("600x900, 900x1200 mm"), then from the single-type values.
+ * @param {Object} sir - Window SIR
+ * @param {string} originalPrompt - Prompt the SIR was generated from
+ * @param {Object} single - { WindowWidth, WindowHeight, WindowSillHeight, WindowInset } in feet
+ * @param {Object} options - { units } session units for unitless prompt values
+ * @returns {Array<Object>} Types with the field names the plug-in expects
+ */
+function windowTypesFromSIR(sir, originalPrompt, single, options = {}) {
+    const familyTypes = sir.parameters?.familyTypes || [];
+    if (familyTypes.length < 2) {
+        return [Object.assign({ TypeName: familyTypes[0]?.name || 'Type 1' }, single)];
+    }
+
+    const familyParameters = sir.parameters.familyParameters || [];
+    const parameterName = (test) => familyParameters.find(p => test(p.name.toLowerCase()))?.name;
+    const names = {
+        WindowWidth: parameterName(name => name.includes('width')),
+        WindowHeight: parameterName(name => name.includes('height') && !name.includes('sill')),
+        WindowSillHeight: parameterName(name => name.includes('sill')),
+        WindowInset: parameterName(name => name.includes('inset') || name.includes('depth'))
+    };
+    const sizes = dimensionParser.extractSizeList(originalPrompt, { units: options.units });
+
+    return familyTypes.map((familyType, index) => {
+        const values = formulaEngine.evaluateSIR(sir, {}, familyType.name).values;
+        const size = sizes[index] || {};
+        const fromPrompt = { WindowWidth: size.width, WindowHeight: size.height };
+        const type = { TypeName: familyType.name };
+        Object.keys(names).forEach(key => {
+            const value = names[key] ? values[names[key]] : undefined;
+            type[key] = typeof value === 'number' && isFinite(value) ? value :
+                (fromPrompt[key] !== undefined ? fromPrompt[key] : single[key]);
+        });
+        return type;
+    });
+}
+
+/**
+ * The Door family template URL. Doors are never built from the window or
+ * generic template: the plug-in picks what to build from the template's
+ * category.
+ */
+function doorTemplateUrl() {
+    if (!designAutomation.family_templates.door) {
+        throw new Error('No Door family template configured. Set DESIGN_AUTOMATION_DOOR_TEMPLATE to a signed URL of a Door family template.');
+    }
+    return designAutomation.family_templates.door;
+}
+
 /**
- * Create family using simulated APS Design Automation for local downloads
+ * Create family using simulated APS Design Automation for local downloads.
+ * A real workitem is returned as `workitem` for the caller to record
  */
 async function createFamilyWithAPS(params, targetFolder, oauthToken) {
     try {
@@ -1820,7 +2545,7 @@ async function createFamilyWithAPS(params, targetFolder, oauthToken) {
             
             try {
                 // Import the APS implementation functions
-                const { createWindowFamilyLocal } = require('./common/da4revitImp');
+                const { createWindowFamilyLocal, createDoorFamilyLocal, createSIRFamilyLocal } = require('./common/da4revitImp');
                 const { designAutomation } = require('../config');
                 
                 // Get 2-legged OAuth token for Design Automation
@@ -1830,12 +2555,29 @@ async function createFamilyWithAPS(params, targetFolder, oauthToken) {
                 const oauth_token_2legged = await oauth_client.authenticate();
                 
                 // Create the family using real APS Design Automation with local storage
-                const familyCreatedRes = await createWindowFamilyLocal(
-                    designAutomation.revit_family_template,
-                    params.WindowParams,
-                    oauth_client,
-                    oauth_token_2legged
-                );
+                let familyCreatedRes;
+                if (params.FamilyType === SIRPayload.FAMILY_TYPES.SIR) {
+                    familyCreatedRes = await createSIRFamilyLocal(
+                        sirPayloadBuilder.templateUrl(designAutomation.family_templates, params.Template),
+                        params.SIRPayload,
+                        oauth_client,
+                        oauth_token_2legged
+                    );
+                } else if (params.FamilyType === SIRPayload.FAMILY_TYPES.DOOR) {
+                    familyCreatedRes = await createDoorFamilyLocal(
+                        doorTemplateUrl(),
+                        params.DoorParams,
+                        oauth_client,
+                        oauth_token_2legged
+                    );
+                } else {
+                    familyCreatedRes = await createWindowFamilyLocal(
+                        designAutomation.revit_family_template,
+                        params.WindowParams,
+                        oauth_client,
+                        oauth_token_2legged
+                    );
+                }
                 
                 if (!familyCreatedRes || familyCreatedRes.statusCode !== 200) {
                     throw new Error('Failed to create Revit family file');
@@ -1860,12 +2602,13 @@ async function createFamilyWithAPS(params, targetFolder, oauthToken) {
                 };
                 
                 console.log('Storing workitem data:', JSON.stringify(workitemData, null, 2));
-                workitemQueue.set(familyCreatedRes.body.id, workitemData);
+                await workitemQueue.set(familyCreatedRes.body.id, workitemData);
                 
                 return {
                     success: true,
                     workItemId: familyCreatedRes.body.id,
-                    workItemStatus: familyCreatedRes.body.status
+                    workItemStatus: familyCreatedRes.body.status,
+                    workitem: familyCreatedRes.body
                 };
                 
             } catch (error) {
@@ -1884,7 +2627,7 @@ async function createFamilyWithAPS(params, targetFolder, oauthToken) {
                 const workitemId = `aps_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
                 
                 // Store workitem data for tracking
-                workitemQueue.set(workitemId, {
+                await workitemQueue.set(workitemId, {
                     id: workitemId,
                     status: 'submitted',
                     createdAt: new Date(),
@@ -1910,7 +2653,7 @@ async function createFamilyWithAPS(params, targetFolder, oauthToken) {
         
         // Real APS workflow (for BIM 360 integration)
         // Import the APS implementation functions
-        const { createWindowFamily, getNewCreatedStorageInfo, createFirstVersion } = require('./common/da4revitImp');
+        const { createWindowFamily, createDoorFamily, createSIRFamily, getNewCreatedStorageInfo, createFirstVersion } = require('./common/da4revitImp');
         const { designAutomation } = require('../config');
         
         // Parse target folder URL to extract project and folder IDs
@@ -1985,6 +2728,34 @@ async function createFamilyWithAPS(params, targetFolder, oauthToken) {
                 oauthToken,
                 oauth_token_2legged
             );
+        } else if (params.FamilyType === SIRPayload.FAMILY_TYPES.DOOR) {
+            if (!params.DoorParams || !params.DoorParams.Types || params.DoorParams.Types.length === 0) {
+                throw new Error('Invalid door parameters');
+            }
+
+            familyCreatedRes = await createDoorFamily(
+                doorTemplateUrl(),
+                params.DoorParams,
+                storageInfo.StorageId,
+                destinateProjectId,
+                createFirstVersionBody,
+                oauthToken,
+                oauth_token_2legged
+            );
+        } else if (params.FamilyType === SIRPayload.FAMILY_TYPES.SIR) {
+            if (!params.SIRPayload || !params.SIRPayload.sir) {
+                throw new Error('Invalid SIR payload');
+            }
+
+            familyCreatedRes = await createSIRFamily(
+                sirPayloadBuilder.templateUrl(designAutomation.family_templates, params.Template),
+                params.SIRPayload,
+                storageInfo.StorageId,
+                destinateProjectId,
+                createFirstVersionBody,
+                oauthToken,
+                oauth_token_2legged
+            );
         } else {
             throw new Error('Unsupported family type');
         }
@@ -2178,8 +2949,8 @@ function getEstimatedTimeFromAPSStatus(status) {
 function calculateImprovementScore(previousQA, currentQA) {
     if (!previousQA || !currentQA) return 0;
     
-    const previousScore = this.calculateOverallScore(previousQA.validations);
-    const currentScore = this.calculateOverallScore(currentQA.validations);
+    const previousScore = calculateOverallScore(previousQA.validations);
+    const currentScore = calculateOverallScore(currentQA.validations);
     
     return currentScore - previousScore;
 }
@@ -2428,7 +3199,7 @@ router.get('/viewer/:workitemId', async (req, res) => {
         const { workitemId } = req.params;
         
         // Check if this is a real APS workitem
-        const workitemData = workitemQueue.get(workitemId);
+        const workitemData = await workitemQueue.fetch(workitemId);
         if (!workitemData || !workitemData.isRealAPS || !workitemData.viewerUrn) {
             return res.status(404).json({
                 error: 'Viewer not available for this workitem',
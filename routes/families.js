@@ -9,8 +9,12 @@ const express = require('express');
 const Family = require('../models/Family');
 const User = require('../models/User');
 const Session = require('../models/Session');
+const SIRSchema = require('../services/SIRSchema');
+const SIRDiff = require('../services/SIRDiff');
 
 const router = express.Router();
+const sirSchema = new SIRSchema();
+const sirDiff = new SIRDiff();
 
 /////////////////////////////////////////////////////////////////////
 // Middleware for authentication
@@ -142,7 +146,7 @@ router.get('/:id', async (req, res) => {
             });
         }
         
-        // Increment view count
+        // Increment view count (also persists a SIR migrated on load)
         await family.incrementViewCount();
         
         res.json({
@@ -180,10 +184,26 @@ router.post('/', async (req, res) => {
         
         // Check if user can create more families
         if (!req.user.canCreateFamily()) {
-            return res.status(403).json({
+            const resetsAt = req.user.getUsagePeriod().end;
+            res.set('Retry-After', String(Math.max(Math.ceil((resetsAt - Date.now()) / 1000), 1)));
+            return res.status(429).json({
                 success: false,
                 error: 'Monthly family creation limit reached',
-                details: `You have created ${req.user.subscription.currentUsage} out of ${req.user.subscription.monthlyLimit} families this month`
+                details: `You have created ${req.user.subscription.currentUsage} out of ${req.user.subscription.monthlyLimit} families this month`,
+                resetsAt: resetsAt.toISOString()
+            });
+        }
+        
+        // Upgrade and validate the SIR before it is stored
+        let currentSIR;
+        try {
+            currentSIR = sirSchema.normalize(sir);
+        } catch (validationError) {
+            return res.status(400).json({
+                success: false,
+                error: 'SIR does not conform to schema',
+                sirVersion: sirSchema.version,
+                validationErrors: validationError.errors || [{ path: 'sir', message: validationError.message }]
             });
         }
         
@@ -195,7 +215,7 @@ router.post('/', async (req, res) => {
             createdBy: userId,
             sessionId: sessionId,
             originalPrompt: originalPrompt,
-            sir: sir,
+            sir: currentSIR,
             generatedCode: generatedCode,
             qaValidation: qaValidation,
             status: 'draft'
@@ -348,13 +368,15 @@ router.put('/:id/status', async (req, res) => {
 });
 
 /**
- * Add refinement to family
+ * Refine a family: saves a new version with the refined SIR, linked to
+ * this one. Without a SIR the new version keeps this version's SIR
  * POST /api/families/:id/refinements
+ * Body: { prompt, changes, sir, generatedCode, qaValidation }
  */
 router.post('/:id/refinements', async (req, res) => {
     try {
         const { id } = req.params;
-        const { prompt, changes } = req.body;
+        const { prompt, changes, sir, generatedCode, qaValidation } = req.body;
         const userId = req.user._id;
         
         const family = await Family.findOne({
@@ -369,16 +391,43 @@ router.post('/:id/refinements', async (req, res) => {
             });
         }
         
-        await family.addRefinement(prompt, changes);
+        let refinedSIR = family.sir;
+        if (sir) {
+            try {
+                refinedSIR = sirSchema.normalize(sir);
+            } catch (validationError) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'SIR does not conform to schema',
+                    sirVersion: sirSchema.version,
+                    validationErrors: validationError.errors || [{ path: 'sir', message: validationError.message }]
+                });
+            }
+        }
         
-        res.json({
+        const diff = sirDiff.diff(family.sir, refinedSIR);
+        const version = await family.createVersion(refinedSIR, {
+            prompt: prompt,
+            changes: changes !== undefined ? changes : { summary: diff.summary, description: sirDiff.describe(diff) },
+            generatedCode: generatedCode,
+            qaValidation: qaValidation
+        });
+        
+        const session = await Session.findOne({ sessionId: version.sessionId });
+        if (session) {
+            await session.updateCurrentFamily(version._id);
+        }
+        
+        res.status(201).json({
             success: true,
-            message: 'Refinement added successfully',
+            message: 'Refinement saved as a new version',
             family: {
-                id: family._id,
-                version: family.version,
-                refinements: family.refinements
-            }
+                id: version._id,
+                version: version.version,
+                parentFamily: version.parentFamily,
+                refinements: version.refinements
+            },
+            diff: diff
         });
         
     } catch (error) {
@@ -391,6 +440,122 @@ router.post('/:id/refinements', async (req, res) => {
     }
 });
 
+/**
+ * Get the version history of a family, oldest first
+ * GET /api/families/:id/versions
+ */
+router.get('/:id/versions', async (req, res) => {
+    try {
+        const family = await findViewableFamily(req.params.id, req.user._id);
+        if (!family) {
+            return res.status(404).json({
+                success: false,
+                error: 'Family not found or access denied'
+            });
+        }
+        
+        const versions = (await Family.findVersions(family))
+            .filter(version => canView(version, req.user._id));
+        
+        res.json({
+            success: true,
+            familyId: family._id,
+            lineageId: family.getLineageId(),
+            currentVersion: family.version,
+            latestVersion: versions.length ? versions[versions.length - 1].version : family.version,
+            versions: versions.map(version => {
+                const refinement = version.parentFamily && version.refinements.length
+                    ? version.refinements[version.refinements.length - 1]
+                    : null;
+                return {
+                    id: version._id,
+                    version: version.version,
+                    parentFamily: version.parentFamily || null,
+                    name: version.name,
+                    status: version.status,
+                    refinement: refinement,
+                    qaScore: version.qaValidation ? version.qaValidation.overallScore : null,
+                    apsExecution: {
+                        workitemId: version.apsExecution.workitemId,
+                        status: version.apsExecution.status
+                    },
+                    createdAt: version.createdAt
+                };
+            })
+        });
+        
+    } catch (error) {
+        console.error('Get family versions error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to get family versions',
+            details: error.message
+        });
+    }
+});
+
+/**
+ * Compare the SIRs of two versions of a family: parameters, family
+ * types, geometry and materials added, removed or changed
+ * GET /api/families/:id/diff?from=<version>&to=<version>
+ * to defaults to this version, from to the version before to
+ */
+router.get('/:id/diff', async (req, res) => {
+    try {
+        const family = await findViewableFamily(req.params.id, req.user._id);
+        if (!family) {
+            return res.status(404).json({
+                success: false,
+                error: 'Family not found or access denied'
+            });
+        }
+        
+        const versions = (await Family.findVersions(family))
+            .filter(version => canView(version, req.user._id));
+        const find = number => versions.find(version => version.version === number);
+        
+        const to = req.query.to !== undefined ? find(Number(req.query.to)) : family;
+        if (!to) {
+            return res.status(404).json({
+                success: false,
+                error: `Version ${req.query.to} not found`
+            });
+        }
+        
+        let from;
+        if (req.query.from !== undefined) {
+            from = find(Number(req.query.from));
+        } else {
+            from = versions.find(version => to.parentFamily && version._id.equals(to.parentFamily)) ||
+                versions.filter(version => version.version < to.version).pop();
+        }
+        if (!from) {
+            return res.status(404).json({
+                success: false,
+                error: req.query.from !== undefined ? `Version ${req.query.from} not found` : `Version ${to.version} has no earlier version`
+            });
+        }
+        
+        const diff = sirDiff.diff(from.sir, to.sir);
+        
+        res.json({
+            success: true,
+            from: { id: from._id, version: from.version },
+            to: { id: to._id, version: to.version },
+            description: sirDiff.describe(diff),
+            diff: diff
+        });
+        
+    } catch (error) {
+        console.error('Diff family versions error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to compare family versions',
+            details: error.message
+        });
+    }
+});
+
 /**
  * Download family file
  * GET /api/families/:id/download
@@ -577,4 +742,28 @@ router.get('/search', async (req, res) => {
     }
 });
 
+/////////////////////////////////////////////////////////////////////
+// Helper Functions
+/////////////////////////////////////////////////////////////////////
+
+/**
+ * A family the user owns, or that is public or shared with them
+ */
+function findViewableFamily(id, userId) {
+    return Family.findOne({
+        _id: id,
+        $or: [
+            { createdBy: userId },
+            { 'privacy.isPublic': true },
+            { 'privacy.isShared': true, 'privacy.sharedWith.user': userId }
+        ]
+    });
+}
+
+function canView(family, userId) {
+    return family.createdBy.equals(userId) ||
+        family.privacy.isPublic ||
+        (family.privacy.isShared && family.privacy.sharedWith.some(share => share.user && share.user.equals(userId)));
+}
+
 module.exports = router;
@@ -0,0 +1,294 @@
+/////////////////////////////////////////////////////////////////////
+// Mock OpenID Connect Issuer Routes
+// Copyright (c) 2024 famAI Platform
+//
+// This module stands in for the Autodesk, Google and Microsoft sign-in
+// providers during development and tests (OAUTH_MOCK_ISSUER=true). Each
+// provider is an issuer under /mock-oidc/<provider> with discovery, an
+// authorize page that asks for any email, and token, userinfo and
+// revocation endpoints
+/////////////////////////////////////////////////////////////////////
+
+const crypto = require('crypto');
+const express = require('express');
+const { auth: authConfig, oauth: oauthConfig } = require('../config');
+const OIDCService = require('../services/OIDCService');
+
+const router = express.Router();
+router.use(express.urlencoded({ extended: false }));
+
+const CODE_TTL_MS = 60 * 1000;
+const ACCESS_TOKEN_TTL_SECONDS = 3600;
+
+// In-memory grants: authorization code -> grant, token -> identity
+const codes = new Map();
+const accessTokens = new Map();
+const refreshTokens = new Map();
+
+/////////////////////////////////////////////////////////////////////
+// Helper Functions
+/////////////////////////////////////////////////////////////////////
+
+function issuerUrl(provider) {
+    return `${authConfig.appUrl}/mock-oidc/${provider}`;
+}
+
+function escapeHtml(value) {
+    return String(value === undefined || value === null ? '' : value).replace(/[&<>"']/g, char => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    })[char]);
+}
+
+/**
+ * The same email always gets the same subject, like a real provider
+ */
+function subjectFor(provider, email) {
+    return crypto.createHash('sha256').update(`${provider}:${email}`).digest('hex').substr(0, 24);
+}
+
+/**
+ * An HS256 JWT signed with the client secret
+ */
+function signJwt(claims, secret) {
+    const header = Buffer.from(JSON.stringify({ alg: 'HS256', typ: 'JWT' })).toString('base64url');
+    const payload = Buffer.from(JSON.stringify(claims)).toString('base64url');
+    const signature = crypto.createHmac('sha256', secret).update(`${header}.${payload}`).digest('base64url');
+    return `${header}.${payload}.${signature}`;
+}
+
+/**
+ * Client credentials from HTTP Basic auth or the form body
+ */
+function getClientCredentials(req) {
+    const header = req.get('authorization') || '';
+    if (header.startsWith('Basic ')) {
+        const [id, secret] = Buffer.from(header.slice(6), 'base64').toString('utf8').split(':');
+        return { clientId: decodeURIComponent(id), clientSecret: decodeURIComponent(secret || '') };
+    }
+    return { clientId: req.body.client_id, clientSecret: req.body.client_secret };
+}
+
+function issueTokens(provider, grant) {
+    const accessToken = crypto.randomBytes(24).toString('hex');
+    const refreshToken = crypto.randomBytes(24).toString('hex');
+    const identity = { provider: provider, clientId: grant.clientId, email: grant.email, name: grant.name, scope: grant.scope };
+
+    accessTokens.set(accessToken, Object.assign({ expiresAt: Date.now() + ACCESS_TOKEN_TTL_SECONDS * 1000 }, identity));
+    refreshTokens.set(refreshToken, identity);
+    return { accessToken: accessToken, refreshToken: refreshToken };
+}
+
+function claimsFor(provider, identity) {
+    const [givenName, ...familyName] = String(identity.name || '').split(' ');
+    return {
+        sub: subjectFor(provider, identity.email),
+        email: identity.email,
+        email_verified: true,
+        name: identity.name,
+        given_name: givenName,
+        family_name: familyName.join(' ')
+    };
+}
+
+function tokenError(res, status, error, description) {
+    res.status(status).json({ error: error, error_description: description });
+}
+
+/////////////////////////////////////////////////////////////////////
+// Issuer Routes
+/////////////////////////////////////////////////////////////////////
+
+router.param('provider', (req, res, next, provider) => {
+    if (!oauthConfig.providers[provider]) {
+        return res.status(404).json({ error: 'not_found', error_description: `No mock issuer for ${provider}` });
+    }
+    next();
+});
+
+/**
+ * OpenID Connect discovery
+ * GET /mock-oidc/:provider/.well-known/openid-configuration
+ */
+router.get('/:provider/.well-known/openid-configuration', (req, res) => {
+    const issuer = issuerUrl(req.params.provider);
+    res.json({
+        issuer: issuer,
+        authorization_endpoint: `${issuer}/authorize`,
+        token_endpoint: `${issuer}/token`,
+        userinfo_endpoint: `${issuer}/userinfo`,
+        revocation_endpoint: `${issuer}/revoke`,
+        response_types_supported: ['code'],
+        grant_types_supported: ['authorization_code', 'refresh_token'],
+        subject_types_supported: ['public'],
+        id_token_signing_alg_values_supported: ['HS256'],
+        token_endpoint_auth_methods_supported: ['client_secret_basic', 'client_secret_post'],
+        code_challenge_methods_supported: ['S256'],
+        scopes_supported: ['openid', 'email', 'profile']
+    });
+});
+
+/**
+ * Sign-in page: any email signs in
+ * GET /mock-oidc/:provider/authorize
+ */
+router.get('/:provider/authorize', (req, res) => {
+    const { provider } = req.params;
+    const { response_type, client_id, redirect_uri, state } = req.query;
+
+    if (response_type !== 'code' || !client_id || !redirect_uri || !state) {
+        return res.status(400).send('response_type=code, client_id, redirect_uri and state are required');
+    }
+
+    const hidden = ['client_id', 'redirect_uri', 'state', 'nonce', 'scope', 'code_challenge', 'code_challenge_method']
+        .map(name => `<input type="hidden" name="${name}" value="${escapeHtml(req.query[name])}">`)
+        .join('\n');
+    const label = oauthConfig.providers[provider].label || provider;
+
+    res.send(`<!DOCTYPE html>
+<html>
+<head><title>Mock ${escapeHtml(label)} sign-in</title></head>
+<body style="font-family: sans-serif; max-width: 24rem; margin: 4rem auto;">
+    <h2>Mock ${escapeHtml(label)} sign-in</h2>
+    <p>Development issuer: sign in as anyone.</p>
+    <form method="post">
+        ${hidden}
+        <p><label>Email<br><input type="email" name="email" required value="${escapeHtml(req.query.login_hint || `${provider}.user@example.com`)}"></label></p>
+        <p><label>Name<br><input type="text" name="name" value="Mock ${escapeHtml(label)} User"></label></p>
+        <button type="submit">Sign in</button>
+    </form>
+</body>
+</html>`);
+});
+
+/**
+ * Issue an authorization code and redirect back to the client
+ * POST /mock-oidc/:provider/authorize
+ */
+router.post('/:provider/authorize', (req, res) => {
+    const { client_id, redirect_uri, state, nonce, scope, code_challenge, code_challenge_method, email, name } = req.body;
+
+    if (!client_id || !redirect_uri || !email) {
+        return res.status(400).send('client_id, redirect_uri and email are required');
+    }
+
+    const code = crypto.randomBytes(24).toString('hex');
+    codes.set(code, {
+        provider: req.params.provider,
+        clientId: client_id,
+        redirectUri: redirect_uri,
+        nonce: nonce,
+        scope: scope,
+        codeChallenge: code_challenge,
+        codeChallengeMethod: code_challenge_method,
+        email: String(email).toLowerCase(),
+        name: name,
+        expiresAt: Date.now() + CODE_TTL_MS
+    });
+
+    const url = new URL(redirect_uri);
+    url.searchParams.set('code', code);
+    url.searchParams.set('state', state);
+    res.redirect(url.toString());
+});
+
+/**
+ * Exchange a code or refresh token for tokens
+ * POST /mock-oidc/:provider/token
+ */
+router.post('/:provider/token', (req, res) => {
+    const { provider } = req.params;
+    const { clientId, clientSecret } = getClientCredentials(req);
+
+    if (!clientId || clientSecret !== OIDCService.MOCK_CLIENT_SECRET) {
+        return tokenError(res, 401, 'invalid_client', 'Unknown client or wrong secret');
+    }
+
+    if (req.body.grant_type === 'authorization_code') {
+        const grant = codes.get(req.body.code);
+        codes.delete(req.body.code); // Codes work once
+
+        if (!grant || grant.provider !== provider || grant.expiresAt < Date.now()) {
+            return tokenError(res, 400, 'invalid_grant', 'Authorization code is invalid or has expired');
+        }
+        if (grant.clientId !== clientId || grant.redirectUri !== req.body.redirect_uri) {
+            return tokenError(res, 400, 'invalid_grant', 'Code was issued to another client or redirect URI');
+        }
+        if (grant.codeChallenge) {
+            const challenge = crypto.createHash('sha256').update(String(req.body.code_verifier || '')).digest('base64url');
+            if (grant.codeChallengeMethod !== 'S256' || challenge !== grant.codeChallenge) {
+                return tokenError(res, 400, 'invalid_grant', 'PKCE code verifier does not match');
+            }
+        }
+
+        const tokens = issueTokens(provider, grant);
+        const now = Math.floor(Date.now() / 1000);
+        const idToken = signJwt(Object.assign(claimsFor(provider, grant), {
+            iss: issuerUrl(provider),
+            aud: clientId,
+            iat: now,
+            exp: now + ACCESS_TOKEN_TTL_SECONDS,
+            nonce: grant.nonce
+        }), clientSecret);
+
+        return res.json({
+            token_type: 'Bearer',
+            access_token: tokens.accessToken,
+            refresh_token: tokens.refreshToken,
+            expires_in: ACCESS_TOKEN_TTL_SECONDS,
+            id_token: idToken,
+            scope: grant.scope
+        });
+    }
+
+    if (req.body.grant_type === 'refresh_token') {
+        const grant = refreshTokens.get(req.body.refresh_token);
+        if (!grant || grant.provider !== provider || grant.clientId !== clientId) {
+            return tokenError(res, 400, 'invalid_grant', 'Refresh token is invalid or was revoked');
+        }
+
+        // Refresh tokens are rotated, like Autodesk's
+        refreshTokens.delete(req.body.refresh_token);
+        const tokens = issueTokens(provider, grant);
+        return res.json({
+            token_type: 'Bearer',
+            access_token: tokens.accessToken,
+            refresh_token: tokens.refreshToken,
+            expires_in: ACCESS_TOKEN_TTL_SECONDS,
+            scope: grant.scope
+        });
+    }
+
+    tokenError(res, 400, 'unsupported_grant_type', `Unsupported grant type: ${req.body.grant_type}`);
+});
+
+/**
+ * Revoke an access or refresh token
+ * POST /mock-oidc/:provider/revoke
+ */
+router.post('/:provider/revoke', (req, res) => {
+    const { clientId, clientSecret } = getClientCredentials(req);
+    if (!clientId || clientSecret !== OIDCService.MOCK_CLIENT_SECRET) {
+        return tokenError(res, 401, 'invalid_client', 'Unknown client or wrong secret');
+    }
+
+    // Unknown tokens are not an error (RFC 7009)
+    accessTokens.delete(req.body.token);
+    refreshTokens.delete(req.body.token);
+    res.status(200).end();
+});
+
+/**
+ * The signed-in user's claims
+ * GET /mock-oidc/:provider/userinfo
+ */
+router.get('/:provider/userinfo', (req, res) => {
+    const header = req.get('authorization') || '';
+    const identity = accessTokens.get(header.replace(/^Bearer /, ''));
+
+    if (!identity || identity.provider !== req.params.provider || identity.expiresAt < Date.now()) {
+        return res.status(401).json({ error: 'invalid_token', error_description: 'Access token is invalid or has expired' });
+    }
+    res.json(claimsFor(req.params.provider, identity));
+});
+
+module.exports = router;
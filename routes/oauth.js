@@ -20,6 +20,7 @@ const express = require('express');
 
 const config = require('../config');
 const { OAuth } = require('./common/oauth');
+const notifier = require('../services/socketNotifier');
 
 let router = express.Router();
 
@@ -28,6 +29,8 @@ router.get('/callback/oauth', async (req, res, next) => {
     const oauth = new OAuth(req.session);
     try {
         await oauth.setCode(code);
+        // Lets the browser follow its workitems without a famAI account
+        notifier.ensureApsSessionId(req.session);
         res.redirect('/');
     } catch(err) {
         next(err);
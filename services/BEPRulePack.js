@@ -0,0 +1,522 @@
+/////////////////////////////////////////////////////////////////////
+// BIM-LLM Blueprint: BIM Execution Plan Rule Packs
+// Copyright (c) 2024 BIM-LLM Platform
+//
+// This module loads an organisation's BIM Execution Plan rule pack
+// (JSON or YAML) and scores a SIR against it: required parameters
+// per category, naming conventions, allowed materials, mandatory
+// shared-parameter GUIDs and LOD requirements
+/////////////////////////////////////////////////////////////////////
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { bep: bepConfig = {} } = require('../config');
+
+const RULE_SECTIONS = ['naming', 'requiredParameters', 'materials', 'sharedParameters', 'lod'];
+const NAMING_TARGETS = ['family', 'parameter', 'type', 'material'];
+const SEVERITIES = ['issue', 'warning'];
+const FILE_EXTENSIONS = ['.yaml', '.yml', '.json'];
+
+// Score deducted for each violation when the rule does not set a weight
+const DEFAULT_WEIGHTS = { issue: 10, warning: 5 };
+
+// Organisation IDs are used as file names
+const ORGANIZATION_PATTERN = /^[a-z0-9][a-z0-9_-]{0,99}$/i;
+
+// Parsed packs by file path, reloaded when the file changes
+const cache = new Map();
+
+class BEPRulePack {
+    /**
+     * @param {Object} definition - Parsed rule pack
+     * @param {string} source - Where the pack came from, for error messages
+     * @throws {Error} With an errors array when the pack is invalid
+     */
+    constructor(definition, source = null) {
+        const errors = validateDefinition(definition);
+        if (errors.length > 0) {
+            const error = new Error(`Invalid BEP rule pack${source ? ` ${source}` : ''}: ${errors.join('; ')}`);
+            error.errors = errors;
+            throw error;
+        }
+
+        this.id = String(definition.id);
+        this.name = definition.name || this.id;
+        this.version = definition.version !== undefined ? String(definition.version) : undefined;
+        this.organization = definition.organization;
+        this.orgCode = definition.orgCode || '';
+        this.categoryCodes = definition.categoryCodes || {};
+        this.source = source;
+        this.rules = {};
+        RULE_SECTIONS.forEach(section => {
+            this.rules[section] = (definition.rules[section] || []).map(rule => ({
+                severity: 'issue',
+                category: '*',
+                ...rule,
+                id: String(rule.id)
+            }));
+        });
+    }
+
+    /**
+     * Parse a rule pack from JSON or YAML text
+     * @param {string} text - Rule pack contents
+     * @param {string} format - 'json' or 'yaml'
+     * @param {string} source - Where the pack came from, for error messages
+     */
+    static parse(text, format = 'yaml', source = null) {
+        let definition;
+        try {
+            definition = format === 'json' ? JSON.parse(text) : yaml.load(text);
+        } catch (error) {
+            throw new Error(`Failed to parse BEP rule pack${source ? ` ${source}` : ''}: ${error.message}`);
+        }
+        return new BEPRulePack(definition, source);
+    }
+
+    /**
+     * Load an organisation's rule pack from the rule pack directory
+     * (<organization>.yaml, .yml or .json), falling back to the
+     * default organisation's pack
+     * @param {string} organization - Organisation ID
+     * @param {Object} options - { dir, defaultOrganization }
+     * @returns {BEPRulePack|null} The pack, or null if there is none
+     */
+    static load(organization, options = {}) {
+        const dir = options.dir || bepConfig.rulesDir;
+        const fallback = options.defaultOrganization !== undefined ? options.defaultOrganization : bepConfig.defaultOrganization;
+        const candidates = [organization, fallback].filter(Boolean);
+
+        for (const candidate of candidates) {
+            if (!ORGANIZATION_PATTERN.test(candidate)) {
+                throw new Error(`Invalid organisation ID "${candidate}"`);
+            }
+            const file = findPackFile(dir, candidate);
+            if (file) {
+                return loadFile(file);
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Score a SIR against the pack
+     * @param {Object} sir - Structured Intermediate Representation
+     * @returns {Object} { pass, issues, warnings, scoreDeduction, violations, fixes }
+     */
+    validate(sir) {
+        const violations = [];
+        const context = new SIRContext(sir);
+
+        this.rules.naming.filter(rule => this.appliesTo(rule, context)).forEach(rule => {
+            violations.push(...this.checkNaming(rule, context));
+        });
+        this.rules.requiredParameters.filter(rule => this.appliesTo(rule, context)).forEach(rule => {
+            violations.push(...this.checkRequiredParameters(rule, rule.parameters, context));
+        });
+        this.rules.materials.filter(rule => this.appliesTo(rule, context)).forEach(rule => {
+            violations.push(...this.checkMaterials(rule, context));
+        });
+        this.rules.sharedParameters.filter(rule => this.appliesTo(rule, context)).forEach(rule => {
+            violations.push(...this.checkSharedParameters(rule, context));
+        });
+        this.rules.lod.filter(rule => this.appliesTo(rule, context)).forEach(rule => {
+            violations.push(...this.checkLod(rule, context));
+        });
+
+        const results = { pass: true, issues: [], warnings: [], scoreDeduction: 0, violations: violations, fixes: [] };
+        violations.forEach(violation => {
+            const text = `[${violation.ruleId}] ${violation.message}`;
+            if (violation.patch) {
+                results.fixes.push({
+                    id: `${violation.ruleId}:${violation.path}`,
+                    description: `${violation.ruleId}: ${violation.message}`,
+                    patch: violation.patch
+                });
+            }
+            if (violation.severity === 'issue') {
+                results.issues.push(text);
+                results.pass = false;
+            } else {
+                results.warnings.push(text);
+            }
+            results.scoreDeduction += violation.weight;
+        });
+
+        return results;
+    }
+
+    /**
+     * Summary of the pack for the API
+     */
+    describe() {
+        const counts = {};
+        RULE_SECTIONS.forEach(section => {
+            counts[section] = this.rules[section].length;
+        });
+        return {
+            id: this.id,
+            name: this.name,
+            version: this.version,
+            organization: this.organization,
+            source: this.source ? path.basename(this.source) : null,
+            ruleCounts: counts,
+            rules: this.rules
+        };
+    }
+
+    appliesTo(rule, context) {
+        const categories = [].concat(rule.category);
+        return categories.includes('*') || categories.includes(context.category);
+    }
+
+    checkNaming(rule, context) {
+        const pattern = this.namingPattern(rule, context);
+        const targets = [].concat(rule.appliesTo || 'family');
+        const violations = [];
+
+        targets.forEach(target => {
+            context.names(target).forEach(({ name, path: location }) => {
+                if (!pattern.test(name)) {
+                    violations.push(this.violation(rule, location,
+                        `${capitalize(target)} name "${name}" does not match ${rule.convention || rule.pattern}`));
+                }
+            });
+        });
+
+        return violations;
+    }
+
+    /**
+     * Build a naming rule's regular expression. {org} and {category}
+     * stand for the pack's orgCode and the category's code.
+     */
+    namingPattern(rule, context) {
+        const categoryCode = this.categoryCodes[context.category] || String(context.category || '').replace(/\s+/g, '');
+        const source = rule.pattern
+            .replace(/\{org\}/g, escapeRegExp(this.orgCode))
+            .replace(/\{category\}/g, escapeRegExp(categoryCode));
+        return new RegExp(source);
+    }
+
+    checkRequiredParameters(rule, parameters, context) {
+        return [].concat(parameters || [])
+            .filter(name => !context.hasParameter(name))
+            .map(name => this.violation(rule, 'sir.parameters.familyParameters',
+                `Required parameter "${name}" is missing for ${context.category}`));
+    }
+
+    checkMaterials(rule, context) {
+        const allowed = [].concat(rule.allowed || []).map(wildcard);
+        return context.materialNames()
+            .filter(({ name }) => !allowed.some(pattern => pattern.test(name)))
+            .map(({ name, path: location }) => this.violation(rule, location,
+                `Material "${name}" is not in the allowed materials (${[].concat(rule.allowed || []).join(', ')})`));
+    }
+
+    checkSharedParameters(rule, context) {
+        const violations = [];
+
+        [].concat(rule.parameters || []).forEach(required => {
+            const guid = String(required.guid || '').toLowerCase();
+            const byGuid = context.sharedParameters.find(shared => String(shared.guid || '').toLowerCase() === guid);
+            const byName = context.sharedParameters.find(shared => shared.name === required.name);
+
+            if (byGuid && required.name && byGuid.name && byGuid.name !== required.name) {
+                violations.push(this.violation(rule, 'sir.parameters.sharedParameters',
+                    `Shared parameter ${required.guid} must be named "${required.name}", not "${byGuid.name}"`));
+            } else if (!byGuid && byName) {
+                violations.push(this.violation(rule, 'sir.parameters.sharedParameters',
+                    `Shared parameter "${required.name}" has GUID ${byName.guid || '(none)'}, expected ${required.guid}`));
+            } else if (!byGuid) {
+                violations.push(this.violation(rule, 'sir.parameters.sharedParameters',
+                    `Mandatory shared parameter ${required.name ? `"${required.name}" ` : ''}(${required.guid}) is missing`));
+            }
+        });
+
+        return violations;
+    }
+
+    checkLod(rule, context) {
+        const violations = [];
+        const lod = context.lodLevel;
+
+        if (rule.minimum !== undefined && !(lod >= rule.minimum)) {
+            violations.push(this.violation(rule, 'sir.familyMetadata.lodLevel',
+                `LOD ${lod} is below the required minimum of LOD ${rule.minimum}`,
+                lodFix(lod, rule.minimum)));
+        }
+        if (rule.maximum !== undefined && !(lod <= rule.maximum)) {
+            violations.push(this.violation(rule, 'sir.familyMetadata.lodLevel',
+                `LOD ${lod} is above the allowed maximum of LOD ${rule.maximum}`,
+                lodFix(lod, rule.maximum)));
+        }
+
+        // Requirements that apply from a given LOD upwards
+        if (rule.level === undefined || lod >= rule.level) {
+            violations.push(...this.checkRequiredParameters(rule, rule.requiredParameters, context));
+            if (rule.minExtrusions !== undefined && context.extrusionCount < rule.minExtrusions) {
+                violations.push(this.violation(rule, 'sir.geometryDefinition.extrusions',
+                    `LOD ${lod} requires at least ${rule.minExtrusions} extrusions, found ${context.extrusionCount}`));
+            }
+        }
+
+        return violations;
+    }
+
+    /**
+     * @param {Object} rule - Rule that was violated
+     * @param {string} location - SIR path of the violation
+     * @param {string} message - Violation message
+     * @param {Array} patch - JSON Patch that fixes the violation, if there is one
+     */
+    violation(rule, location, message, patch) {
+        const violation = {
+            ruleId: rule.id,
+            severity: rule.severity,
+            weight: rule.weight !== undefined ? rule.weight : DEFAULT_WEIGHTS[rule.severity],
+            path: location,
+            message: rule.description ? `${message} (${rule.description})` : message
+        };
+        if (patch) {
+            violation.patch = patch;
+        }
+        return violation;
+    }
+}
+
+/**
+ * Read-only view of the parts of a SIR that BEP rules check
+ */
+class SIRContext {
+    constructor(sir) {
+        const metadata = sir.familyMetadata || {};
+        const parameters = sir.parameters || {};
+
+        this.sir = sir;
+        this.category = metadata.category;
+        this.lodLevel = metadata.lodLevel;
+        this.familyParameters = parameters.familyParameters || [];
+        this.sharedParameters = (parameters.sharedParameters || []).filter(shared => shared && typeof shared === 'object');
+        this.familyTypes = parameters.familyTypes || [];
+        this.extrusionCount = ((sir.geometryDefinition && sir.geometryDefinition.extrusions) || []).length;
+    }
+
+    hasParameter(name) {
+        return this.familyParameters.some(param => param.name === name) ||
+            this.sharedParameters.some(shared => shared.name === name);
+    }
+
+    names(target) {
+        switch (target) {
+            case 'family':
+                return [{ name: (this.sir.familyMetadata || {}).familyName || '', path: 'sir.familyMetadata.familyName' }];
+            case 'parameter':
+                return this.familyParameters.map((param, index) => ({
+                    name: param.name,
+                    path: `sir.parameters.familyParameters[${index}].name`
+                }));
+            case 'type':
+                return this.familyTypes.map((type, index) => ({
+                    name: type.name,
+                    path: `sir.parameters.familyTypes[${index}].name`
+                }));
+            case 'material':
+                return this.materialNames();
+        }
+        return [];
+    }
+
+    /**
+     * Every material the SIR uses, with where it is used
+     */
+    materialNames() {
+        const seen = new Set();
+        const names = [];
+        const add = (name, location) => {
+            if (typeof name === 'string' && name !== '' && !seen.has(name)) {
+                seen.add(name);
+                names.push({ name: name, path: location });
+            }
+        };
+
+        (this.sir.materials || []).forEach((material, index) => add(material && material.name, `sir.materials[${index}].name`));
+        ((this.sir.geometryDefinition && this.sir.geometryDefinition.extrusions) || []).forEach((extrusion, index) => {
+            add(extrusion && extrusion.material, `sir.geometryDefinition.extrusions[${index}].material`);
+        });
+        this.familyParameters.forEach((param, index) => {
+            if (param.type === 'Material') {
+                add(param.defaultValue, `sir.parameters.familyParameters[${index}].defaultValue`);
+            }
+        });
+
+        return names;
+    }
+}
+
+/**
+ * Check a parsed rule pack's structure
+ * @returns {Array<string>} Errors
+ */
+function validateDefinition(definition) {
+    const errors = [];
+    if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+        return ['rule pack must be an object'];
+    }
+    if (!definition.id) {
+        errors.push('id is required');
+    }
+    if (!definition.rules || typeof definition.rules !== 'object') {
+        errors.push('rules is required');
+        return errors;
+    }
+
+    Object.keys(definition.rules).forEach(section => {
+        if (!RULE_SECTIONS.includes(section)) {
+            errors.push(`rules.${section} is not a known section (${RULE_SECTIONS.join(', ')})`);
+        }
+    });
+
+    const ids = new Set();
+    RULE_SECTIONS.forEach(section => {
+        const rules = definition.rules[section];
+        if (rules === undefined) {
+            return;
+        }
+        if (!Array.isArray(rules)) {
+            errors.push(`rules.${section} must be a list`);
+            return;
+        }
+
+        rules.forEach((rule, index) => {
+            const where = `rules.${section}[${index}]`;
+            if (!rule || typeof rule !== 'object') {
+                errors.push(`${where} must be an object`);
+                return;
+            }
+            if (!rule.id) {
+                errors.push(`${where}.id is required`);
+            } else if (ids.has(String(rule.id))) {
+                errors.push(`${where}.id "${rule.id}" is used by another rule`);
+            } else {
+                ids.add(String(rule.id));
+            }
+            if (rule.severity !== undefined && !SEVERITIES.includes(rule.severity)) {
+                errors.push(`${where}.severity must be one of ${SEVERITIES.join(', ')}`);
+            }
+            if (rule.weight !== undefined && typeof rule.weight !== 'number') {
+                errors.push(`${where}.weight must be a number`);
+            }
+            errors.push(...validateRule(section, rule, where));
+        });
+    });
+
+    return errors;
+}
+
+function validateRule(section, rule, where) {
+    const errors = [];
+
+    switch (section) {
+        case 'naming':
+            if (typeof rule.pattern !== 'string') {
+                errors.push(`${where}.pattern is required`);
+            } else {
+                try {
+                    new RegExp(rule.pattern.replace(/\{(org|category)\}/g, 'X'));
+                } catch (error) {
+                    errors.push(`${where}.pattern is not a valid regular expression: ${error.message}`);
+                }
+            }
+            [].concat(rule.appliesTo || 'family').forEach(target => {
+                if (!NAMING_TARGETS.includes(target)) {
+                    errors.push(`${where}.appliesTo must be one of ${NAMING_TARGETS.join(', ')}`);
+                }
+            });
+            break;
+        case 'requiredParameters':
+            if (!Array.isArray(rule.parameters) || rule.parameters.length === 0) {
+                errors.push(`${where}.parameters must be a non-empty list`);
+            }
+            break;
+        case 'materials':
+            if (!Array.isArray(rule.allowed)) {
+                errors.push(`${where}.allowed must be a list`);
+            }
+            break;
+        case 'sharedParameters':
+            if (!Array.isArray(rule.parameters) || rule.parameters.some(param => !param || !param.guid)) {
+                errors.push(`${where}.parameters must be a list of { name, guid }`);
+            }
+            break;
+        case 'lod':
+            ['minimum', 'maximum', 'level', 'minExtrusions'].forEach(field => {
+                if (rule[field] !== undefined && typeof rule[field] !== 'number') {
+                    errors.push(`${where}.${field} must be a number`);
+                }
+            });
+            break;
+    }
+
+    return errors;
+}
+
+function findPackFile(dir, organization) {
+    if (!dir) {
+        return null;
+    }
+    for (const extension of FILE_EXTENSIONS) {
+        const file = path.join(dir, organization + extension);
+        if (fs.existsSync(file)) {
+            return file;
+        }
+    }
+    return null;
+}
+
+function loadFile(file) {
+    const stat = fs.statSync(file);
+    const cached = cache.get(file);
+    if (cached && cached.mtimeMs === stat.mtimeMs) {
+        return cached.pack;
+    }
+
+    const format = path.extname(file) === '.json' ? 'json' : 'yaml';
+    const pack = BEPRulePack.parse(fs.readFileSync(file, 'utf8'), format, file);
+    cache.set(file, { mtimeMs: stat.mtimeMs, pack: pack });
+    return pack;
+}
+
+/**
+ * JSON Patch that changes the family's LOD
+ */
+function lodFix(current, level) {
+    if (current === undefined) {
+        return [{ op: 'add', path: '/familyMetadata/lodLevel', value: level }];
+    }
+    return [
+        { op: 'test', path: '/familyMetadata/lodLevel', value: current },
+        { op: 'replace', path: '/familyMetadata/lodLevel', value: level }
+    ];
+}
+
+/**
+ * Turn a material name with * wildcards into a regular expression
+ */
+function wildcard(pattern) {
+    return new RegExp(`^${String(pattern).split('*').map(escapeRegExp).join('.*')}$`, 'i');
+}
+
+function escapeRegExp(text) {
+    return String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function capitalize(text) {
+    return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+BEPRulePack.RULE_SECTIONS = RULE_SECTIONS;
+
+module.exports = BEPRulePack;
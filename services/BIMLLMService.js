@@ -1,161 +1,352 @@
 /////////////////////////////////////////////////////////////////////
-// BIM-LLM Blueprint: Gemini API Integration Module
+// BIM-LLM Blueprint: LLM Integration Module
 // Copyright (c) 2024 BIM-LLM Platform
 //
-// This module handles integration with Google's Gemini API for
-// natural language to structured BIM content generation
+// This module handles natural language to structured BIM content
+// generation through the pluggable LLM providers in ./llm
 /////////////////////////////////////////////////////////////////////
 
-const { GoogleGenerativeAI } = require('@google/generative-ai');
 const config = require('../config');
+const SIRSchema = require('./SIRSchema');
+const DimensionParser = require('./DimensionParser');
+const CategoryRules = require('./CategoryRules');
+const DoorParams = require('./DoorParams');
+const LLMProviderRegistry = require('./llm/LLMProviderRegistry');
+
+const { LLMProviderError } = require('./llm/LLMProvider');
+
+// HTTP status the routes answer a failed generation's errorCode with
+const ERROR_STATUS = {
+    unknown_model: 400,
+    sir_repair_failed: 422,
+    not_configured: 503
+};
+
+// Shared by the generation and repair prompts
+const FAMILY_TYPES_INSTRUCTIONS = `FAMILY TYPES:
+Every family has at least one entry in parameters.familyTypes. When the user lists several sizes or
+named variants (e.g. "standard sizes 600x900, 900x1200"), create one familyType per size with a unique
+name and its own values for the size parameters; parameters not listed keep their defaults.`;
+
+class SIRRepairError extends Error {
+    /**
+     * @param {string} message - Error description
+     * @param {Object} details - { errors, attempts, usage }
+     */
+    constructor(message, details = {}) {
+        super(message);
+        this.name = 'SIRRepairError';
+        this.code = 'sir_repair_failed';
+        this.errors = details.errors || [];
+        this.attempts = details.attempts || [];
+        this.usage = details.usage;
+    }
+}
 
 class BIMLLMService {
     constructor() {
-        this.demoMode = !!config.demoMode || !process.env.GEMINI_API_KEY;
-        this.apiKey = process.env.GEMINI_API_KEY;
-
-        if (!this.demoMode) {
-            this.genAI = new GoogleGenerativeAI(this.apiKey);
-            this.model = this.genAI.getGenerativeModel({ 
-            model: "gemini-2.5-flash",
-            generationConfig: {
-                temperature: 0.1, // Low temperature for deterministic output
-                topK: 1,
-                topP: 0.8,
-                maxOutputTokens: 8192,
-            },
-            safetySettings: [
-                {
-                    category: "HARM_CATEGORY_HARASSMENT",
-                    threshold: "BLOCK_MEDIUM_AND_ABOVE"
-                },
-                {
-                    category: "HARM_CATEGORY_HATE_SPEECH", 
-                    threshold: "BLOCK_MEDIUM_AND_ABOVE"
-                }
-            ]
-            });
-        }
+        this.demoMode = !!config.demoMode;
+        this.maxRepairAttempts = config.llm.maxRepairAttempts;
+        
+        // Providers are resolved per call from the session's settings.aiModel
+        this.providers = new LLMProviderRegistry({
+            fixture: { respond: prompt => this.generateFixtureResponse(prompt) }
+        });
         
+        this.sirSchema = new SIRSchema();
+        this.dimensionParser = new DimensionParser();
+        this.categoryRules = new CategoryRules();
+        this.doorParams = new DoorParams({ categoryRules: this.categoryRules, dimensionParser: this.dimensionParser });
+
         // Conversation context management
         this.conversationHistory = new Map();
         this.contextVariables = new Map();
     }
 
+    /**
+     * Get the provider for a session's aiModel setting
+     * @param {string} aiModel - Session.settings.aiModel (defaults to config.llm.defaultModel)
+     * @returns {LLMProvider}
+     */
+    getProvider(aiModel) {
+        return this.providers.resolve(aiModel);
+    }
+
+    /**
+     * Get the provider for a session's aiModel setting, ready to call
+     * @throws {LLMProviderError} unknown_model for a model no provider serves,
+     *   not_configured when its provider lacks credentials or an endpoint
+     */
+    getConfiguredProvider(aiModel) {
+        const provider = this.getProvider(aiModel);
+        if (!provider.isConfigured()) {
+            throw new LLMProviderError(`The ${provider.name} provider for model "${provider.model}" is not configured`, {
+                provider: provider.name,
+                model: provider.model,
+                code: 'not_configured'
+            });
+        }
+        return provider;
+    }
+
+    /**
+     * Whether requests are served by the demo generator (DEMO_MODE)
+     */
+    shouldUseDemo() {
+        return this.demoMode;
+    }
+
     /**
      * Generate Structured Intermediate Representation (SIR) from natural language
      * @param {string} userPrompt - Natural language description of desired BIM content
      * @param {string} sessionId - Unique session identifier for context management
      * @param {Object} previousContext - Previous conversation context
-     * @returns {Promise<Object>} Structured Intermediate Representation
+     * @param {Object} options - { units, aiModel } from the session settings, plus
+     *                           onProgress(event) to follow the generation as it streams
+     * @returns {Promise<Object>} Structured Intermediate Representation with token usage
      */
-    async generateSIR(userPrompt, sessionId, previousContext = {}) {
+    async generateSIR(userPrompt, sessionId, previousContext = {}, options = {}) {
+        if (this.shouldUseDemo()) {
+            return this.generateDemoSIR(userPrompt, sessionId, options);
+        }
+        
         try {
-            if (this.demoMode) {
-                return this.generateDemoSIR(userPrompt, sessionId);
-            }
+            const provider = this.getConfiguredProvider(options.aiModel);
+            
             // Build context-aware prompt
             const systemPrompt = this.buildSystemPrompt(previousContext);
-            const fullPrompt = `${systemPrompt}\n\nUser Request: ${userPrompt}`;
-            
-            // Generate content using Gemini
-            const result = await this.model.generateContent(fullPrompt);
-            const response = await result.response;
-            const text = response.text();
-            
-            // Parse JSON response
-            const sir = this.parseSIRResponse(text);
+            const dimensionHints = this.buildDimensionHints(userPrompt, options);
+            const fullPrompt = `${systemPrompt}${dimensionHints}\n\nUser Request: ${userPrompt}`;
             
-            // Validate SIR structure
-            this.validateSIR(sir);
+            // Generate, parse and validate, feeding errors back to the model
+            const result = await this.generateValidSIR(provider, fullPrompt, { onProgress: options.onProgress });
             
             // Store in conversation history
-            this.updateConversationContext(sessionId, userPrompt, sir);
+            this.updateConversationContext(sessionId, userPrompt, result.sir);
             
             return {
                 success: true,
-                sir: sir,
+                sir: result.sir,
                 sessionId: sessionId,
+                provider: provider.name,
+                model: provider.model,
+                usage: result.usage,
+                attempts: result.attempts,
                 timestamp: new Date().toISOString()
             };
             
         } catch (error) {
             console.error('BIM-LLM SIR Generation Error:', error);
-            
-            // Fallback to demo mode on any error
-            console.log('BIMLLMService: Falling back to demo mode');
-            return this.generateDemoSIR(userPrompt, sessionId);
+            return this.buildFailureResult(error, { sessionId: sessionId });
         }
     }
 
     /**
-     * Generate demo SIR for unauthenticated users or API failures
+     * Request a SIR from the provider, and when the response is not valid JSON
+     * or does not conform to the SIR schema, send the exact errors back to the
+     * model for a corrected SIR, up to maxRepairAttempts times
+     * @param {LLMProvider} provider - Provider to call
+     * @param {string} prompt - Full generation prompt
+     * @param {Object} options - { onProgress(event) } receives llm_request, llm_token,
+     *                           sir_parsed and sir_invalid events; the response is
+     *                           streamed from the provider when it is set
+     * @returns {Promise<Object>} { sir, attempts, usage }
+     * @throws {SIRRepairError} when no attempt produced a valid SIR
      */
-    generateDemoSIR(userPrompt, sessionId) {
-        const lowerPrompt = userPrompt.toLowerCase();
+    async generateValidSIR(provider, prompt, options = {}) {
+        const usage = { promptTokens: 0, completionTokens: 0, totalTokens: 0 };
+        const attempts = [];
+        const maxAttempts = 1 + Math.max(0, this.maxRepairAttempts);
+        let currentPrompt = prompt;
+        let errors = [];
         
-        // Extract dimensions from prompt with unit detection
-        let width = 2.0, height = 4.0;  // Default in feet (Revit's internal units)
+        // A failing listener must not fail the generation
+        const report = (event) => {
+            if (!options.onProgress) return;
+            try {
+                options.onProgress(event);
+            } catch (error) {
+                console.warn('BIMLLMService: progress listener failed:', error.message);
+            }
+        };
         
-        // More specific regex patterns that look for number immediately adjacent to keywords
-        // Pattern: number + unit + (0-3 words) + keyword OR keyword + (0-3 words) + number + unit
-        const widthMmMatch = lowerPrompt.match(/(\d+)\s*mm\s+(?:\w+\s+){0,2}wide|(\d+)\s*mm\s+(?:\w+\s+){0,2}width|wide\s+(?:\w+\s+){0,2}(\d+)\s*mm|width\s+(?:\w+\s+){0,2}(\d+)\s*mm/);
-        const heightMmMatch = lowerPrompt.match(/(\d+)\s*mm\s+(?:\w+\s+){0,2}high|(\d+)\s*mm\s+(?:\w+\s+){0,2}height|high\s+(?:\w+\s+){0,2}(\d+)\s*mm|height\s+(?:\w+\s+){0,2}(\d+)\s*mm/);
+        for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+            report({
+                type: 'llm_request',
+                attempt: attempt,
+                maxAttempts: maxAttempts,
+                isRepair: attempt > 1,
+                provider: provider.name,
+                model: provider.model
+            });
+            
+            let receivedChars = 0;
+            const generateOptions = options.onProgress ? {
+                onToken: (text) => {
+                    receivedChars += text.length;
+                    report({ type: 'llm_token', attempt: attempt, text: text, receivedChars: receivedChars });
+                }
+            } : {};
+            
+            let generation;
+            try {
+                generation = await provider.generate(currentPrompt, generateOptions);
+            } catch (error) {
+                // Provider failures (timeouts, HTTP errors) are not repairable
+                error.attempts = attempts;
+                error.usage = usage;
+                throw error;
+            }
+            this.addUsage(usage, generation.usage);
+            
+            const record = {
+                attempt: attempt,
+                isRepair: attempt > 1,
+                provider: generation.provider,
+                model: generation.model,
+                usage: generation.usage,
+                timestamp: new Date().toISOString()
+            };
+            
+            try {
+                // Parse JSON response and upgrade it to the current SIR version
+                const sir = this.sirSchema.migrate(this.parseSIRResponse(generation.text)).sir;
+                this.validateSIR(sir);
+                
+                attempts.push({ ...record, status: 'valid' });
+                report({ type: 'sir_parsed', attempt: attempt, familyName: sir.familyMetadata.familyName });
+                return { sir: sir, attempts: attempts, usage: usage };
+            } catch (error) {
+                errors = error.errors || [{ path: 'response', message: error.message }];
+                attempts.push({
+                    ...record,
+                    status: error.errors ? 'schema_invalid' : 'parse_failed',
+                    errors: errors,
+                    responseExcerpt: String(generation.text || '').slice(0, 500)
+                });
+                console.warn(`BIMLLMService: SIR attempt ${attempt}/${maxAttempts} failed with ${errors.length} error(s)`);
+                report({
+                    type: 'sir_invalid',
+                    attempt: attempt,
+                    status: attempts[attempts.length - 1].status,
+                    errors: errors
+                });
+                
+                currentPrompt = this.buildRepairPrompt(prompt, generation.text, errors);
+            }
+        }
         
-        // For feet - similar pattern
-        const widthFtMatch = lowerPrompt.match(/(\d+(?:\.\d+)?)\s*(?:ft|foot|feet|')\s+(?:\w+\s+){0,2}wide|(\d+(?:\.\d+)?)\s*(?:ft|foot|feet|')\s+(?:\w+\s+){0,2}width|wide\s+(?:\w+\s+){0,2}(\d+(?:\.\d+)?)\s*(?:ft|foot|feet|')|width\s+(?:\w+\s+){0,2}(\d+(?:\.\d+)?)\s*(?:ft|foot|feet|')/);
-        const heightFtMatch = lowerPrompt.match(/(\d+(?:\.\d+)?)\s*(?:ft|foot|feet|')\s+(?:\w+\s+){0,2}high|(\d+(?:\.\d+)?)\s*(?:ft|foot|feet|')\s+(?:\w+\s+){0,2}height|high\s+(?:\w+\s+){0,2}(\d+(?:\.\d+)?)\s*(?:ft|foot|feet|')|height\s+(?:\w+\s+){0,2}(\d+(?:\.\d+)?)\s*(?:ft|foot|feet|')/);
+        throw new SIRRepairError(
+            `The model did not produce a valid SIR after ${maxAttempts} attempt(s): ` +
+            errors.slice(0, 3).map(e => `${e.path} ${e.message}`).join('; '),
+            { errors: errors, attempts: attempts, usage: usage }
+        );
+    }
+
+    /**
+     * Build the follow-up prompt asking the model to correct its previous SIR
+     * @param {string} originalPrompt - Prompt of the first attempt
+     * @param {string} previousResponse - Raw text returned by the model
+     * @param {Array<Object>} errors - [{ path, message }] parse or schema errors
+     */
+    buildRepairPrompt(originalPrompt, previousResponse, errors) {
+        const errorList = errors.map(e => `- ${e.path}: ${e.message}`).join('\n');
         
-        // Convert mm to feet (Revit internal units): 1 foot = 304.8 mm
-        if (widthMmMatch) {
-            const widthMm = parseInt(widthMmMatch[1] || widthMmMatch[2] || widthMmMatch[3] || widthMmMatch[4]);
-            width = widthMm / 304.8;  // Convert mm to feet
-            console.log(`Extracted width: ${widthMm} mm = ${width.toFixed(4)} feet`);
-        } else if (widthFtMatch) {
-            width = parseFloat(widthFtMatch[1] || widthFtMatch[2] || widthFtMatch[3] || widthFtMatch[4] || '2.0');
-            console.log(`Extracted width: ${width} feet`);
-        }
+        return `${originalPrompt}
+
+YOUR PREVIOUS RESPONSE:
+${String(previousResponse || '').slice(0, 20000)}
+
+The previous response was rejected with these errors:
+${errorList}
+
+Return the complete corrected SIR that fixes every error above.
+
+OUTPUT ONLY VALID JSON - NO EXPLANATIONS OR MARKDOWN.`;
+    }
+
+    /**
+     * Shape a failed generation into the result returned to routes
+     */
+    buildFailureResult(error, extra = {}) {
+        return {
+            success: false,
+            error: error.message,
+            errorCode: error.code || 'generation_failed',
+            validationErrors: error.errors,
+            attempts: error.attempts || [],
+            usage: error.usage,
+            ...extra
+        };
+    }
+
+    /**
+     * Describe the dimensions parsed from the prompt so the model uses the same values
+     * as the deterministic code paths
+     * @param {string} userPrompt - Natural language request
+     * @param {Object} options - { units } session units
+     * @returns {string} Prompt sections for single dimensions and for a list of sizes,
+     *   or an empty string when no dimensions were found
+     */
+    buildDimensionHints(userPrompt, options = {}) {
+        const dimensions = this.dimensionParser.extractDimensions(userPrompt, { units: options.units });
+        const sizes = this.dimensionParser.extractSizeList(userPrompt, { units: options.units });
+        const inSizeList = (span) => sizes.some(size => span[0] >= size.span[0] && span[1] <= size.span[1]);
         
-        if (heightMmMatch) {
-            const heightMm = parseInt(heightMmMatch[1] || heightMmMatch[2] || heightMmMatch[3] || heightMmMatch[4]);
-            height = heightMm / 304.8;  // Convert mm to feet
-            console.log(`Extracted height: ${heightMm} mm = ${height.toFixed(4)} feet`);
-        } else if (heightFtMatch) {
-            height = parseFloat(heightFtMatch[1] || heightFtMatch[2] || heightFtMatch[3] || heightFtMatch[4] || '4.0');
-            console.log(`Extracted height: ${height} feet`);
+        // Sizes in a list become types, not the family's single width and height
+        const lines = Object.keys(dimensions)
+            .filter(name => !inSizeList(dimensions[name].span))
+            .map(name => {
+                const dimension = dimensions[name];
+                return `- ${name}: ${dimension.valueFt.toFixed(4)} ft (from "${dimension.text}")`;
+            });
+        const typeLines = sizes.map(size => {
+            const values = ['width', 'height', 'depth']
+                .filter(name => size[name] !== undefined)
+                .map(name => `${name} ${size[name].toFixed(4)} ft`);
+            return `- "${size.name}": ${values.join(', ')} (from "${size.text}")`;
+        });
+        
+        let hints = '';
+        if (lines.length > 0) {
+            hints += `\n\nPARSED DIMENSIONS (Revit internal feet, use these exact values):\n${lines.join('\n')}`;
         }
+        if (typeLines.length > 0) {
+            hints += `\n\nTYPE CATALOGUE (one parameters.familyTypes entry per size, named as listed, Revit internal feet):\n${typeLines.join('\n')}`;
+        }
+        return hints;
+    }
+
+    /**
+     * Generate demo SIR for unauthenticated users or API failures
+     * @param {string} userPrompt - Natural language description of desired BIM content
+     * @param {string} sessionId - Unique session identifier
+     * @param {Object} options - { units } session units used for unitless values
+     */
+    generateDemoSIR(userPrompt, sessionId, options = {}) {
+        const lowerPrompt = userPrompt.toLowerCase();
         
-        // Extract sill height (distance from floor to window bottom)
-        let sillHeight = 3.0;  // Default: 3 feet (~900mm)
-        const sillHeightMmMatch = lowerPrompt.match(/(\d+)\s*mm\s+(?:\w+\s+){0,3}(?:sill|from\s+floor|above\s+floor|floor\s+to)/);
-        const sillHeightFtMatch = lowerPrompt.match(/(\d+(?:\.\d+)?)\s*(?:ft|foot|feet|')\s+(?:\w+\s+){0,3}(?:sill|from\s+floor|above\s+floor|floor\s+to)/);
+        // Extract dimensions in Revit internal units (feet)
+        const dimensions = this.dimensionParser.extractDimensions(userPrompt, { units: options.units });
+        const insetDimension = dimensions.inset || dimensions.depth;
         
-        if (sillHeightMmMatch) {
-            const sillHeightMm = parseInt(sillHeightMmMatch[1]);
-            sillHeight = sillHeightMm / 304.8;  // Convert mm to feet
-            console.log(`Extracted sill height: ${sillHeightMm} mm = ${sillHeight.toFixed(4)} feet`);
-        } else if (sillHeightFtMatch) {
-            sillHeight = parseFloat(sillHeightFtMatch[1]);
-            console.log(`Extracted sill height: ${sillHeight} feet`);
-        }
+        const width = dimensions.width ? dimensions.width.valueFt : 2.0;
+        const height = dimensions.height ? dimensions.height.valueFt : 4.0;
+        const sillHeight = dimensions.sillHeight ? dimensions.sillHeight.valueFt : 3.0;  // Default: 3 feet (~900mm)
+        const inset = insetDimension ? insetDimension.valueFt : 0.05;  // Default: 0.05 feet (~15mm)
+        const bodyDepth = 1.0;  // Default: 1 foot (~300mm)
+        const hostHeight = 10.0;  // Default wall the window is flexed in: 10 feet (~3050mm)
         
-        // Extract inset (frame depth)
-        let inset = 0.05;  // Default: 0.05 feet (~15mm)
-        const insetMmMatch = lowerPrompt.match(/(\d+)\s*mm\s+(?:\w+\s+){0,2}(?:inset|depth|frame\s+depth)/);
-        const insetFtMatch = lowerPrompt.match(/(\d+(?:\.\d+)?)\s*(?:ft|foot|feet|')\s+(?:\w+\s+){0,2}(?:inset|depth|frame\s+depth)/);
-        const insetInchMatch = lowerPrompt.match(/(\d+(?:\.\d+)?)\s*(?:in|inch|inches|")\s+(?:\w+\s+){0,2}(?:inset|depth|frame\s+depth)/);
+        Object.keys(dimensions).forEach(name => {
+            const dimension = dimensions[name];
+            console.log(`Extracted ${name}: "${dimension.text}" = ${dimension.valueFt.toFixed(4)} feet`);
+        });
         
-        if (insetMmMatch) {
-            const insetMm = parseInt(insetMmMatch[1]);
-            inset = insetMm / 304.8;  // Convert mm to feet
-            console.log(`Extracted inset: ${insetMm} mm = ${inset.toFixed(4)} feet`);
-        } else if (insetInchMatch) {
-            const insetInch = parseFloat(insetInchMatch[1]);
-            inset = insetInch / 12;  // Convert inches to feet
-            console.log(`Extracted inset: ${insetInch} inches = ${inset.toFixed(4)} feet`);
-        } else if (insetFtMatch) {
-            inset = parseFloat(insetFtMatch[1]);
-            console.log(`Extracted inset: ${inset} feet`);
+        // "sizes 600x900, 900x1200" becomes one family type per size
+        const sizes = this.dimensionParser.extractSizeList(userPrompt, { units: options.units });
+        const typeSizes = sizes.length > 0 ? sizes : [{ name: "Type 1", width: width, height: height }];
+        if (sizes.length > 0) {
+            console.log(`Extracted ${sizes.length} family types: ${sizes.map(size => size.name).join(', ')}`);
         }
         
         // Extract materials from prompt
@@ -172,6 +363,7 @@ class BIMLLMService {
         }
         
         let demoFamily = {
+            sirVersion: SIRSchema.SIR_VERSION,
             familyMetadata: {
                 familyName: "Generated Family",
                 category: "Generic",
@@ -190,43 +382,47 @@ class BIMLLMService {
                         { x: 0, y: height }
                     ],
                     startPoint: { x: 0, y: 0, z: 0 },
-                    endPoint: { x: width, y: height, z: 100 },
+                    endPoint: { x: width, y: height, z: bodyDepth },
                     material: sashMaterial
                 }],
                 blends: [],
                 sweeps: [],
-                revolves: []
+                revolves: [],
+                referencePlanes: [],
+                constraints: []
             },
             parameters: {
                 familyParameters: [
                     { name: "Width", type: "Length", defaultValue: width, isInstance: true },
-                    { name: "Height", type: "Length", defaultValue: height, isInstance: true },
-                    { name: "SillHeight", type: "Length", defaultValue: sillHeight, isInstance: true },
+                    // Either flexed to its max, the head stays inside the host
+                    { name: "Height", type: "Length", defaultValue: height, isInstance: true,
+                        min: height / 2, max: Math.max(height, hostHeight - sillHeight) },
+                    { name: "SillHeight", type: "Length", defaultValue: sillHeight, isInstance: true,
+                        min: sillHeight / 2, max: Math.max(sillHeight, hostHeight - height) },
                     { name: "Inset", type: "Length", defaultValue: inset, isInstance: true },
                     { name: "GlassPaneMaterial", type: "Material", defaultValue: glassMaterial, isInstance: true },
                     { name: "SashMaterial", type: "Material", defaultValue: sashMaterial, isInstance: true }
                 ],
-                familyTypes: [{
-                    name: "Type 1",
+                familyTypes: typeSizes.map(size => ({
+                    name: size.name,
                     parameters: { 
-                        Width: width, 
-                        Height: height,
+                        Width: size.width, 
+                        Height: size.height,
                         SillHeight: sillHeight,
                         Inset: inset,
                         GlassPaneMaterial: glassMaterial,
                         SashMaterial: sashMaterial
                     }
-                }]
+                }))
             },
-            constraints: [],
             materials: [
                 { name: glassMaterial, color: "#87CEEB" },
                 { name: sashMaterial, color: "#8B4513" }
             ],
-            visibility: {
-                coarse: true,
-                medium: true,
-                fine: true
+            visibilitySettings: {
+                coarse: [],
+                medium: [],
+                fine: []
             }
         };
 
@@ -235,24 +431,56 @@ class BIMLLMService {
             demoFamily.familyMetadata.category = "Doors";
             demoFamily.familyMetadata.familyName = "Generated Door";
             demoFamily.familyMetadata.description = "Parametric door family";
-            demoFamily.geometryDefinition.extrusions[0].endPoint.z = 50; // Door thickness
+            demoFamily.familyMetadata.isHosted = true;
+            demoFamily.familyMetadata.hostingType = "Wall";
+            // Door parameters replace the window ones; prompt values override the style defaults
+            const doorValues = {};
+            [['DoorWidth', 'width'], ['DoorHeight', 'height'], ['DoorThickness', 'depth'], ['FrameWidth', 'frameWidth'],
+                ['FrameDepth', 'inset'], ['ThresholdHeight', 'threshold'], ['HardwareHeight', 'hardwareHeight']].forEach(([key, name]) => {
+                if (dimensions[name]) {
+                    doorValues[key] = dimensions[name].valueFt;
+                }
+            });
+            const doorParameters = this.doorParams.toSIRParameters(this.doorParams.detectSettings(userPrompt), doorValues);
+            doorParameters.push(
+                { name: "Frame Material", type: "Material", defaultValue: sashMaterial, isInstance: false },
+                { name: "Panel Material", type: "Material", defaultValue: sashMaterial, isInstance: false }
+            );
+            const typeValues = {};
+            doorParameters.filter(param => param.type === 'Length').forEach(param => {
+                typeValues[param.name] = param.defaultValue;
+            });
+            demoFamily.parameters = {
+                familyParameters: doorParameters,
+                familyTypes: sizes.length > 0 ?
+                    sizes.map(size => ({ name: size.name, parameters: Object.assign({}, typeValues, { Width: size.width, Height: size.height }) })) :
+                    [{ name: "Type 1", parameters: typeValues }]
+            };
+            demoFamily.materials = [{ name: sashMaterial, color: "#8B4513" }];
+            demoFamily.geometryDefinition.extrusions[0].endPoint.z = typeValues.Thickness; // Door thickness
         } else if (lowerPrompt.includes('window')) {
             demoFamily.familyMetadata.category = "Windows";
             demoFamily.familyMetadata.familyName = "Generated Window";
             demoFamily.familyMetadata.description = "Parametric window family";
-            demoFamily.geometryDefinition.extrusions[0].endPoint.z = 100; // Window frame
+            demoFamily.familyMetadata.isHosted = true;
+            demoFamily.familyMetadata.hostingType = "Wall";
+            const frameWidth = 0.164;  // ~50mm
+            const frameDepth = 0.328;  // ~100mm
+            const glassThickness = 0.02;  // ~6mm
+            demoFamily.geometryDefinition.extrusions[0].endPoint.z = frameDepth; // Window frame
             
-            // Add glass pane geometry
+            // Add glass pane geometry, inside the frame and centred in its depth
+            const glassStart = (frameDepth - glassThickness) / 2;
             demoFamily.geometryDefinition.extrusions.push({
                 name: "GlassPane",
                 profile: [
-                    { x: 10, y: 10 },
-                    { x: width - 10, y: 10 },
-                    { x: width - 10, y: height - 10 },
-                    { x: 10, y: height - 10 }
+                    { x: frameWidth, y: frameWidth },
+                    { x: width - frameWidth, y: frameWidth },
+                    { x: width - frameWidth, y: height - frameWidth },
+                    { x: frameWidth, y: height - frameWidth }
                 ],
-                startPoint: { x: 10, y: 10, z: 5 },
-                endPoint: { x: width - 10, y: height - 10, z: 95 },
+                startPoint: { x: frameWidth, y: frameWidth, z: glassStart },
+                endPoint: { x: width - frameWidth, y: height - frameWidth, z: glassStart + glassThickness },
                 material: glassMaterial
             });
         } else if (lowerPrompt.includes('furniture')) {
@@ -261,6 +489,31 @@ class BIMLLMService {
             demoFamily.familyMetadata.description = "Parametric furniture family";
         }
 
+        // Doors and windows cut their opening in the host wall with a void
+        if (demoFamily.familyMetadata.hostingType === "Wall") {
+            const openingDepth = demoFamily.geometryDefinition.extrusions[0].endPoint.z;
+            demoFamily.geometryDefinition.extrusions.push({
+                name: "Opening",
+                profile: [
+                    { x: 0, y: 0 },
+                    { x: width, y: 0 },
+                    { x: width, y: height },
+                    { x: 0, y: height }
+                ],
+                startPoint: { x: 0, y: 0, z: 0 },
+                endPoint: { x: width, y: height, z: openingDepth },
+                isSolid: false
+            });
+        }
+
+        // Every demo solid is shown at every detail level
+        const elementNames = demoFamily.geometryDefinition.extrusions.filter(e => e.isSolid !== false).map(e => e.name);
+        demoFamily.visibilitySettings = {
+            coarse: elementNames.slice(),
+            medium: elementNames.slice(),
+            fine: elementNames.slice()
+        };
+
         return {
             success: true,
             sir: demoFamily,
@@ -282,102 +535,41 @@ CRITICAL REQUIREMENTS:
 3. You MUST maintain context from previous interactions in this session
 4. You MUST infer implicit BIM requirements (hosting, constraints, etc.)
 
-SIR SCHEMA STRUCTURE:
-{
-  "familyMetadata": {
-    "familyName": "string",
-    "category": "string (e.g., 'Doors', 'Windows', 'Furniture')",
-    "description": "string",
-    "lodLevel": "number (100-500)",
-    "isHosted": "boolean",
-    "hostingType": "string (if hosted)"
-  },
-  "geometryDefinition": {
-    "extrusions": [
-      {
-        "name": "string",
-        "startPoint": {"x": 0, "y": 0, "z": 0},
-        "endPoint": {"x": 0, "y": 0, "z": 0},
-        "profile": "array of points",
-        "material": "string",
-        "visibility": {"coarse": true, "medium": true, "fine": true}
-      }
-    ],
-    "referencePlanes": [
-      {
-        "name": "string",
-        "origin": {"x": 0, "y": 0, "z": 0},
-        "normal": {"x": 0, "y": 0, "z": 1},
-        "locked": true
-      }
-    ],
-    "constraints": [
-      {
-        "element1": "string",
-        "element2": "string", 
-        "constraintType": "string",
-        "offset": 0
-      }
-    ]
-  },
-  "parameters": {
-    "familyParameters": [
-      {
-        "name": "string",
-        "type": "string (Length, Number, Text, Material, etc.)",
-        "group": "string",
-        "isInstance": true,
-        "defaultValue": "any",
-        "formula": "string (optional)"
-      }
-    ],
-    "sharedParameters": [],
-    "familyTypes": [
-      {
-        "name": "string",
-        "parameters": {}
-      }
-    ]
-  },
-  "materials": [
-    {
-      "name": "string",
-      "parameterName": "string",
-      "defaultValue": "string"
-    }
-  ],
-  "nestedFamilies": [],
-  "visibilitySettings": {
-    "coarse": ["element1", "element2"],
-    "medium": ["element1", "element2"],
-    "fine": ["element1", "element2"]
-  }
-}
+SIR JSON SCHEMA (sirVersion ${this.sirSchema.version}):
+${this.sirSchema.toPromptString()}
+
+The "sirVersion" field MUST be "${this.sirSchema.version}". Do not add properties that the schema does not allow.
 
 CONTEXT AWARENESS:
 Previous context: ${JSON.stringify(context, null, 2)}
 
-IMPLICIT BIM REQUIREMENTS:
-- For doors: Include wall cutting voids, hosting parameters, swing direction
-- For windows: Include wall cutting voids, hosting parameters, sill height
-- For furniture: Include placement constraints, material parameters
-- For MEP: Include connection points, flow direction parameters
+IMPLICIT BIM REQUIREMENTS BY CATEGORY (lengths in feet):
+${this.categoryRules.toPromptString()}
+
+${FAMILY_TYPES_INSTRUCTIONS}
 
 OUTPUT ONLY VALID JSON - NO EXPLANATIONS OR MARKDOWN.`;
     }
 
     /**
-     * Parse and validate SIR response from Gemini
+     * Parse and validate SIR response from the LLM
      */
     parseSIRResponse(text) {
         try {
-            // Extract JSON from response (remove any markdown formatting)
-            const jsonMatch = text.match(/\{[\s\S]*\}/);
-            if (!jsonMatch) {
-                throw new Error('No valid JSON found in response');
+            // Prefer a fenced ```json block, otherwise use the whole response
+            const source = String(text || '').trim();
+            const fenced = source.match(/```(?:json)?\s*([\s\S]*?)```/);
+            const candidate = fenced ? fenced[1].trim() : source;
+            
+            const json = this.extractJSONObject(candidate);
+            if (json === null) {
+                throw new Error('No JSON object found in response');
             }
             
-            const sir = JSON.parse(jsonMatch[0]);
+            const sir = JSON.parse(json);
+            if (!sir || typeof sir !== 'object' || Array.isArray(sir)) {
+                throw new Error('Response JSON is not an object');
+            }
             return sir;
         } catch (error) {
             throw new Error(`Failed to parse SIR response: ${error.message}`);
@@ -385,33 +577,48 @@ OUTPUT ONLY VALID JSON - NO EXPLANATIONS OR MARKDOWN.`;
     }
 
     /**
-     * Validate SIR structure against required schema
+     * Return the first balanced {...} block, skipping braces inside strings
+     * (unbalanced output is returned up to the end so JSON.parse reports where it broke)
      */
-    validateSIR(sir) {
-        const requiredFields = [
-            'familyMetadata',
-            'geometryDefinition', 
-            'parameters',
-            'materials',
-            'visibilitySettings'
-        ];
-        
-        for (const field of requiredFields) {
-            if (!sir[field]) {
-                throw new Error(`Missing required SIR field: ${field}`);
-            }
+    extractJSONObject(text) {
+        const start = text.indexOf('{');
+        if (start === -1) {
+            return null;
         }
         
-        // Validate family metadata
-        if (!sir.familyMetadata.familyName || !sir.familyMetadata.category) {
-            throw new Error('Missing required family metadata');
-        }
-        
-        // Validate LOD level
-        const lod = sir.familyMetadata.lodLevel;
-        if (lod < 100 || lod > 500) {
-            throw new Error('LOD level must be between 100 and 500');
+        let depth = 0;
+        let inString = false;
+        let escaped = false;
+        for (let i = start; i < text.length; i++) {
+            const char = text[i];
+            if (inString) {
+                if (escaped) {
+                    escaped = false;
+                } else if (char === '\\') {
+                    escaped = true;
+                } else if (char === '"') {
+                    inString = false;
+                }
+            } else if (char === '"') {
+                inString = true;
+            } else if (char === '{') {
+                depth += 1;
+            } else if (char === '}') {
+                depth -= 1;
+                if (depth === 0) {
+                    return text.slice(start, i + 1);
+                }
+            }
         }
+        return text.slice(start);
+    }
+
+    /**
+     * Validate SIR structure against the versioned SIR schema
+     * @throws {SIRValidationError} with path-level errors
+     */
+    validateSIR(sir) {
+        this.sirSchema.assertValid(sir);
     }
 
     /**
@@ -451,8 +658,9 @@ OUTPUT ONLY VALID JSON - NO EXPLANATIONS OR MARKDOWN.`;
     /**
      * Generate iterative refinement based on feedback
      */
-    async refineSIR(sessionId, feedback, originalSIR) {
+    async refineSIR(sessionId, feedback, originalSIR, options = {}) {
         try {
+            const provider = this.getConfiguredProvider(options.aiModel);
             const context = this.getConversationContext(sessionId);
             
             const refinementPrompt = `Based on the following feedback, refine the existing SIR:
@@ -465,12 +673,8 @@ CONTEXT: ${JSON.stringify(context, null, 2)}
 
 Provide an updated SIR that addresses the feedback while maintaining all valid aspects of the original design. Output ONLY valid JSON.`;
 
-            const result = await this.model.generateContent(refinementPrompt);
-            const response = await result.response;
-            const text = response.text();
-            
-            const refinedSIR = this.parseSIRResponse(text);
-            this.validateSIR(refinedSIR);
+            const result = await this.generateValidSIR(provider, refinementPrompt, { onProgress: options.onProgress });
+            const refinedSIR = result.sir;
             
             // Update context
             this.updateConversationContext(sessionId, `Refinement: ${feedback}`, refinedSIR);
@@ -479,24 +683,30 @@ Provide an updated SIR that addresses the feedback while maintaining all valid a
                 success: true,
                 sir: refinedSIR,
                 sessionId: sessionId,
-                refinementType: 'feedback_based'
+                refinementType: 'feedback_based',
+                provider: provider.name,
+                model: provider.model,
+                usage: result.usage,
+                attempts: result.attempts
             };
             
         } catch (error) {
             console.error('SIR Refinement Error:', error);
-            return {
-                success: false,
-                error: error.message,
-                sessionId: sessionId
-            };
+            return this.buildFailureResult(error, { sessionId: sessionId });
         }
     }
 
     /**
      * Generate batch variations of a base SIR
+     * @param {Object} baseSIR - SIR to vary
+     * @param {number} variationCount - Number of variations
+     * @param {Object} options - { aiModel } from the session settings
      */
-    async generateVariations(baseSIR, variationCount = 5) {
+    async generateVariations(baseSIR, variationCount = 5, options = {}) {
+        const usage = { promptTokens: 0, completionTokens: 0, totalTokens: 0 };
+        const attempts = [];
         try {
+            const provider = this.getConfiguredProvider(options.aiModel);
             const variations = [];
             
             for (let i = 0; i < variationCount; i++) {
@@ -506,30 +716,73 @@ BASE SIR: ${JSON.stringify(baseSIR, null, 2)}
 
 Create variation ${i + 1} with different dimensions, materials, or parametric relationships while maintaining the core functionality. Output ONLY valid JSON.`;
 
-                const result = await this.model.generateContent(variationPrompt);
-                const response = await result.response;
-                const text = response.text();
-                
-                const variation = this.parseSIRResponse(text);
-                this.validateSIR(variation);
+                let result;
+                try {
+                    result = await this.generateValidSIR(provider, variationPrompt);
+                } catch (error) {
+                    this.addUsage(usage, error.usage);
+                    attempts.push(...(error.attempts || []).map(a => ({ ...a, variation: i + 1 })));
+                    throw error;
+                }
+                this.addUsage(usage, result.usage);
+                attempts.push(...result.attempts.map(a => ({ ...a, variation: i + 1 })));
                 
-                variations.push(variation);
+                variations.push(result.sir);
             }
             
             return {
                 success: true,
                 variations: variations,
-                baseSIR: baseSIR
+                baseSIR: baseSIR,
+                provider: provider.name,
+                model: provider.model,
+                usage: usage,
+                attempts: attempts
             };
             
         } catch (error) {
             console.error('Variation Generation Error:', error);
-            return {
-                success: false,
-                error: error.message
-            };
+            return this.buildFailureResult(error, { usage: usage, attempts: attempts });
         }
     }
+
+    /**
+     * Accumulate provider token usage into a running total
+     */
+    addUsage(total, usage = {}) {
+        total.promptTokens += usage.promptTokens || 0;
+        total.completionTokens += usage.completionTokens || 0;
+        total.totalTokens += usage.totalTokens || 0;
+        return total;
+    }
+
+    /**
+     * Deterministic responses for the fixture provider when no recorded
+     * fixture matches: demo SIRs for generation, the input SIR for
+     * refinements and variations
+     */
+    generateFixtureResponse(prompt) {
+        const request = prompt.match(/\nUser Request: ([\s\S]*)$/);
+        if (request) {
+            return this.generateDemoSIR(request[1].trim(), 'fixture').sir;
+        }
+        
+        const inputSIR = prompt.match(/(?:ORIGINAL|BASE) SIR: (\{[\s\S]*?\n\})/);
+        if (inputSIR) {
+            return inputSIR[1];
+        }
+        
+        throw new Error('Fixture provider cannot answer this prompt');
+    }
 }
 
+/**
+ * HTTP status for a failed generation result's errorCode
+ * @param {string} errorCode - Result errorCode, e.g. unknown_model
+ * @param {number} fallback - Status for any other error
+ * @returns {number}
+ */
+BIMLLMService.errorStatus = (errorCode, fallback) => ERROR_STATUS[errorCode] || fallback;
+BIMLLMService.SIRRepairError = SIRRepairError;
+
 module.exports = BIMLLMService;
@@ -0,0 +1,803 @@
+/////////////////////////////////////////////////////////////////////
+// BIM-LLM Blueprint: C# Code Generator
+// Copyright (c) 2024 BIM-LLM Platform
+//
+// This module translates a SIR into the C# source of a Design
+// Automation app bundle (an IExternalDBApplication), following the
+// CreateWindow plug-in's extrusion, reference plane and dimension
+// helpers
+/////////////////////////////////////////////////////////////////////
+
+const HELPERS = `        #region Helpers
+        /// <summary>
+        /// A reference plane or face to constrain, with its position
+        /// </summary>
+        class ConstraintReference
+        {
+            public Reference Reference;
+            public XYZ Origin;
+            public XYZ Normal;
+
+            public ConstraintReference(Reference reference, XYZ origin, XYZ normal)
+            {
+                Reference = reference;
+                Origin = origin;
+                Normal = normal;
+            }
+        }
+
+        static readonly Dictionary<string, XYZ> FaceDirections = new Dictionary<string, XYZ>(StringComparer.OrdinalIgnoreCase)
+        {
+            { "Left", new XYZ(-1, 0, 0) },
+            { "Right", new XYZ(1, 0, 0) },
+            { "Front", new XYZ(0, -1, 0) },
+            { "Back", new XYZ(0, 1, 0) },
+            { "Bottom", new XYZ(0, 0, -1) },
+            { "Top", new XYZ(0, 0, 1) }
+        };
+
+        ElementId FindMaterial(string name)
+        {
+            Material material = new FilteredElementCollector(m_document)
+                .OfClass(typeof(Material))
+                .Cast<Material>()
+                .FirstOrDefault(m => m.Name == name);
+            return material != null ? material.Id : Material.Create(m_document, name);
+        }
+
+        ElementId MaterialId(string name)
+        {
+            ElementId id;
+            return m_materials.TryGetValue(name, out id) ? id : FindMaterial(name);
+        }
+
+        View FindView(ViewType viewType, string name)
+        {
+            return new FilteredElementCollector(m_document)
+                .OfClass(typeof(View))
+                .Cast<View>()
+                .FirstOrDefault(vw => !vw.IsTemplate && vw.ViewType == viewType && (name == null || vw.Name == name));
+        }
+
+        View ViewForNormal(XYZ normal)
+        {
+            // Vertical planes are seen edge-on in plan, horizontal ones in elevation
+            if (Math.Abs(normal.Z) < 0.5)
+                return FindView(ViewType.FloorPlan, "Ref. Level") ?? FindView(ViewType.FloorPlan, null);
+            return FindView(ViewType.Elevation, "Front") ?? FindView(ViewType.Elevation, null);
+        }
+
+        ReferencePlane FindReferencePlane(string name)
+        {
+            ReferencePlane plane;
+            if (m_referencePlanes.TryGetValue(name, out plane))
+                return plane;
+            return new FilteredElementCollector(m_document)
+                .OfClass(typeof(ReferencePlane))
+                .Cast<ReferencePlane>()
+                .FirstOrDefault(p => p.Name == name);
+        }
+
+        ReferencePlane CreateReferencePlane(string name, XYZ origin, XYZ normal)
+        {
+            const double extent = 2.0;
+            XYZ direction;
+            XYZ cutVec;
+            normal = normal.Normalize();
+            if (Math.Abs(normal.Z) < 0.5)
+            {
+                direction = XYZ.BasisZ.CrossProduct(normal).Normalize();
+                cutVec = XYZ.BasisZ;
+            }
+            else
+            {
+                direction = XYZ.BasisX;
+                cutVec = normal.CrossProduct(direction).Normalize();
+            }
+            ReferencePlane refPlane = m_document.FamilyCreate.NewReferencePlane(origin + direction * extent, origin - direction * extent, cutVec, ViewForNormal(normal));
+            refPlane.Name = name;
+            return refPlane;
+        }
+
+        FamilyParameter GetOrAddParameter(string name, ForgeTypeId group, ForgeTypeId spec, bool isInstance)
+        {
+            FamilyParameter existing = m_familyManager.get_Parameter(name);
+            return existing ?? m_familyManager.AddParameter(name, group, spec, isInstance);
+        }
+
+        FamilyParameter FamilyParameterByName(string name)
+        {
+            FamilyParameter parameter;
+            return m_parameters.TryGetValue(name, out parameter) ? parameter : m_familyManager.get_Parameter(name);
+        }
+
+        FamilyType GetOrAddType(string name)
+        {
+            foreach (FamilyType familyType in m_familyManager.Types)
+            {
+                if (familyType.Name == name)
+                    return familyType;
+            }
+            return m_familyManager.NewType(name);
+        }
+
+        static CurveArray ProfileLoop(XYZ[] points, bool closed = true)
+        {
+            CurveArray loop = new CurveArray();
+            int count = closed ? points.Length : points.Length - 1;
+            for (int i = 0; i < count; i++)
+                loop.Append(Line.CreateBound(points[i], points[(i + 1) % points.Length]));
+            return loop;
+        }
+
+        static CurveArrArray ProfileLoops(params CurveArray[] loops)
+        {
+            CurveArrArray array = new CurveArrArray();
+            foreach (CurveArray loop in loops)
+                array.Append(loop);
+            return array;
+        }
+
+        SketchPlane NewSketchPlane(XYZ normal, XYZ origin)
+        {
+            return SketchPlane.Create(m_document, Plane.CreateByNormalAndOrigin(normal, origin));
+        }
+
+        void SetMaterial(GenericForm form, string materialName, string parameterName)
+        {
+            Parameter elementParameter = form.get_Parameter(BuiltInParameter.MATERIAL_ID_PARAM);
+            FamilyParameter familyParameter;
+            if (parameterName != null && m_parameters.TryGetValue(parameterName, out familyParameter))
+                m_familyManager.AssociateElementParameterToFamilyParameter(elementParameter, familyParameter);
+            else if (materialName != null)
+                elementParameter.Set(MaterialId(materialName));
+        }
+
+        Sweep NewSweep(bool isSolid, UV[] profilePoints, XYZ[] pathPoints)
+        {
+            // The profile is drawn in the plane normal to the first path segment
+            XYZ tangent = (pathPoints[1] - pathPoints[0]).Normalize();
+            XYZ side = XYZ.BasisZ.CrossProduct(tangent);
+            if (side.GetLength() < 1e-9)
+                side = XYZ.BasisX;
+            side = side.Normalize();
+            XYZ up = tangent.CrossProduct(side);
+            XYZ pathNormal = up;
+            for (int i = 2; i < pathPoints.Length; i++)
+            {
+                XYZ normal = (pathPoints[1] - pathPoints[0]).CrossProduct(pathPoints[i] - pathPoints[0]);
+                if (normal.GetLength() > 1e-9)
+                {
+                    pathNormal = normal.Normalize();
+                    break;
+                }
+            }
+            XYZ origin = pathPoints[0];
+            XYZ[] profile = profilePoints.Select(p => origin + side * p.U + up * p.V).ToArray();
+            SweepProfile sweepProfile = m_application.Create.NewCurveLoopsProfile(ProfileLoops(ProfileLoop(profile)));
+            return m_document.FamilyCreate.NewSweep(isSolid, ProfileLoop(pathPoints, false), NewSketchPlane(pathNormal, origin), sweepProfile, 0, ProfilePlaneLocation.Start);
+        }
+
+        IEnumerable<PlanarFace> PlanarFaces(Element element)
+        {
+            Options options = new Options();
+            options.ComputeReferences = true;
+            foreach (GeometryObject geometry in element.get_Geometry(options))
+            {
+                Solid solid = geometry as Solid;
+                if (solid == null)
+                    continue;
+                foreach (Face face in solid.Faces)
+                {
+                    PlanarFace planarFace = face as PlanarFace;
+                    if (planarFace != null)
+                        yield return planarFace;
+                }
+            }
+        }
+
+        /// <summary>
+        /// The face pointing in direction, or the face parallel to near that is closest to it
+        /// </summary>
+        PlanarFace FindFace(Element element, XYZ direction, ConstraintReference near)
+        {
+            PlanarFace best = null;
+            double bestScore = double.MaxValue;
+            foreach (PlanarFace face in PlanarFaces(element))
+            {
+                double score;
+                if (direction != null)
+                {
+                    score = -face.FaceNormal.DotProduct(direction);
+                }
+                else
+                {
+                    if (Math.Abs(Math.Abs(face.FaceNormal.DotProduct(near.Normal)) - 1) > 1e-6)
+                        continue;
+                    score = Math.Abs((face.Origin - near.Origin).DotProduct(near.Normal));
+                }
+                if (score < bestScore)
+                {
+                    best = face;
+                    bestScore = score;
+                }
+            }
+            return best;
+        }
+
+        ConstraintReference ResolveReference(string name, ConstraintReference other)
+        {
+            ReferencePlane plane = FindReferencePlane(name);
+            if (plane != null)
+                return new ConstraintReference(plane.GetReference(), plane.GetPlane().Origin, plane.GetPlane().Normal);
+
+            string owner = name;
+            string faceName = null;
+            int separator = Math.Max(name.LastIndexOf('.'), name.LastIndexOf(':'));
+            if (separator > 0 && m_geometry.ContainsKey(name.Substring(0, separator)))
+            {
+                owner = name.Substring(0, separator);
+                faceName = name.Substring(separator + 1);
+            }
+
+            GenericForm form;
+            if (!m_geometry.TryGetValue(owner, out form))
+                throw new InvalidOperationException("Unknown reference " + name);
+
+            PlanarFace face;
+            if (faceName != null)
+            {
+                XYZ direction;
+                if (!FaceDirections.TryGetValue(faceName, out direction))
+                    throw new InvalidOperationException("Unknown face " + name);
+                face = FindFace(form, direction, null);
+            }
+            else if (other != null)
+            {
+                face = FindFace(form, null, other);
+            }
+            else
+            {
+                throw new InvalidOperationException("Name a face of " + name + " to constrain it");
+            }
+            if (face == null)
+                throw new InvalidOperationException("No face of " + owner + " matches " + name);
+            return new ConstraintReference(face.Reference, face.Origin, face.FaceNormal);
+        }
+
+        ConstraintReference[] ResolvePair(string name1, string name2)
+        {
+            // A whole element is located through the face nearest the other reference
+            if (m_geometry.ContainsKey(name1))
+            {
+                ConstraintReference second = ResolveReference(name2, null);
+                return new[] { ResolveReference(name1, second), second };
+            }
+            ConstraintReference first = ResolveReference(name1, null);
+            return new[] { first, ResolveReference(name2, first) };
+        }
+
+        ConstraintReference CenterReference(XYZ normal)
+        {
+            foreach (string name in new[] { "Center (Left/Right)", "Center (Front/Back)", "Ref. Level" })
+            {
+                ReferencePlane plane = FindReferencePlane(name);
+                if (plane != null && Math.Abs(Math.Abs(plane.GetPlane().Normal.DotProduct(normal)) - 1) < 1e-6)
+                    return new ConstraintReference(plane.GetReference(), plane.GetPlane().Origin, plane.GetPlane().Normal);
+            }
+            throw new InvalidOperationException("No center reference plane parallel to the constrained references");
+        }
+
+        Dimension AddDimension(ConstraintReference[] references, string label, bool lockDimension, bool equal)
+        {
+            ReferenceArray refArray = new ReferenceArray();
+            foreach (ConstraintReference reference in references)
+                refArray.Append(reference.Reference);
+            XYZ start = references[0].Origin;
+            XYZ normal = references[0].Normal;
+            double distance = (references[references.Length - 1].Origin - start).DotProduct(normal);
+            if (Math.Abs(distance) < 1e-9)
+                distance = 1.0;
+            Line line = Line.CreateBound(start, start + normal * distance);
+            Dimension dim = m_document.FamilyCreate.NewDimension(ViewForNormal(normal), line, refArray);
+            if (equal)
+                dim.AreSegmentsEqual = true;
+            if (label != null)
+                dim.FamilyLabel = FamilyParameterByName(label);
+            else if (lockDimension)
+                dim.IsLocked = true;
+            return dim;
+        }
+
+        Dimension AddAlignment(ConstraintReference[] references, bool lockAlignment)
+        {
+            Dimension alignment = m_document.FamilyCreate.NewAlignment(ViewForNormal(references[0].Normal), references[0].Reference, references[1].Reference);
+            alignment.IsLocked = lockAlignment;
+            return alignment;
+        }
+
+        void ApplyConstraint(string description, Action create)
+        {
+            SubTransaction subTransaction = new SubTransaction(m_document);
+            subTransaction.Start();
+            try
+            {
+                create();
+                subTransaction.Commit();
+                m_appliedConstraints.Add(description);
+            }
+            catch (Exception e)
+            {
+                subTransaction.RollBack();
+                m_failedConstraints.Add(description);
+                Console.WriteLine("Constraint failed: " + description + ": " + e.Message);
+            }
+        }
+
+        void SetElementVisibility(string name, bool coarse, bool medium, bool fine)
+        {
+            try
+            {
+                FamilyElementVisibility visibility = new FamilyElementVisibility(FamilyElementVisibilityType.Model);
+                visibility.IsShownInCoarse = coarse;
+                visibility.IsShownInMedium = medium;
+                visibility.IsShownInFine = fine;
+                m_geometry[name].SetVisibility(visibility);
+            }
+            catch (Exception e)
+            {
+                m_failedVisibility.Add(name);
+                Console.WriteLine("Visibility failed: " + name + ": " + e.Message);
+            }
+        }
+
+        bool SaveFamily()
+        {
+            try
+            {
+                if (File.Exists(OutputPath))
+                    File.Delete(OutputPath);
+
+                SaveAsOptions saveOpts = new SaveAsOptions();
+                // Use a 3D view as the preview when the family has none
+                if (m_document.GetDocumentPreviewSettings().PreviewViewId.Equals(ElementId.InvalidElementId))
+                {
+                    View view = new FilteredElementCollector(m_document)
+                        .OfClass(typeof(View))
+                        .Cast<View>()
+                        .FirstOrDefault(vw => vw.ViewType == ViewType.ThreeD && !vw.IsTemplate);
+                    if (view != null)
+                        saveOpts.PreviewViewId = view.Id;
+                }
+
+                m_document.SaveAs(OutputPath, saveOpts);
+                return true;
+            }
+            catch (Exception e)
+            {
+                Console.WriteLine("Write to " + OutputPath + " failed: " + e.Message);
+                return false;
+            }
+        }
+        #endregion`;
+
+class CSharpCodeGenerator {
+    /**
+     * @param {SIRToCodeInterpreter} interpreter - Supplies the parameter,
+     *   material and form lookups shared by every target
+     */
+    constructor(interpreter) {
+        this.interpreter = interpreter;
+    }
+
+    /**
+     * Generate the code sections for a SIR
+     * @param {Object} sir - Validated, LOD-optimized SIR
+     * @param {Array} warnings - Receives a message for each skipped value or constraint
+     * @returns {Object} Code sections, keyed like the Python target's
+     */
+    generateSections(sir, warnings = []) {
+        return {
+            imports: this.generateImports(sir),
+            helpers: HELPERS,
+            familySetup: this.generateFamilySetup(sir),
+            referencePlanes: this.generateReferencePlanes(sir),
+            parameters: this.generateParameters(sir),
+            materials: this.generateMaterials(sir),
+            geometry: this.generateGeometry(sir),
+            constraints: this.generateConstraints(sir, warnings),
+            familyTypes: this.generateFamilyTypes(sir, warnings),
+            visibility: this.generateVisibilitySettings(sir),
+            validation: this.generateValidationCode(sir)
+        };
+    }
+
+    /**
+     * Combine the sections into one source file
+     */
+    combineCodeSections(sections) {
+        return [
+            sections.imports,
+            sections.familySetup,
+            sections.referencePlanes,
+            sections.parameters,
+            sections.materials,
+            sections.geometry,
+            sections.constraints,
+            sections.familyTypes,
+            sections.visibility,
+            sections.validation,
+            sections.helpers,
+            '    }',
+            '}',
+            ''
+        ].join('\n\n');
+    }
+
+    /**
+     * Usings and file header
+     */
+    generateImports(sir) {
+        return [
+            `// BIM-LLM Generated Code (C#, Design Automation for Revit 2022 or later)`,
+            `// Generated at: ${new Date().toISOString()}`,
+            comment(`Family: ${sir.familyMetadata.familyName}`),
+            '',
+            'using System;',
+            'using System.Collections.Generic;',
+            'using System.IO;',
+            'using System.Linq;',
+            'using Autodesk.Revit.ApplicationServices;',
+            'using Autodesk.Revit.DB;',
+            'using DesignAutomationFramework;'
+        ].join('\n');
+    }
+
+    /**
+     * Application class, its state and the Design Automation entry point
+     */
+    generateFamilySetup(sir) {
+        const category = this.interpreter.getRevitCategory(sir);
+        const className = this.getClassName(sir);
+        return `namespace BIMLLM.Generated
+{
+    [Autodesk.Revit.Attributes.Regeneration(Autodesk.Revit.Attributes.RegenerationOption.Manual)]
+    [Autodesk.Revit.Attributes.Transaction(Autodesk.Revit.Attributes.TransactionMode.Manual)]
+    public class ${className} : IExternalDBApplication
+    {
+        const string FamilyName = ${cs(sir.familyMetadata.familyName)};
+        const string FamilyCategory = ${cs(category)};
+        const int LodLevel = ${sir.familyMetadata.lodLevel};
+        const string OutputPath = "Family.rfa";
+
+        Application m_application;
+        Document m_document;
+        FamilyManager m_familyManager;
+        Dictionary<string, ReferencePlane> m_referencePlanes = new Dictionary<string, ReferencePlane>();
+        Dictionary<string, FamilyParameter> m_parameters = new Dictionary<string, FamilyParameter>();
+        Dictionary<string, ElementId> m_materials = new Dictionary<string, ElementId>();
+        Dictionary<string, GenericForm> m_geometry = new Dictionary<string, GenericForm>();
+        Dictionary<string, FamilyType> m_types = new Dictionary<string, FamilyType>();
+        List<string> m_appliedConstraints = new List<string>();
+        List<string> m_failedConstraints = new List<string>();
+        List<string> m_failedVisibility = new List<string>();
+
+        public ExternalDBApplicationResult OnStartup(ControlledApplication application)
+        {
+            DesignAutomationBridge.DesignAutomationReadyEvent += HandleDesignAutomationReadyEvent;
+            return ExternalDBApplicationResult.Succeeded;
+        }
+
+        public ExternalDBApplicationResult OnShutdown(ControlledApplication application)
+        {
+            return ExternalDBApplicationResult.Succeeded;
+        }
+
+        public void HandleDesignAutomationReadyEvent(object sender, DesignAutomationReadyEventArgs e)
+        {
+            e.Succeeded = CreateFamily(e.DesignAutomationData);
+        }
+
+        protected bool CreateFamily(DesignAutomationData data)
+        {
+            if (data == null)
+                return false;
+
+            m_application = data.RevitApp;
+            m_document = data.RevitDoc;
+            if (m_application == null || m_document == null)
+                return false;
+
+            if (!m_document.IsFamilyDocument)
+            {
+                Console.WriteLine("It's not family document");
+                return false;
+            }
+            m_familyManager = m_document.FamilyManager;
+
+            using (Transaction transaction = new Transaction(m_document, "Create " + FamilyName))
+            {
+                transaction.Start();
+                try
+                {
+                    SetCategory();
+                    CreateReferencePlanes();
+                    CreateParameters();
+                    CreateMaterials();
+                    CreateGeometry();
+                    CreateConstraints();
+                    CreateFamilyTypes();
+                    SetVisibility();
+                    transaction.Commit();
+                }
+                catch (Exception e)
+                {
+                    Console.WriteLine("Error creating family: " + e.Message);
+                    transaction.RollBack();
+                    return false;
+                }
+            }
+
+            Validate();
+            Console.WriteLine("Successfully created family: " + FamilyName);
+            Console.WriteLine("Category: " + FamilyCategory);
+            Console.WriteLine("LOD Level: " + LodLevel);
+            return SaveFamily();
+        }
+
+        void SetCategory()
+        {
+            Category category = m_document.Settings.Categories
+                .Cast<Category>()
+                .FirstOrDefault(c => c.Name == FamilyCategory);
+            if (category == null)
+                throw new InvalidOperationException("Category " + FamilyCategory + " not found");
+            if (m_document.OwnerFamily.FamilyCategory.Name != FamilyCategory)
+                m_document.OwnerFamily.FamilyCategory = category;
+        }`;
+    }
+
+    generateReferencePlanes(sir) {
+        const body = [];
+        (sir.geometryDefinition.referencePlanes || []).forEach(plane => {
+            body.push(comment(`Reference Plane: ${plane.name}`, 3));
+            body.push('            {');
+            body.push(`                ReferencePlane refPlane = CreateReferencePlane(${cs(plane.name)}, ${xyz(plane.origin)}, ${xyz(plane.normal)});`);
+            if (plane.locked) {
+                body.push('                refPlane.Pinned = true;');
+            }
+            body.push(`                m_referencePlanes[${cs(plane.name)}] = refPlane;`);
+            body.push('            }');
+        });
+        return method('CreateReferencePlanes', body);
+    }
+
+    generateParameters(sir) {
+        const body = [];
+        const all = this.interpreter.getFamilyParameters(sir);
+        all.forEach(param => {
+            body.push(`            m_parameters[${cs(param.name)}] = GetOrAddParameter(${cs(param.name)}, ` +
+                `GroupTypeId.${this.interpreter.getParameterGroup(param)}, ${this.interpreter.getParameterSpec(param)}, ${csBool(param.isInstance)});`);
+        });
+
+        const formulas = all.filter(param => param.formula);
+        if (formulas.length > 0) {
+            body.push('');
+            body.push('            // Formulas');
+            formulas.forEach(param => {
+                body.push(`            m_familyManager.SetFormula(m_parameters[${cs(param.name)}], ${cs(param.formula)});`);
+            });
+        }
+        return method('CreateParameters', body);
+    }
+
+    generateMaterials(sir) {
+        const body = (sir.materials || []).map(material =>
+            `            m_materials[${cs(material.name)}] = FindMaterial(${cs(material.name)});`);
+        return method('CreateMaterials', body);
+    }
+
+    generateGeometry(sir) {
+        const body = [];
+        const definition = sir.geometryDefinition;
+        const flat = p => xyz({ x: p.x, y: p.y, z: 0 });
+
+        (definition.extrusions || []).forEach(extrusion => {
+            const start = Math.min(extrusion.startPoint.z, extrusion.endPoint.z);
+            const end = Math.max(extrusion.startPoint.z, extrusion.endPoint.z);
+            body.push(comment(`Extrusion: ${extrusion.name}`, 3));
+            body.push('            {');
+            body.push(`                CurveArrArray profile = ProfileLoops(ProfileLoop(new[] { ${extrusion.profile.map(flat).join(', ')} }));`);
+            body.push(`                Extrusion form = m_document.FamilyCreate.NewExtrusion(${csBool(extrusion.isSolid !== false)}, profile, NewSketchPlane(XYZ.BasisZ, XYZ.Zero), ${csDouble(end - start)});`);
+            body.push(`                form.StartOffset = ${csDouble(start)};`);
+            body.push(`                form.EndOffset = ${csDouble(end)};`);
+            body.push(...this.generateFormEnd(sir, extrusion));
+        });
+
+        (definition.blends || []).forEach(blend => {
+            body.push(comment(`Blend: ${blend.name}`, 3));
+            body.push('            {');
+            body.push(`                CurveArray baseProfile = ProfileLoop(new[] { ${blend.baseProfile.map(flat).join(', ')} });`);
+            body.push(`                CurveArray topProfile = ProfileLoop(new[] { ${blend.topProfile.map(flat).join(', ')} });`);
+            body.push(`                Blend form = m_document.FamilyCreate.NewBlend(${csBool(blend.isSolid !== false)}, topProfile, baseProfile, NewSketchPlane(XYZ.BasisZ, XYZ.Zero));`);
+            body.push(`                form.BottomOffset = ${csDouble(blend.baseOffset || 0)};`);
+            body.push(`                form.TopOffset = ${csDouble(blend.topOffset)};`);
+            body.push(...this.generateFormEnd(sir, blend));
+        });
+
+        (definition.sweeps || []).forEach(sweep => {
+            body.push(comment(`Sweep: ${sweep.name}`, 3));
+            body.push('            {');
+            body.push(`                Sweep form = NewSweep(${csBool(sweep.isSolid !== false)}, ` +
+                `new[] { ${sweep.profile.map(p => `new UV(${csDouble(p.x)}, ${csDouble(p.y)})`).join(', ')} }, ` +
+                `new[] { ${sweep.path.map(xyz).join(', ')} });`);
+            body.push(...this.generateFormEnd(sir, sweep));
+        });
+
+        (definition.revolves || []).forEach(revolve => {
+            const axis = revolve.axis || { start: { x: 0, y: 0 }, end: { x: 0, y: 1 } };
+            const startAngle = revolve.startAngle !== undefined ? revolve.startAngle : 0;
+            const endAngle = revolve.endAngle !== undefined ? revolve.endAngle : 360;
+            // Revolve profiles are drawn in the XZ plane: x across, y up
+            const toXZ = p => xyz({ x: p.x, y: 0, z: p.y });
+            body.push(comment(`Revolve: ${revolve.name}`, 3));
+            body.push('            {');
+            body.push(`                CurveArrArray profile = ProfileLoops(ProfileLoop(new[] { ${revolve.profile.map(toXZ).join(', ')} }));`);
+            body.push(`                Line axis = Line.CreateBound(${toXZ(axis.start)}, ${toXZ(axis.end)});`);
+            body.push(`                Revolution form = m_document.FamilyCreate.NewRevolution(${csBool(revolve.isSolid !== false)}, profile, NewSketchPlane(XYZ.BasisY, XYZ.Zero), axis, ` +
+                `${csDouble(startAngle)} * Math.PI / 180, ${csDouble(endAngle)} * Math.PI / 180);`);
+            body.push(...this.generateFormEnd(sir, revolve));
+        });
+
+        return method('CreateGeometry', body);
+    }
+
+    generateFormEnd(sir, form) {
+        const lines = [];
+        if (form.isSolid !== false && form.material) {
+            const parameterName = this.interpreter.getMaterialParameter(sir, form.material);
+            lines.push(`                SetMaterial(form, ${cs(form.material)}, ${parameterName ? cs(parameterName) : 'null'});`);
+        }
+        lines.push(`                m_geometry[${cs(form.name)}] = form;`);
+        lines.push('            }');
+        return lines;
+    }
+
+    generateConstraints(sir, warnings = []) {
+        const body = [];
+        this.interpreter.describeConstraints(sir, warnings).forEach(constraint => {
+            const pair = `ResolvePair(${cs(constraint.element1)}, ${cs(constraint.element2)})`;
+            body.push(comment(`Constraint: ${constraint.description}`, 3));
+            switch (constraint.kind) {
+                case 'alignment':
+                    body.push(`            ApplyConstraint(${cs(constraint.description)}, () => AddAlignment(${pair}, ${csBool(constraint.locked)}));`);
+                    break;
+                case 'dimension':
+                    body.push(`            ApplyConstraint(${cs(constraint.description)}, () => AddDimension(${pair}, ` +
+                        `${constraint.parameter ? cs(constraint.parameter) : 'null'}, ${csBool(constraint.locked)}, false));`);
+                    break;
+                case 'equality':
+                    body.push(`            ApplyConstraint(${cs(constraint.description)}, () =>`);
+                    body.push('            {');
+                    body.push(`                ConstraintReference[] pair = ${pair};`);
+                    body.push('                AddDimension(new[] { pair[0], CenterReference(pair[0].Normal), pair[1] }, null, false, true);');
+                    body.push('            });');
+                    break;
+                default:
+                    body.push(`            m_failedConstraints.Add(${cs(constraint.description)});`);
+            }
+        });
+        return method('CreateConstraints', body);
+    }
+
+    generateFamilyTypes(sir, warnings = []) {
+        const body = [];
+        this.interpreter.describeFamilyTypes(sir, warnings).forEach(type => {
+            body.push(comment(`Family Type: ${type.name}`, 3));
+            body.push('            {');
+            body.push(`                FamilyType familyType = GetOrAddType(${cs(type.name)});`);
+            body.push('                m_familyManager.CurrentType = familyType;');
+            type.values.forEach(({ param, value }) => {
+                try {
+                    body.push(`                m_familyManager.Set(m_parameters[${cs(param.name)}], ${this.formatParameterValue(value, param.type)});`);
+                } catch (error) {
+                    warnings.push(`familyTypes (${type.name}): ${param.name}: ${error.message}`);
+                    body.push(comment(`Skipped ${param.name}: ${error.message}`, 4));
+                }
+            });
+            body.push(`                m_types[${cs(type.name)}] = familyType;`);
+            body.push('            }');
+        });
+        return method('CreateFamilyTypes', body);
+    }
+
+    generateVisibilitySettings(sir) {
+        const body = this.interpreter.describeVisibility(sir).map(({ name, levels }) =>
+            `            SetElementVisibility(${cs(name)}, ${levels.map(csBool).join(', ')});`);
+        return method('SetVisibility', body);
+    }
+
+    generateValidationCode(sir) {
+        const expected = this.interpreter.describeExpectedCounts(sir);
+        return `        bool Validate()
+        {
+            Dictionary<string, bool> results = new Dictionary<string, bool>
+            {
+                { "reference_planes_created", m_referencePlanes.Count == ${expected.referencePlanes} },
+                { "parameters_created", m_parameters.Count == ${expected.parameters} },
+                { "geometry_created", m_geometry.Count == ${expected.geometry} },
+                { "constraints_applied", m_failedConstraints.Count == 0 },
+                { "family_types_created", m_types.Count == ${expected.familyTypes} },
+                { "visibility_applied", m_failedVisibility.Count == 0 }
+            };
+
+            Console.WriteLine("Family Creation Validation Results:");
+            foreach (KeyValuePair<string, bool> result in results)
+                Console.WriteLine("  " + result.Key + ": " + result.Value);
+            return results.Values.All(value => value);
+        }`;
+    }
+
+    /**
+     * Format a parameter value as a C# expression for FamilyManager.Set
+     * @throws {FormulaError} If the value does not fit the parameter type
+     */
+    formatParameterValue(value, type) {
+        const parsed = this.interpreter.formulaEngine.parseValue(value, type);
+        switch (type) {
+            case 'YesNo':
+                return parsed ? '1' : '0';
+            case 'Integer':
+                return String(parsed);
+            case 'Text':
+                return cs(parsed);
+            case 'Material':
+                return `MaterialId(${cs(parsed)})`;
+            default:
+                return csDouble(parsed);
+        }
+    }
+
+    /**
+     * Application class name from the family name, e.g. "Generated Door" -> GeneratedDoorApp
+     */
+    getClassName(sir) {
+        const words = String(sir.familyMetadata.familyName).split(/[^A-Za-z0-9]+/).filter(Boolean);
+        const name = words.map(word => word[0].toUpperCase() + word.slice(1)).join('');
+        return `${/^[A-Za-z]/.test(name) ? name : `Family${name}`}App`;
+    }
+}
+
+function method(name, body) {
+    return [
+        `        void ${name}()`,
+        '        {',
+        ...body,
+        '        }'
+    ].join('\n');
+}
+
+// C# literals
+
+function cs(value) {
+    return JSON.stringify(String(value)).replace(/[\u2028\u2029]/g, c => `\\u${c.charCodeAt(0).toString(16)}`);
+}
+
+function csBool(value) {
+    return value ? 'true' : 'false';
+}
+
+function csDouble(value) {
+    const text = String(Number(value));
+    return /[.eE]/.test(text) ? text : `${text}.0`;
+}
+
+function xyz(point) {
+    return `new XYZ(${csDouble(point.x)}, ${csDouble(point.y)}, ${csDouble(point.z)})`;
+}
+
+function comment(text, indent = 0) {
+    return `${'    '.repeat(indent)}// ${String(text).replace(/[\r\n]+/g, ' ')}`;
+}
+
+module.exports = CSharpCodeGenerator;
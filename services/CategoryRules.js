@@ -0,0 +1,346 @@
+/////////////////////////////////////////////////////////////////////
+// BIM-LLM Blueprint: Category Rules
+// Copyright (c) 2024 BIM-LLM Platform
+//
+// This module declares what each family category needs: essential
+// parameters and their aliases, the expected hosting, required voids
+// and MEP connectors, and sensible dimension ranges. QA checks SIRs
+// against it and the LLM system prompt is built from it.
+/////////////////////////////////////////////////////////////////////
+
+const FormulaEngine = require('./FormulaEngine');
+
+// Ranges and defaults are in internal units (feet). Defaults are used
+// when QA proposes adding a missing parameter.
+const CATEGORY_RULES = {
+    'Doors': {
+        parameters: [
+            { name: 'Width', type: 'Length', aliases: ['Door Width', 'Rough Width'], range: { min: 1.5, max: 12 }, default: 3 },
+            { name: 'Height', type: 'Length', aliases: ['Door Height', 'Rough Height'], range: { min: 6, max: 12 }, default: 7 },
+            { name: 'Thickness', type: 'Length', aliases: ['Door Thickness', 'Panel Thickness'], range: { min: 0.08, max: 0.5 }, default: 0.17 }
+        ],
+        hosting: { required: true, types: ['Wall'] },
+        voids: { min: 1, purpose: 'cut the opening in the host wall' },
+        connectors: [],
+        guidance: 'include the door parameters "Door Style" (Text: SingleDoor, DoubleDoor, SlidingDoor or PocketDoor), ' +
+            '"Leaf Count" (Integer: 1, or 2 for double and bi-parting doors), "Swing Direction" (Text: Left or Right hinge or ' +
+            'opening side for one leaf, Both for two), "Frame Profile" (Text: Rectangular, Rebated, Cased or None) and the ' +
+            'Length parameters "Frame Width", "Frame Depth", "Threshold Height" and "Hardware Height"'
+    },
+    'Windows': {
+        parameters: [
+            { name: 'Width', type: 'Length', aliases: ['Window Width', 'Rough Width'], range: { min: 0.75, max: 15 }, default: 3 },
+            { name: 'Height', type: 'Length', aliases: ['Window Height', 'Rough Height'], range: { min: 0.75, max: 12 }, default: 4 },
+            { name: 'Sill Height', type: 'Length', aliases: ['Default Sill Height'], range: { min: 0, max: 10 }, default: 3 }
+        ],
+        hosting: { required: true, types: ['Wall'] },
+        voids: { min: 1, purpose: 'cut the opening in the host wall' },
+        connectors: []
+    },
+    'Furniture': {
+        parameters: [
+            { name: 'Width', type: 'Length', range: { min: 0.5, max: 20 }, default: 3 },
+            { name: 'Depth', type: 'Length', range: { min: 0.5, max: 10 }, default: 2 },
+            { name: 'Height', type: 'Length', range: { min: 0.1, max: 10 }, default: 2.5 }
+        ],
+        hosting: { required: false, types: [null, 'Floor'] },
+        voids: { min: 0 },
+        connectors: [],
+        guidance: 'include placement constraints and material parameters'
+    },
+    'Structural Framing': {
+        parameters: [
+            { name: 'Length', type: 'Length', aliases: ['Cut Length', 'Span'], range: { min: 1, max: 120 }, default: 20 },
+            { name: 'Width', type: 'Length', aliases: ['b'], range: { min: 0.1, max: 5 }, default: 0.5 },
+            { name: 'Height', type: 'Length', aliases: ['d', 'Depth'], range: { min: 0.1, max: 10 }, default: 1 }
+        ],
+        hosting: { required: false, types: [null] },
+        voids: { min: 0 },
+        connectors: []
+    },
+    'Structural Columns': {
+        parameters: [
+            { name: 'Width', type: 'Length', aliases: ['b'], range: { min: 0.25, max: 8 }, default: 1 },
+            { name: 'Depth', type: 'Length', aliases: ['h'], range: { min: 0.25, max: 8 }, default: 1 },
+            { name: 'Height', type: 'Length', aliases: ['Length', 'Unconnected Height'], range: { min: 1, max: 100 }, default: 10 }
+        ],
+        hosting: { required: false, types: [null] },
+        voids: { min: 0 },
+        connectors: []
+    },
+    'Mechanical Equipment': {
+        parameters: [
+            { name: 'Width', type: 'Length', range: { min: 0.25, max: 40 }, default: 3 },
+            { name: 'Depth', type: 'Length', aliases: ['Length'], range: { min: 0.25, max: 40 }, default: 3 },
+            { name: 'Height', type: 'Length', range: { min: 0.25, max: 20 }, default: 3 }
+        ],
+        hosting: { required: false, types: [null, 'Floor', 'Ceiling', 'Wall', 'Face'] },
+        voids: { min: 0 },
+        connectors: [{ domains: ['Duct', 'Pipe'], min: 1, purpose: 'connect the equipment to its duct or piping system' }],
+        guidance: 'include flow direction parameters'
+    },
+    'Electrical Equipment': {
+        parameters: [
+            { name: 'Width', type: 'Length', range: { min: 0.1, max: 20 }, default: 2 },
+            { name: 'Depth', type: 'Length', range: { min: 0.05, max: 10 }, default: 0.5 },
+            { name: 'Height', type: 'Length', range: { min: 0.1, max: 10 }, default: 3 }
+        ],
+        hosting: { required: false, types: [null, 'Wall', 'Face'] },
+        voids: { min: 0 },
+        connectors: [{ domains: ['Electrical'], min: 1, purpose: 'connect the equipment to its electrical circuit' }]
+    },
+    'Plumbing Fixtures': {
+        parameters: [
+            { name: 'Width', type: 'Length', range: { min: 0.5, max: 10 }, default: 2 },
+            { name: 'Depth', type: 'Length', range: { min: 0.5, max: 10 }, default: 2 },
+            { name: 'Height', type: 'Length', range: { min: 0.25, max: 8 }, default: 1.5 }
+        ],
+        hosting: { required: false, types: [null, 'Wall', 'Floor', 'Face'] },
+        voids: { min: 0 },
+        connectors: [{ domains: ['Pipe'], min: 1, purpose: 'connect the fixture to its water supply and sanitary piping' }]
+    },
+    'Generic': {
+        parameters: [],
+        hosting: { required: false, types: null },
+        voids: { min: 0 },
+        connectors: []
+    }
+};
+
+// Score deducted per finding
+const ISSUE_DEDUCTION = 10;
+const WARNING_DEDUCTION = 5;
+
+class CategoryRules {
+    /**
+     * @param {Object} options - { formulaEngine, rules }
+     */
+    constructor(options = {}) {
+        this.formulaEngine = options.formulaEngine || new FormulaEngine();
+        this.rules = options.rules || CATEGORY_RULES;
+    }
+
+    /**
+     * Rules for a category, or the Generic rules for unknown categories
+     */
+    get(category) {
+        return this.rules[category] || this.rules.Generic;
+    }
+
+    /**
+     * Names of the essential parameters of a category
+     */
+    getEssentialParameters(category) {
+        return this.get(category).parameters.map(spec => spec.name);
+    }
+
+    /**
+     * Find the SIR parameter that satisfies an essential parameter, by
+     * name or alias, ignoring case, spaces, underscores and hyphens
+     * (so "SillHeight" and "sill_height" both satisfy "Sill Height")
+     * @param {Array} familyParameters - SIR parameters.familyParameters
+     * @param {Object} spec - Essential parameter rule
+     */
+    findParameter(familyParameters, spec) {
+        const names = [spec.name].concat(spec.aliases || []).map(normalizeName);
+        for (const name of names) {
+            const param = (familyParameters || []).find(p => p && normalizeName(p.name) === name);
+            if (param) {
+                return param;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Check a SIR's essential parameters
+     * @returns {Object} { missing: [spec], mistyped: [{ spec, parameter }] }
+     */
+    checkParameters(sir) {
+        const familyParameters = (sir.parameters && sir.parameters.familyParameters) || [];
+        const results = { missing: [], mistyped: [] };
+
+        this.get(sir.familyMetadata && sir.familyMetadata.category).parameters.forEach(spec => {
+            const param = this.findParameter(familyParameters, spec);
+            if (!param) {
+                results.missing.push(spec);
+            } else if (spec.type && param.type !== spec.type) {
+                results.mistyped.push({ spec: spec, parameter: param });
+            }
+        });
+
+        return results;
+    }
+
+    /**
+     * Check a SIR's hosting, voids, connectors and dimension ranges
+     * against its category
+     * @returns {Object} { pass, issues, warnings, scoreDeduction, fixes }
+     */
+    validate(sir) {
+        const metadata = sir.familyMetadata || {};
+        const category = this.rules[metadata.category] ? metadata.category : 'Generic';
+        const rule = this.get(category);
+        const results = { pass: true, issues: [], warnings: [], scoreDeduction: 0, fixes: [] };
+        const issue = (message) => {
+            results.issues.push(message);
+            results.pass = false;
+            results.scoreDeduction += ISSUE_DEDUCTION;
+        };
+        const warning = (message) => {
+            results.warnings.push(message);
+            results.scoreDeduction += WARNING_DEDUCTION;
+        };
+
+        const hostingIssues = this.checkHosting(metadata, category, rule);
+        hostingIssues.forEach(issue);
+        if (hostingIssues.length > 0) {
+            results.fixes.push(this.hostingFix(metadata, category, rule));
+        }
+        this.checkVoids(sir, category, rule).forEach(issue);
+        this.checkConnectors(sir, category, rule).forEach(issue);
+        this.checkRanges(sir, category, rule).forEach(warning);
+
+        return results;
+    }
+
+    checkHosting(metadata, category, rule) {
+        const hosting = rule.hosting || {};
+        const hosted = metadata.isHosted === true || !!metadata.hostingType;
+        const hostType = hosted ? (metadata.hostingType || null) : null;
+        const expected = (hosting.types || []).filter(Boolean);
+
+        if (hosting.required && !hosted) {
+            return [`${category} families must be hosted (${expected.join(' or ')})`];
+        }
+        if (hosted && hosting.types && !hosting.types.includes(hostType)) {
+            return [hosting.types.length === 1 && hosting.types[0] === null ?
+                `${category} families are not hosted, but the SIR sets hosting type ${hostType || '(none)'}` :
+                `Hosting type ${hostType || '(none)'} is not valid for ${category} (expected ${expected.join(' or ')})`];
+        }
+        return [];
+    }
+
+    /**
+     * JSON Patch that gives the family its category's expected hosting
+     */
+    hostingFix(metadata, category, rule) {
+        const hostType = (rule.hosting.types || []).find(Boolean) || null;
+        const hosted = !!rule.hosting.required;
+        return {
+            id: 'set-hosting',
+            description: hosted ?
+                `Host the ${category} family by ${hostType}` :
+                `Make the ${category} family non-hosted`,
+            patch: [
+                { op: 'add', path: '/familyMetadata/isHosted', value: hosted },
+                { op: 'add', path: '/familyMetadata/hostingType', value: hosted ? hostType : null }
+            ]
+        };
+    }
+
+    checkVoids(sir, category, rule) {
+        const min = (rule.voids && rule.voids.min) || 0;
+        const count = countVoids(sir.geometryDefinition || {});
+        if (count < min) {
+            return [`${category} families need at least ${min} void (isSolid: false) to ${rule.voids.purpose}, found ${count}`];
+        }
+        return [];
+    }
+
+    checkConnectors(sir, category, rule) {
+        const connectors = ((sir.geometryDefinition && sir.geometryDefinition.connectors) || []).filter(Boolean);
+
+        return (rule.connectors || []).filter(required => {
+            return connectors.filter(connector => required.domains.includes(connector.domain)).length < required.min;
+        }).map(required => `${category} families need at least ${required.min} ${required.domains.join(' or ')} connector to ${required.purpose}`);
+    }
+
+    /**
+     * Essential parameter values outside their sensible range, for the
+     * default values and each family type
+     */
+    checkRanges(sir, category, rule) {
+        const familyParameters = (sir.parameters && sir.parameters.familyParameters) || [];
+        const familyTypes = (sir.parameters && sir.parameters.familyTypes) || [];
+        const specs = rule.parameters.filter(spec => spec.range)
+            .map(spec => ({ spec: spec, param: this.findParameter(familyParameters, spec) }))
+            .filter(({ param }) => param && param.type === 'Length');
+        if (specs.length === 0) {
+            return [];
+        }
+
+        const warnings = [];
+        const sets = [{ label: 'default', values: this.formulaEngine.evaluateSIR(sir).values }].concat(
+            familyTypes.filter(type => type && type.name)
+                .map(type => ({ label: `type "${type.name}"`, values: this.formulaEngine.evaluateSIR(sir, {}, type.name).values }))
+        );
+
+        specs.forEach(({ spec, param }) => {
+            sets.forEach(({ label, values }) => {
+                const value = values[param.name];
+                if (typeof value !== 'number' || !isFinite(value)) {
+                    return;
+                }
+                if (value < spec.range.min || value > spec.range.max) {
+                    warnings.push(`${param.name} (${label}) is ${formatFeet(value)}, outside the usual ${category} range of ` +
+                        `${formatFeet(spec.range.min)} to ${formatFeet(spec.range.max)}`);
+                }
+            });
+        });
+
+        return warnings;
+    }
+
+    /**
+     * Category requirements for the LLM system prompt
+     */
+    toPromptString() {
+        return Object.keys(this.rules).map(category => {
+            const rule = this.rules[category];
+            const parts = [];
+
+            if (rule.parameters.length > 0) {
+                parts.push('parameters ' + rule.parameters.map(spec =>
+                    `"${spec.name}" (${spec.type}${spec.range ? `, ${spec.range.min}-${spec.range.max} ft` : ''})`).join(', '));
+            }
+            const hostTypes = (rule.hosting.types || []).filter(Boolean);
+            if (rule.hosting.required) {
+                parts.push(`isHosted: true with hostingType "${hostTypes.join('" or "')}"`);
+            } else if (rule.hosting.types && hostTypes.length === 0) {
+                parts.push('not hosted (isHosted: false)');
+            } else if (hostTypes.length > 0) {
+                parts.push(`optionally hosted by ${hostTypes.join(', ')}`);
+            }
+            if (rule.voids.min > 0) {
+                parts.push(`at least ${rule.voids.min} void extrusion (isSolid: false) to ${rule.voids.purpose}`);
+            }
+            rule.connectors.forEach(required => {
+                parts.push(`at least ${required.min} ${required.domains.join(' or ')} connector in geometryDefinition.connectors to ${required.purpose}`);
+            });
+            if (rule.guidance) {
+                parts.push(rule.guidance);
+            }
+
+            return `- ${category}: ${parts.length > 0 ? parts.join('; ') : 'no category-specific requirements'}`;
+        }).join('\n');
+    }
+}
+
+function countVoids(geometry) {
+    return ['extrusions', 'blends', 'sweeps', 'revolves'].reduce((count, kind) => {
+        return count + (geometry[kind] || []).filter(element => element && element.isSolid === false).length;
+    }, 0);
+}
+
+function normalizeName(name) {
+    return String(name || '').toLowerCase().replace(/[\s_-]+/g, '');
+}
+
+function formatFeet(value) {
+    return `${Math.round(value * 1000) / 1000} ft`;
+}
+
+CategoryRules.CATEGORY_RULES = CATEGORY_RULES;
+
+module.exports = CategoryRules;
@@ -0,0 +1,327 @@
+/////////////////////////////////////////////////////////////////////
+// BIM-LLM Blueprint: Constraint Dependency Graph
+// Copyright (c) 2024 BIM-LLM Platform
+//
+// This module builds a dependency graph over a SIR's reference
+// planes, extrusions and constraints, and finds references to
+// undefined elements, over-constrained and circular chains, unlocked
+// dimension pairs and extrusions that no parameter can flex
+/////////////////////////////////////////////////////////////////////
+
+// Reference planes every family template provides, by category
+const TEMPLATE_REFERENCES = {
+    Windows: ['Ref. Level', 'Center (Left/Right)', 'Center (Front/Back)', 'Exterior', 'Interior', 'Left', 'Right', 'Sill', 'Head'],
+    Doors: ['Ref. Level', 'Center (Left/Right)', 'Center (Front/Back)', 'Exterior', 'Interior', 'Left', 'Right'],
+    default: ['Ref. Level', 'Center (Left/Right)', 'Center (Front/Back)']
+};
+
+// Template planes that the template's own dimensions already drive
+const TEMPLATE_DRIVEN = {
+    Windows: ['Left', 'Right', 'Head'],
+    Doors: ['Left', 'Right'],
+    default: []
+};
+
+// Constraints that fix the position of element2 relative to element1
+const POSITIONING_TYPES = ['dimension', 'distance', 'offset', 'align', 'alignment', 'lock', 'locked', 'coincident'];
+const DIMENSION_TYPES = ['dimension', 'distance', 'offset'];
+const EQUALITY_TYPES = ['equal', 'eq', 'equality', 'symmetric'];
+
+class ConstraintGraph {
+    /**
+     * @param {Object} sir - Structured Intermediate Representation
+     */
+    constructor(sir) {
+        const geometry = sir.geometryDefinition || {};
+        const category = sir.familyMetadata && sir.familyMetadata.category;
+
+        this.planes = (geometry.referencePlanes || []).filter(plane => plane && plane.name);
+        this.extrusions = (geometry.extrusions || []).filter(extrusion => extrusion && extrusion.name);
+        this.constraints = geometry.constraints || [];
+        this.parameters = (sir.parameters && sir.parameters.familyParameters) || [];
+        this.templateReferences = TEMPLATE_REFERENCES[category] || TEMPLATE_REFERENCES.default;
+        this.templateDriven = TEMPLATE_DRIVEN[category] || TEMPLATE_DRIVEN.default;
+    }
+
+    /**
+     * Analyze the constraints
+     * @returns {Object} { issues: [{ code, severity, path, elements, message }], edges }
+     */
+    analyze() {
+        const issues = [];
+        const edges = [];
+
+        this.constraints.forEach((constraint, index) => {
+            const path = `sir.geometryDefinition.constraints[${index}]`;
+            if (!constraint || typeof constraint !== 'object') {
+                return;
+            }
+
+            const type = String(constraint.constraintType || '').toLowerCase();
+            const from = this.resolve(constraint.element1);
+            const to = this.resolve(constraint.element2);
+
+            [['element1', from], ['element2', to]].forEach(([field, ref]) => {
+                if (!ref) {
+                    issues.push(issue('undefined_element', 'issue', `${path}.${field}`, [constraint[field]],
+                        `references undefined element "${constraint[field]}"`));
+                }
+            });
+
+            if (constraint.parameter) {
+                const param = this.parameters.find(p => p.name === constraint.parameter);
+                if (!param) {
+                    issues.push(issue('undefined_parameter', 'issue', `${path}.parameter`, [constraint.parameter],
+                        `references undefined parameter "${constraint.parameter}"`));
+                } else if (param.type !== 'Length') {
+                    issues.push(issue('parameter_type', 'issue', `${path}.parameter`, [constraint.parameter],
+                        `is labelled with ${param.type} parameter "${param.name}"; constraints need a Length parameter`));
+                }
+            }
+
+            if (!from || !to) {
+                return;
+            }
+
+            if (from.key === to.key) {
+                issues.push(issue('self_reference', 'issue', path, [constraint.element1],
+                    `constrains "${constraint.element1}" to itself`));
+                return;
+            }
+
+            if (from.plane && to.plane && !parallel(from.plane, to.plane) &&
+                (DIMENSION_TYPES.includes(type) || type.startsWith('align'))) {
+                issues.push(issue('non_parallel', 'issue', path, [from.name, to.name],
+                    `${type} between non-parallel reference planes "${from.name}" and "${to.name}"`));
+            }
+
+            const unlockedDimension = DIMENSION_TYPES.includes(type) && !constraint.parameter && constraint.locked !== true;
+            const unlockedAlignment = type.startsWith('align') && constraint.locked === false;
+            if (unlockedDimension) {
+                issues.push(issue('unlocked_dimension', 'warning', path, [from.name, to.name],
+                    `dimension between "${from.name}" and "${to.name}" is neither labelled with a parameter nor locked, so it will not hold when the family flexes`));
+            } else if (unlockedAlignment) {
+                issues.push(issue('unlocked_dimension', 'warning', path, [from.name, to.name],
+                    `alignment of "${to.name}" to "${from.name}" is not locked, so it will not hold when the family flexes`));
+            }
+
+            edges.push({
+                index: index,
+                path: path,
+                type: type,
+                from: from,
+                to: to,
+                parameter: constraint.parameter || null,
+                holds: !unlockedDimension && !unlockedAlignment,
+                positioning: POSITIONING_TYPES.includes(type) || (!EQUALITY_TYPES.includes(type) && !!constraint.parameter)
+            });
+        });
+
+        issues.push(...this.findDuplicates(edges));
+        issues.push(...this.findOverConstrained(edges));
+        issues.push(...this.findCycles(edges));
+        issues.push(...this.findUnderConstrained(edges));
+
+        return { issues: issues, edges: edges };
+    }
+
+    /**
+     * Resolve an element reference: a reference plane, an extrusion, an
+     * extrusion face ("Frame.Left" or "Frame:Left") or a template plane
+     */
+    resolve(name) {
+        if (typeof name !== 'string' || name.trim() === '') {
+            return null;
+        }
+
+        const plane = this.planes.find(p => p.name === name);
+        if (plane) {
+            return { key: name, name: name, element: name, plane: plane };
+        }
+        if (this.extrusions.some(e => e.name === name)) {
+            return { key: name, name: name, element: name, extrusion: name };
+        }
+        if (this.templateReferences.includes(name)) {
+            return { key: name, name: name, element: name, template: true };
+        }
+
+        const separator = Math.max(name.lastIndexOf('.'), name.lastIndexOf(':'));
+        if (separator > 0) {
+            const owner = name.slice(0, separator);
+            if (this.extrusions.some(e => e.name === owner)) {
+                return { key: name, name: name, element: owner, extrusion: owner, face: name.slice(separator + 1) };
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * The same pair of references constrained twice in the same way
+     */
+    findDuplicates(edges) {
+        const issues = [];
+        const seen = new Map();
+
+        edges.forEach(edge => {
+            const key = [edge.from.key, edge.to.key].sort().join('\u0000') + '\u0000' + edge.type;
+            if (seen.has(key)) {
+                const first = seen.get(key);
+                issues.push(issue('over_constrained', 'issue', edge.path, [edge.from.name, edge.to.name],
+                    `repeats the ${edge.type} between "${edge.from.name}" and "${edge.to.name}" (already set by constraints[${first.index}])`));
+            } else {
+                seen.set(key, edge);
+            }
+        });
+
+        return issues;
+    }
+
+    /**
+     * References whose position is set by more than one constraint.
+     * A whole extrusion can be constrained on several faces, so only
+     * planes and named faces are counted.
+     */
+    findOverConstrained(edges) {
+        const issues = [];
+        const incoming = new Map();
+
+        edges.filter(edge => edge.positioning && !edge.to.template && (edge.to.plane || edge.to.face))
+            .forEach(edge => {
+                const list = incoming.get(edge.to.key) || [];
+                list.push(edge);
+                incoming.set(edge.to.key, list);
+            });
+
+        incoming.forEach((list, key) => {
+            // Repeats of the same pair are reported as duplicates
+            const sources = new Set(list.map(edge => edge.from.key));
+            if (sources.size < 2) {
+                return;
+            }
+            issues.push(issue('over_constrained', 'issue', list[1].path, [key, ...sources],
+                `"${key}" is positioned by ${list.length} constraints ` +
+                `(${list.map(edge => `constraints[${edge.index}] from "${edge.from.name}"`).join(', ')})`));
+        });
+
+        return issues;
+    }
+
+    /**
+     * Chains of positioning constraints that lead back to where they started
+     */
+    findCycles(edges) {
+        const issues = [];
+        const outgoing = new Map();
+        edges.filter(edge => edge.positioning).forEach(edge => {
+            const list = outgoing.get(edge.from.key) || [];
+            list.push(edge);
+            outgoing.set(edge.from.key, list);
+        });
+
+        const state = new Map(); // 1: on the stack, 2: done
+        const stack = [];
+        const reported = [];
+
+        const visit = (key) => {
+            state.set(key, 1);
+            (outgoing.get(key) || []).forEach(edge => {
+                const next = edge.to.key;
+                stack.push(edge);
+                if (state.get(next) === 1) {
+                    const start = stack.findIndex(e => e.from.key === next);
+                    const cycle = stack.slice(start);
+                    const members = cycle.map(e => e.from.key).sort().join('\u0000');
+                    if (!reported.includes(members)) {
+                        reported.push(members);
+                        issues.push(issue('circular_constraint', 'issue', cycle[0].path, cycle.map(e => e.from.name),
+                            `circular constraint chain: ${cycle.map(e => e.from.name).concat(next).join(' -> ')} ` +
+                            `(${cycle.map(e => `constraints[${e.index}]`).join(', ')})`));
+                    }
+                } else if (!state.has(next)) {
+                    visit(next);
+                }
+                stack.pop();
+            });
+            state.set(key, 2);
+        };
+
+        Array.from(outgoing.keys()).forEach(key => {
+            if (!state.has(key)) {
+                visit(key);
+            }
+        });
+
+        return issues;
+    }
+
+    /**
+     * Extrusions that are not connected to any parameter-driven
+     * reference, so changing the parameters will not move them
+     */
+    findUnderConstrained(edges) {
+        const issues = [];
+        const lengthParameters = this.parameters.filter(param => param.type === 'Length');
+        if (this.extrusions.length === 0 || lengthParameters.length === 0) {
+            return issues;
+        }
+
+        // Everything attached to a labelled dimension (or a template-driven plane) moves with it
+        const neighbours = new Map();
+        const link = (a, b) => {
+            neighbours.set(a, (neighbours.get(a) || new Set()).add(b));
+        };
+        edges.filter(edge => edge.holds).forEach(edge => {
+            link(edge.from.element, edge.to.element);
+            link(edge.to.element, edge.from.element);
+        });
+
+        const driven = new Set();
+        const queue = [];
+        edges.filter(edge => edge.parameter).forEach(edge => queue.push(edge.to.element, edge.from.element));
+        this.templateDriven.forEach(name => {
+            if (neighbours.has(name) && !this.planes.some(plane => plane.name === name)) {
+                queue.push(name);
+            }
+        });
+        while (queue.length > 0) {
+            const element = queue.shift();
+            if (driven.has(element)) {
+                continue;
+            }
+            driven.add(element);
+            (neighbours.get(element) || []).forEach(next => queue.push(next));
+        }
+
+        this.extrusions.forEach(extrusion => {
+            if (driven.has(extrusion.name)) {
+                return;
+            }
+            const index = this.extrusions.indexOf(extrusion);
+            const constrained = edges.some(edge => edge.from.element === extrusion.name || edge.to.element === extrusion.name);
+            issues.push(issue('under_constrained', 'warning', `sir.geometryDefinition.extrusions[${index}]`, [extrusion.name],
+                constrained ?
+                    `extrusion "${extrusion.name}" is not held to any reference a parameter drives, so it will not flex` :
+                    `extrusion "${extrusion.name}" has no constraints, so it will not flex with the parameters`));
+        });
+
+        return issues;
+    }
+}
+
+function issue(code, severity, path, elements, message) {
+    return { code: code, severity: severity, path: path, elements: elements, message: message };
+}
+
+function parallel(a, b) {
+    const n1 = a.normal || {};
+    const n2 = b.normal || {};
+    const cx = (n1.y || 0) * (n2.z || 0) - (n1.z || 0) * (n2.y || 0);
+    const cy = (n1.z || 0) * (n2.x || 0) - (n1.x || 0) * (n2.z || 0);
+    const cz = (n1.x || 0) * (n2.y || 0) - (n1.y || 0) * (n2.x || 0);
+    return Math.hypot(cx, cy, cz) < 1e-3;
+}
+
+ConstraintGraph.TEMPLATE_REFERENCES = TEMPLATE_REFERENCES;
+
+module.exports = ConstraintGraph;
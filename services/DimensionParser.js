@@ -0,0 +1,551 @@
+/////////////////////////////////////////////////////////////////////
+// BIM-LLM Blueprint: Dimension Parser
+// Copyright (c) 2024 BIM-LLM Platform
+//
+// This module tokenizes natural language prompts and extracts
+// unit-aware dimensions, normalized to Revit internal units (feet)
+/////////////////////////////////////////////////////////////////////
+
+const MM_PER_FOOT = 304.8;
+
+// Conversion factors from each unit to feet
+const UNIT_TO_FEET = {
+    mm: 1 / MM_PER_FOOT,
+    cm: 10 / MM_PER_FOOT,
+    m: 1000 / MM_PER_FOOT,
+    in: 1 / 12,
+    ft: 1
+};
+
+const UNIT_ALIASES = [
+    { re: /^(?:millimet(?:er|re)s?|mm)/, unit: 'mm' },
+    { re: /^(?:centimet(?:er|re)s?|cm)/, unit: 'cm' },
+    { re: /^(?:met(?:er|re)s?|m)/, unit: 'm' },
+    { re: /^(?:inch(?:es)?|in|"|”|″)/, unit: 'in' },
+    { re: /^(?:feet|foot|ft|'|’|′)/, unit: 'ft' }
+];
+
+const METRIC_UNITS = ['mm', 'cm', 'm'];
+
+// Labels are matched longest first so "sill height" is not read as "height"
+const DIMENSION_LABELS = {
+    sillHeight: ['sill height', 'sill', 'from floor', 'above floor', 'off floor', 'aff'],
+    inset: ['frame depth', 'inset', 'recess'],
+    frameWidth: ['frame width', 'jamb width'],
+    threshold: ['threshold height', 'threshold'],
+    hardwareHeight: ['hardware height', 'handle height', 'lever height', 'handle at', 'hardware at'],
+    width: ['width', 'wide'],
+    height: ['height', 'high', 'tall'],
+    depth: ['depth', 'deep', 'thickness', 'thick']
+};
+
+// Labels that follow their value ("900 mm wide"); the others precede it ("width 900 mm")
+const TRAILING_LABELS = ['wide', 'high', 'tall', 'deep', 'thick', 'from floor', 'above floor', 'off floor', 'aff'];
+
+// Maximum number of words allowed between a label and its value
+const MAX_LABEL_GAP = 4;
+
+class DimensionParser {
+    /**
+     * @param {Object} options
+     * @param {string} options.units - Session units ('metric' or 'imperial'), used for unitless numbers
+     * @param {Array<string>} options.seriesOrder - Dimension names assigned to "A x B x C" values
+     */
+    constructor(options = {}) {
+        this.units = options.units || 'metric';
+        this.seriesOrder = options.seriesOrder || ['width', 'height', 'depth'];
+    }
+
+    /**
+     * Split text into number, unit, separator and word tokens with source spans
+     * @param {string} text - Prompt text
+     * @returns {Array<Object>} Tokens ({ type, text, start, end, ... })
+     */
+    tokenize(text) {
+        const source = String(text || '');
+        const lower = source.toLowerCase();
+        const tokens = [];
+        let i = 0;
+
+        while (i < lower.length) {
+            const rest = lower.slice(i);
+            const previous = tokens[tokens.length - 1];
+            const followsNumber = previous && previous.type === 'number' && /^[ \t]*$/.test(lower.slice(previous.end, i));
+            let match;
+
+            if (/^\s/.test(rest)) {
+                if (rest[0] === '\n') {
+                    tokens.push({ type: 'separator', text: '\n', start: i, end: i + 1 });
+                }
+                i += 1;
+                continue;
+            }
+
+            // Fractions ("1/2") and decimal numbers
+            if ((match = rest.match(/^(\d+)\/(\d+)(?![\d.])/))) {
+                const denominator = parseInt(match[2], 10);
+                if (denominator !== 0) {
+                    tokens.push({
+                        type: 'number',
+                        value: parseInt(match[1], 10) / denominator,
+                        isFraction: true,
+                        text: source.substr(i, match[0].length),
+                        start: i,
+                        end: i + match[0].length
+                    });
+                    i += match[0].length;
+                    continue;
+                }
+            }
+            if ((match = rest.match(/^\d+(?:\.\d+)?|^\.\d+/))) {
+                tokens.push({
+                    type: 'number',
+                    value: parseFloat(match[0]),
+                    text: source.substr(i, match[0].length),
+                    start: i,
+                    end: i + match[0].length
+                });
+                i += match[0].length;
+                continue;
+            }
+
+            // Units only count directly after a number ("900 mm", "3'")
+            if (followsNumber) {
+                const unit = this.matchUnit(rest);
+                if (unit) {
+                    tokens.push({ type: 'unit', unit: unit.unit, text: source.substr(i, unit.length), start: i, end: i + unit.length });
+                    i += unit.length;
+                    continue;
+                }
+            }
+
+            // "x", "×" and "by" join dimensions in a series
+            if ((match = rest.match(/^(?:×|x(?![a-z])|by(?![a-z]))/))) {
+                if (previous && (previous.type === 'number' || previous.type === 'unit')) {
+                    tokens.push({ type: 'by', text: source.substr(i, match[0].length), start: i, end: i + match[0].length });
+                    i += match[0].length;
+                    continue;
+                }
+            }
+
+            // "-", "–" and "to" join the ends of a range
+            if ((match = rest.match(/^(?:-|–|—|to(?![a-z]))/))) {
+                tokens.push({ type: 'range', text: source.substr(i, match[0].length), start: i, end: i + match[0].length });
+                i += match[0].length;
+                continue;
+            }
+
+            if ((match = rest.match(/^[a-z]+/))) {
+                tokens.push({ type: 'word', text: source.substr(i, match[0].length), value: match[0], start: i, end: i + match[0].length });
+                i += match[0].length;
+                continue;
+            }
+
+            if (/^[,;:()]/.test(rest) || /^\.(?!\d)/.test(rest)) {
+                tokens.push({ type: 'separator', text: rest[0], start: i, end: i + 1 });
+            }
+            i += 1;
+        }
+
+        return tokens;
+    }
+
+    /**
+     * Parse text into quantities (single lengths, "A x B" series and ranges)
+     * @param {string} text - Prompt text
+     * @param {Object} options - { units } overriding the parser default
+     * @returns {Array<Object>} Quantities with values in feet and source spans
+     */
+    parse(text, options = {}) {
+        const source = String(text || '');
+        const tokens = this.tokenize(source);
+        const units = options.units || this.units;
+        const quantities = [];
+        let i = 0;
+
+        while (i < tokens.length) {
+            if (tokens[i].type !== 'number') {
+                i += 1;
+                continue;
+            }
+
+            const first = this.readLength(tokens, i);
+            let end = first.next;
+            const members = [first];
+            let kind = 'single';
+
+            if (tokens[end] && tokens[end].type === 'by') {
+                kind = 'series';
+                while (tokens[end] && tokens[end].type === 'by' && tokens[end + 1] && tokens[end + 1].type === 'number') {
+                    const member = this.readLength(tokens, end + 1);
+                    members.push(member);
+                    end = member.next;
+                }
+            } else if (this.isRangeJoin(tokens, i, end)) {
+                kind = 'range';
+                const member = this.readLength(tokens, end + 1);
+                members.push(member);
+                end = member.next;
+            }
+
+            // A trailing unit applies to every member without its own ("900 x 1200 mm")
+            const sharedUnit = members.slice().reverse().find(m => m.unit);
+            members.forEach(member => {
+                if (!member.unit && sharedUnit && kind !== 'single') {
+                    member.unit = sharedUnit.unit;
+                    member.unitInferred = 'shared';
+                }
+            });
+
+            const resolved = members.map(member => {
+                const memberSpan = [tokens[member.start].start, tokens[member.next - 1].end];
+                return Object.assign(this.resolveLength(member, units), {
+                    text: source.slice(memberSpan[0], memberSpan[1]),
+                    span: memberSpan
+                });
+            });
+            const span = [tokens[i].start, tokens[end - 1].end];
+            const quantity = {
+                kind: kind,
+                text: source.slice(span[0], span[1]),
+                span: span,
+                tokenRange: [i, end]
+            };
+
+            if (kind === 'single') {
+                Object.assign(quantity, resolved[0], { span: span, text: quantity.text });
+            } else if (kind === 'range') {
+                quantity.min = resolved[0].valueFt <= resolved[1].valueFt ? resolved[0] : resolved[1];
+                quantity.max = quantity.min === resolved[0] ? resolved[1] : resolved[0];
+                quantity.valueFt = quantity.min.valueFt;
+            } else {
+                quantity.items = resolved;
+            }
+
+            quantities.push(quantity);
+            i = end;
+        }
+
+        return quantities;
+    }
+
+    /**
+     * Extract labelled dimensions (width, height, depth, sillHeight, inset,
+     * frameWidth, threshold, hardwareHeight) from text
+     * @param {string} text - Prompt text
+     * @param {Object} options - { units, seriesOrder }
+     * @returns {Object} Map of dimension name to { valueFt, text, span, ... }
+     */
+    extractDimensions(text, options = {}) {
+        const source = String(text || '');
+        const tokens = this.tokenize(source);
+        const quantities = this.parse(source, options);
+        const seriesOrder = options.seriesOrder || this.seriesOrder;
+        const labels = this.findLabels(tokens);
+        const dimensions = {};
+        const candidates = [];
+
+        // Score every (label, quantity) pair that sits in the same clause
+        // with no other label between them
+        const labelTokens = new Set(labels.map(label => label.tokenIndex));
+        labels.forEach(label => {
+            quantities.forEach((quantity, qIndex) => {
+                const distance = this.labelDistance(tokens, label, quantity, labelTokens);
+                if (distance !== null) {
+                    candidates.push({ label: label, quantity: quantity, qIndex: qIndex, distance: distance });
+                }
+            });
+        });
+
+        // A label takes the nearest value on its own side ("width 900",
+        // "900 wide") before the nearest value on the other side
+        const sideRank = candidate => candidate.distance.before === candidate.label.trailing ? 0 : 1;
+        candidates.sort((a, b) => {
+            if (sideRank(a) !== sideRank(b)) return sideRank(a) - sideRank(b);
+            if (a.distance.tokens !== b.distance.tokens) return a.distance.tokens - b.distance.tokens;
+            return a.label.start - b.label.start;
+        });
+
+        const usedQuantities = new Set();
+        candidates.forEach(candidate => {
+            const name = candidate.label.dimension;
+            if (dimensions[name] || usedQuantities.has(candidate.qIndex)) return;
+            if (candidate.quantity.kind === 'series') return;
+            dimensions[name] = this.toDimension(candidate.quantity, candidate.label);
+            usedQuantities.add(candidate.qIndex);
+        });
+
+        // "900 x 1200 mm" fills the remaining dimensions in series order
+        quantities.forEach((quantity, qIndex) => {
+            if (quantity.kind !== 'series' || usedQuantities.has(qIndex)) return;
+            usedQuantities.add(qIndex);
+            quantity.items.forEach((item, index) => {
+                const name = seriesOrder[index];
+                if (name && !dimensions[name]) {
+                    dimensions[name] = this.toDimension(item, null);
+                }
+            });
+        });
+
+        return dimensions;
+    }
+
+    /**
+     * Extract a catalogue of sizes from a list of "A x B" series, as in
+     * "standard sizes 600x900, 900x1200, 1200x1500 mm". A unit written after
+     * the last size applies to the earlier sizes that have none.
+     * @param {string} text - Prompt text
+     * @param {Object} options - { units, seriesOrder }
+     * @returns {Array<Object>} One entry per size, named after its values
+     *   ("600x900 mm"), as { name, text, span, width, height, depth? } in feet, or
+     *   an empty array when the prompt gives fewer than two sizes
+     */
+    extractSizeList(text, options = {}) {
+        const source = String(text || '');
+        const seriesOrder = options.seriesOrder || this.seriesOrder;
+        const series = this.parse(source, options).filter(quantity => quantity.kind === 'series');
+
+        if (series.length < 2) {
+            return [];
+        }
+
+        const explicitUnit = (quantity) => {
+            const member = quantity.items.find(item => !item.unitInferred || item.unitInferred === 'shared');
+            return member ? member.unit : null;
+        };
+        const listUnit = series.map(explicitUnit).reverse().find(unit => unit);
+
+        return series.map(quantity => {
+            const unit = explicitUnit(quantity) || listUnit;
+            const size = {
+                name: quantity.items.map(item => +item.value.toFixed(2)).join('x') + (unit ? ` ${unit}` : ''),
+                text: quantity.text,
+                span: quantity.span
+            };
+            quantity.items.forEach((item, index) => {
+                const name = seriesOrder[index];
+                if (name) {
+                    size[name] = unit && item.unitInferred === 'session' ? this.toFeet(item.value, unit) : item.valueFt;
+                }
+            });
+            return size;
+        });
+    }
+
+    /**
+     * Convert a value in the given unit to feet
+     */
+    toFeet(value, unit) {
+        const factor = UNIT_TO_FEET[unit];
+        if (factor === undefined) {
+            throw new Error(`Unknown length unit: ${unit}`);
+        }
+        return value * factor;
+    }
+
+    /**
+     * Convert a value in feet to the given unit
+     */
+    fromFeet(valueFt, unit) {
+        return valueFt / this.toFeet(1, unit);
+    }
+
+    // Internal helpers
+
+    matchUnit(rest) {
+        for (const alias of UNIT_ALIASES) {
+            const match = rest.match(alias.re);
+            if (!match) continue;
+            // Word units must end at a word boundary ("2 more" is not metres)
+            const isSymbol = /^["'”″’′]/.test(match[0]);
+            if (isSymbol || !/^[a-z]/.test(rest.slice(match[0].length))) {
+                return { unit: alias.unit, length: match[0].length };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Read one length starting at a number token: "3", "3 mm", "3 1/2\"", "5' 6\"", "5'-6\""
+     */
+    readLength(tokens, index) {
+        const numberToken = tokens[index];
+        let value = numberToken.value;
+        let next = index + 1;
+        let unit = null;
+
+        // Mixed fraction: "3 1/2"
+        if (!numberToken.isFraction && tokens[next] && tokens[next].type === 'number' && tokens[next].isFraction) {
+            value += tokens[next].value;
+            next += 1;
+        }
+
+        if (tokens[next] && tokens[next].type === 'unit') {
+            unit = tokens[next].unit;
+            next += 1;
+        }
+
+        // Feet-inches: "5' 6\"", "5 ft 6 in", "5'-6\"", "5 ft 6 1/2 in"
+        if (unit === 'ft') {
+            let cursor = next;
+            if (tokens[cursor] && tokens[cursor].type === 'range' && tokens[cursor].text === '-') {
+                cursor += 1;
+            }
+            if (tokens[cursor] && tokens[cursor].type === 'number') {
+                let inches = tokens[cursor].value;
+                let inchCursor = cursor + 1;
+                if (!tokens[cursor].isFraction && tokens[inchCursor] && tokens[inchCursor].type === 'number' && tokens[inchCursor].isFraction) {
+                    inches += tokens[inchCursor].value;
+                    inchCursor += 1;
+                }
+                if (tokens[inchCursor] && tokens[inchCursor].type === 'unit' && tokens[inchCursor].unit === 'in') {
+                    return {
+                        value: value + inches / 12,
+                        unit: 'ft',
+                        feetInches: { feet: value, inches: inches },
+                        start: index,
+                        next: inchCursor + 1
+                    };
+                }
+            }
+        }
+
+        return { value: value, unit: unit, start: index, next: next };
+    }
+
+    /**
+     * A range is "A - B", "A to B" or "between A and B" with B a number
+     */
+    isRangeJoin(tokens, start, end) {
+        const join = tokens[end];
+        if (!join || !tokens[end + 1] || tokens[end + 1].type !== 'number') {
+            return false;
+        }
+        if (join.type === 'range') {
+            return true;
+        }
+        const previous = tokens[start - 1];
+        return join.type === 'word' && join.value === 'and' && previous && previous.type === 'word' && previous.value === 'between';
+    }
+
+    /**
+     * Resolve a parsed length to feet, inferring the unit of unitless numbers
+     * from the session units: metric values up to 10 are metres, larger ones
+     * millimetres; imperial values up to 20 are feet, larger ones inches
+     */
+    resolveLength(member, units) {
+        let unit = member.unit;
+        let unitInferred = member.unitInferred || null;
+
+        if (!unit) {
+            if (units === 'imperial') {
+                unit = member.value <= 20 ? 'ft' : 'in';
+            } else {
+                unit = member.value <= 10 ? 'm' : 'mm';
+            }
+            unitInferred = 'session';
+        }
+
+        const result = {
+            value: member.value,
+            unit: unit,
+            valueFt: this.toFeet(member.value, unit),
+            isMetric: METRIC_UNITS.includes(unit)
+        };
+        if (unitInferred) {
+            result.unitInferred = unitInferred;
+        }
+        if (member.feetInches) {
+            result.feetInches = member.feetInches;
+        }
+        return result;
+    }
+
+    /**
+     * Find dimension labels, preferring the longest phrase at each position
+     */
+    findLabels(tokens) {
+        const phrases = [];
+        Object.keys(DIMENSION_LABELS).forEach(dimension => {
+            DIMENSION_LABELS[dimension].forEach(phrase => {
+                phrases.push({ dimension: dimension, words: phrase.split(' ') });
+            });
+        });
+        phrases.sort((a, b) => b.words.length - a.words.length);
+
+        const labels = [];
+        let i = 0;
+        while (i < tokens.length) {
+            const found = tokens[i].type === 'word' && phrases.find(phrase => {
+                return phrase.words.every((word, offset) => {
+                    const token = tokens[i + offset];
+                    return token && token.type === 'word' && token.value === word;
+                });
+            });
+
+            if (found) {
+                labels.push({
+                    dimension: found.dimension,
+                    text: found.words.join(' '),
+                    trailing: TRAILING_LABELS.includes(found.words.join(' ')),
+                    tokenIndex: i,
+                    tokenEnd: i + found.words.length,
+                    start: tokens[i].start,
+                    end: tokens[i + found.words.length - 1].end
+                });
+                i += found.words.length;
+            } else {
+                i += 1;
+            }
+        }
+        return labels;
+    }
+
+    /**
+     * Words and tokens between a label and a quantity, or null when they are
+     * in different clauses, too far apart or separated by another label
+     * @param {Set<number>} labelTokens - Token index of every label's first word
+     */
+    labelDistance(tokens, label, quantity, labelTokens = new Set()) {
+        const [qStart, qEnd] = quantity.tokenRange;
+        const before = qEnd <= label.tokenIndex;
+        const from = before ? qEnd : label.tokenEnd;
+        const to = before ? label.tokenIndex : qStart;
+        let words = 0;
+
+        for (let i = from; i < to; i++) {
+            const token = tokens[i];
+            if (token.type === 'separator' && token.text !== ':') return null;
+            if (labelTokens.has(i)) return null;
+            if (token.type === 'word') words += 1;
+        }
+
+        if (words > MAX_LABEL_GAP) return null;
+        return { words: words, tokens: to - from, before: before };
+    }
+
+    toDimension(quantity, label) {
+        const dimension = {
+            valueFt: quantity.valueFt,
+            value: quantity.value,
+            unit: quantity.unit,
+            text: quantity.text,
+            span: quantity.span
+        };
+        if (quantity.unitInferred) dimension.unitInferred = quantity.unitInferred;
+        if (quantity.kind === 'range') {
+            dimension.value = quantity.min.value;
+            dimension.unit = quantity.min.unit;
+            dimension.range = { minFt: quantity.min.valueFt, maxFt: quantity.max.valueFt };
+        }
+        if (label) {
+            dimension.label = { text: label.text, span: [label.start, label.end] };
+        }
+        return dimension;
+    }
+}
+
+DimensionParser.MM_PER_FOOT = MM_PER_FOOT;
+DimensionParser.UNIT_TO_FEET = UNIT_TO_FEET;
+
+module.exports = DimensionParser;
@@ -0,0 +1,403 @@
+/////////////////////////////////////////////////////////////////////
+// BIM-LLM Blueprint: Door Parameters
+// Copyright (c) 2024 BIM-LLM Platform
+//
+// This module builds the DoorParams payload the CreateWindow plug-in
+// reads to create door families (single, double, sliding and pocket)
+// from a SIR, and validates it before it is sent to Design Automation
+/////////////////////////////////////////////////////////////////////
+
+const CategoryRules = require('./CategoryRules');
+const FormulaEngine = require('./FormulaEngine');
+
+// Leaf counts each style can have
+const DOOR_STYLES = {
+    SingleDoor: { label: 'Single', leafCounts: [1], sliding: false },
+    DoubleDoor: { label: 'Double', leafCounts: [2], sliding: false },
+    SlidingDoor: { label: 'Sliding', leafCounts: [1, 2], sliding: true },
+    PocketDoor: { label: 'Pocket', leafCounts: [1, 2], sliding: true }
+};
+const DEFAULT_STYLE = 'SingleDoor';
+
+// Hinge side (swinging) or opening side (sliding) by leaf count; two
+// leaves always open both ways
+const SWING_DIRECTIONS = {
+    1: ['Left', 'Right'],
+    2: ['Both']
+};
+
+// 'None' is a frameless opening
+const FRAME_PROFILES = ['Rectangular', 'Rebated', 'Cased', 'None'];
+
+// Prompt keywords, checked in order so "double sliding door" is sliding
+const STYLE_KEYWORDS = [
+    ['PocketDoor', ['pocket']],
+    ['SlidingDoor', ['sliding', 'slider', 'barn door', 'patio door']],
+    ['DoubleDoor', ['double door', 'double-door', 'double swing', 'double leaf', 'double-leaf', 'french door', 'pair of doors']]
+];
+const TWO_LEAF_KEYWORDS = ['double', 'bi-parting', 'biparting', 'two-leaf', 'two leaf', '2-leaf', 'two leaves', '2 leaves', 'two panels', '2 panels'];
+const SWING_KEYWORDS = {
+    Left: ['left-hand', 'left hand', 'left hinged', 'left-hinged', 'hinged left', 'hinged on the left', 'left swing', 'swing left', 'swings left', 'swinging left', 'opens left', 'opening left', 'slides left'],
+    Right: ['right-hand', 'right hand', 'right hinged', 'right-hinged', 'hinged right', 'hinged on the right', 'right swing', 'swing right', 'swings right', 'swinging right', 'opens right', 'opening right', 'slides right']
+};
+const FRAME_PROFILE_KEYWORDS = {
+    Rebated: ['rebated', 'rabbeted', 'rebate'],
+    Cased: ['cased', 'casing', 'architrave', 'trim'],
+    None: ['frameless', 'no frame', 'without frame']
+};
+
+// SIR family parameters the payload is read from, in internal units
+// (feet). Width, Height and Thickness share the Doors category rules.
+const TYPE_PARAMETERS = [
+    { key: 'DoorWidth', name: 'Width', type: 'Length' },
+    { key: 'DoorHeight', name: 'Height', type: 'Length' },
+    { key: 'DoorThickness', name: 'Thickness', type: 'Length' },
+    { key: 'FrameWidth', name: 'Frame Width', type: 'Length', aliases: ['Jamb Width', 'Frame Face'], default: 0.125, prompt: 'frameWidth' },
+    { key: 'FrameDepth', name: 'Frame Depth', type: 'Length', aliases: ['Jamb Depth'], default: 0.375, prompt: 'inset' },
+    { key: 'ThresholdHeight', name: 'Threshold Height', type: 'Length', aliases: ['Threshold'], default: 0.0417, prompt: 'threshold' },
+    { key: 'HardwareHeight', name: 'Hardware Height', type: 'Length', aliases: ['Handle Height', 'Lever Height'], default: 3.5, prompt: 'hardwareHeight' }
+];
+const FAMILY_PARAMETERS = [
+    { key: 'DoorStyle', name: 'Door Style', type: 'Text', aliases: ['Style', 'Operation'] },
+    { key: 'LeafCount', name: 'Leaf Count', type: 'Integer', aliases: ['Leaves', 'Number of Leaves', 'Panel Count'] },
+    { key: 'SwingDirection', name: 'Swing Direction', type: 'Text', aliases: ['Swing', 'Handing', 'Hand'] },
+    { key: 'FrameProfile', name: 'Frame Profile', type: 'Text', aliases: ['Frame Type'] }
+];
+
+// Hinged leaves narrower or wider than this do not hang properly
+const LEAF_WIDTH_RANGE = { min: 1, max: 4 };
+// Accessible lever heights (34" to 48") and threshold (1/2")
+const HARDWARE_HEIGHT_RANGE = { min: 2.833, max: 4 };
+const ACCESSIBLE_THRESHOLD = 0.0417;
+
+class DoorParams {
+    /**
+     * @param {Object} options - { categoryRules, formulaEngine, dimensionParser }
+     */
+    constructor(options = {}) {
+        this.categoryRules = options.categoryRules || new CategoryRules();
+        this.formulaEngine = options.formulaEngine || new FormulaEngine();
+        this.dimensionParser = options.dimensionParser || null;
+    }
+
+    /**
+     * Style named in a prompt, or null
+     * @param {string} text - Prompt text
+     */
+    detectStyle(text) {
+        const lower = String(text || '').toLowerCase();
+        const match = STYLE_KEYWORDS.find(([, keywords]) => keywords.some(keyword => lower.includes(keyword)));
+        return match ? match[0] : null;
+    }
+
+    /**
+     * Door settings named in a prompt: style, leaf count, swing and frame profile.
+     * Settings the prompt does not name are omitted.
+     * @param {string} text - Prompt text
+     */
+    detectSettings(text) {
+        const lower = String(text || '').toLowerCase();
+        const settings = {};
+
+        const style = this.detectStyle(lower);
+        if (style) {
+            settings.DoorStyle = style;
+        }
+        if (style === 'DoubleDoor' || (style && DOOR_STYLES[style].sliding && TWO_LEAF_KEYWORDS.some(keyword => lower.includes(keyword)))) {
+            settings.LeafCount = 2;
+        }
+
+        const swing = Object.keys(SWING_KEYWORDS).find(direction => SWING_KEYWORDS[direction].some(keyword => lower.includes(keyword)));
+        if (swing) {
+            settings.SwingDirection = swing;
+        }
+
+        const profile = Object.keys(FRAME_PROFILE_KEYWORDS).find(name => FRAME_PROFILE_KEYWORDS[name].some(keyword => lower.includes(keyword)));
+        if (profile) {
+            settings.FrameProfile = profile;
+        }
+
+        return settings;
+    }
+
+    /**
+     * Complete door settings: unset values get their style's defaults
+     * @param {Object} settings - { DoorStyle, LeafCount, SwingDirection, FrameProfile }
+     */
+    resolveSettings(settings = {}) {
+        const style = DOOR_STYLES[settings.DoorStyle] ? settings.DoorStyle : DEFAULT_STYLE;
+        const leafCount = Number.isInteger(settings.LeafCount) ? settings.LeafCount : DOOR_STYLES[style].leafCounts[0];
+        const swings = SWING_DIRECTIONS[leafCount] || SWING_DIRECTIONS[1];
+
+        return {
+            DoorStyle: style,
+            LeafCount: leafCount,
+            SwingDirection: settings.SwingDirection || (swings.includes('Right') ? 'Right' : swings[0]),
+            FrameProfile: settings.FrameProfile || 'Rectangular'
+        };
+    }
+
+    /**
+     * Default type values for a door, in feet. The width gives each leaf
+     * of a multi-leaf door the default leaf width.
+     * @param {Object} settings - Resolved settings
+     */
+    defaultTypeValues(settings) {
+        const rules = this.categoryRules.get('Doors');
+        const values = {};
+        TYPE_PARAMETERS.forEach(param => {
+            const spec = rules.parameters.find(rule => rule.name === param.name);
+            values[param.key] = spec ? spec.default : param.default;
+        });
+        values.DoorWidth = values.DoorWidth * settings.LeafCount;
+        if (settings.FrameProfile === 'None') {
+            values.FrameWidth = 0;
+        }
+        return values;
+    }
+
+    /**
+     * SIR family parameters for a door, e.g. for generated or demo SIRs
+     * @param {Object} settings - Door settings (completed with defaults)
+     * @param {Object} values - Type values by payload key, overriding the defaults
+     * @returns {Array<Object>} familyParameters entries
+     */
+    toSIRParameters(settings = {}, values = {}) {
+        const resolved = this.resolveSettings(settings);
+        const typeValues = Object.assign(this.defaultTypeValues(resolved), values);
+
+        return TYPE_PARAMETERS.map(param => ({
+            name: param.name,
+            type: param.type,
+            defaultValue: typeValues[param.key],
+            isInstance: false
+        })).concat(FAMILY_PARAMETERS.map(param => ({
+            name: param.name,
+            type: param.type,
+            defaultValue: resolved[param.key],
+            isInstance: false
+        })));
+    }
+
+    /**
+     * Build the DoorParams payload from a SIR. Values come from the SIR's
+     * door parameters, for each family type, then from the prompt, then
+     * from the style defaults.
+     * @param {Object} sir - Schema-conformant door SIR
+     * @param {string} originalPrompt - Prompt the SIR was generated from
+     * @param {Object} options - { units } session units for unitless prompt values
+     * @returns {Object} DoorParams payload
+     */
+    fromSIR(sir, originalPrompt = '', options = {}) {
+        const familyParameters = (sir.parameters && sir.parameters.familyParameters) || [];
+        const defaults = this.formulaEngine.evaluateSIR(sir).values;
+        const find = (param) => this.categoryRules.findParameter(familyParameters, param);
+        const sirValue = (values, param) => {
+            const found = find(param);
+            return found ? values[found.name] : undefined;
+        };
+
+        const prompted = this.detectSettings(originalPrompt);
+        const settings = {};
+        FAMILY_PARAMETERS.forEach(param => {
+            const value = sirValue(defaults, param);
+            if (value !== undefined && value !== null && value !== '') {
+                settings[param.key] = param.type === 'Integer' ? Math.round(Number(value)) : this.normalizeSetting(param.key, value);
+            } else if (prompted[param.key] !== undefined) {
+                settings[param.key] = prompted[param.key];
+            }
+        });
+        const resolved = this.resolveSettings(settings);
+        const fallback = this.defaultTypeValues(resolved);
+
+        const dimensions = this.dimensionParser ? this.dimensionParser.extractDimensions(originalPrompt, { units: options.units }) : {};
+        const promptValue = (param) => {
+            const key = param.prompt || { DoorWidth: 'width', DoorHeight: 'height', DoorThickness: 'depth' }[param.key];
+            return dimensions[key] ? dimensions[key].valueFt : undefined;
+        };
+
+        const familyTypes = (sir.parameters && sir.parameters.familyTypes) || [];
+        const typeNames = familyTypes.length > 0 ? familyTypes.map(type => type.name) : ['Type 1'];
+
+        const types = typeNames.map(typeName => {
+            const values = familyTypes.length > 0 ? this.formulaEngine.evaluateSIR(sir, {}, typeName).values : defaults;
+            const type = { TypeName: typeName };
+            TYPE_PARAMETERS.forEach(param => {
+                const value = sirValue(values, param);
+                const fromPrompt = promptValue(param);
+                type[param.key] = typeof value === 'number' && isFinite(value) ? value :
+                    (fromPrompt !== undefined ? fromPrompt : fallback[param.key]);
+            });
+            return type;
+        });
+
+        const materials = this.selectMaterials(sir);
+
+        return {
+            unitsContext: { lengthUnit: 'ft' },
+            DoorStyle: resolved.DoorStyle,
+            LeafCount: resolved.LeafCount,
+            SwingDirection: resolved.SwingDirection,
+            FrameProfile: resolved.FrameProfile,
+            FrameMaterial: materials.frame,
+            PanelMaterial: materials.panel,
+            Types: types
+        };
+    }
+
+    /**
+     * Match a text setting to its allowed spelling ("double" -> DoubleDoor,
+     * "left" -> Left); unknown values are kept for the validator to report
+     */
+    normalizeSetting(key, value) {
+        const text = String(value).trim();
+        const plain = text.toLowerCase().replace(/[\s_-]+/g, '');
+        const options = {
+            DoorStyle: Object.keys(DOOR_STYLES),
+            SwingDirection: ['Left', 'Right', 'Both'],
+            FrameProfile: FRAME_PROFILES
+        }[key] || [];
+
+        return options.find(option => {
+            const name = option.toLowerCase();
+            return name === plain || name === plain + 'door';
+        }) || text;
+    }
+
+    /**
+     * Frame and panel materials from the SIR's material parameters, or
+     * from its materials by name
+     */
+    selectMaterials(sir) {
+        const familyParameters = (sir.parameters && sir.parameters.familyParameters) || [];
+        const materials = (sir.materials || []).map(material => material.name).filter(Boolean);
+        const parameter = (words) => familyParameters.find(p => p && p.type === 'Material' &&
+            words.some(word => String(p.name).toLowerCase().includes(word)));
+        const named = (words) => materials.find(name => words.some(word => name.toLowerCase().includes(word)));
+
+        const frameParam = parameter(['frame', 'jamb']);
+        const panelParam = parameter(['panel', 'leaf', 'door']);
+
+        return {
+            frame: (frameParam && frameParam.defaultValue) || named(['frame', 'jamb', 'metal', 'steel', 'aluminum']) || 'Default',
+            panel: (panelParam && panelParam.defaultValue) || named(['panel', 'leaf', 'door', 'wood', 'timber', 'glass']) || 'Default'
+        };
+    }
+
+    /**
+     * Validate a DoorParams payload (lengths in feet)
+     * @param {Object} params - DoorParams payload
+     * @returns {{valid: boolean, errors: Array<{path, message}>, warnings: Array<{path, message}>}}
+     */
+    validate(params) {
+        const errors = [];
+        const warnings = [];
+        const error = (path, message) => errors.push({ path: path, message: message });
+        const warning = (path, message) => warnings.push({ path: path, message: message });
+
+        if (!params || typeof params !== 'object') {
+            error('doorParams', 'must be an object');
+            return { valid: false, errors: errors, warnings: warnings };
+        }
+
+        const style = DOOR_STYLES[params.DoorStyle];
+        if (!style) {
+            error('doorParams.DoorStyle', `must be one of ${Object.keys(DOOR_STYLES).join(', ')}`);
+        } else if (!style.leafCounts.includes(params.LeafCount)) {
+            error('doorParams.LeafCount', `${params.DoorStyle} must have ${style.leafCounts.join(' or ')} leaves`);
+        }
+
+        const swings = SWING_DIRECTIONS[params.LeafCount];
+        if (swings && !swings.includes(params.SwingDirection)) {
+            error('doorParams.SwingDirection', `must be ${swings.join(' or ')} for ${params.LeafCount} leaf door`);
+        }
+        if (!FRAME_PROFILES.includes(params.FrameProfile)) {
+            error('doorParams.FrameProfile', `must be one of ${FRAME_PROFILES.join(', ')}`);
+        }
+
+        if (!Array.isArray(params.Types) || params.Types.length === 0) {
+            error('doorParams.Types', 'must list at least one type');
+            return { valid: false, errors: errors, warnings: warnings };
+        }
+
+        const ranges = {};
+        this.categoryRules.get('Doors').parameters.forEach(spec => {
+            ranges[spec.name] = spec.range;
+        });
+        const typeNames = new Set();
+
+        params.Types.forEach((type, index) => {
+            const path = `doorParams.Types[${index}]`;
+            if (!type || typeof type.TypeName !== 'string' || type.TypeName.trim() === '') {
+                error(`${path}.TypeName`, 'must be a non-empty string');
+            } else if (typeNames.has(type.TypeName)) {
+                error(`${path}.TypeName`, `duplicate type name "${type.TypeName}"`);
+            } else {
+                typeNames.add(type.TypeName);
+            }
+
+            const invalid = TYPE_PARAMETERS.filter(param => !type || typeof type[param.key] !== 'number' || !isFinite(type[param.key]) || type[param.key] < 0);
+            invalid.forEach(param => error(`${path}.${param.key}`, 'must be a non-negative number of feet'));
+            if (invalid.length > 0) {
+                return;
+            }
+
+            TYPE_PARAMETERS.forEach(param => {
+                const range = ranges[param.name];
+                if (range && (type[param.key] < range.min || type[param.key] > range.max)) {
+                    error(`${path}.${param.key}`, `${formatFeet(type[param.key])} is outside ${formatFeet(range.min)} to ${formatFeet(range.max)}`);
+                }
+            });
+
+            if (params.FrameProfile === 'None') {
+                if (type.FrameWidth > 0) {
+                    warning(`${path}.FrameWidth`, 'is ignored for a frameless door');
+                }
+            } else if (type.FrameWidth <= 0 || type.FrameDepth <= 0) {
+                error(`${path}.FrameWidth`, `frame width and depth must be positive for a ${params.FrameProfile} frame`);
+            }
+
+            const frameWidth = params.FrameProfile === 'None' ? 0 : type.FrameWidth;
+            const leafCount = Number.isInteger(params.LeafCount) && params.LeafCount > 0 ? params.LeafCount : 1;
+            const leafWidth = (type.DoorWidth - 2 * frameWidth) / leafCount;
+            if (leafWidth < LEAF_WIDTH_RANGE.min || leafWidth > LEAF_WIDTH_RANGE.max) {
+                error(`${path}.DoorWidth`, `leaves would be ${formatFeet(leafWidth)} wide, outside ${formatFeet(LEAF_WIDTH_RANGE.min)} to ${formatFeet(LEAF_WIDTH_RANGE.max)}`);
+            }
+            if (type.ThresholdHeight + frameWidth >= type.DoorHeight) {
+                error(`${path}.ThresholdHeight`, 'leaves no opening under the head frame');
+            } else if (type.ThresholdHeight > ACCESSIBLE_THRESHOLD) {
+                warning(`${path}.ThresholdHeight`, `${formatFeet(type.ThresholdHeight)} is above the accessible ${formatFeet(ACCESSIBLE_THRESHOLD)}`);
+            }
+            if (type.HardwareHeight <= type.ThresholdHeight || type.HardwareHeight >= type.DoorHeight - frameWidth) {
+                error(`${path}.HardwareHeight`, 'must be within the leaf');
+            } else if (type.HardwareHeight < HARDWARE_HEIGHT_RANGE.min || type.HardwareHeight > HARDWARE_HEIGHT_RANGE.max) {
+                warning(`${path}.HardwareHeight`, `${formatFeet(type.HardwareHeight)} is outside the accessible ${formatFeet(HARDWARE_HEIGHT_RANGE.min)} to ${formatFeet(HARDWARE_HEIGHT_RANGE.max)}`);
+            }
+        });
+
+        return { valid: errors.length === 0, errors: errors, warnings: warnings };
+    }
+
+    /**
+     * Styles for the style picker
+     * @returns {Array<Object>} { style, label, leafCounts, swingDirections }
+     */
+    getStyles() {
+        return Object.keys(DOOR_STYLES).map(style => ({
+            style: style,
+            label: DOOR_STYLES[style].label,
+            leafCounts: DOOR_STYLES[style].leafCounts.slice(),
+            swingDirections: DOOR_STYLES[style].leafCounts.map(count => ({ leafCount: count, directions: SWING_DIRECTIONS[count].slice() }))
+        }));
+    }
+}
+
+function formatFeet(value) {
+    return `${Math.round(value * 1000) / 1000} ft`;
+}
+
+DoorParams.DOOR_STYLES = DOOR_STYLES;
+DoorParams.SWING_DIRECTIONS = SWING_DIRECTIONS;
+DoorParams.FRAME_PROFILES = FRAME_PROFILES;
+
+module.exports = DoorParams;
@@ -0,0 +1,164 @@
+/////////////////////////////////////////////////////////////////////
+// famAI: Family Versions
+// Copyright (c) 2024 famAI Platform
+//
+// This module saves the SIRs a session refines or rolls back to as
+// new versions of its stored family, with a summary of the changes,
+// and records the Design Automation workitems that build them
+/////////////////////////////////////////////////////////////////////
+
+const Family = require('../models/Family');
+const Session = require('../models/Session');
+const SIRSchema = require('./SIRSchema');
+const SIRDiff = require('./SIRDiff');
+
+class FamilyVersions {
+    /**
+     * @param {Object} options - { sirSchema, sirDiff }
+     */
+    constructor(options = {}) {
+        this.sirSchema = options.sirSchema || new SIRSchema();
+        this.sirDiff = options.sirDiff || new SIRDiff();
+    }
+
+    /**
+     * The family a session works on: the version it last saved, or else the
+     * user's latest family for the session
+     * @returns {Promise<Family|null>}
+     */
+    findSessionFamily(user, sessionId, sessionData) {
+        if (sessionData.familyId) {
+            return Family.findOne({ _id: sessionData.familyId, createdBy: user._id });
+        }
+        return Family.findOne({ createdBy: user._id, sessionId: sessionId }).sort({ createdAt: -1 });
+    }
+
+    /**
+     * Store a session's current design as the first version of its family
+     * @returns {Promise<Family>}
+     */
+    async createSessionFamily(user, sessionId, sessionData) {
+        const sir = this.sirSchema.normalize(sessionData.sir);
+        const family = await new Family({
+            name: sir.familyMetadata.familyName || 'Generated Family',
+            description: sir.familyMetadata.description || '',
+            category: sir.familyMetadata.category || 'Generic',
+            createdBy: user._id,
+            sessionId: sessionId,
+            originalPrompt: String(sessionData.originalPrompt || sir.familyMetadata.familyName || 'Generated Family').slice(0, 1000),
+            sir: sir,
+            generatedCode: {
+                python: (sessionData.codeTarget || 'python') === 'python' ? sessionData.code : '',
+                metadata: sessionData.codeMetadata
+            },
+            qaValidation: sessionData.qaResult,
+            status: 'draft'
+        }).save();
+
+        await this.updateSession(family);
+        return family;
+    }
+
+    /**
+     * Save a refined SIR as the next version of the session's family. A
+     * session without a stored family first stores its design before the
+     * refinement as version 1
+     * @param {Object} details - { sir, code, codeMetadata, codeTarget, qaResult, prompt }
+     * @returns {Promise<Object>} { id, version, parentFamily, changes }
+     */
+    async saveRefinement(user, sessionId, sessionData, details) {
+        const family = await this.findSessionFamily(user, sessionId, sessionData) ||
+            await this.createSessionFamily(user, sessionId, sessionData);
+        return this.saveVersion(family, details);
+    }
+
+    /**
+     * Save an earlier version's SIR as the newest version of its family
+     * @param {Object} latest - Newest version of the family
+     * @param {Object} target - Version rolled back to
+     * @param {Object} details - { sir, code, codeMetadata, codeTarget, qaResult }
+     * @returns {Promise<Object>} { id, version, parentFamily, changes }
+     */
+    saveRollback(latest, target, details) {
+        const diff = this.sirDiff.diff(latest.sir, details.sir);
+        return this.saveVersion(latest, {
+            ...details,
+            prompt: `Rollback to version ${target.version}`,
+            changes: {
+                rollbackTo: { id: target._id, version: target.version },
+                summary: diff.summary,
+                description: this.sirDiff.describe(diff)
+            }
+        });
+    }
+
+    /**
+     * Save a SIR as the next version of a family and make it the session's
+     * current family. The changes default to a summary of the SIR diff
+     * @param {Object} family - Version the new one is made from
+     * @param {Object} details - { sir, code, codeMetadata, codeTarget, qaResult, prompt, changes }
+     * @returns {Promise<Object>} { id, version, parentFamily, changes }
+     */
+    async saveVersion(family, details) {
+        let changes = details.changes;
+        if (!changes) {
+            const diff = this.sirDiff.diff(family.sir, details.sir);
+            changes = { summary: diff.summary, description: this.sirDiff.describe(diff) };
+        }
+
+        const version = await family.createVersion(this.sirSchema.normalize(details.sir), {
+            prompt: details.prompt,
+            changes: changes,
+            generatedCode: {
+                python: (details.codeTarget || 'python') === 'python' ? details.code : '',
+                metadata: details.codeMetadata
+            },
+            qaValidation: details.qaResult
+        });
+
+        await this.updateSession(version);
+
+        return {
+            id: version._id,
+            version: version.version,
+            parentFamily: family._id,
+            changes: changes
+        };
+    }
+
+    /**
+     * Record a submitted Design Automation workitem on the session's family,
+     * where the workitem callback and the WorkitemPoller look it up. A
+     * session without a stored family first stores its design as version 1
+     * @param {Object} workitem - Submitted workitem: { id, status, bucketKey, outputObjectKey, callbackToken }
+     * @returns {Promise<Family>} The family the workitem builds
+     */
+    async recordWorkitem(user, sessionId, sessionData, workitem) {
+        const family = await this.findSessionFamily(user, sessionId, sessionData) ||
+            await this.createSessionFamily(user, sessionId, sessionData);
+
+        return Family.findByIdAndUpdate(family._id, {
+            $set: {
+                status: 'generating',
+                'apsExecution.workitemId': workitem.id,
+                'apsExecution.bucketKey': workitem.bucketKey,
+                'apsExecution.outputObjectKey': workitem.outputObjectKey,
+                'apsExecution.callbackToken': workitem.callbackToken,
+                'apsExecution.status': workitem.status || 'pending',
+                'apsExecution.submittedAt': new Date()
+            }
+        }, { new: true });
+    }
+
+    /**
+     * Make a family version the current family of its session
+     */
+    async updateSession(family) {
+        const session = await Session.findOne({ sessionId: family.sessionId });
+        if (session) {
+            await session.updateCurrentFamily(family._id);
+        }
+    }
+}
+
+module.exports = FamilyVersions;
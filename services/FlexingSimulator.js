@@ -0,0 +1,793 @@
+/////////////////////////////////////////////////////////////////////
+// BIM-LLM Blueprint: Flexing Simulator
+// Copyright (c) 2024 BIM-LLM Platform
+//
+// This module flexes a SIR's geometry numerically. It binds reference
+// planes and extrusion profiles to the family parameters, re-evaluates
+// the geometry for minimum, maximum and typical parameter values and
+// for every family type, and reports profiles that self-intersect or
+// invert, glass that escapes its frame and sill heights that push a
+// window out of its host
+/////////////////////////////////////////////////////////////////////
+
+const FormulaEngine = require('./FormulaEngine');
+const { MM_PER_FOOT } = require('./DimensionParser');
+
+// Geometric tolerance in feet (about 0.03 mm)
+const TOLERANCE = 1e-4;
+
+// Flexing range used when a parameter has no min/max, as factors of its default
+const DEFAULT_FLEX_RANGE = { min: 0.5, max: 2 };
+
+// Host wall height assumed when the SIR does not define one (10 ft, about 3 m)
+const DEFAULT_HOST_HEIGHT = 10;
+
+const AXES = ['x', 'y', 'z'];
+
+// Parameters that conventionally drive each axis: profiles lie in the
+// XY plane (X across, Y up) and are extruded along Z
+const AXIS_PARAMETERS = {
+    x: /width|length/i,
+    y: /^(?!.*sill).*height/i,
+    z: /depth|thickness/i
+};
+
+const GLASS_PATTERN = /glass|glazing|pane/i;
+const FRAME_PATTERN = /frame|sash|body|casing/i;
+const SILL_PATTERN = /^sill[\s_]*height$/i;
+const HOST_HEIGHT_PATTERN = /^(host|wall)[\s_]*height$/i;
+
+class FlexingSimulator {
+    /**
+     * @param {Object} options - { formulaEngine, hostHeight (feet), flexRange: { min, max } }
+     */
+    constructor(options = {}) {
+        this.formulaEngine = options.formulaEngine || new FormulaEngine();
+        this.hostHeight = options.hostHeight || DEFAULT_HOST_HEIGHT;
+        this.flexRange = options.flexRange || DEFAULT_FLEX_RANGE;
+    }
+
+    /**
+     * Flex the SIR through every scenario
+     * @param {Object} sir - Structured Intermediate Representation
+     * @returns {Object} { pass, scenarios: [scenario results], bindings }
+     */
+    simulate(sir) {
+        const model = this.bind(sir);
+        const scenarios = this.generateScenarios(sir).map(scenario => this.runScenario(scenario, sir, model));
+
+        return {
+            pass: scenarios.every(scenario => scenario.pass),
+            scenarios: scenarios,
+            bindings: this.describeBindings(model)
+        };
+    }
+
+    /**
+     * Build the scenarios: typical values, the minimum and maximum of
+     * each driving parameter, and every family type
+     * @returns {Array} [{ name, kind, parameter, value, inputs }]
+     */
+    generateScenarios(sir) {
+        const parameters = (sir.parameters && sir.parameters.familyParameters) || [];
+        const scenarios = [{ name: 'Typical values', kind: 'typical', inputs: {} }];
+        const hostLimits = this.hostLimits(sir);
+
+        parameters.forEach(param => {
+            if (param.formula || !['Length', 'Number', 'Integer'].includes(param.type)) {
+                return;
+            }
+
+            this.testValues(param, hostLimits[param.name])
+                .filter(test => test.kind !== 'typical')
+                .forEach(test => {
+                    scenarios.push({
+                        name: `${param.name} = ${test.kind} (${formatValue(test.value, param.type)})`,
+                        kind: test.kind,
+                        parameter: param.name,
+                        value: test.value,
+                        inputs: { [param.name]: test.value }
+                    });
+                });
+        });
+
+        ((sir.parameters && sir.parameters.familyTypes) || []).forEach(type => {
+            scenarios.push({
+                name: `Family type ${type.name}`,
+                kind: 'familyType',
+                familyType: type.name,
+                inputs: { ...(type.parameters || {}) }
+            });
+        });
+
+        return scenarios;
+    }
+
+    /**
+     * Typical, minimum and maximum values of a parameter, in internal units.
+     * The parameter's own min/max are used when the SIR gives them; otherwise
+     * the default flex range applies, with its maximum capped at `hostLimit`
+     * @param {Object} param - Family parameter
+     * @param {number} hostLimit - Largest default maximum, see hostLimits
+     * @returns {Array} [{ kind, value }]
+     */
+    testValues(param, hostLimit) {
+        let typical;
+        try {
+            typical = this.formulaEngine.parseValue(param.defaultValue, param.type);
+        } catch (error) {
+            typical = undefined;
+        }
+        if (typeof typical !== 'number') {
+            return [];
+        }
+
+        const range = param.range || {};
+        const limit = (value) => {
+            try {
+                return value === undefined || value === null ? undefined : this.formulaEngine.parseValue(value, param.type);
+            } catch (error) {
+                return undefined;
+            }
+        };
+        const min = firstNumber(limit(param.min), limit(range.min), typical * this.flexRange.min);
+        const flexMax = typeof hostLimit === 'number'
+            ? Math.max(typical, Math.min(typical * this.flexRange.max, hostLimit))
+            : typical * this.flexRange.max;
+        const max = firstNumber(limit(param.max), limit(range.max), flexMax);
+        const round = (value) => param.type === 'Integer' ? Math.round(value) : value;
+
+        const values = [{ kind: 'typical', value: typical }];
+        if (Math.abs(min - typical) > TOLERANCE) {
+            values.push({ kind: 'min', value: round(min) });
+        }
+        if (Math.abs(max - typical) > TOLERANCE) {
+            values.push({ kind: 'max', value: round(max) });
+        }
+        return values;
+    }
+
+    /**
+     * Limits that keep a window's head inside its host while its sill
+     * height or one of its heights is flexed alone, the others at their
+     * defaults. Only windows with a sill height parameter have limits
+     * @returns {Object} { [parameter name]: largest value in feet }
+     */
+    hostLimits(sir) {
+        const parameters = (sir.parameters && sir.parameters.familyParameters) || [];
+        const sillParam = parameters.find(param => SILL_PATTERN.test(param.name));
+        const isWindow = sir.familyMetadata && sir.familyMetadata.category === 'Windows';
+        if (!sillParam || !isWindow) {
+            return {};
+        }
+
+        const values = this.formulaEngine.evaluateParameters(parameters).values;
+        const hostParam = parameters.find(param => HOST_HEIGHT_PATTERN.test(param.name));
+        const hostHeight = hostParam && typeof values[hostParam.name] === 'number' ? values[hostParam.name] : this.hostHeight;
+        const sill = values[sillParam.name];
+        const heights = parameters.filter(param => param.type === 'Length' && param !== hostParam &&
+            AXIS_PARAMETERS.y.test(param.name) && typeof values[param.name] === 'number');
+        if (typeof sill !== 'number' || heights.length === 0) {
+            return {};
+        }
+
+        const limits = { [sillParam.name]: hostHeight - Math.max(...heights.map(param => values[param.name])) };
+        heights.forEach(param => {
+            limits[param.name] = hostHeight - sill;
+        });
+        return limits;
+    }
+
+    /**
+     * Bind the reference planes and extrusion coordinates to the parameters.
+     *
+     * Reference planes are driven by dimension constraints that name a
+     * parameter, or, failing that, by a parameter whose value equals their
+     * distance (or half of it, for centered families) from the origin. Where
+     * no plane bounds the geometry, an implicit plane is placed at its far
+     * edge when a parameter equals its extent. Each coordinate then keeps
+     * its offset from the nearest plane, as if locked to it.
+     * @returns {Object} Binding model used by runScenario
+     */
+    bind(sir) {
+        const geometry = sir.geometryDefinition || {};
+        const parameters = (sir.parameters && sir.parameters.familyParameters) || [];
+        const baseValues = this.formulaEngine.evaluateParameters(parameters).values;
+        const lengths = parameters
+            .filter(param => param.type === 'Length' && typeof baseValues[param.name] === 'number')
+            .map(param => ({ name: param.name, value: baseValues[param.name] }));
+
+        const extrusions = (geometry.extrusions || []).filter(isValidExtrusion);
+        const anchors = { x: [], y: [], z: [] };
+
+        // Explicit reference planes
+        (geometry.referencePlanes || []).forEach(plane => {
+            const axis = planeAxis(plane);
+            if (axis) {
+                anchors[axis].push({ name: plane.name, base: plane.origin[axis], drive: null, explicit: true });
+            }
+        });
+
+        // Dimension constraints between planes that are labelled with a parameter
+        (geometry.constraints || []).forEach(constraint => {
+            if (!constraint.parameter || typeof baseValues[constraint.parameter] !== 'number') {
+                return;
+            }
+            AXES.forEach(axis => {
+                const first = anchors[axis].find(anchor => anchor.name === constraint.element1);
+                const second = anchors[axis].find(anchor => anchor.name === constraint.element2);
+                if (!first || !second) {
+                    return;
+                }
+                const [from, to] = second.drive && !first.drive ? [second, first] : [first, second];
+                if (!to.drive) {
+                    to.drive = {
+                        from: from.name,
+                        parameter: constraint.parameter,
+                        factor: 1,
+                        sign: Math.sign(to.base - from.base) || 1,
+                        source: 'constraint'
+                    };
+                }
+            });
+        });
+
+        AXES.forEach(axis => {
+            const preferred = AXIS_PARAMETERS[axis];
+
+            // Planes placed at a parameter's distance from the origin
+            anchors[axis].forEach(anchor => {
+                if (anchor.drive || Math.abs(anchor.base) < TOLERANCE) {
+                    return;
+                }
+                const match = matchParameter(lengths, Math.abs(anchor.base), preferred) ||
+                    matchParameter(lengths, 2 * Math.abs(anchor.base), preferred);
+                if (match) {
+                    anchor.drive = {
+                        from: null,
+                        parameter: match.name,
+                        factor: Math.abs(Math.abs(anchor.base) - match.value) < TOLERANCE ? 1 : 0.5,
+                        sign: Math.sign(anchor.base),
+                        source: 'inferred'
+                    };
+                }
+            });
+
+            this.addImplicitAnchors(axis, anchors[axis], extrusions, lengths);
+        });
+
+        return {
+            baseValues: baseValues,
+            anchors: anchors,
+            extrusions: extrusions.map(extrusion => ({
+                name: extrusion.name,
+                material: extrusion.material,
+                isGlass: GLASS_PATTERN.test(extrusion.name) || GLASS_PATTERN.test(extrusion.material || ''),
+                profile: extrusion.profile.map(point => ({
+                    x: bindCoordinate(anchors.x, point.x),
+                    y: bindCoordinate(anchors.y, point.y)
+                })),
+                start: bindCoordinate(anchors.z, extrusion.startPoint.z),
+                end: bindCoordinate(anchors.z, extrusion.endPoint.z),
+                base: {
+                    profile: extrusion.profile.map(point => ({ x: point.x, y: point.y })),
+                    start: extrusion.startPoint.z,
+                    end: extrusion.endPoint.z
+                }
+            }))
+        };
+    }
+
+    /**
+     * Add the origin and the far edge of the geometry as implicit planes
+     */
+    addImplicitAnchors(axis, anchors, extrusions, lengths) {
+        const coordinates = [];
+        extrusions.forEach(extrusion => {
+            if (axis === 'z') {
+                coordinates.push(extrusion.startPoint.z, extrusion.endPoint.z);
+            } else {
+                extrusion.profile.forEach(point => coordinates.push(point[axis]));
+            }
+        });
+        if (coordinates.length === 0) {
+            return;
+        }
+
+        const min = Math.min(...coordinates);
+        const max = Math.max(...coordinates);
+        const near = (value) => anchors.find(anchor => Math.abs(anchor.base - value) < TOLERANCE);
+        const preferred = AXIS_PARAMETERS[axis];
+
+        if (!near(0)) {
+            anchors.push({ name: '(origin)', base: 0, drive: null, explicit: false });
+        }
+
+        // Geometry centered on the origin: both edges move by half the parameter
+        if (min < -TOLERANCE && Math.abs(min + max) < TOLERANCE) {
+            const match = matchParameter(lengths, max - min, preferred);
+            if (match) {
+                [min, max].forEach(edge => {
+                    if (!near(edge)) {
+                        anchors.push({
+                            name: `(${match.name} ${edge < 0 ? 'min' : 'max'})`,
+                            base: edge,
+                            drive: { from: null, parameter: match.name, factor: 0.5, sign: Math.sign(edge), source: 'extent' },
+                            explicit: false
+                        });
+                    }
+                });
+            }
+            return;
+        }
+
+        // Geometry measured from its near edge: the far edge moves with the parameter
+        const start = near(min);
+        if (start && !near(max)) {
+            const match = matchParameter(lengths, max - min, preferred);
+            if (match) {
+                anchors.push({
+                    name: `(${match.name})`,
+                    base: max,
+                    drive: { from: start.name, parameter: match.name, factor: 1, sign: 1, source: 'extent' },
+                    explicit: false
+                });
+            }
+        }
+    }
+
+    /**
+     * Flex the geometry for one scenario and check it
+     * @param {Object} scenario - Scenario from generateScenarios
+     * @param {Object} sir - Structured Intermediate Representation
+     * @param {Object} model - Binding model (built from the SIR if omitted)
+     * @returns {Object} { name, kind, parameter, value, pass, error, values, failures }
+     */
+    runScenario(scenario, sir, model = null) {
+        model = model || this.bind(sir);
+        const parameters = (sir.parameters && sir.parameters.familyParameters) || [];
+        const evaluation = this.formulaEngine.evaluateParameters(parameters, scenario.inputs || {});
+        const values = { ...model.baseValues, ...evaluation.values };
+        const failures = [];
+
+        evaluation.errors.forEach(error => {
+            const param = parameters.find(p => p.name === error.parameter);
+            failures.push({
+                check: 'formula',
+                element: error.parameter,
+                message: param && param.formula ?
+                    `Formula for ${error.parameter} fails: ${error.message}` :
+                    `Invalid value for ${error.parameter}: ${error.message}`,
+                evidence: { code: error.code }
+            });
+        });
+
+        parameters.forEach(param => {
+            if (param.type === 'Length' && values[param.name] < -TOLERANCE) {
+                failures.push({
+                    check: 'negative_extent',
+                    element: param.name,
+                    message: `${param.name} is negative (${formatValue(values[param.name], 'Length')})`,
+                    evidence: { parameter: param.name, value: round(values[param.name]) }
+                });
+            }
+        });
+
+        const positions = {};
+        AXES.forEach(axis => {
+            positions[axis] = resolveAnchors(model.anchors[axis], values);
+        });
+
+        const solids = model.extrusions.map(extrusion => flexExtrusion(extrusion, positions));
+        solids.forEach(solid => {
+            failures.push(...this.checkProfile(solid));
+            failures.push(...this.checkExtents(solid));
+        });
+        failures.push(...this.checkGlass(solids));
+        failures.push(...this.checkSill(sir, values, solids));
+
+        return {
+            name: scenario.name,
+            kind: scenario.kind,
+            parameter: scenario.parameter,
+            value: scenario.value,
+            familyType: scenario.familyType,
+            pass: failures.length === 0,
+            error: failures.length > 0 ? failures[0].message : null,
+            values: roundValues(values),
+            failures: failures
+        };
+    }
+
+    /**
+     * Report degenerate and self-intersecting profiles
+     */
+    checkProfile(solid) {
+        const failures = [];
+        const points = solid.profile;
+
+        for (let i = 0; i < points.length; i++) {
+            const next = points[(i + 1) % points.length];
+            if (distance(points[i], next) < TOLERANCE) {
+                failures.push({
+                    check: 'self_intersection',
+                    element: solid.name,
+                    message: `Profile of ${solid.name} collapses: points ${i} and ${(i + 1) % points.length} coincide`,
+                    evidence: { points: [roundPoint(points[i]), roundPoint(next)] }
+                });
+                return failures;
+            }
+        }
+
+        for (let i = 0; i < points.length; i++) {
+            for (let j = i + 2; j < points.length; j++) {
+                // Adjacent edges share a point
+                if (i === 0 && j === points.length - 1) {
+                    continue;
+                }
+                const a = [points[i], points[(i + 1) % points.length]];
+                const b = [points[j], points[(j + 1) % points.length]];
+                const crossing = segmentIntersection(a[0], a[1], b[0], b[1]);
+                if (crossing) {
+                    failures.push({
+                        check: 'self_intersection',
+                        element: solid.name,
+                        message: `Profile of ${solid.name} self-intersects: edge ${i} crosses edge ${j}`,
+                        evidence: {
+                            edges: [i, j],
+                            at: roundPoint(crossing),
+                            profile: points.map(roundPoint)
+                        }
+                    });
+                    return failures;
+                }
+            }
+        }
+
+        return failures;
+    }
+
+    /**
+     * Report extents that collapse or flip as the parameters change
+     */
+    checkExtents(solid) {
+        const failures = [];
+
+        ['x', 'y'].forEach(axis => {
+            const base = solid.base.profile.map(point => point[axis]);
+            const low = base.indexOf(Math.min(...base));
+            const high = base.indexOf(Math.max(...base));
+            const baseExtent = base[high] - base[low];
+            const extent = solid.profile[high][axis] - solid.profile[low][axis];
+
+            if (baseExtent > TOLERANCE && extent <= TOLERANCE) {
+                failures.push({
+                    check: 'negative_extent',
+                    element: solid.name,
+                    message: `${solid.name} has ${extent < -TOLERANCE ? 'negative' : 'zero'} ${axis === 'x' ? 'width' : 'height'} (${formatValue(extent, 'Length')})`,
+                    evidence: { axis: axis, extent: round(extent), baseExtent: round(baseExtent) }
+                });
+            }
+        });
+
+        const baseDepth = solid.base.end - solid.base.start;
+        const depth = solid.end - solid.start;
+        if (Math.abs(depth) <= TOLERANCE || (Math.abs(baseDepth) > TOLERANCE && Math.sign(depth) !== Math.sign(baseDepth))) {
+            failures.push({
+                check: 'negative_extent',
+                element: solid.name,
+                message: `${solid.name} has ${Math.abs(depth) <= TOLERANCE ? 'zero' : 'inverted'} extrusion depth (${formatValue(depth, 'Length')})`,
+                evidence: { axis: 'z', start: round(solid.start), end: round(solid.end), baseDepth: round(baseDepth) }
+            });
+        }
+
+        return failures;
+    }
+
+    /**
+     * Report glass that is not inside its frame
+     */
+    checkGlass(solids) {
+        const failures = [];
+        const frames = solids.filter(solid => !solid.isGlass);
+        if (frames.length === 0) {
+            return failures;
+        }
+
+        // The frame is named as such, or else the largest other solid
+        const frame = frames.find(solid => FRAME_PATTERN.test(solid.name)) ||
+            frames.slice().sort((a, b) => boundsArea(b.bounds) - boundsArea(a.bounds))[0];
+
+        solids.filter(solid => solid.isGlass).forEach(glass => {
+            const outside = glass.profile
+                .map((point, index) => ({ index: index, point: point }))
+                .filter(({ point }) => !pointInPolygon(point, frame.profile));
+            const overhang = {
+                left: frame.bounds.minX - glass.bounds.minX,
+                right: glass.bounds.maxX - frame.bounds.maxX,
+                bottom: frame.bounds.minY - glass.bounds.minY,
+                top: glass.bounds.maxY - frame.bounds.maxY,
+                back: Math.min(frame.start, frame.end) - Math.min(glass.start, glass.end),
+                front: Math.max(glass.start, glass.end) - Math.max(frame.start, frame.end)
+            };
+            const sides = Object.keys(overhang).filter(side => overhang[side] > TOLERANCE);
+
+            if (outside.length > 0 || sides.length > 0) {
+                failures.push({
+                    check: 'glass_escapes_frame',
+                    element: glass.name,
+                    message: `${glass.name} extends outside ${frame.name}` +
+                        (sides.length > 0 ? ` (${sides.map(side => `${side} by ${formatValue(overhang[side], 'Length')}`).join(', ')})` : ''),
+                    evidence: {
+                        frame: frame.name,
+                        overhang: Object.fromEntries(sides.map(side => [side, round(overhang[side])])),
+                        pointsOutside: outside.map(({ index, point }) => ({ index: index, ...roundPoint(point) }))
+                    }
+                });
+            }
+        });
+
+        return failures;
+    }
+
+    /**
+     * Report window sill heights that put the window below or above its host
+     */
+    checkSill(sir, values, solids) {
+        const failures = [];
+        const parameters = (sir.parameters && sir.parameters.familyParameters) || [];
+        const sillParam = parameters.find(param => SILL_PATTERN.test(param.name));
+        const isWindow = sir.familyMetadata && sir.familyMetadata.category === 'Windows';
+        if (!sillParam || !isWindow || typeof values[sillParam.name] !== 'number' || solids.length === 0) {
+            return failures;
+        }
+
+        const hostParam = parameters.find(param => HOST_HEIGHT_PATTERN.test(param.name));
+        const hostHeight = hostParam && typeof values[hostParam.name] === 'number' ? values[hostParam.name] : this.hostHeight;
+        const sill = values[sillParam.name];
+        const bottom = Math.min(...solids.map(solid => solid.bounds.minY));
+        const windowHeight = Math.max(...solids.map(solid => solid.bounds.maxY)) - bottom;
+        const head = sill + windowHeight;
+
+        if (sill < -TOLERANCE) {
+            failures.push({
+                check: 'sill_height',
+                element: sillParam.name,
+                message: `${sillParam.name} ${formatValue(sill, 'Length')} places the window below the base of its host`,
+                evidence: { sillHeight: round(sill), windowHeight: round(windowHeight) }
+            });
+        } else if (head > hostHeight + TOLERANCE) {
+            failures.push({
+                check: 'sill_height',
+                element: sillParam.name,
+                message: `${sillParam.name} ${formatValue(sill, 'Length')} with a window height of ${formatValue(windowHeight, 'Length')} ` +
+                    `puts the head at ${formatValue(head, 'Length')}, above the ${formatValue(hostHeight, 'Length')} host`,
+                evidence: {
+                    sillHeight: round(sill),
+                    windowHeight: round(windowHeight),
+                    headHeight: round(head),
+                    hostHeight: round(hostHeight),
+                    hostHeightSource: hostParam ? hostParam.name : 'default'
+                }
+            });
+        }
+
+        return failures;
+    }
+
+    /**
+     * Summarize which parameter drives each plane, for the QA report
+     */
+    describeBindings(model) {
+        const bindings = [];
+        AXES.forEach(axis => {
+            model.anchors[axis].forEach(anchor => {
+                bindings.push({
+                    axis: axis,
+                    plane: anchor.name,
+                    position: round(anchor.base),
+                    parameter: anchor.drive ? anchor.drive.parameter : null,
+                    relativeTo: anchor.drive ? (anchor.drive.from || '(origin)') : null,
+                    source: anchor.drive ? anchor.drive.source : 'fixed'
+                });
+            });
+        });
+        return bindings;
+    }
+}
+
+/**
+ * Resolve the position of every plane on an axis for the given values
+ */
+function resolveAnchors(anchors, values) {
+    const positions = {};
+    const byName = {};
+    anchors.forEach(anchor => {
+        byName[anchor.name] = anchor;
+    });
+
+    const resolve = (anchor, depth) => {
+        if (positions[anchor.name] !== undefined) {
+            return positions[anchor.name];
+        }
+        const drive = anchor.drive;
+        const value = drive ? values[drive.parameter] : undefined;
+        // Planes whose parameter has no value, or whose drivers loop, stay put
+        if (!drive || typeof value !== 'number' || depth > anchors.length) {
+            return anchor.base;
+        }
+        const from = drive.from && byName[drive.from] ? resolve(byName[drive.from], depth + 1) : 0;
+        return from + drive.sign * drive.factor * value;
+    };
+
+    anchors.forEach(anchor => {
+        positions[anchor.name] = resolve(anchor, 0);
+    });
+    return positions;
+}
+
+/**
+ * Bind a coordinate to its nearest plane. A coordinate halfway between
+ * two planes keeps its relative position between them.
+ */
+function bindCoordinate(anchors, value) {
+    if (anchors.length === 0) {
+        return { anchor: null, offset: value };
+    }
+
+    const sorted = anchors.slice().sort((a, b) => Math.abs(value - a.base) - Math.abs(value - b.base));
+    const nearest = sorted[0];
+    const second = sorted[1];
+
+    if (second && Math.abs(nearest.base - second.base) > TOLERANCE &&
+        Math.abs(Math.abs(value - nearest.base) - Math.abs(value - second.base)) < TOLERANCE) {
+        return {
+            between: [nearest.name, second.name],
+            ratio: (value - nearest.base) / (second.base - nearest.base)
+        };
+    }
+
+    return { anchor: nearest.name, offset: value - nearest.base };
+}
+
+function placeCoordinate(binding, positions) {
+    if (binding.between) {
+        const [a, b] = binding.between.map(name => positions[name]);
+        return a + binding.ratio * (b - a);
+    }
+    return (binding.anchor ? positions[binding.anchor] : 0) + binding.offset;
+}
+
+function flexExtrusion(extrusion, positions) {
+    const profile = extrusion.profile.map(point => ({
+        x: placeCoordinate(point.x, positions.x),
+        y: placeCoordinate(point.y, positions.y)
+    }));
+    const xs = profile.map(point => point.x);
+    const ys = profile.map(point => point.y);
+
+    return {
+        name: extrusion.name,
+        isGlass: extrusion.isGlass,
+        profile: profile,
+        start: placeCoordinate(extrusion.start, positions.z),
+        end: placeCoordinate(extrusion.end, positions.z),
+        bounds: { minX: Math.min(...xs), maxX: Math.max(...xs), minY: Math.min(...ys), maxY: Math.max(...ys) },
+        base: extrusion.base
+    };
+}
+
+/**
+ * Find the Length parameter whose value equals a distance, preferring
+ * the parameter conventionally associated with the axis
+ */
+function matchParameter(lengths, value, preferred) {
+    const matches = lengths.filter(length => length.value > TOLERANCE && Math.abs(length.value - value) < TOLERANCE);
+    return matches.find(length => preferred.test(length.name)) || (matches.length === 1 ? matches[0] : null);
+}
+
+function planeAxis(plane) {
+    const normal = plane.normal || {};
+    return AXES.find(axis => Math.abs(Math.abs(normal[axis]) - 1) < 1e-3 &&
+        AXES.every(other => other === axis || Math.abs(normal[other] || 0) < 1e-3) &&
+        plane.origin && typeof plane.origin[axis] === 'number');
+}
+
+function isValidExtrusion(extrusion) {
+    return extrusion && Array.isArray(extrusion.profile) && extrusion.profile.length >= 3 &&
+        extrusion.profile.every(point => point && typeof point.x === 'number' && typeof point.y === 'number') &&
+        extrusion.startPoint && typeof extrusion.startPoint.z === 'number' &&
+        extrusion.endPoint && typeof extrusion.endPoint.z === 'number';
+}
+
+/**
+ * Intersection point of two segments, or null. Touching at an end
+ * counts as crossing only where the segments are not adjacent.
+ */
+function segmentIntersection(p1, p2, p3, p4) {
+    const d1 = cross(p3, p4, p1);
+    const d2 = cross(p3, p4, p2);
+    const d3 = cross(p1, p2, p3);
+    const d4 = cross(p1, p2, p4);
+    const eps = TOLERANCE * TOLERANCE;
+
+    if (((d1 > eps && d2 < -eps) || (d1 < -eps && d2 > eps)) &&
+        ((d3 > eps && d4 < -eps) || (d3 < -eps && d4 > eps))) {
+        const t = d1 / (d1 - d2);
+        return { x: p1.x + t * (p2.x - p1.x), y: p1.y + t * (p2.y - p1.y) };
+    }
+
+    // Collinear or touching
+    if (Math.abs(d1) <= eps && onSegment(p3, p4, p1)) return p1;
+    if (Math.abs(d2) <= eps && onSegment(p3, p4, p2)) return p2;
+    if (Math.abs(d3) <= eps && onSegment(p1, p2, p3)) return p3;
+    if (Math.abs(d4) <= eps && onSegment(p1, p2, p4)) return p4;
+    return null;
+}
+
+function cross(a, b, c) {
+    return (b.x - a.x) * (c.y - a.y) - (b.y - a.y) * (c.x - a.x);
+}
+
+function onSegment(a, b, p) {
+    return p.x >= Math.min(a.x, b.x) - TOLERANCE && p.x <= Math.max(a.x, b.x) + TOLERANCE &&
+        p.y >= Math.min(a.y, b.y) - TOLERANCE && p.y <= Math.max(a.y, b.y) + TOLERANCE;
+}
+
+/**
+ * Whether a point is inside a polygon; points on an edge are inside
+ */
+function pointInPolygon(point, polygon) {
+    let inside = false;
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+        const a = polygon[i];
+        const b = polygon[j];
+        if (Math.abs(cross(a, b, point)) <= TOLERANCE * distance(a, b) && onSegment(a, b, point)) {
+            return true;
+        }
+        if ((a.y > point.y) !== (b.y > point.y) &&
+            point.x < (b.x - a.x) * (point.y - a.y) / (b.y - a.y) + a.x) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+function distance(a, b) {
+    return Math.hypot(a.x - b.x, a.y - b.y);
+}
+
+function boundsArea(bounds) {
+    return (bounds.maxX - bounds.minX) * (bounds.maxY - bounds.minY);
+}
+
+function firstNumber(...values) {
+    return values.find(value => typeof value === 'number' && isFinite(value));
+}
+
+function round(value) {
+    return Math.round(value * 1e6) / 1e6;
+}
+
+function roundPoint(point) {
+    return { x: round(point.x), y: round(point.y) };
+}
+
+function roundValues(values) {
+    const rounded = {};
+    Object.keys(values).forEach(name => {
+        rounded[name] = typeof values[name] === 'number' ? round(values[name]) : values[name];
+    });
+    return rounded;
+}
+
+function formatValue(value, type) {
+    if (type !== 'Length') {
+        return String(round(value));
+    }
+    return `${value.toFixed(3)} ft / ${Math.round(value * MM_PER_FOOT)} mm`;
+}
+
+FlexingSimulator.TOLERANCE = TOLERANCE;
+
+module.exports = FlexingSimulator;
@@ -0,0 +1,1011 @@
+/////////////////////////////////////////////////////////////////////
+// BIM-LLM Blueprint: Formula Engine
+// Copyright (c) 2024 BIM-LLM Platform
+//
+// This module parses and evaluates Revit family parameter formulas:
+// arithmetic, comparisons, if/and/or/not, trigonometry, rounding and
+// unit literals. It checks formulas against the parameter types,
+// detects circular references and evaluates a SIR's parameter set
+// in Revit internal units (feet, radians)
+/////////////////////////////////////////////////////////////////////
+
+const DimensionParser = require('./DimensionParser');
+
+const { UNIT_TO_FEET } = DimensionParser;
+const DEGREES_TO_RADIANS = Math.PI / 180;
+
+// Unit suffixes allowed after a number literal
+const UNIT_SUFFIXES = [
+    { re: /^\s*(mm|cm|ft|in|m)(?![A-Za-z0-9_])/, unit: match => match[1] },
+    { re: /^\s*('|’|′)/, unit: () => 'ft' },
+    { re: /^\s*("|”|″)/, unit: () => 'in' },
+    { re: /^\s*(°)/, unit: () => 'deg' }
+];
+
+// Result types
+const NUMBER = { kind: 'number', dim: 0 };
+const LENGTH = { kind: 'number', dim: 1 };
+const ANGLE = { kind: 'angle' };
+const BOOLEAN = { kind: 'boolean' };
+const TEXT = { kind: 'text' };
+const MATERIAL = { kind: 'material' };
+
+// Type of each parameter type's values
+const PARAMETER_VALUE_TYPES = {
+    Length: LENGTH,
+    Area: { kind: 'number', dim: 2 },
+    Volume: { kind: 'number', dim: 3 },
+    Angle: ANGLE,
+    Number: NUMBER,
+    Integer: NUMBER,
+    YesNo: BOOLEAN,
+    Text: TEXT,
+    Material: MATERIAL
+};
+
+class FormulaError extends Error {
+    /**
+     * @param {string} code - syntax_error, undefined_parameter, type_mismatch,
+     *   circular_reference, unknown_function or evaluation_error
+     * @param {string} message - Description of the problem
+     * @param {number} position - Character offset in the formula, if known
+     */
+    constructor(code, message, position) {
+        super(message);
+        this.name = 'FormulaError';
+        this.code = code;
+        this.position = position;
+    }
+}
+
+class FormulaEngine {
+    constructor() {
+        this.functions = this.initializeFunctions();
+    }
+
+    /**
+     * Parse a formula into an expression tree
+     * @param {string} formula - Revit formula (without the leading '=')
+     * @param {Array<string>} parameterNames - Names the formula may reference (may contain spaces)
+     * @returns {Object} { ast, references }
+     * @throws {FormulaError}
+     */
+    parse(formula, parameterNames = []) {
+        if (typeof formula !== 'string' || formula.trim() === '') {
+            throw new FormulaError('syntax_error', 'Empty formula', 0);
+        }
+
+        const source = formula.trim().replace(/^=\s*/, '');
+        const tokens = this.tokenize(source, parameterNames);
+        const parser = new Parser(tokens, source);
+        const ast = parser.parseFormula();
+
+        const references = [];
+        walk(ast, node => {
+            if (node.type === 'ref' && !references.includes(node.name)) {
+                references.push(node.name);
+            }
+        });
+
+        return { ast: ast, references: references };
+    }
+
+    /**
+     * Check a formula's syntax, references and types
+     * @param {string} formula - Revit formula
+     * @param {Array} parameters - Family parameter definitions ({ name, type })
+     * @param {string} resultType - Parameter type the formula is assigned to, if any
+     * @returns {Object} { valid, error, code, references, resultType }
+     */
+    check(formula, parameters = [], resultType = null) {
+        try {
+            const { ast, references } = this.parse(formula, parameters.map(p => p.name));
+            const type = this.inferType(ast, parameterTypes(parameters));
+            const expected = PARAMETER_VALUE_TYPES[resultType];
+
+            // A constant without units (e.g. "= 3") is taken in internal units
+            const constant = references.length === 0 && isDimensionless(type) && expected && expected.kind === 'number';
+
+            if (expected && !constant && !isAssignable(type, expected)) {
+                throw new FormulaError('type_mismatch',
+                    `Formula result is ${describeType(type)}, but the parameter is ${resultType}`);
+            }
+
+            return { valid: true, error: null, code: null, references: references, resultType: describeType(type) };
+        } catch (error) {
+            if (!(error instanceof FormulaError)) {
+                throw error;
+            }
+            return { valid: false, error: error.message, code: error.code, position: error.position, references: [] };
+        }
+    }
+
+    /**
+     * Evaluate a single formula
+     * @param {string} formula - Revit formula
+     * @param {Object} values - Parameter values in internal units, by name
+     * @param {Array} parameters - Family parameter definitions used for type checking
+     * @returns {number|boolean|string} Result in internal units
+     * @throws {FormulaError}
+     */
+    evaluate(formula, values = {}, parameters = null) {
+        const definitions = parameters || Object.keys(values).map(name => ({ name: name, type: typeOfValue(values[name]) }));
+        const { ast } = this.parse(formula, definitions.map(p => p.name));
+        this.inferType(ast, parameterTypes(definitions));
+        return this.evaluateNode(ast, values);
+    }
+
+    /**
+     * Check every formula of a family parameter set, including circular references
+     * @param {Array} familyParameters - SIR parameters.familyParameters
+     * @returns {Object} { valid, errors: [{ parameter, code, message }], dependencies, order, cycles }
+     */
+    analyzeParameters(familyParameters = []) {
+        const errors = [];
+        const dependencies = {};
+        const names = familyParameters.map(p => p.name);
+        const known = (ref) => names.includes(ref);
+
+        familyParameters.forEach(param => {
+            dependencies[param.name] = [];
+            if (!param.formula) {
+                return;
+            }
+
+            const check = this.check(param.formula, familyParameters, param.type);
+            if (!check.valid) {
+                errors.push({ parameter: param.name, code: check.code, message: check.error, position: check.position });
+                // Keep the references of formulas that parse so cycles are still found
+                if (check.code === 'syntax_error') {
+                    return;
+                }
+                try {
+                    dependencies[param.name] = this.parse(param.formula, names).references.filter(known);
+                } catch (error) {
+                    // Unparseable formulas have no dependencies
+                }
+            } else {
+                dependencies[param.name] = check.references;
+            }
+        });
+
+        const { order, cycles } = orderDependencies(dependencies);
+        cycles.forEach(cycle => {
+            errors.push({
+                parameter: cycle[0],
+                code: 'circular_reference',
+                message: `Circular reference: ${cycle.concat(cycle[0]).join(' -> ')}`
+            });
+        });
+
+        return {
+            valid: errors.length === 0,
+            errors: errors,
+            dependencies: dependencies,
+            order: order,
+            cycles: cycles
+        };
+    }
+
+    /**
+     * Evaluate a family parameter set for the given inputs. Parameters
+     * without a formula take their input, or their default value;
+     * formulas are evaluated in dependency order.
+     * @param {Array} familyParameters - SIR parameters.familyParameters
+     * @param {Object} inputs - Values by parameter name (numbers in internal units, or strings with units such as "900 mm")
+     * @returns {Object} { valid, values, errors, order, cycles }
+     */
+    evaluateParameters(familyParameters = [], inputs = {}) {
+        const analysis = this.analyzeParameters(familyParameters);
+        const errors = analysis.errors.slice();
+        const failed = new Set(errors.map(error => error.parameter));
+        const values = {};
+        const byName = {};
+
+        familyParameters.forEach(param => {
+            byName[param.name] = param;
+            if (param.formula) {
+                return;
+            }
+
+            const raw = inputs[param.name] !== undefined ? inputs[param.name] : param.defaultValue;
+            if (raw === undefined || raw === null) {
+                return;
+            }
+            try {
+                values[param.name] = this.parseValue(raw, param.type);
+            } catch (error) {
+                errors.push({ parameter: param.name, code: error.code || 'evaluation_error', message: error.message });
+                failed.add(param.name);
+            }
+        });
+
+        analysis.order.forEach(name => {
+            const param = byName[name];
+            if (!param || !param.formula || failed.has(name)) {
+                return;
+            }
+
+            const missing = analysis.dependencies[name].filter(ref => values[ref] === undefined);
+            if (missing.length > 0) {
+                // Only report the first failure in a chain
+                if (!missing.some(ref => failed.has(ref))) {
+                    errors.push({
+                        parameter: name,
+                        code: 'evaluation_error',
+                        message: `No value for ${missing.join(', ')}`
+                    });
+                }
+                failed.add(name);
+                return;
+            }
+
+            try {
+                const { ast } = this.parse(param.formula, familyParameters.map(p => p.name));
+                const value = this.evaluateNode(ast, values);
+                values[name] = param.type === 'Integer' ? Math.round(value) : value;
+            } catch (error) {
+                errors.push({ parameter: name, code: error.code || 'evaluation_error', message: error.message });
+                failed.add(name);
+            }
+        });
+
+        return {
+            valid: errors.length === 0,
+            values: values,
+            errors: errors,
+            order: analysis.order,
+            cycles: analysis.cycles
+        };
+    }
+
+    /**
+     * Evaluate a SIR's family parameters, optionally for one of its family types
+     * @param {Object} sir - Structured Intermediate Representation
+     * @param {Object} inputs - Values by parameter name, overriding the type's values
+     * @param {string} typeName - Family type whose values are used
+     */
+    evaluateSIR(sir, inputs = {}, typeName = null) {
+        const parameters = (sir.parameters && sir.parameters.familyParameters) || [];
+        const types = (sir.parameters && sir.parameters.familyTypes) || [];
+        const familyType = typeName ? types.find(type => type.name === typeName) : null;
+
+        return this.evaluateParameters(parameters, {
+            ...((familyType && familyType.parameters) || {}),
+            ...inputs
+        });
+    }
+
+    /**
+     * Convert an input or default value to internal units
+     * @param {*} raw - Number, boolean or string ("900 mm", "2' 6\"", "Yes")
+     * @param {string} type - Parameter type
+     */
+    parseValue(raw, type) {
+        const expected = PARAMETER_VALUE_TYPES[type] || NUMBER;
+
+        if (expected.kind === 'boolean') {
+            if (raw === true || raw === 1 || /^(true|yes|1)$/i.test(String(raw))) {
+                return true;
+            }
+            if (raw === false || raw === 0 || /^(false|no|0)$/i.test(String(raw))) {
+                return false;
+            }
+            throw new FormulaError('type_mismatch', `Value ${JSON.stringify(raw)} is not Yes/No`);
+        }
+
+        if (expected.kind === 'text' || expected.kind === 'material') {
+            return String(raw);
+        }
+
+        if (typeof raw === 'number') {
+            if (!isFinite(raw)) {
+                throw new FormulaError('evaluation_error', `Value ${raw} is not a finite number`);
+            }
+            return type === 'Integer' ? Math.round(raw) : raw;
+        }
+
+        // Strings may carry units, which are checked like a formula
+        let ast;
+        let valueType;
+        try {
+            ast = this.parse(String(raw), []).ast;
+            valueType = this.inferType(ast, {});
+        } catch (error) {
+            throw new FormulaError('type_mismatch', `Value ${JSON.stringify(raw)} is not a valid ${type}: ${error.message}`);
+        }
+        if (!isAssignable(valueType, expected) && !(valueType.kind === 'number' && valueType.dim === 0)) {
+            throw new FormulaError('type_mismatch', `Value ${JSON.stringify(raw)} is ${describeType(valueType)}, expected ${type}`);
+        }
+
+        const value = this.evaluateNode(ast, {});
+        return type === 'Integer' ? Math.round(value) : value;
+    }
+
+    /**
+     * Split a formula into tokens. Known parameter names are matched
+     * first (longest first), so names containing spaces work.
+     */
+    tokenize(source, parameterNames = []) {
+        const tokens = [];
+        const names = parameterNames.filter(Boolean).slice().sort((a, b) => b.length - a.length);
+        let pos = 0;
+
+        while (pos < source.length) {
+            const rest = source.slice(pos);
+            const whitespace = rest.match(/^\s+/);
+            if (whitespace) {
+                pos += whitespace[0].length;
+                continue;
+            }
+
+            // Number, optionally with a unit (and feet-inches such as 2' 6")
+            const number = rest.match(/^(\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?/);
+            if (number) {
+                const start = pos;
+                pos += number[0].length;
+                const literal = this.readUnit(source, pos, parseFloat(number[0]));
+                pos = literal.end;
+
+                if (literal.unit === 'ft') {
+                    const inches = source.slice(pos).match(/^\s*(\d+\.?\d*|\.\d+)\s*("|”|″)/);
+                    if (inches) {
+                        literal.value += parseFloat(inches[1]) * UNIT_TO_FEET.in;
+                        pos += inches[0].length;
+                    }
+                }
+
+                tokens.push({ type: 'number', value: literal.value, unit: literal.unit, pos: start });
+                continue;
+            }
+
+            // String literal
+            if (rest[0] === '"') {
+                const end = source.indexOf('"', pos + 1);
+                if (end === -1) {
+                    throw new FormulaError('syntax_error', 'Unterminated string literal', pos);
+                }
+                tokens.push({ type: 'string', value: source.slice(pos + 1, end), pos: pos });
+                pos = end + 1;
+                continue;
+            }
+
+            // Parameter names, which may contain spaces and digits
+            const name = names.find(candidate => rest.startsWith(candidate) &&
+                !/[A-Za-z0-9_]/.test(rest.charAt(candidate.length)));
+            if (name) {
+                tokens.push({ type: 'identifier', value: name, known: true, pos: pos });
+                pos += name.length;
+                continue;
+            }
+
+            const identifier = rest.match(/^[A-Za-z_][A-Za-z0-9_]*/);
+            if (identifier) {
+                tokens.push({ type: 'identifier', value: identifier[0], known: false, pos: pos });
+                pos += identifier[0].length;
+                continue;
+            }
+
+            const operator = rest.match(/^(<=|>=|[-+*/^=<>(),])/);
+            if (operator) {
+                tokens.push({ type: 'operator', value: operator[0], pos: pos });
+                pos += operator[0].length;
+                continue;
+            }
+
+            throw new FormulaError('syntax_error', `Unexpected character '${rest[0]}'`, pos);
+        }
+
+        tokens.push({ type: 'end', pos: source.length });
+        return tokens;
+    }
+
+    /**
+     * Read an optional unit suffix and convert the literal to internal units
+     */
+    readUnit(source, pos, value) {
+        const rest = source.slice(pos);
+
+        for (const suffix of UNIT_SUFFIXES) {
+            const match = rest.match(suffix.re);
+            if (match) {
+                const unit = suffix.unit(match);
+                return {
+                    unit: unit,
+                    value: unit === 'deg' ? value * DEGREES_TO_RADIANS : value * UNIT_TO_FEET[unit],
+                    end: pos + match[0].length
+                };
+            }
+        }
+
+        return { unit: null, value: value, end: pos };
+    }
+
+    /**
+     * Infer the type of an expression, rejecting mismatched operands
+     * @param {Object} node - Expression tree
+     * @param {Object} types - Parameter value types by name
+     * @returns {Object} Type ({ kind, dim })
+     * @throws {FormulaError}
+     */
+    inferType(node, types) {
+        switch (node.type) {
+            case 'number':
+                if (node.unit === 'deg') {
+                    return ANGLE;
+                }
+                return node.unit ? LENGTH : NUMBER;
+
+            case 'string':
+                return TEXT;
+
+            case 'ref':
+                if (!types[node.name]) {
+                    throw new FormulaError('undefined_parameter', `Undefined parameter reference: ${node.name}`, node.pos);
+                }
+                return types[node.name];
+
+            case 'unary': {
+                const type = this.inferType(node.operand, types);
+                requireNumeric(type, `unary ${node.op}`, node.pos);
+                return type;
+            }
+
+            case 'binary':
+                return this.inferBinaryType(node, types);
+
+            case 'call': {
+                const fn = this.functions[node.name];
+                if (!fn) {
+                    throw new FormulaError('unknown_function', `Unknown function: ${node.name}`, node.pos);
+                }
+                if (node.args.length < fn.minArgs || node.args.length > fn.maxArgs) {
+                    const expected = fn.minArgs === fn.maxArgs ? fn.minArgs : `${fn.minArgs}-${fn.maxArgs}`;
+                    throw new FormulaError('syntax_error',
+                        `${node.name}() takes ${expected} argument(s), got ${node.args.length}`, node.pos);
+                }
+                const argTypes = node.args.map(arg => this.inferType(arg, types));
+                return fn.type(argTypes, node);
+            }
+        }
+
+        throw new FormulaError('syntax_error', `Unknown expression '${node.type}'`, node.pos);
+    }
+
+    inferBinaryType(node, types) {
+        const left = this.inferType(node.left, types);
+        const right = this.inferType(node.right, types);
+        const op = node.op;
+
+        if (op === '=' || op === '<' || op === '>' || op === '<=' || op === '>=') {
+            if (op === '=' && left.kind === 'boolean' && right.kind === 'boolean') {
+                return BOOLEAN;
+            }
+            requireNumeric(left, op, node.pos);
+            requireNumeric(right, op, node.pos);
+            // Revit compares a plain number with a length, area or volume
+            // in internal units, e.g. if(Width > 3, 2, 1)
+            if (left.kind === 'number' && right.kind === 'number' && (isDimensionless(left) || isDimensionless(right))) {
+                return BOOLEAN;
+            }
+            requireSameType(left, right, op, node.pos);
+            return BOOLEAN;
+        }
+
+        requireNumeric(left, op, node.pos);
+        requireNumeric(right, op, node.pos);
+
+        if (op === '+' || op === '-') {
+            requireSameType(left, right, op, node.pos);
+            return left;
+        }
+
+        if (op === '^') {
+            if (!isDimensionless(right)) {
+                throw new FormulaError('type_mismatch', `Exponent must be a number, not ${describeType(right)}`, node.pos);
+            }
+            if (isDimensionless(left)) {
+                return NUMBER;
+            }
+            const power = constantValue(node.right);
+            if (left.kind !== 'number' || power === null || !Number.isInteger(power)) {
+                throw new FormulaError('type_mismatch', `Cannot raise ${describeType(left)} to a non-constant or fractional power`, node.pos);
+            }
+            return { kind: 'number', dim: left.dim * power };
+        }
+
+        // * and /: angles combine with plain numbers only
+        if (left.kind === 'angle' || right.kind === 'angle') {
+            if (op === '*' && (isDimensionless(left) || isDimensionless(right))) {
+                return ANGLE;
+            }
+            if (op === '/' && isDimensionless(right)) {
+                return ANGLE;
+            }
+            if (op === '/' && left.kind === 'angle' && right.kind === 'angle') {
+                return NUMBER;
+            }
+            throw new FormulaError('type_mismatch', `Cannot apply ${op} to ${describeType(left)} and ${describeType(right)}`, node.pos);
+        }
+
+        const dim = op === '*' ? left.dim + right.dim : left.dim - right.dim;
+        return { kind: 'number', dim: dim };
+    }
+
+    /**
+     * Evaluate an expression tree
+     * @param {Object} node - Expression tree
+     * @param {Object} values - Parameter values in internal units
+     */
+    evaluateNode(node, values) {
+        switch (node.type) {
+            case 'number':
+            case 'string':
+                return node.value;
+
+            case 'ref':
+                if (values[node.name] === undefined) {
+                    throw new FormulaError('evaluation_error', `No value for ${node.name}`, node.pos);
+                }
+                return values[node.name];
+
+            case 'unary': {
+                const value = this.evaluateNode(node.operand, values);
+                return node.op === '-' ? -value : value;
+            }
+
+            case 'binary':
+                return this.evaluateBinary(node, values);
+
+            case 'call': {
+                const fn = this.functions[node.name];
+                // if/and/or evaluate their arguments lazily
+                if (fn.lazy) {
+                    return fn.evaluate(node.args, arg => this.evaluateNode(arg, values));
+                }
+                const result = fn.evaluate(node.args.map(arg => this.evaluateNode(arg, values)));
+                if (typeof result === 'number' && !isFinite(result)) {
+                    throw new FormulaError('evaluation_error', `${node.name}() is undefined for these arguments`, node.pos);
+                }
+                return result;
+            }
+        }
+
+        throw new FormulaError('evaluation_error', `Cannot evaluate '${node.type}'`, node.pos);
+    }
+
+    evaluateBinary(node, values) {
+        const left = this.evaluateNode(node.left, values);
+        const right = this.evaluateNode(node.right, values);
+        let result;
+
+        switch (node.op) {
+            case '+': result = left + right; break;
+            case '-': result = left - right; break;
+            case '*': result = left * right; break;
+            case '/':
+                if (right === 0) {
+                    throw new FormulaError('evaluation_error', 'Division by zero', node.pos);
+                }
+                result = left / right;
+                break;
+            case '^': result = Math.pow(left, right); break;
+            // Comparisons use a small tolerance, like Revit's internal units
+            case '=': return typeof left === 'boolean' ? left === right : Math.abs(left - right) < 1e-9;
+            case '<': return left < right - 1e-9;
+            case '>': return left > right + 1e-9;
+            case '<=': return left <= right + 1e-9;
+            case '>=': return left >= right - 1e-9;
+        }
+
+        if (!isFinite(result)) {
+            throw new FormulaError('evaluation_error', `Result of ${node.op} is not a finite number`, node.pos);
+        }
+        return result;
+    }
+
+    /**
+     * Functions available in Revit formulas
+     */
+    initializeFunctions() {
+        const numeric = (name, fn) => ({
+            minArgs: 1,
+            maxArgs: 1,
+            type: ([arg], node) => {
+                requireNumeric(arg, `${name}()`, node.pos);
+                if (!isDimensionless(arg)) {
+                    throw new FormulaError('type_mismatch', `${name}() requires a number, not ${describeType(arg)}`, node.pos);
+                }
+                return NUMBER;
+            },
+            evaluate: ([value]) => fn(value)
+        });
+
+        // Trigonometric functions take an angle, or a plain number in radians
+        const trig = (fn) => ({
+            minArgs: 1,
+            maxArgs: 1,
+            type: ([arg], node) => {
+                if (arg.kind !== 'angle' && !isDimensionless(arg)) {
+                    throw new FormulaError('type_mismatch', `${node.name}() requires an angle, not ${describeType(arg)}`, node.pos);
+                }
+                return NUMBER;
+            },
+            evaluate: ([value]) => fn(value)
+        });
+
+        const inverseTrig = (fn) => ({
+            minArgs: 1,
+            maxArgs: 1,
+            type: ([arg], node) => {
+                if (!isDimensionless(arg)) {
+                    throw new FormulaError('type_mismatch', `${node.name}() requires a number, not ${describeType(arg)}`, node.pos);
+                }
+                return ANGLE;
+            },
+            evaluate: ([value]) => fn(value)
+        });
+
+        // Rounding keeps the argument's type (round(Width) is a length)
+        const rounding = (fn) => ({
+            minArgs: 1,
+            maxArgs: 1,
+            type: ([arg], node) => {
+                requireNumeric(arg, `${node.name}()`, node.pos);
+                return arg;
+            },
+            evaluate: ([value]) => fn(value)
+        });
+
+        return {
+            if: {
+                minArgs: 3,
+                maxArgs: 3,
+                lazy: true,
+                type: ([condition, whenTrue, whenFalse], node) => {
+                    if (condition.kind !== 'boolean') {
+                        throw new FormulaError('type_mismatch', `if() condition must be Yes/No, not ${describeType(condition)}`, node.pos);
+                    }
+                    if (!sameType(whenTrue, whenFalse)) {
+                        throw new FormulaError('type_mismatch',
+                            `if() branches differ: ${describeType(whenTrue)} and ${describeType(whenFalse)}`, node.pos);
+                    }
+                    return whenTrue;
+                },
+                evaluate: ([condition, whenTrue, whenFalse], evaluate) =>
+                    evaluate(condition) ? evaluate(whenTrue) : evaluate(whenFalse)
+            },
+            and: logical('and', (args, evaluate) => args.every(arg => evaluate(arg))),
+            or: logical('or', (args, evaluate) => args.some(arg => evaluate(arg))),
+            not: {
+                minArgs: 1,
+                maxArgs: 1,
+                type: ([arg], node) => {
+                    if (arg.kind !== 'boolean') {
+                        throw new FormulaError('type_mismatch', `not() requires Yes/No, not ${describeType(arg)}`, node.pos);
+                    }
+                    return BOOLEAN;
+                },
+                evaluate: ([value]) => !value
+            },
+            sin: trig(Math.sin),
+            cos: trig(Math.cos),
+            tan: trig(Math.tan),
+            asin: inverseTrig(Math.asin),
+            acos: inverseTrig(Math.acos),
+            atan: inverseTrig(Math.atan),
+            sqrt: {
+                minArgs: 1,
+                maxArgs: 1,
+                type: ([arg], node) => {
+                    requireNumeric(arg, 'sqrt()', node.pos);
+                    if (arg.kind === 'angle' || arg.dim % 2 !== 0) {
+                        throw new FormulaError('type_mismatch', `sqrt() of ${describeType(arg)} has no unit`, node.pos);
+                    }
+                    return { kind: 'number', dim: arg.dim / 2 };
+                },
+                evaluate: ([value]) => Math.sqrt(value)
+            },
+            abs: rounding(Math.abs),
+            round: rounding(Math.round),
+            roundup: rounding(Math.ceil),
+            rounddown: rounding(Math.floor),
+            exp: numeric('exp', Math.exp),
+            ln: numeric('ln', Math.log),
+            log: numeric('log', Math.log10),
+            pi: {
+                minArgs: 0,
+                maxArgs: 0,
+                type: () => NUMBER,
+                evaluate: () => Math.PI
+            }
+        };
+    }
+}
+
+/**
+ * Recursive-descent parser over FormulaEngine tokens.
+ * Precedence (lowest first): comparison, + -, * /, unary -, ^
+ */
+class Parser {
+    constructor(tokens, source) {
+        this.tokens = tokens;
+        this.source = source;
+        this.index = 0;
+    }
+
+    parseFormula() {
+        const ast = this.parseComparison();
+        const token = this.peek();
+        if (token.type !== 'end') {
+            throw new FormulaError('syntax_error', `Unexpected '${this.describe(token)}'`, token.pos);
+        }
+        return ast;
+    }
+
+    parseComparison() {
+        const left = this.parseAdditive();
+        const token = this.peek();
+        if (token.type === 'operator' && ['=', '<', '>', '<=', '>='].includes(token.value)) {
+            this.next();
+            return { type: 'binary', op: token.value, left: left, right: this.parseAdditive(), pos: token.pos };
+        }
+        return left;
+    }
+
+    parseAdditive() {
+        let node = this.parseTerm();
+        while (this.isOperator('+') || this.isOperator('-')) {
+            const token = this.next();
+            node = { type: 'binary', op: token.value, left: node, right: this.parseTerm(), pos: token.pos };
+        }
+        return node;
+    }
+
+    parseTerm() {
+        let node = this.parseUnary();
+        while (this.isOperator('*') || this.isOperator('/')) {
+            const token = this.next();
+            node = { type: 'binary', op: token.value, left: node, right: this.parseUnary(), pos: token.pos };
+        }
+        return node;
+    }
+
+    parseUnary() {
+        if (this.isOperator('-') || this.isOperator('+')) {
+            const token = this.next();
+            return { type: 'unary', op: token.value, operand: this.parseUnary(), pos: token.pos };
+        }
+        return this.parsePower();
+    }
+
+    parsePower() {
+        const base = this.parsePrimary();
+        if (this.isOperator('^')) {
+            const token = this.next();
+            // Right-associative: 2^3^2 = 2^(3^2)
+            return { type: 'binary', op: '^', left: base, right: this.parseUnary(), pos: token.pos };
+        }
+        return base;
+    }
+
+    parsePrimary() {
+        const token = this.next();
+
+        if (token.type === 'number') {
+            return { type: 'number', value: token.value, unit: token.unit, pos: token.pos };
+        }
+
+        if (token.type === 'string') {
+            return { type: 'string', value: token.value, pos: token.pos };
+        }
+
+        if (token.type === 'identifier') {
+            // Parameter names take precedence over functions of the same name
+            if (!token.known && this.isOperator('(')) {
+                return this.parseCall(token);
+            }
+            return { type: 'ref', name: token.value, pos: token.pos };
+        }
+
+        if (token.type === 'operator' && token.value === '(') {
+            const node = this.parseComparison();
+            this.expect(')');
+            return node;
+        }
+
+        throw new FormulaError('syntax_error', token.type === 'end' ?
+            'Unexpected end of formula' :
+            `Unexpected '${this.describe(token)}'`, token.pos);
+    }
+
+    parseCall(token) {
+        this.expect('(');
+        const args = [];
+        if (!this.isOperator(')')) {
+            args.push(this.parseComparison());
+            while (this.isOperator(',')) {
+                this.next();
+                args.push(this.parseComparison());
+            }
+        }
+        this.expect(')');
+        return { type: 'call', name: token.value.toLowerCase(), args: args, pos: token.pos };
+    }
+
+    expect(value) {
+        const token = this.next();
+        if (token.type !== 'operator' || token.value !== value) {
+            throw new FormulaError('syntax_error', token.type === 'end' ?
+                `Missing '${value}'` :
+                `Expected '${value}' but found '${this.describe(token)}'`, token.pos);
+        }
+        return token;
+    }
+
+    isOperator(value) {
+        const token = this.peek();
+        return token.type === 'operator' && token.value === value;
+    }
+
+    peek() {
+        return this.tokens[this.index];
+    }
+
+    next() {
+        const token = this.tokens[this.index];
+        if (token.type !== 'end') {
+            this.index += 1;
+        }
+        return token;
+    }
+
+    describe(token) {
+        return token.type === 'number' || token.type === 'string' ?
+            this.source.slice(token.pos).split(/[\s,()]/)[0] || String(token.value) :
+            token.value;
+    }
+}
+
+function logical(name, evaluate) {
+    return {
+        minArgs: 1,
+        maxArgs: Infinity,
+        lazy: true,
+        type: (args, node) => {
+            args.forEach(arg => {
+                if (arg.kind !== 'boolean') {
+                    throw new FormulaError('type_mismatch', `${name}() requires Yes/No arguments, not ${describeType(arg)}`, node.pos);
+                }
+            });
+            return BOOLEAN;
+        },
+        evaluate: evaluate
+    };
+}
+
+/**
+ * Topologically order parameters by their formula references and
+ * collect the cycles that prevent ordering
+ * @param {Object} dependencies - Referenced parameter names by parameter name
+ * @returns {Object} { order, cycles }
+ */
+function orderDependencies(dependencies) {
+    const order = [];
+    const cycles = [];
+    const state = {}; // undefined: unvisited, 1: on the stack, 2: done
+    const stack = [];
+
+    const visit = (name) => {
+        if (state[name] === 2) {
+            return;
+        }
+        if (state[name] === 1) {
+            const cycle = stack.slice(stack.indexOf(name));
+            if (!cycles.some(existing => sameCycle(existing, cycle))) {
+                cycles.push(cycle);
+            }
+            return;
+        }
+
+        state[name] = 1;
+        stack.push(name);
+        (dependencies[name] || []).forEach(visit);
+        stack.pop();
+        state[name] = 2;
+        order.push(name);
+    };
+
+    Object.keys(dependencies).forEach(visit);
+    return { order: order, cycles: cycles };
+}
+
+function sameCycle(a, b) {
+    return a.length === b.length && a.every(name => b.includes(name));
+}
+
+function walk(node, visitor) {
+    visitor(node);
+    if (node.type === 'binary') {
+        walk(node.left, visitor);
+        walk(node.right, visitor);
+    } else if (node.type === 'unary') {
+        walk(node.operand, visitor);
+    } else if (node.type === 'call') {
+        node.args.forEach(arg => walk(arg, visitor));
+    }
+}
+
+function parameterTypes(parameters) {
+    const types = {};
+    parameters.forEach(param => {
+        types[param.name] = PARAMETER_VALUE_TYPES[param.type] || NUMBER;
+    });
+    return types;
+}
+
+function typeOfValue(value) {
+    if (typeof value === 'boolean') {
+        return 'YesNo';
+    }
+    return typeof value === 'string' ? 'Text' : 'Number';
+}
+
+function constantValue(node) {
+    if (node.type === 'number' && !node.unit) {
+        return node.value;
+    }
+    if (node.type === 'unary' && node.operand.type === 'number' && !node.operand.unit) {
+        return node.op === '-' ? -node.operand.value : node.operand.value;
+    }
+    return null;
+}
+
+function isDimensionless(type) {
+    return type.kind === 'number' && type.dim === 0;
+}
+
+function sameType(a, b) {
+    return a.kind === b.kind && (a.kind !== 'number' || a.dim === b.dim);
+}
+
+/**
+ * Whether a formula result can be assigned to a parameter. Plain
+ * numbers are accepted by Integer and Number parameters only.
+ */
+function isAssignable(type, expected) {
+    if (expected.kind === 'material') {
+        return type.kind === 'material';
+    }
+    return sameType(type, expected);
+}
+
+function requireNumeric(type, operation, position) {
+    if (type.kind !== 'number' && type.kind !== 'angle') {
+        throw new FormulaError('type_mismatch', `Cannot apply ${operation} to ${describeType(type)}`, position);
+    }
+}
+
+function requireSameType(left, right, operation, position) {
+    if (!sameType(left, right)) {
+        throw new FormulaError('type_mismatch',
+            `Cannot apply ${operation} to ${describeType(left)} and ${describeType(right)}`, position);
+    }
+}
+
+function describeType(type) {
+    switch (type.kind) {
+        case 'boolean': return 'Yes/No';
+        case 'text': return 'Text';
+        case 'material': return 'Material';
+        case 'angle': return 'Angle';
+    }
+    if (type.dim === 0) {
+        return 'Number';
+    }
+    return ['Length', 'Area', 'Volume'][type.dim - 1] || `Length^${type.dim}`;
+}
+
+FormulaEngine.FormulaError = FormulaError;
+
+module.exports = FormulaEngine;
@@ -0,0 +1,222 @@
+/////////////////////////////////////////////////////////////////////
+// famAI: Generation Progress Events
+// Copyright (c) 2024 famAI Platform
+//
+// This module reports the stages of the SIR -> code -> QA pipeline
+// as generation-progress and qa-validation events, to the user's
+// session room over Socket.IO and, when the client asks for it, as a
+// Server-Sent Events stream on the generate request itself
+/////////////////////////////////////////////////////////////////////
+
+const notifier = require('./socketNotifier');
+
+// Progress reached when each stage begins
+const STAGE_PROGRESS = {
+    received: 5,
+    llm_request: 10,
+    llm_streaming: 10,
+    sir_parsed: 60,
+    sir_invalid: 10,
+    code_generation: 62,
+    code_generated: 70,
+    qa_validation: 72,
+    complete: 100
+};
+
+// LLM streaming progress moves from llm_streaming towards sir_parsed
+const STREAMING_PROGRESS_RANGE = 45;
+// Characters after which streaming progress is about two-thirds of its range
+const STREAMING_EXPECTED_CHARS = 6000;
+// Minimum time between token progress events
+const TOKEN_EVENT_INTERVAL_MS = 250;
+
+class GenerationProgress {
+    /**
+     * @param {Object} options
+     * @param {string} options.userId - Owner of the session
+     * @param {string} options.sessionId - Generation session the events belong to
+     * @param {Object} options.res - Express response of the generate request
+     * @param {boolean} options.stream - Send the response as Server-Sent Events
+     */
+    constructor(options = {}) {
+        this.userId = options.userId;
+        this.sessionId = options.sessionId;
+        this.res = options.res;
+        this.stream = !!options.stream;
+        this.streaming = false;
+        this.progress = 0;
+        this.lastTokenEventAt = 0;
+        this.validations = {};
+    }
+
+    /**
+     * Whether the client asked for a Server-Sent Events response
+     * (?stream=true or Accept: text/event-stream)
+     */
+    static wantsStream(req) {
+        return req.query.stream === 'true' || (req.headers.accept || '').includes('text/event-stream');
+    }
+
+    /**
+     * Start the Server-Sent Events response, if one was requested
+     */
+    start() {
+        if (!this.stream || this.streaming) {
+            return this;
+        }
+
+        this.res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+        this.streaming = true;
+        return this;
+    }
+
+    /**
+     * Report that a pipeline stage was reached
+     * @param {string} stage - Stage name (see STAGE_PROGRESS)
+     * @param {string} message - User-facing description
+     * @param {Object} extra - Additional event data
+     */
+    stage(stage, message, extra = {}) {
+        if (STAGE_PROGRESS[stage] !== undefined) {
+            this.progress = STAGE_PROGRESS[stage];
+        }
+        this.emit('generation-progress', {
+            stage: stage,
+            message: message,
+            progress: this.progress,
+            ...extra
+        });
+    }
+
+    /**
+     * Listener for BIMLLMService generation events
+     */
+    llmListener() {
+        return (event) => {
+            switch (event.type) {
+                case 'llm_request':
+                    this.stage('llm_request', event.isRepair ?
+                        `Asking ${event.model} to correct the SIR (attempt ${event.attempt} of ${event.maxAttempts})...` :
+                        `Sending prompt to ${event.model}...`, {
+                        attempt: event.attempt,
+                        provider: event.provider,
+                        model: event.model
+                    });
+                    break;
+                case 'llm_token':
+                    this.tokens(event);
+                    break;
+                case 'sir_parsed':
+                    this.stage('sir_parsed', `SIR parsed for ${event.familyName}`, { attempt: event.attempt });
+                    break;
+                case 'sir_invalid':
+                    this.stage('sir_invalid', `Response rejected (${event.errors.length} error(s)), requesting a correction...`, {
+                        attempt: event.attempt,
+                        status: event.status,
+                        errors: event.errors.slice(0, 10)
+                    });
+                    break;
+            }
+        };
+    }
+
+    /**
+     * Report streamed LLM output, throttled to TOKEN_EVENT_INTERVAL_MS
+     */
+    tokens(event) {
+        const now = Date.now();
+        if (now - this.lastTokenEventAt < TOKEN_EVENT_INTERVAL_MS) {
+            return;
+        }
+        this.lastTokenEventAt = now;
+
+        const fraction = 1 - Math.exp(-event.receivedChars / STREAMING_EXPECTED_CHARS);
+        this.progress = Math.round(STAGE_PROGRESS.llm_streaming + fraction * STREAMING_PROGRESS_RANGE);
+        this.emit('generation-progress', {
+            stage: 'llm_streaming',
+            message: 'Receiving SIR from the model...',
+            progress: this.progress,
+            attempt: event.attempt,
+            receivedChars: event.receivedChars
+        });
+    }
+
+    /**
+     * Listener for QAGateway results, reporting each validator as it finishes
+     */
+    validationListener() {
+        return (name, result, total) => {
+            this.validations[name] = result;
+            const completed = Object.keys(this.validations).length;
+            this.progress = Math.round(STAGE_PROGRESS.qa_validation +
+                (STAGE_PROGRESS.complete - 2 - STAGE_PROGRESS.qa_validation) * completed / total);
+
+            this.emit('qa-validation', {
+                validator: name,
+                result: result,
+                completed: completed,
+                total: total,
+                qaValidation: { validations: { ...this.validations } }
+            });
+            this.emit('generation-progress', {
+                stage: 'qa_validation',
+                message: `QA ${completed}/${total}: ${name} ${result.pass ? 'passed' : 'failed'}`,
+                progress: this.progress
+            });
+        };
+    }
+
+    /**
+     * Report the complete QA result
+     */
+    qaResult(qaValidation) {
+        this.emit('qa-validation', {
+            completed: Object.keys(qaValidation.validations || {}).length,
+            qaValidation: qaValidation
+        });
+    }
+
+    /**
+     * Send the final response: a JSON body, or the last event of the stream
+     * @param {number} status - HTTP status of the result
+     * @param {Object} body - Response body
+     */
+    respond(status, body) {
+        const failed = status >= 400;
+        this.stage(failed ? 'failed' : 'complete', failed ?
+            (body.error || 'Generation failed') :
+            'Generation complete');
+
+        if (!this.streaming) {
+            return this.res.status(status).json(body);
+        }
+
+        this.send(failed ? 'error' : 'result', { status: status, ...body });
+        this.res.end();
+    }
+
+    emit(topic, data) {
+        const payload = {
+            sessionId: this.sessionId,
+            timestamp: new Date().toISOString(),
+            ...data
+        };
+
+        notifier.toSession(this.userId, this.sessionId, topic, payload);
+        this.send(topic, payload);
+    }
+
+    send(event, data) {
+        if (!this.streaming || this.res.writableEnded || this.res.destroyed) {
+            return;
+        }
+        this.res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    }
+}
+
+module.exports = GenerationProgress;
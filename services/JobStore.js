@@ -0,0 +1,173 @@
+/////////////////////////////////////////////////////////////////////
+// famAI: Durable Job Store
+// Copyright (c) 2024 famAI Platform
+//
+// This module backs the routes' activeSessions and workitemQueue
+// maps with the Job collection: writes go through to MongoDB,
+// reads prefer MongoDB so any instance sees the latest state, and
+// a local cache keeps the routes working if the database is down
+/////////////////////////////////////////////////////////////////////
+
+const mongoose = require('mongoose');
+const Job = require('../models/Job');
+
+// How long finished or abandoned state is kept
+const DEFAULT_TTL_MS = {
+    session: 7 * 24 * 60 * 60 * 1000,  // 7 days
+    workitem: 30 * 24 * 60 * 60 * 1000 // 30 days
+};
+
+// Every store created by the routes, for startup rehydration
+const stores = [];
+
+class JobStore {
+    /**
+     * @param {string} namespace - Owner of the store (e.g. 'famai')
+     * @param {string} kind - 'session' or 'workitem'
+     * @param {Object} options - { ttlMs }
+     */
+    constructor(namespace, kind, options = {}) {
+        this.namespace = namespace;
+        this.kind = kind;
+        this.ttlMs = options.ttlMs || DEFAULT_TTL_MS[kind];
+        this.cache = new Map();
+        stores.push(this);
+    }
+
+    /**
+     * Whether MongoDB is connected and writes are durable
+     */
+    isPersistent() {
+        return mongoose.connection.readyState === 1;
+    }
+
+    /**
+     * Get state for a key, reading MongoDB first so state written by
+     * another instance (or before a restart) is found
+     * @param {string} key - Session ID or workitem ID
+     * @returns {Promise<Object|undefined>}
+     */
+    async fetch(key) {
+        if (!key) {
+            return undefined;
+        }
+
+        if (this.isPersistent()) {
+            try {
+                const job = await Job.findOne(this.query({ key: key })).lean();
+                if (job) {
+                    this.cache.set(key, job.data);
+                    return job.data;
+                }
+            } catch (error) {
+                console.warn(`JobStore(${this.namespace}/${this.kind}): failed to read ${key}:`, error.message);
+            }
+        }
+
+        return this.cache.get(key);
+    }
+
+    /**
+     * Store state for a key
+     * @param {string} key - Session ID or workitem ID
+     * @param {Object} data - State to persist
+     */
+    async set(key, data) {
+        this.cache.set(key, data);
+
+        if (this.isPersistent()) {
+            try {
+                await Job.updateOne(
+                    this.query({ key: key }),
+                    {
+                        $set: {
+                            data: data,
+                            status: data && data.status,
+                            sessionId: data && data.sessionId,
+                            expiresAt: new Date(Date.now() + this.ttlMs)
+                        }
+                    },
+                    { upsert: true }
+                );
+            } catch (error) {
+                console.warn(`JobStore(${this.namespace}/${this.kind}): failed to persist ${key}:`, error.message);
+            }
+        }
+
+        return this;
+    }
+
+    /**
+     * Remove state for a key
+     */
+    async delete(key) {
+        const existed = this.cache.delete(key);
+
+        if (this.isPersistent()) {
+            try {
+                const result = await Job.deleteOne(this.query({ key: key }));
+                return existed || result.deletedCount > 0;
+            } catch (error) {
+                console.warn(`JobStore(${this.namespace}/${this.kind}): failed to delete ${key}:`, error.message);
+            }
+        }
+
+        return existed;
+    }
+
+    /**
+     * List stored state as [key, data] pairs
+     * @param {Object} filter - Optional { status } (a string or an array of statuses)
+     * @returns {Promise<Array>}
+     */
+    async entries(filter = {}) {
+        const statuses = filter.status ? [].concat(filter.status) : null;
+
+        if (this.isPersistent()) {
+            try {
+                const query = this.query(statuses ? { status: { $in: statuses } } : {});
+                const jobs = await Job.find(query).sort({ updatedAt: -1 }).lean();
+                return jobs.map(job => [job.key, job.data]);
+            } catch (error) {
+                console.warn(`JobStore(${this.namespace}/${this.kind}): failed to list jobs:`, error.message);
+            }
+        }
+
+        return Array.from(this.cache.entries())
+            .filter(([key, data]) => !statuses || statuses.includes(data && data.status));
+    }
+
+    /**
+     * Load unexpired state from MongoDB into the local cache
+     * @returns {Promise<number>} Number of jobs loaded
+     */
+    async rehydrate() {
+        if (!this.isPersistent()) {
+            return 0;
+        }
+
+        const jobs = await Job.find(this.query({ expiresAt: { $gt: new Date() } })).lean();
+        jobs.forEach(job => this.cache.set(job.key, job.data));
+        return jobs.length;
+    }
+
+    query(extra = {}) {
+        return { namespace: this.namespace, kind: this.kind, ...extra };
+    }
+
+    /**
+     * Rehydrate every store created so far (called once the database is connected)
+     */
+    static async rehydrateAll() {
+        for (const store of stores) {
+            try {
+                const count = await store.rehydrate();
+                console.log(`JobStore(${store.namespace}/${store.kind}): rehydrated ${count} job(s)`);
+            } catch (error) {
+                console.error(`JobStore(${store.namespace}/${store.kind}): rehydration failed:`, error.message);
+            }
+        }
+    }
+}
+
+module.exports = JobStore;
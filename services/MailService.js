@@ -0,0 +1,160 @@
+/////////////////////////////////////////////////////////////////////
+// famAI: Mail Service
+// Copyright (c) 2024 famAI Platform
+//
+// This module sends the account emails (verification and password
+// reset) through a pluggable transport: SMTP in production, and a
+// file or console transport for local development
+/////////////////////////////////////////////////////////////////////
+
+const fs = require('fs');
+const path = require('path');
+const { mail: mailConfig = {} } = require('../config');
+
+/**
+ * Sends through an SMTP server with nodemailer
+ */
+class SMTPTransport {
+    constructor(options = {}) {
+        // Loaded on first use so the other transports work without nodemailer
+        const nodemailer = require('nodemailer');
+        this.transporter = nodemailer.createTransport({
+            host: options.host,
+            port: options.port,
+            secure: options.secure,
+            auth: options.user ? { user: options.user, pass: options.pass } : undefined
+        });
+    }
+
+    async send(message) {
+        const info = await this.transporter.sendMail(message);
+        return { messageId: info.messageId };
+    }
+}
+
+/**
+ * Writes each message to an .eml file, for local development and tests
+ */
+class FileTransport {
+    constructor(options = {}) {
+        this.dir = options.fileDir;
+    }
+
+    async send(message) {
+        await fs.promises.mkdir(this.dir, { recursive: true });
+        const messageId = `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+        const file = path.join(this.dir, `${messageId}.eml`);
+        const eml = [
+            `From: ${message.from}`,
+            `To: ${message.to}`,
+            `Subject: ${message.subject}`,
+            `Date: ${new Date().toUTCString()}`,
+            'Content-Type: text/plain; charset=utf-8',
+            '',
+            message.text
+        ].join('\r\n');
+        await fs.promises.writeFile(file, eml, 'utf8');
+        return { messageId: messageId, file: file };
+    }
+}
+
+/**
+ * Logs each message, for local development
+ */
+class ConsoleTransport {
+    async send(message) {
+        console.log(`📧 Mail to ${message.to}: ${message.subject}\n${message.text}`);
+        return { messageId: `console-${Date.now()}` };
+    }
+}
+
+// Transport factories by name; register more with MailService.registerTransport
+const transports = {
+    smtp: (options) => new SMTPTransport(options.smtp),
+    file: (options) => new FileTransport(options),
+    console: () => new ConsoleTransport()
+};
+
+class MailService {
+    /**
+     * @param {Object} options - { transport (name or object with send(message)), from, smtp, fileDir }
+     *                           overriding config.mail
+     */
+    constructor(options = {}) {
+        const settings = Object.assign({}, mailConfig, options);
+        this.from = settings.from;
+
+        if (settings.transport && typeof settings.transport.send === 'function') {
+            this.transport = settings.transport;
+        } else {
+            const name = settings.transport || 'console';
+            if (!transports[name]) {
+                throw new Error(`Unknown mail transport: ${name}`);
+            }
+            this.transport = transports[name](settings);
+        }
+    }
+
+    /**
+     * Add a transport that MAIL_TRANSPORT can select
+     * @param {string} name - Transport name
+     * @param {Function} factory - (mailSettings) => object with async send(message)
+     */
+    static registerTransport(name, factory) {
+        transports[name] = factory;
+    }
+
+    /**
+     * Send a plain text message
+     * @param {Object} message - { to, subject, text }
+     * @returns {Promise<Object>} { messageId, ... } from the transport
+     */
+    async send(message) {
+        return this.transport.send(Object.assign({ from: this.from }, message));
+    }
+
+    /**
+     * Send the link that verifies a new account's email address
+     * @param {Object} user - User document
+     * @param {string} link - Verification URL with the token
+     */
+    async sendEmailVerification(user, link) {
+        return this.send({
+            to: user.email,
+            subject: 'Verify your famAI email address',
+            text: `Hi ${user.displayName},\n\n` +
+                `Please verify your email address to finish creating your famAI account:\n\n${link}\n\n` +
+                `The link expires in ${MailService.describeDuration(user.emailVerificationExpiry)}. ` +
+                `If you didn't create an account, you can ignore this email.`
+        });
+    }
+
+    /**
+     * Send the link that resets an account's password
+     * @param {Object} user - User document
+     * @param {string} link - Reset URL with the token
+     */
+    async sendPasswordReset(user, link) {
+        return this.send({
+            to: user.email,
+            subject: 'Reset your famAI password',
+            text: `Hi ${user.displayName},\n\n` +
+                `Someone asked to reset the password of your famAI account. To choose a new password, open:\n\n${link}\n\n` +
+                `The link works once and expires in ${MailService.describeDuration(user.passwordResetExpiry)}. ` +
+                `If you didn't ask for this, you can ignore this email; your password is unchanged.`
+        });
+    }
+
+    /**
+     * Time until an expiry date, in hours or minutes
+     */
+    static describeDuration(expiry) {
+        const minutes = Math.max(Math.round((new Date(expiry) - Date.now()) / 60000), 1);
+        if (minutes >= 120) {
+            return `${Math.round(minutes / 60)} hours`;
+        }
+        return minutes === 1 ? '1 minute' : `${minutes} minutes`;
+    }
+}
+
+module.exports = MailService;
@@ -0,0 +1,326 @@
+/////////////////////////////////////////////////////////////////////
+// famAI: OpenID Connect Service
+// Copyright (c) 2024 famAI Platform
+//
+// This module signs users in with external OpenID Connect providers
+// (Autodesk, Google, Microsoft): the authorization code flow with PKCE,
+// the token exchange, and the identity in the ID token and userinfo
+/////////////////////////////////////////////////////////////////////
+
+const crypto = require('crypto');
+const { auth: authConfig = {}, oauth: oauthConfig = {} } = require('../config');
+
+/**
+ * URL-safe base64 of random bytes, for state, nonce and PKCE values
+ */
+function randomToken(bytes = 32) {
+    return crypto.randomBytes(bytes).toString('base64url');
+}
+
+class OIDCService {
+    /**
+     * @param {Object} options - { providers, mockIssuer, appUrl } overriding config.oauth
+     */
+    constructor(options = {}) {
+        this.providers = options.providers || oauthConfig.providers || {};
+        this.mockIssuer = options.mockIssuer !== undefined ? options.mockIssuer : !!oauthConfig.mockIssuer;
+        this.appUrl = options.appUrl || authConfig.appUrl;
+
+        // provider -> discovery document
+        this.metadata = new Map();
+    }
+
+    /**
+     * Get a provider's settings, pointed at the mock issuer when it's enabled
+     * @param {string} name - Provider name
+     * @returns {Object|null} { label, issuer, clientId, clientSecret, callbackUrl, scopes }
+     */
+    getProvider(name) {
+        if (!Object.prototype.hasOwnProperty.call(this.providers, name)) {
+            return null;
+        }
+
+        const provider = this.providers[name];
+        if (this.mockIssuer) {
+            return Object.assign({}, provider, {
+                issuer: `${this.appUrl}/mock-oidc/${name}`,
+                clientId: `famai-${name}`,
+                clientSecret: OIDCService.MOCK_CLIENT_SECRET
+            });
+        }
+        return provider;
+    }
+
+    /**
+     * Whether a provider has the client credentials it needs
+     */
+    isConfigured(name) {
+        const provider = this.getProvider(name);
+        return !!(provider && provider.issuer && provider.clientId && provider.clientSecret);
+    }
+
+    /**
+     * List the providers for the sign-in page
+     * @returns {Array} [{ name, label, configured }]
+     */
+    listProviders() {
+        return Object.keys(this.providers).map(name => ({
+            name: name,
+            label: this.providers[name].label || name,
+            configured: this.isConfigured(name)
+        }));
+    }
+
+    /**
+     * The URL the provider redirects back to
+     */
+    getRedirectUri(name) {
+        return this.getProvider(name).callbackUrl || `${this.appUrl}/api/auth/oauth/${name}/callback`;
+    }
+
+    /**
+     * Get a provider's OpenID configuration, fetched once
+     * @param {string} name - Provider name
+     * @returns {Promise<Object>} Discovery document
+     */
+    async discover(name) {
+        if (this.metadata.has(name)) {
+            return this.metadata.get(name);
+        }
+
+        const provider = this.getProvider(name);
+        const url = `${provider.issuer.replace(/\/$/, '')}/.well-known/openid-configuration`;
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`OpenID discovery failed for ${name}: HTTP ${response.status}`);
+        }
+
+        const metadata = await response.json();
+        this.metadata.set(name, metadata);
+        return metadata;
+    }
+
+    /**
+     * Start the authorization code flow. The state, nonce and code verifier
+     * are kept by the caller (in the session) for the callback
+     * @param {string} name - Provider name
+     * @param {Object} options - { loginHint }
+     * @returns {Promise<Object>} { url, state, nonce, codeVerifier }
+     */
+    async createAuthorizationRequest(name, options = {}) {
+        if (!this.isConfigured(name)) {
+            throw new Error(`Sign in with ${name} is not configured`);
+        }
+
+        const provider = this.getProvider(name);
+        const metadata = await this.discover(name);
+        const state = randomToken();
+        const nonce = randomToken();
+        const codeVerifier = randomToken(48);
+        const codeChallenge = crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+
+        const params = new URLSearchParams({
+            response_type: 'code',
+            client_id: provider.clientId,
+            redirect_uri: this.getRedirectUri(name),
+            scope: (provider.scopes || ['openid']).join(' '),
+            state: state,
+            nonce: nonce,
+            code_challenge: codeChallenge,
+            code_challenge_method: 'S256'
+        });
+        if (options.loginHint) {
+            params.set('login_hint', options.loginHint);
+        }
+
+        return {
+            url: `${metadata.authorization_endpoint}?${params.toString()}`,
+            state: state,
+            nonce: nonce,
+            codeVerifier: codeVerifier
+        };
+    }
+
+    /**
+     * Exchange an authorization code for tokens
+     * @returns {Promise<Object>} { access_token, refresh_token, id_token, expires_in, ... }
+     */
+    async exchangeCode(name, code, codeVerifier) {
+        return this.requestTokens(name, {
+            grant_type: 'authorization_code',
+            code: code,
+            redirect_uri: this.getRedirectUri(name),
+            code_verifier: codeVerifier
+        });
+    }
+
+    /**
+     * Get new tokens with a refresh token
+     * @param {string} name - Provider name
+     * @param {string} refreshToken - Refresh token
+     * @param {Array} scopes - Narrower scopes for the new access token
+     * @returns {Promise<Object>} { access_token, refresh_token, expires_in, ... }
+     */
+    async refreshTokens(name, refreshToken, scopes) {
+        const params = {
+            grant_type: 'refresh_token',
+            refresh_token: refreshToken
+        };
+        if (scopes) {
+            params.scope = scopes.join(' ');
+        }
+        return this.requestTokens(name, params);
+    }
+
+    /**
+     * Revoke a token at the provider, when it has a revocation endpoint
+     * @param {string} name - Provider name
+     * @param {string} token - Access or refresh token
+     * @param {string} tokenTypeHint - 'access_token' or 'refresh_token'
+     * @returns {Promise<boolean>} Whether the provider revoked it
+     */
+    async revokeToken(name, token, tokenTypeHint) {
+        const metadata = await this.discover(name);
+        if (!metadata.revocation_endpoint || !token) {
+            return false;
+        }
+
+        const response = await fetch(metadata.revocation_endpoint, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/x-www-form-urlencoded',
+                'Authorization': `Basic ${this.getClientCredentials(name)}`
+            },
+            body: new URLSearchParams({ token: token, token_type_hint: tokenTypeHint }).toString()
+        });
+        return response.ok;
+    }
+
+    /**
+     * Get the signed-in identity from the ID token, completed from the
+     * userinfo endpoint when it lacks the email
+     * @param {string} name - Provider name
+     * @param {Object} tokens - Token response
+     * @param {string} nonce - Nonce sent with the authorization request
+     * @returns {Promise<Object>} { provider, subject, email, emailVerified, firstName, lastName, displayName, avatar }
+     */
+    async getIdentity(name, tokens, nonce) {
+        const metadata = await this.discover(name);
+        let claims = this.validateIdToken(name, metadata, tokens.id_token, nonce);
+
+        if (!claims.email && metadata.userinfo_endpoint && tokens.access_token) {
+            const response = await fetch(metadata.userinfo_endpoint, {
+                headers: { Authorization: `Bearer ${tokens.access_token}` }
+            });
+            if (response.ok) {
+                const userinfo = await response.json();
+                if (userinfo.sub === claims.sub) {
+                    claims = Object.assign({}, userinfo, claims);
+                }
+            }
+        }
+
+        // Microsoft work accounts may only carry the address as the username
+        let email = claims.email;
+        if (!email && name === 'microsoft' && /@/.test(claims.preferred_username || '')) {
+            email = claims.preferred_username;
+        }
+
+        return {
+            provider: name,
+            subject: String(claims.sub),
+            email: email ? String(email).toLowerCase() : null,
+            emailVerified: claims.email_verified === true || claims.email_verified === 'true',
+            firstName: claims.given_name || '',
+            lastName: claims.family_name || '',
+            displayName: claims.name || '',
+            avatar: claims.picture || null
+        };
+    }
+
+    /**
+     * Check an ID token's issuer, audience, expiry and nonce. The token comes
+     * straight from the token endpoint over TLS, which OpenID Connect allows
+     * in place of checking its signature
+     * @returns {Object} Claims
+     */
+    validateIdToken(name, metadata, idToken, nonce) {
+        if (!idToken) {
+            throw new Error(`${name} did not return an ID token`);
+        }
+
+        const claims = OIDCService.decodeJwt(idToken);
+        const provider = this.getProvider(name);
+        // Multi-tenant issuers (Microsoft's common endpoint) name the tenant in each token
+        const issuer = String(metadata.issuer || provider.issuer).replace('{tenantid}', claims.tid);
+        const audience = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+        const now = Math.floor(Date.now() / 1000);
+
+        if (claims.iss !== issuer) {
+            throw new Error(`ID token issuer ${claims.iss} does not match ${issuer}`);
+        }
+        if (!audience.includes(provider.clientId)) {
+            throw new Error('ID token was issued to another client');
+        }
+        if (!claims.exp || claims.exp + OIDCService.CLOCK_SKEW_SECONDS < now) {
+            throw new Error('ID token has expired');
+        }
+        if (nonce && claims.nonce !== nonce) {
+            throw new Error('ID token nonce does not match the sign-in request');
+        }
+        if (!claims.sub) {
+            throw new Error('ID token has no subject');
+        }
+        return claims;
+    }
+
+    /**
+     * Decode a JWT's claims without checking its signature
+     */
+    static decodeJwt(token) {
+        const parts = String(token).split('.');
+        if (parts.length !== 3) {
+            throw new Error('Malformed ID token');
+        }
+        try {
+            return JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+        } catch (error) {
+            throw new Error('Malformed ID token');
+        }
+    }
+
+    // Internal helpers
+
+    getClientCredentials(name) {
+        const provider = this.getProvider(name);
+        return Buffer.from(`${encodeURIComponent(provider.clientId)}:${encodeURIComponent(provider.clientSecret)}`).toString('base64');
+    }
+
+    async requestTokens(name, params) {
+        const metadata = await this.discover(name);
+        const credentials = this.getClientCredentials(name);
+
+        const response = await fetch(metadata.token_endpoint, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/x-www-form-urlencoded',
+                'Accept': 'application/json',
+                'Authorization': `Basic ${credentials}`
+            },
+            body: new URLSearchParams(params).toString()
+        });
+
+        const body = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new Error(`${name} token request failed: ${body.error_description || body.error || `HTTP ${response.status}`}`);
+        }
+        return body;
+    }
+}
+
+// Client secret the mock issuer expects
+OIDCService.MOCK_CLIENT_SECRET = 'mock-secret';
+// Leeway for clock differences with the provider
+OIDCService.CLOCK_SKEW_SECONDS = 60;
+
+module.exports = OIDCService;
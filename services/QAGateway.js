@@ -6,8 +6,21 @@
 // for generated Revit families, ensuring compliance and performance
 /////////////////////////////////////////////////////////////////////
 
+const SIRSchema = require('./SIRSchema');
+const FormulaEngine = require('./FormulaEngine');
+const FlexingSimulator = require('./FlexingSimulator');
+const ConstraintGraph = require('./ConstraintGraph');
+const BEPRulePack = require('./BEPRulePack');
+const CategoryRules = require('./CategoryRules');
+const SIRPatch = require('./SIRPatch');
+
 class QAGateway {
     constructor() {
+        this.sirSchema = new SIRSchema();
+        this.formulaEngine = new FormulaEngine();
+        this.flexingSimulator = new FlexingSimulator({ formulaEngine: this.formulaEngine });
+        this.categoryRules = new CategoryRules({ formulaEngine: this.formulaEngine });
+        this.sirPatch = new SIRPatch();
         this.validationRules = this.initializeValidationRules();
         this.performanceMetrics = this.initializePerformanceMetrics();
         this.complianceStandards = this.initializeComplianceStandards();
@@ -18,9 +31,11 @@ class QAGateway {
      * @param {Object} sir - Structured Intermediate Representation
      * @param {string} generatedCode - Generated Python code
      * @param {Object} executionResult - Result from APS execution
+     * @param {Object} options - { organization, onValidation(name, result) }: the organisation
+     *     whose BEP rule pack applies, and a callback for each check as it finishes
      * @returns {Object} QA validation results
      */
-    async validateFamily(sir, generatedCode, executionResult) {
+    async validateFamily(sir, generatedCode, executionResult, options = {}) {
         try {
             const validationResults = {
                 overallPass: true,
@@ -32,16 +47,27 @@ class QAGateway {
             };
 
             // Run all validation checks
-            validationResults.validations.geometryValidation = await this.validateGeometry(sir);
-            validationResults.validations.parameterValidation = await this.validateParameters(sir);
-            validationResults.validations.performanceValidation = await this.validatePerformance(sir, generatedCode);
-            validationResults.validations.complianceValidation = await this.validateCompliance(sir);
-            validationResults.validations.flexingValidation = await this.validateFlexing(sir);
-            validationResults.validations.metadataValidation = await this.validateMetadata(sir);
+            const checks = [
+                ['geometryValidation', () => this.validateGeometry(sir)],
+                ['parameterValidation', () => this.validateParameters(sir)],
+                ['performanceValidation', () => this.validatePerformance(sir, generatedCode)],
+                ['complianceValidation', () => this.validateCompliance(sir, options)],
+                ['flexingValidation', () => this.validateFlexing(sir)],
+                ['metadataValidation', () => this.validateMetadata(sir)]
+            ];
+            for (const [name, check] of checks) {
+                validationResults.validations[name] = await check();
+                if (options.onValidation) {
+                    options.onValidation(name, validationResults.validations[name], checks.length);
+                }
+            }
 
             // Determine overall pass/fail
             validationResults.overallPass = this.determineOverallPass(validationResults.validations);
 
+            // Collect the machine-applicable fixes the validators proposed
+            validationResults.fixes = this.collectFixes(validationResults.validations);
+
             // Generate improvement recommendations
             validationResults.recommendations = this.generateRecommendations(validationResults.validations);
 
@@ -65,10 +91,24 @@ class QAGateway {
             pass: true,
             issues: [],
             warnings: [],
-            score: 100
+            score: 100,
+            fixes: []
         };
 
         try {
+            // Structural problems are reported by the SIR schema with their exact path
+            const schemaErrors = this.sirSchema.validate(sir).errors
+                .filter(error => error.path.startsWith('sir.geometryDefinition'));
+            schemaErrors.forEach(error => {
+                results.issues.push(`${error.path} ${error.message}`);
+                results.pass = false;
+                results.score -= 10;
+            });
+            if (schemaErrors.length > 0) {
+                results.score = Math.max(0, results.score);
+                return results;
+            }
+
             // Check for required geometry elements
             if (!sir.geometryDefinition.extrusions || sir.geometryDefinition.extrusions.length === 0) {
                 results.issues.push('No extrusions defined in geometry');
@@ -79,13 +119,6 @@ class QAGateway {
             // Validate extrusion definitions
             if (sir.geometryDefinition.extrusions) {
                 sir.geometryDefinition.extrusions.forEach((extrusion, index) => {
-                    // Check for valid profile
-                    if (!extrusion.profile || extrusion.profile.length < 3) {
-                        results.issues.push(`Extrusion ${extrusion.name} has invalid profile (minimum 3 points required)`);
-                        results.pass = false;
-                        results.score -= 20;
-                    }
-
                     // Check for reasonable dimensions
                     const height = Math.abs(extrusion.endPoint.z - extrusion.startPoint.z);
                     if (height <= 0) {
@@ -94,6 +127,25 @@ class QAGateway {
                         results.score -= 15;
                     }
 
+                    // Repeated points leave zero-length edges, so the profile does not close into a loop
+                    const repeated = this.findRepeatedProfilePoints(extrusion.profile || []);
+                    if (repeated.length > 0) {
+                        results.issues.push(`Extrusion ${extrusion.name} profile is not a closed loop: ` +
+                            `point ${repeated.join(', ')} repeats the previous point (zero-length edge)`);
+                        results.pass = false;
+                        results.score -= 10;
+                        if (extrusion.profile.length - repeated.length >= 3) {
+                            results.fixes.push({
+                                id: `close-profile:${extrusion.name}`,
+                                description: `Close the profile of ${extrusion.name} by removing ${repeated.length} repeated point(s)`,
+                                patch: repeated.slice().reverse().map(pointIndex => ({
+                                    op: 'remove',
+                                    path: this.sirPatch.pointer('geometryDefinition', 'extrusions', index, 'profile', pointIndex)
+                                }))
+                            });
+                        }
+                    }
+
                     // Check for excessive complexity
                     if (extrusion.profile && extrusion.profile.length > 20) {
                         results.warnings.push(`Extrusion ${extrusion.name} has high complexity (${extrusion.profile.length} points)`);
@@ -112,17 +164,21 @@ class QAGateway {
                         results.issues.push(`Reference plane ${plane.name} has invalid normal vector`);
                         results.pass = false;
                         results.score -= 10;
-                    }
-                });
-            }
-
-            // Validate constraints
-            if (sir.geometryDefinition.constraints) {
-                sir.geometryDefinition.constraints.forEach((constraint, index) => {
-                    if (!constraint.element1 || !constraint.element2) {
-                        results.issues.push(`Constraint ${index} has missing elements`);
-                        results.pass = false;
-                        results.score -= 10;
+                        if (magnitude > 0) {
+                            const path = this.sirPatch.pointer('geometryDefinition', 'referencePlanes', index, 'normal');
+                            results.fixes.push({
+                                id: `normalize-normal:${plane.name}`,
+                                description: `Normalise the normal vector of reference plane ${plane.name}`,
+                                patch: [
+                                    { op: 'test', path: path, value: normal },
+                                    { op: 'replace', path: path, value: {
+                                        x: normal.x / magnitude,
+                                        y: normal.y / magnitude,
+                                        z: normal.z / magnitude
+                                    } }
+                                ]
+                            });
+                        }
                     }
                 });
             }
@@ -134,12 +190,14 @@ class QAGateway {
                 if (sir.geometryDefinition.extrusions && sir.geometryDefinition.extrusions.length > 3) {
                     results.warnings.push('LOD 200 family has complex geometry - consider simplification');
                     results.score -= 5;
+                    results.fixes.push(this.lodFix(lod, 300, 'to match its detailed geometry'));
                 }
             } else if (lod >= 400) {
                 // High LOD should have detailed geometry
                 if (!sir.geometryDefinition.extrusions || sir.geometryDefinition.extrusions.length < 2) {
                     results.warnings.push('LOD 400+ family may need more detailed geometry');
                     results.score -= 5;
+                    results.fixes.push(this.lodFix(lod, 300, 'to match its simple geometry'));
                 }
             }
 
@@ -160,7 +218,8 @@ class QAGateway {
             pass: true,
             issues: [],
             warnings: [],
-            score: 100
+            score: 100,
+            fixes: []
         };
 
         try {
@@ -185,7 +244,7 @@ class QAGateway {
                     parameterNames.add(param.name);
 
                     // Validate parameter name format
-                    if (!/^[a-zA-Z][a-zA-Z0-9_]*$/.test(param.name)) {
+                    if (!this.validationRules.parameters.requiredNamingPattern.test(param.name)) {
                         results.issues.push(`Invalid parameter name format: ${param.name}`);
                         results.pass = false;
                         results.score -= 10;
@@ -199,24 +258,45 @@ class QAGateway {
                         results.score -= 10;
                     }
 
-                    // Validate formulas
-                    if (param.formula) {
-                        const formulaValidation = this.validateFormula(param.formula, sir.parameters.familyParameters);
-                        if (!formulaValidation.valid) {
-                            results.issues.push(`Invalid formula for ${param.name}: ${formulaValidation.error}`);
-                            results.pass = false;
-                            results.score -= 10;
-                        }
-                    }
                 });
 
-                // Check for essential parameters based on family category
-                const essentialParams = this.getEssentialParameters(sir.familyMetadata.category);
-                essentialParams.forEach(essentialParam => {
-                    if (!parameterNames.has(essentialParam)) {
-                        results.warnings.push(`Missing essential parameter: ${essentialParam}`);
+                // Validate formulas: syntax, references, types and circular references
+                const formulaAnalysis = this.formulaEngine.analyzeParameters(sir.parameters.familyParameters);
+                formulaAnalysis.errors.forEach(error => {
+                    results.issues.push(`Invalid formula for ${error.parameter}: ${error.message}`);
+                    results.pass = false;
+                    results.score -= 10;
+                });
+
+                // Evaluate the formulas with the default values
+                if (formulaAnalysis.valid) {
+                    const evaluation = this.formulaEngine.evaluateParameters(sir.parameters.familyParameters);
+                    evaluation.errors.forEach(error => {
+                        results.warnings.push(`Formula for ${error.parameter} cannot be evaluated with default values: ${error.message}`);
                         results.score -= 5;
-                    }
+                    });
+                }
+
+                // Check for essential parameters based on family category, by name or alias
+                const essentialParams = this.categoryRules.checkParameters(sir);
+                essentialParams.missing.forEach(spec => {
+                    results.warnings.push(`Missing essential parameter: ${spec.name}`);
+                    results.score -= 5;
+                    results.fixes.push({
+                        id: `add-parameter:${spec.name}`,
+                        description: `Add the ${spec.type} parameter ${spec.name}` +
+                            (spec.default !== undefined ? ` (default ${spec.default} ft)` : ''),
+                        patch: [{ op: 'add', path: '/parameters/familyParameters/-', value: {
+                            name: spec.name,
+                            type: spec.type,
+                            defaultValue: spec.default !== undefined ? spec.default : null,
+                            isInstance: true
+                        } }]
+                    });
+                });
+                essentialParams.mistyped.forEach(({ spec, parameter }) => {
+                    results.warnings.push(`Essential parameter ${parameter.name} should be ${spec.type}, not ${parameter.type}`);
+                    results.score -= 5;
                 });
             }
 
@@ -244,6 +324,16 @@ class QAGateway {
                                 }
                             }
                         });
+
+                        // Formulas must evaluate with the type's values
+                        const evaluation = this.formulaEngine.evaluateSIR(sir, {}, type.name);
+                        evaluation.errors
+                            .filter(error => error.code === 'evaluation_error')
+                            .forEach(error => {
+                                results.issues.push(`Formula for ${error.parameter} fails in type ${type.name}: ${error.message}`);
+                                results.pass = false;
+                                results.score -= 5;
+                            });
                     }
                 });
             }
@@ -323,22 +413,29 @@ class QAGateway {
 
     /**
      * Validate compliance with industry standards
+     * @param {Object} sir - Structured Intermediate Representation
+     * @param {Object} options - { organization } whose BEP rule pack applies
      */
-    async validateCompliance(sir) {
+    async validateCompliance(sir, options = {}) {
         const results = {
             pass: true,
             issues: [],
             warnings: [],
-            score: 100
+            score: 100,
+            fixes: []
         };
 
         try {
-            // BIM Execution Plan compliance
-            const bepCompliance = this.validateBEPCompliance(sir);
+            // BIM Execution Plan compliance; warnings cost points without failing
+            const bepCompliance = this.validateBEPCompliance(sir, options.organization);
+            results.bep = bepCompliance.rulePack;
+            results.violations = bepCompliance.violations;
+            results.fixes.push(...(bepCompliance.fixes || []));
+            results.warnings.push(...bepCompliance.warnings);
+            results.score -= bepCompliance.scoreDeduction;
             if (!bepCompliance.pass) {
                 results.issues.push(...bepCompliance.issues);
                 results.pass = false;
-                results.score -= bepCompliance.scoreDeduction;
             }
 
             // Industry standard compliance
@@ -349,14 +446,18 @@ class QAGateway {
                 results.score -= industryCompliance.scoreDeduction;
             }
 
-            // Category-specific compliance
+            // Category-specific compliance; out-of-range dimensions are warnings
             const categoryCompliance = this.validateCategoryCompliance(sir);
+            results.fixes.push(...categoryCompliance.fixes);
+            results.warnings.push(...categoryCompliance.warnings);
+            results.score -= categoryCompliance.scoreDeduction;
             if (!categoryCompliance.pass) {
                 results.issues.push(...categoryCompliance.issues);
                 results.pass = false;
-                results.score -= categoryCompliance.scoreDeduction;
             }
 
+            results.score = Math.max(0, results.score);
+
         } catch (error) {
             results.issues.push(`Compliance validation error: ${error.message}`);
             results.pass = false;
@@ -378,27 +479,30 @@ class QAGateway {
         };
 
         try {
-            // Check for flexing test scenarios
-            const flexingScenarios = this.generateFlexingScenarios(sir);
-            
-            flexingScenarios.forEach(scenario => {
-                const scenarioValidation = this.validateFlexingScenario(scenario, sir);
-                if (!scenarioValidation.pass) {
-                    results.issues.push(`Flexing scenario failed: ${scenarioValidation.error}`);
+            // Flex the geometry through every scenario, keeping each scenario's evidence
+            const simulation = this.flexingSimulator.simulate(sir);
+            results.scenarios = simulation.scenarios;
+            results.bindings = simulation.bindings;
+
+            simulation.scenarios.forEach(scenario => {
+                if (!scenario.pass) {
+                    const more = scenario.failures.length > 1 ? ` (+${scenario.failures.length - 1} more)` : '';
+                    results.issues.push(`Flexing scenario "${scenario.name}" failed: ${scenario.error}${more}`);
                     results.pass = false;
                     results.score -= 15;
                 }
             });
 
             // Check for constraint dependencies
-            if (sir.geometryDefinition.constraints) {
-                const constraintValidation = this.validateConstraintDependencies(sir.geometryDefinition.constraints);
-                if (!constraintValidation.pass) {
-                    results.issues.push(...constraintValidation.issues);
-                    results.pass = false;
-                    results.score -= constraintValidation.scoreDeduction;
-                }
+            const constraintValidation = this.validateConstraintDependencies(sir.geometryDefinition.constraints || [], sir);
+            results.constraints = constraintValidation.details;
+            results.issues.push(...constraintValidation.issues);
+            results.warnings.push(...constraintValidation.warnings);
+            results.score -= constraintValidation.scoreDeduction;
+            if (!constraintValidation.pass) {
+                results.pass = false;
             }
+            results.score = Math.max(0, results.score);
 
         } catch (error) {
             results.issues.push(`Flexing validation error: ${error.message}`);
@@ -417,7 +521,8 @@ class QAGateway {
             pass: true,
             issues: [],
             warnings: [],
-            score: 100
+            score: 100,
+            fixes: []
         };
 
         try {
@@ -437,6 +542,9 @@ class QAGateway {
                 results.issues.push(`Invalid LOD level: ${lod} (must be 100, 200, 300, 400, or 500)`);
                 results.pass = false;
                 results.score -= 25;
+                const nearest = typeof lod === 'number' && isFinite(lod) ?
+                    Math.min(500, Math.max(100, Math.round(lod / 100) * 100)) : 200;
+                results.fixes.push(this.lodFix(lod, nearest, 'the nearest standard level'));
             }
 
             // Validate category
@@ -465,148 +573,49 @@ class QAGateway {
     }
 
     /**
-     * Generate flexing test scenarios
+     * Generate flexing test scenarios: typical values, the minimum and
+     * maximum of each driving parameter, and every family type
      */
     generateFlexingScenarios(sir) {
-        const scenarios = [];
-        
-        if (sir.parameters.familyParameters) {
-            // Generate scenarios for dimensional parameters
-            sir.parameters.familyParameters.forEach(param => {
-                if (param.type === 'Length' || param.type === 'Number') {
-                    scenarios.push({
-                        parameter: param.name,
-                        testValues: this.generateTestValues(param),
-                        description: `Test flexing for parameter ${param.name}`
-                    });
-                }
-            });
-        }
-
-        return scenarios;
+        return this.flexingSimulator.generateScenarios(sir);
     }
 
     /**
-     * Generate test values for parameter flexing
+     * Generate test values for parameter flexing, in internal units
      */
     generateTestValues(param) {
-        const testValues = [];
-        
-        // Add default value
-        if (param.defaultValue !== undefined) {
-            testValues.push(param.defaultValue);
-        }
-
-        // Add extreme values
-        if (param.type === 'Length') {
-            testValues.push(0.1, 1, 10, 100); // Various scales
-        } else if (param.type === 'Number') {
-            testValues.push(0, 1, 10, 100, 1000);
-        }
-
-        return testValues;
+        return this.flexingSimulator.testValues(param).map(test => test.value);
     }
 
     /**
-     * Validate flexing scenario
+     * Validate flexing scenario by flexing the geometry numerically
+     * @returns {Object} { pass, error, failures, values }
      */
     validateFlexingScenario(scenario, sir) {
-        // This would typically involve running the generated code
-        // with different parameter values and checking for errors
-        // For now, we'll do static analysis
-        
-        const result = {
-            pass: true,
-            error: null
-        };
-
-        // Check if parameter exists in formulas
-        if (scenario.parameter) {
-            const hasFormulaReference = sir.parameters.familyParameters.some(param => {
-                return param.formula && param.formula.includes(scenario.parameter);
-            });
-
-            if (hasFormulaReference) {
-                // Validate formula syntax
-                const formulaValidation = this.validateFormula(
-                    sir.parameters.familyParameters.find(p => p.formula && p.formula.includes(scenario.parameter)).formula,
-                    sir.parameters.familyParameters
-                );
-
-                if (!formulaValidation.valid) {
-                    result.pass = false;
-                    result.error = `Formula validation failed: ${formulaValidation.error}`;
-                }
-            }
-        }
-
-        return result;
+        return this.flexingSimulator.runScenario(scenario, sir);
     }
 
     /**
-     * Validate formula syntax and dependencies
+     * Validate formula syntax, parameter references and types
+     * @param {string} formula - Revit formula
+     * @param {Array} parameters - Family parameter definitions
+     * @param {string} resultType - Type of the parameter the formula is assigned to
+     * @returns {Object} { valid, error, code }
      */
-    validateFormula(formula, parameters) {
-        const result = {
-            valid: true,
-            error: null
-        };
-
+    validateFormula(formula, parameters, resultType = null) {
         try {
-            // Basic syntax validation
-            if (!formula || formula.trim() === '') {
-                result.valid = false;
-                result.error = 'Empty formula';
-                return result;
-            }
-
-            // Check for valid operators
-            const validOperators = ['+', '-', '*', '/', '(', ')', '=', '<', '>', '<=', '>='];
-            const formulaChars = formula.split('');
-            const hasValidOperators = formulaChars.some(char => validOperators.includes(char));
-            
-            if (!hasValidOperators && formula.length > 1) {
-                result.valid = false;
-                result.error = 'Formula contains no valid operators';
-                return result;
-            }
-
-            // Check for parameter references
-            const parameterNames = parameters.map(p => p.name);
-            const formulaWords = formula.split(/[\s+\-*/()=<>]+/);
-            
-            formulaWords.forEach(word => {
-                if (word && isNaN(word) && !parameterNames.includes(word)) {
-                    result.valid = false;
-                    result.error = `Undefined parameter reference: ${word}`;
-                    return;
-                }
-            });
-
+            const check = this.formulaEngine.check(formula, parameters || [], resultType);
+            return { valid: check.valid, error: check.error, code: check.code };
         } catch (error) {
-            result.valid = false;
-            result.error = `Formula validation error: ${error.message}`;
+            return { valid: false, error: `Formula validation error: ${error.message}`, code: 'evaluation_error' };
         }
-
-        return result;
     }
 
     /**
      * Get essential parameters for family category
      */
     getEssentialParameters(category) {
-        const essentialParams = {
-            'Doors': ['Width', 'Height', 'Thickness'],
-            'Windows': ['Width', 'Height', 'Sill Height'],
-            'Furniture': ['Width', 'Depth', 'Height'],
-            'Structural Framing': ['Length', 'Width', 'Height'],
-            'Structural Columns': ['Width', 'Depth', 'Height'],
-            'Mechanical Equipment': ['Width', 'Depth', 'Height'],
-            'Electrical Equipment': ['Width', 'Depth', 'Height'],
-            'Plumbing Fixtures': ['Width', 'Depth', 'Height']
-        };
-
-        return essentialParams[category] || [];
+        return this.categoryRules.getEssentialParameters(category);
     }
 
     /**
@@ -701,6 +710,15 @@ class QAGateway {
 
         Object.keys(validations).forEach(validationType => {
             const validation = validations[validationType];
+            if (validation && validation.fixes && validation.fixes.length > 0) {
+                recommendations.push({
+                    type: validationType,
+                    priority: 'high',
+                    fixes: validation.fixes.map(fix => `${validationType}:${fix.id}`),
+                    suggestions: validation.fixes.map(fix => fix.description)
+                });
+            }
+
             if (validation && validation.issues && validation.issues.length > 0) {
                 recommendations.push({
                     type: validationType,
@@ -723,6 +741,87 @@ class QAGateway {
         return recommendations;
     }
 
+    /**
+     * Collect the fixes the validators proposed, with IDs that are unique
+     * across validators ("<validator>:<fix>")
+     * @returns {Array} [{ id, validator, description, patch }]
+     */
+    collectFixes(validations) {
+        const fixes = [];
+        Object.keys(validations).forEach(validationType => {
+            const validation = validations[validationType];
+            ((validation && validation.fixes) || []).forEach(fix => {
+                fixes.push({
+                    id: `${validationType}:${fix.id}`,
+                    validator: validationType,
+                    description: fix.description,
+                    patch: fix.patch
+                });
+            });
+        });
+        return fixes;
+    }
+
+    /**
+     * Apply selected fixes to a SIR. Fixes that no longer apply (their
+     * test operations fail, or their paths are gone) are skipped.
+     * @param {Object} sir - Structured Intermediate Representation
+     * @param {Array} fixes - Fixes from collectFixes
+     * @returns {Object} { sir, applied: [id], failed: [{ id, error }], diff }
+     */
+    applyFixes(sir, fixes) {
+        let patched = sir;
+        const applied = [];
+        const failed = [];
+
+        fixes.forEach(fix => {
+            try {
+                patched = this.sirPatch.apply(patched, fix.patch);
+                applied.push(fix.id);
+            } catch (error) {
+                failed.push({ id: fix.id, error: error.message });
+            }
+        });
+
+        return {
+            sir: patched,
+            applied: applied,
+            failed: failed,
+            diff: this.sirPatch.diff(sir, patched)
+        };
+    }
+
+    /**
+     * Fix that changes the family's LOD
+     */
+    lodFix(current, level, reason) {
+        const path = '/familyMetadata/lodLevel';
+        return {
+            id: `set-lod:${level}`,
+            description: `Change the LOD from ${current} to ${level} (${reason})`,
+            patch: current === undefined ?
+                [{ op: 'add', path: path, value: level }] :
+                [{ op: 'test', path: path, value: current }, { op: 'replace', path: path, value: level }]
+        };
+    }
+
+    /**
+     * Indices of profile points that repeat the point before them,
+     * including a last point that repeats the first
+     */
+    findRepeatedProfilePoints(profile) {
+        const repeated = [];
+        profile.forEach((point, index) => {
+            const previous = index > 0 ? profile[index - 1] : null;
+            const closing = index === profile.length - 1 && index > 0 ? profile[0] : null;
+            const same = (a, b) => a && b && Math.abs(a.x - b.x) < 1e-9 && Math.abs(a.y - b.y) < 1e-9;
+            if (same(point, previous) || same(point, closing)) {
+                repeated.push(index);
+            }
+        });
+        return repeated;
+    }
+
     /**
      * Get suggestions for specific issues
      */
@@ -732,13 +831,13 @@ class QAGateway {
         issues.forEach(issue => {
             switch (validationType) {
                 case 'geometryValidation':
-                    if (issue.includes('invalid profile')) {
+                    if (issue.includes('.profile must have at least')) {
                         suggestions.push('Ensure extrusion profiles have at least 3 points forming a closed loop');
                     }
                     break;
                 case 'parameterValidation':
                     if (issue.includes('Invalid parameter name')) {
-                        suggestions.push('Use alphanumeric names starting with a letter, avoid special characters');
+                        suggestions.push('Use names starting with a letter, made of letters, digits and underscores, with single spaces between words');
                     }
                     break;
                 case 'metadataValidation':
@@ -788,7 +887,8 @@ class QAGateway {
             },
             parameters: {
                 maxParameters: 30,
-                requiredNamingPattern: /^[a-zA-Z][a-zA-Z0-9_]*$/,
+                // Revit-style names: words separated by single spaces (e.g. "Sill Height")
+                requiredNamingPattern: /^[a-zA-Z][a-zA-Z0-9_]*( [a-zA-Z0-9_]+)*$/,
                 validTypes: ['Length', 'Number', 'Text', 'Material', 'YesNo', 'Integer']
             },
             performance: {
@@ -833,25 +933,85 @@ class QAGateway {
         };
     }
 
-    // Additional validation methods would be implemented here
-    validateBEPCompliance(sir) {
-        // BIM Execution Plan compliance validation
-        return { pass: true, issues: [], scoreDeduction: 0 };
+    /**
+     * Score the SIR against the organisation's BIM Execution Plan rule
+     * pack. Without a pack there is nothing to check; a pack that fails
+     * to load is reported as a compliance issue.
+     * @param {Object} sir - Structured Intermediate Representation
+     * @param {string} organization - Organisation ID
+     * @returns {Object} { pass, issues, warnings, scoreDeduction, violations, fixes, rulePack }
+     */
+    validateBEPCompliance(sir, organization) {
+        let rulePack;
+        try {
+            rulePack = BEPRulePack.load(organization);
+        } catch (error) {
+            console.error('BEP rule pack error:', error.message);
+            return {
+                pass: false,
+                issues: [`BIM Execution Plan rule pack could not be loaded: ${error.message}`],
+                warnings: [],
+                scoreDeduction: 0,
+                violations: [],
+                rulePack: null
+            };
+        }
+
+        if (!rulePack) {
+            return { pass: true, issues: [], warnings: [], scoreDeduction: 0, violations: [], rulePack: null };
+        }
+
+        return {
+            ...rulePack.validate(sir),
+            rulePack: { id: rulePack.id, name: rulePack.name, version: rulePack.version }
+        };
     }
 
+    // Additional validation methods would be implemented here
+
     validateIndustryStandards(sir) {
         // Industry standard compliance validation
         return { pass: true, issues: [], scoreDeduction: 0 };
     }
 
+    /**
+     * Validate the category's hosting, required voids and connectors,
+     * and dimension ranges (see CategoryRules)
+     * @returns {Object} { pass, issues, warnings, scoreDeduction, fixes }
+     */
     validateCategoryCompliance(sir) {
-        // Category-specific compliance validation
-        return { pass: true, issues: [], scoreDeduction: 0 };
+        return this.categoryRules.validate(sir);
     }
 
-    validateConstraintDependencies(constraints) {
-        // Constraint dependency validation
-        return { pass: true, issues: [], scoreDeduction: 0 };
+    /**
+     * Validate the constraint dependency graph: undefined elements,
+     * over-constrained and circular chains, unlocked dimensions and
+     * extrusions that will not flex
+     * @param {Array} constraints - SIR geometryDefinition.constraints
+     * @param {Object} sir - SIR providing the reference planes, extrusions and parameters
+     * @returns {Object} { pass, issues, warnings, details, scoreDeduction }
+     */
+    validateConstraintDependencies(constraints, sir = {}) {
+        const results = { pass: true, issues: [], warnings: [], details: [], scoreDeduction: 0 };
+
+        const graph = new ConstraintGraph({
+            ...sir,
+            geometryDefinition: { ...(sir.geometryDefinition || {}), constraints: constraints || [] }
+        });
+
+        graph.analyze().issues.forEach(detail => {
+            results.details.push(detail);
+            if (detail.severity === 'issue') {
+                results.issues.push(`${detail.path} ${detail.message}`);
+                results.pass = false;
+                results.scoreDeduction += 10;
+            } else {
+                results.warnings.push(`${detail.path} ${detail.message}`);
+                results.scoreDeduction += 5;
+            }
+        });
+
+        return results;
     }
 }
 
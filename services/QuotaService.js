@@ -0,0 +1,268 @@
+/////////////////////////////////////////////////////////////////////
+// BIM-LLM Blueprint: Quota Service
+// Copyright (c) 2024 BIM-LLM Platform
+//
+// This module enforces the subscription plans' monthly quotas on LLM
+// calls, variations and Design Automation workitems, and a per-minute
+// request rate, answering 429 with the time the limit resets
+/////////////////////////////////////////////////////////////////////
+
+const User = require('../models/User');
+const { quotas: quotaConfig = {} } = require('../config');
+
+const RATE_WINDOW_MS = 60 * 1000;
+
+let sharedInstance = null;
+
+class QuotaService {
+    /**
+     * @param {Object} options - { plans, enabled } overriding config.quotas
+     */
+    constructor(options = {}) {
+        this.plans = options.plans || quotaConfig.plans || {};
+        this.enabled = options.enabled !== undefined ? options.enabled : quotaConfig.enabled !== false;
+
+        // userId -> timestamps of gated requests in the last minute
+        this.recentRequests = new Map();
+    }
+
+    /**
+     * The instance every router gates its requests with, so the per-minute
+     * rate counts all of a user's requests
+     * @returns {QuotaService}
+     */
+    static shared() {
+        if (!sharedInstance) {
+            sharedInstance = new QuotaService();
+        }
+        return sharedInstance;
+    }
+
+    /**
+     * Get the limits of a user's plan. A free account's workitem limit is
+     * its subscription.monthlyLimit.
+     * @param {Object} user - User document
+     * @returns {Object} { llmCalls, variations, workitems, requestsPerMinute }, null is unlimited
+     */
+    getLimits(user) {
+        const plan = user.subscription.plan || 'free';
+        const limits = Object.assign({}, this.plans[plan] || this.plans.free);
+        if (plan === 'free' && typeof user.subscription.monthlyLimit === 'number') {
+            limits.workitems = user.subscription.monthlyLimit;
+        }
+        return limits;
+    }
+
+    /**
+     * Describe a user's usage in the current monthly window
+     * @param {Object} user - User document
+     * @param {Date} now - Current time
+     * @returns {Object} { plan, period, limits, usage, remaining, rate }
+     */
+    getUsage(user, now = new Date()) {
+        user.rollOverUsage(now);
+        const period = user.getUsagePeriod(now);
+        const limits = this.getLimits(user);
+        const usage = {};
+        const remaining = {};
+
+        QuotaService.KINDS.forEach(kind => {
+            usage[kind] = user.subscription.usage[kind] || 0;
+            remaining[kind] = limits[kind] === null || limits[kind] === undefined ? null : Math.max(limits[kind] - usage[kind], 0);
+        });
+
+        const recent = this.getRecentRequests(user, now);
+        return {
+            plan: user.subscription.plan || 'free',
+            period: { start: period.start.toISOString(), resetsAt: period.end.toISOString() },
+            limits: limits,
+            usage: usage,
+            remaining: remaining,
+            rate: {
+                limit: limits.requestsPerMinute || null,
+                used: recent.length,
+                resetsAt: recent.length > 0 ? new Date(recent[0] + RATE_WINDOW_MS).toISOString() : null
+            }
+        };
+    }
+
+    /**
+     * Check whether a request may use the given amounts
+     * @param {Object} user - User document
+     * @param {Object} amounts - Amount of each kind the request uses ({ llmCalls: 1 })
+     * @param {Date} now - Current time
+     * @returns {Object} { allowed, reason, exceeded, resetsAt, retryAfter, usage }
+     */
+    check(user, amounts, now = new Date()) {
+        const usage = this.getUsage(user, now);
+
+        if (usage.rate.limit && usage.rate.used >= usage.rate.limit) {
+            const resetsAt = new Date(usage.rate.resetsAt);
+            return {
+                allowed: false,
+                reason: 'rate_limited',
+                exceeded: [],
+                resetsAt: resetsAt.toISOString(),
+                retryAfter: Math.max(Math.ceil((resetsAt - now) / 1000), 1),
+                usage: usage
+            };
+        }
+
+        const exceeded = Object.keys(amounts).filter(kind => {
+            return usage.remaining[kind] !== null && usage.remaining[kind] !== undefined && amounts[kind] > usage.remaining[kind];
+        }).map(kind => ({
+            kind: kind,
+            limit: usage.limits[kind],
+            used: usage.usage[kind],
+            requested: amounts[kind]
+        }));
+
+        if (exceeded.length > 0) {
+            return {
+                allowed: false,
+                reason: 'quota_exceeded',
+                exceeded: exceeded,
+                resetsAt: usage.period.resetsAt,
+                retryAfter: Math.max(Math.ceil((new Date(usage.period.resetsAt) - now) / 1000), 1),
+                usage: usage
+            };
+        }
+
+        return { allowed: true, reason: null, exceeded: [], usage: usage };
+    }
+
+    /**
+     * Express middleware that gates a route by the user's plan
+     * @param {Object|Function} amounts - Amounts the request uses, or a function of the request returning them
+     * @param {Object} options - { when: 'attempt' (default) counts the usage unless the
+     *                             request is rejected before any work (400, 401, 403, 404),
+     *                             'success' only when it answers below 400; skip(req) bypasses the gate }.
+     *                             The usage is reserved before the route runs and given back
+     *                             when it is not counted
+     * @returns {Function} Middleware
+     */
+    enforce(amounts, options = {}) {
+        return async (req, res, next) => {
+            if (!this.enabled || (options.skip && options.skip(req))) {
+                return next();
+            }
+
+            try {
+                const user = req.user || (req.session?.userId ? await User.findById(req.session.userId) : null);
+                if (!user) {
+                    return res.status(401).json({
+                        success: false,
+                        error: 'User authentication required'
+                    });
+                }
+
+                const requested = typeof amounts === 'function' ? amounts(req) : amounts;
+                const now = new Date();
+                let result = this.check(user, requested, now);
+
+                // Reserve the usage now, so parallel requests cannot all pass the check.
+                // A failed reservation refreshes the counters; try again while they allow it
+                for (let attempt = 1; result.allowed && !(await user.reserveUsage(requested, this.getLimits(user), now)); attempt++) {
+                    result = this.check(user, requested, now);
+                    if (result.allowed && attempt >= QuotaService.RESERVE_ATTEMPTS) {
+                        throw new Error('Usage could not be reserved');
+                    }
+                }
+                this.setHeaders(res, result);
+
+                if (!result.allowed) {
+                    res.set('Retry-After', String(result.retryAfter));
+                    return res.status(429).json(this.describeRejection(result));
+                }
+
+                this.getRecentRequests(user, now).push(now.getTime());
+
+                // Give the reservation back when the request is not counted
+                const periodStart = user.subscription.periodStart;
+                res.on('close', () => {
+                    const counted = options.when === 'success' ?
+                        res.writableFinished && res.statusCode < 400 :
+                        !QuotaService.UNCOUNTED_STATUSES.includes(res.statusCode);
+                    if (!counted) {
+                        user.releaseUsage(requested, periodStart).catch(error => console.error('Failed to release usage:', error));
+                    }
+                });
+
+                req.user = user;
+                req.quota = result.usage;
+                next();
+            } catch (error) {
+                console.error('Quota check error:', error);
+                res.status(500).json({
+                    success: false,
+                    error: 'Failed to check usage quota',
+                    details: error.message
+                });
+            }
+        };
+    }
+
+    /**
+     * The 429 response body
+     */
+    describeRejection(result) {
+        if (result.reason === 'rate_limited') {
+            return {
+                success: false,
+                error: 'Too many requests',
+                details: `Your ${result.usage.plan} plan allows ${result.usage.rate.limit} requests per minute`,
+                code: result.reason,
+                resetsAt: result.resetsAt,
+                retryAfter: result.retryAfter
+            };
+        }
+
+        return {
+            success: false,
+            error: 'Monthly quota exceeded',
+            details: result.exceeded.map(item => {
+                return `${QuotaService.LABELS[item.kind]}: ${item.used} of ${item.limit} used this month, ${item.requested} requested`;
+            }).join('; '),
+            code: result.reason,
+            plan: result.usage.plan,
+            exceeded: result.exceeded,
+            resetsAt: result.resetsAt,
+            retryAfter: result.retryAfter
+        };
+    }
+
+    // Internal helpers
+
+    setHeaders(res, result) {
+        const rate = result.usage.rate;
+        if (rate.limit) {
+            res.set('X-RateLimit-Limit', String(rate.limit));
+            res.set('X-RateLimit-Remaining', String(Math.max(rate.limit - rate.used - (result.allowed ? 1 : 0), 0)));
+        }
+        res.set('X-Quota-Reset', result.usage.period.resetsAt);
+    }
+
+    /**
+     * Timestamps of the user's gated requests in the last minute, oldest first
+     */
+    getRecentRequests(user, now = new Date()) {
+        const key = String(user._id);
+        const cutoff = now.getTime() - RATE_WINDOW_MS;
+        const recent = (this.recentRequests.get(key) || []).filter(time => time > cutoff);
+        this.recentRequests.set(key, recent);
+        return recent;
+    }
+}
+
+QuotaService.KINDS = ['llmCalls', 'variations', 'workitems'];
+// Reservations tried while other requests keep changing the counters
+QuotaService.RESERVE_ATTEMPTS = 3;
+// Responses to requests rejected before any LLM or Design Automation work
+QuotaService.UNCOUNTED_STATUSES = [400, 401, 403, 404];
+QuotaService.LABELS = {
+    llmCalls: 'LLM calls',
+    variations: 'Variations',
+    workitems: 'Design Automation workitems'
+};
+
+module.exports = QuotaService;
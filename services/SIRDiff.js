@@ -0,0 +1,210 @@
+/////////////////////////////////////////////////////////////////////
+// BIM-LLM Blueprint: SIR Diff
+// Copyright (c) 2024 BIM-LLM Platform
+//
+// This module compares two SIRs structurally, matching parameters,
+// geometry elements and materials by name, for family version history
+/////////////////////////////////////////////////////////////////////
+
+// Geometry element lists compared by element name
+const GEOMETRY_KINDS = ['extrusions', 'blends', 'sweeps', 'revolves', 'referencePlanes', 'connectors'];
+
+class SIRDiff {
+    /**
+     * Compare two SIRs
+     * @param {Object} from - Older SIR
+     * @param {Object} to - Newer SIR
+     * @returns {Object} { identical, summary, metadata, parameters, familyTypes, geometry, materials }
+     *   metadata is a list of { field, from, to }; the others are
+     *   { added, removed, changed }, where changed entries are { name, changes: [{ field, from, to }] }
+     *   and geometry entries also carry their kind ('extrusions', 'constraints', ...)
+     */
+    diff(from, to) {
+        from = from || {};
+        to = to || {};
+
+        const fromParameters = from.parameters || {};
+        const toParameters = to.parameters || {};
+
+        const result = {
+            metadata: compareFields(from.familyMetadata || {}, to.familyMetadata || {}),
+            parameters: compareLists(fromParameters.familyParameters, toParameters.familyParameters, item => item.name),
+            familyTypes: compareLists(fromParameters.familyTypes, toParameters.familyTypes, item => item.name, flattenType),
+            geometry: this.diffGeometry(from.geometryDefinition || {}, to.geometryDefinition || {}),
+            materials: compareLists(from.materials, to.materials, item => item.name)
+        };
+
+        result.summary = {
+            metadata: result.metadata.length,
+            parameters: count(result.parameters),
+            familyTypes: count(result.familyTypes),
+            geometry: count(result.geometry),
+            materials: count(result.materials)
+        };
+        result.identical = result.metadata.length === 0 &&
+            ['parameters', 'familyTypes', 'geometry', 'materials'].every(section => {
+                const counts = result.summary[section];
+                return counts.added + counts.removed + counts.changed === 0;
+            });
+        return result;
+    }
+
+    /**
+     * Compare geometry elements of every kind. Constraints have no name and
+     * are matched by the elements they join and their type
+     */
+    diffGeometry(from, to) {
+        const geometry = { added: [], removed: [], changed: [] };
+
+        const merge = (kind, changes) => {
+            ['added', 'removed', 'changed'].forEach(group => {
+                changes[group].forEach(entry => geometry[group].push(Object.assign({ kind: kind }, entry)));
+            });
+        };
+
+        GEOMETRY_KINDS.forEach(kind => merge(kind, compareLists(from[kind], to[kind], item => item.name)));
+        merge('constraints', compareLists(from.constraints, to.constraints,
+            item => `${item.element1} ${item.constraintType} ${item.element2}`));
+        return geometry;
+    }
+
+    /**
+     * One line describing a diff, e.g. "2 parameters changed, 1 extrusion added"
+     */
+    describe(diff) {
+        if (diff.identical) {
+            return 'No changes';
+        }
+
+        const parts = [];
+        if (diff.metadata.length) {
+            parts.push(`${diff.metadata.map(change => change.field).join(', ')} changed`);
+        }
+        ['parameters', 'familyTypes', 'materials'].forEach(section => {
+            const label = SIRDiff.LABELS[section];
+            ['added', 'removed', 'changed'].forEach(group => {
+                const total = diff[section][group].length;
+                if (total) {
+                    parts.push(`${total} ${total === 1 ? label[0] : label[1]} ${group}`);
+                }
+            });
+        });
+        ['added', 'removed', 'changed'].forEach(group => {
+            const byKind = {};
+            diff.geometry[group].forEach(entry => {
+                byKind[entry.kind] = (byKind[entry.kind] || 0) + 1;
+            });
+            Object.keys(byKind).forEach(kind => {
+                const label = SIRDiff.LABELS[kind] || [kind, kind];
+                parts.push(`${byKind[kind]} ${byKind[kind] === 1 ? label[0] : label[1]} ${group}`);
+            });
+        });
+        return parts.join(', ');
+    }
+}
+
+/**
+ * Match two lists by key and compare the matched items field by field.
+ * A repeated key gets a #2, #3... suffix so every item is compared
+ */
+function compareLists(fromList, toList, keyOf, flatten = item => item) {
+    const fromItems = index(fromList, keyOf);
+    const toItems = index(toList, keyOf);
+    const changes = { added: [], removed: [], changed: [] };
+
+    toItems.forEach((item, key) => {
+        if (!fromItems.has(key)) {
+            changes.added.push({ name: key, value: item });
+        }
+    });
+    fromItems.forEach((item, key) => {
+        if (!toItems.has(key)) {
+            changes.removed.push({ name: key, value: item });
+            return;
+        }
+        const fields = compareFields(flatten(item), flatten(toItems.get(key)));
+        if (fields.length) {
+            changes.changed.push({ name: key, changes: fields });
+        }
+    });
+    return changes;
+}
+
+function index(list, keyOf) {
+    const items = new Map();
+    (Array.isArray(list) ? list : []).forEach(item => {
+        if (!item || typeof item !== 'object') {
+            return;
+        }
+        const key = String(keyOf(item));
+        let unique = key;
+        for (let n = 2; items.has(unique); n++) {
+            unique = `${key} #${n}`;
+        }
+        items.set(unique, item);
+    });
+    return items;
+}
+
+/**
+ * Fields whose values differ between two objects
+ */
+function compareFields(from, to) {
+    const fields = [];
+    const keys = new Set(Object.keys(from).concat(Object.keys(to)));
+    keys.forEach(field => {
+        if (!equal(from[field], to[field])) {
+            fields.push({ field: field, from: from[field], to: to[field] });
+        }
+    });
+    return fields;
+}
+
+/**
+ * Family type values are compared one parameter at a time
+ */
+function flattenType(type) {
+    const flat = {};
+    Object.keys(type).forEach(field => {
+        if (field === 'parameters' && type.parameters && typeof type.parameters === 'object') {
+            Object.keys(type.parameters).forEach(name => {
+                flat[`parameters.${name}`] = type.parameters[name];
+            });
+        } else {
+            flat[field] = type[field];
+        }
+    });
+    return flat;
+}
+
+function count(changes) {
+    return { added: changes.added.length, removed: changes.removed.length, changed: changes.changed.length };
+}
+
+function equal(a, b) {
+    if (a === b) {
+        return true;
+    }
+    if (a === null || b === null || typeof a !== 'object' || typeof b !== 'object' || Array.isArray(a) !== Array.isArray(b)) {
+        return false;
+    }
+    const keysA = Object.keys(a);
+    const keysB = Object.keys(b);
+    return keysA.length === keysB.length && keysA.every(key => Object.prototype.hasOwnProperty.call(b, key) && equal(a[key], b[key]));
+}
+
+// Singular and plural names used by describe()
+SIRDiff.LABELS = {
+    parameters: ['parameter', 'parameters'],
+    familyTypes: ['family type', 'family types'],
+    materials: ['material', 'materials'],
+    extrusions: ['extrusion', 'extrusions'],
+    blends: ['blend', 'blends'],
+    sweeps: ['sweep', 'sweeps'],
+    revolves: ['revolve', 'revolves'],
+    referencePlanes: ['reference plane', 'reference planes'],
+    connectors: ['connector', 'connectors'],
+    constraints: ['constraint', 'constraints']
+};
+
+module.exports = SIRDiff;
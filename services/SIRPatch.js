@@ -0,0 +1,245 @@
+/////////////////////////////////////////////////////////////////////
+// BIM-LLM Blueprint: SIR Patches
+// Copyright (c) 2024 BIM-LLM Platform
+//
+// This module applies JSON Patches (RFC 6902) to SIR documents and
+// computes the patch between two SIRs, for QA auto-fixes
+/////////////////////////////////////////////////////////////////////
+
+const OPERATIONS = ['add', 'remove', 'replace', 'move', 'copy', 'test'];
+
+/**
+ * Error thrown when a patch cannot be applied.
+ * `index` is the position of the failing operation in the patch.
+ */
+class SIRPatchError extends Error {
+    constructor(message, operation, index) {
+        super(`Patch operation ${index} (${operation && operation.op} ${operation && operation.path}): ${message}`);
+        this.name = 'SIRPatchError';
+        this.operation = operation;
+        this.index = index;
+    }
+}
+
+class SIRPatch {
+    /**
+     * Apply a JSON Patch. The document is not modified.
+     * @param {Object} document - SIR
+     * @param {Array} patch - JSON Patch operations
+     * @returns {Object} The patched copy
+     * @throws {SIRPatchError} If an operation is invalid, or a test fails
+     */
+    apply(document, patch) {
+        if (!Array.isArray(patch)) {
+            throw new SIRPatchError('patch must be a list of operations', null, 0);
+        }
+
+        let result = clone(document);
+        patch.forEach((operation, index) => {
+            result = this.applyOperation(result, operation, index);
+        });
+        return result;
+    }
+
+    applyOperation(document, operation, index) {
+        if (!operation || !OPERATIONS.includes(operation.op) || typeof operation.path !== 'string') {
+            throw new SIRPatchError(`op must be one of ${OPERATIONS.join(', ')} with a path`, operation, index);
+        }
+
+        const fail = (message) => {
+            throw new SIRPatchError(message, operation, index);
+        };
+        const tokens = parsePointer(operation.path, fail);
+
+        switch (operation.op) {
+            case 'add':
+                requireValue(operation, fail);
+                return add(document, tokens, clone(operation.value), fail);
+            case 'remove':
+                return remove(document, tokens, fail);
+            case 'replace':
+                requireValue(operation, fail);
+                get(document, tokens, fail);
+                if (tokens.length === 0) {
+                    return clone(operation.value);
+                }
+                return add(remove(document, tokens, fail), tokens, clone(operation.value), fail);
+            case 'move': {
+                const from = parsePointer(operation.from, fail);
+                if (operation.path.startsWith(`${operation.from}/`)) {
+                    fail('cannot move a value into itself');
+                }
+                const value = get(document, from, fail);
+                return add(remove(document, from, fail), tokens, value, fail);
+            }
+            case 'copy':
+                return add(document, tokens, clone(get(document, parsePointer(operation.from, fail), fail)), fail);
+            case 'test':
+                requireValue(operation, fail);
+                if (!equal(get(document, tokens, fail), operation.value)) {
+                    fail(`value is not ${JSON.stringify(operation.value)}`);
+                }
+                return document;
+        }
+        return document;
+    }
+
+    /**
+     * Compute a JSON Patch that turns one SIR into another. Objects are
+     * compared by key and arrays by index.
+     * @returns {Array} JSON Patch operations
+     */
+    diff(before, after, path = '') {
+        if (equal(before, after)) {
+            return [];
+        }
+        if (!isContainer(before) || !isContainer(after) || Array.isArray(before) !== Array.isArray(after)) {
+            return [{ op: 'replace', path: path, value: clone(after) }];
+        }
+
+        const operations = [];
+        if (Array.isArray(before)) {
+            const common = Math.min(before.length, after.length);
+            for (let i = 0; i < common; i++) {
+                operations.push(...this.diff(before[i], after[i], `${path}/${i}`));
+            }
+            for (let i = common; i < after.length; i++) {
+                operations.push({ op: 'add', path: `${path}/${i}`, value: clone(after[i]) });
+            }
+            // Remove from the end so earlier indices stay valid
+            for (let i = before.length - 1; i >= common; i--) {
+                operations.push({ op: 'remove', path: `${path}/${i}` });
+            }
+            return operations;
+        }
+
+        Object.keys(before).forEach(key => {
+            const child = `${path}/${escapeToken(key)}`;
+            if (!Object.prototype.hasOwnProperty.call(after, key)) {
+                operations.push({ op: 'remove', path: child });
+            } else {
+                operations.push(...this.diff(before[key], after[key], child));
+            }
+        });
+        Object.keys(after).forEach(key => {
+            if (!Object.prototype.hasOwnProperty.call(before, key)) {
+                operations.push({ op: 'add', path: `${path}/${escapeToken(key)}`, value: clone(after[key]) });
+            }
+        });
+        return operations;
+    }
+
+    /**
+     * JSON Pointer for a list of keys and indices
+     */
+    pointer(...tokens) {
+        return tokens.map(token => `/${escapeToken(String(token))}`).join('');
+    }
+}
+
+function parsePointer(pointer, fail) {
+    if (typeof pointer !== 'string' || (pointer !== '' && !pointer.startsWith('/'))) {
+        fail(`"${pointer}" is not a JSON Pointer`);
+    }
+    return pointer === '' ? [] : pointer.slice(1).split('/').map(token => token.replace(/~1/g, '/').replace(/~0/g, '~'));
+}
+
+function escapeToken(token) {
+    return token.replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+function requireValue(operation, fail) {
+    if (!Object.prototype.hasOwnProperty.call(operation, 'value')) {
+        fail('value is required');
+    }
+}
+
+function arrayIndex(array, token, allowEnd, fail) {
+    if (token === '-' && allowEnd) {
+        return array.length;
+    }
+    if (!/^(0|[1-9][0-9]*)$/.test(token)) {
+        fail(`"${token}" is not an array index`);
+    }
+    const index = parseInt(token, 10);
+    if (index > array.length || (!allowEnd && index === array.length)) {
+        fail(`index ${index} is out of bounds`);
+    }
+    return index;
+}
+
+function parentOf(document, tokens, fail) {
+    const parent = get(document, tokens.slice(0, -1), fail);
+    if (!isContainer(parent)) {
+        fail(`/${tokens.slice(0, -1).join('/')} is not an object or array`);
+    }
+    return parent;
+}
+
+function get(document, tokens, fail) {
+    let node = document;
+    tokens.forEach(token => {
+        if (Array.isArray(node)) {
+            node = node[arrayIndex(node, token, false, fail)];
+        } else if (isContainer(node) && Object.prototype.hasOwnProperty.call(node, token)) {
+            node = node[token];
+        } else {
+            fail(`"${token}" does not exist`);
+        }
+    });
+    return node;
+}
+
+function add(document, tokens, value, fail) {
+    if (tokens.length === 0) {
+        return value;
+    }
+    const parent = parentOf(document, tokens, fail);
+    const last = tokens[tokens.length - 1];
+    if (Array.isArray(parent)) {
+        parent.splice(arrayIndex(parent, last, true, fail), 0, value);
+    } else {
+        parent[last] = value;
+    }
+    return document;
+}
+
+function remove(document, tokens, fail) {
+    if (tokens.length === 0) {
+        fail('cannot remove the whole document');
+    }
+    const parent = parentOf(document, tokens, fail);
+    const last = tokens[tokens.length - 1];
+    if (Array.isArray(parent)) {
+        parent.splice(arrayIndex(parent, last, false, fail), 1);
+    } else if (Object.prototype.hasOwnProperty.call(parent, last)) {
+        delete parent[last];
+    } else {
+        fail(`"${last}" does not exist`);
+    }
+    return document;
+}
+
+function isContainer(value) {
+    return value !== null && typeof value === 'object';
+}
+
+function equal(a, b) {
+    if (a === b) {
+        return true;
+    }
+    if (!isContainer(a) || !isContainer(b) || Array.isArray(a) !== Array.isArray(b)) {
+        return false;
+    }
+    const keysA = Object.keys(a);
+    const keysB = Object.keys(b);
+    return keysA.length === keysB.length && keysA.every(key => Object.prototype.hasOwnProperty.call(b, key) && equal(a[key], b[key]));
+}
+
+function clone(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+SIRPatch.SIRPatchError = SIRPatchError;
+
+module.exports = SIRPatch;
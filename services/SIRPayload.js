@@ -0,0 +1,132 @@
+/////////////////////////////////////////////////////////////////////
+// BIM-LLM Blueprint: SIR Design Automation Payload
+// Copyright (c) 2024 BIM-LLM Platform
+//
+// This module routes a SIR to a Design Automation activity by family
+// category and builds the generic SIR payload the SIR activity reads
+/////////////////////////////////////////////////////////////////////
+
+const SIRToCodeInterpreter = require('./SIRToCodeInterpreter');
+
+const PAYLOAD_VERSION = '1.1';
+
+// FamilyType of the APS parameters for each payload
+const FAMILY_TYPES = {
+    WINDOW: 1,
+    DOOR: 2,
+    SIR: 3
+};
+
+// Payload and family template for each SIR category. Windows and doors
+// are built by the CreateWindow plug-in from WindowParams or DoorParams;
+// categories not listed are built by the CreateFamilyFromSIR plug-in,
+// in the SIR activity, from the generic template.
+const CATEGORY_ROUTES = {
+    Windows: { activity: 'window', template: 'window' },
+    Doors: { activity: 'door', template: 'door' },
+    Furniture: { activity: 'sir', template: 'furniture' }
+};
+const DEFAULT_ROUTE = { activity: 'sir', template: 'generic' };
+
+// Local name of the payload in the workitem folder
+const PAYLOAD_LOCAL_NAME = 'sir.json';
+
+// Local name the SIR activity saves the family as
+const RESULT_LOCAL_NAME = 'Family.rfa';
+
+// Design Automation rejects inline data: URL arguments above this size
+const INLINE_LIMIT = 16 * 1024;
+
+class SIRPayload {
+    /**
+     * @param {Object} options - { interpreter } resolving the SIR into build steps
+     */
+    constructor(options = {}) {
+        this.interpreter = options.interpreter || new SIRToCodeInterpreter();
+    }
+
+    /**
+     * Pick the activity and family template for a SIR
+     * @param {Object} sir - Schema-conformant SIR
+     * @returns {Object} { activity: 'window'|'door'|'sir', template, category, familyType }
+     */
+    route(sir) {
+        const category = (sir.familyMetadata && sir.familyMetadata.category) || 'Generic';
+        const route = CATEGORY_ROUTES[category] || DEFAULT_ROUTE;
+        return {
+            activity: route.activity,
+            template: route.template,
+            category: category,
+            familyType: FAMILY_TYPES[route.activity.toUpperCase()]
+        };
+    }
+
+    /**
+     * Build the payload the SIR activity reads from sir.json: the full SIR,
+     * the units its values are in, and `build`, the SIR resolved into the
+     * steps the plug-in runs (see SIRToCodeInterpreter.describeBuild). SIR
+     * lengths are always feet and angles degrees; `displayUnits` is the
+     * session's unit system, for parameter display in the generated family.
+     * @param {Object} sir - Schema-conformant SIR
+     * @param {Object} options - { units, originalPrompt }
+     * @returns {Object} The payload
+     */
+    build(sir, options = {}) {
+        const route = this.route(sir);
+        const warnings = [];
+        const steps = this.interpreter.describeBuild(sir, warnings);
+
+        return {
+            payloadVersion: PAYLOAD_VERSION,
+            sirVersion: sir.sirVersion,
+            family: {
+                name: sir.familyMetadata.familyName,
+                category: route.category,
+                lodLevel: sir.familyMetadata.lodLevel,
+                isHosted: sir.familyMetadata.isHosted === true,
+                template: route.template
+            },
+            units: {
+                length: 'ft',
+                angle: 'deg',
+                displayUnits: options.units || 'metric'
+            },
+            output: {
+                localName: RESULT_LOCAL_NAME
+            },
+            prompt: options.originalPrompt || '',
+            sir: sir,
+            build: steps,
+            warnings: warnings
+        };
+    }
+
+    /**
+     * The payload as a data: URL, or null when it is too large to send
+     * inline and must be uploaded instead
+     * @param {Object} payload - Built payload
+     * @returns {string|null}
+     */
+    toDataUrl(payload) {
+        const url = 'data:application/json,' + encodeURIComponent(JSON.stringify(payload));
+        return url.length <= INLINE_LIMIT ? url : null;
+    }
+
+    /**
+     * Resolve the family template URL for a route's template key
+     * @param {Object} templates - designAutomation.family_templates
+     * @param {string} template - Template key from route()
+     * @returns {string} Template URL, falling back to the generic template
+     */
+    templateUrl(templates, template) {
+        return (templates && templates[template]) || (templates && templates.generic);
+    }
+}
+
+SIRPayload.PAYLOAD_VERSION = PAYLOAD_VERSION;
+SIRPayload.FAMILY_TYPES = FAMILY_TYPES;
+SIRPayload.PAYLOAD_LOCAL_NAME = PAYLOAD_LOCAL_NAME;
+SIRPayload.RESULT_LOCAL_NAME = RESULT_LOCAL_NAME;
+SIRPayload.INLINE_LIMIT = INLINE_LIMIT;
+
+module.exports = SIRPayload;
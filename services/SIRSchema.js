@@ -0,0 +1,524 @@
+/////////////////////////////////////////////////////////////////////
+// BIM-LLM Blueprint: Structured Intermediate Representation Schema
+// Copyright (c) 2024 BIM-LLM Platform
+//
+// This module defines the versioned JSON Schema for the SIR, validates
+// SIR documents against it and migrates SIRs from older versions
+/////////////////////////////////////////////////////////////////////
+
+const SIR_VERSION = '2.0';
+
+// Version assumed for SIRs created before sirVersion existed
+const LEGACY_SIR_VERSION = '1.0';
+
+const FAMILY_CATEGORIES = [
+    'Doors', 'Windows', 'Furniture', 'Structural Framing',
+    'Structural Columns', 'Mechanical Equipment',
+    'Electrical Equipment', 'Plumbing Fixtures', 'Generic'
+];
+
+const PARAMETER_TYPES = ['Length', 'Number', 'Text', 'Material', 'YesNo', 'Integer'];
+
+const LOD_LEVELS = [100, 200, 300, 400, 500];
+
+const CONNECTOR_DOMAINS = ['Duct', 'Pipe', 'Electrical', 'CableTray', 'Conduit'];
+
+const DETAIL_LEVELS = ['coarse', 'medium', 'fine'];
+
+const point2D = {
+    type: 'object',
+    required: ['x', 'y'],
+    properties: {
+        x: { type: 'number' },
+        y: { type: 'number' }
+    }
+};
+
+const point3D = {
+    type: 'object',
+    required: ['x', 'y', 'z'],
+    properties: {
+        x: { type: 'number' },
+        y: { type: 'number' },
+        z: { type: 'number' }
+    }
+};
+
+const elementVisibility = {
+    type: 'object',
+    properties: {
+        coarse: { type: 'boolean' },
+        medium: { type: 'boolean' },
+        fine: { type: 'boolean' }
+    },
+    additionalProperties: false
+};
+
+const SIR_SCHEMA = {
+    $schema: 'http://json-schema.org/draft-07/schema#',
+    $id: `https://famai.app/schemas/sir/${SIR_VERSION}`,
+    title: 'Structured Intermediate Representation',
+    type: 'object',
+    required: ['sirVersion', 'familyMetadata', 'geometryDefinition', 'parameters', 'materials', 'visibilitySettings'],
+    additionalProperties: false,
+    properties: {
+        sirVersion: { type: 'string', const: SIR_VERSION },
+        familyMetadata: {
+            type: 'object',
+            required: ['familyName', 'category', 'lodLevel'],
+            properties: {
+                familyName: { type: 'string', minLength: 1 },
+                category: { type: 'string', enum: FAMILY_CATEGORIES },
+                description: { type: 'string' },
+                lodLevel: { type: 'integer', enum: LOD_LEVELS },
+                isHosted: { type: 'boolean' },
+                hostingType: { type: ['string', 'null'] }
+            }
+        },
+        geometryDefinition: {
+            type: 'object',
+            required: ['extrusions'],
+            properties: {
+                extrusions: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        required: ['name', 'profile', 'startPoint', 'endPoint'],
+                        properties: {
+                            name: { type: 'string', minLength: 1 },
+                            profile: { type: 'array', minItems: 3, items: point2D },
+                            startPoint: point3D,
+                            endPoint: point3D,
+                            material: { type: 'string' },
+                            isSolid: { type: 'boolean' },
+                            visibility: elementVisibility
+                        }
+                    }
+                },
+                // Blends join a base and a top profile in the XY plane, at
+                // heights baseOffset (default 0) and topOffset
+                blends: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        required: ['name', 'baseProfile', 'topProfile', 'topOffset'],
+                        properties: {
+                            name: { type: 'string', minLength: 1 },
+                            baseProfile: { type: 'array', minItems: 3, items: point2D },
+                            topProfile: { type: 'array', minItems: 3, items: point2D },
+                            baseOffset: { type: 'number' },
+                            topOffset: { type: 'number' },
+                            material: { type: 'string' },
+                            isSolid: { type: 'boolean' },
+                            visibility: elementVisibility
+                        }
+                    }
+                },
+                // Sweeps move a profile along a polyline path. The profile's
+                // x runs horizontally across the first path segment and its
+                // y perpendicular to both
+                sweeps: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        required: ['name', 'profile', 'path'],
+                        properties: {
+                            name: { type: 'string', minLength: 1 },
+                            profile: { type: 'array', minItems: 3, items: point2D },
+                            path: { type: 'array', minItems: 2, items: point3D },
+                            material: { type: 'string' },
+                            isSolid: { type: 'boolean' },
+                            visibility: elementVisibility
+                        }
+                    }
+                },
+                // Revolves turn a profile in the XZ plane (y is up) about an
+                // axis in that plane, by default the Z axis, between angles
+                // in degrees (default 0 to 360)
+                revolves: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        required: ['name', 'profile'],
+                        properties: {
+                            name: { type: 'string', minLength: 1 },
+                            profile: { type: 'array', minItems: 3, items: point2D },
+                            axis: {
+                                type: 'object',
+                                required: ['start', 'end'],
+                                properties: {
+                                    start: point2D,
+                                    end: point2D
+                                }
+                            },
+                            startAngle: { type: 'number' },
+                            endAngle: { type: 'number' },
+                            material: { type: 'string' },
+                            isSolid: { type: 'boolean' },
+                            visibility: elementVisibility
+                        }
+                    }
+                },
+                referencePlanes: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        required: ['name', 'origin', 'normal'],
+                        properties: {
+                            name: { type: 'string', minLength: 1 },
+                            origin: point3D,
+                            normal: point3D,
+                            locked: { type: 'boolean' }
+                        }
+                    }
+                },
+                constraints: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        required: ['element1', 'element2', 'constraintType'],
+                        properties: {
+                            element1: { type: 'string', minLength: 1 },
+                            element2: { type: 'string', minLength: 1 },
+                            constraintType: { type: 'string', minLength: 1 },
+                            offset: { type: 'number' },
+                            parameter: { type: 'string' },
+                            locked: { type: 'boolean' }
+                        }
+                    }
+                },
+                connectors: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        required: ['name', 'domain', 'origin'],
+                        properties: {
+                            name: { type: 'string', minLength: 1 },
+                            domain: { type: 'string', enum: CONNECTOR_DOMAINS },
+                            systemType: { type: 'string' },
+                            origin: point3D,
+                            direction: point3D
+                        }
+                    }
+                }
+            }
+        },
+        parameters: {
+            type: 'object',
+            required: ['familyParameters'],
+            properties: {
+                familyParameters: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        required: ['name', 'type'],
+                        properties: {
+                            name: { type: 'string', minLength: 1 },
+                            type: { type: 'string', enum: PARAMETER_TYPES },
+                            group: { type: 'string' },
+                            isInstance: { type: 'boolean' },
+                            defaultValue: { type: ['string', 'number', 'boolean', 'null'] },
+                            formula: { type: 'string' }
+                        }
+                    }
+                },
+                sharedParameters: { type: 'array', items: { type: 'object' } },
+                familyTypes: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        required: ['name'],
+                        properties: {
+                            name: { type: 'string', minLength: 1 },
+                            parameters: { type: 'object' }
+                        }
+                    }
+                }
+            }
+        },
+        materials: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['name'],
+                properties: {
+                    name: { type: 'string', minLength: 1 },
+                    parameterName: { type: 'string' },
+                    defaultValue: { type: 'string' },
+                    color: { type: 'string' }
+                }
+            }
+        },
+        nestedFamilies: { type: 'array' },
+        visibilitySettings: {
+            type: 'object',
+            properties: {
+                coarse: { type: 'array', items: { type: 'string' } },
+                medium: { type: 'array', items: { type: 'string' } },
+                fine: { type: 'array', items: { type: 'string' } }
+            },
+            additionalProperties: false
+        }
+    }
+};
+
+/**
+ * Error thrown when a SIR does not conform to the schema.
+ * `errors` holds one { path, message } entry per violation.
+ */
+class SIRValidationError extends Error {
+    constructor(errors) {
+        const summary = errors.slice(0, 5).map(e => `${e.path}: ${e.message}`).join('; ');
+        const more = errors.length > 5 ? ` (+${errors.length - 5} more)` : '';
+        super(`Invalid SIR: ${summary}${more}`);
+        this.name = 'SIRValidationError';
+        this.errors = errors;
+    }
+}
+
+class SIRSchema {
+    constructor() {
+        this.version = SIR_VERSION;
+        this.schema = SIR_SCHEMA;
+        this.migrations = this.initializeMigrations();
+    }
+
+    /**
+     * Validate a SIR against the current schema
+     * @param {Object} sir - Structured Intermediate Representation
+     * @returns {{valid: boolean, errors: Array<{path: string, message: string}>}}
+     */
+    validate(sir) {
+        const errors = [];
+        this.validateNode(sir, this.schema, 'sir', errors);
+        return {
+            valid: errors.length === 0,
+            errors: errors
+        };
+    }
+
+    /**
+     * Validate a SIR and throw a SIRValidationError listing every violation
+     */
+    assertValid(sir) {
+        const result = this.validate(sir);
+        if (!result.valid) {
+            throw new SIRValidationError(result.errors);
+        }
+        return sir;
+    }
+
+    /**
+     * Upgrade a SIR from any known older version to the current version.
+     * The input is not modified.
+     * @returns {{sir: Object, migrated: boolean, fromVersion: string}}
+     */
+    migrate(sir) {
+        if (!sir || typeof sir !== 'object' || Array.isArray(sir)) {
+            throw new SIRValidationError([{ path: 'sir', message: 'must be an object' }]);
+        }
+
+        const fromVersion = this.getVersion(sir);
+        if (fromVersion === SIR_VERSION) {
+            return { sir: sir, migrated: false, fromVersion: fromVersion };
+        }
+
+        let current = JSON.parse(JSON.stringify(sir));
+        let version = fromVersion;
+
+        while (version !== SIR_VERSION) {
+            const migration = this.migrations[version];
+            if (!migration) {
+                throw new SIRValidationError([{
+                    path: 'sir.sirVersion',
+                    message: `unsupported SIR version "${version}" (current is ${SIR_VERSION})`
+                }]);
+            }
+            current = migration.up(current);
+            version = migration.to;
+            current.sirVersion = version;
+        }
+
+        return { sir: current, migrated: true, fromVersion: fromVersion };
+    }
+
+    /**
+     * Migrate a SIR to the current version and validate it
+     * @returns {Object} Current-version SIR
+     */
+    normalize(sir) {
+        const { sir: migrated } = this.migrate(sir);
+        return this.assertValid(migrated);
+    }
+
+    /**
+     * Get the version a SIR declares, treating unversioned SIRs as legacy
+     */
+    getVersion(sir) {
+        return sir && sir.sirVersion ? String(sir.sirVersion) : LEGACY_SIR_VERSION;
+    }
+
+    /**
+     * Check whether a SIR needs migrating to the current version
+     */
+    needsMigration(sir) {
+        return this.getVersion(sir) !== SIR_VERSION;
+    }
+
+    /**
+     * Recursively validate a value against a schema node
+     */
+    validateNode(value, node, path, errors) {
+        if (node.type && !this.matchesType(value, node.type)) {
+            const expected = Array.isArray(node.type) ? node.type.join(' or ') : node.type;
+            errors.push({ path: path, message: `must be ${expected} (got ${this.describeType(value)})` });
+            return;
+        }
+
+        if (node.const !== undefined && value !== node.const) {
+            errors.push({ path: path, message: `must equal ${JSON.stringify(node.const)}` });
+        }
+
+        if (node.enum && !node.enum.includes(value)) {
+            errors.push({ path: path, message: `must be one of ${node.enum.join(', ')} (got ${JSON.stringify(value)})` });
+        }
+
+        if (typeof value === 'string' && node.minLength !== undefined && value.trim().length < node.minLength) {
+            errors.push({ path: path, message: 'must not be empty' });
+        }
+
+        if (Array.isArray(value)) {
+            if (node.minItems !== undefined && value.length < node.minItems) {
+                errors.push({ path: path, message: `must have at least ${node.minItems} items (got ${value.length})` });
+            }
+            if (node.items) {
+                value.forEach((item, index) => {
+                    this.validateNode(item, node.items, `${path}[${index}]`, errors);
+                });
+            }
+        }
+
+        if (value && typeof value === 'object' && !Array.isArray(value)) {
+            (node.required || []).forEach(field => {
+                if (value[field] === undefined) {
+                    errors.push({ path: `${path}.${field}`, message: 'is required' });
+                }
+            });
+
+            const properties = node.properties || {};
+            Object.keys(value).forEach(key => {
+                if (properties[key]) {
+                    if (value[key] !== undefined) {
+                        this.validateNode(value[key], properties[key], `${path}.${key}`, errors);
+                    }
+                } else if (node.additionalProperties === false) {
+                    errors.push({ path: `${path}.${key}`, message: 'is not allowed by the schema' });
+                }
+            });
+        }
+    }
+
+    matchesType(value, type) {
+        const types = Array.isArray(type) ? type : [type];
+        return types.some(t => {
+            switch (t) {
+                case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+                case 'array': return Array.isArray(value);
+                case 'string': return typeof value === 'string';
+                case 'number': return typeof value === 'number' && Number.isFinite(value);
+                case 'integer': return Number.isInteger(value);
+                case 'boolean': return typeof value === 'boolean';
+                case 'null': return value === null;
+                default: return true;
+            }
+        });
+    }
+
+    describeType(value) {
+        if (value === null) return 'null';
+        if (Array.isArray(value)) return 'array';
+        return typeof value;
+    }
+
+    /**
+     * Initialize migrations keyed by the version they upgrade from
+     */
+    initializeMigrations() {
+        return {
+            [LEGACY_SIR_VERSION]: {
+                to: '2.0',
+                up: (sir) => this.migrateLegacyTo2(sir)
+            }
+        };
+    }
+
+    /**
+     * 1.0 -> 2.0: constraints move under geometryDefinition, the boolean
+     * `visibility` block becomes per-detail-level element lists, and the
+     * loosely typed fields produced by early prompts are coerced
+     */
+    migrateLegacyTo2(sir) {
+        sir.familyMetadata = sir.familyMetadata || {};
+        const metadata = sir.familyMetadata;
+        if (typeof metadata.lodLevel === 'string' && metadata.lodLevel.trim() !== '') {
+            metadata.lodLevel = Number(metadata.lodLevel);
+        }
+        if (metadata.lodLevel === undefined) {
+            metadata.lodLevel = 200;
+        }
+
+        sir.geometryDefinition = sir.geometryDefinition || {};
+        const geometry = sir.geometryDefinition;
+        geometry.extrusions = geometry.extrusions || [];
+        geometry.referencePlanes = geometry.referencePlanes || [];
+        geometry.constraints = geometry.constraints || [];
+
+        if (Array.isArray(sir.constraints)) {
+            geometry.constraints.push(...sir.constraints);
+        }
+        delete sir.constraints;
+
+        sir.parameters = sir.parameters || {};
+        if (typeof sir.parameters.familyParameters === 'string') {
+            try {
+                sir.parameters.familyParameters = JSON.parse(sir.parameters.familyParameters);
+            } catch (e) {
+                sir.parameters.familyParameters = [];
+            }
+        }
+        sir.parameters.familyParameters = sir.parameters.familyParameters || [];
+        sir.parameters.sharedParameters = sir.parameters.sharedParameters || [];
+        sir.parameters.familyTypes = sir.parameters.familyTypes || [];
+
+        sir.materials = (sir.materials || []).map(material => {
+            return typeof material === 'string' ? { name: material } : material;
+        });
+
+        if (!sir.visibilitySettings) {
+            const elementNames = geometry.extrusions.map(e => e.name).filter(Boolean);
+            const legacy = sir.visibility || { coarse: true, medium: true, fine: true };
+            sir.visibilitySettings = {};
+            DETAIL_LEVELS.forEach(level => {
+                sir.visibilitySettings[level] = legacy[level] === false ? [] : elementNames.slice();
+            });
+        }
+        delete sir.visibility;
+
+        return sir;
+    }
+
+    /**
+     * Serialized schema for embedding in LLM prompts
+     */
+    toPromptString() {
+        return JSON.stringify(this.schema, null, 2);
+    }
+}
+
+SIRSchema.SIR_VERSION = SIR_VERSION;
+SIRSchema.FAMILY_CATEGORIES = FAMILY_CATEGORIES;
+SIRSchema.PARAMETER_TYPES = PARAMETER_TYPES;
+SIRSchema.CONNECTOR_DOMAINS = CONNECTOR_DOMAINS;
+SIRSchema.SIRValidationError = SIRValidationError;
+
+module.exports = SIRSchema;
@@ -3,66 +3,362 @@
 // Copyright (c) 2024 BIM-LLM Platform
 //
 // This module translates Structured Intermediate Representation (SIR)
-// into optimized Python code for Revit API execution
+// into optimized Python code for Revit API execution, or into the C#
+// source of a Design Automation app bundle
 /////////////////////////////////////////////////////////////////////
 
+const SIRSchema = require('./SIRSchema');
+const FormulaEngine = require('./FormulaEngine');
+const CSharpCodeGenerator = require('./CSharpCodeGenerator');
+
+// Code targets: Dynamo Python, and C# for Design Automation app bundles
+const TARGETS = ['python', 'csharp'];
+
+// Revit category names, where they differ from the SIR category
+const REVIT_CATEGORIES = {
+    Generic: 'Generic Models'
+};
+
+// SpecTypeId of each SIR parameter type
+const PARAMETER_SPECS = {
+    Length: 'SpecTypeId.Length',
+    Number: 'SpecTypeId.Number',
+    Integer: 'SpecTypeId.Int.Integer',
+    Text: 'SpecTypeId.String.Text',
+    YesNo: 'SpecTypeId.Boolean.YesNo',
+    Material: 'SpecTypeId.Reference.Material'
+};
+
+// GroupTypeId for the parameter group names the LLM produces, keyed
+// by the name in lower case without spaces
+const PARAMETER_GROUPS = {
+    dimensions: 'Geometry',
+    geometry: 'Geometry',
+    materials: 'Materials',
+    materialsandfinishes: 'Materials',
+    constraints: 'Constraints',
+    construction: 'Construction',
+    data: 'Data',
+    graphics: 'Graphics',
+    identitydata: 'IdentityData',
+    text: 'Text',
+    general: 'General',
+    visibility: 'Visibility'
+};
+
+const DEFAULT_PARAMETER_GROUPS = {
+    Length: 'Geometry',
+    Material: 'Materials'
+};
+
+// Constraint types, matching the constraint dependency graph
+const ALIGNMENT_TYPES = ['align', 'alignment', 'lock', 'locked', 'coincident'];
+const DIMENSION_TYPES = ['dimension', 'distance', 'offset'];
+const EQUALITY_TYPES = ['equal', 'eq', 'equality', 'symmetric'];
+
+const DETAIL_LEVELS = ['coarse', 'medium', 'fine'];
+
+const HELPERS = `# Helpers
+FACE_DIRECTIONS = {
+    "left": XYZ(-1, 0, 0),
+    "right": XYZ(1, 0, 0),
+    "front": XYZ(0, -1, 0),
+    "back": XYZ(0, 1, 0),
+    "bottom": XYZ(0, 0, -1),
+    "top": XYZ(0, 0, 1)
+}
+
+def find_material(name):
+    for material in FilteredElementCollector(doc).OfClass(Material):
+        if material.Name == name:
+            return material.Id
+    return Material.Create(doc, name)
+
+def find_view(view_type, name=None):
+    for view in FilteredElementCollector(doc).OfClass(View):
+        if view.IsTemplate or view.ViewType != view_type:
+            continue
+        if name is None or view.Name == name:
+            return view
+    return None
+
+def view_for_normal(normal):
+    # Vertical planes are seen edge-on in plan, horizontal ones in elevation
+    if abs(normal.Z) < 0.5:
+        return find_view(ViewType.FloorPlan, "Ref. Level") or find_view(ViewType.FloorPlan)
+    return find_view(ViewType.Elevation, "Front") or find_view(ViewType.Elevation)
+
+def find_reference_plane(name):
+    if name in reference_planes:
+        return reference_planes[name]
+    for plane in FilteredElementCollector(doc).OfClass(ReferencePlane):
+        if plane.Name == name:
+            return plane
+    return None
+
+def create_reference_plane(name, origin, normal, extent=2.0):
+    normal = normal.Normalize()
+    if abs(normal.Z) < 0.5:
+        direction = XYZ.BasisZ.CrossProduct(normal).Normalize()
+        cut = XYZ.BasisZ
+    else:
+        direction = XYZ.BasisX
+        cut = normal.CrossProduct(direction).Normalize()
+    plane = doc.FamilyCreate.NewReferencePlane(origin + direction * extent, origin - direction * extent, cut, view_for_normal(normal))
+    plane.Name = name
+    return plane
+
+def get_or_add_parameter(name, group, spec, is_instance):
+    existing = fm.get_Parameter(name)
+    if existing is not None:
+        return existing
+    return fm.AddParameter(name, group, spec, is_instance)
+
+def get_or_add_type(name):
+    for family_type in fm.Types:
+        if family_type.Name == name:
+            return family_type
+    return fm.NewType(name)
+
+def curve_loop(points, closed=True):
+    loop = CurveArray()
+    count = len(points) if closed else len(points) - 1
+    for i in range(count):
+        loop.Append(Line.CreateBound(points[i], points[(i + 1) % len(points)]))
+    return loop
+
+def curve_loops(*loops):
+    array = CurveArrArray()
+    for loop in loops:
+        array.Append(loop)
+    return array
+
+def sketch_plane(normal, origin):
+    return SketchPlane.Create(doc, Plane.CreateByNormalAndOrigin(normal, origin))
+
+def set_material(element, material_name, parameter_name=None):
+    element_parameter = element.get_Parameter(BuiltInParameter.MATERIAL_ID_PARAM)
+    if parameter_name is not None and parameter_name in created_parameters:
+        fm.AssociateElementParameterToFamilyParameter(element_parameter, created_parameters[parameter_name])
+    elif material_name is not None:
+        element_parameter.Set(created_materials.get(material_name) or find_material(material_name))
+
+def new_sweep(is_solid, profile_points, path_points):
+    # The profile is drawn in the plane normal to the first path segment
+    tangent = (path_points[1] - path_points[0]).Normalize()
+    side = XYZ.BasisZ.CrossProduct(tangent)
+    if side.GetLength() < 1e-9:
+        side = XYZ.BasisX
+    side = side.Normalize()
+    up = tangent.CrossProduct(side)
+    path_normal = up
+    for point in path_points[2:]:
+        normal = (path_points[1] - path_points[0]).CrossProduct(point - path_points[0])
+        if normal.GetLength() > 1e-9:
+            path_normal = normal.Normalize()
+            break
+    origin = path_points[0]
+    profile = curve_loop([origin + side * x + up * y for (x, y) in profile_points])
+    sweep_profile = app.Create.NewCurveLoopsProfile(curve_loops(profile))
+    path = curve_loop(path_points, closed=False)
+    return doc.FamilyCreate.NewSweep(is_solid, path, sketch_plane(path_normal, origin), sweep_profile, 0, ProfilePlaneLocation.Start)
+
+def planar_faces(element):
+    options = Options()
+    options.ComputeReferences = True
+    faces = []
+    for geometry in element.get_Geometry(options):
+        if isinstance(geometry, Solid):
+            for face in geometry.Faces:
+                if isinstance(face, PlanarFace):
+                    faces.append(face)
+    return faces
+
+def find_face(element, direction=None, near=None):
+    # The face pointing in direction, or the face parallel to the plane
+    # near = (origin, normal) that is closest to it
+    best = None
+    best_score = None
+    for face in planar_faces(element):
+        if direction is not None:
+            score = -face.FaceNormal.DotProduct(direction)
+        else:
+            if abs(abs(face.FaceNormal.DotProduct(near[1])) - 1) > 1e-6:
+                continue
+            score = abs((face.Origin - near[0]).DotProduct(near[1]))
+        if best_score is None or score < best_score:
+            best, best_score = face, score
+    return best
+
+def resolve_reference(name, other=None):
+    # (reference, origin, normal) of a reference plane or geometry face
+    plane = find_reference_plane(name)
+    if plane is not None:
+        geometry = plane.GetPlane()
+        return (plane.GetReference(), geometry.Origin, geometry.Normal)
+    owner, face_name = name, None
+    separator = max(name.rfind("."), name.rfind(":"))
+    if separator > 0 and name[:separator] in created_geometry:
+        owner, face_name = name[:separator], name[separator + 1:]
+    if owner not in created_geometry:
+        raise Exception("Unknown reference " + name)
+    if face_name is not None:
+        if face_name.lower() not in FACE_DIRECTIONS:
+            raise Exception("Unknown face " + name)
+        face = find_face(created_geometry[owner], direction=FACE_DIRECTIONS[face_name.lower()])
+    elif other is not None:
+        face = find_face(created_geometry[owner], near=(other[1], other[2]))
+    else:
+        raise Exception("Name a face of " + name + " to constrain it")
+    if face is None:
+        raise Exception("No face of " + owner + " matches " + name)
+    return (face.Reference, face.Origin, face.FaceNormal)
+
+def resolve_pair(name1, name2):
+    # A whole element is located through the face nearest the other reference
+    if name1 in created_geometry:
+        second = resolve_reference(name2)
+        return resolve_reference(name1, second), second
+    first = resolve_reference(name1)
+    return first, resolve_reference(name2, first)
+
+def center_reference(normal):
+    for name in ("Center (Left/Right)", "Center (Front/Back)", "Ref. Level"):
+        plane = find_reference_plane(name)
+        if plane is not None and abs(abs(plane.GetPlane().Normal.DotProduct(normal)) - 1) < 1e-6:
+            geometry = plane.GetPlane()
+            return (plane.GetReference(), geometry.Origin, geometry.Normal)
+    raise Exception("No center reference plane parallel to the constrained references")
+
+def family_parameter(name):
+    return created_parameters.get(name) or fm.get_Parameter(name)
+
+def add_dimension(references, label=None, lock=False, equal=False):
+    array = ReferenceArray()
+    for reference in references:
+        array.Append(reference[0])
+    start = references[0][1]
+    normal = references[0][2]
+    distance = (references[-1][1] - start).DotProduct(normal)
+    if abs(distance) < 1e-9:
+        distance = 1.0
+    line = Line.CreateBound(start, start + normal * distance)
+    dimension = doc.FamilyCreate.NewDimension(view_for_normal(normal), line, array)
+    if equal:
+        dimension.AreSegmentsEqual = True
+    if label is not None:
+        dimension.FamilyLabel = family_parameter(label)
+    elif lock:
+        dimension.IsLocked = True
+    return dimension
+
+def add_alignment(references, lock=True):
+    alignment = doc.FamilyCreate.NewAlignment(view_for_normal(references[0][2]), references[0][0], references[1][0])
+    alignment.IsLocked = lock
+    return alignment
+
+def apply_constraint(description, create):
+    try:
+        create()
+        applied_constraints.append(description)
+    except Exception as e:
+        failed_constraints.append(description)
+        print("Constraint failed: " + description + ": " + str(e))
+
+def detail_visibility(coarse, medium, fine):
+    visibility = FamilyElementVisibility(FamilyElementVisibilityType.Model)
+    visibility.IsShownInCoarse = coarse
+    visibility.IsShownInMedium = medium
+    visibility.IsShownInFine = fine
+    return visibility
+`;
+
 class SIRToCodeInterpreter {
     constructor() {
+        this.sirSchema = new SIRSchema();
+        this.formulaEngine = new FormulaEngine();
         this.codeTemplates = this.initializeCodeTemplates();
         this.performanceOptimizations = this.initializePerformanceRules();
+        this.csharpGenerator = new CSharpCodeGenerator(this);
     }
 
     /**
-     * Convert SIR to executable Python code for Revit API
+     * Convert SIR to executable code for Revit API
      * @param {Object} sir - Structured Intermediate Representation
-     * @param {Object} context - Additional context for code generation
+     * @param {Object} context - Additional context for code generation;
+     *   `target` is 'python' (default, Dynamo) or 'csharp' (Design Automation app bundle source)
      * @returns {Object} Generated code and metadata
      */
     async translateSIRToCode(sir, context = {}) {
         try {
+            const target = context.target || 'python';
+            if (!TARGETS.includes(target)) {
+                throw new Error(`Unknown code target "${target}"; expected one of ${TARGETS.join(', ')}`);
+            }
+
             // Validate SIR structure
             this.validateSIR(sir);
-            
+
+            // Simplify the SIR for its LOD; the geometry itself is kept
+            const optimization = this.optimizeSIR(sir);
+            const optimized = optimization.sir;
+            const warnings = [];
+
             // Generate code sections
-            const codeSections = {
-                imports: this.generateImports(sir),
-                familySetup: this.generateFamilySetup(sir),
-                referencePlanes: this.generateReferencePlanes(sir),
-                parameters: this.generateParameters(sir),
-                geometry: this.generateGeometry(sir),
-                constraints: this.generateConstraints(sir),
-                materials: this.generateMaterials(sir),
-                familyTypes: this.generateFamilyTypes(sir),
-                visibility: this.generateVisibilitySettings(sir),
-                validation: this.generateValidationCode(sir)
-            };
-            
+            const codeSections = target === 'csharp'
+                ? this.csharpGenerator.generateSections(optimized, warnings)
+                : this.generatePythonSections(optimized, warnings);
+
             // Combine code sections
-            const fullCode = this.combineCodeSections(codeSections);
-            
+            const fullCode = target === 'csharp'
+                ? this.csharpGenerator.combineCodeSections(codeSections)
+                : this.combineCodeSections(codeSections);
+
             // Apply performance optimizations
-            const optimizedCode = this.applyPerformanceOptimizations(fullCode, sir);
-            
+            const optimizedCode = this.applyPerformanceOptimizations(fullCode, optimized, target);
+
             // Generate execution metadata
-            const metadata = this.generateExecutionMetadata(sir, optimizedCode);
-            
+            const metadata = this.generateExecutionMetadata(optimized, optimizedCode, optimization.applied);
+            metadata.target = target;
+            metadata.warnings = warnings;
+
             return {
                 success: true,
                 code: optimizedCode,
                 metadata: metadata,
                 sections: codeSections
             };
-            
+
         } catch (error) {
             console.error('SIR-to-Code Translation Error:', error);
             return {
                 success: false,
                 error: error.message,
+                validationErrors: error.errors,
                 sir: sir
             };
         }
     }
 
+    /**
+     * Generate the Python code sections
+     */
+    generatePythonSections(sir, warnings = []) {
+        return {
+            imports: this.generateImports(sir),
+            helpers: this.generateHelpers(sir),
+            familySetup: this.generateFamilySetup(sir),
+            referencePlanes: this.generateReferencePlanes(sir),
+            parameters: this.generateParameters(sir),
+            materials: this.generateMaterials(sir),
+            geometry: this.generateGeometry(sir),
+            constraints: this.generateConstraints(sir, warnings),
+            familyTypes: this.generateFamilyTypes(sir, warnings),
+            visibility: this.generateVisibilitySettings(sir),
+            validation: this.generateValidationCode(sir)
+        };
+    }
+
     /**
      * Generate Python imports based on SIR requirements
      */
@@ -73,34 +369,41 @@ class SIRToCodeInterpreter {
             'clr.AddReference("RevitServices")',
             'clr.AddReference("RevitNodes")',
             '',
+            'import math',
             'from Autodesk.Revit.DB import *',
             'from Autodesk.Revit.DB.Structure import *',
             'from Autodesk.Revit.UI import *',
             'from RevitServices.Persistence import DocumentManager',
             'from RevitServices.Transactions import TransactionManager',
             '',
-            '# BIM-LLM Generated Code',
+            '# BIM-LLM Generated Code (Python 3, Revit 2022 or later)',
             '# Generated at: ' + new Date().toISOString(),
-            '# Family: ' + sir.familyMetadata.familyName,
+            comment('Family: ' + sir.familyMetadata.familyName),
             ''
         ];
-        
+
         // Add specific imports based on family type
         if (sir.familyMetadata.category === 'Doors') {
             imports.push('from Autodesk.Revit.DB.Architecture import *');
         } else if (sir.familyMetadata.category === 'Windows') {
             imports.push('from Autodesk.Revit.DB.Architecture import *');
-        } else if (sir.familyMetadata.category.includes('Structural')) {
-            imports.push('from Autodesk.Revit.DB.Structure import *');
         }
-        
+
         return imports.join('\n');
     }
 
+    /**
+     * Generate the helper functions the other sections call
+     */
+    generateHelpers(sir) {
+        return this.codeTemplates.helpers;
+    }
+
     /**
      * Generate family setup code
      */
     generateFamilySetup(sir) {
+        const category = this.getRevitCategory(sir);
         const setup = [
             '# Family Setup',
             'doc = DocumentManager.Instance.CurrentDBDocument',
@@ -111,14 +414,15 @@ class SIRToCodeInterpreter {
             '',
             'try:',
             '    # Family metadata',
-            `    family_name = "${sir.familyMetadata.familyName}"`,
-            `    family_category = "${sir.familyMetadata.category}"`,
-            `    family_description = "${sir.familyMetadata.description || ''}"`,
+            `    family_name = ${py(sir.familyMetadata.familyName)}`,
+            `    family_category = ${py(category)}`,
+            `    family_description = ${py(sir.familyMetadata.description || '')}`,
             `    lod_level = ${sir.familyMetadata.lodLevel}`,
             '',
             '    # Validate family document',
             '    if not doc.IsFamilyDocument:',
             '        raise Exception("This script must run in a family document")',
+            '    fm = doc.FamilyManager',
             '',
             '    # Get family category',
             '    categories = doc.Settings.Categories',
@@ -129,14 +433,14 @@ class SIRToCodeInterpreter {
             '            break',
             '',
             '    if target_category is None:',
-            '        raise Exception(f"Category {family_category} not found")',
+            '        raise Exception("Category " + family_category + " not found")',
             '',
             '    # Set family category if not already set',
             '    if doc.OwnerFamily.FamilyCategory.Name != family_category:',
             '        doc.OwnerFamily.FamilyCategory = target_category',
             ''
         ];
-        
+
         return setup.join('\n');
     }
 
@@ -149,23 +453,23 @@ class SIRToCodeInterpreter {
             '    reference_planes = {}',
             ''
         ];
-        
-        if (sir.geometryDefinition.referencePlanes) {
-            sir.geometryDefinition.referencePlanes.forEach((plane, index) => {
-                planes.push(`    # Reference Plane: ${plane.name}`);
-                planes.push(`    plane_origin = XYZ(${plane.origin.x}, ${plane.origin.y}, ${plane.origin.z})`);
-                planes.push(`    plane_normal = XYZ(${plane.normal.x}, ${plane.normal.y}, ${plane.normal.z})`);
-                planes.push(`    ref_plane = Plane.CreateByNormalAndOrigin(plane_normal, plane_origin)`);
-                planes.push(`    reference_planes["${plane.name}"] = ref_plane`);
-                planes.push('');
-            });
-        }
-        
+
+        (sir.geometryDefinition.referencePlanes || []).forEach(plane => {
+            planes.push(comment(`Reference Plane: ${plane.name}`, 1));
+            planes.push(`    ref_plane = create_reference_plane(${py(plane.name)}, ${xyz(plane.origin)}, ${xyz(plane.normal)})`);
+            if (plane.locked) {
+                planes.push('    ref_plane.Pinned = True');
+            }
+            planes.push(`    reference_planes[${py(plane.name)}] = ref_plane`);
+            planes.push('');
+        });
+
         return planes.join('\n');
     }
 
     /**
-     * Generate parameters code
+     * Generate parameters code. Formulas are set once every parameter
+     * they may reference exists.
      */
     generateParameters(sir) {
         const parameters = [
@@ -173,32 +477,50 @@ class SIRToCodeInterpreter {
             '    created_parameters = {}',
             ''
         ];
-        
-        if (sir.parameters.familyParameters) {
-            sir.parameters.familyParameters.forEach((param, index) => {
-                parameters.push(`    # Parameter: ${param.name}`);
-                parameters.push(`    param_def = FamilyParameterDefinition.Create("${param.name}", ParameterType.${param.type})`);
-                parameters.push(`    param_def.SetGroupTypeId(GroupTypeId.${param.group || 'Data'})`);
-                parameters.push(`    param_def.IsInstance = ${param.isInstance ? 'True' : 'False'}`);
-                
-                if (param.defaultValue !== undefined) {
-                    parameters.push(`    param_def.DefaultValue = ${this.formatParameterValue(param.defaultValue, param.type)}`);
-                }
-                
-                if (param.formula) {
-                    parameters.push(`    param_def.Formula = "${param.formula}"`);
-                }
-                
-                parameters.push(`    created_parameters["${param.name}"] = param_def`);
-                parameters.push('');
+
+        const all = this.getFamilyParameters(sir);
+        all.forEach(param => {
+            parameters.push(comment(`Parameter: ${param.name}`, 1));
+            parameters.push(`    created_parameters[${py(param.name)}] = get_or_add_parameter(` +
+                `${py(param.name)}, GroupTypeId.${this.getParameterGroup(param)}, ${this.getParameterSpec(param)}, ` +
+                `${param.isInstance ? 'True' : 'False'})`);
+            parameters.push('');
+        });
+
+        const formulas = all.filter(param => param.formula);
+        if (formulas.length > 0) {
+            parameters.push('    # Formulas');
+            formulas.forEach(param => {
+                parameters.push(`    fm.SetFormula(created_parameters[${py(param.name)}], ${py(param.formula)})`);
             });
+            parameters.push('');
         }
-        
+
         return parameters.join('\n');
     }
 
     /**
-     * Generate geometry creation code
+     * Generate materials code
+     */
+    generateMaterials(sir) {
+        const materials = [
+            '    # Materials',
+            '    created_materials = {}',
+            ''
+        ];
+
+        (sir.materials || []).forEach(material => {
+            materials.push(`    created_materials[${py(material.name)}] = find_material(${py(material.name)})`);
+        });
+        materials.push('');
+
+        return materials.join('\n');
+    }
+
+    /**
+     * Generate geometry creation code for extrusions, blends, sweeps and
+     * revolves. Profiles are in feet; see SIRSchema for each form's
+     * coordinate conventions.
      */
     generateGeometry(sir) {
         const geometry = [
@@ -206,141 +528,138 @@ class SIRToCodeInterpreter {
             '    created_geometry = {}',
             ''
         ];
-        
-        if (sir.geometryDefinition.extrusions) {
-            sir.geometryDefinition.extrusions.forEach((extrusion, index) => {
-                geometry.push(`    # Extrusion: ${extrusion.name}`);
-                geometry.push(`    # Start Point: (${extrusion.startPoint.x}, ${extrusion.startPoint.y}, ${extrusion.startPoint.z})`);
-                geometry.push(`    # End Point: (${extrusion.endPoint.x}, ${extrusion.endPoint.y}, ${extrusion.endPoint.z})`);
-                geometry.push('');
-                geometry.push(`    # Create sketch plane`);
-                geometry.push(`    sketch_plane = Plane.CreateByNormalAndOrigin(XYZ(0, 0, 1), XYZ(0, 0, 0))`);
-                geometry.push(`    sketch = SketchPlane.Create(doc, sketch_plane)`);
-                geometry.push('');
-                geometry.push(`    # Create profile curves`);
-                geometry.push(`    profile_curves = CurveArray()`);
-                
-                if (extrusion.profile && extrusion.profile.length > 0) {
-                    extrusion.profile.forEach((point, pointIndex) => {
-                        const nextPoint = extrusion.profile[(pointIndex + 1) % extrusion.profile.length];
-                        geometry.push(`    # Line from (${point.x}, ${point.y}) to (${nextPoint.x}, ${nextPoint.y})`);
-                        geometry.push(`    start_pt = XYZ(${point.x}, ${point.y}, 0)`);
-                        geometry.push(`    end_pt = XYZ(${nextPoint.x}, ${nextPoint.y}, 0)`);
-                        geometry.push(`    line = Line.CreateBound(start_pt, end_pt)`);
-                        geometry.push(`    profile_curves.Append(line)`);
-                    });
-                }
-                
-                geometry.push('');
-                geometry.push(`    # Create extrusion`);
-                geometry.push(`    extrusion_height = ${extrusion.endPoint.z - extrusion.startPoint.z}`);
-                geometry.push(`    extrusion_obj = doc.FamilyCreate.NewExtrusion(True, profile_curves, sketch, extrusion_height)`);
-                geometry.push(`    created_geometry["${extrusion.name}"] = extrusion_obj`);
-                geometry.push('');
-            });
-        }
-        
+        const definition = sir.geometryDefinition;
+
+        (definition.extrusions || []).forEach(extrusion => {
+            const start = Math.min(extrusion.startPoint.z, extrusion.endPoint.z);
+            const end = Math.max(extrusion.startPoint.z, extrusion.endPoint.z);
+            geometry.push(comment(`Extrusion: ${extrusion.name}`, 1));
+            geometry.push(`    profile = curve_loops(curve_loop([${extrusion.profile.map(p => xyz({ x: p.x, y: p.y, z: 0 })).join(', ')}]))`);
+            geometry.push(`    form = doc.FamilyCreate.NewExtrusion(${pyBool(extrusion.isSolid !== false)}, profile, sketch_plane(XYZ.BasisZ, XYZ.Zero), ${pyFloat(end - start)})`);
+            geometry.push(`    form.StartOffset = ${pyFloat(start)}`);
+            geometry.push(`    form.EndOffset = ${pyFloat(end)}`);
+            geometry.push(...this.generateFormEnd(sir, extrusion));
+        });
+
+        (definition.blends || []).forEach(blend => {
+            const base = blend.baseOffset || 0;
+            const top = blend.topOffset;
+            geometry.push(comment(`Blend: ${blend.name}`, 1));
+            geometry.push(`    base_profile = curve_loop([${blend.baseProfile.map(p => xyz({ x: p.x, y: p.y, z: 0 })).join(', ')}])`);
+            geometry.push(`    top_profile = curve_loop([${blend.topProfile.map(p => xyz({ x: p.x, y: p.y, z: 0 })).join(', ')}])`);
+            geometry.push(`    form = doc.FamilyCreate.NewBlend(${pyBool(blend.isSolid !== false)}, top_profile, base_profile, sketch_plane(XYZ.BasisZ, XYZ.Zero))`);
+            geometry.push(`    form.BottomOffset = ${pyFloat(base)}`);
+            geometry.push(`    form.TopOffset = ${pyFloat(top)}`);
+            geometry.push(...this.generateFormEnd(sir, blend));
+        });
+
+        (definition.sweeps || []).forEach(sweep => {
+            geometry.push(comment(`Sweep: ${sweep.name}`, 1));
+            geometry.push(`    form = new_sweep(${pyBool(sweep.isSolid !== false)}, [${sweep.profile.map(p => `(${pyFloat(p.x)}, ${pyFloat(p.y)})`).join(', ')}], [${sweep.path.map(xyz).join(', ')}])`);
+            geometry.push(...this.generateFormEnd(sir, sweep));
+        });
+
+        (definition.revolves || []).forEach(revolve => {
+            const axis = revolve.axis || { start: { x: 0, y: 0 }, end: { x: 0, y: 1 } };
+            const startAngle = revolve.startAngle !== undefined ? revolve.startAngle : 0;
+            const endAngle = revolve.endAngle !== undefined ? revolve.endAngle : 360;
+            // Revolve profiles are drawn in the XZ plane: x across, y up
+            const toXZ = p => xyz({ x: p.x, y: 0, z: p.y });
+            geometry.push(comment(`Revolve: ${revolve.name}`, 1));
+            geometry.push(`    profile = curve_loops(curve_loop([${revolve.profile.map(toXZ).join(', ')}]))`);
+            geometry.push(`    axis = Line.CreateBound(${toXZ(axis.start)}, ${toXZ(axis.end)})`);
+            geometry.push(`    form = doc.FamilyCreate.NewRevolution(${pyBool(revolve.isSolid !== false)}, profile, sketch_plane(XYZ.BasisY, XYZ.Zero), axis, ` +
+                `math.radians(${pyFloat(startAngle)}), math.radians(${pyFloat(endAngle)}))`);
+            geometry.push(...this.generateFormEnd(sir, revolve));
+        });
+
         return geometry.join('\n');
     }
 
     /**
-     * Generate constraints code
+     * Material assignment and registration shared by every form
      */
-    generateConstraints(sir) {
-        const constraints = [
-            '    # Constraints and Relationships',
-            ''
-        ];
-        
-        if (sir.geometryDefinition.constraints) {
-            sir.geometryDefinition.constraints.forEach((constraint, index) => {
-                constraints.push(`    # Constraint: ${constraint.element1} -> ${constraint.element2}`);
-                constraints.push(`    # Type: ${constraint.constraintType}`);
-                constraints.push(`    # Offset: ${constraint.offset}`);
-                constraints.push('');
-                
-                // Generate constraint-specific code
-                switch (constraint.constraintType) {
-                    case 'align':
-                        constraints.push(`    # Align constraint implementation`);
-                        constraints.push(`    # TODO: Implement alignment constraint`);
-                        break;
-                    case 'lock':
-                        constraints.push(`    # Lock constraint implementation`);
-                        constraints.push(`    # TODO: Implement lock constraint`);
-                        break;
-                    case 'dimension':
-                        constraints.push(`    # Dimension constraint implementation`);
-                        constraints.push(`    # TODO: Implement dimension constraint`);
-                        break;
-                }
-                constraints.push('');
-            });
+    generateFormEnd(sir, form) {
+        const lines = [];
+        if (form.isSolid !== false && form.material) {
+            const parameterName = this.getMaterialParameter(sir, form.material);
+            lines.push(`    set_material(form, ${py(form.material)}, ${parameterName ? py(parameterName) : 'None'})`);
         }
-        
-        return constraints.join('\n');
+        lines.push(`    created_geometry[${py(form.name)}] = form`);
+        lines.push('');
+        return lines;
     }
 
     /**
-     * Generate materials code
+     * Generate constraints code. Alignments and dimensions are created in
+     * the view that shows both references edge-on; dimensions are labelled
+     * with their parameter or locked.
      */
-    generateMaterials(sir) {
-        const materials = [
-            '    # Materials',
-            '    created_materials = {}',
+    generateConstraints(sir, warnings = []) {
+        const constraints = [
+            '    # Constraints and Relationships',
+            '    applied_constraints = []',
+            '    failed_constraints = []',
             ''
         ];
-        
-        if (sir.materials) {
-            sir.materials.forEach((material, index) => {
-                materials.push(`    # Material: ${material.name}`);
-                materials.push(`    # Parameter: ${material.parameterName}`);
-                materials.push(`    # Default: ${material.defaultValue}`);
-                materials.push('');
-                
-                // Create material parameter if it doesn't exist
-                materials.push(`    if "${material.parameterName}" not in created_parameters:`);
-                materials.push(`        mat_param = FamilyParameterDefinition.Create("${material.parameterName}", ParameterType.Material)`);
-                materials.push(`        mat_param.SetGroupTypeId(GroupTypeId.Materials)`);
-                materials.push(`        mat_param.IsInstance = True`);
-                materials.push(`        created_parameters["${material.parameterName}"] = mat_param`);
-                materials.push('');
-            });
-        }
-        
-        return materials.join('\n');
+
+        this.describeConstraints(sir, warnings).forEach(constraint => {
+            const pair = `resolve_pair(${py(constraint.element1)}, ${py(constraint.element2)})`;
+
+            let create;
+            switch (constraint.kind) {
+                case 'alignment':
+                    create = `add_alignment(${pair}, lock=${pyBool(constraint.locked)})`;
+                    break;
+                case 'dimension':
+                    create = `add_dimension(${pair}, label=${constraint.parameter ? py(constraint.parameter) : 'None'}, lock=${pyBool(constraint.locked)})`;
+                    break;
+                case 'equality':
+                    create = `add_dimension((lambda refs: [refs[0], center_reference(refs[0][2]), refs[1]])(${pair}), equal=True)`;
+                    break;
+                default:
+                    constraints.push(comment(`Skipped unsupported constraint: ${constraint.description}`, 1));
+                    constraints.push(`    failed_constraints.append(${py(constraint.description)})`);
+                    constraints.push('');
+                    return;
+            }
+
+            constraints.push(comment(`Constraint: ${constraint.description}`, 1));
+            constraints.push(`    apply_constraint(${py(constraint.description)}, lambda: ${create})`);
+            constraints.push('');
+        });
+
+        return constraints.join('\n');
     }
 
     /**
      * Generate family types code
      */
-    generateFamilyTypes(sir) {
+    generateFamilyTypes(sir, warnings = []) {
         const types = [
             '    # Family Types',
             '    created_types = {}',
             ''
         ];
-        
-        if (sir.parameters.familyTypes) {
-            sir.parameters.familyTypes.forEach((type, index) => {
-                types.push(`    # Family Type: ${type.name}`);
-                types.push(`    family_type = doc.FamilyCreate.NewType("${type.name}")`);
-                types.push('');
-                
-                // Set parameter values for this type
-                if (type.parameters) {
-                    Object.keys(type.parameters).forEach(paramName => {
-                        const value = type.parameters[paramName];
-                        types.push(`    # Set parameter ${paramName} = ${value}`);
-                        types.push(`    # TODO: Implement parameter value setting`);
-                    });
+
+        this.describeFamilyTypes(sir, warnings).forEach(type => {
+            types.push(comment(`Family Type: ${type.name}`, 1));
+            types.push(`    family_type = get_or_add_type(${py(type.name)})`);
+            types.push('    fm.CurrentType = family_type');
+
+            type.values.forEach(({ param, value }) => {
+                try {
+                    types.push(`    fm.Set(created_parameters[${py(param.name)}], ${this.formatParameterValue(value, param.type)})`);
+                } catch (error) {
+                    warnings.push(`familyTypes (${type.name}): ${param.name}: ${error.message}`);
+                    types.push(comment(`Skipped ${param.name}: ${error.message}`, 1));
                 }
-                
-                types.push(`    created_types["${type.name}"] = family_type`);
-                types.push('');
             });
-        }
-        
+
+            types.push(`    created_types[${py(type.name)}] = family_type`);
+            types.push('');
+        });
+
         return types.join('\n');
     }
 
@@ -350,22 +669,19 @@ class SIRToCodeInterpreter {
     generateVisibilitySettings(sir) {
         const visibility = [
             '    # Visibility Settings',
+            '    failed_visibility = []',
             ''
         ];
-        
-        if (sir.visibilitySettings) {
-            ['coarse', 'medium', 'fine'].forEach(detailLevel => {
-                if (sir.visibilitySettings[detailLevel]) {
-                    visibility.push(`    # ${detailLevel.toUpperCase()} visibility`);
-                    sir.visibilitySettings[detailLevel].forEach(elementName => {
-                        visibility.push(`    # Set ${elementName} visibility for ${detailLevel}`);
-                        visibility.push(`    # TODO: Implement visibility setting for ${elementName}`);
-                    });
-                    visibility.push('');
-                }
-            });
-        }
-        
+
+        this.describeVisibility(sir).forEach(({ name, levels }) => {
+            visibility.push(`    try:`);
+            visibility.push(`        created_geometry[${py(name)}].SetVisibility(detail_visibility(${levels.map(pyBool).join(', ')}))`);
+            visibility.push('    except Exception as e:');
+            visibility.push(`        failed_visibility.append(${py(name)})`);
+            visibility.push(`        print("Visibility failed: " + ${py(name)} + ": " + str(e))`);
+        });
+        visibility.push('');
+
         return visibility.join('\n');
     }
 
@@ -373,136 +689,361 @@ class SIRToCodeInterpreter {
      * Generate validation and error handling code
      */
     generateValidationCode(sir) {
+        const expected = this.describeExpectedCounts(sir);
         const validation = [
             '    # Validation and Quality Assurance',
             '    validation_results = {',
-            '        "geometry_created": len(created_geometry) > 0,',
-            '        "parameters_created": len(created_parameters) > 0,',
-            '        "family_types_created": len(created_types) > 0,',
-            '        "lod_compliance": True,  # TODO: Implement LOD validation',
-            '        "performance_optimized": True  # TODO: Implement performance checks',
+            `        "reference_planes_created": len(reference_planes) == ${expected.referencePlanes},`,
+            `        "parameters_created": len(created_parameters) == ${expected.parameters},`,
+            `        "geometry_created": len(created_geometry) == ${expected.geometry},`,
+            '        "constraints_applied": len(failed_constraints) == 0,',
+            `        "family_types_created": len(created_types) == ${expected.familyTypes},`,
+            '        "visibility_applied": len(failed_visibility) == 0',
             '    }',
             '',
             '    # Log validation results',
             '    print("Family Creation Validation Results:")',
             '    for key, value in validation_results.items():',
-            '        print(f"  {key}: {value}")',
+            '        print("  " + key + ": " + str(value))',
             '',
             '    # Commit transaction',
             '    TransactionManager.Instance.TransactionTaskDone()',
             '',
-            '    print(f"Successfully created family: {family_name}")',
-            '    print(f"Category: {family_category}")',
-            '    print(f"LOD Level: {lod_level}")',
+            '    print("Successfully created family: " + family_name)',
+            '    print("Category: " + family_category)',
+            '    print("LOD Level: " + str(lod_level))',
             '',
             'except Exception as e:',
-            '    print(f"Error creating family: {str(e)}")',
+            '    print("Error creating family: " + str(e))',
             '    TransactionManager.Instance.TransactionTaskDone()',
-            '    raise e',
+            '    raise',
             ''
         ];
-        
+
         return validation.join('\n');
     }
 
+    /**
+     * Classify each constraint for code generation, matching the
+     * constraint dependency graph's types. Alignments are locked unless
+     * `locked: false`; dimensions are locked only when `locked: true`.
+     * @returns {Array<Object>} { kind, description, element1, element2, parameter, locked };
+     *   kind is alignment, dimension, equality or null when unsupported
+     */
+    describeConstraints(sir, warnings = []) {
+        return (sir.geometryDefinition.constraints || []).map((constraint, index) => {
+            const type = String(constraint.constraintType).toLowerCase();
+            let kind = null;
+            if (ALIGNMENT_TYPES.includes(type)) {
+                kind = 'alignment';
+            } else if (DIMENSION_TYPES.includes(type)) {
+                kind = 'dimension';
+            } else if (EQUALITY_TYPES.includes(type)) {
+                kind = 'equality';
+            } else {
+                warnings.push(`constraints[${index}]: constraint type "${constraint.constraintType}" is not supported and was skipped`);
+            }
+
+            return {
+                kind: kind,
+                description: `${constraint.constraintType} ${constraint.element1} -> ${constraint.element2}`,
+                element1: constraint.element1,
+                element2: constraint.element2,
+                parameter: constraint.parameter || null,
+                locked: kind === 'alignment' ? constraint.locked !== false : constraint.locked === true
+            };
+        });
+    }
+
+    /**
+     * The values each family type sets: every parameter without a formula,
+     * from the defaults overridden by the type's own values. A family
+     * without types gets one named after the family.
+     * @returns {Array<Object>} { name, values: [{ param, value }] } with raw values
+     */
+    describeFamilyTypes(sir, warnings = []) {
+        const all = this.getFamilyParameters(sir);
+        const byName = new Map(all.map(param => [param.name, param]));
+        const familyTypes = (sir.parameters.familyTypes || []).length > 0
+            ? sir.parameters.familyTypes
+            : [{ name: sir.familyMetadata.familyName, parameters: {} }];
+
+        return familyTypes.map((type, typeIndex) => {
+            const values = {};
+            all.forEach(param => {
+                if (param.defaultValue !== undefined && param.defaultValue !== null) {
+                    values[param.name] = param.defaultValue;
+                }
+            });
+            Object.keys(type.parameters || {}).forEach(name => {
+                if (!byName.has(name)) {
+                    warnings.push(`familyTypes[${typeIndex}] (${type.name}): "${name}" is not a family parameter and was skipped`);
+                    return;
+                }
+                values[name] = type.parameters[name];
+            });
+
+            return {
+                name: type.name,
+                values: Object.keys(values)
+                    .filter(name => !byName.get(name).formula)
+                    .map(name => ({ param: byName.get(name), value: values[name] }))
+            };
+        });
+    }
+
+    /**
+     * The detail levels each solid form is shown at. An element's own
+     * `visibility` wins; otherwise it is shown at the levels whose
+     * visibilitySettings list names it. Elements in neither keep Revit's
+     * default visibility, and voids have none.
+     * @returns {Array<Object>} { name, levels: [coarse, medium, fine] }
+     */
+    describeVisibility(sir) {
+        const settings = sir.visibilitySettings || {};
+        const described = [];
+
+        this.getForms(sir).forEach(form => {
+            if (form.isSolid === false) {
+                return;
+            }
+            if (form.visibility) {
+                described.push({ name: form.name, levels: DETAIL_LEVELS.map(level => form.visibility[level] !== false) });
+            } else if (DETAIL_LEVELS.some(level => (settings[level] || []).includes(form.name))) {
+                described.push({ name: form.name, levels: DETAIL_LEVELS.map(level => (settings[level] || []).includes(form.name)) });
+            }
+        });
+
+        return described;
+    }
+
+    /**
+     * Element counts the generated code checks once it has run
+     */
+    describeExpectedCounts(sir) {
+        return {
+            referencePlanes: (sir.geometryDefinition.referencePlanes || []).length,
+            parameters: this.getFamilyParameters(sir).length,
+            geometry: this.getForms(sir).length,
+            familyTypes: (sir.parameters.familyTypes || []).length || 1
+        };
+    }
+
+    /**
+     * Resolve a SIR into the steps the SIR app bundle runs, with the same
+     * lookups the code targets use: the Revit category, each parameter's
+     * group, the Material parameter driving each form, the constraint
+     * kinds, type values in internal units and per-level visibility
+     * @param {Object} sir - Schema-conformant SIR
+     * @param {Array} warnings - Receives a message for each skipped value or constraint
+     * @returns {Object} { category, lodLevel, referencePlanes, parameters, materials,
+     *   geometry, constraints, familyTypes, visibility }
+     */
+    describeBuild(sir, warnings = []) {
+        this.validateSIR(sir);
+        const optimized = this.optimizeSIR(sir).sir;
+        const definition = optimized.geometryDefinition;
+        const withMaterialParameter = form => Object.assign({}, form, {
+            materialParameter: form.isSolid !== false && form.material ? this.getMaterialParameter(optimized, form.material) : null
+        });
+
+        return {
+            category: this.getRevitCategory(optimized),
+            lodLevel: optimized.familyMetadata.lodLevel,
+            referencePlanes: (definition.referencePlanes || []).map(plane => ({
+                name: plane.name,
+                origin: plane.origin,
+                normal: plane.normal,
+                locked: plane.locked === true
+            })),
+            parameters: this.getFamilyParameters(optimized).map(param => ({
+                name: param.name,
+                type: param.type,
+                group: this.getParameterGroup(param),
+                isInstance: param.isInstance === true,
+                formula: param.formula || null
+            })),
+            materials: (optimized.materials || []).map(material => material.name),
+            geometry: {
+                extrusions: (definition.extrusions || []).map(withMaterialParameter),
+                blends: (definition.blends || []).map(withMaterialParameter),
+                sweeps: (definition.sweeps || []).map(withMaterialParameter),
+                revolves: (definition.revolves || []).map(withMaterialParameter)
+            },
+            constraints: this.describeConstraints(optimized, warnings),
+            familyTypes: this.describeFamilyTypes(optimized, warnings).map(type => ({
+                name: type.name,
+                values: type.values.reduce((values, { param, value }) => {
+                    try {
+                        values.push({ name: param.name, type: param.type, value: this.formulaEngine.parseValue(value, param.type) });
+                    } catch (error) {
+                        warnings.push(`familyTypes (${type.name}): ${param.name}: ${error.message}`);
+                    }
+                    return values;
+                }, [])
+            })),
+            visibility: this.describeVisibility(optimized)
+        };
+    }
+
     /**
      * Combine all code sections into final Python script
      */
     combineCodeSections(sections) {
         const codeParts = [
             sections.imports,
+            sections.helpers,
             sections.familySetup,
             sections.referencePlanes,
             sections.parameters,
+            sections.materials,
             sections.geometry,
             sections.constraints,
-            sections.materials,
             sections.familyTypes,
             sections.visibility,
             sections.validation
         ];
-        
+
         return codeParts.join('\n\n');
     }
 
+    /**
+     * Simplify a copy of the SIR with the performance rules that apply to
+     * it. The input is not modified.
+     * @returns {{sir: Object, applied: string[]}} Simplified SIR and the rules that changed it
+     */
+    optimizeSIR(sir) {
+        const optimized = JSON.parse(JSON.stringify(sir));
+        const applied = [];
+
+        this.performanceOptimizations.forEach(rule => {
+            if (rule.applies(optimized) && rule.apply(optimized) > 0) {
+                applied.push(rule.name);
+            }
+        });
+
+        return { sir: optimized, applied: applied };
+    }
+
     /**
      * Apply performance optimizations to generated code
      */
-    applyPerformanceOptimizations(code, sir) {
-        let optimizedCode = code;
-        
-        // Remove excessive comments for production
-        if (sir.familyMetadata.lodLevel <= 200) {
-            optimizedCode = optimizedCode.replace(/# .*\n/g, '');
-        }
-        
-        // Optimize for LOD level
+    applyPerformanceOptimizations(code, sir, target = 'python') {
+        // Drop whole-line comments for low LODs; the code is unchanged
         if (sir.familyMetadata.lodLevel <= 200) {
-            // Remove complex geometry for low LOD
-            optimizedCode = optimizedCode.replace(/extrusion_obj = doc\.FamilyCreate\.NewExtrusion.*\n/g, '');
+            return code.replace(target === 'csharp' ? /^[ \t]*\/\/.*\n/gm : /^[ \t]*#.*\n/gm, '');
         }
-        
-        // Apply performance rules
-        this.performanceOptimizations.forEach(rule => {
-            optimizedCode = rule.apply(optimizedCode, sir);
-        });
-        
-        return optimizedCode;
+
+        return code;
     }
 
     /**
      * Generate execution metadata
      */
-    generateExecutionMetadata(sir, code) {
+    generateExecutionMetadata(sir, code, optimizations = []) {
         return {
             familyName: sir.familyMetadata.familyName,
             category: sir.familyMetadata.category,
             lodLevel: sir.familyMetadata.lodLevel,
             codeLength: code.length,
+            linesOfCode: code.split('\n').length,
             estimatedExecutionTime: this.estimateExecutionTime(sir),
             complexityScore: this.calculateComplexityScore(sir),
-            performanceOptimizations: this.getAppliedOptimizations(sir),
+            performanceOptimizations: this.getAppliedOptimizations(sir, optimizations),
             generatedAt: new Date().toISOString()
         };
     }
 
     /**
-     * Validate SIR structure
+     * Validate SIR structure against the versioned SIR schema
      */
     validateSIR(sir) {
-        if (!sir.familyMetadata) {
-            throw new Error('Missing familyMetadata in SIR');
-        }
-        
-        if (!sir.geometryDefinition) {
-            throw new Error('Missing geometryDefinition in SIR');
-        }
-        
-        if (!sir.parameters) {
-            throw new Error('Missing parameters in SIR');
-        }
-        
-        // Additional validation rules
-        if (sir.familyMetadata.lodLevel < 100 || sir.familyMetadata.lodLevel > 500) {
-            throw new Error('Invalid LOD level');
-        }
+        this.sirSchema.assertValid(sir);
     }
 
     /**
-     * Format parameter values for Python code
+     * Format a parameter value as a Python expression for FamilyManager.Set,
+     * in Revit internal units
+     * @throws {FormulaError} If the value does not fit the parameter type
      */
     formatParameterValue(value, type) {
+        const parsed = this.formulaEngine.parseValue(value, type);
         switch (type) {
-            case 'Length':
-            case 'Number':
-                return value;
+            case 'YesNo':
+                return parsed ? '1' : '0';
+            case 'Integer':
+                return String(parsed);
             case 'Text':
-                return `"${value}"`;
+                return py(parsed);
             case 'Material':
-                return `"${value}"`;
+                return `created_materials.get(${py(parsed)}) or find_material(${py(parsed)})`;
             default:
-                return `"${value}"`;
+                return pyFloat(parsed);
+        }
+    }
+
+    /**
+     * Family parameters, plus the material parameters declared in the
+     * SIR's materials list
+     */
+    getFamilyParameters(sir) {
+        const parameters = (sir.parameters.familyParameters || []).slice();
+        (sir.materials || []).forEach(material => {
+            if (material.parameterName && !parameters.some(param => param.name === material.parameterName)) {
+                parameters.push({
+                    name: material.parameterName,
+                    type: 'Material',
+                    group: 'Materials',
+                    isInstance: true,
+                    defaultValue: material.defaultValue || material.name
+                });
+            }
+        });
+        return parameters;
+    }
+
+    /**
+     * Revit category name for the SIR's category
+     */
+    getRevitCategory(sir) {
+        return REVIT_CATEGORIES[sir.familyMetadata.category] || sir.familyMetadata.category;
+    }
+
+    /**
+     * SpecTypeId for a parameter
+     */
+    getParameterSpec(param) {
+        return PARAMETER_SPECS[param.type];
+    }
+
+    /**
+     * GroupTypeId member for a parameter
+     */
+    getParameterGroup(param) {
+        const key = String(param.group || '').toLowerCase().replace(/[\s_-]+/g, '');
+        return PARAMETER_GROUPS[key] || DEFAULT_PARAMETER_GROUPS[param.type] || 'Data';
+    }
+
+    /**
+     * The Material parameter that drives a form's material: the one the
+     * materials list names, or the only Material parameter defaulting to it
+     */
+    getMaterialParameter(sir, materialName) {
+        const material = (sir.materials || []).find(m => m.name === materialName && m.parameterName);
+        if (material) {
+            return material.parameterName;
         }
+        const candidates = (sir.parameters.familyParameters || [])
+            .filter(param => param.type === 'Material' && param.defaultValue === materialName);
+        return candidates.length === 1 ? candidates[0].name : null;
+    }
+
+    /**
+     * Every extrusion, blend, sweep and revolve
+     */
+    getForms(sir) {
+        const definition = sir.geometryDefinition;
+        return [].concat(definition.extrusions || [], definition.blends || [], definition.sweeps || [], definition.revolves || []);
     }
 
     /**
@@ -510,31 +1051,38 @@ class SIRToCodeInterpreter {
      */
     initializeCodeTemplates() {
         return {
-            basicExtrusion: this.getBasicExtrusionTemplate(),
-            parameterCreation: this.getParameterCreationTemplate(),
-            familyTypeCreation: this.getFamilyTypeTemplate()
+            helpers: HELPERS
         };
     }
 
     /**
-     * Initialize performance optimization rules
+     * Initialize performance optimization rules. Each rule simplifies the
+     * SIR in place and returns the number of changes it made.
      */
     initializePerformanceRules() {
         return [
             {
-                name: 'minimize_voids',
-                apply: (code, sir) => {
-                    if (sir.familyMetadata.lodLevel <= 200) {
-                        return code.replace(/NewVoid.*\n/g, '');
-                    }
-                    return code;
-                }
-            },
-            {
-                name: 'optimize_arrays',
-                apply: (code, sir) => {
-                    // Limit array usage for performance
-                    return code.replace(/Array\.Create.*\n/g, '');
+                name: 'simplified_profiles',
+                // Low LODs drop redundant profile points; the forms stay the same shape
+                applies: (sir) => sir.familyMetadata.lodLevel <= 200,
+                apply: (sir) => {
+                    const definition = sir.geometryDefinition;
+                    let removed = 0;
+                    const simplify = (owner, key) => {
+                        if (Array.isArray(owner[key])) {
+                            const simplified = simplifyProfile(owner[key]);
+                            removed += owner[key].length - simplified.length;
+                            owner[key] = simplified;
+                        }
+                    };
+                    (definition.extrusions || []).forEach(extrusion => simplify(extrusion, 'profile'));
+                    (definition.blends || []).forEach(blend => {
+                        simplify(blend, 'baseProfile');
+                        simplify(blend, 'topProfile');
+                    });
+                    (definition.sweeps || []).forEach(sweep => simplify(sweep, 'profile'));
+                    (definition.revolves || []).forEach(revolve => simplify(revolve, 'profile'));
+                    return removed;
                 }
             }
         ];
@@ -545,20 +1093,22 @@ class SIRToCodeInterpreter {
      */
     estimateExecutionTime(sir) {
         let baseTime = 30; // Base 30 seconds
-        
+
         // Add time based on complexity
-        if (sir.geometryDefinition.extrusions) {
-            baseTime += sir.geometryDefinition.extrusions.length * 5;
+        baseTime += this.getForms(sir).length * 5;
+
+        if (sir.geometryDefinition.constraints) {
+            baseTime += sir.geometryDefinition.constraints.length * 2;
         }
-        
+
         if (sir.parameters.familyParameters) {
             baseTime += sir.parameters.familyParameters.length * 2;
         }
-        
+
         if (sir.parameters.familyTypes) {
             baseTime += sir.parameters.familyTypes.length * 3;
         }
-        
+
         return Math.min(baseTime, 300); // Cap at 5 minutes
     }
 
@@ -567,88 +1117,102 @@ class SIRToCodeInterpreter {
      */
     calculateComplexityScore(sir) {
         let score = 0;
-        
+
         // Geometry complexity
-        if (sir.geometryDefinition.extrusions) {
-            score += sir.geometryDefinition.extrusions.length * 2;
-        }
-        
+        score += this.getForms(sir).length * 2;
+
         // Parameter complexity
         if (sir.parameters.familyParameters) {
             score += sir.parameters.familyParameters.length;
         }
-        
+
         // Type complexity
         if (sir.parameters.familyTypes) {
             score += sir.parameters.familyTypes.length * 2;
         }
-        
+
         return score;
     }
 
     /**
-     * Get applied optimizations
+     * Get applied optimizations: the SIR rules that changed something,
+     * and comment stripping for low LODs
      */
-    getAppliedOptimizations(sir) {
-        const optimizations = [];
-        
+    getAppliedOptimizations(sir, optimizations = []) {
+        const applied = optimizations.slice();
+
         if (sir.familyMetadata.lodLevel <= 200) {
-            optimizations.push('simplified_geometry');
+            applied.push('stripped_comments');
         }
-        
-        if (sir.geometryDefinition.extrusions && sir.geometryDefinition.extrusions.length > 5) {
-            optimizations.push('geometry_consolidation');
+
+        return applied;
+    }
+}
+
+/**
+ * Remove repeated points and points on a straight line between their
+ * neighbours, keeping at least a triangle
+ */
+function simplifyProfile(points) {
+    let result = points.slice();
+    let changed = true;
+    while (changed && result.length > 3) {
+        changed = false;
+        for (let i = 0; i < result.length && result.length > 3; i++) {
+            const prev = result[(i - 1 + result.length) % result.length];
+            const point = result[i];
+            const next = result[(i + 1) % result.length];
+            const ax = point.x - prev.x;
+            const ay = point.y - prev.y;
+            const bx = next.x - point.x;
+            const by = next.y - point.y;
+            const lengths = Math.hypot(ax, ay) * Math.hypot(bx, by);
+            const repeated = Math.hypot(ax, ay) < 1e-9;
+            const collinear = Math.abs(ax * by - ay * bx) <= 1e-9 * lengths && ax * bx + ay * by > 0;
+            if (repeated || collinear) {
+                result.splice(i, 1);
+                changed = true;
+                i--;
+            }
         }
-        
-        return optimizations;
-    }
-
-    // Template methods
-    getBasicExtrusionTemplate() {
-        return `
-# Basic Extrusion Template
-def create_basic_extrusion(name, profile_points, height):
-    sketch_plane = Plane.CreateByNormalAndOrigin(XYZ(0, 0, 1), XYZ(0, 0, 0))
-    sketch = SketchPlane.Create(doc, sketch_plane)
-    
-    profile_curves = CurveArray()
-    for i in range(len(profile_points)):
-        start_pt = profile_points[i]
-        end_pt = profile_points[(i + 1) % len(profile_points)]
-        line = Line.CreateBound(start_pt, end_pt)
-        profile_curves.Append(line)
-    
-    extrusion = doc.FamilyCreate.NewExtrusion(True, profile_curves, sketch, height)
-    return extrusion
-        `;
-    }
-
-    getParameterCreationTemplate() {
-        return `
-# Parameter Creation Template
-def create_family_parameter(name, param_type, group, is_instance=True, default_value=None):
-    param_def = FamilyParameterDefinition.Create(name, ParameterType.param_type)
-    param_def.SetGroupTypeId(GroupTypeId.group)
-    param_def.IsInstance = is_instance
-    if default_value is not None:
-        param_def.DefaultValue = default_value
-    return param_def
-        `;
-    }
-
-    getFamilyTypeTemplate() {
-        return `
-# Family Type Template
-def create_family_type(name, parameter_values=None):
-    family_type = doc.FamilyCreate.NewType(name)
-    if parameter_values:
-        for param_name, value in parameter_values.items():
-            # Set parameter value logic here
-            pass
-    return family_type
-        `;
     }
+    return result;
 }
 
-module.exports = SIRToCodeInterpreter;
+// Python literals
+
+function py(value) {
+    if (value === null || value === undefined) {
+        return 'None';
+    }
+    if (typeof value === 'boolean') {
+        return pyBool(value);
+    }
+    if (typeof value === 'number') {
+        return pyFloat(value);
+    }
+    return JSON.stringify(String(value));
+}
+
+function pyBool(value) {
+    return value ? 'True' : 'False';
+}
 
+// Floats always carry a decimal point, so FamilyManager.Set picks the
+// double overload
+function pyFloat(value) {
+    const text = String(Number(value));
+    return /[.eE]/.test(text) ? text : `${text}.0`;
+}
+
+function xyz(point) {
+    return `XYZ(${pyFloat(point.x)}, ${pyFloat(point.y)}, ${pyFloat(point.z)})`;
+}
+
+function comment(text, indent = 0) {
+    return `${'    '.repeat(indent)}# ${String(text).replace(/[\r\n]+/g, ' ')}`;
+}
+
+SIRToCodeInterpreter.TARGETS = TARGETS;
+
+module.exports = SIRToCodeInterpreter;
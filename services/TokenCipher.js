@@ -0,0 +1,73 @@
+/////////////////////////////////////////////////////////////////////
+// famAI: Token Cipher
+// Copyright (c) 2024 famAI Platform
+//
+// This module encrypts the APS tokens kept on user records with
+// AES-256-GCM, so a leaked database doesn't give away working tokens
+/////////////////////////////////////////////////////////////////////
+
+const crypto = require('crypto');
+const { apsTokens: tokenConfig = {}, credentials = {} } = require('../config');
+
+const PREFIX = 'enc:v1:';
+
+class TokenCipher {
+    /**
+     * @param {Object} options - { secret } overriding config.apsTokens.encryptionKey
+     */
+    constructor(options = {}) {
+        let secret = options.secret || tokenConfig.encryptionKey;
+        if (!secret && credentials.client_secret) {
+            console.warn('⚠️  TOKEN_ENCRYPTION_KEY is not set: encrypting stored APS tokens with a key derived from APS_CLIENT_SECRET');
+            secret = credentials.client_secret;
+        }
+        this.key = secret ? crypto.createHash('sha256').update(String(secret)).digest() : null;
+    }
+
+    /**
+     * Encrypt a token
+     * @param {string} plaintext - Token
+     * @returns {string} 'enc:v1:<iv>.<tag>.<ciphertext>', base64url
+     */
+    encrypt(plaintext) {
+        if (plaintext === undefined || plaintext === null) {
+            return plaintext;
+        }
+        if (!this.key) {
+            throw new Error('Set TOKEN_ENCRYPTION_KEY to store APS tokens');
+        }
+
+        const iv = crypto.randomBytes(12);
+        const cipher = crypto.createCipheriv('aes-256-gcm', this.key, iv);
+        const ciphertext = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+        return PREFIX + [iv, cipher.getAuthTag(), ciphertext].map(part => part.toString('base64url')).join('.');
+    }
+
+    /**
+     * Decrypt a token. Values stored before encryption are returned as they are
+     * @param {string} value - Encrypted token
+     * @returns {string} Token
+     */
+    decrypt(value) {
+        if (!TokenCipher.isEncrypted(value)) {
+            return value;
+        }
+        if (!this.key) {
+            throw new Error('Set TOKEN_ENCRYPTION_KEY to read stored APS tokens');
+        }
+
+        const [iv, tag, ciphertext] = value.slice(PREFIX.length).split('.').map(part => Buffer.from(part, 'base64url'));
+        const decipher = crypto.createDecipheriv('aes-256-gcm', this.key, iv);
+        decipher.setAuthTag(tag);
+        return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+    }
+
+    /**
+     * Whether a stored value was encrypted by this class
+     */
+    static isEncrypted(value) {
+        return typeof value === 'string' && value.startsWith(PREFIX);
+    }
+}
+
+module.exports = TokenCipher;
@@ -0,0 +1,352 @@
+/////////////////////////////////////////////////////////////////////
+// famAI: Design Automation Workitem Poller
+// Copyright (c) 2024 famAI Platform
+//
+// This module runs on the server and advances families whose
+// Design Automation workitems are still outstanding, so a family
+// completes even if no browser is polling its status. It records
+// progress, the workitem report and the result, starts the viewer
+// translation and notifies clients over Socket.IO
+/////////////////////////////////////////////////////////////////////
+
+const mongoose = require('mongoose');
+const Family = require('../models/Family');
+const apsService = require('./apsService');
+const notifier = require('./socketNotifier');
+const { OAuth } = require('../routes/common/oauth');
+const { getWorkitemStatus, cancelWrokitem } = require('../routes/common/da4revitImp');
+const { workitemPoller: pollerConfig = {} } = require('../config');
+
+const SOCKET_TOPIC_WORKITEM = 'Workitem-Notification';
+
+// Workitem statuses that are still running in Design Automation
+const OPEN_STATUSES = ['pending', 'inprogress'];
+
+// Reports can be large; only the tail (where errors are written) is kept
+const MAX_REPORT_LENGTH = 20000;
+
+class WorkitemPoller {
+    /**
+     * @param {Object} options - { intervalMs, maxBackoffMs, stuckTimeoutMs, batchSize }
+     */
+    constructor(options = {}) {
+        this.intervalMs = options.intervalMs || pollerConfig.intervalMs || 15000;
+        this.maxBackoffMs = options.maxBackoffMs || pollerConfig.maxBackoffMs || 5 * 60 * 1000;
+        this.stuckTimeoutMs = options.stuckTimeoutMs || pollerConfig.stuckTimeoutMs || 60 * 60 * 1000;
+        this.batchSize = options.batchSize || pollerConfig.batchSize || 50;
+
+        // workitemId -> { attempts, nextPollAt, lastStatus }
+        this.schedule = new Map();
+        this.timer = null;
+        this.running = false;
+    }
+
+    /**
+     * Start polling on an interval
+     */
+    start() {
+        if (this.timer) {
+            return this;
+        }
+
+        console.log(`WorkitemPoller: polling every ${this.intervalMs}ms (stuck after ${this.stuckTimeoutMs}ms)`);
+        this.timer = setInterval(() => this.tick(), this.intervalMs);
+        // Don't keep the process alive just for the poller
+        if (this.timer.unref) {
+            this.timer.unref();
+        }
+        this.tick();
+        return this;
+    }
+
+    /**
+     * Stop polling
+     */
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * Poll every outstanding workitem that is due
+     * @returns {Promise<number>} Number of workitems polled
+     */
+    async tick() {
+        // Skip if the previous tick is still running or the database is down
+        if (this.running || mongoose.connection.readyState !== 1) {
+            return 0;
+        }
+
+        this.running = true;
+        let polled = 0;
+
+        try {
+            const families = await Family.find({
+                'apsExecution.workitemId': { $exists: true, $ne: null },
+                'apsExecution.status': { $in: OPEN_STATUSES }
+            })
+                .sort({ 'apsExecution.submittedAt': 1 })
+                .limit(this.batchSize);
+
+            const now = Date.now();
+            const due = families.filter(family => this.isDue(family.apsExecution.workitemId, now));
+            if (due.length === 0) {
+                return 0;
+            }
+
+            const accessToken = await this.getAccessToken();
+
+            for (const family of due) {
+                await this.pollFamily(family, accessToken);
+                polled += 1;
+            }
+        } catch (error) {
+            console.error('WorkitemPoller: tick failed:', error.message);
+        } finally {
+            this.running = false;
+        }
+
+        return polled;
+    }
+
+    /**
+     * Check one family's workitem and apply the result
+     */
+    async pollFamily(family, accessToken) {
+        const workitemId = family.apsExecution.workitemId;
+
+        if (this.isStuck(family)) {
+            await this.failStuck(family, accessToken);
+            return;
+        }
+
+        try {
+            const statusRes = await getWorkitemStatus(workitemId, accessToken);
+            const changed = await this.applyStatus(family, statusRes.body);
+            this.reschedule(workitemId, changed, statusRes.body && statusRes.body.status);
+        } catch (error) {
+            console.warn(`WorkitemPoller: failed to poll ${workitemId}:`, error.message);
+            this.reschedule(workitemId, false);
+        }
+    }
+
+    /**
+     * Apply a Design Automation workitem status to its family. Used by
+     * the poller and by the Design Automation callback.
+     * @param {Object} family - Family document
+     * @param {Object} workitem - Workitem body from Design Automation ({ id, status, progress, reportUrl, stats })
+     * @returns {Promise<boolean>} Whether the family's status changed
+     */
+    async applyStatus(family, workitem = {}) {
+        const execution = family.apsExecution;
+        const status = normalizeStatus(workitem.status);
+        const previousStatus = execution.status;
+        const previousProgress = execution.progress;
+
+        if (!status) {
+            return false;
+        }
+
+        execution.status = status;
+
+        if (OPEN_STATUSES.includes(status)) {
+            execution.progress = Math.max(execution.progress || 0, parseProgress(workitem.progress, status));
+            family.status = 'generating';
+        } else {
+            execution.completedAt = execution.completedAt || new Date();
+            execution.debugInfo = {
+                ...(execution.debugInfo || {}),
+                workitemStatus: workitem.status,
+                stats: workitem.stats,
+                reportUrl: workitem.reportUrl,
+                report: await fetchReport(workitem.reportUrl)
+            };
+
+            if (status === 'success') {
+                execution.progress = 100;
+                execution.errorMessage = undefined;
+                family.status = 'ready';
+                await this.startTranslation(family);
+            } else {
+                execution.errorMessage = execution.errorMessage ||
+                    `Design Automation workitem ${status === 'cancelled' ? 'was cancelled' : 'failed'} (${workitem.status})`;
+                family.status = 'failed';
+            }
+
+            this.schedule.delete(execution.workitemId);
+        }
+
+        execution.lastCheckedAt = new Date();
+        family.markModified('apsExecution');
+        await family.save();
+
+        const changed = previousStatus !== status;
+        if (changed || execution.progress !== previousProgress || !OPEN_STATUSES.includes(status)) {
+            this.notify(family);
+        }
+        return changed;
+    }
+
+    /**
+     * Record the generated RFA and start its Model Derivative translation
+     * so the viewer can show it
+     */
+    async startTranslation(family) {
+        const { workitemId, bucketKey, outputObjectKey } = family.apsExecution;
+        if (!bucketKey || !outputObjectKey) {
+            return;
+        }
+
+        const urn = apsService.urnify(`urn:adsk.objects:os.object:${bucketKey}/${outputObjectKey}`);
+        family.set('files.rfaFile.bucketKey', bucketKey);
+        family.set('files.rfaFile.objectKey', outputObjectKey);
+        family.set('files.rfaFile.urn', urn);
+        family.set('files.rfaFile.downloadUrl', `/api/bim-llm/v1/download/${workitemId}`);
+        family.set('files.rfaFile.createdAt', family.get('files.rfaFile.createdAt') || new Date());
+        if (!family.get('files.rfaFile.filename')) {
+            family.set('files.rfaFile.filename', outputObjectKey.split('/').pop());
+        }
+
+        try {
+            const manifest = await apsService.getManifest(urn);
+            if (!manifest) {
+                await apsService.translateObject(urn, outputObjectKey.split('/').pop());
+            }
+
+            family.set('files.viewer.urn', urn);
+            family.set('files.viewer.translationStatus',
+                manifest && manifest.status === 'success' ? 'completed' : 'in_progress');
+        } catch (error) {
+            console.warn(`WorkitemPoller: could not start translation for family ${family._id}:`, error.message);
+            family.set('files.viewer.translationStatus', 'failed');
+        }
+    }
+
+    /**
+     * Fail a workitem that has been outstanding longer than the stuck timeout
+     */
+    async failStuck(family, accessToken) {
+        const execution = family.apsExecution;
+        console.warn(`WorkitemPoller: workitem ${execution.workitemId} is stuck, marking family ${family._id} failed`);
+
+        try {
+            await cancelWrokitem(execution.workitemId, accessToken);
+        } catch (error) {
+            // The workitem may already be finished or gone
+        }
+
+        execution.status = 'failed';
+        execution.completedAt = new Date();
+        execution.errorMessage = `Workitem did not finish within ${Math.round(this.stuckTimeoutMs / 60000)} minutes`;
+        family.status = 'failed';
+        family.markModified('apsExecution');
+        await family.save();
+
+        this.schedule.delete(execution.workitemId);
+        this.notify(family);
+    }
+
+    /**
+     * Emit the family's workitem status to its owner's sockets
+     */
+    notify(family) {
+        const execution = family.apsExecution;
+        notifier.toUser(family.createdBy, SOCKET_TOPIC_WORKITEM, {
+            WorkitemId: execution.workitemId,
+            Status: execution.status,
+            Progress: execution.progress,
+            FamilyId: family._id.toString(),
+            FamilyStatus: family.status,
+            ViewerUrn: family.get('files.viewer.urn'),
+            ErrorMessage: execution.errorMessage
+        });
+    }
+
+    isDue(workitemId, now = Date.now()) {
+        const entry = this.schedule.get(workitemId);
+        return !entry || entry.nextPollAt <= now;
+    }
+
+    isStuck(family) {
+        const submittedAt = family.apsExecution.submittedAt || family.createdAt;
+        return submittedAt && Date.now() - new Date(submittedAt).getTime() > this.stuckTimeoutMs;
+    }
+
+    /**
+     * Back off exponentially while a workitem's status is unchanged (or
+     * polling fails), and poll again at the base interval once it changes
+     */
+    reschedule(workitemId, changed, status) {
+        const entry = this.schedule.get(workitemId) || { attempts: 0 };
+        const attempts = changed ? 0 : entry.attempts + 1;
+        const delay = Math.min(this.intervalMs * Math.pow(2, attempts), this.maxBackoffMs);
+
+        this.schedule.set(workitemId, {
+            attempts: attempts,
+            nextPollAt: Date.now() + delay,
+            lastStatus: status || entry.lastStatus
+        });
+    }
+
+    async getAccessToken() {
+        const oauth = new OAuth({});
+        const oauth_client = oauth.get2LeggedClient();
+        const token = await oauth_client.authenticate();
+        return token.access_token;
+    }
+}
+
+/**
+ * Map a Design Automation status (e.g. 'failedInstructions') onto
+ * the Family apsExecution.status values
+ */
+function normalizeStatus(status) {
+    if (!status) {
+        return null;
+    }
+    if (status === 'pending' || status === 'inprogress' || status === 'success' || status === 'cancelled') {
+        return status;
+    }
+    if (status.startsWith('failed')) {
+        return 'failed';
+    }
+    return null;
+}
+
+/**
+ * Design Automation reports progress as a string such as "50%"
+ */
+function parseProgress(progress, status) {
+    const value = parseInt(progress, 10);
+    if (!isNaN(value)) {
+        return Math.min(99, Math.max(0, value));
+    }
+    return status === 'inprogress' ? 20 : 5;
+}
+
+/**
+ * Download the workitem report, keeping its tail
+ */
+async function fetchReport(reportUrl) {
+    if (!reportUrl) {
+        return undefined;
+    }
+
+    try {
+        const response = await fetch(reportUrl);
+        if (!response.ok) {
+            return `Failed to download report: ${response.status} ${response.statusText}`;
+        }
+        const text = await response.text();
+        return text.length > MAX_REPORT_LENGTH ? text.slice(-MAX_REPORT_LENGTH) : text;
+    } catch (error) {
+        return `Failed to download report: ${error.message}`;
+    }
+}
+
+WorkitemPoller.normalizeStatus = normalizeStatus;
+WorkitemPoller.OPEN_STATUSES = OPEN_STATUSES;
+
+module.exports = WorkitemPoller;
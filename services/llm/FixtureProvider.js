@@ -0,0 +1,86 @@
+/////////////////////////////////////////////////////////////////////
+// BIM-LLM Blueprint: Fixture Provider
+// Copyright (c) 2024 BIM-LLM Platform
+//
+// This module returns recorded responses instead of calling a
+// model, giving tests and offline demos deterministic output
+/////////////////////////////////////////////////////////////////////
+
+const fs = require('fs');
+const LLMProvider = require('./LLMProvider');
+
+const STREAM_CHUNK_SIZE = 64;
+
+class FixtureProvider extends LLMProvider {
+    /**
+     * @param {Object} options - LLMProvider options plus:
+     * @param {Array<Object>} options.fixtures - [{ match: string|RegExp, response: string|Object }], first match wins
+     * @param {string} options.fixturePath - JSON file with the same fixture list (match strings are substrings)
+     * @param {Function} options.respond - (prompt) => string|Object used when no fixture matches
+     * @param {number} options.delayMs - Simulated latency, useful for exercising timeouts
+     */
+    constructor(options = {}) {
+        super(options);
+        this.name = 'fixture';
+        this.model = options.model || 'fixture';
+        this.fixtures = (options.fixtures || []).concat(this.loadFixtures(options.fixturePath));
+        this.respond = options.respond || null;
+        this.delayMs = options.delayMs || 0;
+        this.calls = [];
+    }
+
+    loadFixtures(fixturePath) {
+        if (!fixturePath) {
+            return [];
+        }
+        try {
+            return JSON.parse(fs.readFileSync(fixturePath, 'utf8'));
+        } catch (error) {
+            console.warn(`FixtureProvider: failed to load fixtures from ${fixturePath}:`, error.message);
+            return [];
+        }
+    }
+
+    async complete(prompt, signal) {
+        this.calls.push({ prompt: prompt, timestamp: new Date().toISOString() });
+
+        if (this.delayMs > 0) {
+            await new Promise((resolve, reject) => {
+                const timer = setTimeout(resolve, this.delayMs);
+                signal.addEventListener('abort', () => {
+                    clearTimeout(timer);
+                    reject(this.error('Request aborted', { code: 'aborted' }));
+                });
+            });
+        }
+
+        const fixture = this.fixtures.find(entry => {
+            return entry.match instanceof RegExp ? entry.match.test(prompt) : prompt.includes(entry.match);
+        });
+
+        let response;
+        if (fixture) {
+            response = fixture.response;
+        } else if (this.respond) {
+            response = this.respond(prompt);
+        } else {
+            throw this.error('No fixture matches the prompt', { code: 'no_fixture' });
+        }
+
+        const text = typeof response === 'string' ? response : JSON.stringify(response);
+        // Token counts are estimated so accounting stays deterministic
+        return { text: text, usage: {} };
+    }
+
+    async stream(prompt, signal, onToken) {
+        const result = await this.complete(prompt, signal);
+
+        // Replay the recorded response in fixed-size chunks
+        for (let i = 0; i < result.text.length; i += STREAM_CHUNK_SIZE) {
+            onToken(result.text.slice(i, i + STREAM_CHUNK_SIZE));
+        }
+        return result;
+    }
+}
+
+module.exports = FixtureProvider;
@@ -0,0 +1,96 @@
+/////////////////////////////////////////////////////////////////////
+// BIM-LLM Blueprint: Gemini Provider
+// Copyright (c) 2024 BIM-LLM Platform
+//
+// This module connects BIMLLMService to Google Gemini models
+// through the @google/generative-ai SDK
+/////////////////////////////////////////////////////////////////////
+
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+const LLMProvider = require('./LLMProvider');
+
+class GeminiProvider extends LLMProvider {
+    /**
+     * @param {Object} options - LLMProvider options plus { apiKey }
+     */
+    constructor(options = {}) {
+        super(options);
+        this.name = 'gemini';
+        this.model = options.model || 'gemini-2.5-flash';
+        this.apiKey = options.apiKey;
+
+        if (this.isConfigured()) {
+            this.genAI = new GoogleGenerativeAI(this.apiKey);
+            this.client = this.genAI.getGenerativeModel({
+                model: this.model,
+                generationConfig: {
+                    temperature: this.temperature, // Low temperature for deterministic output
+                    topK: 1,
+                    topP: 0.8,
+                    maxOutputTokens: this.maxOutputTokens,
+                },
+                safetySettings: [
+                    {
+                        category: "HARM_CATEGORY_HARASSMENT",
+                        threshold: "BLOCK_MEDIUM_AND_ABOVE"
+                    },
+                    {
+                        category: "HARM_CATEGORY_HATE_SPEECH",
+                        threshold: "BLOCK_MEDIUM_AND_ABOVE"
+                    }
+                ]
+            }, { timeout: this.timeoutMs });
+        }
+    }
+
+    isConfigured() {
+        return !!this.apiKey;
+    }
+
+    async complete(prompt, signal) {
+        if (!this.client) {
+            throw this.error('GEMINI_API_KEY is not configured', { code: 'not_configured' });
+        }
+
+        const result = await this.client.generateContent(prompt, { signal: signal });
+        const response = await result.response;
+        const usage = response.usageMetadata || {};
+
+        return {
+            text: response.text(),
+            usage: this.mapUsage(usage)
+        };
+    }
+
+    async stream(prompt, signal, onToken) {
+        if (!this.client) {
+            throw this.error('GEMINI_API_KEY is not configured', { code: 'not_configured' });
+        }
+
+        const result = await this.client.generateContentStream(prompt, { signal: signal });
+        let text = '';
+        for await (const chunk of result.stream) {
+            const chunkText = chunk.text();
+            if (chunkText) {
+                text += chunkText;
+                onToken(chunkText);
+            }
+        }
+
+        const response = await result.response;
+        return {
+            text: text,
+            usage: this.mapUsage(response.usageMetadata || {})
+        };
+    }
+
+    mapUsage(usage) {
+        return {
+            promptTokens: usage.promptTokenCount,
+            completionTokens: usage.candidatesTokenCount,
+            totalTokens: usage.totalTokenCount
+        };
+    }
+}
+
+module.exports = GeminiProvider;
@@ -0,0 +1,172 @@
+/////////////////////////////////////////////////////////////////////
+// BIM-LLM Blueprint: LLM Provider Base Class
+// Copyright (c) 2024 BIM-LLM Platform
+//
+// This module defines the interface shared by all LLM providers:
+// text completion (optionally streamed) with a timeout and
+// normalized token usage
+/////////////////////////////////////////////////////////////////////
+
+class LLMProviderError extends Error {
+    /**
+     * @param {string} message - Error description
+     * @param {Object} details - { provider, model, code, status }
+     */
+    constructor(message, details = {}) {
+        super(message);
+        this.name = 'LLMProviderError';
+        this.provider = details.provider;
+        this.model = details.model;
+        this.code = details.code || 'provider_error';
+        this.status = details.status;
+    }
+}
+
+class LLMProvider {
+    /**
+     * @param {Object} options
+     * @param {string} options.model - Model identifier understood by the provider
+     * @param {number} options.timeoutMs - Request timeout in milliseconds
+     * @param {number} options.temperature - Sampling temperature
+     * @param {number} options.maxOutputTokens - Maximum tokens in the completion
+     */
+    constructor(options = {}) {
+        this.name = 'base';
+        this.model = options.model;
+        this.timeoutMs = options.timeoutMs || 60000;
+        this.temperature = options.temperature !== undefined ? options.temperature : 0.1;
+        this.maxOutputTokens = options.maxOutputTokens || 8192;
+    }
+
+    /**
+     * Whether the provider has the credentials/endpoint it needs
+     * @returns {boolean}
+     */
+    isConfigured() {
+        return true;
+    }
+
+    /**
+     * Generate a completion for the prompt
+     * @param {string} prompt - Full prompt text
+     * @param {Object} options - { onToken(text) } to receive the completion as it streams
+     * @returns {Promise<Object>} { text, usage: { promptTokens, completionTokens, totalTokens }, provider, model }
+     */
+    async generate(prompt, options = {}) {
+        const startTime = Date.now();
+        const onToken = options.onToken;
+        const result = await this.withTimeout(signal => onToken ?
+            this.stream(prompt, signal, onToken) :
+            this.complete(prompt, signal));
+        const usage = this.normalizeUsage(result.usage, prompt, result.text);
+
+        return {
+            text: result.text,
+            usage: usage,
+            provider: this.name,
+            model: this.model,
+            durationMs: Date.now() - startTime
+        };
+    }
+
+    /**
+     * Provider-specific completion, implemented by subclasses
+     * @param {string} prompt - Full prompt text
+     * @param {AbortSignal} signal - Aborted when the request times out
+     * @returns {Promise<Object>} { text, usage }
+     */
+    async complete(prompt, signal) {
+        throw this.error('complete() is not implemented', { code: 'not_implemented' });
+    }
+
+    /**
+     * Provider-specific streaming completion. Providers that cannot stream
+     * deliver the whole completion as a single chunk.
+     * @param {string} prompt - Full prompt text
+     * @param {AbortSignal} signal - Aborted when the request times out
+     * @param {Function} onToken - Called with each chunk of text as it arrives
+     * @returns {Promise<Object>} { text, usage }
+     */
+    async stream(prompt, signal, onToken) {
+        const result = await this.complete(prompt, signal);
+        onToken(result.text);
+        return result;
+    }
+
+    /**
+     * Iterate the lines of a streamed HTTP response body (SSE or NDJSON)
+     */
+    async *readLines(response) {
+        const decoder = new TextDecoder();
+        let buffer = '';
+
+        for await (const chunk of response.body) {
+            buffer += decoder.decode(chunk, { stream: true });
+            let newline;
+            while ((newline = buffer.indexOf('\n')) >= 0) {
+                yield buffer.slice(0, newline).replace(/\r$/, '');
+                buffer = buffer.slice(newline + 1);
+            }
+        }
+
+        buffer += decoder.decode();
+        if (buffer) {
+            yield buffer;
+        }
+    }
+
+    /**
+     * Run a request, aborting it when it exceeds the provider timeout
+     */
+    async withTimeout(run) {
+        const controller = new AbortController();
+        let timer;
+        const timeout = new Promise((resolve, reject) => {
+            timer = setTimeout(() => {
+                controller.abort();
+                reject(this.error(`Request timed out after ${this.timeoutMs} ms`, { code: 'timeout' }));
+            }, this.timeoutMs);
+        });
+
+        try {
+            return await Promise.race([run(controller.signal), timeout]);
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    /**
+     * Fill in token counts the provider did not report
+     */
+    normalizeUsage(usage = {}, prompt, text) {
+        const promptTokens = Number.isFinite(usage.promptTokens) ? usage.promptTokens : this.estimateTokens(prompt);
+        const completionTokens = Number.isFinite(usage.completionTokens) ? usage.completionTokens : this.estimateTokens(text);
+        const totalTokens = Number.isFinite(usage.totalTokens) ? usage.totalTokens : promptTokens + completionTokens;
+
+        return {
+            promptTokens: promptTokens,
+            completionTokens: completionTokens,
+            totalTokens: totalTokens,
+            estimated: !Number.isFinite(usage.totalTokens)
+        };
+    }
+
+    /**
+     * Rough token estimation, matching Session.estimateTokens
+     */
+    estimateTokens(text) {
+        return text ? Math.ceil(String(text).length / 4) : 0;
+    }
+
+    error(message, details = {}) {
+        return new LLMProviderError(`${this.name} (${this.model}): ${message}`, {
+            provider: this.name,
+            model: this.model,
+            ...details
+        });
+    }
+}
+
+LLMProvider.LLMProviderError = LLMProviderError;
+
+module.exports = LLMProvider;
@@ -0,0 +1,129 @@
+/////////////////////////////////////////////////////////////////////
+// BIM-LLM Blueprint: LLM Provider Registry
+// Copyright (c) 2024 BIM-LLM Platform
+//
+// This module maps a session's settings.aiModel string to a
+// configured provider instance, e.g.:
+//   gemini-2.5-flash, openai:gpt-4o-mini, ollama:llama3.1,
+//   llamacpp:qwen2.5-7b, fixture
+/////////////////////////////////////////////////////////////////////
+
+const config = require('../../config');
+const LLMProvider = require('./LLMProvider');
+const GeminiProvider = require('./GeminiProvider');
+const OpenAICompatibleProvider = require('./OpenAICompatibleProvider');
+const OllamaProvider = require('./OllamaProvider');
+const FixtureProvider = require('./FixtureProvider');
+
+const { LLMProviderError } = LLMProvider;
+
+class LLMProviderRegistry {
+    /**
+     * @param {Object} options
+     * @param {Object} options.settings - Overrides for config.llm
+     * @param {Object} options.fixture - Options passed to the fixture provider (fixtures, respond, ...)
+     */
+    constructor(options = {}) {
+        this.settings = { ...config.llm, ...(options.settings || {}) };
+        this.fixtureOptions = options.fixture || {};
+        this.providers = new Map();
+        this.factories = new Map();
+
+        this.register('gemini', model => new GeminiProvider({
+            ...this.commonOptions(),
+            model: model,
+            apiKey: this.settings.gemini.apiKey
+        }));
+        this.register('openai', model => new OpenAICompatibleProvider({
+            ...this.commonOptions(),
+            model: model,
+            baseUrl: this.settings.openai.baseUrl,
+            apiKey: this.settings.openai.apiKey
+        }));
+        this.register('ollama', model => new OllamaProvider({
+            ...this.commonOptions(),
+            model: model,
+            baseUrl: this.settings.ollama.baseUrl
+        }));
+        // llama.cpp's server exposes the OpenAI chat completions API
+        this.register('llamacpp', model => new OpenAICompatibleProvider({
+            ...this.commonOptions(),
+            name: 'llamacpp',
+            model: model,
+            baseUrl: this.settings.llamacpp.baseUrl,
+            apiKey: this.settings.llamacpp.apiKey,
+            requireApiKey: false
+        }));
+        this.register('fixture', model => new FixtureProvider({
+            ...this.commonOptions(),
+            fixturePath: this.settings.fixture.path,
+            ...this.fixtureOptions,
+            model: model
+        }));
+    }
+
+    /**
+     * Register (or replace) a provider factory
+     * @param {string} name - Provider prefix used in aiModel strings
+     * @param {Function} factory - (model) => LLMProvider
+     */
+    register(name, factory) {
+        this.factories.set(name, factory);
+        // Drop cached instances so the new factory takes effect
+        for (const key of this.providers.keys()) {
+            if (key.startsWith(`${name}:`)) {
+                this.providers.delete(key);
+            }
+        }
+    }
+
+    /**
+     * Split an aiModel string into provider and model names
+     * @param {string} aiModel - e.g. "gemini-2.5-flash", "ollama:llama3.1"
+     * @returns {Object} { provider, model }
+     */
+    parseModelId(aiModel) {
+        const id = String(aiModel || this.settings.defaultModel).trim();
+        const separator = id.indexOf(':');
+
+        if (separator > 0 && this.factories.has(id.slice(0, separator))) {
+            return { provider: id.slice(0, separator), model: id.slice(separator + 1) };
+        }
+        if (id === 'fixture') {
+            return { provider: 'fixture', model: 'fixture' };
+        }
+        if (/^gemini-/.test(id)) {
+            return { provider: 'gemini', model: id };
+        }
+        if (/^(?:gpt-|o\d)/.test(id)) {
+            return { provider: 'openai', model: id };
+        }
+
+        throw new LLMProviderError(`Unknown AI model "${id}"`, { model: id, code: 'unknown_model' });
+    }
+
+    /**
+     * Get the provider for a session's aiModel setting
+     * @param {string} aiModel - Session.settings.aiModel
+     * @returns {LLMProvider}
+     */
+    resolve(aiModel) {
+        const { provider, model } = this.parseModelId(aiModel);
+        const key = `${provider}:${model}`;
+
+        if (!this.providers.has(key)) {
+            this.providers.set(key, this.factories.get(provider)(model));
+        }
+        return this.providers.get(key);
+    }
+
+    commonOptions() {
+        return {
+            timeoutMs: this.settings.timeoutMs,
+            temperature: this.settings.temperature,
+            maxOutputTokens: this.settings.maxOutputTokens
+        };
+    }
+}
+
+module.exports = LLMProviderRegistry;
@@ -0,0 +1,105 @@
+/////////////////////////////////////////////////////////////////////
+// BIM-LLM Blueprint: Ollama Provider
+// Copyright (c) 2024 BIM-LLM Platform
+//
+// This module runs generation against a local Ollama server
+// using its native /api/generate endpoint
+/////////////////////////////////////////////////////////////////////
+
+const LLMProvider = require('./LLMProvider');
+
+class OllamaProvider extends LLMProvider {
+    /**
+     * @param {Object} options - LLMProvider options plus { baseUrl }
+     */
+    constructor(options = {}) {
+        super(options);
+        this.name = 'ollama';
+        this.baseUrl = (options.baseUrl || 'http://localhost:11434').replace(/\/+$/, '');
+    }
+
+    isConfigured() {
+        return !!this.baseUrl && !!this.model;
+    }
+
+    async complete(prompt, signal) {
+        const response = await this.request(prompt, signal, false);
+        const data = await response.json();
+
+        return {
+            text: data.response || '',
+            usage: this.mapUsage(data)
+        };
+    }
+
+    async stream(prompt, signal, onToken) {
+        const response = await this.request(prompt, signal, true);
+        let text = '';
+        let usage = {};
+
+        // One JSON object per line; the last one (done: true) carries the counts
+        for await (const line of this.readLines(response)) {
+            if (!line.trim()) {
+                continue;
+            }
+
+            let chunk;
+            try {
+                chunk = JSON.parse(line);
+            } catch (error) {
+                throw this.error(`Stream line is not valid JSON: ${line.slice(0, 200)}`, { code: 'invalid_response' });
+            }
+            if (chunk.error) {
+                throw this.error(chunk.error, { code: 'http_error' });
+            }
+            if (chunk.response) {
+                text += chunk.response;
+                onToken(chunk.response);
+            }
+            if (chunk.done) {
+                usage = this.mapUsage(chunk);
+            }
+        }
+
+        return { text: text, usage: usage };
+    }
+
+    async request(prompt, signal, stream) {
+        const response = await fetch(`${this.baseUrl}/api/generate`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                model: this.model,
+                prompt: prompt,
+                stream: stream,
+                format: 'json', // SIR responses are always JSON
+                options: {
+                    temperature: this.temperature,
+                    num_predict: this.maxOutputTokens
+                }
+            }),
+            signal: signal
+        });
+
+        if (!response.ok) {
+            const errorText = await response.text();
+            throw this.error(`HTTP ${response.status}: ${errorText}`, { code: 'http_error', status: response.status });
+        }
+
+        return response;
+    }
+
+    mapUsage(data) {
+        const promptTokens = data.prompt_eval_count;
+        const completionTokens = data.eval_count;
+
+        return {
+            promptTokens: promptTokens,
+            completionTokens: completionTokens,
+            totalTokens: Number.isFinite(promptTokens) && Number.isFinite(completionTokens) ?
+                promptTokens + completionTokens : undefined
+        };
+    }
+}
+
+module.exports = OllamaProvider;
@@ -0,0 +1,118 @@
+/////////////////////////////////////////////////////////////////////
+// BIM-LLM Blueprint: OpenAI-Compatible Provider
+// Copyright (c) 2024 BIM-LLM Platform
+//
+// This module talks to any endpoint implementing the OpenAI
+// chat completions API (OpenAI, Azure-style gateways, vLLM,
+// llama.cpp server, LM Studio, ...)
+/////////////////////////////////////////////////////////////////////
+
+const LLMProvider = require('./LLMProvider');
+
+class OpenAICompatibleProvider extends LLMProvider {
+    /**
+     * @param {Object} options - LLMProvider options plus { baseUrl, apiKey, name, requireApiKey }
+     */
+    constructor(options = {}) {
+        super(options);
+        this.name = options.name || 'openai';
+        this.baseUrl = (options.baseUrl || 'https://api.openai.com/v1').replace(/\/+$/, '');
+        this.apiKey = options.apiKey;
+        this.requireApiKey = options.requireApiKey !== false;
+    }
+
+    isConfigured() {
+        return !!this.baseUrl && (!this.requireApiKey || !!this.apiKey);
+    }
+
+    async complete(prompt, signal) {
+        const response = await this.request(prompt, signal, false);
+        const data = await response.json();
+        const choice = data.choices && data.choices[0];
+        if (!choice || !choice.message) {
+            throw this.error('Response contained no completion', { code: 'empty_response' });
+        }
+
+        return {
+            text: choice.message.content || '',
+            usage: this.mapUsage(data.usage)
+        };
+    }
+
+    async stream(prompt, signal, onToken) {
+        const response = await this.request(prompt, signal, true);
+        let text = '';
+        let usage;
+
+        // Server-sent events: "data: {chunk}" lines ending with "data: [DONE]"
+        for await (const line of this.readLines(response)) {
+            if (!line.startsWith('data:')) {
+                continue;
+            }
+            const data = line.slice(5).trim();
+            if (data === '[DONE]') {
+                break;
+            }
+
+            let chunk;
+            try {
+                chunk = JSON.parse(data);
+            } catch (error) {
+                continue;
+            }
+
+            const delta = chunk.choices && chunk.choices[0] && chunk.choices[0].delta;
+            if (delta && delta.content) {
+                text += delta.content;
+                onToken(delta.content);
+            }
+            if (chunk.usage) {
+                usage = chunk.usage;
+            }
+        }
+
+        return { text: text, usage: this.mapUsage(usage) };
+    }
+
+    async request(prompt, signal, stream) {
+        const headers = { 'Content-Type': 'application/json' };
+        if (this.apiKey) {
+            headers['Authorization'] = `Bearer ${this.apiKey}`;
+        }
+
+        const body = {
+            model: this.model,
+            messages: [{ role: 'user', content: prompt }],
+            temperature: this.temperature,
+            max_tokens: this.maxOutputTokens
+        };
+        if (stream) {
+            body.stream = true;
+            body.stream_options = { include_usage: true };
+        }
+
+        const response = await fetch(`${this.baseUrl}/chat/completions`, {
+            method: 'POST',
+            headers: headers,
+            body: JSON.stringify(body),
+            signal: signal
+        });
+
+        if (!response.ok) {
+            const errorText = await response.text();
+            throw this.error(`HTTP ${response.status}: ${errorText}`, { code: 'http_error', status: response.status });
+        }
+
+        return response;
+    }
+
+    mapUsage(usage = {}) {
+        return {
+            promptTokens: usage.prompt_tokens,
+            completionTokens: usage.completion_tokens,
+            totalTokens: usage.total_tokens
+        };
+    }
+}
+
+module.exports = OpenAICompatibleProvider;
@@ -0,0 +1,169 @@
+/////////////////////////////////////////////////////////////////////
+// famAI: Socket.IO Notifications
+// Copyright (c) 2024 famAI Platform
+//
+// This module authenticates Socket.IO connections from the
+// aps_session cookie and sends events to the sockets of a single
+// user or generation session instead of every connected client
+/////////////////////////////////////////////////////////////////////
+
+const crypto = require('crypto');
+
+const notifier = {};
+
+/**
+ * Name of the room every socket of a user joins
+ */
+notifier.userRoom = (userId) => `user:${userId}`;
+
+/**
+ * Name of the room for one of a user's sessions. Session IDs are
+ * chosen by the client, so the room is scoped to the user.
+ */
+notifier.sessionRoom = (userId, sessionId) => `session:${userId}:${sessionId}`;
+
+/**
+ * Name of the room of a browser signed in with APS only (the legacy
+ * window page), which has no famAI user
+ */
+notifier.apsSessionRoom = (apsSessionId) => `aps-session:${apsSessionId}`;
+
+/**
+ * Give an APS-only session the random ID its sockets are grouped by.
+ * Cookie sessions have no ID of their own
+ * @param {Object} session - req.session
+ * @returns {string} The session's ID
+ */
+notifier.ensureApsSessionId = (session) => {
+    if (!session.apsSessionId) {
+        session.apsSessionId = crypto.randomBytes(16).toString('hex');
+    }
+    return session.apsSessionId;
+};
+
+/**
+ * Authenticate sockets and join them to their rooms
+ * @param {Object} io - Socket.IO server
+ * @param {Function} sessionMiddleware - The app's cookie-session middleware
+ */
+notifier.attach = (io, sessionMiddleware) => {
+    // Read the aps_session cookie on the socket handshake
+    io.engine.use(sessionMiddleware);
+
+    // Only signed-in users, and browsers signed in with APS, may connect
+    io.use((socket, next) => {
+        const session = socket.request.session;
+        if (!session || !((session.isAuthenticated && session.userId) || session.apsSessionId)) {
+            return next(new Error('Authentication required'));
+        }
+        next();
+    });
+
+    io.on('connection', (socket) => {
+        const { isAuthenticated, userId, sessionId, apsSessionId } = socket.request.session;
+
+        // APS-only sessions just follow their own workitems
+        if (!isAuthenticated || !userId) {
+            console.log('APS session connected to the socket');
+            socket.join(notifier.apsSessionRoom(apsSessionId));
+            return;
+        }
+
+        console.log('user connected to the socket:', userId);
+
+        socket.join(notifier.userRoom(userId));
+        if (sessionId) {
+            socket.join(notifier.sessionRoom(userId, sessionId));
+        }
+
+        // The client joins the generation session it is working on
+        socket.on('join-session', (id) => {
+            if (isSessionId(id)) {
+                socket.join(notifier.sessionRoom(userId, id));
+            }
+        });
+
+        socket.on('leave-session', (id) => {
+            if (isSessionId(id)) {
+                socket.leave(notifier.sessionRoom(userId, id));
+            }
+        });
+
+        socket.on('disconnect', () => {
+            console.log('user disconnected from the socket:', userId);
+        });
+    });
+};
+
+/**
+ * Emit an event to every socket of a user
+ * @param {string} userId - User ID
+ * @param {string} topic - Socket.IO event name
+ * @param {Object} payload - Event data
+ * @returns {boolean} Whether the event was sent
+ */
+notifier.toUser = (userId, topic, payload) => {
+    const io = getIo();
+    if (!io || !userId) {
+        return false;
+    }
+
+    io.to(notifier.userRoom(userId.toString())).emit(topic, payload);
+    return true;
+};
+
+/**
+ * Emit an event to the sockets following one of a user's sessions,
+ * or to all of the user's sockets when there is no session
+ * @param {string} userId - User ID
+ * @param {string} sessionId - Session ID
+ * @param {string} topic - Socket.IO event name
+ * @param {Object} payload - Event data
+ * @returns {boolean} Whether the event was sent
+ */
+notifier.toSession = (userId, sessionId, topic, payload) => {
+    const io = getIo();
+    if (!io || !userId) {
+        return false;
+    }
+    if (!sessionId) {
+        return notifier.toUser(userId, topic, payload);
+    }
+
+    io.to(notifier.sessionRoom(userId.toString(), sessionId)).emit(topic, payload);
+    return true;
+};
+
+/**
+ * Emit an event to whoever submitted a legacy workitem: the famAI user
+ * when there is one, or else the APS-only session
+ * @param {Object} submitter - { userId, apsSessionId }, e.g. req.session
+ * @param {string} topic - Socket.IO event name
+ * @param {Object} payload - Event data
+ * @returns {boolean} Whether the event was sent
+ */
+notifier.toSubmitter = (submitter, topic, payload) => {
+    if (!submitter) {
+        return false;
+    }
+    if (submitter.userId) {
+        return notifier.toUser(submitter.userId, topic, payload);
+    }
+
+    const io = getIo();
+    if (!io || !submitter.apsSessionId) {
+        return false;
+    }
+    io.to(notifier.apsSessionRoom(submitter.apsSessionId)).emit(topic, payload);
+    return true;
+};
+
+function getIo() {
+    return global.MyApp && global.MyApp.SocketIo;
+}
+
+function isSessionId(id) {
+    return typeof id === 'string' && id.length > 0 && id.length <= 200;
+}
+
+module.exports = notifier;
@@ -18,6 +18,7 @@ set APS_CALLBACK_URL=http://localhost:3000/api/aps/callback/oauth
 set APS_WEBHOOK_URL=http://localhost:3000/api/aps/callback/designautomation
 set DESIGN_AUTOMATION_NICKNAME=%APS_CLIENT_ID%
 set DESIGN_AUTOMATION_ACTIVITY_NAME=CreateWindowAppActivity
+set DESIGN_AUTOMATION_SIR_ACTIVITY_NAME=CreateFamilyFromSIRActivity
 set DESIGN_AUTOMATION_ACTIVITY_ALIAS=dev
 set DESIGN_AUTOMATION_FAMILY_TEMPLATE=https://developer.api.autodesk.com/oss/v2/signedresources/2f4fe740-e6eb-4966-a657-06ef5ae13dfa?region=US
 
@@ -20,6 +20,7 @@ $env:APS_CALLBACK_URL = "http://localhost:3000/api/aps/callback/oauth"
 $env:APS_WEBHOOK_URL = "http://localhost:3000/api/aps/callback/designautomation"
 $env:DESIGN_AUTOMATION_NICKNAME = $clientId
 $env:DESIGN_AUTOMATION_ACTIVITY_NAME = "CreateWindowAppActivity"
+$env:DESIGN_AUTOMATION_SIR_ACTIVITY_NAME = "CreateFamilyFromSIRActivity"
 $env:DESIGN_AUTOMATION_ACTIVITY_ALIAS = "dev"
 $env:DESIGN_AUTOMATION_FAMILY_TEMPLATE = "https://developer.api.autodesk.com/oss/v2/signedresources/2f4fe740-e6eb-4966-a657-06ef5ae13dfa?region=US"
 
@@ -12,6 +12,7 @@ const bcrypt = require('bcryptjs');
 const User = require('./models/User');
 const Family = require('./models/Family');
 const Session = require('./models/Session');
+const Job = require('./models/Job');
 
 // MongoDB connection URL
 const MONGODB_URL = process.env.MONGODB_URL || 'mongodb://localhost:27017/famai';
@@ -92,6 +93,11 @@ async function createIndexes() {
         await createIndexIfNotExists(Session.collection, { status: 1 });
         await createIndexIfNotExists(Session.collection, { 'stats.lastActivity': -1 });
         await createIndexIfNotExists(Session.collection, { expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+        // Job indexes (persisted sessions and workitems)
+        await createIndexIfNotExists(Job.collection, { namespace: 1, kind: 1, key: 1 }, { unique: true });
+        await createIndexIfNotExists(Job.collection, { namespace: 1, kind: 1, status: 1 });
+        await createIndexIfNotExists(Job.collection, { expiresAt: 1 }, { expireAfterSeconds: 0 });
         
     } catch (error) {
         console.log('⚠️ Some indexes may already exist, continuing...');
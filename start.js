@@ -25,6 +25,9 @@ const cookieSession = require('cookie-session');
 
 // Initialize MongoDB connection
 const databaseManager = require('./config/database');
+const JobStore = require('./services/JobStore');
+const WorkitemPoller = require('./services/WorkitemPoller');
+const notifier = require('./services/socketNotifier');
 
 const PORT = process.env.PORT || 3000;
 const config = require('./config');
@@ -38,6 +41,9 @@ async function initializeDatabase() {
     try {
         await databaseManager.connect();
         console.log('✅ Database initialized successfully');
+        
+        // Restore in-flight sessions and workitems persisted before the restart
+        await JobStore.rehydrateAll();
     } catch (error) {
         console.error('❌ Database initialization failed:', error);
         process.exit(1);
@@ -59,11 +65,12 @@ if (!String.prototype.format) {
 
 var app = express();
 app.use(express.static(path.join(__dirname, 'public')));
-app.use(cookieSession({
+const sessionMiddleware = cookieSession({
     name: 'aps_session',
     keys: ['aps_secure_key'],
     maxAge: 14 * 24 * 60 * 60 * 1000 // 14 days, same as refresh token
-}));
+});
+app.use(sessionMiddleware);
 app.use(express.json({ limit: '50mb' }));
 app.use('/api/aps', require('./routes/oauth'));
 app.use('/api/aps', require('./routes/datamanagement'));
@@ -74,6 +81,12 @@ app.use('/api/aps', require('./routes/daconfigure'));
 // Authentication routes
 app.use('/api/auth', require('./routes/auth'));
 
+// Mock OpenID Connect issuer standing in for the sign-in providers
+if (config.oauth.mockIssuer) {
+    console.warn('⚠️  OAUTH_MOCK_ISSUER is on: Autodesk, Google and Microsoft sign-in use the mock issuer at /mock-oidc');
+    app.use('/mock-oidc', require('./routes/mock-oidc'));
+}
+
 // Family management routes
 app.use('/api/families', require('./routes/families'));
 
@@ -120,13 +133,9 @@ var server = require('http').Server(app);
 global.MyApp = {
     SocketIo : require('socket.io')(server)
 };
-global.MyApp.SocketIo.on('connection', function(socket){
-    console.log('user connected to the socket');
-
-    socket.on('disconnect', function(){
-        console.log('user disconnected from the socket');
-      });
-})
+// Sockets are authenticated from the aps_session cookie and joined
+// to rooms for their user and sessions
+notifier.attach(global.MyApp.SocketIo, sessionMiddleware);
 
 
 // Start server after database initialization
@@ -134,6 +143,12 @@ async function startServer() {
     try {
         await initializeDatabase();
         
+        // Advance outstanding workitems even when no browser is polling
+        // (the Design Automation callback does this when a webhook is set)
+        if (config.workitemPoller.enabled) {
+            new WorkitemPoller().start();
+        }
+        
         server.listen(PORT, () => { 
             console.log(`🚀 Server listening on port ${PORT}`);
             console.log(`📊 Database: ${databaseManager.getStatus().name}`);
@@ -0,0 +1,70 @@
+/////////////////////////////////////////////////////////////////////
+// Tests: BIM-LLM Service
+// Copyright (c) 2024 famAI Platform
+/////////////////////////////////////////////////////////////////////
+
+const test = require('node:test');
+const assert = require('node:assert');
+const BIMLLMService = require('../services/BIMLLMService');
+const FixtureProvider = require('../services/llm/FixtureProvider');
+
+const validSIR = new BIMLLMService().generateDemoSIR('a bookshelf', 'fixture').sir;
+const schemaInvalidSIR = { ...validSIR, familyMetadata: undefined };
+
+/**
+ * A service whose fixture provider answers from the given fixture list
+ */
+function fixtureService(fixtures) {
+    const service = new BIMLLMService();
+    service.demoMode = false;
+    service.maxRepairAttempts = 2;
+    service.providers.register('fixture', model => new FixtureProvider({ model: model, fixtures: fixtures }));
+    return service;
+}
+
+test('repairs invalid JSON, then a schema-invalid SIR, recording every attempt', async () => {
+    // Repair prompts quote the previous response, so each attempt gets the next answer
+    const service = fixtureService([
+        { match: 'YOUR PREVIOUS RESPONSE:\n{', response: validSIR },
+        { match: 'YOUR PREVIOUS RESPONSE:\nnot json', response: schemaInvalidSIR },
+        { match: 'User Request:', response: 'not json' }
+    ]);
+
+    const result = await service.generateSIR('a bookshelf', 'test-session', {}, { aiModel: 'fixture' });
+
+    assert.strictEqual(result.success, true, result.error);
+    assert.strictEqual(result.provider, 'fixture');
+    assert.strictEqual(result.isDemo, undefined);
+    assert.deepStrictEqual(result.attempts.map(a => a.status), ['parse_failed', 'schema_invalid', 'valid']);
+    assert.deepStrictEqual(result.attempts.map(a => a.isRepair), [false, true, true]);
+    assert.strictEqual(result.sir.familyMetadata.familyName, validSIR.familyMetadata.familyName);
+});
+
+test('fails with sir_repair_failed when every attempt is garbage', async () => {
+    const service = fixtureService([{ match: 'User Request:', response: 'still not json' }]);
+
+    const result = await service.generateSIR('a bookshelf', 'test-session', {}, { aiModel: 'fixture' });
+
+    assert.strictEqual(result.success, false);
+    assert.strictEqual(result.errorCode, 'sir_repair_failed');
+    assert.strictEqual(BIMLLMService.errorStatus(result.errorCode, 502), 422);
+    assert.deepStrictEqual(result.attempts.map(a => a.status), ['parse_failed', 'parse_failed', 'parse_failed']);
+});
+
+test('answers an unknown or unconfigured aiModel with an error, not the demo SIR', async () => {
+    const service = fixtureService([]);
+    service.providers.settings = {
+        ...service.providers.settings,
+        openai: { ...service.providers.settings.openai, apiKey: '' }
+    };
+
+    const unknown = await service.generateSIR('a bookshelf', 'test-session', {}, { aiModel: 'no-such-model' });
+    assert.strictEqual(unknown.success, false);
+    assert.strictEqual(unknown.errorCode, 'unknown_model');
+    assert.strictEqual(BIMLLMService.errorStatus(unknown.errorCode, 502), 400);
+
+    const unconfigured = await service.generateSIR('a bookshelf', 'test-session', {}, { aiModel: 'openai:gpt-4o' });
+    assert.strictEqual(unconfigured.success, false);
+    assert.strictEqual(unconfigured.errorCode, 'not_configured');
+    assert.strictEqual(BIMLLMService.errorStatus(unconfigured.errorCode, 502), 503);
+});
@@ -0,0 +1,148 @@
+/////////////////////////////////////////////////////////////////////
+// Tests: C# Code Generator
+// Copyright (c) 2024 famAI Platform
+//
+// Snapshot tests of the generated C# app bundle source. Snapshots are
+// in test/__snapshots__/CSharpCodeGenerator; a missing snapshot is
+// written on the first run, except on CI where it fails. After an
+// intended change to the output, rewrite them with:
+// UPDATE_SNAPSHOTS=1 npm test
+/////////////////////////////////////////////////////////////////////
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const BIMLLMService = require('../services/BIMLLMService');
+const SIRToCodeInterpreter = require('../services/SIRToCodeInterpreter');
+
+const SNAPSHOT_DIR = path.join(__dirname, '__snapshots__', 'CSharpCodeGenerator');
+
+const bimLLMService = new BIMLLMService();
+const interpreter = new SIRToCodeInterpreter();
+
+// A generic family with every kind of form, a formula and a constraint
+const GENERIC_SIR = {
+    sirVersion: '2.0',
+    familyMetadata: {
+        familyName: 'Planter',
+        category: 'Generic',
+        description: 'Tapered planter on a turned foot with a rail',
+        lodLevel: 300,
+        isHosted: false,
+        hostingType: null
+    },
+    geometryDefinition: {
+        extrusions: [{
+            name: 'Base',
+            profile: [{ x: 0, y: 0 }, { x: 2, y: 0 }, { x: 2, y: 2 }, { x: 0, y: 2 }],
+            startPoint: { x: 0, y: 0, z: 0 },
+            endPoint: { x: 0, y: 0, z: 0.25 },
+            material: 'Concrete'
+        }],
+        blends: [{
+            name: 'Bowl',
+            baseProfile: [{ x: 0.25, y: 0.25 }, { x: 1.75, y: 0.25 }, { x: 1.75, y: 1.75 }, { x: 0.25, y: 1.75 }],
+            topProfile: [{ x: 0, y: 0 }, { x: 2, y: 0 }, { x: 2, y: 2 }, { x: 0, y: 2 }],
+            baseOffset: 0.25,
+            topOffset: 2,
+            material: 'Concrete'
+        }],
+        sweeps: [{
+            name: 'Rail',
+            profile: [{ x: -0.05, y: -0.05 }, { x: 0.05, y: -0.05 }, { x: 0.05, y: 0.05 }, { x: -0.05, y: 0.05 }],
+            path: [{ x: 0, y: 0, z: 2 }, { x: 2, y: 0, z: 2 }, { x: 2, y: 2, z: 2 }],
+            material: 'Steel'
+        }],
+        revolves: [{
+            name: 'Foot',
+            profile: [{ x: 0, y: -0.5 }, { x: 0.3, y: -0.5 }, { x: 0.2, y: 0 }, { x: 0, y: 0 }],
+            startAngle: 0,
+            endAngle: 360,
+            material: 'Steel',
+            visibility: { coarse: false, medium: true, fine: true }
+        }],
+        referencePlanes: [
+            { name: 'Left', origin: { x: 0, y: 0, z: 0 }, normal: { x: 1, y: 0, z: 0 } },
+            { name: 'Right', origin: { x: 2, y: 0, z: 0 }, normal: { x: 1, y: 0, z: 0 } }
+        ],
+        constraints: [
+            { element1: 'Left', element2: 'Right', constraintType: 'Dimension', parameter: 'Width' }
+        ]
+    },
+    parameters: {
+        familyParameters: [
+            { name: 'Width', type: 'Length', defaultValue: 2, isInstance: false },
+            { name: 'Height', type: 'Length', defaultValue: 2, isInstance: false },
+            { name: 'Rim Height', type: 'Length', formula: 'Height - 0.25', isInstance: false },
+            { name: 'Has Rail', type: 'YesNo', defaultValue: true, isInstance: true },
+            { name: 'Body Material', type: 'Material', defaultValue: 'Concrete', isInstance: false }
+        ],
+        familyTypes: [
+            { name: 'Standard', parameters: { Width: 2, Height: 2 } }
+        ]
+    },
+    materials: [
+        { name: 'Concrete', color: '#A9A9A9', parameterName: 'Body Material' },
+        { name: 'Steel', color: '#708090' }
+    ],
+    visibilitySettings: {
+        coarse: ['Base', 'Bowl'],
+        medium: ['Base', 'Bowl', 'Rail'],
+        fine: ['Base', 'Bowl', 'Rail']
+    }
+};
+
+const CASES = {
+    window: () => bimLLMService.generateDemoSIR('a wooden window with width 1200mm height 1500mm sill height 900mm', 'test-session').sir,
+    door: () => bimLLMService.generateDemoSIR('a wooden double door 1800mm wide 2100mm high with a cased frame', 'test-session').sir,
+    generic: () => GENERIC_SIR,
+    'multi-type': () => bimLLMService.generateDemoSIR('a glass window in sizes 600x900, 900x1200 and 1200x1500 mm', 'test-session').sir
+};
+
+/**
+ * Generated C# for a SIR, without the generation timestamp
+ */
+async function generateCSharp(sir) {
+    const result = await interpreter.translateSIRToCode(sir, { target: 'csharp' });
+    assert.strictEqual(result.success, true, result.error);
+    return result.code.replace(/^\/\/ Generated at: .*$/m, '// Generated at: <timestamp>');
+}
+
+/**
+ * Compare text with its stored snapshot, writing the snapshot when it is
+ * missing or UPDATE_SNAPSHOTS is set
+ */
+function matchSnapshot(name, actual) {
+    const file = path.join(SNAPSHOT_DIR, `${name}.cs`);
+    const missing = !fs.existsSync(file);
+    if (missing && process.env.CI && !process.env.UPDATE_SNAPSHOTS) {
+        assert.fail(`Missing snapshot ${name}.cs; run UPDATE_SNAPSHOTS=1 npm test and commit it`);
+    }
+    if (process.env.UPDATE_SNAPSHOTS || missing) {
+        fs.mkdirSync(SNAPSHOT_DIR, { recursive: true });
+        fs.writeFileSync(file, actual);
+        return;
+    }
+    assert.strictEqual(actual, fs.readFileSync(file, 'utf8'), `${name}.cs differs from its snapshot`);
+}
+
+Object.keys(CASES).forEach(name => {
+    test(`generates the ${name} family`, async () => {
+        matchSnapshot(name, await generateCSharp(CASES[name]()));
+    });
+});
+
+test('multi-type families set each type', async () => {
+    const code = await generateCSharp(CASES['multi-type']());
+    ['600x900 mm', '900x1200 mm', '1200x1500 mm'].forEach(typeName => {
+        assert.ok(code.includes(`GetOrAddType("${typeName}")`), typeName);
+    });
+});
+
+test('generic families create every kind of form', async () => {
+    const code = await generateCSharp(GENERIC_SIR);
+    ['NewExtrusion', 'NewBlend', 'NewSweep(', 'NewRevolution'].forEach(call => {
+        assert.ok(code.includes(call), call);
+    });
+});
@@ -0,0 +1,137 @@
+/////////////////////////////////////////////////////////////////////
+// Tests: Design Automation Callback
+// Copyright (c) 2024 famAI Platform
+/////////////////////////////////////////////////////////////////////
+
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const Family = require('../models/Family');
+const Session = require('../models/Session');
+const JobStore = require('../services/JobStore');
+const BIMLLMService = require('../services/BIMLLMService');
+const apsService = require('../services/apsService');
+const notifier = require('../services/socketNotifier');
+const da4revitImp = require('../routes/common/da4revitImp');
+const { OAuth } = require('../routes/common/oauth');
+const famaiRouter = require('../routes/famai');
+const da4revitRouter = require('../routes/da4revit');
+
+const bimLLMService = new BIMLLMService();
+
+function routeHandler(router, path) {
+    const layer = router.stack.find(layer => layer.route && layer.route.path === path && layer.route.methods.post);
+    const stack = layer.route.stack;
+    return stack[stack.length - 1].handle;
+}
+
+function mockResponse() {
+    return {
+        statusCode: 200,
+        body: undefined,
+        status(code) {
+            this.statusCode = code;
+            return this;
+        },
+        json(body) {
+            this.body = body;
+            return this;
+        },
+        end() {
+            return this;
+        }
+    };
+}
+
+/**
+ * Execute a session through /api/famai/v1/execute with Design Automation
+ * and MongoDB mocked, and return the family the workitem was recorded on
+ */
+async function executeFamaiSession(t, user, workitem) {
+    const sessionId = 'famai-session';
+    const sessionData = {
+        sir: bimLLMService.generateDemoSIR('a dining table', sessionId).sir,
+        originalPrompt: 'a dining table',
+        code: '',
+        codeTarget: 'python',
+        qaResult: { overallPass: true }
+    };
+
+    let family = null;
+    t.mock.method(JobStore.prototype, 'fetch', async function (key) {
+        return this.kind === 'session' && key === sessionId ? sessionData : undefined;
+    });
+    t.mock.method(Family, 'findOne', () => ({ sort: async () => family }));
+    t.mock.method(Family.prototype, 'save', async function () {
+        family = family || this;
+        return this;
+    });
+    t.mock.method(Family, 'findByIdAndUpdate', async (id, update) => {
+        Object.keys(update.$set).forEach(path => family.set(path, update.$set[path]));
+        return family;
+    });
+    t.mock.method(Session, 'findOne', async () => null);
+    t.mock.method(OAuth.prototype, 'get2LeggedClient', () => ({ authenticate: async () => ({ access_token: 'token' }) }));
+    t.mock.method(da4revitImp, 'createSIRFamilyLocal', async () => ({ statusCode: 200, body: workitem }));
+
+    const res = mockResponse();
+    await routeHandler(famaiRouter, '/v1/execute')({
+        body: { sessionId: sessionId, targetFolder: 'local' },
+        user: user,
+        session: {}
+    }, res);
+
+    assert.strictEqual(res.statusCode, 200, JSON.stringify(res.body));
+    assert.strictEqual(res.body.workitemId, workitem.id);
+    return family;
+}
+
+test('the callback finishes a workitem submitted from /api/famai', async (t) => {
+    const user = { _id: new mongoose.Types.ObjectId() };
+    const workitem = { id: 'famai-workitem', status: 'pending', bucketKey: 'bucket', outputObjectKey: 'output/Table.rfa', callbackToken: 'secret' };
+    const family = await executeFamaiSession(t, user, workitem);
+
+    assert.ok(family, 'execute records the workitem on a family');
+    assert.strictEqual(family.apsExecution.workitemId, workitem.id);
+    assert.strictEqual(family.apsExecution.callbackToken, workitem.callbackToken);
+    assert.strictEqual(family.status, 'generating');
+
+    // The callback finds the family by its workitem; the status read-back fails offline
+    t.mock.method(Family, 'findOne', (filter) => ({
+        select: async () => filter['apsExecution.workitemId'] === family.apsExecution.workitemId ? family : null
+    }));
+    t.mock.method(OAuth.prototype, 'get2LeggedClient', () => {
+        throw new Error('offline');
+    });
+    t.mock.method(apsService, 'getManifest', async () => null);
+    t.mock.method(apsService, 'translateObject', async () => ({}));
+    const notify = t.mock.method(notifier, 'toUser', () => true);
+
+    const res = mockResponse();
+    await routeHandler(da4revitRouter, '/callback/designautomation')({
+        body: { id: workitem.id, status: 'success' },
+        query: { callbackToken: workitem.callbackToken }
+    }, res);
+
+    assert.strictEqual(res.statusCode, 202);
+    assert.strictEqual(family.status, 'ready');
+    assert.strictEqual(family.apsExecution.status, 'success');
+    assert.strictEqual(notify.mock.callCount(), 1);
+    assert.strictEqual(notify.mock.calls[0].arguments[0], user._id);
+});
+
+test('the callback rejects a famai workitem with the wrong token', async (t) => {
+    const user = { _id: new mongoose.Types.ObjectId() };
+    const workitem = { id: 'famai-workitem-2', status: 'pending', callbackToken: 'secret' };
+    const family = await executeFamaiSession(t, user, workitem);
+
+    t.mock.method(Family, 'findOne', () => ({ select: async () => family }));
+    const res = mockResponse();
+    await routeHandler(da4revitRouter, '/callback/designautomation')({
+        body: { id: workitem.id, status: 'success' },
+        query: { callbackToken: 'guessed' }
+    }, res);
+
+    assert.strictEqual(res.statusCode, 401);
+    assert.strictEqual(family.status, 'generating');
+});
@@ -0,0 +1,59 @@
+/////////////////////////////////////////////////////////////////////
+// Tests: Dimension Parser
+// Copyright (c) 2024 famAI Platform
+/////////////////////////////////////////////////////////////////////
+
+const test = require('node:test');
+const assert = require('node:assert');
+const DimensionParser = require('../services/DimensionParser');
+
+const parser = new DimensionParser({ units: 'metric' });
+
+// Dimension name -> matched text
+function extract(prompt) {
+    const dimensions = parser.extractDimensions(prompt);
+    const texts = {};
+    Object.keys(dimensions).forEach(name => {
+        texts[name] = dimensions[name].text;
+    });
+    return texts;
+}
+
+test('labels take the value that follows them', () => {
+    assert.deepStrictEqual(extract('width 900 height 1200'), { width: '900', height: '1200' });
+});
+
+test('adjacent label and value pairs keep their own values', () => {
+    assert.deepStrictEqual(
+        extract('window with width 1200mm height 1500mm sill height 900mm'),
+        { width: '1200mm', height: '1500mm', sillHeight: '900mm' }
+    );
+});
+
+test('colon separated labels', () => {
+    assert.deepStrictEqual(
+        extract('Width: 900 Height: 1200 Sill: 800'),
+        { width: '900', height: '1200', sillHeight: '800' }
+    );
+});
+
+test('trailing labels take the value before them', () => {
+    assert.deepStrictEqual(extract('900mm wide and 1200mm high'), { width: '900mm', height: '1200mm' });
+    assert.deepStrictEqual(
+        extract('door 36" wide 80" high with handle height 38"'),
+        { width: '36"', height: '80"', hardwareHeight: '38"' }
+    );
+});
+
+test('a series fills the dimensions its labels leave', () => {
+    const dimensions = parser.extractDimensions('a 900 x 1200 mm window with sill height 900mm');
+    assert.strictEqual(dimensions.sillHeight.text, '900mm');
+    assert.strictEqual(Math.round(dimensions.width.valueFt * DimensionParser.MM_PER_FOOT), 900);
+    assert.strictEqual(Math.round(dimensions.height.valueFt * DimensionParser.MM_PER_FOOT), 1200);
+});
+
+test('values are converted to feet', () => {
+    const dimensions = parser.extractDimensions('width 3 ft 6 in, height 1.2 m');
+    assert.strictEqual(dimensions.width.valueFt, 3.5);
+    assert.ok(Math.abs(dimensions.height.valueFt - 1200 / DimensionParser.MM_PER_FOOT) < 1e-9);
+});
@@ -0,0 +1,27 @@
+/////////////////////////////////////////////////////////////////////
+// Tests: Family Model
+// Copyright (c) 2024 famAI Platform
+/////////////////////////////////////////////////////////////////////
+
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const Family = require('../models/Family');
+
+const rootId = new mongoose.Types.ObjectId();
+
+test('findVersions queries the whole lineage of the first version, oldest first', () => {
+    const root = new Family({ _id: rootId });
+    const query = Family.findVersions(root);
+
+    assert.deepStrictEqual(query.getFilter(), { $or: [{ _id: rootId }, { rootFamily: rootId }] });
+    assert.deepStrictEqual(query.getOptions().sort, { version: 1 });
+});
+
+test('findVersions from a later version queries the same lineage', () => {
+    const later = new Family({ version: 3, parentFamily: new mongoose.Types.ObjectId(), rootFamily: rootId });
+    const query = Family.findVersions(later);
+
+    assert.deepStrictEqual(query.getFilter(), { $or: [{ _id: rootId }, { rootFamily: rootId }] });
+    assert.strictEqual(later.getLineageId(), rootId);
+});
@@ -0,0 +1,44 @@
+/////////////////////////////////////////////////////////////////////
+// Tests: Formula Engine
+// Copyright (c) 2024 famAI Platform
+/////////////////////////////////////////////////////////////////////
+
+const test = require('node:test');
+const assert = require('node:assert');
+const FormulaEngine = require('../services/FormulaEngine');
+
+const engine = new FormulaEngine();
+
+const parameters = [
+    { name: 'Width', type: 'Length' },
+    { name: 'Height', type: 'Length' },
+    { name: 'Count', type: 'Integer' }
+];
+
+test('compares a length with a plain number in internal units', () => {
+    const result = engine.check('if(Width > 3, 2, 1)', parameters, 'Integer');
+    assert.strictEqual(result.valid, true, result.error);
+
+    assert.strictEqual(engine.evaluate('if(Width > 3, 2, 1)', { Width: 4, Count: 1 }, parameters), 2);
+    assert.strictEqual(engine.evaluate('if(Width > 3, 2, 1)', { Width: 2, Count: 1 }, parameters), 1);
+    assert.strictEqual(engine.evaluate('3 <= Width', { Width: 3 }, parameters), true);
+});
+
+test('still rejects adding a plain number to a length', () => {
+    const result = engine.check('Width + 1', parameters, 'Length');
+    assert.strictEqual(result.valid, false);
+    assert.strictEqual(result.code, 'type_mismatch');
+});
+
+test('still rejects comparing a length with an angle or Yes/No', () => {
+    const withAngle = engine.check('Width > 30°', parameters);
+    assert.strictEqual(withAngle.code, 'type_mismatch');
+
+    const withBoolean = engine.check('Width > (Height > 1)', parameters);
+    assert.strictEqual(withBoolean.code, 'type_mismatch');
+});
+
+test('compares lengths with unit literals', () => {
+    assert.strictEqual(engine.check('Height > 900 mm', parameters).valid, true);
+    assert.strictEqual(engine.evaluate('Height > 900 mm', { Height: 3 }, parameters), true);
+});
@@ -0,0 +1,96 @@
+/////////////////////////////////////////////////////////////////////
+// Tests: QA Gateway
+// Copyright (c) 2024 famAI Platform
+/////////////////////////////////////////////////////////////////////
+
+const test = require('node:test');
+const assert = require('node:assert');
+const QAGateway = require('../services/QAGateway');
+const BIMLLMService = require('../services/BIMLLMService');
+const SIRToCodeInterpreter = require('../services/SIRToCodeInterpreter');
+const DoorParams = require('../services/DoorParams');
+const FlexingSimulator = require('../services/FlexingSimulator');
+
+const qaGateway = new QAGateway();
+const bimLLMService = new BIMLLMService();
+const interpreter = new SIRToCodeInterpreter();
+
+async function validateDemo(prompt) {
+    const sir = bimLLMService.generateDemoSIR(prompt, 'test-session').sir;
+    const codeResult = await interpreter.translateSIRToCode(sir);
+    return { sir, qaResult: await qaGateway.validateFamily(sir, codeResult.code, null) };
+}
+
+test('accepts Revit-style parameter names with spaces', async () => {
+    const { sir } = await validateDemo('a window 1200mm wide');
+    sir.parameters.familyParameters.push({ name: 'Sill Height', type: 'Length', defaultValue: 3, isInstance: true });
+
+    const results = await qaGateway.validateParameters(sir);
+    assert.deepStrictEqual(results.issues.filter(issue => issue.includes('name format')), []);
+});
+
+test('rejects parameter names with stray spaces or symbols', async () => {
+    const { sir } = await validateDemo('a window 1200mm wide');
+    sir.parameters.familyParameters.push(
+        { name: 'Sill  Height', type: 'Length', defaultValue: 3 },
+        { name: 'Height ', type: 'Length', defaultValue: 3 },
+        { name: 'Height[1]', type: 'Length', defaultValue: 3 }
+    );
+
+    const results = await qaGateway.validateParameters(sir);
+    assert.strictEqual(results.issues.filter(issue => issue.includes('name format')).length, 3);
+});
+
+test('demo window cuts its opening with a void and passes QA', async () => {
+    // Flexed to twice its height or sill, the window still fits the default 10 ft host
+    const { sir, qaResult } = await validateDemo('a window with width 1200mm height 1200mm sill height 600mm');
+
+    const voids = sir.geometryDefinition.extrusions.filter(extrusion => extrusion.isSolid === false);
+    assert.strictEqual(voids.length, 1);
+    assert.ok(!sir.visibilitySettings.fine.includes(voids[0].name));
+    assert.strictEqual(qaResult.validations.complianceValidation.pass, true, qaResult.validations.complianceValidation.issues.join('; '));
+    assert.strictEqual(qaResult.validations.flexingValidation.pass, true, qaResult.validations.flexingValidation.issues.join('; '));
+    assert.strictEqual(qaResult.overallPass, true);
+});
+
+test('demo window described by its width alone passes flexing in the default host', async () => {
+    const { qaResult } = await validateDemo('a window 1200mm wide');
+
+    const flexing = qaResult.validations.flexingValidation;
+    assert.strictEqual(flexing.pass, true, flexing.issues.join('; '));
+
+    // Without a max, neither the height nor the sill is flexed so high that the head leaves the 10 ft host
+    flexing.scenarios.filter(scenario => scenario.kind === 'max').forEach(scenario => {
+        assert.ok(scenario.values.SillHeight + scenario.values.Height <= 10 + 1e-9, scenario.name);
+    });
+});
+
+test('default demo window gives its height and sill limits that fit the host', async (t) => {
+    const sir = bimLLMService.generateDemoSIR('a window', 'test-session').sir;
+    const height = sir.parameters.familyParameters.find(param => param.name === 'Height');
+    const sill = sir.parameters.familyParameters.find(param => param.name === 'SillHeight');
+    assert.ok(height.max + sill.defaultValue <= 10 + 1e-9);
+    assert.ok(sill.max + height.defaultValue <= 10 + 1e-9);
+
+    // Its own limits keep it inside the host, without the simulator's cap
+    t.mock.method(FlexingSimulator.prototype, 'hostLimits', () => ({}));
+    const flexing = new FlexingSimulator().simulate(sir);
+    assert.strictEqual(flexing.pass, true, JSON.stringify(flexing.scenarios.filter(scenario => !scenario.pass)));
+});
+
+test('demo door with Revit-style door parameters passes QA and builds its DoorParams', async () => {
+    const prompt = 'a wooden double door 1800mm wide 2100mm high with a cased frame';
+    const { sir, qaResult } = await validateDemo(prompt);
+
+    const names = sir.parameters.familyParameters.map(param => param.name);
+    ['Frame Width', 'Frame Depth', 'Threshold Height', 'Hardware Height'].forEach(name => assert.ok(names.includes(name), name));
+    assert.strictEqual(qaResult.validations.parameterValidation.pass, true, qaResult.validations.parameterValidation.issues.join('; '));
+    assert.strictEqual(qaResult.validations.complianceValidation.pass, true, qaResult.validations.complianceValidation.issues.join('; '));
+    assert.strictEqual(qaResult.overallPass, true);
+
+    const doorParams = new DoorParams();
+    const params = doorParams.fromSIR(sir, prompt);
+    assert.strictEqual(params.DoorStyle, 'DoubleDoor');
+    assert.strictEqual(params.Types[0].FrameWidth, 0.125);
+    assert.strictEqual(doorParams.validate(params).valid, true);
+});
@@ -0,0 +1,76 @@
+/////////////////////////////////////////////////////////////////////
+// Tests: SIR Diff
+// Copyright (c) 2024 famAI Platform
+/////////////////////////////////////////////////////////////////////
+
+const test = require('node:test');
+const assert = require('node:assert');
+const SIRDiff = require('../services/SIRDiff');
+const BIMLLMService = require('../services/BIMLLMService');
+
+const sirDiff = new SIRDiff();
+const bimLLMService = new BIMLLMService();
+
+function demoWindow() {
+    return bimLLMService.generateDemoSIR('a wooden window with width 1200mm height 1500mm', 'test-session').sir;
+}
+
+test('reports identical SIRs as unchanged', () => {
+    const diff = sirDiff.diff(demoWindow(), demoWindow());
+
+    assert.strictEqual(diff.identical, true);
+    assert.strictEqual(sirDiff.describe(diff), 'No changes');
+});
+
+test('lists added, removed and changed items by name', () => {
+    const from = demoWindow();
+    const to = demoWindow();
+    to.familyMetadata.familyName = 'Casement Window';
+    to.parameters.familyParameters.find(param => param.name === 'Width').defaultValue = 3;
+    to.parameters.familyParameters = to.parameters.familyParameters.filter(param => param.name !== 'Inset');
+    to.parameters.familyParameters.push({ name: 'Frame Width', type: 'Length', defaultValue: 0.164, isInstance: false });
+    to.parameters.familyTypes[0].parameters.Height = 5;
+    to.geometryDefinition.extrusions = to.geometryDefinition.extrusions.filter(extrusion => extrusion.name !== 'GlassPane');
+    to.materials.push({ name: 'Metal', color: '#708090' });
+
+    const diff = sirDiff.diff(from, to);
+
+    assert.strictEqual(diff.identical, false);
+    assert.deepStrictEqual(diff.metadata, [{ field: 'familyName', from: 'Generated Window', to: 'Casement Window' }]);
+    assert.deepStrictEqual(diff.parameters.added.map(entry => entry.name), ['Frame Width']);
+    assert.deepStrictEqual(diff.parameters.removed.map(entry => entry.name), ['Inset']);
+    assert.deepStrictEqual(diff.parameters.changed, [{ name: 'Width', changes: [{ field: 'defaultValue', from: 3.937007874015748, to: 3 }] }]);
+    assert.deepStrictEqual(diff.familyTypes.changed[0].changes.map(change => change.field), ['parameters.Height']);
+    assert.deepStrictEqual(diff.geometry.removed.map(entry => [entry.kind, entry.name]), [['extrusions', 'GlassPane']]);
+    assert.deepStrictEqual(diff.summary.materials, { added: 1, removed: 0, changed: 0 });
+    assert.strictEqual(sirDiff.describe(diff),
+        'familyName changed, 1 parameter added, 1 parameter removed, 1 parameter changed, 1 family type changed, 1 material added, 1 extrusion removed');
+});
+
+test('matches constraints by the elements they join', () => {
+    const constraint = { element1: 'MainBody', element2: 'Opening', constraintType: 'Alignment' };
+    const from = demoWindow();
+    const to = demoWindow();
+    from.geometryDefinition.constraints = [constraint];
+    to.geometryDefinition.constraints = [Object.assign({}, constraint, { isLocked: true })];
+
+    const diff = sirDiff.diff(from, to);
+
+    assert.deepStrictEqual(diff.geometry.changed, [{
+        kind: 'constraints',
+        name: 'MainBody Alignment Opening',
+        changes: [{ field: 'isLocked', from: undefined, to: true }]
+    }]);
+    assert.strictEqual(sirDiff.describe(diff), '1 constraint changed');
+});
+
+test('compares repeated names one by one', () => {
+    const from = demoWindow();
+    const to = demoWindow();
+    const glass = to.geometryDefinition.extrusions.find(extrusion => extrusion.name === 'GlassPane');
+    to.geometryDefinition.extrusions.push(Object.assign({}, glass));
+
+    const diff = sirDiff.diff(from, to);
+
+    assert.deepStrictEqual(diff.geometry.added.map(entry => entry.name), ['GlassPane #2']);
+});
@@ -0,0 +1,34 @@
+/////////////////////////////////////////////////////////////////////
+// Tests: SIR Payload
+// Copyright (c) 2024 famAI Platform
+/////////////////////////////////////////////////////////////////////
+
+const test = require('node:test');
+const assert = require('node:assert');
+const SIRPayload = require('../services/SIRPayload');
+const BIMLLMService = require('../services/BIMLLMService');
+
+const sirPayload = new SIRPayload();
+const bimLLMService = new BIMLLMService();
+
+test('resolves the SIR into the steps the plug-in builds from', () => {
+    const sir = bimLLMService.generateDemoSIR('a generic box', 'test-session').sir;
+    sir.parameters.familyTypes = [{ name: 'Large', parameters: { Width: '900mm' } }];
+    sir.geometryDefinition.constraints = [
+        { constraintType: 'Tangent', element1: 'Left', element2: 'Right' }
+    ];
+
+    const payload = sirPayload.build(sir);
+
+    assert.strictEqual(payload.payloadVersion, SIRPayload.PAYLOAD_VERSION);
+    assert.strictEqual(payload.build.category, 'Generic Models');
+    assert.deepStrictEqual(payload.build.parameters.map(param => param.name),
+        sir.parameters.familyParameters.map(param => param.name));
+    assert.strictEqual(payload.build.geometry.extrusions.length, sir.geometryDefinition.extrusions.length);
+
+    const width = payload.build.familyTypes[0].values.find(value => value.name === 'Width');
+    assert.ok(Math.abs(width.value - 900 / 304.8) < 1e-9);
+
+    assert.strictEqual(payload.build.constraints[0].kind, null);
+    assert.strictEqual(payload.warnings.length, 1);
+});
@@ -0,0 +1,567 @@
+
+using System;
+using System.Collections.Generic;
+using System.IO;
+using System.Linq;
+using Autodesk.Revit.ApplicationServices;
+using Autodesk.Revit.DB;
+using DesignAutomationFramework;
+
+namespace BIMLLM.Generated
+{
+    [Autodesk.Revit.Attributes.Regeneration(Autodesk.Revit.Attributes.RegenerationOption.Manual)]
+    [Autodesk.Revit.Attributes.Transaction(Autodesk.Revit.Attributes.TransactionMode.Manual)]
+    public class GeneratedDoorApp : IExternalDBApplication
+    {
+        const string FamilyName = "Generated Door";
+        const string FamilyCategory = "Doors";
+        const int LodLevel = 200;
+        const string OutputPath = "Family.rfa";
+
+        Application m_application;
+        Document m_document;
+        FamilyManager m_familyManager;
+        Dictionary<string, ReferencePlane> m_referencePlanes = new Dictionary<string, ReferencePlane>();
+        Dictionary<string, FamilyParameter> m_parameters = new Dictionary<string, FamilyParameter>();
+        Dictionary<string, ElementId> m_materials = new Dictionary<string, ElementId>();
+        Dictionary<string, GenericForm> m_geometry = new Dictionary<string, GenericForm>();
+        Dictionary<string, FamilyType> m_types = new Dictionary<string, FamilyType>();
+        List<string> m_appliedConstraints = new List<string>();
+        List<string> m_failedConstraints = new List<string>();
+        List<string> m_failedVisibility = new List<string>();
+
+        public ExternalDBApplicationResult OnStartup(ControlledApplication application)
+        {
+            DesignAutomationBridge.DesignAutomationReadyEvent += HandleDesignAutomationReadyEvent;
+            return ExternalDBApplicationResult.Succeeded;
+        }
+
+        public ExternalDBApplicationResult OnShutdown(ControlledApplication application)
+        {
+            return ExternalDBApplicationResult.Succeeded;
+        }
+
+        public void HandleDesignAutomationReadyEvent(object sender, DesignAutomationReadyEventArgs e)
+        {
+            e.Succeeded = CreateFamily(e.DesignAutomationData);
+        }
+
+        protected bool CreateFamily(DesignAutomationData data)
+        {
+            if (data == null)
+                return false;
+
+            m_application = data.RevitApp;
+            m_document = data.RevitDoc;
+            if (m_application == null || m_document == null)
+                return false;
+
+            if (!m_document.IsFamilyDocument)
+            {
+                Console.WriteLine("It's not family document");
+                return false;
+            }
+            m_familyManager = m_document.FamilyManager;
+
+            using (Transaction transaction = new Transaction(m_document, "Create " + FamilyName))
+            {
+                transaction.Start();
+                try
+                {
+                    SetCategory();
+                    CreateReferencePlanes();
+                    CreateParameters();
+                    CreateMaterials();
+                    CreateGeometry();
+                    CreateConstraints();
+                    CreateFamilyTypes();
+                    SetVisibility();
+                    transaction.Commit();
+                }
+                catch (Exception e)
+                {
+                    Console.WriteLine("Error creating family: " + e.Message);
+                    transaction.RollBack();
+                    return false;
+                }
+            }
+
+            Validate();
+            Console.WriteLine("Successfully created family: " + FamilyName);
+            Console.WriteLine("Category: " + FamilyCategory);
+            Console.WriteLine("LOD Level: " + LodLevel);
+            return SaveFamily();
+        }
+
+        void SetCategory()
+        {
+            Category category = m_document.Settings.Categories
+                .Cast<Category>()
+                .FirstOrDefault(c => c.Name == FamilyCategory);
+            if (category == null)
+                throw new InvalidOperationException("Category " + FamilyCategory + " not found");
+            if (m_document.OwnerFamily.FamilyCategory.Name != FamilyCategory)
+                m_document.OwnerFamily.FamilyCategory = category;
+        }
+
+        void CreateReferencePlanes()
+        {
+        }
+
+        void CreateParameters()
+        {
+            m_parameters["Width"] = GetOrAddParameter("Width", GroupTypeId.Geometry, SpecTypeId.Length, false);
+            m_parameters["Height"] = GetOrAddParameter("Height", GroupTypeId.Geometry, SpecTypeId.Length, false);
+            m_parameters["Thickness"] = GetOrAddParameter("Thickness", GroupTypeId.Geometry, SpecTypeId.Length, false);
+            m_parameters["Frame Width"] = GetOrAddParameter("Frame Width", GroupTypeId.Geometry, SpecTypeId.Length, false);
+            m_parameters["Frame Depth"] = GetOrAddParameter("Frame Depth", GroupTypeId.Geometry, SpecTypeId.Length, false);
+            m_parameters["Threshold Height"] = GetOrAddParameter("Threshold Height", GroupTypeId.Geometry, SpecTypeId.Length, false);
+            m_parameters["Hardware Height"] = GetOrAddParameter("Hardware Height", GroupTypeId.Geometry, SpecTypeId.Length, false);
+            m_parameters["Door Style"] = GetOrAddParameter("Door Style", GroupTypeId.Data, SpecTypeId.String.Text, false);
+            m_parameters["Leaf Count"] = GetOrAddParameter("Leaf Count", GroupTypeId.Data, SpecTypeId.Int.Integer, false);
+            m_parameters["Swing Direction"] = GetOrAddParameter("Swing Direction", GroupTypeId.Data, SpecTypeId.String.Text, false);
+            m_parameters["Frame Profile"] = GetOrAddParameter("Frame Profile", GroupTypeId.Data, SpecTypeId.String.Text, false);
+            m_parameters["Frame Material"] = GetOrAddParameter("Frame Material", GroupTypeId.Materials, SpecTypeId.Reference.Material, false);
+            m_parameters["Panel Material"] = GetOrAddParameter("Panel Material", GroupTypeId.Materials, SpecTypeId.Reference.Material, false);
+        }
+
+        void CreateMaterials()
+        {
+            m_materials["Wood"] = FindMaterial("Wood");
+        }
+
+        void CreateGeometry()
+        {
+            {
+                CurveArrArray profile = ProfileLoops(ProfileLoop(new[] { new XYZ(0.0, 0.0, 0.0), new XYZ(5.905511811023622, 0.0, 0.0), new XYZ(5.905511811023622, 6.889763779527559, 0.0), new XYZ(0.0, 6.889763779527559, 0.0) }));
+                Extrusion form = m_document.FamilyCreate.NewExtrusion(true, profile, NewSketchPlane(XYZ.BasisZ, XYZ.Zero), 0.17);
+                form.StartOffset = 0.0;
+                form.EndOffset = 0.17;
+                SetMaterial(form, "Wood", null);
+                m_geometry["MainBody"] = form;
+            }
+            {
+                CurveArrArray profile = ProfileLoops(ProfileLoop(new[] { new XYZ(0.0, 0.0, 0.0), new XYZ(5.905511811023622, 0.0, 0.0), new XYZ(5.905511811023622, 6.889763779527559, 0.0), new XYZ(0.0, 6.889763779527559, 0.0) }));
+                Extrusion form = m_document.FamilyCreate.NewExtrusion(false, profile, NewSketchPlane(XYZ.BasisZ, XYZ.Zero), 0.17);
+                form.StartOffset = 0.0;
+                form.EndOffset = 0.17;
+                m_geometry["Opening"] = form;
+            }
+        }
+
+        void CreateConstraints()
+        {
+        }
+
+        void CreateFamilyTypes()
+        {
+            {
+                FamilyType familyType = GetOrAddType("Type 1");
+                m_familyManager.CurrentType = familyType;
+                m_familyManager.Set(m_parameters["Width"], 5.905511811023622);
+                m_familyManager.Set(m_parameters["Height"], 6.889763779527559);
+                m_familyManager.Set(m_parameters["Thickness"], 0.17);
+                m_familyManager.Set(m_parameters["Frame Width"], 0.125);
+                m_familyManager.Set(m_parameters["Frame Depth"], 0.375);
+                m_familyManager.Set(m_parameters["Threshold Height"], 0.0417);
+                m_familyManager.Set(m_parameters["Hardware Height"], 3.5);
+                m_familyManager.Set(m_parameters["Door Style"], "DoubleDoor");
+                m_familyManager.Set(m_parameters["Leaf Count"], 2);
+                m_familyManager.Set(m_parameters["Swing Direction"], "Both");
+                m_familyManager.Set(m_parameters["Frame Profile"], "Cased");
+                m_familyManager.Set(m_parameters["Frame Material"], MaterialId("Wood"));
+                m_familyManager.Set(m_parameters["Panel Material"], MaterialId("Wood"));
+                m_types["Type 1"] = familyType;
+            }
+        }
+
+        void SetVisibility()
+        {
+            SetElementVisibility("MainBody", true, true, true);
+        }
+
+        bool Validate()
+        {
+            Dictionary<string, bool> results = new Dictionary<string, bool>
+            {
+                { "reference_planes_created", m_referencePlanes.Count == 0 },
+                { "parameters_created", m_parameters.Count == 13 },
+                { "geometry_created", m_geometry.Count == 2 },
+                { "constraints_applied", m_failedConstraints.Count == 0 },
+                { "family_types_created", m_types.Count == 1 },
+                { "visibility_applied", m_failedVisibility.Count == 0 }
+            };
+
+            Console.WriteLine("Family Creation Validation Results:");
+            foreach (KeyValuePair<string, bool> result in results)
+                Console.WriteLine("  " + result.Key + ": " + result.Value);
+            return results.Values.All(value => value);
+        }
+
+        #region Helpers
+        class ConstraintReference
+        {
+            public Reference Reference;
+            public XYZ Origin;
+            public XYZ Normal;
+
+            public ConstraintReference(Reference reference, XYZ origin, XYZ normal)
+            {
+                Reference = reference;
+                Origin = origin;
+                Normal = normal;
+            }
+        }
+
+        static readonly Dictionary<string, XYZ> FaceDirections = new Dictionary<string, XYZ>(StringComparer.OrdinalIgnoreCase)
+        {
+            { "Left", new XYZ(-1, 0, 0) },
+            { "Right", new XYZ(1, 0, 0) },
+            { "Front", new XYZ(0, -1, 0) },
+            { "Back", new XYZ(0, 1, 0) },
+            { "Bottom", new XYZ(0, 0, -1) },
+            { "Top", new XYZ(0, 0, 1) }
+        };
+
+        ElementId FindMaterial(string name)
+        {
+            Material material = new FilteredElementCollector(m_document)
+                .OfClass(typeof(Material))
+                .Cast<Material>()
+                .FirstOrDefault(m => m.Name == name);
+            return material != null ? material.Id : Material.Create(m_document, name);
+        }
+
+        ElementId MaterialId(string name)
+        {
+            ElementId id;
+            return m_materials.TryGetValue(name, out id) ? id : FindMaterial(name);
+        }
+
+        View FindView(ViewType viewType, string name)
+        {
+            return new FilteredElementCollector(m_document)
+                .OfClass(typeof(View))
+                .Cast<View>()
+                .FirstOrDefault(vw => !vw.IsTemplate && vw.ViewType == viewType && (name == null || vw.Name == name));
+        }
+
+        View ViewForNormal(XYZ normal)
+        {
+            if (Math.Abs(normal.Z) < 0.5)
+                return FindView(ViewType.FloorPlan, "Ref. Level") ?? FindView(ViewType.FloorPlan, null);
+            return FindView(ViewType.Elevation, "Front") ?? FindView(ViewType.Elevation, null);
+        }
+
+        ReferencePlane FindReferencePlane(string name)
+        {
+            ReferencePlane plane;
+            if (m_referencePlanes.TryGetValue(name, out plane))
+                return plane;
+            return new FilteredElementCollector(m_document)
+                .OfClass(typeof(ReferencePlane))
+                .Cast<ReferencePlane>()
+                .FirstOrDefault(p => p.Name == name);
+        }
+
+        ReferencePlane CreateReferencePlane(string name, XYZ origin, XYZ normal)
+        {
+            const double extent = 2.0;
+            XYZ direction;
+            XYZ cutVec;
+            normal = normal.Normalize();
+            if (Math.Abs(normal.Z) < 0.5)
+            {
+                direction = XYZ.BasisZ.CrossProduct(normal).Normalize();
+                cutVec = XYZ.BasisZ;
+            }
+            else
+            {
+                direction = XYZ.BasisX;
+                cutVec = normal.CrossProduct(direction).Normalize();
+            }
+            ReferencePlane refPlane = m_document.FamilyCreate.NewReferencePlane(origin + direction * extent, origin - direction * extent, cutVec, ViewForNormal(normal));
+            refPlane.Name = name;
+            return refPlane;
+        }
+
+        FamilyParameter GetOrAddParameter(string name, ForgeTypeId group, ForgeTypeId spec, bool isInstance)
+        {
+            FamilyParameter existing = m_familyManager.get_Parameter(name);
+            return existing ?? m_familyManager.AddParameter(name, group, spec, isInstance);
+        }
+
+        FamilyParameter FamilyParameterByName(string name)
+        {
+            FamilyParameter parameter;
+            return m_parameters.TryGetValue(name, out parameter) ? parameter : m_familyManager.get_Parameter(name);
+        }
+
+        FamilyType GetOrAddType(string name)
+        {
+            foreach (FamilyType familyType in m_familyManager.Types)
+            {
+                if (familyType.Name == name)
+                    return familyType;
+            }
+            return m_familyManager.NewType(name);
+        }
+
+        static CurveArray ProfileLoop(XYZ[] points, bool closed = true)
+        {
+            CurveArray loop = new CurveArray();
+            int count = closed ? points.Length : points.Length - 1;
+            for (int i = 0; i < count; i++)
+                loop.Append(Line.CreateBound(points[i], points[(i + 1) % points.Length]));
+            return loop;
+        }
+
+        static CurveArrArray ProfileLoops(params CurveArray[] loops)
+        {
+            CurveArrArray array = new CurveArrArray();
+            foreach (CurveArray loop in loops)
+                array.Append(loop);
+            return array;
+        }
+
+        SketchPlane NewSketchPlane(XYZ normal, XYZ origin)
+        {
+            return SketchPlane.Create(m_document, Plane.CreateByNormalAndOrigin(normal, origin));
+        }
+
+        void SetMaterial(GenericForm form, string materialName, string parameterName)
+        {
+            Parameter elementParameter = form.get_Parameter(BuiltInParameter.MATERIAL_ID_PARAM);
+            FamilyParameter familyParameter;
+            if (parameterName != null && m_parameters.TryGetValue(parameterName, out familyParameter))
+                m_familyManager.AssociateElementParameterToFamilyParameter(elementParameter, familyParameter);
+            else if (materialName != null)
+                elementParameter.Set(MaterialId(materialName));
+        }
+
+        Sweep NewSweep(bool isSolid, UV[] profilePoints, XYZ[] pathPoints)
+        {
+            XYZ tangent = (pathPoints[1] - pathPoints[0]).Normalize();
+            XYZ side = XYZ.BasisZ.CrossProduct(tangent);
+            if (side.GetLength() < 1e-9)
+                side = XYZ.BasisX;
+            side = side.Normalize();
+            XYZ up = tangent.CrossProduct(side);
+            XYZ pathNormal = up;
+            for (int i = 2; i < pathPoints.Length; i++)
+            {
+                XYZ normal = (pathPoints[1] - pathPoints[0]).CrossProduct(pathPoints[i] - pathPoints[0]);
+                if (normal.GetLength() > 1e-9)
+                {
+                    pathNormal = normal.Normalize();
+                    break;
+                }
+            }
+            XYZ origin = pathPoints[0];
+            XYZ[] profile = profilePoints.Select(p => origin + side * p.U + up * p.V).ToArray();
+            SweepProfile sweepProfile = m_application.Create.NewCurveLoopsProfile(ProfileLoops(ProfileLoop(profile)));
+            return m_document.FamilyCreate.NewSweep(isSolid, ProfileLoop(pathPoints, false), NewSketchPlane(pathNormal, origin), sweepProfile, 0, ProfilePlaneLocation.Start);
+        }
+
+        IEnumerable<PlanarFace> PlanarFaces(Element element)
+        {
+            Options options = new Options();
+            options.ComputeReferences = true;
+            foreach (GeometryObject geometry in element.get_Geometry(options))
+            {
+                Solid solid = geometry as Solid;
+                if (solid == null)
+                    continue;
+                foreach (Face face in solid.Faces)
+                {
+                    PlanarFace planarFace = face as PlanarFace;
+                    if (planarFace != null)
+                        yield return planarFace;
+                }
+            }
+        }
+
+        PlanarFace FindFace(Element element, XYZ direction, ConstraintReference near)
+        {
+            PlanarFace best = null;
+            double bestScore = double.MaxValue;
+            foreach (PlanarFace face in PlanarFaces(element))
+            {
+                double score;
+                if (direction != null)
+                {
+                    score = -face.FaceNormal.DotProduct(direction);
+                }
+                else
+                {
+                    if (Math.Abs(Math.Abs(face.FaceNormal.DotProduct(near.Normal)) - 1) > 1e-6)
+                        continue;
+                    score = Math.Abs((face.Origin - near.Origin).DotProduct(near.Normal));
+                }
+                if (score < bestScore)
+                {
+                    best = face;
+                    bestScore = score;
+                }
+            }
+            return best;
+        }
+
+        ConstraintReference ResolveReference(string name, ConstraintReference other)
+        {
+            ReferencePlane plane = FindReferencePlane(name);
+            if (plane != null)
+                return new ConstraintReference(plane.GetReference(), plane.GetPlane().Origin, plane.GetPlane().Normal);
+
+            string owner = name;
+            string faceName = null;
+            int separator = Math.Max(name.LastIndexOf('.'), name.LastIndexOf(':'));
+            if (separator > 0 && m_geometry.ContainsKey(name.Substring(0, separator)))
+            {
+                owner = name.Substring(0, separator);
+                faceName = name.Substring(separator + 1);
+            }
+
+            GenericForm form;
+            if (!m_geometry.TryGetValue(owner, out form))
+                throw new InvalidOperationException("Unknown reference " + name);
+
+            PlanarFace face;
+            if (faceName != null)
+            {
+                XYZ direction;
+                if (!FaceDirections.TryGetValue(faceName, out direction))
+                    throw new InvalidOperationException("Unknown face " + name);
+                face = FindFace(form, direction, null);
+            }
+            else if (other != null)
+            {
+                face = FindFace(form, null, other);
+            }
+            else
+            {
+                throw new InvalidOperationException("Name a face of " + name + " to constrain it");
+            }
+            if (face == null)
+                throw new InvalidOperationException("No face of " + owner + " matches " + name);
+            return new ConstraintReference(face.Reference, face.Origin, face.FaceNormal);
+        }
+
+        ConstraintReference[] ResolvePair(string name1, string name2)
+        {
+            if (m_geometry.ContainsKey(name1))
+            {
+                ConstraintReference second = ResolveReference(name2, null);
+                return new[] { ResolveReference(name1, second), second };
+            }
+            ConstraintReference first = ResolveReference(name1, null);
+            return new[] { first, ResolveReference(name2, first) };
+        }
+
+        ConstraintReference CenterReference(XYZ normal)
+        {
+            foreach (string name in new[] { "Center (Left/Right)", "Center (Front/Back)", "Ref. Level" })
+            {
+                ReferencePlane plane = FindReferencePlane(name);
+                if (plane != null && Math.Abs(Math.Abs(plane.GetPlane().Normal.DotProduct(normal)) - 1) < 1e-6)
+                    return new ConstraintReference(plane.GetReference(), plane.GetPlane().Origin, plane.GetPlane().Normal);
+            }
+            throw new InvalidOperationException("No center reference plane parallel to the constrained references");
+        }
+
+        Dimension AddDimension(ConstraintReference[] references, string label, bool lockDimension, bool equal)
+        {
+            ReferenceArray refArray = new ReferenceArray();
+            foreach (ConstraintReference reference in references)
+                refArray.Append(reference.Reference);
+            XYZ start = references[0].Origin;
+            XYZ normal = references[0].Normal;
+            double distance = (references[references.Length - 1].Origin - start).DotProduct(normal);
+            if (Math.Abs(distance) < 1e-9)
+                distance = 1.0;
+            Line line = Line.CreateBound(start, start + normal * distance);
+            Dimension dim = m_document.FamilyCreate.NewDimension(ViewForNormal(normal), line, refArray);
+            if (equal)
+                dim.AreSegmentsEqual = true;
+            if (label != null)
+                dim.FamilyLabel = FamilyParameterByName(label);
+            else if (lockDimension)
+                dim.IsLocked = true;
+            return dim;
+        }
+
+        Dimension AddAlignment(ConstraintReference[] references, bool lockAlignment)
+        {
+            Dimension alignment = m_document.FamilyCreate.NewAlignment(ViewForNormal(references[0].Normal), references[0].Reference, references[1].Reference);
+            alignment.IsLocked = lockAlignment;
+            return alignment;
+        }
+
+        void ApplyConstraint(string description, Action create)
+        {
+            SubTransaction subTransaction = new SubTransaction(m_document);
+            subTransaction.Start();
+            try
+            {
+                create();
+                subTransaction.Commit();
+                m_appliedConstraints.Add(description);
+            }
+            catch (Exception e)
+            {
+                subTransaction.RollBack();
+                m_failedConstraints.Add(description);
+                Console.WriteLine("Constraint failed: " + description + ": " + e.Message);
+            }
+        }
+
+        void SetElementVisibility(string name, bool coarse, bool medium, bool fine)
+        {
+            try
+            {
+                FamilyElementVisibility visibility = new FamilyElementVisibility(FamilyElementVisibilityType.Model);
+                visibility.IsShownInCoarse = coarse;
+                visibility.IsShownInMedium = medium;
+                visibility.IsShownInFine = fine;
+                m_geometry[name].SetVisibility(visibility);
+            }
+            catch (Exception e)
+            {
+                m_failedVisibility.Add(name);
+                Console.WriteLine("Visibility failed: " + name + ": " + e.Message);
+            }
+        }
+
+        bool SaveFamily()
+        {
+            try
+            {
+                if (File.Exists(OutputPath))
+                    File.Delete(OutputPath);
+
+                SaveAsOptions saveOpts = new SaveAsOptions();
+                if (m_document.GetDocumentPreviewSettings().PreviewViewId.Equals(ElementId.InvalidElementId))
+                {
+                    View view = new FilteredElementCollector(m_document)
+                        .OfClass(typeof(View))
+                        .Cast<View>()
+                        .FirstOrDefault(vw => vw.ViewType == ViewType.ThreeD && !vw.IsTemplate);
+                    if (view != null)
+                        saveOpts.PreviewViewId = view.Id;
+                }
+
+                m_document.SaveAs(OutputPath, saveOpts);
+                return true;
+            }
+            catch (Exception e)
+            {
+                Console.WriteLine("Write to " + OutputPath + " failed: " + e.Message);
+                return false;
+            }
+        }
+        #endregion
+
+    }
+
+}
+